@@ -4,46 +4,104 @@ const Doctor = require('../models/Doctor');
 const Nurse = require('../models/Nurse');
 const Pharmacist = require('../models/Pharmacist');
 const Clinic = require('../models/Clinic');
+const Patient = require('../models/Patient');
 
+// Verified token payload, or null after responding with 401
+const verifyRequestToken = (req, res) => {
+  const authHeader = req.headers.authorization || '';
+  if (!authHeader.startsWith('Bearer ')) {
+    res.status(401).json({ 
+      success: false,
+      error: 'Access token required' 
+    });
+    return null;
+  }
+  
+  const token = tokenManager.extractTokenFromHeader(authHeader);
+  if (!token) {
+    res.status(401).json({ 
+      success: false,
+      error: 'Invalid token format' 
+    });
+    return null;
+  }
+
+  // Verify token using token manager
+  return tokenManager.verifyAccessToken(token);
+};
+
+const handleAuthError = (err, res) => {
+  console.error('Auth middleware error:', err);
+  
+  if (err.message === 'Token expired') {
+    return res.status(401).json({ 
+      success: false,
+      error: 'Token expired',
+      code: 'TOKEN_EXPIRED'
+    });
+  } else if (err.message === 'Token is blacklisted') {
+    return res.status(401).json({ 
+      success: false,
+      error: 'Token has been revoked',
+      code: 'TOKEN_REVOKED'
+    });
+  } else {
+    return res.status(401).json({ 
+      success: false,
+      error: 'Invalid token',
+      code: 'INVALID_TOKEN'
+    });
+  }
+};
+
+// Staff accounts live in separate collections; a token's id is unique across them
+const findStaffUser = async (id) => {
+  let user = await Doctor.findById(id);
+  if (!user) {
+    user = await Nurse.findById(id);
+  }
+  if (!user) {
+    user = await Pharmacist.findById(id);
+  }
+  if (!user) {
+    user = await Clinic.findById(id);
+  }
+  return user;
+};
+
+const toRequestUser = (user, payload) => ({
+  _id: user._id,
+  id: user._id,
+  email: user.email || user.adminEmail,
+  role: user.role || payload.role,
+  fullName: user.fullName || user.adminName,
+  clinicId: user.clinicId || (user.role === 'clinic' ? user._id : null)
+});
+
+// Staff authentication - doctors, nurses, pharmacists and clinic admins
 module.exports = async function auth(req, res, next) {
   try {
-    const authHeader = req.headers.authorization || '';
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
+    const payload = verifyRequestToken(req, res);
+    if (!payload) return;
+
+    // Patient portal tokens only open the portal routes
+    if (payload.role === 'patient') {
+      return res.status(403).json({
         success: false,
-        error: 'Access token required' 
+        error: 'Patient accounts cannot access this resource'
       });
     }
     
-    const token = tokenManager.extractTokenFromHeader(authHeader);
-    if (!token) {
-      return res.status(401).json({ 
+    // Get full user data from database
+    const user = await findStaffUser(payload.id);
+    
+    // Check if clinic is still active
+    if (user instanceof Clinic && !user.isActive) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid token format' 
+        error: 'Account has been deactivated'
       });
     }
-
-    // Verify token using token manager
-    const payload = tokenManager.verifyAccessToken(token);
-    
-    // Get full user data from database
-    let user = await Doctor.findById(payload.id);
-    if (!user) {
-      user = await Nurse.findById(payload.id);
-    }
-    if (!user) {
-      user = await Pharmacist.findById(payload.id);
-    }
-    if (!user) {
-      user = await Clinic.findById(payload.id);
-      // Check if clinic is still active
-      if (user && !user.isActive) {
-        return res.status(403).json({
-          success: false,
-          error: 'Account has been deactivated'
-        });
-      }
-    }
     
     if (!user) {
       return res.status(401).json({ 
@@ -53,38 +111,50 @@ module.exports = async function auth(req, res, next) {
     }
 
     // Attach user to request
-    req.user = {
-      _id: user._id,
-      id: user._id,
-      email: user.email || user.adminEmail,
-      role: user.role || payload.role,
-      fullName: user.fullName || user.adminName,
-      clinicId: user.clinicId || (user.role === 'clinic' ? user._id : null)
-    };
+    req.user = toRequestUser(user, payload);
     
     next();
   } catch (err) {
-    console.error('Auth middleware error:', err);
-    
-    if (err.message === 'Token expired') {
-      return res.status(401).json({ 
-        success: false,
-        error: 'Token expired',
-        code: 'TOKEN_EXPIRED'
-      });
-    } else if (err.message === 'Token is blacklisted') {
-      return res.status(401).json({ 
+    return handleAuthError(err, res);
+  }
+};
+
+module.exports.findStaffUser = findStaffUser;
+module.exports.toRequestUser = toRequestUser;
+
+// Patient portal authentication - only accepts tokens issued to patients
+module.exports.patient = async function patientAuth(req, res, next) {
+  try {
+    const payload = verifyRequestToken(req, res);
+    if (!payload) return;
+
+    if (payload.role !== 'patient') {
+      return res.status(403).json({
         success: false,
-        error: 'Token has been revoked',
-        code: 'TOKEN_REVOKED'
+        error: 'Patient portal access only'
       });
-    } else {
+    }
+
+    const patient = await Patient.findById(payload.id).select('fullName email clinicId');
+    if (!patient) {
       return res.status(401).json({ 
         success: false,
-        error: 'Invalid token',
-        code: 'INVALID_TOKEN'
+        error: 'User not found' 
       });
     }
+
+    req.user = {
+      _id: patient._id,
+      id: patient._id,
+      email: patient.email,
+      role: 'patient',
+      fullName: patient.fullName,
+      clinicId: patient.clinicId
+    };
+
+    next();
+  } catch (err) {
+    return handleAuthError(err, res);
   }
 };
 
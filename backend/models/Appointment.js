@@ -1,11 +1,14 @@
 const mongoose = require('mongoose');
+const ClinicTime = require('../utils/clinicTime');
+const Slots = require('../utils/slots');
 
 const appointmentSchema = new mongoose.Schema({
   // Patient Information
   patientId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Patient',
-    required: [true, 'Patient ID is required']
+    // Online requests from new patients are linked to a record by staff on confirmation
+    required: [function() { return this.source !== 'online'; }, 'Patient ID is required']
   },
   patientName: {
     type: String,
@@ -120,7 +123,35 @@ const appointmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Teleconsultation'
   },
-  
+
+  // Recurring series membership
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  seriesIndex: {
+    type: Number
+  },
+  // True once this occurrence was edited on its own and no longer follows the series template
+  seriesException: {
+    type: Boolean,
+    default: false
+  },
+
+  // Where the booking came from
+  source: {
+    type: String,
+    enum: ['staff', 'portal', 'online'],
+    default: 'staff'
+  },
+  // Contact details given on the public booking form, kept for the front desk
+  bookingContact: {
+    fullName: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    emailVerifiedAt: Date
+  },
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -142,7 +173,8 @@ appointmentSchema.virtual('appointmentDateTime').get(function() {
     return null;
   }
   try {
-    return new Date(`${this.date.toISOString().split('T')[0]}T${this.time}`);
+    // Read in the clinic's timezone when the clinic is populated
+    return ClinicTime.toInstant(this.date, this.time, this.clinicId?.timezone);
   } catch (error) {
     console.error('Error creating appointmentDateTime virtual:', error);
     return null;
@@ -167,6 +199,10 @@ appointmentSchema.pre('save', function(next) {
     // Set reminder 24 hours before appointment
     this.reminderDate = new Date(this.date.getTime() - (24 * 60 * 60 * 1000));
   }
+  // A moved appointment needs reminding again
+  if (!this.isNew && (this.isModified('date') || this.isModified('time'))) {
+    this.reminderSent = false;
+  }
   next();
 });
 
@@ -177,6 +213,7 @@ appointmentSchema.index({ date: 1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ provider: 1 });
 appointmentSchema.index({ createdAt: -1 });
+appointmentSchema.index({ seriesId: 1, date: 1 });
 
 // Compound index for date and time queries
 appointmentSchema.index({ date: 1, time: 1 });
@@ -207,22 +244,23 @@ appointmentSchema.statics.findByStatus = function(status) {
 // Static method to check for appointment conflicts
 appointmentSchema.statics.checkForConflicts = async function(doctorId, date, time, duration = 30, excludeAppointmentId = null) {
   try {
-    // Parse the appointment time
-    const [hours, minutes] = time.split(':').map(Number);
-    const appointmentStart = new Date(date);
-    appointmentStart.setHours(hours, minutes, 0, 0);
-    
-    // Calculate end time
-    const appointmentEnd = new Date(appointmentStart.getTime() + (duration * 60 * 1000));
+    // Times on one calendar day, so compare as minutes from midnight
+    const toMinutes = (value) => {
+      const [hours, minutes] = value.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const appointmentStart = toMinutes(time);
+    const appointmentEnd = appointmentStart + duration;
     
     // Build query to find potential conflicts
     const query = {
       doctorId: doctorId,
       date: {
-        $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
-        $lt: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+        $gte: ClinicTime.dayStart(date),
+        $lt: ClinicTime.addDays(date, 1)
       },
-      status: { $in: ['Scheduled', 'Confirmed'] }
+      // Same rule as the slot engine: pending requests hold their slot too
+      status: { $nin: Slots.FREE_STATUSES }
     };
     
     // Exclude current appointment if updating
@@ -236,11 +274,8 @@ appointmentSchema.statics.checkForConflicts = async function(doctorId, date, tim
     // Check for time overlaps
     const conflicts = [];
     for (const existing of existingAppointments) {
-      const [existingHours, existingMinutes] = existing.time.split(':').map(Number);
-      const existingStart = new Date(existing.date);
-      existingStart.setHours(existingHours, existingMinutes, 0, 0);
-      
-      const existingEnd = new Date(existingStart.getTime() + (existing.duration * 60 * 1000));
+      const existingStart = toMinutes(existing.time);
+      const existingEnd = existingStart + existing.duration;
       
       // Check for overlap: appointments overlap if one starts before the other ends
       const hasOverlap = (appointmentStart < existingEnd) && (appointmentEnd > existingStart);
@@ -264,51 +299,6 @@ appointmentSchema.statics.checkForConflicts = async function(doctorId, date, tim
   }
 };
 
-// Static method to get doctor's availability for a specific date
-appointmentSchema.statics.getDoctorAvailability = async function(doctorId, date) {
-  try {
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    const appointments = await this.find({
-      doctorId: doctorId,
-      date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
-      status: { $in: ['Scheduled', 'Confirmed'] }
-    }).sort({ time: 1 });
-    
-    // Convert to time slots with duration
-    const bookedSlots = appointments.map(apt => {
-      const [hours, minutes] = apt.time.split(':').map(Number);
-      const startTime = new Date(apt.date);
-      startTime.setHours(hours, minutes, 0, 0);
-      
-      const endTime = new Date(startTime.getTime() + (apt.duration * 60 * 1000));
-      
-      return {
-        appointmentId: apt._id,
-        patientName: apt.patientName,
-        startTime: startTime,
-        endTime: endTime,
-        time: apt.time,
-        duration: apt.duration,
-        appointmentType: apt.appointmentType,
-        status: apt.status
-      };
-    });
-    
-    return bookedSlots;
-  } catch (error) {
-    console.error('Error getting doctor availability:', error);
-    throw error;
-  }
-};
-
 // Instance method to confirm appointment
 appointmentSchema.methods.confirm = function() {
   this.status = 'Confirmed';
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Recurrence = require('../utils/recurrence');
+
+const skippedDateSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['conflict', 'cancelled'],
+    default: 'conflict'
+  },
+  conflicts: [{
+    appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
+    patientName: String,
+    time: String,
+    duration: Number,
+    appointmentType: String
+  }]
+}, { _id: false });
+
+const appointmentSeriesSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Doctor ID is required']
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic ID is required']
+  },
+
+  // Template copied onto every occurrence
+  appointmentType: {
+    type: String,
+    required: [true, 'Appointment type is required']
+  },
+  time: {
+    type: String,
+    required: [true, 'Appointment time is required']
+  },
+  duration: {
+    type: Number,
+    default: 30,
+    min: [15, 'Duration must be at least 15 minutes'],
+    max: [240, 'Duration cannot exceed 4 hours']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high'],
+    default: 'normal'
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+
+  // Recurrence rule
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: Recurrence.FREQUENCIES,
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: Recurrence.MAX_INTERVAL
+    },
+    count: Number,
+    until: Date
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+
+  // Dates the rule produced but that were not booked
+  skippedDates: [skippedDateSchema],
+
+  // Set when "this and following" split an earlier series
+  parentSeriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+
+  createdBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+appointmentSeriesSchema.virtual('description').get(function() {
+  return Recurrence.describe(this.recurrence);
+});
+
+appointmentSeriesSchema.index({ clinicId: 1, createdAt: -1 });
+appointmentSeriesSchema.index({ patientId: 1 });
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
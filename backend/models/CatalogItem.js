@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Catalogue = require('../utils/catalogue');
+const Gst = require('../utils/gst');
+
+// One price in an item's history; entries that have taken effect are never changed
+const priceSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Stored as UTC midnight of the clinic-local day it starts
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  createdBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String,
+    name: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A procedure, lab test, imaging study or package a clinic bills for
+const catalogItemSchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic ID is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    set: Catalogue.normaliseCode,
+    validate: {
+      validator: Catalogue.isValidCode,
+      message: props => `${props.value} is not a valid code; use up to 20 letters, digits, dots, dashes or underscores`
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [200, 'Name cannot exceed 200 characters']
+  },
+  category: {
+    type: String,
+    enum: Catalogue.CATEGORIES,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  hsnSac: String,
+  taxClass: {
+    type: String,
+    enum: Gst.TAX_CLASSES,
+    default: 'exempt'
+  },
+  taxRate: {
+    type: Number,
+    enum: Gst.GST_RATES,
+    default: 0
+  },
+  prices: [priceSchema],
+  // Days the item can be billed; no end date means it is offered until further notice
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: Date
+}, {
+  timestamps: true
+});
+
+catalogItemSchema.pre('validate', function(next) {
+  if (this.taxClass !== 'taxable') {
+    this.taxRate = 0;
+  }
+  const taxError = Gst.lineError({
+    description: this.name,
+    taxClass: this.taxClass,
+    taxRate: this.taxRate,
+    hsnSac: this.hsnSac
+  });
+  if (taxError) {
+    this.invalidate('taxClass', taxError);
+  }
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'The end date cannot be before the start date');
+  }
+  next();
+});
+
+catalogItemSchema.index({ clinicId: 1, code: 1 }, { unique: true });
+catalogItemSchema.index({ clinicId: 1, category: 1, name: 1 });
+
+module.exports = mongoose.model('CatalogItem', catalogItemSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const ClinicTime = require('../utils/clinicTime');
+const Gst = require('../utils/gst');
 
 const clinicSchema = new mongoose.Schema({
   clinicId: { type: String, unique: true },
@@ -18,6 +20,8 @@ const clinicSchema = new mongoose.Schema({
   phone: { type: String, required: true },
   email: { type: String, required: true },
   website: { type: String },
+  // Shown at the top of the clinic's email templates
+  logoUrl: { type: String, trim: true },
   ownerName: { type: String, required: true },
   ownerMedicalId: { type: String },
   adminName: { type: String, required: true },
@@ -26,10 +30,29 @@ const clinicSchema = new mongoose.Schema({
   tradeLicense: { type: String },
   medicalCouncilCert: { type: String },
   taxId: { type: String },
+  // GST registration, printed on tax invoices and used for the GSTR-1 export
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    validate: {
+      validator: (value) => !value || Gst.isValidGstin(value),
+      message: props => `${props.value} is not a valid GSTIN`
+    }
+  },
   accreditation: { type: String },
   specialties: [{ type: String }],
   services: [{ type: String }],
   operatingHours: { type: String },
+  // IANA timezone every appointment date and time at this clinic is in
+  timezone: {
+    type: String,
+    default: ClinicTime.DEFAULT_TIME_ZONE,
+    validate: {
+      validator: ClinicTime.isValidTimeZone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
   staffCount: { type: Number },
   beds: { type: Number },
   pharmacyAvailable: { type: Boolean, default: false },
@@ -133,4 +156,17 @@ clinicSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+/**
+ * Timezone of a clinic, falling back to the default for unknown clinics
+ * @param {string} clinicId - Clinic _id
+ * @returns {Promise<string>} IANA timezone
+ */
+clinicSchema.statics.getTimeZone = async function(clinicId) {
+  if (!clinicId || !mongoose.Types.ObjectId.isValid(clinicId)) {
+    return ClinicTime.DEFAULT_TIME_ZONE;
+  }
+  const clinic = await this.findById(clinicId).select('timezone').lean();
+  return clinic?.timezone || ClinicTime.DEFAULT_TIME_ZONE;
+};
+
 module.exports = mongoose.model('Clinic', clinicSchema);
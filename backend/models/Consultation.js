@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ClinicTime = require('../utils/clinicTime');
 
 const consultationSchema = new mongoose.Schema({
   // Patient Information
@@ -187,7 +188,7 @@ const consultationSchema = new mongoose.Schema({
 
 // Virtual for consultation date and time
 consultationSchema.virtual('consultationDateTime').get(function() {
-  return new Date(`${this.date.toISOString().split('T')[0]}T${this.time}`);
+  return ClinicTime.toInstant(this.date, this.time, this.clinicId?.timezone);
 });
 
 // Virtual for is upcoming
@@ -84,6 +84,19 @@ const doctorSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Secret iCalendar subscription - the token in the feed URL is the credential
+  calendarFeed: {
+    token: {
+      type: String,
+      select: false
+    },
+    createdAt: Date,
+    lastAccessedAt: Date,
+    includePatientNames: {
+      type: Boolean,
+      default: false
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -96,6 +109,8 @@ const doctorSchema = new mongoose.Schema({
   timestamps: true
 });
 
+doctorSchema.index({ 'calendarFeed.token': 1 }, { unique: true, sparse: true });
+
 doctorSchema.methods.comparePassword = function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.passwordHash);
 };
@@ -33,6 +33,13 @@ const doctorAvailabilitySchema = new mongoose.Schema({
     default: 30,
     // Duration in minutes for each appointment slot
   },
+  bufferMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 120,
+    // Free minutes kept between consecutive visits
+  },
   isActive: {
     type: Boolean,
     default: true
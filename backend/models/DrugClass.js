@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const DrugInteraction = require('./DrugInteraction');
+
+// A named group of drugs (e.g. "penicillins", "nsaid") so one interaction or
+// allergy entry covers every member instead of listing each brand separately.
+const drugClassSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Class name is required'],
+    trim: true,
+    lowercase: true
+  },
+  members: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+drugClassSchema.index({ clinicId: 1, name: 1 }, { unique: true });
+drugClassSchema.index({ members: 1 });
+
+// Merge class memberships; existing members are kept
+drugClassSchema.statics.importClasses = async function(classes, clinicId = null) {
+  let imported = 0;
+
+  for (const drugClass of classes) {
+    const name = DrugInteraction.normalizeDrugName(drugClass.name);
+    const members = (drugClass.members || [])
+      .map(DrugInteraction.normalizeDrugName)
+      .filter(Boolean);
+
+    if (!name || members.length === 0) continue;
+
+    await this.updateOne(
+      { clinicId, name },
+      { $addToSet: { members: { $each: members } } },
+      { upsert: true }
+    );
+    imported++;
+  }
+
+  return { imported };
+};
+
+const DrugClass = mongoose.model('DrugClass', drugClassSchema);
+
+module.exports = DrugClass;
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+// Lower-case and strip strength/form noise so "Warfarin 5mg Tablet" matches "warfarin"
+const normalizeDrugName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\d+(\.\d+)?\s*(mg|mcg|µg|g|ml|iu|units?|%)\b/g, ' ')
+    .replace(/\b(tablets?|tabs?|capsules?|caps?|syrup|suspension|injection|inj|cream|ointment|drops|sr|er|xr|cr|od)\b/g, ' ')
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// One row of the interaction table. A "drug" may also be a class name
+// (e.g. "nsaid") whose members are listed in the classes table.
+const drugInteractionSchema = new mongoose.Schema({
+  drugA: {
+    type: String,
+    required: [true, 'First drug is required'],
+    trim: true,
+    lowercase: true
+  },
+  drugB: {
+    type: String,
+    required: [true, 'Second drug is required'],
+    trim: true,
+    lowercase: true
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    required: [true, 'Severity is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  advice: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  source: {
+    type: String,
+    trim: true,
+    default: 'local'
+  },
+  // null for the shared table, set for rows a clinic imported for itself
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Store each pair in a fixed order so A+B and B+A are the same row
+drugInteractionSchema.pre('validate', function(next) {
+  this.drugA = normalizeDrugName(this.drugA);
+  this.drugB = normalizeDrugName(this.drugB);
+  if (this.drugA > this.drugB) {
+    [this.drugA, this.drugB] = [this.drugB, this.drugA];
+  }
+  next();
+});
+
+drugInteractionSchema.index({ clinicId: 1, drugA: 1, drugB: 1 }, { unique: true });
+drugInteractionSchema.index({ drugB: 1 });
+
+/**
+ * Upsert interaction rows into the table (shared when clinicId is null).
+ * Rows with an unknown severity or a missing drug are skipped and reported.
+ * @param {Array<Object>} rows - { drugA, drugB, severity, description, advice, source }
+ * @param {string|null} clinicId - Owning clinic, or null for the shared table
+ * @returns {Promise<{imported: number, skipped: Array<{row: number, reason: string}>}>}
+ */
+drugInteractionSchema.statics.importRows = async function(rows, clinicId = null) {
+  const skipped = [];
+  let imported = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    let drugA = normalizeDrugName(row.drugA);
+    let drugB = normalizeDrugName(row.drugB);
+    const severity = String(row.severity || '').toLowerCase().trim();
+
+    if (!drugA || !drugB || drugA === drugB) {
+      skipped.push({ row: i + 1, reason: 'Two different drug names are required' });
+      continue;
+    }
+    if (!SEVERITIES.includes(severity)) {
+      skipped.push({ row: i + 1, reason: `Unknown severity "${row.severity}"` });
+      continue;
+    }
+    if (drugA > drugB) {
+      [drugA, drugB] = [drugB, drugA];
+    }
+
+    await this.updateOne(
+      { clinicId, drugA, drugB },
+      {
+        $set: {
+          severity,
+          description: row.description,
+          advice: row.advice,
+          source: row.source || 'local',
+          isActive: true
+        }
+      },
+      { upsert: true, runValidators: true }
+    );
+    imported++;
+  }
+
+  return { imported, skipped };
+};
+
+drugInteractionSchema.statics.SEVERITIES = SEVERITIES;
+drugInteractionSchema.statics.normalizeDrugName = normalizeDrugName;
+
+const DrugInteraction = mongoose.model('DrugInteraction', drugInteractionSchema);
+
+module.exports = DrugInteraction;
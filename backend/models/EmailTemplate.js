@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const EmailTemplates = require('../utils/emailTemplates');
+
+// Older versions beyond this are dropped, except the active one
+const MAX_VERSIONS = 20;
+
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  createdBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String,
+    name: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A clinic's wording for one kind of email, with every saved version
+const emailTemplateSchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic ID is required']
+  },
+  key: {
+    type: String,
+    required: true,
+    enum: Object.keys(EmailTemplates.TEMPLATES)
+  },
+  versions: [versionSchema],
+  // null sends the built-in email
+  activeVersion: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+emailTemplateSchema.index({ clinicId: 1, key: 1 }, { unique: true });
+
+// The version emails are sent with, or null for the built-in email
+emailTemplateSchema.methods.active = function() {
+  if (this.activeVersion === null || this.activeVersion === undefined) return null;
+  return this.versions.find(version => version.version === this.activeVersion) || null;
+};
+
+/**
+ * Save a new version and make it the active one
+ * @param {Object} content - { subject, body, note }
+ * @param {Object} createdBy - { id, role, name }
+ * @returns {Object} The new version
+ */
+emailTemplateSchema.methods.addVersion = function(content, createdBy) {
+  const number = this.versions.reduce((max, version) => Math.max(max, version.version), 0) + 1;
+  this.versions.push({ ...content, version: number, createdBy });
+  this.activeVersion = number;
+
+  while (this.versions.length > MAX_VERSIONS) {
+    const oldest = this.versions.findIndex(version => version.version !== this.activeVersion);
+    this.versions.splice(oldest, 1);
+  }
+  return this.versions[this.versions.length - 1];
+};
+
+emailTemplateSchema.statics.MAX_VERSIONS = MAX_VERSIONS;
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -127,6 +127,55 @@ inventorySchema.virtual('isExpired').get(function() {
   return this.expiryDate < new Date();
 });
 
+// Escape user-entered names before using them in a regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Static method to list dispensable batches of a product, earliest expiry first (FEFO).
+// A product is identified by medication name + strength so different strengths never mix.
+inventorySchema.statics.findFefoBatches = function(clinicId, medicationName, strength = null) {
+  const query = {
+    clinicId,
+    isActive: true,
+    quantity: { $gt: 0 },
+    expiryDate: { $gte: new Date() },
+    medicationName: { $regex: `^${escapeRegex(medicationName)}$`, $options: 'i' }
+  };
+
+  if (strength) {
+    query.strength = { $regex: `^${escapeRegex(strength)}$`, $options: 'i' };
+  }
+
+  return this.find(query).sort({ expiryDate: 1, createdAt: 1 });
+};
+
+// Static method to split a quantity across batches in the order given.
+// Returns the picks plus any shortfall; it never touches the database.
+inventorySchema.statics.allocateFefo = function(batches, quantity) {
+  const picks = [];
+  let remaining = quantity;
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    if (batch.expiryDate < new Date() || batch.quantity <= 0) continue;
+
+    const take = Math.min(batch.quantity, remaining);
+    picks.push({
+      inventoryId: batch._id,
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      available: batch.quantity,
+      quantity: take
+    });
+    remaining -= take;
+  }
+
+  return {
+    picks,
+    allocated: quantity - remaining,
+    shortfall: remaining
+  };
+};
+
 // Ensure virtuals are included in JSON
 inventorySchema.set('toJSON', { virtuals: true });
 inventorySchema.set('toObject', { virtuals: true });
@@ -0,0 +1,362 @@
+const mongoose = require('mongoose');
+const Inventory = require('./Inventory');
+
+const TRANSACTION_TYPES = [
+  'receipt',
+  'dispense',
+  'adjustment',
+  'return',
+  'expiry_writeoff',
+  'transfer_out',
+  'transfer_in'
+];
+
+// Times a stock count is retried when other movements keep changing the item
+const COUNT_ATTEMPTS = 3;
+
+const inventoryTransactionSchema = new mongoose.Schema({
+  inventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true,
+    index: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  // Signed movement: positive for stock in, negative for stock out
+  quantityChange: {
+    type: Number,
+    required: true
+  },
+  // Inventory.quantity immediately after this movement was applied
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Batch snapshot so the ledger still reads correctly if the item is edited later
+  batchNumber: {
+    type: String,
+    trim: true
+  },
+  medicationName: {
+    type: String,
+    trim: true
+  },
+  // Source document for the movement (prescription for dispenses, etc.)
+  referenceType: {
+    type: String,
+    enum: ['Prescription', 'Inventory', 'PurchaseOrder', null],
+    default: null
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceType',
+    default: null
+  },
+  // Counterpart item for transfers
+  relatedInventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'performedByModel'
+  },
+  performedByModel: {
+    type: String,
+    enum: ['Clinic', 'Doctor', 'Nurse', 'Pharmacist']
+  },
+  performedByName: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+inventoryTransactionSchema.index({ inventoryId: 1, createdAt: -1 });
+inventoryTransactionSchema.index({ clinicId: 1, type: 1, createdAt: -1 });
+inventoryTransactionSchema.index({ referenceType: 1, referenceId: 1 });
+
+// Map an authenticated user's role to the model used for performedBy
+inventoryTransactionSchema.statics.getPerformerModel = function(role) {
+  if (role === 'clinic') return 'Clinic';
+  if (role === 'doctor') return 'Doctor';
+  if (['nurse', 'head_nurse', 'supervisor'].includes(role)) return 'Nurse';
+  if (['pharmacist', 'head_pharmacist', 'pharmacy_manager'].includes(role)) return 'Pharmacist';
+  return undefined;
+};
+
+// Items created before the ledger existed carry stock with no history behind it.
+// Record that stock once as an opening adjustment so the ledger always sums to quantity.
+inventoryTransactionSchema.statics.ensureOpeningBalance = async function(item) {
+  const hasEntries = await this.exists({ inventoryId: item._id });
+  if (hasEntries || !item.quantity) {
+    return null;
+  }
+
+  return this.create({
+    inventoryId: item._id,
+    clinicId: item.clinicId,
+    type: 'adjustment',
+    quantityChange: item.quantity,
+    balanceAfter: item.quantity,
+    batchNumber: item.batchNumber,
+    medicationName: item.medicationName,
+    reason: 'Opening balance (stock recorded before ledger)'
+  });
+};
+
+/**
+ * Apply a stock movement to an inventory item and write it to the ledger.
+ * The quantity update is conditional so stock can never go below zero, even
+ * when two pharmacists dispense from the same batch at the same time.
+ * @param {Object} options
+ * @param {string} options.inventoryId - Inventory item to move stock on
+ * @param {string} options.clinicId - Clinic that owns the item
+ * @param {string} options.type - One of TRANSACTION_TYPES
+ * @param {number} options.quantityChange - Signed quantity (negative for stock out)
+ * @param {number} [options.expectedQuantity] - Only apply if the item still holds exactly this much
+ * @param {Object} [options.user] - req.user of whoever performed the movement
+ * @returns {Promise<{item: Object, transaction: Object}>}
+ */
+inventoryTransactionSchema.statics.record = async function(options) {
+  const {
+    inventoryId,
+    clinicId,
+    type,
+    quantityChange,
+    expectedQuantity,
+    referenceType = null,
+    referenceId = null,
+    relatedInventoryId = null,
+    reason,
+    user
+  } = options;
+
+  if (!TRANSACTION_TYPES.includes(type)) {
+    const error = new Error(`Invalid transaction type: ${type}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!Number.isInteger(quantityChange) || quantityChange === 0) {
+    const error = new Error('Quantity change must be a non-zero whole number');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const existing = await Inventory.findOne({ _id: inventoryId, clinicId });
+  if (!existing) {
+    const error = new Error('Inventory item not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await this.ensureOpeningBalance(existing);
+
+  const filter = { _id: inventoryId, clinicId };
+  if (expectedQuantity !== undefined) {
+    filter.quantity = expectedQuantity;
+  } else if (quantityChange < 0) {
+    filter.quantity = { $gte: -quantityChange };
+  }
+
+  const item = await Inventory.findOneAndUpdate(
+    filter,
+    { $inc: { quantity: quantityChange } },
+    { new: true }
+  );
+
+  if (!item && expectedQuantity !== undefined) {
+    const error = new Error('Stock changed while the movement was being recorded');
+    error.statusCode = 409;
+    error.code = 'STOCK_CHANGED';
+    throw error;
+  }
+
+  if (!item) {
+    const error = new Error(`Insufficient stock. Available: ${existing.quantity}, Required: ${-quantityChange}`);
+    error.statusCode = 400;
+    error.code = 'INSUFFICIENT_STOCK';
+    throw error;
+  }
+
+  try {
+    const transaction = await this.create({
+      inventoryId: item._id,
+      clinicId: item.clinicId,
+      type,
+      quantityChange,
+      balanceAfter: item.quantity,
+      batchNumber: item.batchNumber,
+      medicationName: item.medicationName,
+      referenceType,
+      referenceId,
+      relatedInventoryId,
+      reason,
+      performedBy: user?.id,
+      performedByModel: user ? this.getPerformerModel(user.role) : undefined,
+      performedByName: user?.fullName
+    });
+
+    return { item, transaction };
+  } catch (error) {
+    // Keep quantity and ledger in step if the ledger write fails
+    await Inventory.updateOne({ _id: item._id }, { $inc: { quantity: -quantityChange } });
+    throw error;
+  }
+};
+
+/**
+ * Set an item to a counted quantity. The difference is recorded as an
+ * adjustment against the quantity it was worked out from, so a dispense
+ * landing in between makes the count start again from the new quantity
+ * instead of leaving the item off by the dispensed amount.
+ * @returns {Promise<{item: Object, transaction: Object|null}>}
+ */
+inventoryTransactionSchema.statics.count = async function({ inventoryId, clinicId, quantity, reason, user }) {
+  for (let attempt = 1; ; attempt++) {
+    const item = await Inventory.findOne({ _id: inventoryId, clinicId });
+    if (!item) {
+      const error = new Error('Inventory item not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (quantity === item.quantity) {
+      return { item, transaction: null };
+    }
+
+    try {
+      return await this.record({
+        inventoryId: item._id,
+        clinicId: item.clinicId,
+        type: 'adjustment',
+        quantityChange: quantity - item.quantity,
+        expectedQuantity: item.quantity,
+        reason: reason || 'Stock count adjustment',
+        user
+      });
+    } catch (error) {
+      if (error.code !== 'STOCK_CHANGED' || attempt === COUNT_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Move stock between two items of the same clinic (e.g. between store locations)
+inventoryTransactionSchema.statics.transfer = async function(options) {
+  const { fromInventoryId, toInventoryId, clinicId, quantity, reason, user } = options;
+
+  if (String(fromInventoryId) === String(toInventoryId)) {
+    const error = new Error('Cannot transfer stock to the same item');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const target = await Inventory.findOne({ _id: toInventoryId, clinicId, isActive: true });
+  if (!target) {
+    const error = new Error('Target inventory item not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const outgoing = await this.record({
+    inventoryId: fromInventoryId,
+    clinicId,
+    type: 'transfer_out',
+    quantityChange: -quantity,
+    referenceType: 'Inventory',
+    referenceId: toInventoryId,
+    relatedInventoryId: toInventoryId,
+    reason,
+    user
+  });
+
+  let incoming;
+  try {
+    incoming = await this.record({
+      inventoryId: toInventoryId,
+      clinicId,
+      type: 'transfer_in',
+      quantityChange: quantity,
+      referenceType: 'Inventory',
+      referenceId: fromInventoryId,
+      relatedInventoryId: fromInventoryId,
+      reason,
+      user
+    });
+  } catch (error) {
+    // Put the stock back on the source so a failed transfer moves nothing
+    await Inventory.updateOne({ _id: outgoing.item._id }, { $inc: { quantity } });
+    await this.deleteOne({ _id: outgoing.transaction._id });
+    throw error;
+  }
+
+  return { outgoing, incoming };
+};
+
+// Sum the ledger for an item and compare it with the stored quantity.
+// Only writes with apply=true, which records any opening balance and
+// corrects the stored quantity to the ledger balance.
+inventoryTransactionSchema.statics.reconcile = async function(inventoryId, clinicId, apply = false) {
+  const item = await Inventory.findOne({ _id: inventoryId, clinicId });
+  if (!item) {
+    const error = new Error('Inventory item not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (apply) {
+    await this.ensureOpeningBalance(item);
+  }
+
+  const [totals] = await this.aggregate([
+    { $match: { inventoryId: item._id } },
+    { $group: { _id: null, balance: { $sum: '$quantityChange' }, entries: { $sum: 1 } } }
+  ]);
+
+  // Stock from before the ledger is its opening balance until that entry is written
+  const ledgerBalance = totals ? totals.balance : item.quantity;
+  const storedQuantity = item.quantity;
+  const discrepancy = storedQuantity - ledgerBalance;
+
+  if (apply && discrepancy !== 0) {
+    item.quantity = Math.max(ledgerBalance, 0);
+    await item.save();
+  }
+
+  return {
+    inventoryId: item._id,
+    storedQuantity,
+    quantity: item.quantity,
+    ledgerBalance,
+    discrepancy,
+    entries: totals?.entries || 0,
+    reconciled: discrepancy === 0 || apply
+  };
+};
+
+inventoryTransactionSchema.statics.TYPES = TRANSACTION_TYPES;
+
+const InventoryTransaction = mongoose.model('InventoryTransaction', inventoryTransactionSchema);
+
+module.exports = InventoryTransaction;
@@ -1,117 +1,373 @@
 const mongoose = require('mongoose');
+const InvoiceSequence = require('./InvoiceSequence');
+const Clinic = require('./Clinic');
+const Invoices = require('../utils/invoices');
+const Gst = require('../utils/gst');
 
-const invoiceSchema = new mongoose.Schema({
-  patientId: {
+// One billed line: a catalogue service, a booked visit, dispensed medication or free text
+const lineItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Invoices.ITEM_TYPES,
+    default: 'other'
+  },
+  description: { type: String, required: true },
+  qty: { type: Number, required: true, min: 0 },
+  unitPrice: { type: Number, required: true, min: 0 },
+  amount: { type: Number, default: 0 },
+  appointmentId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Patient',
-    required: true
+    ref: 'Appointment'
   },
-  patientName: {
-    type: String,
-    required: true
+  teleconsultationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teleconsultation'
   },
+  // Dispensed medication: the prescription and the medication entry within it
+  prescriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription'
+  },
+  medicationId: mongoose.Schema.Types.ObjectId,
+  inventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  // Catalogue service and its code when billed; the price charged is unitPrice
+  catalogItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CatalogItem'
+  },
+  code: String,
+  // GST: left unset on lines billed before classification, filled from the item type otherwise
+  hsnSac: String,
+  taxClass: { type: String, enum: Gst.TAX_CLASSES },
+  taxRate: { type: Number, enum: Gst.GST_RATES },
+  // Value after the line's share of the discount, and the tax on it
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number
+});
+
+const invoiceSchema = new mongoose.Schema({
   clinicId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Clinic',
     required: [true, 'Clinic ID is required']
   },
-  lineItems: [{
-    description: { type: String, required: true },
-    qty: { type: Number, required: true },
-    unitPrice: { type: Number, required: true }
-  }],
-  total: {
-    type: Number,
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
     required: true
   },
-  date: {
+  patientName: String,
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  },
+  // Derived from the line items: general, or the visit the invoice bills for
+  type: {
     type: String,
-    required: true
+    enum: Invoices.INVOICE_TYPES,
+    default: 'general'
   },
-  invoiceNo: {
-    type: Number,
-    required: true,
-    unique: true
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
   },
-  address: {
-    line1: { type: String, required: true },
-    line2: { type: String },
-    city: { type: String, required: true },
-    state: { type: String, required: true },
-    zipCode: { type: String, required: true }
-  },
-  phone: { type: String },
-  email: { type: String },
-  remarks: { type: String },
+  teleconsultationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teleconsultation'
+  },
+  // From the clinic's sequence, e.g. INV-2627-00001; migrated invoices keep their old number
+  invoiceNumber: String,
+  lineItems: [lineItemSchema],
+  subtotal: { type: Number, default: 0 },
   discount: { type: Number, default: 0 },
   tax: { type: Number, default: 0 },
   shipping: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  // GST registration of the clinic when the invoice was raised, and of a registered buyer
+  supplierGstin: String,
+  recipientGstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    validate: {
+      validator: (value) => !value || Gst.isValidGstin(value),
+      message: props => `${props.value} is not a valid GSTIN`
+    }
+  },
+  // Two-digit GST state code the supply is taxed in
+  placeOfSupply: {
+    type: String,
+    enum: Object.keys(Gst.STATE_CODES)
+  },
+  interState: { type: Boolean, default: false },
+  // Totals of the line taxes; tax above is their sum
+  taxBreakdown: {
+    taxableValue: Number,
+    exempt: Number,
+    nilRated: Number,
+    nonGst: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  address: {
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    zipCode: String
+  },
+  phone: String,
+  email: String,
+  remarks: String,
   status: {
     type: String,
-    enum: ['Approved', 'Rejected', 'Unapproved'],
-    default: 'Unapproved'
+    enum: Invoices.STATUSES,
+    default: 'unapproved'
   },
-  approvedBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+  paymentMethod: {
+    type: String,
+    enum: Invoices.PAYMENT_METHODS,
+    default: 'pending'
   },
-  approvedAt: {
-    type: Date
+  paymentDetails: {
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    razorpaySignature: String,
+    paidAt: Date
   },
-  rejectedBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+  appointmentDetails: {
+    appointmentType: String,
+    appointmentDate: Date,
+    appointmentTime: String,
+    duration: Number
   },
-  rejectedAt: {
-    type: Date
+  teleconsultationDetails: {
+    scheduledDate: Date,
+    scheduledTime: String,
+    duration: Number,
+    meetingId: String
   },
-  rejectionReason: {
-    type: String
+  approvedBy: mongoose.Schema.Types.ObjectId,
+  approvedAt: Date,
+  rejectedBy: mongoose.Schema.Types.ObjectId,
+  rejectedAt: Date,
+  rejectionReason: String,
+  paidAt: Date,
+  cancelledAt: Date,
+  // Kept in step with the processed refunds of the invoice's payment
+  refundedAmount: {
+    type: Number,
+    default: 0
   },
-  createdAt: {
-    type: Date,
-    default: Date.now
+  refundedAt: Date,
+  // Whether the total is currently counted in the clinic's revenue
+  revenueRecorded: {
+    type: Boolean,
+    default: false
+  },
+  statusHistory: [{
+    status: String,
+    at: { type: Date, default: Date.now },
+    by: {
+      id: mongoose.Schema.Types.ObjectId,
+      role: String,
+      name: String
+    },
+    note: String,
+    _id: false
+  }],
+  // Where a migrated invoice came from and the number it had there
+  legacy: {
+    model: { type: String, enum: Invoices.LEGACY_MODELS },
+    number: String
   }
+}, {
+  timestamps: true
 });
 
-// Pre-save middleware to calculate total and ensure unique invoice number
-invoiceSchema.pre('save', async function(next) {
+// Fields that change the tax on an invoice
+const TAX_INPUTS = ['lineItems', 'discount', 'recipientGstin', 'address.state'];
+
+/**
+ * Classify each line and work out its GST. Place of supply comes from the
+ * buyer's GSTIN, the billing address or the clinic, in that order.
+ * @param {Object} invoice - Invoice document
+ */
+const applyGst = async (invoice) => {
+  const clinic = await Clinic.findById(invoice.clinicId).select('state gstin');
+
+  if (invoice.isNew && !invoice.supplierGstin && clinic?.gstin) {
+    invoice.supplierGstin = clinic.gstin;
+  }
+  const supply = Gst.placeOfSupply({
+    clinicState: clinic?.state,
+    recipientGstin: invoice.recipientGstin,
+    billingState: invoice.address?.state
+  });
+  invoice.placeOfSupply = supply.placeOfSupply || undefined;
+  invoice.interState = supply.interState;
+
+  for (const item of invoice.lineItems) {
+    Object.assign(item, Gst.classify(item));
+    const lineError = Gst.lineError(item);
+    if (lineError) {
+      invoice.invalidate('lineItems', lineError);
+    }
+  }
+
+  const { lines, summary } = Gst.compute(invoice.lineItems, {
+    discount: invoice.discount,
+    interState: invoice.interState
+  });
+  lines.forEach((line, index) => Object.assign(invoice.lineItems[index], line));
+  const { tax, ...breakdown } = summary;
+  invoice.taxBreakdown = breakdown;
+  invoice.tax = tax;
+};
+
+// Work out amounts, GST, the invoice type and, for new invoices, the next number.
+// Invoices from before GST classification keep their lump-sum tax until their lines are edited.
+invoiceSchema.pre('validate', async function(next) {
   try {
-    // Calculate subtotal from line items
-    const subtotal = this.lineItems.reduce((sum, item) => sum + (item.qty * item.unitPrice), 0);
-    
-    // Calculate total with discount, tax, and shipping
-    this.total = subtotal - this.discount + this.tax + this.shipping;
-    
-    // Generate unique invoice number if not provided or is null
-    if (!this.invoiceNo) {
-      let isUnique = false;
-      let invoiceNo;
-      
-      while (!isUnique) {
-        // Generate invoice number based on timestamp + random number
-        invoiceNo = Date.now() + Math.floor(Math.random() * 1000);
-        
-        // Check if this invoice number already exists
-        const existingInvoice = await this.constructor.findOne({ invoiceNo });
-        if (!existingInvoice) {
-          isUnique = true;
-        }
+    for (const item of this.lineItems) {
+      const itemError = Invoices.itemError(item);
+      if (itemError) {
+        this.invalidate('lineItems', itemError);
       }
-      
-      this.invoiceNo = invoiceNo;
+      item.amount = Invoices.lineAmount(item);
+    }
+
+    if (this.isNew || TAX_INPUTS.some(path => this.isModified(path))) {
+      await applyGst(this);
     }
-    
+
+    const { subtotal, total } = Invoices.totals(this.lineItems, this);
+    this.subtotal = subtotal;
+    this.total = total;
+
+    const source = Invoices.sourceOf(this.lineItems);
+    this.type = source.type;
+    this.appointmentId = source.appointmentId || undefined;
+    this.teleconsultationId = source.teleconsultationId || undefined;
+
+    if (this.isNew && !this.invoiceNumber && this.clinicId) {
+      const year = Invoices.financialYear(this.date || new Date());
+      this.invoiceNumber = Invoices.formatNumber(await InvoiceSequence.next(this.clinicId, year), year);
+    }
+
     next();
   } catch (error) {
     next(error);
   }
 });
 
-// Indexes for better query performance
+const visitFor = async (Model, query) => Model.findOne({ ...query, status: { $ne: 'cancelled' } });
+
+/**
+ * Raise the pending consultation invoice for a newly booked appointment,
+ * priced from the doctor's fees (500 when none are set). An appointment
+ * already invoiced keeps its invoice.
+ * @param {Object} appointment - Saved appointment
+ * @returns {Promise<Object>} Invoice document
+ */
+invoiceSchema.statics.createForAppointment = async function(appointment) {
+  const existing = await visitFor(this, { appointmentId: appointment._id, type: 'appointment' });
+  if (existing) return existing;
+
+  const DoctorFees = require('./DoctorFees');
+  const Patient = require('./Patient');
+  const [doctorFees, patient] = await Promise.all([
+    DoctorFees.findOne({ doctorId: appointment.doctorId }),
+    Patient.findById(appointment.patientId).select('fullName')
+  ]);
+
+  return this.create({
+    clinicId: appointment.clinicId,
+    patientId: appointment.patientId,
+    patientName: patient?.fullName,
+    doctorId: appointment.doctorId,
+    lineItems: [{
+      type: 'appointment',
+      description: Invoices.visitDescription('appointment', {
+        appointmentType: appointment.appointmentType,
+        date: appointment.date,
+        time: appointment.time
+      }),
+      qty: 1,
+      unitPrice: doctorFees?.appointmentFees || 500,
+      appointmentId: appointment._id
+    }],
+    paymentMethod: 'pending',
+    appointmentDetails: {
+      appointmentType: appointment.appointmentType,
+      appointmentDate: appointment.date,
+      appointmentTime: appointment.time,
+      duration: appointment.duration || 30
+    }
+  });
+};
+
+/**
+ * Raise the pending invoice for a scheduled teleconsultation
+ * @param {Object} teleconsultation - Saved teleconsultation
+ * @returns {Promise<Object>} Invoice document
+ */
+invoiceSchema.statics.createForTeleconsultation = async function(teleconsultation) {
+  const existing = await visitFor(this, { teleconsultationId: teleconsultation._id });
+  if (existing) return existing;
+
+  const DoctorFees = require('./DoctorFees');
+  const Patient = require('./Patient');
+  const [doctorFees, patient] = await Promise.all([
+    DoctorFees.findOne({ doctorId: teleconsultation.doctorId }),
+    Patient.findById(teleconsultation.patientId).select('fullName')
+  ]);
+
+  return this.create({
+    clinicId: teleconsultation.clinicId,
+    patientId: teleconsultation.patientId,
+    patientName: patient?.fullName,
+    doctorId: teleconsultation.doctorId,
+    lineItems: [{
+      type: 'teleconsultation',
+      description: Invoices.visitDescription('teleconsultation', {
+        date: teleconsultation.scheduledDate,
+        time: teleconsultation.scheduledTime
+      }),
+      qty: 1,
+      unitPrice: doctorFees?.teleconsultationFees || 500,
+      teleconsultationId: teleconsultation._id,
+      appointmentId: teleconsultation.appointmentId
+    }],
+    paymentMethod: 'pending',
+    teleconsultationDetails: {
+      scheduledDate: teleconsultation.scheduledDate,
+      scheduledTime: teleconsultation.scheduledTime,
+      duration: teleconsultation.duration,
+      meetingId: teleconsultation.meetingId
+    }
+  });
+};
+
+invoiceSchema.index(
+  { clinicId: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+invoiceSchema.index({ clinicId: 1, status: 1, createdAt: -1 });
+invoiceSchema.index({ clinicId: 1, type: 1, createdAt: -1 });
 invoiceSchema.index({ patientId: 1 });
-invoiceSchema.index({ invoiceNo: 1 }, { unique: true });
+invoiceSchema.index({ appointmentId: 1 });
+invoiceSchema.index({ teleconsultationId: 1 });
 invoiceSchema.index({ date: 1 });
-invoiceSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A clinic's running invoice count for one financial year
+const invoiceSequenceSchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true
+  },
+  // Financial year as from Invoices.financialYear(), e.g. "2627"
+  year: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSequenceSchema.index({ clinicId: 1, year: 1 }, { unique: true });
+
+/**
+ * Take the next number in a clinic's sequence. The increment is atomic, so
+ * invoices raised at the same time never share a number.
+ * @param {string} clinicId
+ * @param {string} year
+ * @returns {Promise<number>}
+ */
+invoiceSequenceSchema.statics.next = async function(clinicId, year) {
+  const sequence = await this.findOneAndUpdate(
+    { clinicId, year },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return sequence.value;
+};
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
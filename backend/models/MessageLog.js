@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Messaging = require('../utils/messaging');
+
+// One message sent on one channel, with its delivery progress
+const messageLogSchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [...Object.keys(Messaging.MESSAGE_TYPES), 'test']
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: Messaging.CHANNELS
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Email address or E.164 phone number
+  to: {
+    type: String,
+    required: true
+  },
+  recipientName: String,
+  // Left empty for login and reset codes
+  body: String,
+  status: {
+    type: String,
+    enum: Messaging.STATUSES,
+    default: 'queued'
+  },
+  providerMessageId: String,
+  error: String,
+  // The record the message is about
+  related: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    at: { type: Date, default: Date.now },
+    detail: String
+  }],
+  sentAt: Date,
+  deliveredAt: Date,
+  readAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+/**
+ * Record a provider status, ignoring updates that would move it backwards
+ * @param {string} status
+ * @param {string} [detail] - Provider error or note
+ */
+messageLogSchema.methods.recordStatus = function(status, detail) {
+  this.statusHistory.push({ status, detail });
+  const next = Messaging.advanceStatus(this.status, status);
+  if (next === this.status) return;
+
+  this.status = next;
+  const stamp = { sent: 'sentAt', delivered: 'deliveredAt', read: 'readAt', failed: 'failedAt' }[next];
+  if (stamp) this[stamp] = new Date();
+  if (next === 'failed' && detail) this.error = detail;
+};
+
+messageLogSchema.index({ clinicId: 1, createdAt: -1 });
+messageLogSchema.index({ provider: 1, providerMessageId: 1 }, { sparse: true });
+messageLogSchema.index({ 'related.kind': 1, 'related.id': 1 });
+
+module.exports = mongoose.model('MessageLog', messageLogSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Messaging = require('../utils/messaging');
+
+const MESSAGE_TYPE_KEYS = Object.keys(Messaging.MESSAGE_TYPES);
+
+// Channels for one message type; an empty list turns the message off
+const channelRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: MESSAGE_TYPE_KEYS
+  },
+  channels: [{
+    type: String,
+    enum: Messaging.CHANNELS
+  }]
+}, { _id: false });
+
+// Text for one type on SMS or WhatsApp. Email keeps its built-in layout.
+const templateSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: MESSAGE_TYPE_KEYS
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: ['sms', 'whatsapp']
+  },
+  body: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // Approved WhatsApp Business template, needed outside the 24-hour reply window.
+  // Its parameters are the type's variables in order.
+  whatsappTemplate: {
+    type: String,
+    trim: true,
+    maxlength: [512, 'Template name cannot exceed 512 characters']
+  },
+  whatsappLanguage: {
+    type: String,
+    trim: true,
+    default: 'en'
+  }
+}, { _id: false });
+
+const messagingSettingsSchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic ID is required'],
+    unique: true
+  },
+  channels: [channelRuleSchema],
+  templates: [templateSchema],
+  updatedBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String
+  }
+}, {
+  timestamps: true
+});
+
+messagingSettingsSchema.methods.channelsFor = function(type) {
+  return Messaging.channelsFor(this, type);
+};
+
+messagingSettingsSchema.methods.templateFor = function(type, channel) {
+  return Messaging.templateFor(this, type, channel);
+};
+
+// Settings for a clinic, or unsaved defaults when it never configured messaging
+messagingSettingsSchema.statics.forClinic = async function(clinicId) {
+  const settings = clinicId ? await this.findOne({ clinicId }) : null;
+  return settings || new this({ clinicId });
+};
+
+module.exports = mongoose.model('MessagingSettings', messagingSettingsSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Notifications = require('../utils/notifications');
+
+// One entry in a staff member's notification inbox
+const notificationSchema = new mongoose.Schema({
+  // Doctor, nurse, pharmacist or clinic account
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Recipient is required']
+  },
+  recipientRole: {
+    type: String,
+    required: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic'
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: Object.keys(Notifications.TYPES)
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // The record the notification is about
+  entity: {
+    kind: {
+      type: String,
+      enum: Object.keys(Notifications.ENTITY_LINKS)
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  // Frontend path to open when the notification is clicked
+  link: {
+    type: String,
+    trim: true
+  },
+  readAt: Date,
+  archivedAt: Date,
+  emailedAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+
+notificationSchema.index({ recipientId: 1, archivedAt: 1, createdAt: -1 });
+notificationSchema.index({ recipientId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
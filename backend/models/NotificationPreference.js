@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const Notifications = require('../utils/notifications');
+
+// Which notification types a staff member also wants by email.
+// Only changed types are stored; the rest follow Notifications.TYPES.
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+  userRole: String,
+  email: {
+    type: Map,
+    of: Boolean,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Effective { [type]: boolean } email settings for a user
+notificationPreferenceSchema.statics.emailSettingsFor = async function(userId) {
+  const preference = await this.findOne({ userId }).lean();
+  return Notifications.emailPreferences(preference?.email);
+};
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -21,7 +21,7 @@ const otpSchema = new mongoose.Schema({
   purpose: {
     type: String,
     required: [true, 'OTP purpose is required'],
-    enum: ['login', 'registration', 'password_reset', 'email_verification'],
+    enum: ['login', 'registration', 'password_reset', 'email_verification', 'patient_login'],
     default: 'login'
   },
   
@@ -161,6 +161,11 @@ otpSchema.statics.verifyOTP = async function(email, code, purpose = 'login') {
   });
   
   if (!otp) {
+    // Count wrong guesses against the pending code so it can't be brute-forced
+    await this.updateOne(
+      { email, purpose, status: 'pending' },
+      { $inc: { attempts: 1 } }
+    );
     return { success: false, message: 'Invalid OTP code' };
   }
   
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const EmailDelivery = require('../utils/emailDelivery');
+
+// One outgoing email, kept as the clinic's delivery log and for retries
+const outboundEmailSchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic'
+  },
+  template: {
+    type: String,
+    enum: Object.keys(EmailDelivery.TEMPLATES),
+    default: 'other'
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true
+  },
+  recipientName: String,
+  // Nodemailer "from": a string or { name, address }
+  from: mongoose.Schema.Types.Mixed,
+  subject: String,
+  // Not stored for login and reset codes, which are never retried or resent
+  html: String,
+  text: String,
+  headers: mongoose.Schema.Types.Mixed,
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: EmailDelivery.STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  attemptErrors: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    error: String,
+    code: String
+  }],
+  lastError: String,
+  lastAttemptAt: Date,
+  nextAttemptAt: Date,
+  sentAt: Date,
+  messageId: String,
+  // The record the email is about
+  related: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  resendOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboundEmail'
+  }
+}, {
+  timestamps: true
+});
+
+// Nodemailer options to send the stored email again
+outboundEmailSchema.methods.toMail = function() {
+  return {
+    from: this.from,
+    to: this.to,
+    subject: this.subject,
+    html: this.html,
+    text: this.text,
+    ...(this.headers && { headers: this.headers })
+  };
+};
+
+outboundEmailSchema.index({ clinicId: 1, createdAt: -1 });
+outboundEmailSchema.index({ clinicId: 1, status: 1 });
+
+// Delivery history is kept for 90 days
+outboundEmailSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OutboundEmail', outboundEmailSchema);
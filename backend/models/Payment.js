@@ -44,7 +44,7 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending',
     index: true
   },
@@ -75,12 +75,19 @@ const paymentSchema = new mongoose.Schema({
   notes: {
     type: String
   },
+  // Total of the processed refunds; each one is a Refund document
   refundAmount: {
     type: Number,
     default: 0
   },
   refundReason: {
     type: String
+  },
+  // Pending and processed refunds, reserved atomically so concurrent refunds
+  // can't exceed the payment. No default: unset means not yet counted.
+  refundReserved: {
+    type: Number,
+    min: 0
   }
 }, {
   timestamps: true
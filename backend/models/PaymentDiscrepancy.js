@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const PaymentEvents = require('../utils/paymentEvents');
+
+// A difference between a Payment and the gateway's records, found by reconciliation
+const paymentDiscrepancySchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(PaymentEvents.MISMATCHES),
+    required: true
+  },
+  // Our value and the gateway's, e.g. amounts or statuses
+  expected: mongoose.Schema.Types.Mixed,
+  actual: mongoose.Schema.Types.Mixed,
+  razorpayOrderId: String,
+  gatewayPaymentId: String,
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: Date,
+  resolution: String
+}, {
+  timestamps: true
+});
+
+paymentDiscrepancySchema.index({ clinicId: 1, status: 1, lastSeenAt: -1 });
+paymentDiscrepancySchema.index({ paymentId: 1, type: 1, status: 1 });
+
+module.exports = mongoose.model('PaymentDiscrepancy', paymentDiscrepancySchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A received gateway webhook, so redelivered events are only applied once
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  gateway: {
+    type: String,
+    default: 'razorpay'
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  gatewayPaymentId: String,
+  // processing while being applied; failed events, and ones left processing by a crash,
+  // are applied again when redelivered
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  result: String,
+  error: String,
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Event history is kept for 90 days
+paymentEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
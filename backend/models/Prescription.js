@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Dosing = require('../utils/dosing');
+
+// One batch picked when a medication was dispensed (FEFO may split across several)
+const dispensedBatchSchema = new mongoose.Schema({
+  inventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    trim: true
+  },
+  expiryDate: {
+    type: Date
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryTransaction'
+  }
+}, { _id: false });
 
 const medicationSchema = new mongoose.Schema({
   name: {
@@ -26,6 +53,39 @@ const medicationSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // Structured dosing, parsed from the free text above when not given directly
+  doseAmount: {
+    type: Number,
+    min: [0, 'Dose amount cannot be negative']
+  },
+  doseUnit: {
+    type: String,
+    enum: Dosing.DOSE_UNITS
+  },
+  route: {
+    type: String,
+    enum: Dosing.ROUTES
+  },
+  frequencyCode: {
+    type: String,
+    enum: Object.keys(Dosing.FREQUENCIES)
+  },
+  timesPerDay: {
+    type: Number
+  },
+  durationDays: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 day']
+  },
+  prn: {
+    type: Boolean,
+    default: false
+  },
+  // Units to dispense for the whole course (tablets, capsules...)
+  totalQuantity: {
+    type: Number,
+    min: 0
+  },
   // Dispensing information
   dispensed: {
     type: Boolean,
@@ -40,6 +100,10 @@ const medicationSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  dispensedBatches: {
+    type: [dispensedBatchSchema],
+    default: []
+  },
   dispensedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Pharmacist',
@@ -49,6 +113,15 @@ const medicationSchema = new mongoose.Schema({
     type: Date,
     default: null
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Last day of this medication's course, counted from the prescription date
+medicationSchema.virtual('courseEndDate').get(function() {
+  const prescription = typeof this.parent === 'function' ? this.parent() : null;
+  return Dosing.courseEndDate(prescription?.date, this);
 });
 
 const prescriptionSchema = new mongoose.Schema({
@@ -90,6 +163,13 @@ const prescriptionSchema = new mongoose.Schema({
     unique: true
   },
   
+  // Secret printed in the QR code so prescription numbers can't be guessed on the public verify page
+  verificationCode: {
+    type: String,
+    default: () => crypto.randomBytes(8).toString('hex'),
+    select: false
+  },
+  
   date: {
     type: Date,
     default: Date.now,
@@ -105,6 +185,39 @@ const prescriptionSchema = new mongoose.Schema({
   
   medications: [medicationSchema],
   
+  // Interaction/allergy warnings shown to the doctor when the prescription was saved
+  interactionWarnings: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['interaction', 'allergy', 'duplicate']
+    },
+    severity: {
+      type: String,
+      enum: ['minor', 'moderate', 'major', 'contraindicated']
+    },
+    pair: [String],
+    description: String,
+    advice: String,
+    source: String
+  }],
+  
+  // Reason the doctor gave for prescribing despite a contraindication
+  interactionOverride: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Override reason cannot exceed 500 characters']
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor'
+    },
+    overriddenAt: {
+      type: Date
+    }
+  },
+  
   // Additional Information
   notes: {
     type: String,
@@ -155,6 +268,12 @@ const prescriptionSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Keep structured dosing and free text in step before validation
+prescriptionSchema.pre('validate', function(next) {
+  this.medications.forEach(medication => Dosing.structure(medication));
+  next();
+});
+
 // Generate prescription number before saving
 prescriptionSchema.pre('save', async function(next) {
   if (this.isNew && !this.prescriptionNumber) {
@@ -178,6 +297,14 @@ prescriptionSchema.index({ date: -1 });
 prescriptionSchema.index({ status: 1 });
 prescriptionSchema.index({ createdAt: -1 });
 
+// Date the longest medication course finishes (null if any course is open-ended)
+prescriptionSchema.virtual('courseEndDate').get(function() {
+  if (!this.medications?.length) return null;
+  const ends = this.medications.map(medication => Dosing.courseEndDate(this.date, medication));
+  if (ends.some(end => !end)) return null;
+  return new Date(Math.max(...ends.map(end => end.getTime())));
+});
+
 // Virtual for prescription age
 prescriptionSchema.virtual('age').get(function() {
   return Math.floor((Date.now() - this.date) / (1000 * 60 * 60 * 24));
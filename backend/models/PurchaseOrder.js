@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const Inventory = require('./Inventory');
+
+const PO_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+// Allowed status moves; receiving drives partially_received/received on its own
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  partially_received: ['received'],
+  received: [],
+  cancelled: []
+};
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  // Existing inventory item the line restocks (used as template for new batches)
+  inventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    default: null
+  },
+  medicationName: {
+    type: String,
+    required: [true, 'Medication name is required'],
+    trim: true
+  },
+  genericName: {
+    type: String,
+    trim: true
+  },
+  manufacturer: {
+    type: String,
+    trim: true
+  },
+  strength: {
+    type: String,
+    required: [true, 'Strength is required'],
+    trim: true
+  },
+  category: {
+    type: String,
+    default: 'Tablet'
+  },
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: [1, 'Ordered quantity must be at least 1']
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+// One line of a goods-received note; each one becomes a new inventory batch
+const receiptLineSchema = new mongoose.Schema({
+  lineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  inventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  manufacturingDate: {
+    type: Date
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  sellingPrice: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const goodsReceiptSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  receivedByName: {
+    type: String,
+    trim: true
+  },
+  supplierInvoiceNumber: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  lines: [receiptLineSchema]
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  status: {
+    type: String,
+    enum: PO_STATUSES,
+    default: 'draft'
+  },
+  lines: {
+    type: [purchaseOrderLineSchema],
+    validate: [lines => lines.length > 0, 'At least one line is required']
+  },
+  receipts: [goodsReceiptSchema],
+  // Last GRN number handed out; taken atomically when a receipt claims its quantities
+  receiptSequence: {
+    type: Number,
+    min: 0
+  },
+  expectedDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  createdByName: {
+    type: String,
+    trim: true
+  },
+  sentAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+purchaseOrderSchema.index({ clinicId: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplierId: 1 });
+
+// Generate PO number before validation
+purchaseOrderSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.poNumber) {
+    try {
+      const count = await mongoose.model('PurchaseOrder').countDocuments({ clinicId: this.clinicId });
+      const date = new Date();
+      const year = date.getFullYear();
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      this.poNumber = `PO-${year}${month}-${String(this.clinicId).slice(-4).toUpperCase()}-${String(count + 1).padStart(4, '0')}`;
+    } catch (error) {
+      console.error('Error generating PO number:', error);
+    }
+  }
+  next();
+});
+
+purchaseOrderSchema.virtual('totalAmount').get(function() {
+  return (this.lines || []).reduce((sum, line) => sum + line.quantityOrdered * (line.unitPrice || 0), 0);
+});
+
+// Instance method to check a manual status change against the workflow
+purchaseOrderSchema.methods.canTransitionTo = function(newStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+// Instance method to derive status from received quantities
+purchaseOrderSchema.methods.refreshReceiptStatus = function() {
+  const anyReceived = this.lines.some(line => line.quantityReceived > 0);
+  const allReceived = this.lines.every(line => line.quantityReceived >= line.quantityOrdered);
+
+  if (allReceived) {
+    this.status = 'received';
+    this.receivedAt = new Date();
+  } else if (anyReceived) {
+    this.status = 'partially_received';
+  }
+
+  return this.status;
+};
+
+// Instance method to check received lines against what is still outstanding.
+// Returns the reason the receipt can't be taken, or null.
+purchaseOrderSchema.methods.receiptError = function(receivedLines, now = new Date()) {
+  const outstanding = new Map(this.lines.map(line => [String(line._id), line.quantityOrdered - line.quantityReceived]));
+  for (const received of receivedLines) {
+    const remaining = outstanding.get(String(received.lineId));
+    if (remaining === undefined) {
+      return `Line ${received.lineId} is not on this purchase order`;
+    }
+    if (parseInt(received.quantity) > remaining) {
+      return `Received quantity for ${this.lines.id(received.lineId).medicationName} exceeds the outstanding ${remaining}`;
+    }
+    if (new Date(received.expiryDate) <= now) {
+      return `Batch ${received.batchNumber} is already expired`;
+    }
+    outstanding.set(String(received.lineId), remaining - parseInt(received.quantity));
+  }
+  return null;
+};
+
+/**
+ * Claim the received quantities on an order before any stock is created, so
+ * two receipts at once can't take in more than was ordered. The first claim
+ * also takes the receipt's GRN number from the order's sequence.
+ * @param {Object} order - PurchaseOrder document the lines were checked against
+ * @param {Array} receivedLines - [{ lineId, quantity }]
+ * @returns {Promise<{grnNumber: string, release: Function}>} release() gives the quantities back
+ */
+purchaseOrderSchema.statics.claimReceipt = async function(order, receivedLines) {
+  const claims = new Map();
+  for (const received of receivedLines) {
+    const lineId = String(received.lineId);
+    claims.set(lineId, (claims.get(lineId) || 0) + parseInt(received.quantity));
+  }
+
+  const claimed = [];
+  const release = () => Promise.all(claimed.map(([lineId, quantity]) => this.updateOne(
+    { _id: order._id, 'lines._id': lineId },
+    { $inc: { 'lines.$.quantityReceived': -quantity } }
+  )));
+
+  // Orders from before the sequence continue from the receipts they hold
+  await this.updateOne(
+    { _id: order._id, receiptSequence: { $exists: false } },
+    { $set: { receiptSequence: order.receipts.length } }
+  );
+
+  let sequence;
+  for (const [lineId, quantity] of claims) {
+    const line = order.lines.id(lineId);
+    const result = await this.findOneAndUpdate(
+      {
+        _id: order._id,
+        lines: { $elemMatch: { _id: line._id, quantityReceived: { $lte: line.quantityOrdered - quantity } } }
+      },
+      {
+        $inc: {
+          'lines.$.quantityReceived': quantity,
+          ...(sequence === undefined && { receiptSequence: 1 })
+        }
+      },
+      { new: true, projection: { receiptSequence: 1 } }
+    );
+    if (!result) {
+      await release();
+      const error = new Error(`${line.medicationName} has just been received by someone else; reload the order and try again`);
+      error.statusCode = 409;
+      throw error;
+    }
+    sequence = sequence ?? result.receiptSequence;
+    claimed.push([lineId, quantity]);
+  }
+
+  return { grnNumber: `GRN-${order.poNumber}-${sequence}`, release };
+};
+
+// Static method to suggest PO lines for products at or below their reorder level.
+// Batches of the same product (name + strength) are pooled, expired stock does not count,
+// and quantities already on open orders are taken off the suggestion.
+purchaseOrderSchema.statics.suggestReorderLines = async function(clinicId) {
+  const now = new Date();
+
+  const [items, openOrders] = await Promise.all([
+    Inventory.find({ clinicId, isActive: true }).sort({ createdAt: -1 }),
+    this.find({ clinicId, status: { $in: ['draft', 'sent', 'partially_received'] } }).select('lines')
+  ]);
+
+  const productKey = (name, strength) => `${name}|${strength}`.trim().toLowerCase();
+
+  const onOrder = new Map();
+  openOrders.forEach(order => {
+    order.lines.forEach(line => {
+      const key = productKey(line.medicationName, line.strength);
+      const outstanding = Math.max(line.quantityOrdered - line.quantityReceived, 0);
+      onOrder.set(key, (onOrder.get(key) || 0) + outstanding);
+    });
+  });
+
+  const products = new Map();
+  items.forEach(item => {
+    const key = productKey(item.medicationName, item.strength);
+    if (!products.has(key)) {
+      // Items are sorted newest first, so the first one seen is the template
+      products.set(key, { template: item, stock: 0, reorderLevel: 0 });
+    }
+    const product = products.get(key);
+    if (item.expiryDate >= now) {
+      product.stock += item.quantity;
+    }
+    product.reorderLevel = Math.max(product.reorderLevel, item.reorderLevel);
+  });
+
+  const suggestions = [];
+  products.forEach((product, key) => {
+    const pending = onOrder.get(key) || 0;
+    if (product.stock > product.reorderLevel) return;
+
+    // Restock to twice the reorder level, less anything already ordered
+    const quantityOrdered = Math.max(product.reorderLevel * 2, 1) - product.stock - pending;
+    if (quantityOrdered <= 0) return;
+
+    const { template } = product;
+    suggestions.push({
+      inventoryId: template._id,
+      medicationName: template.medicationName,
+      genericName: template.genericName,
+      manufacturer: template.manufacturer,
+      strength: template.strength,
+      category: template.category,
+      unitPrice: template.unitPrice,
+      quantityOrdered,
+      currentStock: product.stock,
+      reorderLevel: product.reorderLevel,
+      onOrder: pending
+    });
+  });
+
+  return suggestions.sort((a, b) => a.currentStock - b.currentStock);
+};
+
+purchaseOrderSchema.statics.STATUSES = PO_STATUSES;
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
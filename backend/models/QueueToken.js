@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// One token in a doctor's walk-in queue for one clinic day
+const queueTokenSchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic ID is required']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Doctor ID is required']
+  },
+  // Clinic-local calendar day, stored as UTC midnight like appointment dates
+  date: {
+    type: Date,
+    required: true
+  },
+  tokenNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Walk-ins need not be registered patients yet
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  patientName: {
+    type: String,
+    required: [true, 'Patient name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Set when a pre-booked patient checks in and joins the queue
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // Booked clinic-local "HH:MM"; once it arrives the token goes ahead of walk-ins
+  appointmentTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Please provide a valid time in HH:MM format']
+  },
+  source: {
+    type: String,
+    enum: ['walk_in', 'appointment'],
+    default: 'walk_in'
+  },
+  priority: {
+    type: String,
+    enum: ['normal', 'priority'],
+    default: 'normal'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'called', 'in_consultation', 'skipped', 'done', 'cancelled'],
+    default: 'waiting'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  calledAt: Date,
+  callCount: {
+    type: Number,
+    default: 0
+  },
+  consultationStartedAt: Date,
+  completedAt: Date,
+  skippedAt: Date,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+// Minutes from issue until the consultation started
+queueTokenSchema.virtual('waitMinutes').get(function() {
+  if (!this.consultationStartedAt) return null;
+  return Math.round((this.consultationStartedAt - this.issuedAt) / 60000);
+});
+
+queueTokenSchema.virtual('consultationMinutes').get(function() {
+  if (!this.consultationStartedAt || !this.completedAt) return null;
+  return Math.round((this.completedAt - this.consultationStartedAt) / 60000);
+});
+
+queueTokenSchema.set('toJSON', { virtuals: true });
+
+// Token numbers are unique per doctor per day; issuing retries on a clash
+queueTokenSchema.index({ doctorId: 1, date: 1, tokenNumber: 1 }, { unique: true });
+queueTokenSchema.index({ clinicId: 1, date: 1, status: 1 });
+queueTokenSchema.index({ appointmentId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('QueueToken', queueTokenSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Refunds = require('../utils/refunds');
+
+// Money given back against a Payment; a payment can have several partial refunds
+const refundSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    index: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    index: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be more than zero']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // gateway: back to the card or account the patient paid from
+  method: {
+    type: String,
+    enum: ['gateway', ...Refunds.MANUAL_METHODS],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Refunds.STATUSES,
+    default: 'pending'
+  },
+  gateway: String,
+  gatewayRefundId: {
+    type: String,
+    index: true
+  },
+  failureReason: String,
+  requestedBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String,
+    name: String
+  },
+  // Who confirmed handing back a manual refund
+  confirmedBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String,
+    name: String
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ clinicId: 1, createdAt: -1 });
+
+// Generate receipt number before validation
+refundSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.receiptNumber) {
+    try {
+      const count = await mongoose.model('Refund').countDocuments();
+      const date = new Date();
+      const year = date.getFullYear();
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      this.receiptNumber = `RFND-${year}${month}-${String(count + 1).padStart(5, '0')}`;
+    } catch (error) {
+      console.error('Error generating refund receipt number:', error);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Minutes before the appointment
+const DEFAULT_OFFSETS = [24 * 60, 2 * 60];
+const MAX_OFFSET = 7 * 24 * 60;
+
+const offsetsField = {
+  type: [{
+    type: Number,
+    min: [5, 'Reminders must be at least 5 minutes before the appointment'],
+    max: [MAX_OFFSET, 'Reminders can be at most 7 days before the appointment']
+  }],
+  default: undefined
+};
+
+// Empty subject/body fall back to the clinic default, then the built-in template
+const reminderRuleSchema = new mongoose.Schema({
+  appointmentType: {
+    type: String,
+    required: [true, 'Appointment type is required'],
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  offsets: offsetsField,
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    maxlength: [5000, 'Template cannot exceed 5000 characters']
+  }
+}, { _id: false });
+
+const reminderSettingsSchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic ID is required'],
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  offsets: {
+    ...offsetsField,
+    default: DEFAULT_OFFSETS
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    maxlength: [5000, 'Template cannot exceed 5000 characters']
+  },
+  // Per appointment type overrides
+  rules: [reminderRuleSchema],
+  updatedBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Effective reminder rule for one appointment type
+ * @param {string} appointmentType
+ * @returns {Object} { enabled, offsets, subject, body } - offsets sorted largest first
+ */
+reminderSettingsSchema.methods.resolveRule = function(appointmentType) {
+  const rule = (this.rules || []).find(candidate => candidate.appointmentType === appointmentType);
+  const offsets = rule?.offsets?.length ? rule.offsets : this.offsets;
+
+  return {
+    enabled: this.enabled && (rule ? rule.enabled : true),
+    offsets: [...new Set(offsets)].sort((a, b) => b - a),
+    subject: rule?.subject || this.subject || null,
+    body: rule?.body || this.body || null
+  };
+};
+
+// Settings for a clinic, or unsaved defaults when it never configured reminders
+reminderSettingsSchema.statics.forClinic = async function(clinicId) {
+  const settings = await this.findOne({ clinicId });
+  return settings || new this({ clinicId });
+};
+
+reminderSettingsSchema.statics.DEFAULT_OFFSETS = DEFAULT_OFFSETS;
+reminderSettingsSchema.statics.MAX_OFFSET = MAX_OFFSET;
+
+module.exports = mongoose.model('ReminderSettings', reminderSettingsSchema);
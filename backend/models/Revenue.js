@@ -48,7 +48,7 @@ const revenueSchema = new mongoose.Schema({
     },
     reason: {
       type: String,
-      enum: ['approved', 'rejected', 'cancelled', 'adjustment'],
+      enum: ['approved', 'rejected', 'cancelled', 'refunded', 'adjustment'],
       required: true
     },
     timestamp: {
@@ -107,11 +107,13 @@ revenueSchema.statics.addRevenue = async function(clinicId, invoiceId, amount, r
   }
 };
 
-// Static method to subtract revenue
-revenueSchema.statics.subtractRevenue = async function(clinicId, invoiceId, amount, reason = 'rejected') {
+// Static method to subtract revenue. A partial refund takes money off
+// without removing the invoice from the count (options.removeInvoice = false).
+revenueSchema.statics.subtractRevenue = async function(clinicId, invoiceId, amount, reason = 'rejected', options = {}) {
   const now = new Date();
   const year = now.getFullYear();
   const month = now.getMonth() + 1;
+  const removeInvoice = options.removeInvoice !== false;
 
   try {
     const result = await this.findOneAndUpdate(
@@ -119,7 +121,7 @@ revenueSchema.statics.subtractRevenue = async function(clinicId, invoiceId, amou
       {
         $inc: { 
           totalRevenue: -amount,
-          invoiceCount: -1
+          invoiceCount: removeInvoice ? -1 : 0
         },
         $push: {
           invoiceEntries: {
@@ -133,7 +135,10 @@ revenueSchema.statics.subtractRevenue = async function(clinicId, invoiceId, amou
         $set: { lastUpdated: now }
       },
       { 
-        new: true
+        // A refund in a month with no takings yet still has to be recorded
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true
       }
     );
 
@@ -145,6 +150,12 @@ revenueSchema.statics.subtractRevenue = async function(clinicId, invoiceId, amou
   }
 };
 
+// Static method to check whether an invoice's takings were ever counted
+revenueSchema.statics.wasRecorded = async function(invoiceId) {
+  const entry = await this.exists({ invoiceEntries: { $elemMatch: { invoiceId, action: 'add' } } });
+  return Boolean(entry);
+};
+
 // Static method to get current month revenue
 revenueSchema.statics.getCurrentMonthRevenue = async function(clinicId) {
   const now = new Date();
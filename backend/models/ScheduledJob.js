@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A unit of background work, persisted so pending jobs survive restarts
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  // Dedupe key - scheduling the same key twice keeps the first job
+  key: {
+    type: String,
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: [true, 'Run time is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  lockedAt: Date,
+  lockedBy: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+scheduledJobSchema.index({ name: 1, 'payload.appointmentId': 1 });
+scheduledJobSchema.index({ name: 1, 'payload.clinicId': 1, runAt: -1 });
+
+// Finished jobs are kept for 30 days as a delivery history
+scheduledJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [150, 'Supplier name cannot exceed 150 characters']
+  },
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  drugLicenseNumber: {
+    type: String,
+    trim: true
+  },
+  paymentTerms: {
+    type: String,
+    trim: true // e.g., "Net 30"
+  },
+  leadTimeDays: {
+    type: Number,
+    min: 0,
+    default: 7
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ clinicId: 1, name: 1 });
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
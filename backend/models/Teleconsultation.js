@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ClinicTime = require('../utils/clinicTime');
 
 const teleconsultationSchema = new mongoose.Schema({
   // Appointment Reference
@@ -109,9 +110,9 @@ const teleconsultationSchema = new mongoose.Schema({
     min: [15, 'Duration must be at least 15 minutes'],
     max: [240, 'Duration cannot exceed 4 hours']
   },
+  // Clinic timezone the scheduled date and time are in; filled from the clinic when created
   timezone: {
-    type: String,
-    default: 'Asia/Kolkata'
+    type: String
   },
   
   // Meeting Status
@@ -312,7 +313,7 @@ teleconsultationSchema.virtual('scheduledDateTime').get(function() {
     return null;
   }
   try {
-    return new Date(`${this.scheduledDate.toISOString().split('T')[0]}T${this.scheduledTime}`);
+    return ClinicTime.toInstant(this.scheduledDate, this.scheduledTime, this.timezone);
   } catch (error) {
     console.error('Error creating scheduledDateTime virtual:', error);
     return null;
@@ -348,6 +349,19 @@ teleconsultationSchema.pre('save', function(next) {
   next();
 });
 
+// New teleconsultations take their clinic's timezone
+teleconsultationSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.timezone) {
+    try {
+      this.timezone = await mongoose.model('Clinic').getTimeZone(this.clinicId);
+    } catch (error) {
+      console.error('Error resolving teleconsultation timezone:', error);
+      this.timezone = ClinicTime.DEFAULT_TIME_ZONE;
+    }
+  }
+  next();
+});
+
 // Indexes for better query performance
 teleconsultationSchema.index({ appointmentId: 1 });
 teleconsultationSchema.index({ patientId: 1 });
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const PRIORITY_RANK = { urgent: 3, high: 2, normal: 1 };
+
+const slotOfferSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  sourceAppointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    default: 30
+  },
+  status: {
+    type: String,
+    // 'accepting' while the accept link's booking is being made, so it can only be used once
+    enum: ['pending', 'accepting', 'accepted', 'declined', 'expired', 'withdrawn'],
+    default: 'pending'
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  emailSent: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const waitlistEntrySchema = new mongoose.Schema({
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic ID is required']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Doctor ID is required']
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required']
+  },
+  appointmentType: {
+    type: String,
+    default: 'General Consultation'
+  },
+  duration: {
+    type: Number,
+    default: 30,
+    min: 15,
+    max: 240
+  },
+
+  // Preferences - empty means "any"
+  preferredDays: [{
+    type: Number,
+    min: 0,
+    max: 6 // 0 = Sunday
+  }],
+  preferredTimeFrom: {
+    type: String // "HH:MM"
+  },
+  preferredTimeTo: {
+    type: String // "HH:MM"
+  },
+  earliestDate: Date,
+  latestDate: Date,
+
+  priority: {
+    type: String,
+    enum: Object.keys(PRIORITY_RANK),
+    default: 'normal'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'removed'],
+    default: 'waiting'
+  },
+  offers: [slotOfferSchema],
+  bookedAppointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+
+  createdBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+waitlistEntrySchema.virtual('priorityRank').get(function() {
+  return PRIORITY_RANK[this.priority] || 0;
+});
+
+waitlistEntrySchema.virtual('activeOffer').get(function() {
+  return (this.offers || []).find(offer => offer.status === 'pending') || null;
+});
+
+waitlistEntrySchema.index({ doctorId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ clinicId: 1, status: 1 });
+waitlistEntrySchema.index({ 'offers.token': 1 });
+waitlistEntrySchema.index({ 'offers.status': 1, 'offers.expiresAt': 1 });
+
+waitlistEntrySchema.statics.PRIORITY_RANK = PRIORITY_RANK;
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
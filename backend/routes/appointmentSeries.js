@@ -0,0 +1,509 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Invoice = require('../models/Invoice');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Nurse = require('../models/Nurse');
+const Clinic = require('../models/Clinic');
+const auth = require('../middleware/auth');
+const Recurrence = require('../utils/recurrence');
+const ClinicTime = require('../utils/clinicTime');
+const waitlistService = require('../services/waitlistService');
+
+// Occurrences that can still be moved or cancelled
+const OPEN_STATUSES = ['Processing', 'Scheduled', 'Confirmed'];
+const SCOPES = ['this', 'following', 'all'];
+const EDITABLE_FIELDS = ['doctorId', 'time', 'duration', 'appointmentType', 'priority', 'location', 'reason', 'notes'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const validateSeries = [
+  body('patientId').isMongoId().withMessage('Valid patient ID is required'),
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('appointmentType').isIn(Appointment.schema.path('appointmentType').enumValues).withMessage('Valid appointment type is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('time').trim().matches(/^\d{2}:\d{2}$/).withMessage('Appointment time is required (HH:MM)'),
+  body('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('priority').optional().isIn(['low', 'normal', 'high']).withMessage('Valid priority level is required'),
+  body('recurrence.frequency').isIn(Recurrence.FREQUENCIES).withMessage(`Recurrence frequency must be one of: ${Recurrence.FREQUENCIES.join(', ')}`),
+  body('recurrence.interval').optional().isInt({ min: 1, max: Recurrence.MAX_INTERVAL }).withMessage(`Interval must be between 1 and ${Recurrence.MAX_INTERVAL}`),
+  body('recurrence.count').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: Recurrence.MAX_OCCURRENCES }).withMessage(`Count must be between 1 and ${Recurrence.MAX_OCCURRENCES}`),
+  body('recurrence.until').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid end date is required')
+];
+
+// Restrict lookups to the caller's clinic
+const clinicScope = (req, query = {}) => {
+  if (req.user.role === 'clinic') {
+    query.clinicId = req.user.id;
+  } else if (req.user.clinicId) {
+    query.clinicId = req.user.clinicId;
+  }
+  return query;
+};
+
+// Same clinic resolution as single appointment creation
+const resolveClinicId = async (req, doctor) => {
+  if (req.user.role === 'clinic') return req.user.id;
+  if (req.user.role === 'doctor') return doctor.clinicId;
+  if (['nurse', 'head_nurse', 'supervisor'].includes(req.user.role)) {
+    const nurse = await Nurse.findById(req.user.id);
+    return nurse?.clinicId;
+  }
+  return req.body.clinicId;
+};
+
+/**
+ * Run Appointment.checkForConflicts for every planned occurrence
+ * @param {Array<Object>} plan - [{ date, time, duration, doctorId, appointmentId? }]
+ * @param {Set<string>} ignoreIds - Appointments being moved together, which can't clash with each other's old slots
+ * @returns {Promise<Array<Object>>} The plan with a `conflicts` array on each entry
+ */
+const checkPlan = async (plan, ignoreIds = new Set()) => {
+  const checked = [];
+  for (const occurrence of plan) {
+    const conflicts = await Appointment.checkForConflicts(
+      occurrence.doctorId,
+      occurrence.date,
+      occurrence.time,
+      occurrence.duration,
+      occurrence.appointmentId
+    );
+    checked.push({
+      ...occurrence,
+      conflicts: conflicts.filter(conflict => !ignoreIds.has(String(conflict.appointmentId)))
+    });
+  }
+  return checked;
+};
+
+const summarizeOccurrence = ({ date, time, conflicts, appointmentId }) => ({
+  appointmentId,
+  date: date.toISOString().split('T')[0],
+  time,
+  hasConflicts: conflicts.length > 0,
+  conflicts
+});
+
+const conflictResponse = (checked) => {
+  const clashes = checked.filter(occurrence => occurrence.conflicts.length > 0);
+  return {
+    error: `${clashes.length} of ${checked.length} occurrence(s) clash with existing appointments`,
+    code: 'SERIES_CONFLICTS',
+    occurrences: checked.map(summarizeOccurrence),
+    clashes: clashes.map(summarizeOccurrence)
+  };
+};
+
+const buildPlan = (req) => {
+  const dates = Recurrence.expand(req.body.startDate, req.body.recurrence);
+  return dates.map(date => ({
+    date,
+    time: req.body.time,
+    duration: parseInt(req.body.duration) || 30,
+    doctorId: req.body.doctorId
+  }));
+};
+
+// Load a series occurrence the caller may manage, with its series
+const loadOccurrence = async (req) => {
+  const appointment = await Appointment.findOne(clinicScope(req, {
+    _id: req.params.appointmentId,
+    seriesId: { $exists: true, $ne: null }
+  }));
+  if (!appointment) return {};
+  const series = await AppointmentSeries.findById(appointment.seriesId);
+  return { appointment, series };
+};
+
+// Open occurrences affected by a scoped change, earliest first
+const findScopeTargets = async (appointment, scope) => {
+  if (scope === 'this') return [appointment];
+
+  const today = ClinicTime.dayStart(ClinicTime.today(await Clinic.getTimeZone(appointment.clinicId)));
+  return Appointment.find({
+    seriesId: appointment.seriesId,
+    status: { $in: OPEN_STATUSES },
+    date: { $gte: scope === 'following' ? appointment.date : today }
+  }).sort({ date: 1 });
+};
+
+/**
+ * End a series just before the given occurrence ("this and following").
+ * Keeps whichever end condition the rule already used.
+ */
+const truncateSeries = (series, appointment) => {
+  if (series.recurrence.count) {
+    series.recurrence.count = appointment.seriesIndex;
+  } else {
+    series.recurrence.until = new Date(Recurrence.toDay(appointment.date).getTime() - DAY_MS);
+  }
+};
+
+// POST /api/appointment-series/preview - Expand a rule and report clashes without booking
+router.post('/preview', auth, validateSeries, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const checked = await checkPlan(buildPlan(req));
+    const clashes = checked.filter(occurrence => occurrence.conflicts.length > 0);
+
+    res.json({
+      description: Recurrence.describe(Recurrence.normalize(req.body.recurrence)),
+      total: checked.length,
+      clashCount: clashes.length,
+      occurrences: checked.map(summarizeOccurrence)
+    });
+  } catch (error) {
+    console.error('Error previewing appointment series:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+  }
+});
+
+// POST /api/appointment-series - Create a series and book every occurrence
+router.post('/', auth, validateSeries, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const [patient, doctor] = await Promise.all([
+      Patient.findById(req.body.patientId),
+      Doctor.findById(req.body.doctorId)
+    ]);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const clinicId = await resolveClinicId(req, doctor);
+    if (!clinicId) {
+      return res.status(400).json({ error: 'Clinic ID is required' });
+    }
+
+    const recurrence = Recurrence.normalize(req.body.recurrence);
+    const checked = await checkPlan(buildPlan(req));
+    const clashes = checked.filter(occurrence => occurrence.conflicts.length > 0);
+
+    // Staff confirm skipping clashing dates after seeing them
+    if (clashes.length > 0 && !req.body.skipConflicts) {
+      return res.status(409).json(conflictResponse(checked));
+    }
+    if (clashes.length === checked.length) {
+      return res.status(409).json({ ...conflictResponse(checked), error: 'Every occurrence clashes with existing appointments' });
+    }
+
+    const series = new AppointmentSeries({
+      patientId: patient._id,
+      doctorId: doctor._id,
+      clinicId,
+      appointmentType: req.body.appointmentType,
+      time: req.body.time,
+      duration: parseInt(req.body.duration) || 30,
+      priority: req.body.priority || 'normal',
+      location: req.body.location,
+      reason: req.body.reason,
+      notes: req.body.notes,
+      startDate: Recurrence.toDay(req.body.startDate),
+      recurrence,
+      skippedDates: clashes.map(occurrence => ({
+        date: occurrence.date,
+        reason: 'conflict',
+        conflicts: occurrence.conflicts
+      })),
+      createdBy: { id: req.user.id, role: req.user.role }
+    });
+    await series.save();
+
+    const appointments = [];
+    for (const [index, occurrence] of checked.entries()) {
+      if (occurrence.conflicts.length > 0) continue;
+
+      const appointment = new Appointment({
+        patientId: patient._id,
+        patientName: patient.fullName,
+        doctorId: doctor._id,
+        provider: `Dr. ${doctor.fullName}`,
+        clinicId,
+        appointmentType: series.appointmentType,
+        date: occurrence.date,
+        time: occurrence.time,
+        duration: occurrence.duration,
+        priority: series.priority,
+        location: series.location || undefined,
+        reason: series.reason,
+        notes: series.notes,
+        status: req.body.status === 'Processing' ? 'Processing' : 'Scheduled',
+        seriesId: series._id,
+        seriesIndex: index
+      });
+      await appointment.save();
+      try {
+        await Invoice.createForAppointment(appointment);
+      } catch (invoiceError) {
+        console.error('Failed to create appointment invoice:', invoiceError);
+      }
+      appointments.push(appointment);
+    }
+
+    await Patient.findByIdAndUpdate(patient._id, {
+      lastVisit: new Date(),
+      nextAppointment: appointments[0].date
+    });
+
+    res.status(201).json({
+      message: `Booked ${appointments.length} of ${checked.length} appointments`,
+      series,
+      appointments,
+      skipped: clashes.map(summarizeOccurrence)
+    });
+  } catch (error) {
+    console.error('Error creating appointment series:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+  }
+});
+
+// GET /api/appointment-series/:id - Series with all of its occurrences
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findOne(clinicScope(req, { _id: req.params.id }))
+      .populate('patientId', 'fullName phone email')
+      .populate('doctorId', 'fullName specialty');
+    if (!series) {
+      return res.status(404).json({ error: 'Appointment series not found' });
+    }
+
+    const appointments = await Appointment.find({ seriesId: series._id })
+      .sort({ date: 1 })
+      .select('date time duration status seriesIndex seriesException doctorId');
+
+    res.json({ series, appointments });
+  } catch (error) {
+    console.error('Error fetching appointment series:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid series ID' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/appointment-series/occurrences/:appointmentId - Edit this / this and following / all occurrences
+router.put('/occurrences/:appointmentId', auth, [
+  body('scope').isIn(SCOPES).withMessage(`Scope must be one of: ${SCOPES.join(', ')}`),
+  body('date').optional().isISO8601().withMessage('Valid date is required'),
+  body('time').optional().matches(/^\d{2}:\d{2}$/).withMessage('Time must be HH:MM'),
+  body('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('doctorId').optional().isMongoId().withMessage('Valid doctor ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { appointment, series } = await loadOccurrence(req);
+    if (!appointment || !series) {
+      return res.status(404).json({ error: 'Series appointment not found' });
+    }
+
+    const { scope } = req.body;
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    if (changes.duration) changes.duration = parseInt(changes.duration);
+
+    let doctor = null;
+    if (changes.doctorId) {
+      doctor = await Doctor.findById(changes.doctorId);
+      if (!doctor) {
+        return res.status(404).json({ error: 'Doctor not found' });
+      }
+    }
+
+    // A new date moves "this" occurrence; for wider scopes it shifts every occurrence by the same number of days
+    const dayShift = req.body.date
+      ? Math.round((Recurrence.toDay(req.body.date) - Recurrence.toDay(appointment.date)) / DAY_MS)
+      : 0;
+
+    const targets = await findScopeTargets(appointment, scope);
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'No open appointments in this part of the series' });
+    }
+
+    const plan = targets.map(target => ({
+      appointmentId: target._id,
+      date: Recurrence.addDays(Recurrence.toDay(target.date), dayShift),
+      time: changes.time || target.time,
+      duration: changes.duration || target.duration,
+      doctorId: changes.doctorId || target.doctorId
+    }));
+    const checked = await checkPlan(plan, new Set(targets.map(target => String(target._id))));
+    const clashes = checked.filter(occurrence => occurrence.conflicts.length > 0);
+
+    if (clashes.length > 0 && (scope === 'this' || !req.body.skipConflicts)) {
+      return res.status(409).json(conflictResponse(checked));
+    }
+
+    // "This and following" from the middle of a series splits it in two
+    let targetSeries = series;
+    const isFirstOccurrence = appointment.seriesIndex === 0 ||
+      !(await Appointment.exists({ seriesId: series._id, date: { $lt: appointment.date } }));
+
+    if (scope === 'following' && !isFirstOccurrence) {
+      const remaining = series.recurrence.count ? series.recurrence.count - appointment.seriesIndex : null;
+      const { _id, __v, createdAt, updatedAt, ...template } = series.toObject({ virtuals: false });
+      targetSeries = new AppointmentSeries({
+        ...template,
+        startDate: Recurrence.addDays(Recurrence.toDay(appointment.date), dayShift),
+        recurrence: {
+          frequency: series.recurrence.frequency,
+          interval: series.recurrence.interval,
+          count: remaining,
+          until: series.recurrence.until ? Recurrence.addDays(series.recurrence.until, dayShift) : null
+        },
+        skippedDates: series.skippedDates.filter(skipped => skipped.date >= appointment.date),
+        parentSeriesId: series._id,
+        createdBy: { id: req.user.id, role: req.user.role }
+      });
+
+      truncateSeries(series, appointment);
+      series.skippedDates = series.skippedDates.filter(skipped => skipped.date < appointment.date);
+      await series.save();
+    }
+
+    if (scope !== 'this') {
+      Object.assign(targetSeries, changes);
+      if (dayShift && targetSeries === series) {
+        targetSeries.startDate = Recurrence.addDays(Recurrence.toDay(series.startDate), dayShift);
+        if (series.recurrence.until) {
+          targetSeries.recurrence.until = Recurrence.addDays(series.recurrence.until, dayShift);
+        }
+      }
+      await targetSeries.save();
+
+      if (targetSeries !== series) {
+        // Move every later occurrence, including cancelled ones, to the new series
+        const moved = await Appointment.find({ seriesId: series._id, date: { $gte: appointment.date } });
+        for (const member of moved) {
+          member.seriesId = targetSeries._id;
+          member.seriesIndex = member.seriesIndex - appointment.seriesIndex;
+          await member.save();
+        }
+      }
+    }
+
+    const updated = [];
+    for (const occurrence of checked) {
+      if (occurrence.conflicts.length > 0) continue;
+
+      const update = {
+        ...changes,
+        date: occurrence.date,
+        seriesException: scope === 'this',
+        updatedAt: new Date()
+      };
+      if (doctor) update.provider = `Dr. ${doctor.fullName}`;
+
+      updated.push(await Appointment.findByIdAndUpdate(occurrence.appointmentId, update, { new: true, runValidators: true }));
+    }
+
+    res.json({
+      message: `Updated ${updated.length} appointment(s)`,
+      series: targetSeries,
+      appointments: updated,
+      skipped: clashes.map(summarizeOccurrence)
+    });
+  } catch (error) {
+    console.error('Error updating series appointments:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid appointment ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/appointment-series/occurrences/:appointmentId/cancel - Cancel this / this and following / all occurrences
+router.post('/occurrences/:appointmentId/cancel', auth, [
+  body('scope').isIn(SCOPES).withMessage(`Scope must be one of: ${SCOPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { appointment, series } = await loadOccurrence(req);
+    if (!appointment || !series) {
+      return res.status(404).json({ error: 'Series appointment not found' });
+    }
+
+    const { scope } = req.body;
+    const targets = await findScopeTargets(appointment, scope);
+    const cancelled = targets.filter(target => OPEN_STATUSES.includes(target.status));
+    const ids = cancelled.map(target => target._id);
+
+    await Appointment.updateMany(
+      { _id: { $in: ids } },
+      { $set: { status: 'Cancelled', updatedAt: new Date() } }
+    );
+
+    // Offer the freed slots to the waitlist in the background, one at a time
+    // so a patient is never offered two of them at once
+    (async () => {
+      for (const target of cancelled) {
+        await waitlistService.handleFreedAppointment(target);
+      }
+    })();
+
+    if (scope === 'all') {
+      series.status = 'cancelled';
+      await series.save();
+    } else if (scope === 'following') {
+      const hasEarlier = await Appointment.exists({
+        seriesId: series._id,
+        date: { $lt: appointment.date },
+        status: { $ne: 'Cancelled' }
+      });
+      if (hasEarlier) {
+        truncateSeries(series, appointment);
+      } else {
+        series.status = 'cancelled';
+      }
+      await series.save();
+    }
+
+    res.json({
+      message: `Cancelled ${ids.length} appointment(s)`,
+      cancelledCount: ids.length,
+      series
+    });
+  } catch (error) {
+    console.error('Error cancelling series appointments:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid appointment ID' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -7,10 +7,17 @@ const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Clinic = require('../models/Clinic');
 const Nurse = require('../models/Nurse');
-const AppointmentInvoice = require('../models/AppointmentInvoice');
-const DoctorFees = require('../models/DoctorFees');
+const Invoice = require('../models/Invoice');
 const auth = require('../middleware/auth');
 const ActivityLogger = require('../utils/activityLogger');
+const waitlistService = require('../services/waitlistService');
+const realtimeService = require('../services/realtimeService');
+const slotService = require('../services/slotService');
+const Slots = require('../utils/slots');
+const ClinicTime = require('../utils/clinicTime');
+
+// Timezone of the signed-in user's clinic; super admins get the default
+const clinicTimeZone = (user) => Clinic.getTimeZone(user.role === 'clinic' ? user.id : user.clinicId);
 
 // Validation middleware
 const validateAppointment = [
@@ -56,27 +63,38 @@ router.get('/check-conflicts', auth, async (req, res) => {
   }
 });
 
-// GET /api/appointments/doctor-availability/:doctorId - Get doctor's availability for a specific date
+// GET /api/appointments/doctor-availability/:doctorId - Get doctor's bookings and free slots for a specific date
 router.get('/doctor-availability/:doctorId', auth, async (req, res) => {
   try {
     const { doctorId } = req.params;
-    const { date } = req.query;
+    const { date, duration } = req.query;
     
     if (!date) {
       return res.status(400).json({ error: 'Date is required' });
     }
 
-    const appointmentDate = new Date(date);
-    const bookedSlots = await Appointment.getDoctorAvailability(doctorId, appointmentDate);
+    const schedule = await slotService.loadDay(doctorId, date);
+    const result = Slots.compute({ ...schedule, duration: parseInt(duration) || undefined });
+    const bookedSlots = schedule.appointments
+      .sort((a, b) => a.time.localeCompare(b.time))
+      .map(apt => ({
+        appointmentId: apt._id,
+        time: apt.time,
+        duration: apt.duration,
+        status: apt.status
+      }));
 
     res.json({
-      date: appointmentDate,
+      ...result,
       doctorId: doctorId,
       bookedSlots: bookedSlots,
       totalAppointments: bookedSlots.length
     });
   } catch (error) {
     console.error('Error getting doctor availability:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -585,28 +603,11 @@ router.post('/', auth, validateAppointment, async (req, res) => {
       .populate('patientId', 'fullName phone email')
       .populate('doctorId', 'fullName specialty phone');
 
+    realtimeService.appointmentCreated(appointment);
+
     // Create appointment invoice
     try {
-      // Get doctor fees
-      const doctorFees = await DoctorFees.findOne({ doctorId: doctor._id });
-      const appointmentFee = doctorFees?.appointmentFees || 500; // Default to 500 if not set
-
-      const appointmentInvoice = new AppointmentInvoice({
-        appointmentId: appointment._id,
-        patientId: patient._id,
-        doctorId: doctor._id,
-        clinicId: clinicId,
-        amount: appointmentFee,
-        paymentMethod: 'pending',
-        appointmentDetails: {
-          appointmentType: appointment.appointmentType,
-          appointmentDate: appointment.date,
-          appointmentTime: appointment.time,
-          duration: appointment.duration || 30
-        }
-      });
-
-      await appointmentInvoice.save();
+      const appointmentInvoice = await Invoice.createForAppointment(appointment);
       console.log('Appointment invoice created:', appointmentInvoice.invoiceNumber);
     } catch (invoiceError) {
       console.error('Failed to create appointment invoice:', invoiceError);
@@ -738,6 +739,8 @@ router.put('/:id', auth, validateAppointment, async (req, res) => {
     .populate('patientId', 'fullName phone email')
     .select('-__v');
 
+    realtimeService.appointmentStatusChanged(updatedAppointment, appointment.status);
+
     res.json({
       message: 'Appointment updated successfully',
       appointment: updatedAppointment
@@ -773,6 +776,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await Appointment.findByIdAndDelete(req.params.id);
+    realtimeService.appointmentDeleted(appointment);
     
     res.json({ message: 'Appointment deleted successfully' });
   } catch (error) {
@@ -784,6 +788,51 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// PATCH /api/appointments/:id/link-patient - Attach an online booking request to a patient record
+router.patch('/:id/link-patient', auth, [
+  body('patientId').isMongoId().withMessage('Valid patient ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const clinicId = req.user.role === 'clinic' ? req.user.id : req.user.clinicId;
+    const appointment = await Appointment.findOne({ _id: req.params.id, clinicId });
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    if (appointment.patientId) {
+      return res.status(409).json({ error: 'This appointment is already linked to a patient' });
+    }
+
+    const patient = await Patient.findOne({ _id: req.body.patientId, clinicId });
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    appointment.patientId = patient._id;
+    appointment.patientName = patient.fullName;
+    await appointment.save();
+
+    try {
+      await Invoice.createForAppointment(appointment);
+    } catch (invoiceError) {
+      console.error('Failed to create appointment invoice:', invoiceError);
+    }
+
+    await appointment.populate('patientId', 'fullName phone email');
+    res.json({ message: `Booking linked to ${patient.fullName}`, appointment });
+  } catch (error) {
+    console.error('Error linking appointment to patient:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid appointment ID' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // PATCH /api/appointments/:id/status - Update appointment status
 router.patch('/:id/status', auth, async (req, res) => {
   try {
@@ -856,6 +905,10 @@ router.patch('/:id/status', auth, async (req, res) => {
       }
     }
 
+    if (!appointment.patientId && ['Scheduled', 'Confirmed', 'In Progress', 'Completed'].includes(status)) {
+      return res.status(400).json({ error: 'Link this online booking to a patient record before confirming it' });
+    }
+
     // Store old status for logging
     const oldStatus = appointment.status;
 
@@ -865,6 +918,12 @@ router.patch('/:id/status', auth, async (req, res) => {
     await appointment.save();
 
     console.log('Status updated successfully:', { appointmentId: req.params.id, newStatus: status });
+    realtimeService.appointmentStatusChanged(appointment, oldStatus);
+
+    // Offer the freed slot to the doctor's waitlist in the background
+    if (['Cancelled', 'No Show'].includes(status) && oldStatus !== status) {
+      waitlistService.handleFreedAppointment(appointment);
+    }
 
     // Log appointment status change activity
     try {
@@ -916,12 +975,11 @@ router.patch('/:id/status', auth, async (req, res) => {
 // GET /api/appointments/today - Get today's appointments
 router.get('/today', auth, async (req, res) => {
   try {
-    const today = new Date();
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    // "Today" is the clinic's calendar day, whatever the server's timezone
+    const today = ClinicTime.today(await clinicTimeZone(req.user));
 
     const query = {
-      date: { $gte: startOfDay, $lt: endOfDay }
+      date: { $gte: ClinicTime.dayStart(today), $lt: ClinicTime.addDays(today, 1) }
     };
 
     let appointments;
@@ -1024,8 +1082,13 @@ router.get('/upcoming', auth, async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     
+    // Later today in clinic time, or any later day
+    const now = ClinicTime.now(await clinicTimeZone(req.user));
     const query = {
-      date: { $gte: new Date() },
+      $or: [
+        { date: { $gte: ClinicTime.addDays(now.day, 1) } },
+        { date: { $gte: ClinicTime.dayStart(now.day), $lt: ClinicTime.addDays(now.day, 1) }, time: { $gte: now.time } }
+      ],
       status: { $in: ['Scheduled', 'Confirmed'] }
     };
 
@@ -1160,11 +1223,10 @@ router.get('/stats/trend', auth, async (req, res) => {
     // Generate trend data for the last N days
     const trendData = [];
     
+    const today = ClinicTime.today(await clinicTimeZone(req.user));
     for (let i = numDays - 1; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      const startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-      const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+      const startOfDay = ClinicTime.addDays(today, -i);
+      const endOfDay = ClinicTime.addDays(today, 1 - i);
       
       const count = await Appointment.countDocuments({
         ...baseQuery,
@@ -1172,7 +1234,7 @@ router.get('/stats/trend', auth, async (req, res) => {
       });
       
       trendData.push({
-        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+        date: startOfDay.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
         appointments: count
       });
     }
@@ -1187,9 +1249,9 @@ router.get('/stats/trend', auth, async (req, res) => {
 // GET /api/appointments/stats/summary - Get appointment statistics
 router.get('/stats/summary', auth, async (req, res) => {
   try {
-    const today = new Date();
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    const today = ClinicTime.today(await clinicTimeZone(req.user));
+    const startOfDay = ClinicTime.dayStart(today);
+    const endOfDay = ClinicTime.addDays(today, 1);
     
     // Build base query for filtering
     let baseQuery = {};
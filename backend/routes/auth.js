@@ -8,6 +8,7 @@ const Pharmacist = require('../models/Pharmacist');
 const Clinic = require('../models/Clinic');
 const OTP = require('../models/OTP');
 const emailService = require('../services/emailService');
+const messagingService = require('../services/messagingService');
 const ActivityLogger = require('../utils/activityLogger');
 const tokenManager = require('../utils/tokenManager');
 const auth = require('../middleware/auth');
@@ -1194,16 +1195,20 @@ router.post('/clinic-forgot-password', forgotPasswordValidation, async (req, res
       { upsert: true }
     );
 
-    // Send email
-    try {
-      await emailService.sendPasswordResetOTP(email, clinic.adminName || clinic.name, otpCode);
-    } catch (emailError) {
-      console.error('Failed to send password reset email:', emailError);
+    // Send the code on the clinic's chosen channels
+    const { delivered } = await messagingService.send({
+      type: 'password_reset',
+      clinicId: clinic._id,
+      recipient: { name: clinic.adminName || clinic.name, email, phone: clinic.adminContact },
+      variables: { code: otpCode, expiresMinutes: 5, name: clinic.adminName || clinic.name },
+      email: () => emailService.sendPasswordResetOTP(email, clinic.adminName || clinic.name, otpCode, { clinicId: clinic._id, expiresMinutes: 5 })
+    });
+    if (!delivered) {
       return res.status(500).json({ error: 'Failed to send reset code. Please try again.' });
     }
 
     res.json({ 
-      message: 'Password reset code sent to your email address.',
+      message: 'Password reset code sent to your registered email or phone.',
       success: true 
     });
 
@@ -1358,17 +1363,23 @@ router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
       { upsert: true }
     );
 
-    // Send email
-    try {
-      console.log(`📧 Calling sendPasswordResetOTP with:`, { email, userName, otpCode });
-      await emailService.sendPasswordResetOTP(email, userName, otpCode);
-    } catch (emailError) {
-      console.error('Failed to send password reset email:', emailError);
+    // Send the code on the clinic's chosen channels
+    const { delivered } = await messagingService.send({
+      type: 'password_reset',
+      clinicId: userType === 'clinic' ? user._id : user.clinicId,
+      recipient: { name: userName, email, phone: userType === 'clinic' ? user.adminContact : user.phone },
+      variables: { code: otpCode, expiresMinutes: 5, name: userName },
+      email: () => emailService.sendPasswordResetOTP(email, userName, otpCode, {
+        clinicId: userType === 'clinic' ? user._id : user.clinicId,
+        expiresMinutes: 5
+      })
+    });
+    if (!delivered) {
       return res.status(500).json({ error: 'Failed to send reset code. Please try again.' });
     }
 
     res.json({ 
-      message: 'Password reset code sent to your email address.',
+      message: 'Password reset code sent to your registered email or phone.',
       success: true 
     });
 
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const calendarFeedService = require('../services/calendarFeedService');
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// What the Profile page needs; the URL is only included while a feed is active
+const toResponse = (req, settings) => ({
+  enabled: settings.enabled,
+  url: settings.enabled ? calendarFeedService.getFeedUrl(settings.token, requestBaseUrl(req)) : null,
+  createdAt: settings.createdAt,
+  lastAccessedAt: settings.lastAccessedAt,
+  includePatientNames: settings.includePatientNames
+});
+
+const requireDoctor = (req, res, next) => {
+  if (req.user.role !== 'doctor') {
+    return res.status(403).json({
+      success: false,
+      error: 'Only doctors have a calendar feed'
+    });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+// GET /api/calendar-feeds/me - The signed-in doctor's feed settings and URL
+router.get('/me', auth, requireDoctor, async (req, res) => {
+  try {
+    const settings = await calendarFeedService.getSettings(req.user.id);
+    res.json({ success: true, data: toResponse(req, settings) });
+  } catch (error) {
+    handleError(res, error, 'fetching calendar feed');
+  }
+});
+
+// PUT /api/calendar-feeds/me - Change what the feed shows
+router.put('/me', auth, requireDoctor, [
+  body('includePatientNames').isBoolean().withMessage('includePatientNames must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const settings = await calendarFeedService.updateOptions(req.user.id, {
+      includePatientNames: req.body.includePatientNames
+    });
+    res.json({ success: true, data: toResponse(req, settings) });
+  } catch (error) {
+    handleError(res, error, 'updating calendar feed');
+  }
+});
+
+// POST /api/calendar-feeds/me/regenerate - Issue a new secret URL; the old one stops working
+router.post('/me/regenerate', auth, requireDoctor, async (req, res) => {
+  try {
+    const settings = await calendarFeedService.regenerate(req.user.id);
+    res.json({
+      success: true,
+      message: 'New calendar link created. Any calendar using the old link will stop updating.',
+      data: toResponse(req, settings)
+    });
+  } catch (error) {
+    handleError(res, error, 'regenerating calendar feed');
+  }
+});
+
+// DELETE /api/calendar-feeds/me - Turn the feed off
+router.delete('/me', auth, requireDoctor, async (req, res) => {
+  try {
+    const settings = await calendarFeedService.revoke(req.user.id);
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off',
+      data: toResponse(req, settings)
+    });
+  } catch (error) {
+    handleError(res, error, 'revoking calendar feed');
+  }
+});
+
+// GET /api/calendar-feeds/:token.ics - The feed itself. Calendar apps can't
+// sign in, so the secret token in the URL is the credential.
+router.get('/:token.ics', async (req, res) => {
+  try {
+    if (!TOKEN_PATTERN.test(req.params.token)) {
+      return res.status(404).type('text/plain').send('Calendar feed not found');
+    }
+
+    const ics = await calendarFeedService.buildFeed(req.params.token);
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="appointments.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(ics);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).type('text/plain').send('Calendar feed not found');
+    }
+    console.error('Error building calendar feed:', error);
+    res.status(500).type('text/plain').send('Calendar feed unavailable');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const catalogueService = require('../services/catalogueService');
+const Catalogue = require('../utils/catalogue');
+const Gst = require('../utils/gst');
+
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, error: 'Invalid catalogue item ID' });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    return false;
+  }
+  return true;
+};
+
+const idValidation = [param('id').isMongoId().withMessage('Invalid catalogue item ID')];
+
+const itemValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code').custom(Catalogue.isValidCode).withMessage('Code must be up to 20 letters, digits, dots, dashes or underscores'),
+    field('name').trim().isLength({ min: 1, max: 200 }).withMessage('Name is required and cannot exceed 200 characters'),
+    field('category').isIn(Catalogue.CATEGORIES).withMessage('Invalid category'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('hsnSac').optional({ checkFalsy: true }).matches(/^\d{4,8}$/).withMessage('HSN/SAC code must be 4 to 8 digits'),
+    body('taxClass').optional().isIn(Gst.TAX_CLASSES).withMessage('Invalid tax class'),
+    body('taxRate').optional().isIn(Gst.GST_RATES.map(String)).withMessage('Invalid GST rate'),
+    body('effectiveFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Valid start date is required'),
+    body('effectiveTo').optional({ checkFalsy: true }).isISO8601().withMessage('Valid end date is required')
+  ];
+};
+
+const priceValidation = [
+  body('price').isFloat({ min: 0 }).withMessage('Price must be zero or more'),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters')
+];
+
+// GET /api/catalogue - The clinic's services, priced for a day
+router.get('/', auth, [
+  query('category').optional({ checkFalsy: true }).isIn(Catalogue.CATEGORIES).withMessage('Invalid category'),
+  query('on').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid date')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const result = await catalogueService.list(req.user, req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'fetching service catalogue');
+  }
+});
+
+// GET /api/catalogue/:id - One item with its price history
+router.get('/:id', auth, idValidation, async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const item = await catalogueService.get(req.params.id, req.user);
+    const today = await catalogueService.today(item.clinicId);
+    res.json({ success: true, data: catalogueService.describe(item, today) });
+  } catch (error) {
+    handleError(res, error, 'fetching catalogue item');
+  }
+});
+
+// POST /api/catalogue - Add an item with its opening price
+router.post('/', auth, requireRole(['clinic']), [
+  ...itemValidation(false),
+  ...priceValidation
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const item = await catalogueService.create(req.body, req.user);
+    res.status(201).json({ success: true, message: 'Catalogue item added', data: item });
+  } catch (error) {
+    handleError(res, error, 'adding catalogue item');
+  }
+});
+
+// PUT /api/catalogue/:id - Change an item's details, not its price
+router.put('/:id', auth, requireRole(['clinic']), [
+  ...idValidation,
+  ...itemValidation(true)
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const item = await catalogueService.update(req.params.id, req.body, req.user);
+    res.json({ success: true, message: 'Catalogue item updated', data: item });
+  } catch (error) {
+    handleError(res, error, 'updating catalogue item');
+  }
+});
+
+// POST /api/catalogue/:id/prices - Set a new price from a day onwards
+router.post('/:id/prices', auth, requireRole(['clinic']), [
+  ...idValidation,
+  ...priceValidation,
+  body('effectiveFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Valid start date is required')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const item = await catalogueService.setPrice(req.params.id, req.body, req.user);
+    res.json({ success: true, message: 'Price saved', data: item });
+  } catch (error) {
+    handleError(res, error, 'setting catalogue price');
+  }
+});
+
+// DELETE /api/catalogue/:id/prices/:effectiveFrom - Withdraw a price that hasn't started
+router.delete('/:id/prices/:effectiveFrom', auth, requireRole(['clinic']), [
+  ...idValidation,
+  param('effectiveFrom').isISO8601().withMessage('Invalid date')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const item = await catalogueService.removePrice(req.params.id, req.params.effectiveFrom, req.user);
+    res.json({ success: true, message: 'Scheduled price withdrawn', data: item });
+  } catch (error) {
+    handleError(res, error, 'withdrawing catalogue price');
+  }
+});
+
+// DELETE /api/catalogue/:id - Delete an item that was never billed
+router.delete('/:id', auth, requireRole(['clinic']), idValidation, async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    await catalogueService.remove(req.params.id, req.user);
+    res.json({ success: true, message: 'Catalogue item deleted' });
+  } catch (error) {
+    handleError(res, error, 'deleting catalogue item');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const Clinic = require('../models/Clinic');
 const auth = require('../middleware/auth');
+const ClinicTime = require('../utils/clinicTime');
+const Gst = require('../utils/gst');
 const router = express.Router();
 
 // GET /api/clinics/all - Get all clinics
@@ -66,7 +68,7 @@ router.put('/profile', auth, async (req, res) => {
       });
     }
 
-    const allowedUpdates = ['name', 'email', 'adminEmail', 'phone', 'adminName', 'address', 'city', 'state', 'zipCode', 'country', 'specialties', 'services', 'website', 'operatingHours', 'staffCount'];
+    const allowedUpdates = ['name', 'email', 'adminEmail', 'phone', 'adminName', 'address', 'city', 'state', 'zipCode', 'country', 'specialties', 'services', 'website', 'operatingHours', 'staffCount', 'timezone', 'gstin'];
     const updates = {};
     
     Object.keys(req.body).forEach(key => {
@@ -75,6 +77,23 @@ router.put('/profile', auth, async (req, res) => {
       }
     });
 
+    if (updates.timezone !== undefined && !ClinicTime.isValidTimeZone(updates.timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Timezone must be a valid IANA timezone such as Asia/Kolkata'
+      });
+    }
+
+    if (updates.gstin) {
+      updates.gstin = String(updates.gstin).trim().toUpperCase();
+      if (!Gst.isValidGstin(updates.gstin)) {
+        return res.status(400).json({
+          success: false,
+          error: 'GSTIN must be a valid 15-character GST number such as 27AAPFU0939F1ZV'
+        });
+      }
+    }
+
     updates.updatedAt = new Date();
 
     const clinic = await Clinic.findByIdAndUpdate(
@@ -105,11 +124,30 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
+// GET /api/clinics/timezone - Timezone of the current user's clinic
+router.get('/timezone', auth, async (req, res) => {
+  try {
+    const clinicId = req.user.role === 'clinic' ? req.user.id : req.user.clinicId;
+    const timeZone = await Clinic.getTimeZone(clinicId);
+
+    res.json({
+      success: true,
+      data: { timeZone }
+    });
+  } catch (error) {
+    console.error('Error fetching clinic timezone:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // GET /api/clinics/:id - Get clinic by ID
 router.get('/:id', auth, async (req, res) => {
   try {
     const clinic = await Clinic.findById(req.params.id)
-      .select('_id name adminName email phone city state address specialties services website operatingHours');
+      .select('_id name adminName email phone city state address specialties services website operatingHours timezone');
     
     if (!clinic) {
       return res.status(404).json({
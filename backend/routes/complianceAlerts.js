@@ -3,6 +3,8 @@ const { body, validationResult } = require('express-validator');
 const ComplianceAlert = require('../models/ComplianceAlert');
 const Patient = require('../models/Patient');
 const auth = require('../middleware/auth');
+const realtimeService = require('../services/realtimeService');
+const notificationService = require('../services/notificationService');
 const router = express.Router();
 
 // Validation middleware
@@ -262,6 +264,8 @@ router.post('/', auth, validateComplianceAlert, async (req, res) => {
 
     const alert = new ComplianceAlert(alertData);
     await alert.save();
+    realtimeService.complianceAlertCreated(alert);
+    notificationService.complianceAlertRaised(alert, req.user.id);
 
     // Populate the created alert
     await alert.populate([
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const DoctorAvailability = require('../models/DoctorAvailability');
 const Doctor = require('../models/Doctor');
+const Clinic = require('../models/Clinic');
+const slotService = require('../services/slotService');
+const ClinicTime = require('../utils/clinicTime');
 
 // Get availability for a specific doctor
 router.get('/:doctorId', async (req, res) => {
@@ -28,44 +31,27 @@ router.get('/:doctorId', async (req, res) => {
 });
 
 // Get available time slots for a doctor on a specific date
+// Optional query: duration (minutes), excludeAppointmentId (when rescheduling)
 router.get('/:doctorId/slots/:date', async (req, res) => {
   try {
     const { doctorId, date } = req.params;
-    const Appointment = require('../models/Appointment');
-    const ScheduleException = require('../models/ScheduleException');
-    
-    // Get doctor's weekly availability
-    const availability = await DoctorAvailability.find({ 
-      doctorId,
-      isActive: true 
-    });
-    
-    // Get exceptions for this date
-    const selectedDate = new Date(date);
-    const exceptions = await ScheduleException.find({
-      doctorId,
-      date: {
-        $gte: new Date(selectedDate.setHours(0, 0, 0, 0)),
-        $lte: new Date(selectedDate.setHours(23, 59, 59, 999))
-      },
-      isActive: true
-    });
-    
-    // Get existing appointments for this date
-    const appointments = await Appointment.find({
-      doctorId,
-      date: {
-        $gte: new Date(date + 'T00:00:00'),
-        $lte: new Date(date + 'T23:59:59')
-      },
-      status: { $ne: 'Cancelled' }
+    const { duration, excludeAppointmentId } = req.query;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const result = await slotService.getSlots(doctorId, date, {
+      duration: parseInt(duration) || undefined,
+      excludeAppointmentId
     });
-    
+
     res.json({
       success: true,
-      availability,
-      exceptions,
-      appointments
+      ...result
     });
   } catch (error) {
     console.error('Error fetching time slots:', error);
@@ -80,10 +66,10 @@ router.get('/:doctorId/slots/:date', async (req, res) => {
 // Create or update availability for a doctor (bulk operation)
 router.post('/bulk', async (req, res) => {
   try {
-    const { doctorId, clinicId, schedule, slotDuration } = req.body;
+    const { doctorId, clinicId, schedule, slotDuration, bufferMinutes } = req.body;
     const Appointment = require('../models/Appointment');
     
-    console.log('Bulk update request:', { doctorId, clinicId, scheduleLength: schedule?.length, slotDuration });
+    console.log('Bulk update request:', { doctorId, clinicId, scheduleLength: schedule?.length, slotDuration, bufferMinutes });
     
     if (!doctorId || !clinicId || !schedule) {
       return res.status(400).json({
@@ -102,8 +88,7 @@ router.post('/bulk', async (req, res) => {
     }
 
     // Check for existing appointments in the future
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = ClinicTime.dayStart(ClinicTime.today(await Clinic.getTimeZone(clinicId)));
     
     const futureAppointments = await Appointment.find({
       doctorId,
@@ -114,7 +99,7 @@ router.post('/bulk', async (req, res) => {
     // Get days that have appointments
     const daysWithAppointments = new Set();
     futureAppointments.forEach(apt => {
-      const dayOfWeek = new Date(apt.date).getDay();
+      const dayOfWeek = ClinicTime.dayStart(apt.date).getUTCDay();
       daysWithAppointments.add(dayOfWeek);
     });
 
@@ -175,6 +160,7 @@ router.post('/bulk', async (req, res) => {
               startTime: slot.startTime,
               endTime: slot.endTime,
               slotDuration: slotDuration || 30,
+              bufferMinutes: bufferMinutes || 0,
               isActive: true
             });
           }
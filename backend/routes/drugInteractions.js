@@ -0,0 +1,141 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const DrugInteraction = require('../models/DrugInteraction');
+const DrugClass = require('../models/DrugClass');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/drug-interactions
+// @desc    List interaction rows visible to the clinic (shared + its own)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { search, severity, page = 1, limit = 50 } = req.query;
+    const query = {
+      isActive: true,
+      clinicId: { $in: [null, req.user.clinicId] }
+    };
+
+    if (severity) {
+      query.severity = severity;
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(DrugInteraction.normalizeDrugName(search)), 'i');
+      query.$or = [{ drugA: pattern }, { drugB: pattern }];
+    }
+
+    const total = await DrugInteraction.countDocuments(query);
+    const interactions = await DrugInteraction.find(query)
+      .sort({ drugA: 1, drugB: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    res.json({
+      success: true,
+      data: interactions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching drug interactions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch drug interactions',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/drug-interactions/import
+// @desc    Import clinic-specific interaction rows and drug classes
+// @access  Private (Clinic admin)
+router.post('/import', auth, requireRole(['clinic']), [
+  body('interactions').optional().isArray().withMessage('Interactions must be an array'),
+  body('classes').optional().isArray().withMessage('Classes must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { interactions = [], classes = [] } = req.body;
+    const classResult = await DrugClass.importClasses(classes, req.user.clinicId);
+    const result = await DrugInteraction.importRows(interactions, req.user.clinicId);
+
+    res.json({
+      success: true,
+      message: `Imported ${result.imported} interaction(s) and ${classResult.imported} drug class(es)`,
+      data: {
+        imported: result.imported,
+        classesImported: classResult.imported,
+        skipped: result.skipped
+      }
+    });
+  } catch (error) {
+    console.error('Error importing drug interactions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import drug interactions',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/drug-interactions/:id
+// @desc    Deactivate a clinic-specific interaction row
+// @access  Private (Clinic admin)
+router.delete('/:id', auth, requireRole(['clinic']), [
+  param('id').isMongoId().withMessage('Invalid interaction ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Shared rows can only be changed through the import script
+    const interaction = await DrugInteraction.findOneAndUpdate(
+      { _id: req.params.id, clinicId: req.user.clinicId },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interaction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Interaction removed'
+    });
+  } catch (error) {
+    console.error('Error deleting drug interaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete drug interaction',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
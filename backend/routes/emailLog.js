@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const emailQueue = require('../services/emailQueue');
+const EmailDelivery = require('../utils/emailDelivery');
+
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    return false;
+  }
+  return true;
+};
+
+// The log lists emails, not what they said
+const summarise = (email) => {
+  const { html, text, headers, ...summary } = email.toObject ? email.toObject() : email;
+  return summary;
+};
+
+// GET /api/email-log - The clinic's outgoing emails, newest first
+router.get('/', auth, requireRole(['clinic']), [
+  query('status').optional().isIn(EmailDelivery.STATUSES).withMessage('Invalid status'),
+  query('template').optional().isIn(Object.keys(EmailDelivery.TEMPLATES)).withMessage('Invalid email type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Invalid page'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const result = await emailQueue.getLog(req.user.id, req.query);
+    res.json({
+      success: true,
+      data: { ...result, templates: EmailDelivery.TEMPLATES }
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching email log');
+  }
+});
+
+// POST /api/email-log/:id/resend - Send a logged email again
+router.post('/:id/resend', auth, requireRole(['clinic']), [
+  param('id').isMongoId().withMessage('Invalid email ID')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const email = await emailQueue.resend(req.params.id, req.user.id);
+    if (email.status === 'dead' || email.status === 'failed') {
+      return res.status(502).json({ success: false, error: email.lastError || 'The email could not be resent', data: summarise(email) });
+    }
+    const message = email.status === 'sent'
+      ? `Email resent to ${email.to}`
+      : 'Email could not be sent yet and will be retried';
+    res.json({ success: true, message, data: summarise(email) });
+  } catch (error) {
+    handleError(res, error, 'resending email');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const emailTemplateService = require('../services/emailTemplateService');
+
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    return false;
+  }
+  return true;
+};
+
+const draftValidation = [
+  body('subject').optional().trim().isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+  body('body').optional().isLength({ max: 5000 }).withMessage('Message cannot exceed 5000 characters')
+];
+
+// GET /api/email-templates - Every template type with the clinic's versions
+router.get('/', auth, requireRole(['clinic']), async (req, res) => {
+  try {
+    const result = await emailTemplateService.list(req.user.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'fetching email templates');
+  }
+});
+
+// PUT /api/email-templates/logo - Logo shown by {{clinicLogo}}
+router.put('/logo', auth, requireRole(['clinic']), [
+  body('logoUrl').optional({ checkFalsy: true }).trim().isURL({ protocols: ['https', 'http'], require_protocol: true }).withMessage('Logo must be a web address starting with https://')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const result = await emailTemplateService.updateLogo(req.user.id, req.body.logoUrl);
+    res.json({ success: true, message: 'Logo saved', data: result });
+  } catch (error) {
+    handleError(res, error, 'saving clinic logo');
+  }
+});
+
+// PUT /api/email-templates/:key - Save a new version and start using it
+router.put('/:key', auth, requireRole(['clinic']), [
+  body('subject').trim().notEmpty().withMessage('Subject is required').isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+  body('body').trim().notEmpty().withMessage('Message is required').isLength({ max: 5000 }).withMessage('Message cannot exceed 5000 characters'),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const template = await emailTemplateService.save(req.user.id, req.params.key, req.body, req.user);
+    res.json({ success: true, message: 'Template saved', data: template });
+  } catch (error) {
+    handleError(res, error, 'saving email template');
+  }
+});
+
+// POST /api/email-templates/:key/preview - Render a draft with sample data
+router.post('/:key/preview', auth, requireRole(['clinic']), draftValidation, async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const rendered = await emailTemplateService.render(req.user.id, req.params.key, req.body);
+    res.json({ success: true, data: rendered });
+  } catch (error) {
+    handleError(res, error, 'previewing email template');
+  }
+});
+
+// POST /api/email-templates/:key/test - Email a draft to an address
+router.post('/:key/test', auth, requireRole(['clinic']), [
+  ...draftValidation,
+  body('to').trim().isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const result = await emailTemplateService.sendTest(req.user.id, req.params.key, req.body.to, req.body);
+    if (!result.success) {
+      return res.status(502).json({ success: false, error: result.error || 'The test email could not be sent' });
+    }
+    res.json({ success: true, message: `Test email sent to ${req.body.to}` });
+  } catch (error) {
+    handleError(res, error, 'sending test email');
+  }
+});
+
+// POST /api/email-templates/:key/versions/:version/activate - Roll back to an earlier version
+router.post('/:key/versions/:version/activate', auth, requireRole(['clinic']), [
+  param('version').isInt({ min: 1 }).withMessage('Invalid version')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const template = await emailTemplateService.activate(req.user.id, req.params.key, parseInt(req.params.version));
+    res.json({ success: true, message: `Version ${req.params.version} is now in use`, data: template });
+  } catch (error) {
+    handleError(res, error, 'activating email template version');
+  }
+});
+
+// DELETE /api/email-templates/:key - Go back to the built-in email, keeping the history
+router.delete('/:key', auth, requireRole(['clinic']), async (req, res) => {
+  try {
+    const template = await emailTemplateService.reset(req.user.id, req.params.key);
+    res.json({ success: true, message: 'Using the built-in email', data: template });
+  } catch (error) {
+    handleError(res, error, 'resetting email template');
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const Inventory = require('../models/Inventory');
+const InventoryTransaction = require('../models/InventoryTransaction');
 const auth = require('../middleware/auth');
-const { body, validationResult, param } = require('express-validator');
+const { body, validationResult, param, query } = require('express-validator');
 
 // Get all inventory items with pagination and filters
 router.get('/', auth, async (req, res) => {
@@ -185,15 +186,30 @@ router.post('/',
         return res.status(400).json({ success: false, errors: errors.array() });
       }
 
+      const { quantity, ...rest } = req.body;
       const itemData = {
-        ...req.body,
+        ...rest,
+        quantity: 0,
         clinicId: req.user.clinicId,
         addedBy: req.user._id
       };
 
-      const item = new Inventory(itemData);
+      let item = new Inventory(itemData);
       await item.save();
 
+      // Opening stock goes through the ledger as a receipt
+      const openingQuantity = parseInt(quantity);
+      if (openingQuantity > 0) {
+        ({ item } = await InventoryTransaction.record({
+          inventoryId: item._id,
+          clinicId: item.clinicId,
+          type: 'receipt',
+          quantityChange: openingQuantity,
+          reason: 'Initial stock',
+          user: req.user
+        }));
+      }
+
       await item.populate('addedBy', 'fullName email');
 
       res.status(201).json({
@@ -203,7 +219,7 @@ router.post('/',
       });
     } catch (error) {
       console.error('Error creating inventory item:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to create inventory item',
         error: error.message
@@ -231,11 +247,14 @@ router.put('/:id',
         return res.status(400).json({ success: false, errors: errors.array() });
       }
 
-      const item = await Inventory.findOneAndUpdate(
+      // Quantity is owned by the ledger; a changed count is booked as an adjustment
+      const { quantity, ...updates } = req.body;
+
+      let item = await Inventory.findOneAndUpdate(
         { _id: req.params.id, clinicId: req.user.clinicId },
-        { $set: req.body },
+        { $set: updates },
         { new: true, runValidators: true }
-      ).populate('addedBy', 'fullName email');
+      );
 
       if (!item) {
         return res.status(404).json({
@@ -244,6 +263,19 @@ router.put('/:id',
         });
       }
 
+      if (quantity !== undefined && parseInt(quantity) !== item.quantity) {
+        ({ item } = await InventoryTransaction.record({
+          inventoryId: item._id,
+          clinicId: item.clinicId,
+          type: 'adjustment',
+          quantityChange: parseInt(quantity) - item.quantity,
+          reason: 'Quantity edited on item details',
+          user: req.user
+        }));
+      }
+
+      await item.populate('addedBy', 'fullName email');
+
       res.json({
         success: true,
         message: 'Inventory item updated successfully',
@@ -251,7 +283,7 @@ router.put('/:id',
       });
     } catch (error) {
       console.error('Error updating inventory item:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to update inventory item',
         error: error.message
@@ -260,11 +292,12 @@ router.put('/:id',
   }
 );
 
-// Update stock quantity (for quick stock adjustments)
+// Update stock quantity (for quick stock adjustments after a physical count)
 router.patch('/:id/stock',
   auth,
   param('id').isMongoId(),
   body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a positive number'),
+  body('reason').optional().trim().isLength({ max: 500 }),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -272,18 +305,15 @@ router.patch('/:id/stock',
         return res.status(400).json({ success: false, errors: errors.array() });
       }
 
-      const item = await Inventory.findOneAndUpdate(
-        { _id: req.params.id, clinicId: req.user.clinicId },
-        { $set: { quantity: req.body.quantity } },
-        { new: true }
-      ).populate('addedBy', 'fullName email');
+      const { item } = await InventoryTransaction.count({
+        inventoryId: req.params.id,
+        clinicId: req.user.clinicId,
+        quantity: parseInt(req.body.quantity),
+        reason: req.body.reason,
+        user: req.user
+      });
 
-      if (!item) {
-        return res.status(404).json({
-          success: false,
-          message: 'Inventory item not found'
-        });
-      }
+      await item.populate('addedBy', 'fullName email');
 
       res.json({
         success: true,
@@ -292,7 +322,7 @@ router.patch('/:id/stock',
       });
     } catch (error) {
       console.error('Error updating stock:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to update stock quantity',
         error: error.message
@@ -301,6 +331,173 @@ router.patch('/:id/stock',
   }
 );
 
+// Record a typed stock movement (receipt, return, expiry write-off, transfer, adjustment)
+router.post('/:id/movements',
+  auth,
+  param('id').isMongoId(),
+  [
+    body('type').isIn(['receipt', 'return', 'expiry_writeoff', 'transfer', 'adjustment']).withMessage('Invalid movement type'),
+    body('quantity').isInt().not().equals('0').withMessage('Quantity must be a non-zero whole number'),
+    body('targetInventoryId').if(body('type').equals('transfer')).isMongoId().withMessage('Target inventory item is required for transfers'),
+    body('reason').optional().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { type, targetInventoryId, reason } = req.body;
+      const quantity = parseInt(req.body.quantity);
+      const clinicId = req.user.clinicId;
+
+      if (type === 'transfer') {
+        const { outgoing, incoming } = await InventoryTransaction.transfer({
+          fromInventoryId: req.params.id,
+          toInventoryId: targetInventoryId,
+          clinicId,
+          quantity: Math.abs(quantity),
+          reason,
+          user: req.user
+        });
+
+        return res.status(201).json({
+          success: true,
+          message: 'Stock transferred successfully',
+          data: {
+            item: outgoing.item,
+            transaction: outgoing.transaction,
+            target: incoming.item
+          }
+        });
+      }
+
+      // Only adjustments may go either way; the other types have a fixed direction
+      let quantityChange = quantity;
+      if (type === 'receipt' || type === 'return') {
+        quantityChange = Math.abs(quantity);
+      } else if (type === 'expiry_writeoff') {
+        quantityChange = -Math.abs(quantity);
+      }
+
+      const { item, transaction } = await InventoryTransaction.record({
+        inventoryId: req.params.id,
+        clinicId,
+        type,
+        quantityChange,
+        reason,
+        user: req.user
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Stock movement recorded successfully',
+        data: { item, transaction }
+      });
+    } catch (error) {
+      console.error('Error recording stock movement:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to record stock movement',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Get the stock ledger for an inventory item
+router.get('/:id/ledger', auth, [
+  param('id').isMongoId(),
+  query('type').optional().isIn(InventoryTransaction.TYPES).withMessage('Invalid transaction type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { page = 1, limit = 50, type } = req.query;
+    const clinicId = req.user.clinicId;
+
+    const item = await Inventory.findOne({ _id: req.params.id, clinicId });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory item not found'
+      });
+    }
+
+    const reconciliation = await InventoryTransaction.reconcile(item._id, clinicId);
+
+    const filter = { inventoryId: item._id };
+    if (type) {
+      filter.type = type;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [transactions, total] = await Promise.all([
+      InventoryTransaction.find(filter)
+        .populate('referenceId', 'prescriptionNumber medicationName batchNumber')
+        .populate('relatedInventoryId', 'medicationName batchNumber location')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      InventoryTransaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        item,
+        transactions,
+        reconciliation
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching inventory ledger:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch inventory ledger',
+      error: error.message
+    });
+  }
+});
+
+// Reset the stored quantity to the ledger balance
+router.post('/:id/reconcile', auth, param('id').isMongoId(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const reconciliation = await InventoryTransaction.reconcile(req.params.id, req.user.clinicId, true);
+
+    res.json({
+      success: true,
+      message: reconciliation.discrepancy === 0
+        ? 'Stock quantity already matches the ledger'
+        : `Stock quantity corrected by ${-reconciliation.discrepancy}`,
+      data: reconciliation
+    });
+  } catch (error) {
+    console.error('Error reconciling inventory item:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to reconcile inventory item',
+      error: error.message
+    });
+  }
+});
+
 // Delete inventory item (soft delete)
 router.delete('/:id', auth, param('id').isMongoId(), async (req, res) => {
   try {
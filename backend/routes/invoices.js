@@ -1,645 +1,305 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const mongoose = require('mongoose');
-const Invoice = require('../models/Invoice');
-const Patient = require('../models/Patient');
+const { body, param, query, validationResult } = require('express-validator');
 const Revenue = require('../models/Revenue');
-const Doctor = require('../models/Doctor');
 const Clinic = require('../models/Clinic');
-const Nurse = require('../models/Nurse');
 const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const invoiceService = require('../services/invoiceService');
 const ActivityLogger = require('../utils/activityLogger');
+const Invoices = require('../utils/invoices');
+const Gst = require('../utils/gst');
 const router = express.Router();
 
-// Helper function to get user's clinic ID
-const getUserClinicId = async (user) => {
-  if (!user) return null;
-  
-  if (user.role === 'doctor') {
-    const Doctor = require('../models/Doctor');
-    const doctor = await Doctor.findById(user.id);
-    return doctor?.clinicId || null;
-  } else if (['nurse', 'head_nurse', 'supervisor'].includes(user.role)) {
-    const Nurse = require('../models/Nurse');
-    const nurse = await Nurse.findById(user.id);
-    return nurse?.clinicId || null;
-  } else if (user.role === 'clinic') {
-    return user.id; // Clinic admin's ID is the clinic ID
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
   }
-  
-  return null;
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, error: 'Invalid invoice ID' });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    return false;
+  }
+  return true;
 };
 
-// Validation middleware
-const validateInvoice = [
+// Log an invoice change against the clinic; a logging failure never fails the request
+const logActivity = async (activityType, invoice, req) => {
+  try {
+    const clinic = await Clinic.findById(req.user.clinicId).select('name fullName');
+    await ActivityLogger.logInvoiceActivity(
+      activityType,
+      invoice,
+      { _id: invoice.patientId, fullName: invoice.patientName },
+      req.user,
+      req,
+      clinic?.name || clinic?.fullName || 'Unknown Clinic'
+    );
+  } catch (logError) {
+    console.error(`Failed to log ${activityType}:`, logError);
+  }
+};
+
+// Changing an invoice is for the clinic, admins and the doctor it was raised for
+const canManageInvoices = requireRole(['clinic', 'admin', 'doctor']);
+
+const idValidation = [param('id').isMongoId().withMessage('Invalid invoice ID')];
+
+const invoiceValidation = [
   body('patientId').isMongoId().withMessage('Valid patient ID is required'),
-  body('patientName').trim().isLength({ min: 1 }).withMessage('Patient name is required'),
-  body('invoiceNo').optional().isNumeric().withMessage('Valid invoice number is required'),
-  body('date').trim().isLength({ min: 1 }).withMessage('Invoice date is required'),
+  body('patientName').optional().trim(),
+  body('date').optional({ checkFalsy: true }).isISO8601().withMessage('Valid invoice date is required'),
   body('lineItems').isArray({ min: 1 }).withMessage('At least one line item is required'),
+  body('lineItems.*.type').optional().isIn(Invoices.ITEM_TYPES).withMessage('Invalid line item type'),
+  body('lineItems.*.catalogItemId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid catalogue item'),
   body('lineItems.*.description').trim().isLength({ min: 1 }).withMessage('Item description is required'),
   body('lineItems.*.qty').isFloat({ min: 0.01 }).withMessage('Valid quantity is required'),
   body('lineItems.*.unitPrice').isFloat({ min: 0 }).withMessage('Valid unit price is required'),
-  body('address.line1').trim().isLength({ min: 1 }).withMessage('Address line 1 is required'),
-  body('address.city').trim().isLength({ min: 1 }).withMessage('City is required'),
-  body('address.state').trim().isLength({ min: 1 }).withMessage('State is required'),
-  body('address.zipCode').trim().isLength({ min: 1 }).withMessage('Zip code is required'),
-  body('total').isFloat({ min: 0 }).withMessage('Valid total is required')
+  body('lineItems.*.taxClass').optional({ checkFalsy: true }).isIn(Gst.TAX_CLASSES).withMessage('Invalid tax class'),
+  body('lineItems.*.taxRate').optional({ nullable: true }).isIn(Gst.GST_RATES.map(String)).withMessage('Invalid GST rate'),
+  body('lineItems.*.hsnSac').optional({ checkFalsy: true }).matches(/^\d{4,8}$/).withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('shipping').optional().isFloat({ min: 0 }).withMessage('Shipping cannot be negative'),
+  body('recipientGstin').optional({ checkFalsy: true }).custom(Gst.isValidGstin).withMessage('Recipient GSTIN is not valid'),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Valid email is required')
 ];
 
-// GET /api/invoices - Get all invoices with filtering and pagination
-router.get('/', auth, async (req, res) => {
+// GET /api/invoices - The clinic's invoices of every type, filtered and paginated
+router.get('/', auth, [
+  query('type').optional({ checkFalsy: true }).isIn(Invoices.INVOICE_TYPES).withMessage('Invalid invoice type'),
+  query('patientId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid patient ID'),
+  query('appointmentId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid appointment ID'),
+  query('teleconsultationId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid teleconsultation ID'),
+  query('from').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid from date'),
+  query('to').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid to date')
+], async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      date = '',
-      patientId = '',
-      status = '',
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build query
-    const query = {};
-    
-    // Clinic-based filtering: clinic admins can only see their clinic's invoices
-    if (req.user.role === 'clinic') {
-      query.clinicId = req.user.id;
-    }
-    
-    if (date) {
-      query.date = date;
-    }
-    
-    if (patientId) {
-      query.patientId = patientId;
-    }
-
-    if (status) {
-      query.status = status;
-    }
+    if (!checkValidation(req, res)) return;
+    const { invoices, pagination } = await invoiceService.list(req.user, req.query);
+    res.json({ success: true, invoices, pagination });
+  } catch (error) {
+    handleError(res, error, 'fetching invoices');
+  }
+});
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+// GET /api/invoices/stats/current-month-revenue - Get current month revenue
+router.get('/stats/current-month-revenue', auth, async (req, res) => {
+  try {
+    const { clinicId } = invoiceService.scopeFor(req.user);
 
-    // Execute query with pagination
-    const invoices = await Invoice.find(query)
-      .populate('patientId', 'fullName phone email')
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select('-__v');
+    // Get current month revenue from Revenue model
+    const currentMonthData = await Revenue.getCurrentMonthRevenue(clinicId);
+    const previousMonthRevenue = await Revenue.getPreviousMonthRevenue(clinicId);
 
-    // Get total count for pagination
-    const total = await Invoice.countDocuments(query);
+    // Calculate percentage change
+    let percentageChange = 0;
+    if (previousMonthRevenue > 0) {
+      percentageChange = ((currentMonthData.totalRevenue - previousMonthRevenue) / previousMonthRevenue) * 100;
+    } else if (currentMonthData.totalRevenue > 0) {
+      percentageChange = 100; // If no previous revenue but current revenue exists
+    }
 
     res.json({
-      invoices,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalInvoices: total,
-        hasNextPage: page * limit < total,
-        hasPrevPage: page > 1
-      }
+      currentMonthRevenue: currentMonthData.totalRevenue,
+      previousMonthRevenue: previousMonthRevenue,
+      percentageChange: Math.round(percentageChange * 10) / 10, // Round to 1 decimal place
+      invoiceCount: currentMonthData.invoiceCount,
+      month: currentMonthData.month
     });
   } catch (error) {
-    console.error('Error fetching invoices:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'fetching current month revenue');
   }
 });
 
-// GET /api/invoices/:id - Get invoice by ID
-router.get('/:id', auth, async (req, res) => {
+// GET /api/invoices/stats/summary - Counts by status and type, with the year's revenue
+router.get('/stats/summary', auth, async (req, res) => {
   try {
-    // Filter by clinic for clinic admins
-    const query = { _id: req.params.id };
-    if (req.user.role === 'clinic') {
-      query.clinicId = req.user.id;
-    }
-    
-    const invoice = await Invoice.findOne(query)
-      .populate('patientId', 'fullName phone email address')
-      .select('-__v');
-    
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-    
-    res.json(invoice);
+    res.json(await invoiceService.stats(req.user));
   } catch (error) {
-    console.error('Error fetching invoice:', error);
-    if (error.kind === 'ObjectId') {
-      return res.status(400).json({ error: 'Invalid invoice ID' });
-    }
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'fetching invoice stats');
   }
 });
 
-// POST /api/invoices - Create new invoice
-router.post('/', auth, validateInvoice, async (req, res) => {
+// GET /api/invoices/reports/gstr1 - GSTR-1 return for a month, as JSON or one section as CSV
+router.get('/reports/gstr1', auth, [
+  query('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be given as YYYY-MM'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('section').if(query('format').equals('csv')).isIn(Gst.GSTR1_SECTIONS).withMessage(`Section must be one of ${Gst.GSTR1_SECTIONS.join(', ')}`)
+], async (req, res) => {
   try {
-    console.log('=== Invoice Creation Debug ===');
-    console.log('User object from auth:', req.user);
-    console.log('User role:', req.user?.role);
-    console.log('User ID:', req.user?.id);
-    console.log('Request body clinicId:', req.body.clinicId);
-    
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      console.log('Validation errors:', errors.array());
-      return res.status(400).json({ 
-        error: 'Validation failed',
-        details: errors.array()
-      });
-    }
-
-    // Check if patient exists
-    const patient = await Patient.findById(req.body.patientId);
-    if (!patient) {
-      return res.status(404).json({ error: 'Patient not found' });
-    }
+    if (!checkValidation(req, res)) return;
+    const report = await invoiceService.gstr1(req.user, req.query.month);
 
-    // Check if invoice number already exists (only if provided)
-    if (req.body.invoiceNo) {
-      const existingInvoice = await Invoice.findOne({ invoiceNo: req.body.invoiceNo });
-      if (existingInvoice) {
-        return res.status(400).json({ error: 'Invoice number already exists' });
-      }
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="gstr1-${req.query.month}-${req.query.section}.csv"`);
+      return res.send(Gst.toCsv(report, req.query.section));
     }
+    res.json({ success: true, report });
+  } catch (error) {
+    handleError(res, error, 'building GSTR-1 report');
+  }
+});
 
-    // Create new invoice with clinic reference
-    let clinicId;
-    
-    console.log('=== Clinic Assignment Logic ===');
-    console.log('Checking user role:', req.user.role);
-    
-    if (req.user.role === 'clinic') {
-      // Clinic admin uses their own ID
-      clinicId = req.user.id;
-      console.log('Clinic admin - using user ID as clinicId:', clinicId);
-    } else if (['nurse', 'head_nurse', 'supervisor'].includes(req.user.role)) {
-      // Nursing staff uses their assigned clinic
-      console.log('Nurse detected - looking up nurse record');
-      const Nurse = require('../models/Nurse');
-      const nurse = await Nurse.findById(req.user.id);
-      
-      console.log('Nurse found:', nurse ? 'Yes' : 'No');
-      console.log('Nurse clinicId:', nurse?.clinicId);
-      
-      if (!nurse || !nurse.clinicId) {
-        console.log('ERROR: Nurse not found or missing clinicId');
-        return res.status(403).json({ 
-          error: 'Access denied. Nurse clinic information not found. Please contact administrator to assign you to a clinic.',
-          nurseInfo: {
-            name: nurse?.fullName,
-            email: nurse?.email,
-            role: nurse?.role
-          }
-        });
-      }
-      
-      clinicId = nurse.clinicId;
-      console.log('Nurse clinicId assigned:', clinicId);
-    } else if (req.user.role === 'doctor') {
-      // Doctors use their assigned clinic (if any) or the provided clinicId
-      console.log('Doctor detected - looking up doctor record');
-      const Doctor = require('../models/Doctor');
-      const doctor = await Doctor.findById(req.user.id);
-      
-      console.log('Doctor found:', doctor ? 'Yes' : 'No');
-      console.log('Doctor clinicId:', doctor?.clinicId);
-      
-      if (doctor && doctor.clinicId) {
-        clinicId = doctor.clinicId;
-        console.log('Using doctor clinicId:', clinicId);
-      } else {
-        clinicId = req.body.clinicId;
-        console.log('Using request body clinicId:', clinicId);
-      }
-    } else {
-      // Super admin or other roles use provided clinicId
-      clinicId = req.body.clinicId;
-      console.log('Other role - using request body clinicId:', clinicId);
-    }
-    
-    console.log('Final clinicId:', clinicId);
-    
-    if (!clinicId) {
-      console.log('ERROR: No clinicId determined');
-      return res.status(400).json({ 
-        error: 'Clinic ID is required. Please ensure you are assigned to a clinic or provide a clinic ID.' 
-      });
-    }
-    
-    const invoiceData = {
-      ...req.body,
-      clinicId: clinicId
-    };
-    const invoice = new Invoice(invoiceData);
-    await invoice.save();
+// GET /api/invoices/:id - Get invoice by ID
+router.get('/:id', auth, idValidation, async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const invoice = await invoiceService.get(req.params.id, req.user);
+    res.json(await invoiceService.populated(invoice._id));
+  } catch (error) {
+    handleError(res, error, 'fetching invoice');
+  }
+});
 
-    const populatedInvoice = await Invoice.findById(invoice._id)
-      .populate('patientId', 'fullName phone email');
+// GET /api/invoices/:id/pdf - Download the invoice as a PDF
+router.get('/:id/pdf', auth, idValidation, async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const invoice = await invoiceService.get(req.params.id, req.user);
+    const { pdf, filename } = await invoiceService.pdf(invoice);
 
-    // Log invoice creation activity
-    try {
-      let currentUser = null;
-      let clinicName = 'Unknown Clinic';
-      
-      if (req.user.role === 'clinic') {
-        currentUser = await Clinic.findById(req.user.id);
-        clinicName = currentUser?.name || currentUser?.fullName || 'Unknown Clinic';
-      } else if (req.user.role === 'doctor') {
-        currentUser = await Doctor.findById(req.user.id);
-        if (currentUser?.clinicId) {
-          const clinic = await Clinic.findById(currentUser.clinicId);
-          clinicName = clinic?.name || clinic?.fullName || 'Unknown Clinic';
-        }
-      } else if (['nurse', 'head_nurse', 'supervisor'].includes(req.user.role)) {
-        currentUser = await Nurse.findById(req.user.id);
-        if (currentUser?.clinicId) {
-          const clinic = await Clinic.findById(currentUser.clinicId);
-          clinicName = clinic?.name || clinic?.fullName || 'Unknown Clinic';
-        }
-      }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+  } catch (error) {
+    handleError(res, error, 'generating invoice PDF');
+  }
+});
 
-      if (currentUser) {
-        await ActivityLogger.logInvoiceActivity(
-          'invoice_created',
-          invoice,
-          patient,
-          {
-            id: currentUser._id,
-            fullName: currentUser.fullName || currentUser.name,
-            email: currentUser.email || currentUser.adminEmail,
-            role: req.user.role,
-            clinicId: req.user.role === 'clinic' ? req.user.id : (currentUser.clinicId || req.user.id)
-          },
-          req,
-          clinicName
-        );
-      }
-    } catch (logError) {
-      console.error('Failed to log invoice creation:', logError);
-    }
+// POST /api/invoices - Raise an invoice; the number comes from the clinic's sequence
+router.post('/', auth, invoiceValidation, async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const invoice = await invoiceService.create(req.body, req.user);
+    await logActivity('invoice_created', invoice, req);
 
     res.status(201).json({
       message: 'Invoice created successfully',
-      invoice: populatedInvoice
+      invoice: await invoiceService.populated(invoice._id)
     });
   } catch (error) {
-    console.error('Error creating invoice:', error);
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ 
-        error: 'Validation failed',
-        details: Object.values(error.errors).map(err => err.message)
-      });
-    }
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'creating invoice');
   }
 });
 
-// PUT /api/invoices/:id - Update invoice
-router.put('/:id', auth, validateInvoice, async (req, res) => {
+// PUT /api/invoices/:id - Update an unapproved or rejected invoice
+router.put('/:id', auth, canManageInvoices, idValidation, invoiceValidation, async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        error: 'Validation failed',
-        details: errors.array()
-      });
-    }
-
-    // Filter by clinic for clinic admins
-    const query = { _id: req.params.id };
-    if (req.user.role === 'clinic') {
-      query.clinicId = req.user.id;
-    }
-    
-    // Check if invoice exists
-    const invoice = await Invoice.findOne(query);
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-
-    // Check if invoice number is being changed and conflicts with another invoice
-    if (req.body.invoiceNo && req.body.invoiceNo !== invoice.invoiceNo) {
-      const existingInvoice = await Invoice.findOne({ 
-        invoiceNo: req.body.invoiceNo,
-        _id: { $ne: req.params.id }
-      });
-      if (existingInvoice) {
-        return res.status(400).json({ error: 'Invoice number already exists' });
-      }
-    }
-
-    // Update invoice
-    const updatedInvoice = await Invoice.findOneAndUpdate(
-      query,
-      { ...req.body, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    )
-    .populate('patientId', 'fullName phone email')
-    .select('-__v');
-
-    // Log invoice update activity
-    try {
-      let currentUser = null;
-      let clinicName = 'Unknown Clinic';
-      
-      if (req.user.role === 'clinic') {
-        currentUser = await Clinic.findById(req.user.id);
-        clinicName = currentUser?.name || currentUser?.fullName || 'Unknown Clinic';
-      } else if (req.user.role === 'doctor') {
-        currentUser = await Doctor.findById(req.user.id);
-        if (currentUser?.clinicId) {
-          const clinic = await Clinic.findById(currentUser.clinicId);
-          clinicName = clinic?.name || clinic?.fullName || 'Unknown Clinic';
-        }
-      } else if (['nurse', 'head_nurse', 'supervisor'].includes(req.user.role)) {
-        currentUser = await Nurse.findById(req.user.id);
-        if (currentUser?.clinicId) {
-          const clinic = await Clinic.findById(currentUser.clinicId);
-          clinicName = clinic?.name || clinic?.fullName || 'Unknown Clinic';
-        }
-      }
-
-      if (currentUser) {
-        await ActivityLogger.logInvoiceActivity(
-          'invoice_updated',
-          updatedInvoice,
-          updatedInvoice.patientId,
-          {
-            id: currentUser._id,
-            fullName: currentUser.fullName || currentUser.name,
-            email: currentUser.email || currentUser.adminEmail,
-            role: req.user.role,
-            clinicId: req.user.role === 'clinic' ? req.user.id : (currentUser.clinicId || req.user.id)
-          },
-          req,
-          clinicName
-        );
-      }
-    } catch (logError) {
-      console.error('Failed to log invoice update:', logError);
-    }
+    if (!checkValidation(req, res)) return;
+    const invoice = await invoiceService.update(req.params.id, req.body, req.user);
+    await logActivity('invoice_updated', invoice, req);
 
     res.json({
       message: 'Invoice updated successfully',
-      invoice: updatedInvoice
+      invoice: await invoiceService.populated(invoice._id)
     });
   } catch (error) {
-    console.error('Error updating invoice:', error);
-    if (error.kind === 'ObjectId') {
-      return res.status(400).json({ error: 'Invalid invoice ID' });
-    }
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ 
-        error: 'Validation failed',
-        details: Object.values(error.errors).map(err => err.message)
-      });
-    }
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'updating invoice');
   }
 });
 
-// DELETE /api/invoices/:id - Delete invoice
-router.delete('/:id', auth, async (req, res) => {
+// DELETE /api/invoices/:id - Delete an invoice that never counted as revenue
+router.delete('/:id', auth, canManageInvoices, idValidation, async (req, res) => {
   try {
-    // Filter by clinic for clinic admins
-    const query = { _id: req.params.id };
-    if (req.user.role === 'clinic') {
-      query.clinicId = req.user.id;
-    }
-    
-    const invoice = await Invoice.findOne(query);
-    
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-
-    await Invoice.findByIdAndDelete(req.params.id);
-    
+    if (!checkValidation(req, res)) return;
+    await invoiceService.remove(req.params.id, req.user);
     res.json({ message: 'Invoice deleted successfully' });
   } catch (error) {
-    console.error('Error deleting invoice:', error);
-    if (error.kind === 'ObjectId') {
-      return res.status(400).json({ error: 'Invalid invoice ID' });
-    }
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'deleting invoice');
   }
 });
 
 // PATCH /api/invoices/:id/approve - Approve invoice
-router.patch('/:id/approve', auth, async (req, res) => {
+router.patch('/:id/approve', auth, canManageInvoices, [
+  ...idValidation,
+  body('paymentMethod').optional().isIn(Invoices.PAYMENT_METHODS).withMessage('Invalid payment method')
+], async (req, res) => {
   try {
-    // Filter by clinic for clinic admins
-    const query = { _id: req.params.id };
-    if (req.user.role === 'clinic') {
-      query.clinicId = req.user.id;
-    }
-    
-    const invoice = await Invoice.findOne(query);
-    
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-
-    // Check if invoice is already approved
-    if (invoice.status === 'Approved') {
-      return res.status(400).json({ 
-        error: 'Invoice is already approved' 
-      });
-    }
-
-    // Update invoice status to approved
-    const updatedInvoice = await Invoice.findOneAndUpdate(
-      query,
-      {
-        status: 'Approved',
-        approvedBy: req.user.id,
-        approvedAt: new Date()
-      },
-      { new: true, runValidators: true }
-    )
-    .populate('patientId', 'fullName phone email')
-    .select('-__v');
-
-    // Record revenue for the clinic
-    try {
-      await Revenue.addRevenue(
-        updatedInvoice.clinicId,
-        updatedInvoice._id,
-        updatedInvoice.total,
-        'approved'
-      );
-      console.log(`✅ Revenue recorded for invoice ${updatedInvoice._id}: ₹${updatedInvoice.total}`);
-    } catch (revenueError) {
-      console.error('❌ Failed to record revenue:', revenueError);
-      // Don't fail the invoice approval if revenue recording fails
-    }
+    if (!checkValidation(req, res)) return;
+    const invoice = await invoiceService.getManaged(req.params.id, req.user);
+    const updated = await invoiceService.approve(invoice, req.user, { paymentMethod: req.body.paymentMethod });
 
     res.json({
       message: 'Invoice approved successfully',
-      invoice: updatedInvoice
+      invoice: await invoiceService.populated(updated._id)
     });
   } catch (error) {
-    console.error('Error approving invoice:', error);
-    if (error.kind === 'ObjectId') {
-      return res.status(400).json({ error: 'Invalid invoice ID' });
-    }
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'approving invoice');
   }
 });
 
 // PATCH /api/invoices/:id/reject - Reject invoice
-router.patch('/:id/reject', auth, async (req, res) => {
+router.patch('/:id/reject', auth, canManageInvoices, [
+  ...idValidation,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
-    const { reason } = req.body;
-    
-    // Filter by clinic for clinic admins
-    const query = { _id: req.params.id };
-    if (req.user.role === 'clinic') {
-      query.clinicId = req.user.id;
-    }
-    
-    const invoice = await Invoice.findOne(query);
-    
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-
-    // Check if invoice is in a state that can be rejected
-    if (!['Sent', 'Approved'].includes(invoice.status)) {
-      return res.status(400).json({ 
-        error: `Invoice cannot be rejected. Current status: ${invoice.status}` 
-      });
-    }
-
-    // Track if we need to subtract revenue (if invoice was previously approved)
-    const wasApproved = invoice.status === 'Approved';
-
-    // Update invoice status to rejected
-    const updatedInvoice = await Invoice.findOneAndUpdate(
-      query,
-      {
-        status: 'Rejected',
-        rejectedBy: req.user.id,
-        rejectedAt: new Date(),
-        rejectionReason: reason || 'No reason provided'
-      },
-      { new: true, runValidators: true }
-    )
-    .populate('patientId', 'fullName phone email')
-    .select('-__v');
-
-    // Subtract revenue if invoice was previously approved
-    if (wasApproved) {
-      try {
-        await Revenue.subtractRevenue(
-          updatedInvoice.clinicId,
-          updatedInvoice._id,
-          updatedInvoice.total,
-          'rejected'
-        );
-        console.log(`✅ Revenue subtracted for rejected invoice ${updatedInvoice._id}: ₹${updatedInvoice.total}`);
-      } catch (revenueError) {
-        console.error('❌ Failed to subtract revenue:', revenueError);
-        // Don't fail the invoice rejection if revenue adjustment fails
-      }
-    }
+    if (!checkValidation(req, res)) return;
+    const invoice = await invoiceService.getManaged(req.params.id, req.user);
+    const updated = await invoiceService.reject(invoice, req.user, req.body.reason);
 
     res.json({
       message: 'Invoice rejected successfully',
-      invoice: updatedInvoice
+      invoice: await invoiceService.populated(updated._id)
     });
   } catch (error) {
-    console.error('Error rejecting invoice:', error);
-    if (error.kind === 'ObjectId') {
-      return res.status(400).json({ error: 'Invalid invoice ID' });
-    }
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'rejecting invoice');
   }
 });
 
-
-// GET /api/invoices/stats/current-month-revenue - Get current month revenue
-router.get('/stats/current-month-revenue', auth, async (req, res) => {
+// PATCH /api/invoices/:id/mark-paid - Record a payment taken at the clinic
+router.patch('/:id/mark-paid', auth, canManageInvoices, [
+  ...idValidation,
+  body('paymentMethod').isIn(['cash', 'online']).withMessage('Payment method must be cash or online')
+], async (req, res) => {
   try {
-    // Get user's clinic ID for filtering
-    const userClinicId = await getUserClinicId(req.user);
-
-    if (!userClinicId) {
-      return res.status(403).json({ 
-        error: 'Access denied. User must be associated with a clinic to view revenue.' 
-      });
-    }
-
-    // Get current month revenue from Revenue model
-    const currentMonthData = await Revenue.getCurrentMonthRevenue(userClinicId);
-    const previousMonthRevenue = await Revenue.getPreviousMonthRevenue(userClinicId);
-
-    // Calculate percentage change
-    let percentageChange = 0;
-    if (previousMonthRevenue > 0) {
-      percentageChange = ((currentMonthData.totalRevenue - previousMonthRevenue) / previousMonthRevenue) * 100;
-    } else if (currentMonthData.totalRevenue > 0) {
-      percentageChange = 100; // If no previous revenue but current revenue exists
+    if (!checkValidation(req, res)) return;
+    const invoice = await invoiceService.getManaged(req.params.id, req.user);
+    if (!Invoices.canTransition(invoice.status, 'paid')) {
+      return res.status(400).json({ success: false, error: Invoices.transitionError(invoice.status, 'paid') });
     }
+    const updated = await invoiceService.markPaid(invoice, { paymentMethod: req.body.paymentMethod, user: req.user });
 
     res.json({
-      currentMonthRevenue: currentMonthData.totalRevenue,
-      previousMonthRevenue: previousMonthRevenue,
-      percentageChange: Math.round(percentageChange * 10) / 10, // Round to 1 decimal place
-      invoiceCount: currentMonthData.invoiceCount,
-      month: currentMonthData.month
+      message: 'Invoice marked as paid',
+      invoice: await invoiceService.populated(updated._id)
     });
   } catch (error) {
-    console.error('Error fetching current month revenue:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'marking invoice as paid');
   }
 });
 
-// GET /api/invoices/stats/summary - Get invoice statistics
-router.get('/stats/summary', auth, async (req, res) => {
+// PATCH /api/invoices/:id/cancel - Cancel an invoice that hasn't been paid
+router.patch('/:id/cancel', auth, canManageInvoices, [
+  ...idValidation,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
-    // Get user's clinic ID for filtering
-    const userClinicId = await getUserClinicId(req.user);
-
-    if (!userClinicId) {
-      return res.status(403).json({ 
-        error: 'Access denied. User must be associated with a clinic to view invoice statistics.' 
-      });
-    }
-
-    // Get yearly revenue data from Revenue model
-    const currentYear = new Date().getFullYear();
-    const monthlyRevenue = await Revenue.getYearlyRevenue(userClinicId, currentYear);
-
-    // Calculate total revenue and invoice count from monthly data
-    const totalRevenue = monthlyRevenue.reduce((sum, month) => sum + month.totalRevenue, 0);
-    const totalInvoices = monthlyRevenue.reduce((sum, month) => sum + month.invoiceCount, 0);
-
-    // Format monthly revenue for frontend compatibility
-    const formattedMonthlyRevenue = monthlyRevenue.map(month => ({
-      _id: month.month,
-      total: month.totalRevenue,
-      count: month.invoiceCount
-    }));
+    if (!checkValidation(req, res)) return;
+    const invoice = await invoiceService.getManaged(req.params.id, req.user);
+    const updated = await invoiceService.cancel(invoice, req.user, req.body.reason);
 
     res.json({
-      totalInvoices,
-      totalRevenue,
-      monthlyRevenue: formattedMonthlyRevenue
+      message: 'Invoice cancelled successfully',
+      invoice: await invoiceService.populated(updated._id)
     });
   } catch (error) {
-    console.error('Error fetching invoice stats:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'cancelling invoice');
   }
 });
 
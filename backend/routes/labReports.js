@@ -6,6 +6,7 @@ const Doctor = require('../models/Doctor');
 const Nurse = require('../models/Nurse');
 const Clinic = require('../models/Clinic');
 const auth = require('../middleware/auth');
+const realtimeService = require('../services/realtimeService');
 const { labReportUpload, deleteFromCloudinary, extractPublicId } = require('../config/cloudinary');
 
 // Cloudinary storage is configured in config/cloudinary.js
@@ -85,6 +86,7 @@ router.post('/', auth, labReportUpload.single('file'), async (req, res) => {
     });
 
     await labReport.save();
+    realtimeService.labReportUploaded(labReport);
 
     res.status(201).json({
       message: 'Lab report uploaded successfully',
@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const MessagingSettings = require('../models/MessagingSettings');
+const messagingService = require('../services/messagingService');
+const { TwilioSmsProvider, WhatsAppCloudProvider } = require('../services/messagingProviders');
+const Messaging = require('../utils/messaging');
+
+const MESSAGE_TYPE_KEYS = Object.keys(Messaging.MESSAGE_TYPES);
+// Codes people need to sign in must always go out somewhere
+const REQUIRED_TYPES = ['login_otp', 'password_reset'];
+
+const clinicIdFor = (user) => (user.role === 'clinic' ? user.id : user.clinicId);
+
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    return false;
+  }
+  return true;
+};
+
+// Message types with their built-in text, for the settings screen
+const describeTypes = () => Object.entries(Messaging.MESSAGE_TYPES).map(([type, definition]) => ({
+  type,
+  label: definition.label,
+  description: definition.description,
+  channels: Messaging.allowedChannels(type),
+  defaultChannels: definition.defaultChannels,
+  variables: definition.variables,
+  template: definition.template,
+  required: REQUIRED_TYPES.includes(type)
+}));
+
+// GET /api/messaging/settings - Channels and templates per message type
+router.get('/settings', auth, async (req, res) => {
+  try {
+    const clinicId = clinicIdFor(req.user);
+    if (!clinicId) {
+      return res.status(400).json({ success: false, error: 'Clinic ID is required' });
+    }
+
+    const settings = await MessagingSettings.forClinic(clinicId);
+    res.json({
+      success: true,
+      data: {
+        channels: Object.fromEntries(MESSAGE_TYPE_KEYS.map(type => [type, settings.channelsFor(type)])),
+        templates: settings.templates,
+        types: describeTypes(),
+        available: messagingService.availableChannels()
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching messaging settings');
+  }
+});
+
+// PUT /api/messaging/settings - Body: { channels: { [type]: [channel] }, templates: [...] }
+router.put('/settings', auth, requireRole(['clinic']), [
+  body('channels').optional().isObject().withMessage('Channels must be an object'),
+  body('templates').optional().isArray({ max: MESSAGE_TYPE_KEYS.length * 2 }).withMessage('Templates must be a list'),
+  body('templates.*.type').isIn(MESSAGE_TYPE_KEYS).withMessage('Invalid message type'),
+  body('templates.*.channel').isIn(['sms', 'whatsapp']).withMessage('Templates can only be set for SMS and WhatsApp'),
+  body('templates.*.body').optional().isLength({ max: 1000 }).withMessage('Message cannot exceed 1000 characters'),
+  body('templates.*.whatsappTemplate').optional().isLength({ max: 512 }),
+  body('templates.*.whatsappLanguage').optional().matches(/^[a-z]{2,3}(_[A-Z]{2})?$/).withMessage('Invalid WhatsApp template language')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const settings = await MessagingSettings.forClinic(req.user.id);
+    const { channels, templates } = req.body;
+
+    if (channels !== undefined) {
+      const rules = [];
+      for (const [type, selected] of Object.entries(channels)) {
+        if (!MESSAGE_TYPE_KEYS.includes(type)) {
+          return res.status(400).json({ success: false, error: `Unknown message type: ${type}` });
+        }
+        const allowed = Messaging.allowedChannels(type);
+        if (!Array.isArray(selected) || selected.some(channel => !allowed.includes(channel))) {
+          return res.status(400).json({ success: false, error: `Invalid channels for ${Messaging.MESSAGE_TYPES[type].label}` });
+        }
+        if (selected.length === 0 && REQUIRED_TYPES.includes(type)) {
+          return res.status(400).json({ success: false, error: `${Messaging.MESSAGE_TYPES[type].label} needs at least one channel` });
+        }
+        rules.push({ type, channels: [...new Set(selected)] });
+      }
+      settings.channels = rules;
+    }
+
+    if (templates !== undefined) {
+      const keys = templates.map(template => `${template.type}:${template.channel}`);
+      if (new Set(keys).size !== keys.length) {
+        return res.status(400).json({ success: false, error: 'Each message type can only have one template per channel' });
+      }
+      settings.templates = templates
+        .filter(template => template.body || template.whatsappTemplate)
+        .map(template => ({
+          type: template.type,
+          channel: template.channel,
+          body: template.body || undefined,
+          whatsappTemplate: template.channel === 'whatsapp' ? template.whatsappTemplate || undefined : undefined,
+          whatsappLanguage: template.whatsappLanguage || undefined
+        }));
+    }
+
+    settings.updatedBy = { id: req.user.id, role: req.user.role };
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Messaging settings saved',
+      data: {
+        channels: Object.fromEntries(MESSAGE_TYPE_KEYS.map(type => [type, settings.channelsFor(type)])),
+        templates: settings.templates
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'saving messaging settings');
+  }
+});
+
+// POST /api/messaging/preview - Render an SMS/WhatsApp template with sample data
+router.post('/preview', auth, [
+  body('type').isIn(MESSAGE_TYPE_KEYS).withMessage('Invalid message type'),
+  body('body').optional().isLength({ max: 1000 }).withMessage('Message cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const definition = Messaging.MESSAGE_TYPES[req.body.type];
+    const text = Messaging.render(req.body.body || definition.template, Messaging.SAMPLE_VARIABLES);
+    res.json({ success: true, data: { body: text, length: text.length } });
+  } catch (error) {
+    handleError(res, error, 'previewing message');
+  }
+});
+
+// POST /api/messaging/test - Send a test message on one channel
+router.post('/test', auth, requireRole(['clinic']), [
+  body('channel').isIn(Messaging.CHANNELS).withMessage('Invalid channel'),
+  body('to').trim().notEmpty().withMessage('Recipient is required'),
+  body('to').if(body('channel').equals('email')).isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const log = await messagingService.sendTest(req.user.id, req.body.channel, req.body.to);
+    if (log.status === 'failed') {
+      return res.status(502).json({ success: false, error: log.error || 'The message could not be sent', data: log });
+    }
+    res.json({ success: true, message: 'Test message sent', data: log });
+  } catch (error) {
+    handleError(res, error, 'sending test message');
+  }
+});
+
+// GET /api/messaging/logs - Delivery log for the clinic, newest first
+router.get('/logs', auth, requireRole(['clinic']), [
+  query('status').optional().isIn(Messaging.STATUSES),
+  query('channel').optional().isIn(Messaging.CHANNELS),
+  query('type').optional().isIn([...MESSAGE_TYPE_KEYS, 'test']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const result = await messagingService.getLogs(req.user.id, req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'fetching message log');
+  }
+});
+
+// POST /api/messaging/webhooks/twilio - SMS delivery receipts
+router.post('/webhooks/twilio', async (req, res) => {
+  try {
+    const provider = messagingService.getProviders().sms;
+    if (!(provider instanceof TwilioSmsProvider)) {
+      return res.status(404).end();
+    }
+
+    const publicApiUrl = (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    if (!provider.verifySignature(`${publicApiUrl}${req.originalUrl}`, req.body, req.get('X-Twilio-Signature'))) {
+      return res.status(403).end();
+    }
+
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+    await messagingService.recordDeliveryStatus(
+      provider.name,
+      MessageSid,
+      TwilioSmsProvider.mapStatus(MessageStatus),
+      ErrorCode ? `${ErrorCode}${ErrorMessage ? `: ${ErrorMessage}` : ''}` : undefined
+    );
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error handling Twilio status callback:', error);
+    res.status(500).end();
+  }
+});
+
+// GET /api/messaging/webhooks/whatsapp - Meta's subscription check
+router.get('/webhooks/whatsapp', (req, res) => {
+  const provider = messagingService.getProviders().whatsapp;
+  if (
+    provider instanceof WhatsAppCloudProvider &&
+    provider.verifyToken &&
+    req.query['hub.mode'] === 'subscribe' &&
+    req.query['hub.verify_token'] === provider.verifyToken
+  ) {
+    return res.status(200).send(req.query['hub.challenge']);
+  }
+  res.status(403).end();
+});
+
+// POST /api/messaging/webhooks/whatsapp - WhatsApp delivery and read receipts
+router.post('/webhooks/whatsapp', async (req, res) => {
+  try {
+    const provider = messagingService.getProviders().whatsapp;
+    if (!(provider instanceof WhatsAppCloudProvider)) {
+      return res.status(404).end();
+    }
+    if (!provider.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+      return res.status(403).end();
+    }
+
+    const statuses = (req.body.entry || [])
+      .flatMap(entry => entry.changes || [])
+      .flatMap(change => change.value?.statuses || []);
+
+    for (const status of statuses) {
+      await messagingService.recordDeliveryStatus(
+        provider.name,
+        status.id,
+        WhatsAppCloudProvider.mapStatus(status.status),
+        status.errors?.map(error => error.title || error.message).join('; ')
+      );
+    }
+    res.status(200).end();
+  } catch (error) {
+    console.error('Error handling WhatsApp webhook:', error);
+    res.status(500).end();
+  }
+});
+
+module.exports = router;
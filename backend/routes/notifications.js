@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/notifications - The signed-in user's notifications, newest first
+router.get('/', auth, [
+  query('status').optional().isIn(Object.keys(notificationService.STATUS_FILTERS)).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const result = await notificationService.list(req.user.id, req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'fetching notifications');
+  }
+});
+
+// GET /api/notifications/unread-count - Badge count for the bell
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await notificationService.unreadCount(req.user.id);
+    res.json({ success: true, data: { count } });
+  } catch (error) {
+    handleError(res, error, 'counting notifications');
+  }
+});
+
+// GET /api/notifications/preferences - Which notification types are also emailed
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id);
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    handleError(res, error, 'fetching notification preferences');
+  }
+});
+
+// PUT /api/notifications/preferences - Body: { email: { [type]: boolean } }
+router.put('/preferences', auth, [
+  body('email').isObject().withMessage('Email preferences are required')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const preferences = await notificationService.updatePreferences(req.user, req.body.email);
+    res.json({ success: true, data: preferences, message: 'Notification preferences saved' });
+  } catch (error) {
+    handleError(res, error, 'saving notification preferences');
+  }
+});
+
+// POST /api/notifications/read-all - Mark every unread notification as read
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user.id);
+    res.json({ success: true, data: { updated } });
+  } catch (error) {
+    handleError(res, error, 'marking notifications read');
+  }
+});
+
+const actions = {
+  read: (userId, id) => notificationService.markRead(userId, id, true),
+  unread: (userId, id) => notificationService.markRead(userId, id, false),
+  archive: (userId, id) => notificationService.archive(userId, id, true),
+  unarchive: (userId, id) => notificationService.archive(userId, id, false)
+};
+
+// PATCH /api/notifications/:id/{read,unread,archive,unarchive}
+Object.entries(actions).forEach(([action, run]) => {
+  router.patch(`/:id/${action}`, auth, async (req, res) => {
+    try {
+      const notification = await run(req.user.id, req.params.id);
+      res.json({ success: true, data: notification });
+    } catch (error) {
+      handleError(res, error, `updating notification (${action})`);
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,475 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, query, validationResult } = require('express-validator');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Clinic = require('../models/Clinic');
+const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const Teleconsultation = require('../models/Teleconsultation');
+const Prescription = require('../models/Prescription');
+const LabReport = require('../models/LabReport');
+const OTP = require('../models/OTP');
+const { patient: patientAuth } = require('../middleware/auth');
+const emailService = require('../services/emailService');
+const messagingService = require('../services/messagingService');
+const slotService = require('../services/slotService');
+const realtimeService = require('../services/realtimeService');
+const notificationService = require('../services/notificationService');
+const prescriptionPdfService = require('../services/prescriptionPdfService');
+const invoicePdfService = require('../services/invoicePdfService');
+const invoiceService = require('../services/invoiceService');
+const tokenManager = require('../utils/tokenManager');
+const Slots = require('../utils/slots');
+const ClinicTime = require('../utils/clinicTime');
+
+// Login endpoints are public, so they get a much tighter limit than the API as a whole
+const portalAuthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: { error: 'Too many login attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const PROFILE_FIELDS = 'fullName email phone uhid dateOfBirth age gender bloodGroup clinicId updatedAt';
+const BOOKABLE_TYPES = Appointment.schema.path('appointmentType').enumValues
+  .filter(type => !['Emergency Visit', 'Teleconsultation'].includes(type));
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    return true;
+  }
+  return false;
+};
+
+// Several patient records (e.g. family members) can share one email address
+const findProfiles = (email) => Patient.find({ email })
+  .select(PROFILE_FIELDS)
+  .populate('clinicId', 'name city')
+  .sort({ updatedAt: -1 });
+
+const issueSession = (patient) => tokenManager.generateTokenPair({
+  _id: patient._id,
+  email: patient.email,
+  role: 'patient',
+  fullName: patient.fullName,
+  clinicId: patient.clinicId?._id || patient.clinicId
+});
+
+const toPortalUser = (patient) => ({
+  id: patient._id,
+  fullName: patient.fullName,
+  email: patient.email,
+  uhid: patient.uhid,
+  role: 'patient',
+  clinic: patient.clinicId?.name ? { id: patient.clinicId._id, name: patient.clinicId.name } : null
+});
+
+// POST /api/patient-portal/auth/request-otp - Send a login code on the clinic's chosen channels
+router.post('/auth/request-otp', portalAuthLimiter, [
+  body('email').isEmail().withMessage('Valid email is required').normalizeEmail()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { email } = req.body;
+    // Same response whether or not the address is on file, so emails can't be enumerated
+    const genericResponse = { message: 'If this email is registered with a clinic, a login code has been sent to the contact details on file' };
+
+    const patient = await Patient.findOne({ email }).sort({ updatedAt: -1 });
+    if (!patient) {
+      return res.json(genericResponse);
+    }
+
+    const recentOTP = await OTP.findOne({
+      email,
+      purpose: 'patient_login',
+      status: 'pending',
+      createdAt: { $gte: new Date(Date.now() - 60000) } // 1 minute ago
+    });
+    if (recentOTP) {
+      return res.status(429).json({ error: 'Please wait before requesting another code. Try again in a minute.' });
+    }
+
+    const otp = await OTP.createOTP(email, 'patient_login', patient._id, req.ip, req.get('User-Agent'));
+    const clinic = await Clinic.findById(patient.clinicId).select('name');
+    const { delivered } = await messagingService.send({
+      type: 'login_otp',
+      clinicId: patient.clinicId,
+      recipient: { name: patient.fullName, email, phone: patient.phone },
+      variables: {
+        code: otp.code,
+        expiresMinutes: Math.round((otp.expiresAt - Date.now()) / 60000),
+        clinicName: clinic?.name || 'your clinic'
+      },
+      email: () => emailService.sendOTPEmail(null, email, otp.code, 'patient_login', {
+        clinicId: patient.clinicId,
+        recipientName: patient.fullName,
+        expiresMinutes: Math.round((otp.expiresAt - Date.now()) / 60000)
+      }),
+      related: { kind: 'Patient', id: patient._id }
+    });
+    if (!delivered) {
+      await OTP.findByIdAndDelete(otp._id);
+      return res.status(500).json({ error: 'Failed to send login code. Please try again.' });
+    }
+
+    res.json({ ...genericResponse, expiresAt: otp.expiresAt });
+  } catch (error) {
+    console.error('Error requesting patient portal OTP:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/patient-portal/auth/verify-otp - Exchange a login code for a portal session
+router.post('/auth/verify-otp', portalAuthLimiter, [
+  body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+  body('patientId').optional().isMongoId().withMessage('Invalid profile')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { email, otp: code, patientId } = req.body;
+    const result = await OTP.verifyOTP(email, code, 'patient_login');
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+
+    const profiles = await findProfiles(email);
+    if (profiles.length === 0) {
+      return res.status(404).json({ error: 'No patient record found for this email' });
+    }
+
+    const patient = profiles.find(profile => String(profile._id) === patientId) || profiles[0];
+    await result.otp.markAsUsed();
+
+    res.json({
+      message: 'Login successful',
+      ...issueSession(patient),
+      user: toPortalUser(patient),
+      profiles: profiles.map(toPortalUser)
+    });
+  } catch (error) {
+    console.error('Error verifying patient portal OTP:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/patient-portal/auth/switch-profile - Switch to another record sharing the login email
+router.post('/auth/switch-profile', patientAuth, [
+  body('patientId').isMongoId().withMessage('Invalid profile')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const patient = await Patient.findOne({ _id: req.body.patientId, email: req.user.email })
+      .select(PROFILE_FIELDS)
+      .populate('clinicId', 'name city');
+    if (!patient) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({
+      message: `Switched to ${patient.fullName}`,
+      ...issueSession(patient),
+      user: toPortalUser(patient)
+    });
+  } catch (error) {
+    console.error('Error switching patient profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/me - Current profile and the other profiles on the same email
+router.get('/me', patientAuth, async (req, res) => {
+  try {
+    const [patient, profiles] = await Promise.all([
+      Patient.findById(req.user.id).select(PROFILE_FIELDS).populate('clinicId', 'name city phone email timezone'),
+      findProfiles(req.user.email)
+    ]);
+
+    res.json({
+      patient,
+      user: toPortalUser(patient),
+      profiles: profiles.map(toPortalUser)
+    });
+  } catch (error) {
+    console.error('Error fetching patient profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/appointments - Upcoming or past appointments with join links
+router.get('/appointments', patientAuth, [
+  query('scope').optional().isIn(['upcoming', 'past']).withMessage('Scope must be upcoming or past')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const today = ClinicTime.dayStart(ClinicTime.today(await Clinic.getTimeZone(req.user.clinicId)));
+
+    const upcoming = req.query.scope !== 'past';
+    const appointments = await Appointment.find({
+      patientId: req.user.id,
+      date: upcoming ? { $gte: today } : { $lt: today }
+    })
+      .select('appointmentType date time duration status reason location provider doctorId isVirtual createdAt')
+      .populate('doctorId', 'fullName specialty')
+      .sort({ date: upcoming ? 1 : -1, time: upcoming ? 1 : -1 })
+      .limit(100)
+      .lean();
+
+    // Only the patient-side meeting link is ever exposed here
+    const virtualIds = appointments.filter(appointment => appointment.isVirtual).map(appointment => appointment._id);
+    const teleconsultations = virtualIds.length > 0
+      ? await Teleconsultation.find({ appointmentId: { $in: virtualIds } }).select('appointmentId patientMeetingUrl status').lean()
+      : [];
+    const meetingByAppointment = new Map(teleconsultations.map(tc => [String(tc.appointmentId), tc]));
+
+    res.json({
+      appointments: appointments.map(appointment => {
+        const teleconsultation = meetingByAppointment.get(String(appointment._id));
+        return {
+          ...appointment,
+          meetingLink: ['Scheduled', 'Confirmed'].includes(appointment.status) ? teleconsultation?.patientMeetingUrl || null : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching portal appointments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/patient-portal/appointments/:id/cancel - Withdraw a booking request not yet confirmed by the clinic
+router.post('/appointments/:id/cancel', patientAuth, async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({ _id: req.params.id, patientId: req.user.id });
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    if (appointment.status !== 'Processing') {
+      return res.status(409).json({ error: 'Only pending requests can be cancelled online. Please contact the clinic.' });
+    }
+
+    appointment.status = 'Cancelled';
+    await appointment.save();
+    realtimeService.appointmentStatusChanged(appointment, 'Processing');
+    notificationService.appointmentCancelled(appointment);
+
+    await invoiceService.cancelForAppointment(appointment._id, 'Booking request cancelled by the patient');
+
+    res.json({ message: 'Booking request cancelled', appointment });
+  } catch (error) {
+    console.error('Error cancelling portal appointment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/doctors - Doctors at the patient's clinic who can be booked
+router.get('/doctors', patientAuth, async (req, res) => {
+  try {
+    const doctors = await Doctor.find({ clinicId: req.user.clinicId, isActive: { $ne: false } })
+      .select('fullName specialty qualification profileImage')
+      .sort({ fullName: 1 });
+
+    res.json({ doctors, appointmentTypes: BOOKABLE_TYPES });
+  } catch (error) {
+    console.error('Error fetching portal doctors:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/doctors/:doctorId/slots/:date - Free slots for one day
+router.get('/doctors/:doctorId/slots/:date', patientAuth, async (req, res) => {
+  try {
+    const { doctorId, date } = req.params;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const doctor = await Doctor.exists({ _id: doctorId, clinicId: req.user.clinicId });
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const result = await slotService.getSlots(doctorId, date);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching portal slots:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/patient-portal/booking-requests - Request an appointment for the clinic to confirm
+router.post('/booking-requests', patientAuth, [
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+  body('time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Time must be in HH:MM format'),
+  body('appointmentType').isIn(BOOKABLE_TYPES).withMessage('Invalid appointment type'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { doctorId, date, time, appointmentType, reason } = req.body;
+
+    const doctor = await Doctor.findOne({ _id: doctorId, clinicId: req.user.clinicId, isActive: { $ne: false } });
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const pending = await Appointment.countDocuments({ patientId: req.user.id, status: 'Processing' });
+    if (pending >= 3) {
+      return res.status(429).json({ error: 'You already have 3 requests awaiting confirmation' });
+    }
+
+    const { ok, reason: unavailableReason, duration } = await slotService.check({ doctorId, date, time });
+    if (!ok) {
+      return res.status(unavailableReason === 'past' ? 400 : 409).json({ error: Slots.MESSAGES[unavailableReason] });
+    }
+
+    const appointment = new Appointment({
+      patientId: req.user.id,
+      patientName: req.user.fullName,
+      doctorId: doctor._id,
+      provider: `Dr. ${doctor.fullName}`,
+      clinicId: req.user.clinicId,
+      appointmentType,
+      date,
+      time,
+      duration,
+      status: 'Processing',
+      source: 'portal',
+      reason: reason || 'Requested from patient portal'
+    });
+    await appointment.save();
+    realtimeService.appointmentCreated(appointment);
+    notificationService.appointmentRequested(appointment);
+
+    try {
+      await Invoice.createForAppointment(appointment);
+    } catch (invoiceError) {
+      console.error('Failed to create appointment invoice:', invoiceError);
+    }
+
+    res.status(201).json({
+      message: 'Booking request sent. The clinic will confirm your appointment.',
+      appointment
+    });
+  } catch (error) {
+    console.error('Error creating portal booking request:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: Object.values(error.errors).map(err => err.message) });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/prescriptions - The patient's prescriptions
+router.get('/prescriptions', patientAuth, async (req, res) => {
+  try {
+    const prescriptions = await Prescription.find({ patientId: req.user.id })
+      .select('prescriptionNumber date diagnosis status medications.name medications.dosage medications.frequency medications.duration medications.instructions followUpDate doctorId')
+      .populate('doctorId', 'fullName specialty')
+      .sort({ date: -1 })
+      .limit(100);
+
+    res.json({ prescriptions });
+  } catch (error) {
+    console.error('Error fetching portal prescriptions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/prescriptions/:id/pdf - Download a prescription
+router.get('/prescriptions/:id/pdf', patientAuth, async (req, res) => {
+  try {
+    const prescription = await Prescription.findOne({ _id: req.params.id, patientId: req.user.id })
+      .select('+verificationCode');
+    if (!prescription) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    const pdf = await prescriptionPdfService.generateForPrescription(prescription);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="prescription-${prescription.prescriptionNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating portal prescription PDF:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/lab-reports - The patient's lab reports
+router.get('/lab-reports', patientAuth, async (req, res) => {
+  try {
+    const reports = await LabReport.find({ patientId: req.user.id })
+      .select('testName testDate labName notes fileName fileType fileSize uploadedAt')
+      .sort({ testDate: -1 });
+
+    res.json({ reports });
+  } catch (error) {
+    console.error('Error fetching portal lab reports:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/lab-reports/:id/download - File URL for a lab report
+router.get('/lab-reports/:id/download', patientAuth, async (req, res) => {
+  try {
+    const report = await LabReport.findOne({ _id: req.params.id, patientId: req.user.id });
+    if (!report) {
+      return res.status(404).json({ error: 'Lab report not found' });
+    }
+
+    // Returned rather than redirected, since the portal fetches with an auth header
+    res.json({ url: report.filePath, fileName: report.fileName });
+  } catch (error) {
+    console.error('Error downloading portal lab report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/invoices - The patient's invoices, newest first
+router.get('/invoices', patientAuth, async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ patientId: req.user.id }).sort({ date: -1 }).limit(200).lean();
+    res.json({ invoices: invoices.map(invoice => invoicePdfService.normalise(invoice)) });
+  } catch (error) {
+    console.error('Error fetching portal invoices:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/patient-portal/invoices/:id/pdf - Download an invoice
+router.get('/invoices/:id/pdf', patientAuth, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, patientId: req.user.id });
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const { pdf, filename } = await invoiceService.pdf(invoice);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating portal invoice PDF:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
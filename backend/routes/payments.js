@@ -4,8 +4,14 @@ const crypto = require('crypto');
 const Razorpay = require('razorpay');
 const Payment = require('../models/Payment');
 const Appointment = require('../models/Appointment');
-const AppointmentInvoice = require('../models/AppointmentInvoice');
 const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const { body, param, query, validationResult } = require('express-validator');
+const refundService = require('../services/refundService');
+const paymentService = require('../services/paymentService');
+const { getGateway } = require('../services/paymentGateway');
+const Refunds = require('../utils/refunds');
+const Invoices = require('../utils/invoices');
 
 // Check if Razorpay keys are configured
 const hasRazorpayKeys = process.env.RAZORPAY_KEY_ID && 
@@ -24,6 +30,42 @@ if (hasRazorpayKeys) {
   console.warn('⚠️  Razorpay keys not configured. Payment features will be limited.');
 }
 
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    return false;
+  }
+  return true;
+};
+
+const refundValidation = [
+  body('amount').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Refund amount must be more than zero').toFloat(),
+  body('reason').trim().notEmpty().withMessage('Refund reason is required').isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('method').optional().isIn(['gateway', ...Refunds.MANUAL_METHODS]).withMessage('Invalid refund method')
+];
+
+const refundMessage = (refund) => {
+  if (refund.status === 'processed') return `Refund ${refund.receiptNumber} processed`;
+  return refund.method === 'gateway'
+    ? 'Refund sent to the payment gateway'
+    : 'Refund recorded. Confirm it once the money has been handed back.';
+};
+
 // POST /api/payments/create-order - Create Razorpay order for appointment
 router.post('/create-order', auth, async (req, res) => {
   try {
@@ -125,50 +167,23 @@ router.post('/verify', auth, async (req, res) => {
 
     if (!isAuthentic) {
       // Mark payment as failed
-      await Payment.markFailed(razorpay_order_id, 'Invalid signature');
+      await paymentService.markFailed({ razorpayOrderId: razorpay_order_id }, 'Invalid signature');
       return res.status(400).json({ error: 'Payment verification failed' });
     }
 
-    // Mark payment as completed
-    const payment = await Payment.markCompleted(
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature
+    // Mark payment as completed and the invoice paid, unless the webhook already has
+    const { payment } = await paymentService.markCaptured(
+      { razorpayOrderId: razorpay_order_id },
+      { razorpayPaymentId: razorpay_payment_id, razorpaySignature: razorpay_signature, approvedBy: req.user.id }
     );
 
     if (!payment) {
       return res.status(404).json({ error: 'Payment record not found' });
     }
 
-    // Update appointment status to Confirmed
-    const appointment = await Appointment.findByIdAndUpdate(
-      payment.appointmentId,
-      { status: 'Confirmed' },
-      { new: true }
-    ).populate('patientId', 'fullName email phone')
-     .populate('doctorId', 'fullName specialty');
-
-    // Update appointment invoice to paid status
-    try {
-      const appointmentInvoice = await AppointmentInvoice.findOne({ appointmentId: payment.appointmentId });
-      if (appointmentInvoice) {
-        appointmentInvoice.status = 'paid';
-        appointmentInvoice.paymentMethod = 'online';
-        appointmentInvoice.paymentDetails = {
-          razorpayOrderId: razorpay_order_id,
-          razorpayPaymentId: razorpay_payment_id,
-          razorpaySignature: razorpay_signature,
-          paidAt: new Date()
-        };
-        appointmentInvoice.approvedBy = req.user.id;
-        appointmentInvoice.approvedAt = new Date();
-        await appointmentInvoice.save();
-        console.log('Appointment invoice marked as paid:', appointmentInvoice.invoiceNumber);
-      }
-    } catch (invoiceError) {
-      console.error('Failed to update appointment invoice:', invoiceError);
-      // Don't fail the payment verification if invoice update fails
-    }
+    const appointment = await Appointment.findById(payment.appointmentId)
+      .populate('patientId', 'fullName email phone')
+      .populate('doctorId', 'fullName specialty');
 
     res.json({
       success: true,
@@ -258,6 +273,9 @@ router.post('/create-invoice-order', auth, async (req, res) => {
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
+    if (!Invoices.canTransition(invoice.status, 'paid')) {
+      return res.status(400).json({ error: `A ${Invoices.label(invoice.status).toLowerCase()} invoice cannot be paid` });
+    }
 
     // Create Razorpay order
     const options = {
@@ -266,7 +284,7 @@ router.post('/create-invoice-order', auth, async (req, res) => {
       receipt: `inv_${invoiceId}_${Date.now()}`,
       notes: {
         invoiceId: invoiceId,
-        invoiceNo: invoice.invoiceNo,
+        invoiceNumber: invoice.invoiceNumber,
         patientName: invoice.patientId?.fullName || invoice.patientName || 'Unknown',
         invoiceDate: invoice.date
       }
@@ -284,7 +302,7 @@ router.post('/create-invoice-order', auth, async (req, res) => {
       paymentMethod: 'razorpay',
       status: 'pending',
       razorpayOrderId: order.id,
-      description: `Payment for Invoice #${invoice.invoiceNo}`
+      description: `Payment for Invoice #${invoice.invoiceNumber}`
     });
 
     await payment.save();
@@ -332,32 +350,23 @@ router.post('/verify-invoice', auth, async (req, res) => {
 
     if (!isAuthentic) {
       // Mark payment as failed
-      await Payment.markFailed(razorpay_order_id, 'Invalid signature');
+      await paymentService.markFailed({ razorpayOrderId: razorpay_order_id }, 'Invalid signature');
       return res.status(400).json({ error: 'Payment verification failed' });
     }
 
-    // Mark payment as completed
-    const payment = await Payment.markCompleted(
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature
+    // Mark payment as completed and the invoice paid, unless the webhook already has
+    const { payment } = await paymentService.markCaptured(
+      { razorpayOrderId: razorpay_order_id },
+      { razorpayPaymentId: razorpay_payment_id, razorpaySignature: razorpay_signature, approvedBy: req.user.id }
     );
 
     if (!payment) {
       return res.status(404).json({ error: 'Payment record not found' });
     }
 
-    // Update invoice status to Approved
     const Invoice = require('../models/Invoice');
-    const invoice = await Invoice.findByIdAndUpdate(
-      payment.invoiceId,
-      { 
-        status: 'Approved',
-        approvedAt: new Date(),
-        approvedBy: req.user.id
-      },
-      { new: true }
-    ).populate('patientId', 'fullName email phone');
+    const invoice = await Invoice.findById(payment.invoiceId)
+      .populate('patientId', 'fullName email phone');
 
     res.json({
       success: true,
@@ -398,4 +407,143 @@ router.get('/invoice/:invoiceId', auth, async (req, res) => {
   }
 });
 
+// POST /api/payments/webhooks/razorpay - Payment and refund events from Razorpay
+router.post('/webhooks/razorpay', async (req, res) => {
+  try {
+    const gateway = getGateway();
+    if (!gateway || !gateway.verifyWebhook || !gateway.webhookSecret) {
+      return res.status(404).end();
+    }
+    if (!gateway.verifyWebhook(req.rawBody, req.get('X-Razorpay-Signature'))) {
+      return res.status(403).end();
+    }
+
+    // Razorpay sends the same event id on every redelivery
+    const eventId = req.get('X-Razorpay-Event-Id') ||
+      crypto.createHash('sha256').update(req.rawBody).digest('hex');
+    const { status, result } = await paymentService.handleWebhook(eventId, req.body);
+    res.json({ success: true, status, result });
+  } catch (error) {
+    // A non-2xx response makes Razorpay redeliver the event
+    console.error('Error handling Razorpay webhook:', error);
+    res.status(500).end();
+  }
+});
+
+// GET /api/payments/reconciliation - Differences found between payments and the gateway
+router.get('/reconciliation', auth, requireRole(['clinic']), [
+  query('status').optional().isIn(['open', 'resolved', 'all']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const discrepancies = await paymentService.getDiscrepancies(req.user.id, req.query);
+    res.json({ success: true, data: discrepancies });
+  } catch (error) {
+    handleError(res, error, 'fetching payment discrepancies');
+  }
+});
+
+// POST /api/payments/reconciliation/:id/resolve - Close a discrepancy after looking into it
+router.post('/reconciliation/:id/resolve', auth, requireRole(['clinic']), [
+  param('id').isMongoId().withMessage('Invalid discrepancy ID'),
+  body('resolution').trim().notEmpty().withMessage('Say how it was resolved').isLength({ max: 500 }).withMessage('Resolution cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const discrepancy = await paymentService.resolveDiscrepancy(req.params.id, req.user.id, req.body.resolution);
+    res.json({ success: true, message: 'Discrepancy resolved', data: discrepancy });
+  } catch (error) {
+    handleError(res, error, 'resolving payment discrepancy');
+  }
+});
+
+// GET /api/payments/refunds - The clinic's refunds, optionally for one payment or appointment
+router.get('/refunds', auth, requireRole(['clinic']), [
+  query('paymentId').optional().isMongoId().withMessage('Invalid payment ID'),
+  query('appointmentId').optional().isMongoId().withMessage('Invalid appointment ID'),
+  query('status').optional().isIn(Refunds.STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const refunds = await refundService.list(req.user.id, req.query);
+    res.json({ success: true, data: refunds });
+  } catch (error) {
+    handleError(res, error, 'fetching refunds');
+  }
+});
+
+// POST /api/payments/refunds/:refundId/confirm - Confirm a cash or card refund was handed back
+router.post('/refunds/:refundId/confirm', auth, requireRole(['clinic']), [
+  param('refundId').isMongoId().withMessage('Invalid refund ID')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const refund = await refundService.confirm(req.params.refundId, req.user.id, req.user);
+    res.json({ success: true, message: refundMessage(refund), data: refund });
+  } catch (error) {
+    handleError(res, error, 'confirming refund');
+  }
+});
+
+// POST /api/payments/refunds/:refundId/refresh - Check a pending gateway refund
+router.post('/refunds/:refundId/refresh', auth, requireRole(['clinic']), [
+  param('refundId').isMongoId().withMessage('Invalid refund ID')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const refund = await refundService.refresh(req.params.refundId, req.user.id);
+    res.json({ success: true, data: refund });
+  } catch (error) {
+    handleError(res, error, 'refreshing refund');
+  }
+});
+
+// GET /api/payments/refunds/:refundId/receipt - Download a refund receipt
+router.get('/refunds/:refundId/receipt', auth, requireRole(['clinic']), [
+  param('refundId').isMongoId().withMessage('Invalid refund ID')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const { pdf, refund } = await refundService.receipt(req.params.refundId, req.user.id);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="refund-${refund.receiptNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    handleError(res, error, 'generating refund receipt');
+  }
+});
+
+// POST /api/payments/appointment/:appointmentId/refunds - Refund an appointment's payment
+router.post('/appointment/:appointmentId/refunds', auth, requireRole(['clinic']), [
+  param('appointmentId').isMongoId().withMessage('Invalid appointment ID'),
+  ...refundValidation
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const payment = await refundService.paymentForAppointment(req.params.appointmentId, req.user.id);
+    const refund = await refundService.request(payment, req.body, req.user);
+    res.status(201).json({ success: true, message: refundMessage(refund), data: refund });
+  } catch (error) {
+    handleError(res, error, 'refunding appointment payment');
+  }
+});
+
+// POST /api/payments/:id/refunds - Refund all or part of a payment
+router.post('/:id/refunds', auth, requireRole(['clinic']), [
+  param('id').isMongoId().withMessage('Invalid payment ID'),
+  ...refundValidation
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const payment = await refundService.findPayment(req.params.id, req.user.id);
+    const refund = await refundService.request(payment, req.body, req.user);
+    res.status(201).json({ success: true, message: refundMessage(refund), data: refund });
+  } catch (error) {
+    handleError(res, error, 'refunding payment');
+  }
+});
+
 module.exports = router;
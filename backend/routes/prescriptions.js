@@ -6,21 +6,83 @@ const Doctor = require('../models/Doctor');
 const Clinic = require('../models/Clinic');
 const auth = require('../middleware/auth');
 const ActivityLogger = require('../utils/activityLogger');
+const interactionService = require('../services/interactionService');
+const Dosing = require('../utils/dosing');
+const prescriptionPdfService = require('../services/prescriptionPdfService');
+const realtimeService = require('../services/realtimeService');
+const notificationService = require('../services/notificationService');
 const router = express.Router();
 
+const PHARMACY_ROLES = ['pharmacist', 'head_pharmacist', 'pharmacy_manager'];
+
 // Validation middleware
 const validatePrescription = [
   body('patientId').isMongoId().withMessage('Valid patient ID is required'),
   body('diagnosis').trim().isLength({ min: 1, max: 500 }).withMessage('Diagnosis is required and must be less than 500 characters'),
   body('medications').isArray({ min: 1 }).withMessage('At least one medication is required'),
   body('medications.*.name').trim().isLength({ min: 1 }).withMessage('Medication name is required'),
-  body('medications.*.dosage').trim().isLength({ min: 1 }).withMessage('Medication dosage is required'),
-  body('medications.*.frequency').trim().isLength({ min: 1 }).withMessage('Medication frequency is required'),
-  body('medications.*.duration').trim().isLength({ min: 1 }).withMessage('Medication duration is required'),
+  // Each of dosage/frequency/duration may be given as free text or as structured fields
+  body('medications.*').custom((medication) => {
+    const hasText = (value) => typeof value === 'string' && value.trim().length > 0;
+    if (!hasText(medication.dosage) && !(medication.doseAmount > 0 && medication.doseUnit)) {
+      throw new Error('Medication dosage is required');
+    }
+    if (!hasText(medication.frequency) && !medication.frequencyCode) {
+      throw new Error('Medication frequency is required');
+    }
+    if (!hasText(medication.duration) && !(medication.durationDays > 0) && medication.frequencyCode !== 'STAT') {
+      throw new Error('Medication duration is required');
+    }
+    return true;
+  }),
+  body('medications.*.doseUnit').optional({ nullable: true }).isIn(Dosing.DOSE_UNITS).withMessage('Invalid dose unit'),
+  body('medications.*.route').optional({ nullable: true }).isIn(Dosing.ROUTES).withMessage('Invalid route'),
+  body('medications.*.frequencyCode').optional({ nullable: true }).isIn(Object.keys(Dosing.FREQUENCIES)).withMessage('Invalid frequency code'),
+  body('medications.*.durationDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Duration must be at least 1 day'),
   body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
-  body('followUpInstructions').optional().isLength({ max: 500 }).withMessage('Follow-up instructions cannot exceed 500 characters')
+  body('followUpInstructions').optional().isLength({ max: 500 }).withMessage('Follow-up instructions cannot exceed 500 characters'),
+  body('interactionOverrideReason').optional().isLength({ max: 500 }).withMessage('Override reason cannot exceed 500 characters')
 ];
 
+// Check medications for interactions/allergies before a save. Contraindicated
+// warnings, or a check that could not be completed, block the save unless the
+// doctor gave a reason for overriding them. An unchanged reason keeps the
+// original override so editing doesn't re-stamp who overrode it and when.
+const gateInteractions = async ({ patient, clinicId, medications, excludePrescriptionId, overrideReason, existingOverride, user }) => {
+  const check = await interactionService.check({ patient, clinicId, medications, excludePrescriptionId });
+  const reason = (overrideReason || '').trim();
+
+  if (check.requiresOverride && !reason) {
+    return {
+      blocked: {
+        error: check.incomplete
+          ? 'The interaction check could not be completed. Provide an override reason to save it.'
+          : 'This prescription contains a contraindicated combination. Provide an override reason to save it.',
+        code: 'INTERACTION_OVERRIDE_REQUIRED',
+        warnings: check.warnings,
+        incomplete: check.incomplete
+      }
+    };
+  }
+
+  let interactionOverride;
+  if (check.requiresOverride) {
+    interactionOverride = existingOverride?.reason === reason
+      ? { reason, overriddenBy: existingOverride.overriddenBy, overriddenAt: existingOverride.overriddenAt }
+      : { reason, overriddenBy: user.id, overriddenAt: new Date() };
+  }
+
+  return {
+    fields: {
+      interactionWarnings: check.warnings,
+      interactionOverride
+    }
+  };
+};
+
+// Client-supplied values for these are never trusted
+const stripInteractionFields = ({ interactionOverrideReason, interactionWarnings, interactionOverride, ...rest }) => rest;
+
 // GET /api/prescriptions - Get all prescriptions with pagination and filtering
 router.get('/', auth, async (req, res) => {
   try {
@@ -109,6 +171,52 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// GET /api/prescriptions/verify/:prescriptionNumber - Public check behind the QR code on printed prescriptions
+router.get('/verify/:prescriptionNumber', async (req, res) => {
+  try {
+    const { code } = req.query;
+    if (!code) {
+      return res.status(400).json({ valid: false, error: 'Verification code is required' });
+    }
+
+    const prescription = await Prescription.findOne({
+      prescriptionNumber: req.params.prescriptionNumber,
+      verificationCode: String(code)
+    })
+      .populate('patientId', 'fullName')
+      .populate('doctorId', 'fullName qualification specialty')
+      .populate('clinicId', 'name city');
+
+    if (!prescription) {
+      return res.status(404).json({ valid: false, error: 'No prescription matches this number and code' });
+    }
+
+    // Only initials are exposed - anyone holding the paper can open this page
+    const patientInitials = (prescription.patientId?.fullName || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(part => part.charAt(0).toUpperCase() + '.')
+      .join(' ');
+
+    res.json({
+      valid: prescription.status !== 'Cancelled',
+      prescriptionNumber: prescription.prescriptionNumber,
+      status: prescription.status,
+      cancelled: prescription.status === 'Cancelled',
+      issuedOn: prescription.date || prescription.createdAt,
+      doctorName: prescription.doctorId?.fullName,
+      doctorQualification: prescription.doctorId?.qualification,
+      clinicName: prescription.clinicId?.name,
+      clinicCity: prescription.clinicId?.city,
+      patientInitials,
+      medicationsCount: prescription.medications.length
+    });
+  } catch (error) {
+    console.error('Error verifying prescription:', error);
+    res.status(500).json({ valid: false, error: 'Internal server error' });
+  }
+});
+
 // GET /api/prescriptions/:id - Get prescription by ID
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -156,6 +264,49 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// GET /api/prescriptions/:id/pdf - Download a printable prescription with letterhead and verification QR code
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+
+    // Same visibility rules as GET /:id
+    if (req.user.role === 'doctor') {
+      const existing = await Prescription.findById(req.params.id).select('patientId');
+      const isAssigned = existing && await Patient.exists({
+        _id: existing.patientId,
+        assignedDoctors: req.user.id
+      });
+      if (!isAssigned) {
+        query.doctorId = req.user.id;
+      }
+    } else if (req.user.role === 'clinic') {
+      query.clinicId = req.user.id;
+    } else if (req.user.clinicId) {
+      query.clinicId = req.user.clinicId;
+    }
+
+    const prescription = await Prescription.findOne(query).select('+verificationCode');
+    if (!prescription) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    const pdf = await prescriptionPdfService.generateForPrescription(prescription);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="prescription-${prescription.prescriptionNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating prescription PDF:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid prescription ID' });
+    }
+    res.status(500).json({ error: 'Failed to generate prescription PDF' });
+  }
+});
+
 // POST /api/prescriptions - Create new prescription
 router.post('/', auth, validatePrescription, async (req, res) => {
   try {
@@ -186,9 +337,21 @@ router.post('/', auth, validatePrescription, async (req, res) => {
       return res.status(403).json({ error: 'Access denied. You are not assigned to this patient.' });
     }
 
+    const interactionGate = await gateInteractions({
+      patient,
+      clinicId: req.body.clinicId,
+      medications: req.body.medications,
+      overrideReason: req.body.interactionOverrideReason,
+      user: req.user
+    });
+    if (interactionGate.blocked) {
+      return res.status(409).json(interactionGate.blocked);
+    }
+
     // Create new prescription
     const prescriptionData = {
-      ...req.body,
+      ...stripInteractionFields(req.body),
+      ...interactionGate.fields,
       // Use the logged-in doctor's ID
       doctorId: req.user.id,
       clinicId: req.body.clinicId
@@ -245,7 +408,8 @@ router.post('/', auth, validatePrescription, async (req, res) => {
 
     res.status(201).json({
       message: 'Prescription created successfully',
-      prescription: prescription.toJSON()
+      prescription: prescription.toJSON(),
+      interactionWarnings: prescription.interactionWarnings
     });
   } catch (error) {
     console.error('Error creating prescription:', error);
@@ -259,6 +423,57 @@ router.post('/', auth, validatePrescription, async (req, res) => {
   }
 });
 
+// POST /api/prescriptions/check-interactions - Preview interaction and allergy warnings
+router.post('/check-interactions', auth, [
+  body('patientId').isMongoId().withMessage('Valid patient ID is required'),
+  body('medications').isArray().withMessage('Medications must be an array'),
+  body('prescriptionId').optional({ nullable: true }).isMongoId().withMessage('Invalid prescription ID')
+], async (req, res) => {
+  try {
+    if (!['doctor', 'clinic'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // A clinic only checks its own patients; a doctor their assigned ones
+    const patientQuery = { _id: req.body.patientId };
+    if (req.user.role === 'clinic') {
+      patientQuery.clinicId = req.user.clinicId;
+    }
+    const patient = await Patient.findOne(patientQuery);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    if (req.user.role === 'doctor' && !patient.assignedDoctors.includes(req.user.id)) {
+      return res.status(403).json({ error: 'Access denied. You are not assigned to this patient.' });
+    }
+
+    const medications = req.body.medications.filter(med => med && typeof med.name === 'string' && med.name.trim());
+    const result = await interactionService.check({
+      patient,
+      clinicId: req.user.clinicId,
+      medications,
+      excludePrescriptionId: req.body.prescriptionId
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error checking interactions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // PUT /api/prescriptions/:id - Update prescription
 router.put('/:id', auth, validatePrescription, async (req, res) => {
   try {
@@ -286,10 +501,40 @@ router.put('/:id', auth, validatePrescription, async (req, res) => {
       return res.status(404).json({ error: 'Prescription not found' });
     }
 
+    const patient = await Patient.findById(prescription.patientId);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    // An override given earlier still stands unless the doctor replaces it
+    const interactionGate = await gateInteractions({
+      patient,
+      clinicId: prescription.clinicId,
+      medications: req.body.medications,
+      excludePrescriptionId: prescription._id,
+      overrideReason: req.body.interactionOverrideReason || prescription.interactionOverride?.reason,
+      existingOverride: prescription.interactionOverride,
+      user: req.user
+    });
+    if (interactionGate.blocked) {
+      return res.status(409).json(interactionGate.blocked);
+    }
+
+    // findByIdAndUpdate skips the model's validate hook, so structure here
+    const medications = req.body.medications.map(medication => Dosing.structure({ ...medication }));
+
     // Update prescription
     const updatedPrescription = await Prescription.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedAt: new Date() },
+      {
+        ...stripInteractionFields(req.body),
+        medications,
+        interactionWarnings: interactionGate.fields.interactionWarnings,
+        ...(interactionGate.fields.interactionOverride
+          ? { interactionOverride: interactionGate.fields.interactionOverride }
+          : { $unset: { interactionOverride: 1 } }),
+        updatedAt: new Date()
+      },
       { new: true, runValidators: true }
     )
     .populate('patientId', 'fullName age gender phone email')
@@ -520,6 +765,9 @@ router.patch('/:id/allot', auth, async (req, res) => {
       });
     }
     
+    realtimeService.prescriptionAllotted(prescription);
+    notificationService.prescriptionAllotted(prescription, req.user.id);
+
     res.json({
       success: true,
       message: 'Prescription allotted successfully',
@@ -534,13 +782,122 @@ router.patch('/:id/allot', auth, async (req, res) => {
   }
 });
 
-// POST /api/prescriptions/:id/dispense - Dispense medication from inventory
+// Work out which batches a dispense would draw from, First-Expiry-First-Out.
+// inventoryId picks the product (name + strength); the batches themselves are always chosen by expiry.
+const planDispense = async ({ prescription, medicationIndex, quantity, inventoryId, clinicId }) => {
+  const Inventory = require('../models/Inventory');
+  const medication = prescription.medications[medicationIndex];
+
+  let medicationName = medication.name;
+  let strength = null;
+
+  if (inventoryId) {
+    const selectedItem = await Inventory.findOne({ _id: inventoryId, clinicId, isActive: true });
+    if (!selectedItem) {
+      return { error: 'Inventory item not found', status: 404 };
+    }
+    if (selectedItem.expiryDate < new Date()) {
+      return { error: `Cannot dispense expired medication (batch ${selectedItem.batchNumber} expired on ${selectedItem.expiryDate.toLocaleDateString('en-IN')})`, status: 400 };
+    }
+    medicationName = selectedItem.medicationName;
+    strength = selectedItem.strength;
+  }
+
+  const batches = await Inventory.findFefoBatches(clinicId, medicationName, strength);
+
+  if (!inventoryId) {
+    const strengths = new Set(batches.map(batch => batch.strength.toLowerCase()));
+    if (strengths.size > 1) {
+      return { error: 'Multiple strengths are in stock for this medication. Please select the product to dispense.', status: 400 };
+    }
+  }
+
+  const allocation = Inventory.allocateFefo(batches, quantity);
+
+  return {
+    medicationName,
+    strength: strength || batches[0]?.strength || null,
+    totalAvailable: batches.reduce((sum, batch) => sum + batch.quantity, 0),
+    ...allocation
+  };
+};
+
+// GET /api/prescriptions/:id/dispense-plan - Preview the FEFO batch allocation for a medication
+router.get('/:id/dispense-plan', auth, async (req, res) => {
+  try {
+    if (!PHARMACY_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Only pharmacists can dispense medications' 
+      });
+    }
+
+    const medicationIndex = parseInt(req.query.medicationIndex);
+    const quantity = parseInt(req.query.quantity);
+
+    if (Number.isNaN(medicationIndex) || !(quantity > 0)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Medication index and a positive quantity are required' 
+      });
+    }
+
+    const prescription = await Prescription.findOne({
+      _id: req.params.id,
+      allottedPharmacist: req.user.id
+    });
+
+    if (!prescription) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Prescription not found or not allotted to you' 
+      });
+    }
+
+    if (medicationIndex < 0 || medicationIndex >= prescription.medications.length) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid medication index' 
+      });
+    }
+
+    const plan = await planDispense({
+      prescription,
+      medicationIndex,
+      quantity,
+      inventoryId: req.query.inventoryId,
+      clinicId: req.user.clinicId
+    });
+
+    if (plan.error) {
+      return res.status(plan.status).json({ 
+        success: false,
+        error: plan.error 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    console.error('Error planning dispense:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/prescriptions/:id/dispense - Dispense medication from inventory (FEFO across batches)
 router.post('/:id/dispense', auth, async (req, res) => {
   try {
-    const { medicationIndex, inventoryId, quantity, notes } = req.body;
+    const { medicationIndex, inventoryId, notes } = req.body;
+    const quantity = parseInt(req.body.quantity);
     
     // Only pharmacists can dispense medications
-    if (!['pharmacist', 'head_pharmacist', 'pharmacy_manager'].includes(req.user.role)) {
+    if (!PHARMACY_ROLES.includes(req.user.role)) {
       return res.status(403).json({ 
         success: false,
         error: 'Only pharmacists can dispense medications' 
@@ -548,10 +905,10 @@ router.post('/:id/dispense', auth, async (req, res) => {
     }
     
     // Validate required fields
-    if (medicationIndex === undefined || !inventoryId || !quantity) {
+    if (medicationIndex === undefined || !(quantity > 0)) {
       return res.status(400).json({ 
         success: false,
-        error: 'Medication index, inventory ID, and quantity are required' 
+        error: 'Medication index and quantity are required' 
       });
     }
     
@@ -584,84 +941,143 @@ router.post('/:id/dispense', auth, async (req, res) => {
       });
     }
     
-    // Find inventory item
-    const Inventory = require('../models/Inventory');
-    const inventoryItem = await Inventory.findOne({
-      _id: inventoryId,
-      clinicId: req.user.clinicId,
-      isActive: true
+    const plan = await planDispense({
+      prescription,
+      medicationIndex,
+      quantity,
+      inventoryId,
+      clinicId: req.user.clinicId
     });
-    
-    if (!inventoryItem) {
-      return res.status(404).json({ 
+
+    if (plan.error) {
+      return res.status(plan.status).json({ 
         success: false,
-        error: 'Inventory item not found' 
+        error: plan.error 
       });
     }
-    
-    // Check if inventory has enough stock
-    if (inventoryItem.quantity < quantity) {
+
+    // Check if non-expired batches hold enough stock
+    if (plan.shortfall > 0) {
       return res.status(400).json({ 
         success: false,
-        error: `Insufficient stock. Available: ${inventoryItem.quantity}, Required: ${quantity}` 
+        error: `Insufficient stock. Available: ${plan.totalAvailable}, Required: ${quantity}` 
       });
     }
-    
-    // Check if inventory item is expired
-    if (inventoryItem.expiryDate < new Date()) {
-      return res.status(400).json({ 
+
+    // Claim the medication before touching stock so two pharmacists can't both dispense it
+    const dispensedPath = `medications.${medicationIndex}.dispensed`;
+    const claimed = await Prescription.findOneAndUpdate(
+      { _id: prescription._id, [dispensedPath]: { $ne: true } },
+      { $set: { [dispensedPath]: true } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ 
         success: false,
-        error: 'Cannot dispense expired medication' 
+        error: 'This medication has already been dispensed' 
       });
     }
     
-    // Update inventory stock
-    inventoryItem.quantity -= quantity;
-    await inventoryItem.save();
+    // Draw each batch down through the ledger; undo earlier picks if a later one fails
+    const InventoryTransaction = require('../models/InventoryTransaction');
+    const medicationName = claimed.medications[medicationIndex].name;
+    const dispensedBatches = [];
+    const updatedItems = [];
+
+    try {
+      for (const pick of plan.picks) {
+        const { item, transaction } = await InventoryTransaction.record({
+          inventoryId: pick.inventoryId,
+          clinicId: req.user.clinicId,
+          type: 'dispense',
+          quantityChange: -pick.quantity,
+          referenceType: 'Prescription',
+          referenceId: prescription._id,
+          reason: `Dispensed ${medicationName} for ${prescription.prescriptionNumber}`,
+          user: req.user
+        });
+
+        dispensedBatches.push({
+          inventoryId: pick.inventoryId,
+          batchNumber: pick.batchNumber,
+          expiryDate: pick.expiryDate,
+          quantity: pick.quantity,
+          transactionId: transaction._id
+        });
+        updatedItems.push(item);
+      }
+    } catch (pickError) {
+      for (const batch of dispensedBatches) {
+        await InventoryTransaction.record({
+          inventoryId: batch.inventoryId,
+          clinicId: req.user.clinicId,
+          type: 'return',
+          quantityChange: batch.quantity,
+          referenceType: 'Prescription',
+          referenceId: prescription._id,
+          reason: `Reversed incomplete dispense for ${prescription.prescriptionNumber}`,
+          user: req.user
+        });
+      }
+      await Prescription.updateOne({ _id: prescription._id }, { $set: { [dispensedPath]: false } });
+      throw pickError;
+    }
     
-    // Update prescription medication
-    prescription.medications[medicationIndex].dispensed = true;
-    prescription.medications[medicationIndex].dispensedInventoryId = inventoryId;
-    prescription.medications[medicationIndex].dispensedQuantity = quantity;
-    prescription.medications[medicationIndex].dispensedBy = req.user.id;
-    prescription.medications[medicationIndex].dispensedAt = new Date();
+    // Update the claimed prescription, which already counts other medications dispensed meanwhile
+    const medication = claimed.medications[medicationIndex];
+    medication.dispensedInventoryId = dispensedBatches[0].inventoryId;
+    medication.dispensedQuantity = quantity;
+    medication.dispensedBatches = dispensedBatches;
+    medication.dispensedBy = req.user.id;
+    medication.dispensedAt = new Date();
     
     // Add dispensing notes if provided
     if (notes) {
-      prescription.dispensingNotes = prescription.dispensingNotes 
-        ? `${prescription.dispensingNotes}\n${notes}` 
+      claimed.dispensingNotes = claimed.dispensingNotes 
+        ? `${claimed.dispensingNotes}\n${notes}` 
         : notes;
     }
     
     // Check if all medications are dispensed
-    const allDispensed = prescription.medications.every(med => med.dispensed);
+    const allDispensed = claimed.medications.every(med => med.dispensed);
     if (allDispensed) {
-      prescription.fullyDispensed = true;
-      prescription.status = 'Completed';
+      claimed.fullyDispensed = true;
+      claimed.status = 'Completed';
     }
     
-    prescription.updatedAt = new Date();
-    await prescription.save();
+    claimed.updatedAt = new Date();
+    await claimed.save();
+    realtimeService.prescriptionDispensed(claimed, medicationIndex);
     
     // Populate the prescription for response
-    await prescription.populate('patientId', 'fullName uhid');
-    await prescription.populate('doctorId', 'fullName');
-    await prescription.populate('medications.dispensedInventoryId', 'medicationName batchNumber');
+    await claimed.populate('patientId', 'fullName uhid');
+    await claimed.populate('doctorId', 'fullName');
+    await claimed.populate('medications.dispensedInventoryId', 'medicationName batchNumber');
     
     res.json({
       success: true,
-      message: 'Medication dispensed successfully',
+      message: dispensedBatches.length > 1
+        ? `Medication dispensed successfully from ${dispensedBatches.length} batches`
+        : 'Medication dispensed successfully',
       data: {
-        prescription,
+        prescription: claimed,
+        batches: dispensedBatches,
         inventoryUpdated: {
-          id: inventoryItem._id,
-          medicationName: inventoryItem.medicationName,
-          remainingStock: inventoryItem.quantity
+          id: updatedItems[0]._id,
+          medicationName: updatedItems[0].medicationName,
+          // Balances the ledger wrote, so stock moved since planning is reflected
+          remainingStock: updatedItems.reduce((sum, item) => sum + item.quantity, 0)
         }
       }
     });
   } catch (error) {
     console.error('Error dispensing medication:', error);
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
     res.status(500).json({ 
       success: false,
       error: 'Internal server error',
@@ -674,7 +1090,7 @@ router.post('/:id/dispense', auth, async (req, res) => {
 router.get('/:id/matching-inventory', auth, async (req, res) => {
   try {
     // Only pharmacists can access this
-    if (!['pharmacist', 'head_pharmacist', 'pharmacy_manager'].includes(req.user.role)) {
+    if (!PHARMACY_ROLES.includes(req.user.role)) {
       return res.status(403).json({ 
         success: false,
         error: 'Only pharmacists can access inventory matching' 
@@ -724,15 +1140,24 @@ router.get('/:id/matching-inventory', auth, async (req, res) => {
         ]
       })
       .select('medicationName genericName batchNumber strength quantity expiryDate unitPrice sellingPrice category')
-      .sort({ expiryDate: 1 }) // Sort by expiry date (FIFO)
+      .sort({ expiryDate: 1 }) // Sort by expiry date (FEFO)
       .limit(10);
+
+      // Flag the batch FEFO will draw from first for each product (name + strength)
+      const seenProducts = new Set();
+      const rankedMatches = matches.map(match => {
+        const productKey = `${match.medicationName}|${match.strength}`.toLowerCase();
+        const fefoFirst = !seenProducts.has(productKey);
+        seenProducts.add(productKey);
+        return { ...match.toJSON(), fefoFirst };
+      });
       
       matchingInventory.push({
         medicationIndex: i,
         medicationName: medication.name,
         dosage: medication.dosage,
         dispensed: false,
-        matches: matches
+        matches: rankedMatches
       });
     }
     
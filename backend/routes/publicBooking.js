@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
+const Clinic = require('../models/Clinic');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const OTP = require('../models/OTP');
+const emailService = require('../services/emailService');
+const slotService = require('../services/slotService');
+const realtimeService = require('../services/realtimeService');
+const notificationService = require('../services/notificationService');
+const Slots = require('../utils/slots');
+
+// The widget is open to anyone, so everything is limited per IP
+const bookingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: { error: 'Too many requests. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Sending codes and creating bookings get a much tighter allowance
+const submitLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { error: 'Too many booking attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(bookingLimiter);
+
+const OTP_PURPOSE = 'email_verification';
+const MAX_PENDING_PER_EMAIL = 3;
+const BOOKABLE_TYPES = Appointment.schema.path('appointmentType').enumValues
+  .filter(type => !['Emergency Visit', 'Teleconsultation'].includes(type));
+
+const findClinic = (clinicId) => Clinic.findOne({ clinicId, isActive: { $ne: false } })
+  .select('name address city state zipCode phone email website timezone');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// GET /api/public-booking/:clinicId - Clinic details and bookable doctors
+router.get('/:clinicId', async (req, res) => {
+  try {
+    const clinic = await findClinic(req.params.clinicId);
+    if (!clinic) {
+      return res.status(404).json({ error: 'Clinic not found' });
+    }
+
+    const doctors = await Doctor.find({ clinicId: clinic._id, isActive: { $ne: false } })
+      .select('fullName specialty qualification profileImage languages')
+      .sort({ fullName: 1 });
+    const specialties = [...new Set(doctors.map(doctor => doctor.specialty).filter(Boolean))].sort();
+
+    res.json({
+      clinic: {
+        name: clinic.name,
+        address: [clinic.address, clinic.city, clinic.state, clinic.zipCode].filter(Boolean).join(', '),
+        phone: clinic.phone,
+        email: clinic.email,
+        website: clinic.website,
+        timeZone: clinic.timezone
+      },
+      doctors,
+      specialties,
+      appointmentTypes: BOOKABLE_TYPES
+    });
+  } catch (error) {
+    console.error('Error fetching public booking clinic:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/public-booking/:clinicId/doctors/:doctorId/slots/:date - Free slots for one day
+router.get('/:clinicId/doctors/:doctorId/slots/:date', [
+  param('doctorId').isMongoId().withMessage('Invalid doctor'),
+  param('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const clinic = await findClinic(req.params.clinicId);
+    if (!clinic) {
+      return res.status(404).json({ error: 'Clinic not found' });
+    }
+    const doctor = await Doctor.exists({ _id: req.params.doctorId, clinicId: clinic._id, isActive: { $ne: false } });
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const result = await slotService.getSlots(req.params.doctorId, req.params.date);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching public booking slots:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/public-booking/:clinicId/verify-email - Email a code proving the patient owns the address
+router.post('/:clinicId/verify-email', submitLimiter, [
+  body('email').isEmail().withMessage('Valid email is required').normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const clinic = await findClinic(req.params.clinicId);
+    if (!clinic) {
+      return res.status(404).json({ error: 'Clinic not found' });
+    }
+
+    const { email } = req.body;
+    const recentOTP = await OTP.findOne({
+      email,
+      purpose: OTP_PURPOSE,
+      status: 'pending',
+      createdAt: { $gte: new Date(Date.now() - 60000) } // 1 minute ago
+    });
+    if (recentOTP) {
+      return res.status(429).json({ error: 'Please wait before requesting another code. Try again in a minute.' });
+    }
+
+    const otp = await OTP.createOTP(email, OTP_PURPOSE, null, req.ip, req.get('User-Agent'));
+    const emailResult = await emailService.sendOTPEmail(null, email, otp.code, OTP_PURPOSE, {
+      clinicId: clinic._id,
+      expiresMinutes: Math.round((otp.expiresAt - Date.now()) / 60000)
+    });
+    if (!emailResult.success) {
+      await OTP.findByIdAndDelete(otp._id);
+      return res.status(500).json({ error: 'Failed to send verification code. Please try again.' });
+    }
+
+    res.json({ message: 'A verification code has been sent to your email', expiresAt: otp.expiresAt });
+  } catch (error) {
+    console.error('Error sending public booking verification code:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/public-booking/:clinicId/appointments - Request an appointment for staff to confirm
+router.post('/:clinicId/appointments', submitLimiter, [
+  body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+  body('fullName').trim().isLength({ min: 1, max: 100 }).withMessage('Full name is required'),
+  body('phone').trim().matches(/^[+\d][\d\s-]{6,19}$/).withMessage('Valid phone number is required'),
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+  body('time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Time must be in HH:MM format'),
+  body('appointmentType').isIn(BOOKABLE_TYPES).withMessage('Invalid appointment type'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { email, otp: code, fullName, phone, doctorId, date, time, appointmentType, reason } = req.body;
+
+    const clinic = await findClinic(req.params.clinicId);
+    if (!clinic) {
+      return res.status(404).json({ error: 'Clinic not found' });
+    }
+    const doctor = await Doctor.findOne({ _id: doctorId, clinicId: clinic._id, isActive: { $ne: false } });
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const { ok, reason: unavailableReason, duration } = await slotService.check({ doctorId, date, time });
+    if (!ok) {
+      return res.status(unavailableReason === 'past' ? 400 : 409).json({ error: Slots.MESSAGES[unavailableReason] });
+    }
+
+    const pending = await Appointment.countDocuments({
+      clinicId: clinic._id,
+      status: 'Processing',
+      'bookingContact.email': email
+    });
+    if (pending >= MAX_PENDING_PER_EMAIL) {
+      return res.status(429).json({ error: `You already have ${MAX_PENDING_PER_EMAIL} requests awaiting confirmation` });
+    }
+
+    // Checked last so a taken slot or too many pending requests don't burn the patient's code
+    const verification = await OTP.verifyOTP(email, code, OTP_PURPOSE);
+    if (!verification.success) {
+      return res.status(400).json({ error: verification.message });
+    }
+
+    // A verified email and matching name link the request to the clinic's existing record
+    const patient = await Patient.findOne({
+      clinicId: clinic._id,
+      email,
+      fullName: new RegExp(`^${escapeRegex(fullName)}$`, 'i')
+    }).select('fullName');
+
+    const appointment = new Appointment({
+      patientId: patient?._id,
+      patientName: patient?.fullName || fullName,
+      doctorId: doctor._id,
+      provider: `Dr. ${doctor.fullName}`,
+      clinicId: clinic._id,
+      appointmentType,
+      date,
+      time,
+      duration,
+      status: 'Processing',
+      source: 'online',
+      bookingContact: { fullName, email, phone, emailVerifiedAt: new Date() },
+      reason: reason || 'Requested online'
+    });
+    await appointment.save();
+    await verification.otp.markAsUsed();
+    realtimeService.appointmentCreated(appointment);
+    notificationService.appointmentRequested(appointment);
+
+    if (patient) {
+      try {
+        await Invoice.createForAppointment(appointment);
+      } catch (invoiceError) {
+        console.error('Failed to create appointment invoice:', invoiceError);
+      }
+    }
+
+    res.status(201).json({
+      message: `Your request has been sent to ${clinic.name}. You will hear from the clinic once it is confirmed.`,
+      appointment: {
+        _id: appointment._id,
+        date: appointment.date,
+        time: appointment.time,
+        duration: appointment.duration,
+        appointmentType: appointment.appointmentType,
+        doctorName: doctor.fullName,
+        status: appointment.status
+      }
+    });
+  } catch (error) {
+    console.error('Error creating public booking:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: Object.values(error.errors).map(err => err.message) });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
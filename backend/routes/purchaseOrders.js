@@ -0,0 +1,445 @@
+const express = require('express');
+const router = express.Router();
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Inventory = require('../models/Inventory');
+const InventoryTransaction = require('../models/InventoryTransaction');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const { body, validationResult, param } = require('express-validator');
+
+const PURCHASING_ROLES = ['clinic', 'pharmacist', 'head_pharmacist', 'pharmacy_manager'];
+
+const LINE_FIELDS = ['inventoryId', 'medicationName', 'genericName', 'manufacturer', 'strength', 'category', 'quantityOrdered', 'unitPrice'];
+
+const validateOrder = [
+  body('supplierId').isMongoId().withMessage('Valid supplier is required'),
+  body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+  body('lines.*.medicationName').trim().notEmpty().withMessage('Medication name is required'),
+  body('lines.*.strength').trim().notEmpty().withMessage('Strength is required'),
+  body('lines.*.quantityOrdered').isInt({ min: 1 }).withMessage('Ordered quantity must be at least 1'),
+  body('lines.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('expectedDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expected date is required')
+];
+
+// Only keep known line fields so received quantities cannot be set from the client
+const sanitizeLines = (lines) => lines.map(line => {
+  const clean = {};
+  LINE_FIELDS.forEach(field => {
+    if (line[field] !== undefined && line[field] !== '') {
+      clean[field] = line[field];
+    }
+  });
+  return clean;
+});
+
+const ensureSupplier = async (supplierId, clinicId) => {
+  return Supplier.findOne({ _id: supplierId, clinicId, isActive: true });
+};
+
+// Get all purchase orders
+router.get('/', auth, requireRole(PURCHASING_ROLES), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, supplierId } = req.query;
+    const query = { clinicId: req.user.clinicId };
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+    if (supplierId) {
+      query.supplierId = supplierId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [orders, total] = await Promise.all([
+      PurchaseOrder.find(query)
+        .populate('supplierId', 'name contactPerson phone email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PurchaseOrder.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase orders',
+      error: error.message
+    });
+  }
+});
+
+// Get suggested lines for items at or below their reorder level
+router.get('/suggestions', auth, requireRole(PURCHASING_ROLES), async (req, res) => {
+  try {
+    const suggestions = await PurchaseOrder.suggestReorderLines(req.user.clinicId);
+
+    res.json({ success: true, data: suggestions });
+  } catch (error) {
+    console.error('Error building reorder suggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build reorder suggestions',
+      error: error.message
+    });
+  }
+});
+
+// Get single purchase order
+router.get('/:id', auth, requireRole(PURCHASING_ROLES), param('id').isMongoId(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, clinicId: req.user.clinicId })
+      .populate('supplierId')
+      .populate('receipts.lines.inventoryId', 'medicationName batchNumber quantity expiryDate');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.json({ success: true, data: order });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase order',
+      error: error.message
+    });
+  }
+});
+
+// Create purchase order (starts as draft)
+router.post('/', auth, requireRole(PURCHASING_ROLES), validateOrder, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const supplier = await ensureSupplier(req.body.supplierId, req.user.clinicId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const order = new PurchaseOrder({
+      clinicId: req.user.clinicId,
+      supplierId: supplier._id,
+      lines: sanitizeLines(req.body.lines),
+      expectedDate: req.body.expectedDate || undefined,
+      notes: req.body.notes,
+      status: 'draft',
+      createdBy: req.user._id,
+      createdByName: req.user.fullName
+    });
+    await order.save();
+    await order.populate('supplierId', 'name contactPerson phone email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: order
+    });
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to create purchase order',
+      error: error.message
+    });
+  }
+});
+
+// Update purchase order (drafts only)
+router.put('/:id', auth, requireRole(PURCHASING_ROLES), param('id').isMongoId(), validateOrder, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, clinicId: req.user.clinicId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be edited'
+      });
+    }
+
+    const supplier = await ensureSupplier(req.body.supplierId, req.user.clinicId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    order.supplierId = supplier._id;
+    order.lines = sanitizeLines(req.body.lines);
+    order.expectedDate = req.body.expectedDate || undefined;
+    order.notes = req.body.notes;
+    await order.save();
+    await order.populate('supplierId', 'name contactPerson phone email');
+
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: order
+    });
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update purchase order',
+      error: error.message
+    });
+  }
+});
+
+// Move a purchase order through the workflow (send, cancel, close short)
+router.patch('/:id/status',
+  auth,
+  requireRole(PURCHASING_ROLES),
+  param('id').isMongoId(),
+  body('status').isIn(['sent', 'cancelled', 'received']).withMessage('Invalid status'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const order = await PurchaseOrder.findOne({ _id: req.params.id, clinicId: req.user.clinicId });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase order not found'
+        });
+      }
+
+      const { status, reason } = req.body;
+      if (!order.canTransitionTo(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change purchase order from ${order.status} to ${status}`
+        });
+      }
+
+      order.status = status;
+      if (status === 'sent') {
+        order.sentAt = new Date();
+      } else if (status === 'cancelled') {
+        order.cancelledAt = new Date();
+        order.cancellationReason = reason;
+      } else if (status === 'received') {
+        // Closing a partially received order; the shortfall will not arrive
+        order.receivedAt = new Date();
+        order.notes = [order.notes, reason && `Closed short: ${reason}`].filter(Boolean).join('\n');
+      }
+      await order.save();
+      await order.populate('supplierId', 'name contactPerson phone email');
+
+      res.json({
+        success: true,
+        message: 'Purchase order status updated successfully',
+        data: order
+      });
+    } catch (error) {
+      console.error('Error updating purchase order status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update purchase order status',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Record a goods-received note; every received line becomes a new inventory batch
+router.post('/:id/receive',
+  auth,
+  requireRole(PURCHASING_ROLES),
+  param('id').isMongoId(),
+  [
+    body('lines').isArray({ min: 1 }).withMessage('At least one received line is required'),
+    body('lines.*.lineId').isMongoId().withMessage('Valid order line is required'),
+    body('lines.*.quantity').isInt({ min: 1 }).withMessage('Received quantity must be at least 1'),
+    body('lines.*.batchNumber').trim().notEmpty().withMessage('Batch number is required'),
+    body('lines.*.expiryDate').isISO8601().withMessage('Valid expiry date is required'),
+    body('lines.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+    body('lines.*.sellingPrice').optional().isFloat({ min: 0 }).withMessage('Selling price must be a positive number'),
+    body('lines.*.manufacturingDate').optional({ checkFalsy: true }).isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const order = await PurchaseOrder.findOne({ _id: req.params.id, clinicId: req.user.clinicId });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase order not found'
+        });
+      }
+
+      if (!['sent', 'partially_received'].includes(order.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Goods can only be received against a sent purchase order'
+        });
+      }
+
+      // Validate every line before touching stock
+      const receiptError = order.receiptError(req.body.lines);
+      if (receiptError) {
+        return res.status(400).json({
+          success: false,
+          message: receiptError
+        });
+      }
+
+      const { grnNumber, release } = await PurchaseOrder.claimReceipt(order, req.body.lines);
+
+      const receipt = {
+        grnNumber,
+        receivedAt: new Date(),
+        receivedBy: req.user._id,
+        receivedByName: req.user.fullName,
+        supplierInvoiceNumber: req.body.supplierInvoiceNumber,
+        notes: req.body.notes,
+        lines: []
+      };
+      const stocked = [];
+
+      try {
+        for (const received of req.body.lines) {
+          const line = order.lines.id(received.lineId);
+          const template = line.inventoryId
+            ? await Inventory.findOne({ _id: line.inventoryId, clinicId: req.user.clinicId })
+            : null;
+          const quantity = parseInt(received.quantity);
+          const unitPrice = parseFloat(received.unitPrice);
+
+          const batch = new Inventory({
+            medicationName: line.medicationName,
+            genericName: line.genericName || template?.genericName,
+            manufacturer: line.manufacturer || template?.manufacturer,
+            category: line.category || template?.category,
+            strength: line.strength,
+            batchNumber: received.batchNumber,
+            expiryDate: received.expiryDate,
+            manufacturingDate: received.manufacturingDate || undefined,
+            unitPrice,
+            sellingPrice: received.sellingPrice !== undefined
+              ? parseFloat(received.sellingPrice)
+              : (template?.sellingPrice ?? unitPrice),
+            reorderLevel: template?.reorderLevel ?? 10,
+            location: received.location || template?.location,
+            prescriptionRequired: template?.prescriptionRequired ?? true,
+            description: template?.description,
+            quantity: 0,
+            clinicId: req.user.clinicId,
+            addedBy: req.user._id
+          });
+          await batch.save();
+
+          await InventoryTransaction.record({
+            inventoryId: batch._id,
+            clinicId: req.user.clinicId,
+            type: 'receipt',
+            quantityChange: quantity,
+            referenceType: 'PurchaseOrder',
+            referenceId: order._id,
+            reason: `Received against ${order.poNumber} (${receipt.grnNumber})`,
+            user: req.user
+          });
+          stocked.push({ batch, quantity });
+
+          receipt.lines.push({
+            lineId: line._id,
+            inventoryId: batch._id,
+            batchNumber: batch.batchNumber,
+            expiryDate: batch.expiryDate,
+            manufacturingDate: batch.manufacturingDate,
+            quantity,
+            unitPrice,
+            sellingPrice: batch.sellingPrice
+          });
+        }
+      } catch (receiveError) {
+        // Take back stock already received and free the claimed quantities so a retry starts clean
+        for (const { batch, quantity } of stocked) {
+          await InventoryTransaction.record({
+            inventoryId: batch._id,
+            clinicId: req.user.clinicId,
+            type: 'adjustment',
+            quantityChange: -quantity,
+            referenceType: 'PurchaseOrder',
+            referenceId: order._id,
+            reason: `Reversed incomplete receipt ${receipt.grnNumber}`,
+            user: req.user
+          });
+          await Inventory.updateOne({ _id: batch._id }, { isActive: false });
+        }
+        await release();
+        throw receiveError;
+      }
+
+      // Received quantities were already counted above; only add the note and update the status
+      const updated = await PurchaseOrder.findOneAndUpdate(
+        { _id: order._id },
+        { $push: { receipts: receipt } },
+        { new: true }
+      );
+      updated.refreshReceiptStatus();
+      await updated.save();
+      await updated.populate('supplierId', 'name contactPerson phone email');
+
+      res.status(201).json({
+        success: true,
+        message: `Goods received (${grnNumber})`,
+        data: updated
+      });
+    } catch (error) {
+      console.error('Error receiving goods:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to record goods receipt',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const queueService = require('../services/queueService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const QUEUE_ROLES = ['clinic', 'doctor', 'nurse', 'head_nurse', 'supervisor'];
+
+const clinicIdFor = (user) => (user.role === 'clinic' ? user.id : user.clinicId);
+
+const requireQueueStaff = (req, res, next) => {
+  if (!QUEUE_ROLES.includes(req.user.role) || !clinicIdFor(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/queue/today - Every doctor's queue for today, for the reception screen.
+// Doctors get their own queue unless they ask for another.
+router.get('/today', auth, requireQueueStaff, [
+  query('doctorId').optional().isMongoId().withMessage('Valid doctor ID is required'),
+  query('all').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const ownQueue = req.user.role === 'doctor' && req.query.all !== 'true';
+    const doctorId = req.query.doctorId || (ownQueue ? req.user.id : undefined);
+    const board = await queueService.getBoard(clinicIdFor(req.user), { doctorId });
+    res.json({ success: true, data: board });
+  } catch (error) {
+    handleError(res, error, 'fetching queue');
+  }
+});
+
+// GET /api/queue/display - Token numbers for the waiting-room screen; no patient details
+router.get('/display', auth, async (req, res) => {
+  try {
+    const clinicId = clinicIdFor(req.user);
+    if (!clinicId) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+    const display = await queueService.getDisplay(clinicId);
+    res.json({ success: true, data: display });
+  } catch (error) {
+    handleError(res, error, 'fetching queue display');
+  }
+});
+
+// GET /api/queue/report - Wait and consultation times over a date range
+router.get('/report', auth, requireQueueStaff, [
+  query('from').optional().matches(DATE_PATTERN).withMessage('From must be a YYYY-MM-DD date'),
+  query('to').optional().matches(DATE_PATTERN).withMessage('To must be a YYYY-MM-DD date'),
+  query('doctorId').optional().isMongoId().withMessage('Valid doctor ID is required')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const doctorId = req.user.role === 'doctor' ? req.user.id : req.query.doctorId;
+    const report = await queueService.getReport(clinicIdFor(req.user), {
+      from: req.query.from,
+      to: req.query.to,
+      doctorId
+    });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    handleError(res, error, 'building queue report');
+  }
+});
+
+// POST /api/queue/tokens - Issue a token to a walk-in or check in today's appointment
+router.post('/tokens', auth, requireQueueStaff, [
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('appointmentId').optional({ checkFalsy: true }).isMongoId().withMessage('Valid appointment ID is required'),
+  body('patientId').optional({ checkFalsy: true }).isMongoId().withMessage('Valid patient ID is required'),
+  body('patientName').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('phone').optional().trim().isLength({ max: 20 }).withMessage('Phone number is too long'),
+  body('priority').optional().isIn(['normal', 'priority']).withMessage('Invalid priority'),
+  body('notes').optional().isLength({ max: 300 }).withMessage('Notes cannot exceed 300 characters')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const token = await queueService.issue(clinicIdFor(req.user), {
+      doctorId: req.body.doctorId,
+      appointmentId: req.body.appointmentId || undefined,
+      patientId: req.body.patientId || undefined,
+      patientName: req.body.patientName,
+      phone: req.body.phone,
+      priority: req.body.priority,
+      notes: req.body.notes
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Token ${token.tokenNumber} issued`,
+      data: token
+    });
+  } catch (error) {
+    handleError(res, error, 'issuing queue token');
+  }
+});
+
+// POST /api/queue/doctors/:doctorId/call-next - Call the next patient in line
+router.post('/doctors/:doctorId/call-next', auth, requireQueueStaff, async (req, res) => {
+  try {
+    const token = await queueService.callNext(clinicIdFor(req.user), req.params.doctorId);
+    res.json({
+      success: true,
+      message: token ? `Calling token ${token.tokenNumber}` : 'Nobody is waiting',
+      data: token
+    });
+  } catch (error) {
+    handleError(res, error, 'calling next token');
+  }
+});
+
+// POST /api/queue/tokens/:id/{start,complete,skip,requeue,cancel} - Move a token along
+const ACTIONS = {
+  start: { method: 'start', message: 'Consultation started' },
+  complete: { method: 'complete', message: 'Consultation finished' },
+  skip: { method: 'skip', message: 'Token skipped' },
+  requeue: { method: 'requeue', message: 'Token back in line' },
+  cancel: { method: 'cancel', message: 'Token cancelled' }
+};
+
+Object.entries(ACTIONS).forEach(([action, { method, message }]) => {
+  router.post(`/tokens/:id/${action}`, auth, requireQueueStaff, async (req, res) => {
+    try {
+      const token = await queueService[method](clinicIdFor(req.user), req.params.id);
+      res.json({ success: true, message, data: token });
+    } catch (error) {
+      handleError(res, error, `updating queue token (${action})`);
+    }
+  });
+});
+
+module.exports = router;
@@ -6,6 +6,8 @@ const Doctor = require('../models/Doctor');
 const Clinic = require('../models/Clinic');
 const Nurse = require('../models/Nurse');
 const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const messagingService = require('../services/messagingService');
 const auth = require('../middleware/auth');
 const ActivityLogger = require('../utils/activityLogger');
 const router = express.Router();
@@ -275,6 +277,28 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Referral notices are text-only, so there is no email version to fall back to
+const notifyPatientOfReferral = async (referral) => {
+  const patient = referral.patientId;
+  if (!patient?.phone) return;
+
+  const clinic = await Clinic.findById(referral.clinicId).select('name');
+  await messagingService.send({
+    type: 'referral_notice',
+    clinicId: referral.clinicId,
+    recipient: { name: patient.fullName, phone: patient.phone },
+    variables: {
+      patientName: patient.fullName,
+      clinicName: clinic?.name || '',
+      specialistName: referral.specialistName,
+      specialty: referral.specialty,
+      specialistPhone: referral.specialistContact?.phone || referral.specialistId?.phone || '',
+      urgency: referral.urgency
+    },
+    related: { kind: 'Referral', id: referral._id }
+  });
+};
+
 // POST /api/referrals - Create new referral
 router.post('/', auth, validateReferral, async (req, res) => {
   try {
@@ -360,6 +384,16 @@ router.post('/', auth, validateReferral, async (req, res) => {
       // Don't fail the referral creation if email fails
     }
 
+    // In-app notice for a receiving doctor who uses the system
+    if (populatedReferral.specialistId) {
+      notificationService.referralReceived(populatedReferral, req.user.id);
+    }
+
+    // Tell the patient who they were referred to, on the clinic's referral channels
+    notifyPatientOfReferral(populatedReferral).catch(error => {
+      console.error(`❌ Error sending referral notice to patient for referral ${referral._id}:`, error);
+    });
+
     // Log referral creation activity
     try {
       let currentUser = null;
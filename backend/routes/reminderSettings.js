@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const ReminderSettings = require('../models/ReminderSettings');
+const ScheduledJob = require('../models/ScheduledJob');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const appointmentReminderService = require('../services/appointmentReminderService');
+const Reminders = require('../utils/reminders');
+
+const APPOINTMENT_TYPES = Appointment.schema.path('appointmentType').enumValues;
+
+const offsetRule = (field) => body(field)
+  .optional()
+  .isArray({ max: 5 }).withMessage('At most 5 reminders can be configured')
+  .custom(offsets => offsets.every(offset =>
+    Number.isInteger(offset) && offset >= 5 && offset <= ReminderSettings.MAX_OFFSET
+  ))
+  .withMessage('Reminder times must be whole minutes between 5 minutes and 7 days');
+
+const validateSettings = [
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  offsetRule('offsets'),
+  body('subject').optional().isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+  body('body').optional().isLength({ max: 5000 }).withMessage('Template cannot exceed 5000 characters'),
+  body('rules').optional().isArray().withMessage('Rules must be a list'),
+  body('rules.*.appointmentType').isIn(APPOINTMENT_TYPES).withMessage('Invalid appointment type'),
+  body('rules.*.enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  offsetRule('rules.*.offsets'),
+  body('rules.*.subject').optional().isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+  body('rules.*.body').optional().isLength({ max: 5000 }).withMessage('Template cannot exceed 5000 characters')
+];
+
+const clinicIdFor = (req) => (req.user.role === 'clinic' ? req.user.id : req.user.clinicId);
+
+// Sample data for template previews
+const SAMPLE_VARIABLES = {
+  patientName: 'Priya Sharma',
+  doctorName: 'Arjun Mehta',
+  clinicName: 'City Care Clinic',
+  clinicPhone: '+91 98765 43210',
+  date: 'Monday, 12 January 2026',
+  time: '10:30 IST',
+  timeZone: 'IST',
+  duration: 30,
+  location: 'City Care Clinic, MG Road, Bengaluru',
+  meetingLink: ''
+};
+
+// GET /api/reminder-settings - Reminder timing and templates for the clinic
+router.get('/', auth, async (req, res) => {
+  try {
+    const clinicId = clinicIdFor(req);
+    if (!clinicId) {
+      return res.status(400).json({ error: 'Clinic ID is required' });
+    }
+
+    const settings = await ReminderSettings.forClinic(clinicId);
+    res.json({
+      settings,
+      appointmentTypes: APPOINTMENT_TYPES,
+      variables: Reminders.VARIABLES,
+      defaults: {
+        offsets: ReminderSettings.DEFAULT_OFFSETS,
+        subject: Reminders.DEFAULT_SUBJECT,
+        body: Reminders.DEFAULT_BODY
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reminder settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/reminder-settings - Save reminder timing and templates
+router.put('/', auth, requireRole(['clinic']), validateSettings, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { enabled, offsets, subject, body: template, rules } = req.body;
+    const settings = await ReminderSettings.forClinic(req.user.id);
+
+    if (enabled !== undefined) settings.enabled = enabled;
+    if (offsets !== undefined) settings.offsets = offsets;
+    if (subject !== undefined) settings.subject = subject || undefined;
+    if (template !== undefined) settings.body = template || undefined;
+    if (rules !== undefined) {
+      const types = rules.map(rule => rule.appointmentType);
+      if (new Set(types).size !== types.length) {
+        return res.status(400).json({ error: 'Each appointment type can only have one rule' });
+      }
+      settings.rules = rules.map(rule => ({
+        appointmentType: rule.appointmentType,
+        enabled: rule.enabled !== false,
+        offsets: rule.offsets?.length ? rule.offsets : undefined,
+        subject: rule.subject || undefined,
+        body: rule.body || undefined
+      }));
+    }
+    settings.updatedBy = { id: req.user.id, role: req.user.role };
+    await settings.save();
+
+    // Pick up the new timing straight away rather than on the next sweep
+    appointmentReminderService.planReminders()
+      .catch(error => console.error('Error re-planning reminders:', error));
+
+    res.json({ message: 'Reminder settings saved', settings });
+  } catch (error) {
+    console.error('Error saving reminder settings:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: Object.values(error.errors).map(err => err.message) });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reminder-settings/preview - Render a template with sample data
+router.post('/preview', auth, [
+  body('subject').optional().isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+  body('body').optional().isLength({ max: 5000 }).withMessage('Template cannot exceed 5000 characters'),
+  body('offset').optional().isInt({ min: 5, max: ReminderSettings.MAX_OFFSET }).withMessage('Invalid reminder time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { subject, body: template, appointmentType, offset, isVirtual } = req.body;
+    const variables = {
+      ...SAMPLE_VARIABLES,
+      appointmentType: appointmentType || APPOINTMENT_TYPES[0],
+      timeUntil: Reminders.describeOffset(parseInt(offset) || ReminderSettings.DEFAULT_OFFSETS[0]),
+      ...(isVirtual && { location: 'Video consultation', meetingLink: 'https://meet.jit.si/sample-consultation' })
+    };
+
+    res.json({
+      subject: Reminders.render(subject || Reminders.DEFAULT_SUBJECT, variables),
+      body: Reminders.render(template || Reminders.DEFAULT_BODY, variables),
+      meetingLink: variables.meetingLink || null
+    });
+  } catch (error) {
+    console.error('Error previewing reminder template:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reminder-settings/history - Recent and upcoming reminders for the clinic
+router.get('/history', auth, async (req, res) => {
+  try {
+    const clinicId = clinicIdFor(req);
+    if (!clinicId) {
+      return res.status(400).json({ error: 'Clinic ID is required' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = {
+      name: appointmentReminderService.REMINDER_JOB,
+      'payload.clinicId': clinicId
+    };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const jobs = await ScheduledJob.find(query)
+      .sort({ runAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const appointments = await Appointment.find({ _id: { $in: jobs.map(job => job.payload.appointmentId) } })
+      .select('patientName appointmentType date time status')
+      .lean();
+    const byId = new Map(appointments.map(appointment => [String(appointment._id), appointment]));
+
+    res.json({
+      reminders: jobs.map(job => ({
+        _id: job._id,
+        status: job.status,
+        runAt: job.runAt,
+        offset: job.payload.offset,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        result: job.result,
+        completedAt: job.completedAt,
+        appointment: byId.get(String(job.payload.appointmentId)) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching reminder history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -148,7 +148,7 @@ router.get('/audit/:year/:month', auth, async (req, res) => {
       clinicId: userClinicId, 
       year, 
       month 
-    }).populate('invoiceEntries.invoiceId', 'invoiceNo patientName total');
+    }).populate('invoiceEntries.invoiceId', 'invoiceNumber patientName total');
 
     if (!revenueRecord) {
       return res.json({
@@ -168,7 +168,7 @@ router.get('/audit/:year/:month', auth, async (req, res) => {
       lastUpdated: revenueRecord.lastUpdated,
       entries: revenueRecord.invoiceEntries.map(entry => ({
         invoiceId: entry.invoiceId._id,
-        invoiceNo: entry.invoiceId.invoiceNo,
+        invoiceNumber: entry.invoiceId.invoiceNumber,
         patientName: entry.invoiceId.patientName,
         amount: entry.amount,
         action: entry.action,
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const ScheduleException = require('../models/ScheduleException');
+const ClinicTime = require('../utils/clinicTime');
 
 // Get exceptions for a specific doctor
 router.get('/:doctorId', async (req, res) => {
@@ -54,14 +55,11 @@ router.post('/', async (req, res) => {
     }
 
     // Check if an exception already exists for this doctor on this date
-    const exceptionDate = new Date(date);
-    exceptionDate.setHours(0, 0, 0, 0);
-    
     const existingException = await ScheduleException.findOne({
       doctorId,
       date: {
-        $gte: exceptionDate,
-        $lt: new Date(exceptionDate.getTime() + 24 * 60 * 60 * 1000)
+        $gte: ClinicTime.dayStart(date),
+        $lt: ClinicTime.addDays(date, 1)
       },
       isActive: true
     });
@@ -114,16 +112,16 @@ router.post('/bulk', async (req, res) => {
       });
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = ClinicTime.dayStart(startDate);
+    const end = ClinicTime.dayStart(endDate);
     const exceptions = [];
 
-    // Create exception for each day in the range
-    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+    // Create exception for each calendar day in the range
+    for (let date = start; date <= end; date = ClinicTime.addDays(date, 1)) {
       exceptions.push({
         doctorId,
         clinicId,
-        date: new Date(date),
+        date,
         type,
         reason,
         isActive: true
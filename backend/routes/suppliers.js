@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const Supplier = require('../models/Supplier');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roleAuth');
+const { body, validationResult, param } = require('express-validator');
+
+const PURCHASING_ROLES = ['clinic', 'pharmacist', 'head_pharmacist', 'pharmacy_manager'];
+
+const validateSupplier = [
+  body('name').optional().trim().notEmpty().withMessage('Supplier name is required'),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Valid email is required'),
+  body('leadTimeDays').optional().isInt({ min: 0 }).withMessage('Lead time must be a positive number')
+];
+
+// Get all suppliers
+router.get('/', auth, requireRole(PURCHASING_ROLES), async (req, res) => {
+  try {
+    const { search, includeInactive } = req.query;
+    const query = { clinicId: req.user.clinicId };
+
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { contactPerson: { $regex: search, $options: 'i' } },
+        { gstin: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    res.json({ success: true, data: suppliers });
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suppliers',
+      error: error.message
+    });
+  }
+});
+
+// Get single supplier
+router.get('/:id', auth, requireRole(PURCHASING_ROLES), param('id').isMongoId(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const supplier = await Supplier.findOne({ _id: req.params.id, clinicId: req.user.clinicId });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({ success: true, data: supplier });
+  } catch (error) {
+    console.error('Error fetching supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch supplier',
+      error: error.message
+    });
+  }
+});
+
+// Create supplier
+router.post('/',
+  auth,
+  requireRole(PURCHASING_ROLES),
+  body('name').trim().notEmpty().withMessage('Supplier name is required'),
+  validateSupplier,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const supplier = new Supplier({
+        ...req.body,
+        clinicId: req.user.clinicId,
+        addedBy: req.user._id
+      });
+      await supplier.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Supplier added successfully',
+        data: supplier
+      });
+    } catch (error) {
+      console.error('Error creating supplier:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create supplier',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Update supplier
+router.put('/:id',
+  auth,
+  requireRole(PURCHASING_ROLES),
+  param('id').isMongoId(),
+  validateSupplier,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { clinicId, addedBy, ...updates } = req.body;
+
+      const supplier = await Supplier.findOneAndUpdate(
+        { _id: req.params.id, clinicId: req.user.clinicId },
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Supplier updated successfully',
+        data: supplier
+      });
+    } catch (error) {
+      console.error('Error updating supplier:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update supplier',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Delete supplier (soft delete so past purchase orders keep their supplier)
+router.delete('/:id', auth, requireRole(PURCHASING_ROLES), param('id').isMongoId(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const supplier = await Supplier.findOneAndUpdate(
+      { _id: req.params.id, clinicId: req.user.clinicId },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete supplier',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -8,11 +8,11 @@ const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Clinic = require('../models/Clinic');
 const Nurse = require('../models/Nurse');
-const TeleconsultationInvoice = require('../models/TeleconsultationInvoice');
-const DoctorFees = require('../models/DoctorFees');
+const Invoice = require('../models/Invoice');
 const jitsiService = require('../services/jitsiService');
 const auth = require('../middleware/auth');
 const ActivityLogger = require('../utils/activityLogger');
+const ClinicTime = require('../utils/clinicTime');
 
 // Validation middleware for teleconsultation creation
 const validateTeleconsultation = [
@@ -313,25 +313,7 @@ router.post('/', auth, validateTeleconsultation, async (req, res) => {
 
     // Create teleconsultation invoice
     try {
-      const doctorFees = await DoctorFees.findOne({ doctorId: appointment.doctorId._id });
-      const teleconsultationFee = doctorFees?.teleconsultationFees || 500;
-
-      const teleconsultationInvoice = new TeleconsultationInvoice({
-        teleconsultationId: teleconsultation._id,
-        patientId: appointment.patientId._id,
-        doctorId: appointment.doctorId._id,
-        clinicId: appointment.clinicId,
-        amount: teleconsultationFee,
-        paymentMethod: 'pending',
-        teleconsultationDetails: {
-          scheduledDate: parsedDate,
-          scheduledTime,
-          duration,
-          meetingId: meeting.meetingId
-        }
-      });
-
-      await teleconsultationInvoice.save();
+      const teleconsultationInvoice = await Invoice.createForTeleconsultation(teleconsultation);
       console.log('Teleconsultation invoice created:', teleconsultationInvoice.invoiceNumber);
     } catch (invoiceError) {
       console.error('Failed to create teleconsultation invoice:', invoiceError);
@@ -349,6 +331,7 @@ router.post('/', auth, validateTeleconsultation, async (req, res) => {
       doctorName: appointment.doctorId.fullName,
       scheduledDate,
       scheduledTime,
+      timeZone: teleconsultation.timezone,
       meetingId: meeting.meetingId,
       meetingUrl: meeting.urls.patient,
       participantPassword: meeting.participantPassword
@@ -359,6 +342,7 @@ router.post('/', auth, validateTeleconsultation, async (req, res) => {
       doctorName: appointment.doctorId.fullName,
       scheduledDate,
       scheduledTime,
+      timeZone: teleconsultation.timezone,
       meetingId: meeting.meetingId,
       urls: meeting.urls,
       moderatorPassword: meeting.moderatorPassword
@@ -719,28 +703,25 @@ router.get('/stats/summary', auth, async (req, res) => {
       }
     ]);
 
+    // Days are counted in the clinic's timezone; scheduledDate is UTC midnight of the day
+    const today = ClinicTime.today(await Clinic.getTimeZone(req.user.role === 'clinic' ? req.user.id : req.user.clinicId));
+    const tomorrow = ClinicTime.addDays(today, 1);
+
     // Get upcoming teleconsultations (next 7 days)
-    const nextWeek = new Date();
-    nextWeek.setDate(nextWeek.getDate() + 7);
-    
     const upcomingCount = await Teleconsultation.countDocuments({
       ...baseQuery,
       scheduledDate: {
-        $gte: new Date(),
-        $lte: nextWeek
+        $gte: ClinicTime.dayStart(today),
+        $lt: ClinicTime.addDays(today, 8)
       },
       status: 'Scheduled'
     });
 
     // Get today's teleconsultations
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
     const todayCount = await Teleconsultation.countDocuments({
       ...baseQuery,
       scheduledDate: {
-        $gte: today,
+        $gte: ClinicTime.dayStart(today),
         $lt: tomorrow
       }
     });
@@ -0,0 +1,330 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Nurse = require('../models/Nurse');
+const Clinic = require('../models/Clinic');
+const auth = require('../middleware/auth');
+const waitlistService = require('../services/waitlistService');
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const EDITABLE_FIELDS = [
+  'appointmentType', 'duration', 'preferredDays', 'preferredTimeFrom', 'preferredTimeTo',
+  'earliestDate', 'latestDate', 'priority', 'notes'
+];
+
+// Preference fields shared by create and update
+const validatePreferences = [
+  body('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('preferredDays').optional().isArray().withMessage('Preferred days must be a list'),
+  body('preferredDays.*').optional().isInt({ min: 0, max: 6 }).withMessage('Preferred days must be 0 (Sunday) to 6 (Saturday)'),
+  body('preferredTimeFrom').optional({ checkFalsy: true }).matches(TIME_PATTERN).withMessage('Preferred time must be in HH:MM format'),
+  body('preferredTimeTo').optional({ checkFalsy: true }).matches(TIME_PATTERN).withMessage('Preferred time must be in HH:MM format'),
+  body('earliestDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid earliest date is required'),
+  body('latestDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid latest date is required'),
+  body('priority').optional().isIn(Object.keys(WaitlistEntry.PRIORITY_RANK)).withMessage('Invalid priority'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateEntry = [
+  body('patientId').isMongoId().withMessage('Valid patient ID is required'),
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  ...validatePreferences
+];
+
+const clinicScope = (req, query = {}) => {
+  if (req.user.role === 'clinic') {
+    query.clinicId = req.user.id;
+  } else if (req.user.clinicId) {
+    query.clinicId = req.user.clinicId;
+  }
+  return query;
+};
+
+// The caller's own clinic; the patient and doctor must both belong to it
+const resolveClinicId = async (req) => {
+  if (req.user.role === 'clinic') return req.user.id;
+  if (req.user.role === 'doctor') return req.user.clinicId;
+  if (['nurse', 'head_nurse', 'supervisor'].includes(req.user.role)) {
+    const nurse = await Nurse.findById(req.user.id);
+    return nurse?.clinicId;
+  }
+  return req.body.clinicId;
+};
+
+// Empty strings from the form mean "no preference"
+const pickEditable = (source) => {
+  const changes = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      changes[field] = source[field] === '' ? undefined : source[field];
+    }
+  });
+  return changes;
+};
+
+const checkTimeWindow = (entry) => {
+  if (entry.preferredTimeFrom && entry.preferredTimeTo && entry.preferredTimeFrom >= entry.preferredTimeTo) {
+    return 'Preferred time window must end after it starts';
+  }
+  if (entry.earliestDate && entry.latestDate && new Date(entry.earliestDate) > new Date(entry.latestDate)) {
+    return 'Latest date must be on or after the earliest date';
+  }
+  return null;
+};
+
+// ---------------------------------------------------------------------------
+// Public offer links - the token in the emailed link is the credential
+// ---------------------------------------------------------------------------
+
+// GET /api/waitlist/offers/:token - Offer details for the accept page
+router.get('/offers/:token', async (req, res) => {
+  try {
+    const { entry, offer } = await waitlistService.findOffer(req.params.token);
+    const [patient, doctor, clinic] = await Promise.all([
+      Patient.findById(entry.patientId).select('fullName'),
+      Doctor.findById(entry.doctorId).select('fullName specialization'),
+      Clinic.findById(entry.clinicId).select('name address city phone')
+    ]);
+
+    const expired = offer.status === 'pending' && offer.expiresAt < new Date();
+    res.json({
+      status: expired ? 'expired' : offer.status,
+      patientFirstName: patient?.fullName?.split(' ')[0] || '',
+      doctorName: doctor?.fullName || '',
+      doctorSpecialization: doctor?.specialization || '',
+      clinicName: clinic?.name || '',
+      clinicAddress: clinic?.address || '',
+      clinicCity: clinic?.city || '',
+      clinicPhone: clinic?.phone || '',
+      appointmentType: entry.appointmentType,
+      date: offer.date,
+      time: offer.time,
+      duration: offer.duration,
+      expiresAt: offer.expiresAt
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error fetching waitlist offer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/waitlist/offers/:token/accept - Book the offered slot
+router.post('/offers/:token/accept', async (req, res) => {
+  try {
+    const { appointment } = await waitlistService.acceptOffer(req.params.token);
+    res.json({
+      message: 'Appointment booked successfully',
+      appointment: {
+        _id: appointment._id,
+        date: appointment.date,
+        time: appointment.time,
+        duration: appointment.duration,
+        provider: appointment.provider,
+        status: appointment.status
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error accepting waitlist offer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/waitlist/offers/:token/decline - Turn the slot down and stay on the list
+router.post('/offers/:token/decline', async (req, res) => {
+  try {
+    await waitlistService.declineOffer(req.params.token);
+    res.json({ message: 'Offer declined. You remain on the waitlist.' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error declining waitlist offer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Staff endpoints
+// ---------------------------------------------------------------------------
+
+// GET /api/waitlist - Waitlist entries for the clinic
+router.get('/', auth, async (req, res) => {
+  try {
+    const { doctorId, status } = req.query;
+    const query = clinicScope(req);
+
+    if (req.user.role === 'doctor') {
+      query.doctorId = req.user.id;
+    } else if (doctorId) {
+      query.doctorId = doctorId;
+    }
+    if (!status) {
+      query.status = { $in: ['waiting', 'offered'] };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('patientId', 'fullName phone email')
+      .populate('doctorId', 'fullName specialization')
+      .sort({ createdAt: 1 });
+
+    // Same order offers are made in
+    entries.sort((a, b) => b.priorityRank - a.priorityRank);
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/waitlist - Add a patient to a doctor's waitlist
+router.post('/', auth, validateEntry, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const clinicId = await resolveClinicId(req);
+    if (!clinicId) {
+      return res.status(400).json({ error: 'Clinic ID is required' });
+    }
+
+    const { patientId, doctorId } = req.body;
+    const [patient, doctor] = await Promise.all([
+      Patient.findOne({ _id: patientId, clinicId }),
+      Doctor.findOne({ _id: doctorId, clinicId })
+    ]);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      patientId,
+      doctorId,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Patient is already on this doctor\'s waitlist', entry: existing });
+    }
+
+    const entry = new WaitlistEntry({
+      ...pickEditable(req.body),
+      patientId,
+      doctorId,
+      clinicId,
+      createdBy: { id: req.user.id, role: req.user.role }
+    });
+
+    const windowError = checkTimeWindow(entry);
+    if (windowError) {
+      return res.status(400).json({ error: windowError });
+    }
+
+    await entry.save();
+    await entry.populate([
+      { path: 'patientId', select: 'fullName phone email' },
+      { path: 'doctorId', select: 'fullName specialization' }
+    ]);
+
+    res.status(201).json({ message: 'Patient added to waitlist', entry });
+  } catch (error) {
+    console.error('Error adding waitlist entry:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: Object.values(error.errors).map(err => err.message) });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/waitlist/:id - Update preferences or priority
+router.put('/:id', auth, validatePreferences, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const entry = await WaitlistEntry.findOne(clinicScope(req, { _id: req.params.id }));
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+    if (['booked', 'removed'].includes(entry.status)) {
+      return res.status(400).json({ error: `Cannot edit a ${entry.status} waitlist entry` });
+    }
+
+    entry.set(pickEditable(req.body));
+    const windowError = checkTimeWindow(entry);
+    if (windowError) {
+      return res.status(400).json({ error: windowError });
+    }
+
+    await entry.save();
+    await entry.populate([
+      { path: 'patientId', select: 'fullName phone email' },
+      { path: 'doctorId', select: 'fullName specialization' }
+    ]);
+
+    res.json({ message: 'Waitlist entry updated', entry });
+  } catch (error) {
+    console.error('Error updating waitlist entry:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid waitlist entry ID' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/waitlist/:id - Remove a patient from the waitlist
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne(clinicScope(req, { _id: req.params.id }));
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    // A pending offer is withdrawn and its slot goes to the next patient
+    const pendingOffer = entry.activeOffer;
+    entry.status = 'removed';
+    if (pendingOffer) {
+      pendingOffer.status = 'withdrawn';
+      pendingOffer.respondedAt = new Date();
+    }
+    await entry.save();
+
+    if (pendingOffer) {
+      waitlistService.offerSlot({
+        doctorId: entry.doctorId,
+        clinicId: entry.clinicId,
+        date: pendingOffer.date,
+        time: pendingOffer.time,
+        duration: pendingOffer.duration,
+        sourceAppointmentId: pendingOffer.sourceAppointmentId
+      }).catch(error => console.error('Error re-offering withdrawn waitlist slot:', error));
+    }
+
+    res.json({ message: 'Patient removed from waitlist' });
+  } catch (error) {
+    console.error('Error removing waitlist entry:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid waitlist entry ID' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const DrugInteraction = require('../models/DrugInteraction');
+const DrugClass = require('../models/DrugClass');
+
+// Minimal CSV reader for drugA,drugB,severity,description,advice[,source] rows
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  const header = lines.shift().split(',').map(h => h.trim());
+
+  return lines.map(line => {
+    const values = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"' && line[i + 1] === '"' && quoted) {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (char === ',' && !quoted) {
+        values.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    values.push(current);
+
+    return header.reduce((row, key, index) => {
+      row[key] = (values[index] || '').trim();
+      return row;
+    }, {});
+  });
+}
+
+async function importDrugInteractions() {
+  const file = process.argv[2] || path.join(__dirname, '..', 'data', 'drug-interactions.json');
+
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    const table = file.endsWith('.csv')
+      ? { classes: [], interactions: parseCsv(content) }
+      : JSON.parse(content);
+
+    const mongoURI = process.env.NODE_ENV === 'production'
+      ? process.env.MONGODB_URI_PROD
+      : process.env.MONGODB_URI;
+
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+
+    const classResult = await DrugClass.importClasses(table.classes || []);
+    console.log(`📚 Imported ${classResult.imported} drug classes`);
+
+    const result = await DrugInteraction.importRows(table.interactions || []);
+    console.log(`💊 Imported ${result.imported} interactions`);
+
+    result.skipped.forEach(({ row, reason }) => {
+      console.log(`⚠️ Skipped row ${row}: ${reason}`);
+    });
+  } catch (error) {
+    console.error('❌ Import failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+importDrugInteractions();
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Clinic = require('../models/Clinic');
+const Gst = require('../utils/gst');
+
+// Fill in each clinic's GSTIN from the free-text taxId it registered with,
+// where that is a valid GSTIN. Clinics with a GSTIN already are left alone;
+// the rest are listed so they can enter one in Settings. Safe to run again.
+async function migrateClinicGstin() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const mongoURI = process.env.NODE_ENV === 'production'
+      ? process.env.MONGODB_URI_PROD
+      : process.env.MONGODB_URI;
+
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️ Dry run - no changes will be written');
+
+    const clinics = await Clinic.find({ $or: [{ gstin: { $exists: false } }, { gstin: '' }] })
+      .select('name state taxId')
+      .lean();
+
+    let updated = 0;
+    const missing = [];
+    for (const clinic of clinics) {
+      const gstin = String(clinic.taxId || '').replace(/\s+/g, '').toUpperCase();
+      if (!Gst.isValidGstin(gstin)) {
+        missing.push(`${clinic.name}: ${clinic.taxId ? `taxId "${clinic.taxId}" is not a GSTIN` : 'no taxId'}`);
+        continue;
+      }
+      if (Gst.gstinState(gstin) !== Gst.stateCode(clinic.state)) {
+        console.log(`⚠️ ${clinic.name}: GSTIN ${gstin} is registered outside ${clinic.state}`);
+      }
+
+      if (!dryRun) {
+        await Clinic.updateOne({ _id: clinic._id }, { $set: { gstin } });
+      }
+      updated++;
+    }
+
+    console.log(`📊 Set the GSTIN of ${updated} clinics`);
+    if (missing.length > 0) {
+      console.log(`ℹ️ ${missing.length} clinics have no GSTIN and will issue plain invoices until one is entered:`);
+      missing.forEach(line => console.log(`   ${line}`));
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateClinicGstin();
@@ -4,6 +4,7 @@ require('dotenv').config();
 // Import models
 const Invoice = require('../models/Invoice');
 const Revenue = require('../models/Revenue');
+const Invoices = require('../utils/invoices');
 
 async function migrateRevenueData() {
   try {
@@ -22,7 +23,8 @@ async function migrateRevenueData() {
     // Find all approved invoices
     console.log('🔍 Finding all approved invoices...');
     const approvedInvoices = await Invoice.find({ 
-      status: 'Approved',
+      status: { $in: Invoices.REVENUE_STATUSES },
+      revenueRecorded: { $ne: true },
       clinicId: { $exists: true },
       total: { $exists: true, $gt: 0 }
     }).sort({ createdAt: 1 });
@@ -46,7 +48,7 @@ async function migrateRevenueData() {
         const year = invoiceDate.getFullYear();
         const month = invoiceDate.getMonth() + 1;
         
-        console.log(`📝 Processing invoice ${invoice.invoiceNo} - ₹${invoice.total} (${year}-${month})`);
+        console.log(`📝 Processing invoice ${invoice.invoiceNumber} - ₹${invoice.total} (${year}-${month})`);
         
         // Check if this invoice is already recorded in revenue
         const existingRevenue = await Revenue.findOne({
@@ -57,7 +59,8 @@ async function migrateRevenueData() {
         });
         
         if (existingRevenue) {
-          console.log(`⏭️ Invoice ${invoice.invoiceNo} already recorded in revenue, skipping`);
+          console.log(`⏭️ Invoice ${invoice.invoiceNumber} already recorded in revenue, skipping`);
+          await Invoice.updateOne({ _id: invoice._id }, { revenueRecorded: true });
           skippedCount++;
           continue;
         }
@@ -69,12 +72,13 @@ async function migrateRevenueData() {
           invoice.total,
           'approved'
         );
+        await Invoice.updateOne({ _id: invoice._id }, { revenueRecorded: true });
         
         migratedCount++;
-        console.log(`✅ Migrated invoice ${invoice.invoiceNo} - ₹${invoice.total}`);
+        console.log(`✅ Migrated invoice ${invoice.invoiceNumber} - ₹${invoice.total}`);
         
       } catch (error) {
-        console.error(`❌ Error processing invoice ${invoice.invoiceNo}:`, error.message);
+        console.error(`❌ Error processing invoice ${invoice.invoiceNumber}:`, error.message);
         errorCount++;
       }
     }
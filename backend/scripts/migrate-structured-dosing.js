@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Prescription = require('../models/Prescription');
+const Dosing = require('../utils/dosing');
+
+// Parse free-text dosage/frequency/duration on existing prescriptions into the
+// structured dosing fields. Entries the parser can't read are listed for review.
+async function migrateStructuredDosing() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const mongoURI = process.env.NODE_ENV === 'production'
+      ? process.env.MONGODB_URI_PROD
+      : process.env.MONGODB_URI;
+
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️ Dry run - no changes will be written');
+
+    const cursor = Prescription.find({ 'medications.0': { $exists: true } }).lean().cursor();
+
+    let updatedCount = 0;
+    let medicationCount = 0;
+    const unparsed = [];
+
+    for await (const prescription of cursor) {
+      const medications = prescription.medications.map(medication => {
+        const structured = Dosing.structure({ ...medication });
+        medicationCount++;
+
+        const missing = [];
+        if (!structured.doseUnit) missing.push(`dosage "${medication.dosage}"`);
+        if (!structured.frequencyCode) missing.push(`frequency "${medication.frequency}"`);
+        if (!structured.durationDays && structured.frequencyCode !== 'STAT') missing.push(`duration "${medication.duration}"`);
+        if (missing.length > 0) {
+          unparsed.push(`${prescription.prescriptionNumber} - ${medication.name}: ${missing.join(', ')}`);
+        }
+
+        return structured;
+      });
+
+      if (!dryRun) {
+        await Prescription.updateOne({ _id: prescription._id }, { $set: { medications } });
+      }
+      updatedCount++;
+    }
+
+    console.log(`📊 Processed ${medicationCount} medications on ${updatedCount} prescriptions`);
+
+    if (unparsed.length > 0) {
+      console.log(`⚠️ ${unparsed.length} medications need manual review:`);
+      unparsed.forEach(line => console.log(`   ${line}`));
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateStructuredDosing();
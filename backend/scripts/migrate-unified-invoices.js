@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Invoice = require('../models/Invoice');
+const Revenue = require('../models/Revenue');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Teleconsultation = require('../models/Teleconsultation');
+const Invoices = require('../utils/invoices');
+
+// Collections of the old appointment and teleconsultation invoice models
+const LEGACY_COLLECTIONS = {
+  AppointmentInvoice: 'appointmentinvoices',
+  TeleconsultationInvoice: 'teleconsultationinvoices'
+};
+
+// Move the three billing stacks into the unified invoices collection. General
+// invoices are converted in place; appointment and teleconsultation invoices
+// are copied across under their own _id, so payments, refunds and revenue
+// entries that point at them still resolve. Safe to run again.
+async function migrateUnifiedInvoices() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const mongoURI = process.env.NODE_ENV === 'production'
+      ? process.env.MONGODB_URI_PROD
+      : process.env.MONGODB_URI;
+
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️ Dry run - no changes will be written');
+
+    const db = mongoose.connection.db;
+    const invoices = db.collection('invoices');
+    const unresolved = [];
+    const counts = { Invoice: 0, AppointmentInvoice: 0, TeleconsultationInvoice: 0, skipped: 0 };
+
+    // Whether the invoice's total is currently counted in revenue
+    const revenueRecorded = async (fields) =>
+      Invoices.countsAsRevenue(fields.status) && Revenue.wasRecorded(fields._id);
+
+    const patientName = async (patientId) => {
+      const patient = patientId ? await Patient.findById(patientId).select('fullName').lean() : null;
+      return patient?.fullName;
+    };
+
+    // General invoices not yet converted still carry invoiceNo
+    const general = invoices.find({ legacy: { $exists: false }, invoiceNo: { $exists: true } });
+    for await (const doc of general) {
+      const fields = Invoices.fromLegacy('Invoice', doc);
+      fields.revenueRecorded = await revenueRecorded(fields);
+
+      if (!dryRun) {
+        await invoices.updateOne(
+          { _id: doc._id },
+          {
+            $set: { ...fields, statusHistory: [], updatedAt: new Date() },
+            $unset: { invoiceNo: '' }
+          }
+        );
+      }
+      counts.Invoice++;
+    }
+
+    for (const [model, name] of Object.entries(LEGACY_COLLECTIONS)) {
+      const exists = await db.listCollections({ name }).hasNext();
+      if (!exists) continue;
+
+      for await (const doc of db.collection(name).find()) {
+        if (await invoices.findOne({ _id: doc._id }, { projection: { _id: 1 } })) {
+          counts.skipped++;
+          continue;
+        }
+
+        const source = { ...doc };
+        if (model === 'TeleconsultationInvoice') {
+          const teleconsultation = await Teleconsultation.findById(doc.teleconsultationId)
+            .select('appointmentId clinicId').lean();
+          source.appointmentId = teleconsultation?.appointmentId;
+          source.clinicId = source.clinicId || teleconsultation?.clinicId;
+        }
+        // The old models left clinicId optional; the doctor's clinic issued the invoice
+        if (!source.clinicId && doc.doctorId) {
+          const doctor = await Doctor.findById(doc.doctorId).select('clinicId').lean();
+          source.clinicId = doctor?.clinicId;
+        }
+        if (!source.clinicId) {
+          unresolved.push(`${model} ${doc.invoiceNumber || doc._id}: no clinic found`);
+          continue;
+        }
+
+        const fields = Invoices.fromLegacy(model, source);
+        fields.patientName = await patientName(doc.patientId);
+        fields.revenueRecorded = await revenueRecorded(fields);
+
+        if (!dryRun) {
+          await invoices.insertOne({
+            ...fields,
+            discount: 0,
+            tax: 0,
+            shipping: 0,
+            statusHistory: [],
+            updatedAt: doc.updatedAt || new Date()
+          });
+        }
+        counts[model]++;
+      }
+    }
+
+    if (!dryRun) {
+      // Replaces the old global invoiceNo index with per-clinic numbering
+      await Invoice.syncIndexes();
+    }
+
+    console.log(`📊 Converted ${counts.Invoice} general invoices`);
+    console.log(`📊 Copied ${counts.AppointmentInvoice} appointment and ${counts.TeleconsultationInvoice} teleconsultation invoices`);
+    if (counts.skipped > 0) console.log(`⏭️ ${counts.skipped} were already migrated`);
+
+    if (unresolved.length > 0) {
+      console.log(`⚠️ ${unresolved.length} invoices were not migrated:`);
+      unresolved.forEach(line => console.log(`   ${line}`));
+      process.exitCode = 1;
+    } else if (!dryRun) {
+      console.log(`ℹ️ Once checked, the ${Object.values(LEGACY_COLLECTIONS).join(' and ')} collections can be dropped`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateUnifiedInvoices();
@@ -15,6 +15,9 @@ const PORT = process.env.PORT || 5000;
 // Import routes
 const patientRoutes = require('./routes/patients');
 const appointmentRoutes = require('./routes/appointments');
+const appointmentSeriesRoutes = require('./routes/appointmentSeries');
+const waitlistRoutes = require('./routes/waitlist');
+const reminderSettingsRoutes = require('./routes/reminderSettings');
 const consultationRoutes = require('./routes/consultations');
 const referralRoutes = require('./routes/referrals');
 const invoiceRoutes = require('./routes/invoices');
@@ -42,7 +45,26 @@ const labReportRoutes = require('./routes/labReports');
 const doctorFeesRoutes = require('./routes/doctorFees');
 const paymentRoutes = require('./routes/payments');
 const carouselRoutes = require('./routes/carousel');
-const appointmentInvoiceRoutes = require('./routes/appointmentInvoices');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const drugInteractionRoutes = require('./routes/drugInteractions');
+const patientPortalRoutes = require('./routes/patientPortal');
+const publicBookingRoutes = require('./routes/publicBooking');
+const calendarFeedRoutes = require('./routes/calendarFeeds');
+const queueRoutes = require('./routes/queue');
+const notificationRoutes = require('./routes/notifications');
+const messagingRoutes = require('./routes/messaging');
+const emailTemplateRoutes = require('./routes/emailTemplates');
+const emailLogRoutes = require('./routes/emailLog');
+const catalogueRoutes = require('./routes/catalogue');
+
+// Background services
+const waitlistService = require('./services/waitlistService');
+const jobRunner = require('./services/jobRunner');
+const appointmentReminderService = require('./services/appointmentReminderService');
+const emailQueue = require('./services/emailQueue');
+const paymentService = require('./services/paymentService');
+const realtimeService = require('./services/realtimeService');
 
 // Middleware
 app.use(helmet());
@@ -101,7 +123,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body for webhooks whose signatures cover the exact bytes sent
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Legacy: Ensure uploads directory exists (keeping for backward compatibility)
@@ -254,6 +282,9 @@ app.get('/test-email-config', async (req, res) => {
 // API routes
 app.use('/api/patients', patientRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/appointment-series', appointmentSeriesRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/reminder-settings', reminderSettingsRoutes);
 app.use('/api/consultations', consultationRoutes);
 app.use('/api/referrals', referralRoutes);
 app.use('/api/invoices', invoiceRoutes);
@@ -281,7 +312,18 @@ app.use('/api/lab-reports', labReportRoutes);
 app.use('/api/doctor-fees', doctorFeesRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/carousel', carouselRoutes);
-app.use('/api/appointment-invoices', appointmentInvoiceRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/drug-interactions', drugInteractionRoutes);
+app.use('/api/patient-portal', patientPortalRoutes);
+app.use('/api/public-booking', publicBookingRoutes);
+app.use('/api/calendar-feeds', calendarFeedRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messaging', messagingRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
+app.use('/api/email-log', emailLogRoutes);
+app.use('/api/catalogue', catalogueRoutes);
 
 app.get("/", (req, res) => {
   res.send("Backend is running ✅");
@@ -367,14 +409,26 @@ const startServer = async () => {
     
     // Validate email configuration (non-blocking)
     await validateEmailConfig();
+
+    // Expire unanswered waitlist offers and pass their slots on
+    waitlistService.startExpiryTimer();
+
+    // Persisted background jobs (appointment reminders, email retries, payment reconciliation)
+    appointmentReminderService.register();
+    emailQueue.register();
+    paymentService.register();
+    jobRunner.start();
     
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📱 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:8080'}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`🔧 Health check: http://localhost:${PORT}/health`);
       console.log(`📧 Email config test: http://localhost:${PORT}/test-email-config`);
     });
+
+    // Live dashboard events share the API's port and CORS rules
+    realtimeService.attach(server, { cors: corsOptions });
   } catch (error) {
     console.error('❌ Server startup error:', error.message);
     process.exit(1);
@@ -0,0 +1,209 @@
+const Appointment = require('../models/Appointment');
+const ReminderSettings = require('../models/ReminderSettings');
+const Teleconsultation = require('../models/Teleconsultation');
+const Clinic = require('../models/Clinic');
+const emailService = require('./emailService');
+const messagingService = require('./messagingService');
+const jobRunner = require('./jobRunner');
+const Reminders = require('../utils/reminders');
+const ClinicTime = require('../utils/clinicTime');
+
+const REMINDER_JOB = 'appointment-reminder';
+const REMINDABLE_STATUSES = ['Scheduled', 'Confirmed'];
+const PLAN_INTERVAL = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AppointmentReminderService {
+  // The instant an appointment starts, reading its date and time in the clinic's timezone
+  appointmentStart(appointment, timeZone) {
+    return ClinicTime.toInstant(appointment.date, appointment.time, timeZone);
+  }
+
+  jobKey(appointment, offset, start) {
+    return `${REMINDER_JOB}:${appointment._id}:${offset}:${start.toISOString()}`;
+  }
+
+  /**
+   * Queue the reminders one appointment should get.
+   * Safe to call repeatedly - jobs are keyed by appointment, offset and start time,
+   * so a rescheduled appointment gets fresh jobs and the old ones skip themselves.
+   * @param {Object} appointment
+   * @param {Object} settings - ReminderSettings for the appointment's clinic
+   * @param {string} timeZone - The clinic's timezone
+   * @returns {Promise<number>} Reminders planned
+   */
+  async scheduleForAppointment(appointment, settings, timeZone) {
+    const rule = settings.resolveRule(appointment.appointmentType);
+    if (!rule.enabled || !appointment.time) return 0;
+
+    const start = this.appointmentStart(appointment, timeZone);
+    const planned = Reminders.plan(start, rule.offsets, { createdAt: appointment.createdAt });
+
+    for (const { offset, runAt } of planned) {
+      await jobRunner.schedule(REMINDER_JOB, runAt, {
+        appointmentId: appointment._id,
+        clinicId: appointment.clinicId,
+        offset,
+        startsAt: start
+      }, { key: this.jobKey(appointment, offset, start) });
+    }
+    return planned.length;
+  }
+
+  /**
+   * Sweep upcoming appointments and queue their reminders.
+   * Runs every few minutes, so new bookings and reschedules are picked up
+   * without hooking every place that writes an appointment.
+   * @returns {Promise<number>} Reminders planned
+   */
+  async planReminders() {
+    const now = new Date();
+    // Dates are stored at midnight, so widen by a day on both sides
+    const horizon = new Date(now.getTime() + (ReminderSettings.MAX_OFFSET * 60 * 1000) + DAY_MS);
+    const appointments = await Appointment.find({
+      status: { $in: REMINDABLE_STATUSES },
+      date: { $gte: new Date(now.getTime() - DAY_MS), $lte: horizon }
+    }).select('clinicId appointmentType date time createdAt');
+
+    const clinics = new Map();
+    let planned = 0;
+
+    for (const appointment of appointments) {
+      const clinicKey = String(appointment.clinicId);
+      if (!clinics.has(clinicKey)) {
+        clinics.set(clinicKey, {
+          settings: await ReminderSettings.forClinic(appointment.clinicId),
+          timeZone: await Clinic.getTimeZone(appointment.clinicId)
+        });
+      }
+      const { settings, timeZone } = clinics.get(clinicKey);
+      planned += await this.scheduleForAppointment(appointment, settings, timeZone);
+    }
+    return planned;
+  }
+
+  // Patient video link for a virtual appointment, if a meeting has been created
+  async findMeetingLink(appointment) {
+    if (!appointment.isVirtual) return null;
+
+    const teleconsultation = await Teleconsultation.findOne({
+      appointmentId: appointment._id,
+      status: { $nin: ['Cancelled', 'No Show'] }
+    }).sort({ createdAt: -1 });
+
+    return teleconsultation?.patientMeetingUrl || teleconsultation?.meetingUrl || appointment.meetingLink || null;
+  }
+
+  /**
+   * Template variables for one appointment
+   * @returns {Promise<Object>}
+   */
+  async buildVariables(appointment, offset) {
+    const clinic = await Clinic.findById(appointment.clinicId).select('name phone address city timezone');
+    const meetingLink = await this.findMeetingLink(appointment);
+    const timeZone = clinic?.timezone || ClinicTime.DEFAULT_TIME_ZONE;
+    const zone = ClinicTime.zoneLabel(timeZone, this.appointmentStart(appointment, timeZone));
+
+    return {
+      patientName: appointment.patientId?.fullName || appointment.patientName || 'Patient',
+      doctorName: appointment.doctorId?.fullName || (appointment.provider || '').replace(/^Dr\.?\s*/, ''),
+      clinicName: clinic?.name || '',
+      clinicPhone: clinic?.phone || '',
+      appointmentType: appointment.appointmentType,
+      date: ClinicTime.formatDay(appointment.date),
+      time: `${appointment.time} ${zone}`,
+      timeZone: zone,
+      duration: appointment.duration || 30,
+      location: meetingLink ? 'Video consultation' : (appointment.location || [clinic?.address, clinic?.city].filter(Boolean).join(', ')),
+      meetingLink: meetingLink || '',
+      timeUntil: Reminders.describeOffset(offset)
+    };
+  }
+
+  /**
+   * Render a reminder with the clinic's template for the appointment type
+   * @returns {Promise<Object>} { subject, body, meetingLink, clinicName, variables }
+   */
+  async renderReminder(appointment, settings, offset) {
+    const rule = settings.resolveRule(appointment.appointmentType);
+    const variables = await this.buildVariables(appointment, offset);
+
+    return {
+      subject: Reminders.render(rule.subject || Reminders.DEFAULT_SUBJECT, variables),
+      body: Reminders.render(rule.body || Reminders.DEFAULT_BODY, variables),
+      meetingLink: variables.meetingLink || null,
+      clinicName: variables.clinicName,
+      // For the SMS and WhatsApp templates
+      variables
+    };
+  }
+
+  /**
+   * Job handler. Skips (without retrying) when the reminder no longer applies
+   * or the patient can't be reached on any chosen channel; throws when every
+   * attempt failed so the runner retries it.
+   */
+  async sendReminder(job) {
+    const { appointmentId, offset, startsAt } = job.payload;
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('patientId', 'fullName email phone')
+      .populate('doctorId', 'fullName');
+
+    if (!appointment) return { skipped: 'appointment deleted' };
+    if (!REMINDABLE_STATUSES.includes(appointment.status)) return { skipped: `appointment ${appointment.status}` };
+
+    const start = this.appointmentStart(appointment, await Clinic.getTimeZone(appointment.clinicId));
+    if (start.getTime() !== new Date(startsAt).getTime()) return { skipped: 'appointment rescheduled' };
+    if (start <= new Date()) return { skipped: 'appointment already started' };
+
+    const settings = await ReminderSettings.forClinic(appointment.clinicId);
+    const rule = settings.resolveRule(appointment.appointmentType);
+    if (!rule.enabled) return { skipped: 'reminders disabled' };
+
+    const patient = appointment.patientId;
+    if (!patient?.email && !patient?.phone) return { skipped: 'patient has no email or phone' };
+
+    const { variables, ...reminder } = await this.renderReminder(appointment, settings, offset);
+    const { delivered, results } = await messagingService.send({
+      type: 'appointment_reminder',
+      clinicId: appointment.clinicId,
+      recipient: { name: variables.patientName, email: patient.email, phone: patient.phone },
+      variables,
+      email: () => emailService.sendAppointmentReminderEmail({
+        email: patient.email,
+        clinicId: appointment.clinicId,
+        patientName: variables.patientName,
+        related: { kind: 'Appointment', id: appointment._id },
+        ...reminder
+      }),
+      related: { kind: 'Appointment', id: appointment._id }
+    });
+    if (!delivered) {
+      const failed = results.find(result => result.status === 'failed');
+      if (failed) {
+        throw new Error(failed.error || 'Reminder failed');
+      }
+      return { skipped: results.map(result => result.error).join('; ') || 'no reminder channels selected' };
+    }
+
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { $set: { reminderSent: true, reminderDate: new Date() } }
+    );
+
+    return {
+      channels: results.map(result => `${result.channel}: ${result.status}`),
+      virtual: Boolean(reminder.meetingLink)
+    };
+  }
+
+  register() {
+    jobRunner.define(REMINDER_JOB, job => this.sendReminder(job));
+    jobRunner.every('plan-appointment-reminders', PLAN_INTERVAL, () => this.planReminders());
+  }
+}
+
+const appointmentReminderService = new AppointmentReminderService();
+appointmentReminderService.REMINDER_JOB = REMINDER_JOB;
+
+module.exports = appointmentReminderService;
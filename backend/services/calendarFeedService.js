@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const Doctor = require('../models/Doctor');
+const Clinic = require('../models/Clinic');
+const Appointment = require('../models/Appointment');
+const Teleconsultation = require('../models/Teleconsultation');
+const CalendarFeed = require('../utils/calendarFeed');
+const ClinicTime = require('../utils/clinicTime');
+
+// How far back and ahead a feed reaches, in days
+const PAST_DAYS = 30;
+const FUTURE_DAYS = 180;
+// The token is select: false on the model, so it is always asked for by name
+const FEED_FIELDS = 'calendarFeed.token calendarFeed.createdAt calendarFeed.lastAccessedAt calendarFeed.includePatientNames';
+
+const feedError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class CalendarFeedService {
+  /**
+   * Subscription URL for a feed token. Calendar apps fetch it directly, so it
+   * points at the API rather than the frontend.
+   * @param {string} token
+   * @param {string} requestBaseUrl - Fallback when PUBLIC_API_URL is not set
+   * @returns {string}
+   */
+  getFeedUrl(token, requestBaseUrl) {
+    const baseUrl = (process.env.PUBLIC_API_URL || requestBaseUrl || 'http://localhost:5000').replace(/\/$/, '');
+    return `${baseUrl}/api/calendar-feeds/${token}.ics`;
+  }
+
+  /**
+   * A doctor's feed settings, including the secret token when one exists
+   * @param {string} doctorId
+   * @returns {Promise<Object>} { enabled, token, createdAt, lastAccessedAt, includePatientNames }
+   */
+  async getSettings(doctorId) {
+    const doctor = await Doctor.findById(doctorId).select(FEED_FIELDS).lean();
+    if (!doctor) {
+      throw feedError('Doctor not found', 404);
+    }
+    const feed = doctor.calendarFeed || {};
+    return {
+      enabled: Boolean(feed.token),
+      token: feed.token || null,
+      createdAt: feed.createdAt || null,
+      lastAccessedAt: feed.lastAccessedAt || null,
+      includePatientNames: Boolean(feed.includePatientNames)
+    };
+  }
+
+  /**
+   * Issue a new token, which stops the old URL working
+   * @param {string} doctorId
+   * @returns {Promise<Object>} Settings as from getSettings
+   */
+  async regenerate(doctorId) {
+    const updated = await Doctor.findByIdAndUpdate(doctorId, {
+      $set: {
+        'calendarFeed.token': crypto.randomBytes(24).toString('hex'),
+        'calendarFeed.createdAt': new Date()
+      },
+      $unset: { 'calendarFeed.lastAccessedAt': '' }
+    });
+    if (!updated) {
+      throw feedError('Doctor not found', 404);
+    }
+    return this.getSettings(doctorId);
+  }
+
+  async revoke(doctorId) {
+    const updated = await Doctor.findByIdAndUpdate(doctorId, {
+      $unset: {
+        'calendarFeed.token': '',
+        'calendarFeed.createdAt': '',
+        'calendarFeed.lastAccessedAt': ''
+      }
+    });
+    if (!updated) {
+      throw feedError('Doctor not found', 404);
+    }
+    return this.getSettings(doctorId);
+  }
+
+  async updateOptions(doctorId, { includePatientNames }) {
+    const updated = await Doctor.findByIdAndUpdate(doctorId, {
+      $set: { 'calendarFeed.includePatientNames': Boolean(includePatientNames) }
+    });
+    if (!updated) {
+      throw feedError('Doctor not found', 404);
+    }
+    return this.getSettings(doctorId);
+  }
+
+  /**
+   * The .ics text for a feed token
+   * @param {string} token - From the subscription URL
+   * @param {Date} [now]
+   * @returns {Promise<string>}
+   */
+  async buildFeed(token, now = new Date()) {
+    const doctor = token
+      ? await Doctor.findOne({ 'calendarFeed.token': token, isActive: { $ne: false } })
+        .select('fullName clinicId calendarFeed.includePatientNames')
+        .lean()
+      : null;
+    if (!doctor) {
+      throw feedError('Calendar feed not found', 404);
+    }
+
+    const clinic = await Clinic.findById(doctor.clinicId).select('name timezone').lean();
+    const timeZone = clinic?.timezone || ClinicTime.DEFAULT_TIME_ZONE;
+    const today = ClinicTime.today(timeZone, now);
+    const range = { $gte: ClinicTime.addDays(today, -PAST_DAYS), $lt: ClinicTime.addDays(today, FUTURE_DAYS + 1) };
+
+    const [appointments, teleconsultations] = await Promise.all([
+      Appointment.find({ doctorId: doctor._id, date: range })
+        .select('appointmentType date time duration status location isVirtual updatedAt patientId')
+        .populate('patientId', 'fullName')
+        .sort({ date: 1, time: 1 })
+        .lean(),
+      Teleconsultation.find({ doctorId: doctor._id, scheduledDate: range })
+        .select('appointmentId patientId patientName scheduledDate scheduledTime timezone duration status doctorMeetingUrl meetingUrl updatedAt')
+        .populate('patientId', 'fullName')
+        .lean()
+    ]);
+
+    // A virtual appointment and its teleconsultation are one visit: the
+    // appointment's event carries the doctor's join link
+    const meetingByAppointment = new Map(teleconsultations
+      .filter(tc => tc.appointmentId)
+      .map(tc => [String(tc.appointmentId), tc.doctorMeetingUrl || tc.meetingUrl]));
+    const appointmentIds = new Set(appointments.map(appointment => String(appointment._id)));
+    const includePatientNames = Boolean(doctor.calendarFeed?.includePatientNames);
+
+    const events = [
+      ...appointments.map(appointment => CalendarFeed.appointmentEvent(appointment, {
+        timeZone,
+        includePatientNames,
+        clinicName: clinic?.name,
+        meetingUrl: meetingByAppointment.get(String(appointment._id))
+      })),
+      ...teleconsultations
+        .filter(tc => !tc.appointmentId || !appointmentIds.has(String(tc.appointmentId)))
+        .map(tc => CalendarFeed.teleconsultationEvent(tc, { includePatientNames }))
+    ];
+
+    // Recorded so the doctor can see whether their calendar app is syncing
+    await Doctor.updateOne({ _id: doctor._id }, { $set: { 'calendarFeed.lastAccessedAt': now } });
+
+    return CalendarFeed.build({
+      name: `Dr. ${doctor.fullName}${clinic?.name ? ` - ${clinic.name}` : ''}`,
+      events,
+      now
+    });
+  }
+}
+
+module.exports = new CalendarFeedService();
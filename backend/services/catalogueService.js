@@ -0,0 +1,257 @@
+const CatalogItem = require('../models/CatalogItem');
+const Invoice = require('../models/Invoice');
+const Clinic = require('../models/Clinic');
+const Catalogue = require('../utils/catalogue');
+const ClinicTime = require('../utils/clinicTime');
+
+const catalogueError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const actor = (user) => (user ? { id: user.id, role: user.role, name: user.fullName } : undefined);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// What staff set on an item; prices go through setPrice() so their history is kept
+const EDITABLE_FIELDS = ['code', 'name', 'category', 'description', 'hsnSac', 'taxClass', 'taxRate', 'effectiveFrom', 'effectiveTo'];
+
+/**
+ * A clinic's catalogue of billable services with their price history.
+ * Staff pick from it when building invoices; each invoice line keeps the
+ * code and price it was billed at.
+ */
+class CatalogueService {
+  // Everyone at the clinic can read the catalogue
+  scopeFor(user) {
+    if (!user?.clinicId) {
+      throw catalogueError('Access denied. User must be associated with a clinic to use the service catalogue.', 403);
+    }
+    return { clinicId: user.clinicId };
+  }
+
+  async today(clinicId) {
+    const clinic = await Clinic.findById(clinicId).select('timezone');
+    return ClinicTime.today(clinic?.timezone);
+  }
+
+  /**
+   * An item as the API returns it, priced for a day
+   * @param {Object} item - CatalogItem document
+   * @param {string} on - "YYYY-MM-DD"
+   * @param {string} today - "YYYY-MM-DD" at the clinic
+   */
+  describe(item, on, today = on) {
+    const price = Catalogue.priceOn(item.prices, on);
+    return {
+      _id: item._id,
+      code: item.code,
+      name: item.name,
+      category: item.category,
+      description: item.description || '',
+      hsnSac: item.hsnSac || '',
+      taxClass: item.taxClass,
+      taxRate: item.taxRate,
+      effectiveFrom: ClinicTime.dayKey(item.effectiveFrom),
+      effectiveTo: ClinicTime.dayKey(item.effectiveTo),
+      price: price ? price.price : null,
+      offered: Catalogue.isOffered(item, on),
+      prices: Catalogue.history(item.prices, today),
+      updatedAt: item.updatedAt
+    };
+  }
+
+  /**
+   * The clinic's catalogue, priced for a day
+   * @param {Object} user - req.user
+   * @param {Object} filters - category, search, on ("YYYY-MM-DD", default today),
+   *   offered ("true" for only what can be billed that day)
+   * @returns {Promise<Object>} { items, on }
+   */
+  async list(user, { category, search, on, offered } = {}) {
+    const query = this.scopeFor(user);
+    if (category) query.category = category;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ code: pattern }, { name: pattern }];
+    }
+
+    const [items, today] = await Promise.all([
+      CatalogItem.find(query).sort({ category: 1, name: 1 }),
+      this.today(query.clinicId)
+    ]);
+    const day = ClinicTime.dayKey(on) || today;
+    const described = items.map(item => this.describe(item, day, today));
+
+    return {
+      items: offered === 'true' ? described.filter(item => item.offered) : described,
+      on: day
+    };
+  }
+
+  async get(id, user) {
+    const item = await CatalogItem.findOne({ _id: id, ...this.scopeFor(user) });
+    if (!item) {
+      throw catalogueError('Catalogue item not found', 404);
+    }
+    return item;
+  }
+
+  async save(item) {
+    try {
+      await item.save();
+      return item;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw catalogueError(`Code ${item.code} is already used by another item`, 409);
+      }
+      throw error;
+    }
+  }
+
+  fields(data) {
+    const fields = EDITABLE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) picked[field] = data[field];
+      return picked;
+    }, {});
+    if (fields.effectiveFrom) fields.effectiveFrom = ClinicTime.dayStart(fields.effectiveFrom);
+    if (fields.effectiveTo !== undefined) {
+      fields.effectiveTo = fields.effectiveTo ? ClinicTime.dayStart(fields.effectiveTo) : undefined;
+    }
+    return fields;
+  }
+
+  /**
+   * Add an item with its opening price
+   * @param {Object} data - Item fields plus price and an optional note
+   * @param {Object} user - req.user
+   */
+  async create(data, user) {
+    const { clinicId } = this.scopeFor(user);
+    const today = await this.today(clinicId);
+    const effectiveFrom = ClinicTime.dayKey(data.effectiveFrom) || today;
+
+    // The opening price starts with the item, which may be back-dated when setting up the catalogue
+    const priceError = Catalogue.priceError({ price: data.price, effectiveFrom }, effectiveFrom);
+    if (priceError) {
+      throw catalogueError(priceError, 400);
+    }
+
+    const item = new CatalogItem({
+      ...this.fields(data),
+      clinicId,
+      effectiveFrom: ClinicTime.dayStart(effectiveFrom),
+      prices: [{
+        price: Number(data.price),
+        effectiveFrom: ClinicTime.dayStart(effectiveFrom),
+        note: data.note || 'Opening price',
+        createdBy: actor(user)
+      }]
+    });
+    return this.describe(await this.save(item), today);
+  }
+
+  // Change an item's details; its prices are changed with setPrice()
+  async update(id, data, user) {
+    const item = await this.get(id, user);
+    item.set(this.fields(data));
+    const today = await this.today(item.clinicId);
+    return this.describe(await this.save(item), today);
+  }
+
+  /**
+   * Set the price from a day onwards, keeping every earlier price
+   * @param {string} id
+   * @param {Object} entry - { price, effectiveFrom (default today), note }
+   * @param {Object} user - req.user
+   */
+  async setPrice(id, { price, effectiveFrom, note }, user) {
+    const item = await this.get(id, user);
+    const today = await this.today(item.clinicId);
+    const from = ClinicTime.dayKey(effectiveFrom) || today;
+
+    const priceError = Catalogue.priceError({ price, effectiveFrom: from }, today);
+    if (priceError) {
+      throw catalogueError(priceError, 400);
+    }
+
+    item.prices = Catalogue.withPrice(item.prices, {
+      price: Number(price),
+      effectiveFrom: ClinicTime.dayStart(from),
+      note,
+      createdBy: actor(user),
+      createdAt: new Date()
+    });
+    return this.describe(await this.save(item), today);
+  }
+
+  // Withdraw a price that hasn't started yet
+  async removePrice(id, effectiveFrom, user) {
+    const item = await this.get(id, user);
+    const today = await this.today(item.clinicId);
+    const from = ClinicTime.dayKey(effectiveFrom);
+
+    const entry = item.prices.find(price => ClinicTime.dayKey(price.effectiveFrom) === from);
+    if (!entry) {
+      throw catalogueError('No price starts on that day', 404);
+    }
+    if (from <= today) {
+      throw catalogueError('Prices that have taken effect are kept as history; set a new price instead', 400);
+    }
+    item.prices = item.prices.filter(price => price !== entry);
+    return this.describe(await this.save(item), today);
+  }
+
+  // Items already billed are ended with an end date instead, so their invoices keep the link
+  async remove(id, user) {
+    const item = await this.get(id, user);
+    if (await Invoice.exists({ 'lineItems.catalogItemId': item._id })) {
+      throw catalogueError('This item has been billed; set an end date instead of deleting it', 400);
+    }
+    await CatalogItem.deleteOne({ _id: item._id });
+    return item;
+  }
+
+  /**
+   * Check the catalogue lines of an invoice and fill in their code, type
+   * and tax details from the catalogue. The price staff entered is kept,
+   * so a concession can be given on the line.
+   * @param {string} clinicId
+   * @param {Array<Object>} lineItems - Lines from the request
+   * @param {Date|string} [date] - Invoice date, default today at the clinic
+   * @returns {Promise<Array<Object>>} The lines, ready to save
+   */
+  async resolveLines(clinicId, lineItems = [], date) {
+    const ids = lineItems.filter(line => line.catalogItemId).map(line => String(line.catalogItemId));
+    if (ids.length === 0) return lineItems;
+
+    const items = await CatalogItem.find({ _id: { $in: ids }, clinicId });
+    const byId = new Map(items.map(item => [String(item._id), item]));
+    const on = ClinicTime.dayKey(date) || await this.today(clinicId);
+
+    return lineItems.map(line => {
+      if (!line.catalogItemId) return line;
+      const item = byId.get(String(line.catalogItemId));
+      if (!item) {
+        throw catalogueError('A line refers to a catalogue item this clinic does not have', 400);
+      }
+      if (!Catalogue.isOffered(item, on)) {
+        throw catalogueError(`${item.name} (${item.code}) is not offered on ${on}`, 400);
+      }
+
+      const catalogued = Catalogue.lineFor(item, on);
+      return {
+        ...catalogued,
+        ...line,
+        type: 'service',
+        code: item.code,
+        taxClass: line.taxClass || catalogued.taxClass,
+        taxRate: line.taxClass ? line.taxRate : catalogued.taxRate,
+        hsnSac: line.hsnSac || catalogued.hsnSac
+      };
+    });
+  }
+}
+
+module.exports = new CatalogueService();
@@ -0,0 +1,197 @@
+const OutboundEmail = require('../models/OutboundEmail');
+const jobRunner = require('./jobRunner');
+const EmailDelivery = require('../utils/emailDelivery');
+
+const SEND_JOB = 'send-email';
+// Tries per email, the first of them made straight away
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const MAX_PAGE_SIZE = 100;
+
+const queueError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Persisted outbound email. Every email is logged and tried once straight
+ * away, so callers still learn whether it went; failures are retried by the
+ * job runner with backoff until they go or are dead-lettered. Login and
+ * reset codes expire within minutes, so they are sent once and their
+ * content is not kept.
+ */
+class EmailQueue {
+  constructor() {
+    this.transport = null;
+  }
+
+  // EmailService hands over its SMTP send, so this module doesn't require it back
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Log an email and try to send it
+   * @param {Object} mailOptions - Nodemailer message
+   * @param {Object} [meta]
+   * @param {string} [meta.template] - One of EmailDelivery.TEMPLATES
+   * @param {string} [meta.clinicId] - Whose delivery log it appears in
+   * @param {string} [meta.recipientName]
+   * @param {Object} [meta.related] - { kind, id } of the record the email is about
+   * @param {boolean} [meta.sensitive] - Contains a code: send once, don't keep the content
+   * @param {boolean} [meta.retry=true] - false sends once, e.g. for tests
+   * @returns {Promise<Object>} { success, queued, messageId, emailId, error }
+   */
+  async send(mailOptions, meta = {}) {
+    const email = await this.deliver(mailOptions, meta);
+    return {
+      success: email.status === 'sent' || email.status === 'retrying',
+      queued: email.status === 'retrying',
+      messageId: email.messageId,
+      emailId: email._id,
+      error: email.status === 'sent' ? undefined : email.lastError
+    };
+  }
+
+  async deliver(mailOptions, meta = {}) {
+    const sendOnce = meta.sensitive || meta.retry === false;
+    const email = new OutboundEmail({
+      clinicId: meta.clinicId,
+      template: meta.template || 'other',
+      to: mailOptions.to,
+      recipientName: meta.recipientName,
+      from: mailOptions.from,
+      subject: mailOptions.subject,
+      html: meta.sensitive ? undefined : mailOptions.html,
+      text: meta.sensitive ? undefined : mailOptions.text,
+      headers: mailOptions.headers,
+      sensitive: Boolean(meta.sensitive),
+      maxAttempts: sendOnce ? 1 : MAX_ATTEMPTS,
+      related: meta.related,
+      resendOf: meta.resendOf
+    });
+
+    await this.attempt(email, mailOptions);
+    if (email.status === 'retrying') {
+      await jobRunner.schedule(SEND_JOB, email.nextAttemptAt, {
+        emailId: email._id.toString(),
+        clinicId: email.clinicId ? email.clinicId.toString() : null
+      }, { key: `email:${email._id}`, maxAttempts: email.maxAttempts - 1 });
+    }
+    return email;
+  }
+
+  // One try. Records the outcome on the email and saves it.
+  async attempt(email, mailOptions = email.toMail()) {
+    email.attempts += 1;
+    email.lastAttemptAt = new Date();
+
+    try {
+      if (!this.transport) {
+        throw new Error('Email transport is not set up');
+      }
+      const info = await this.transport(mailOptions);
+      email.status = 'sent';
+      email.sentAt = new Date();
+      email.messageId = info.messageId;
+      email.lastError = undefined;
+      email.nextAttemptAt = undefined;
+    } catch (error) {
+      email.attemptErrors.push({ error: error.message, code: error.responseCode ? String(error.responseCode) : error.code });
+      email.lastError = error.message;
+      email.status = EmailDelivery.statusAfterFailure(email, error);
+      email.nextAttemptAt = email.status === 'retrying'
+        ? new Date(Date.now() + EmailDelivery.retryDelay(email.attempts))
+        : undefined;
+      console.error(`❌ Email "${email.subject}" attempt ${email.attempts}/${email.maxAttempts} failed (${email.status}):`, error.message);
+    }
+
+    await email.save();
+    return email.status === 'sent';
+  }
+
+  /**
+   * Job handler for retries. Throws while another try is due, so the job
+   * runner backs off and runs it again; returns once the email went or was
+   * dead-lettered.
+   */
+  async retry(job) {
+    const email = await OutboundEmail.findById(job.payload.emailId);
+    if (!email || email.status === 'sent' || email.status === 'dead') {
+      return { skipped: email ? `already ${email.status}` : 'email not found' };
+    }
+
+    if (await this.attempt(email)) {
+      return { messageId: email.messageId };
+    }
+    if (email.status === 'dead') {
+      return { dead: true, error: email.lastError };
+    }
+    throw new Error(email.lastError);
+  }
+
+  /**
+   * Send a logged email again as a new log entry
+   * @param {string} emailId
+   * @param {string} clinicId - The email must be in this clinic's log
+   * @returns {Promise<Object>} The new OutboundEmail
+   */
+  async resend(emailId, clinicId) {
+    const original = await OutboundEmail.findOne({ _id: emailId, clinicId });
+    if (!original) {
+      throw queueError('Email not found', 404);
+    }
+    if (!EmailDelivery.canResend(original)) {
+      throw queueError(
+        original.sensitive ? 'Codes are not kept, so this email cannot be resent' : 'This email is still being delivered',
+        400
+      );
+    }
+
+    return this.deliver(original.toMail(), {
+      template: original.template,
+      clinicId: original.clinicId,
+      recipientName: original.recipientName,
+      related: original.related,
+      resendOf: original._id
+    });
+  }
+
+  /**
+   * One page of a clinic's delivery log, newest first, without the content
+   * @param {string} clinicId
+   * @param {Object} filters - { status, template, page, limit }
+   */
+  async getLog(clinicId, { status, template, page = 1, limit = 25 } = {}) {
+    const query = { clinicId };
+    if (status) query.status = status;
+    if (template) query.template = template;
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 25, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const [emails, total] = await Promise.all([
+      OutboundEmail.find(query)
+        .select('-html -text -headers')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      OutboundEmail.countDocuments(query)
+    ]);
+
+    return {
+      emails,
+      pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    };
+  }
+
+  register() {
+    jobRunner.define(SEND_JOB, job => this.retry(job));
+  }
+}
+
+const emailQueue = new EmailQueue();
+emailQueue.SEND_JOB = SEND_JOB;
+emailQueue.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = emailQueue;
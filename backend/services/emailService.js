@@ -1,9 +1,22 @@
 const nodemailer = require('nodemailer');
 const EmailConfig = require('../models/EmailConfig');
+const EmailTemplate = require('../models/EmailTemplate');
+const Clinic = require('../models/Clinic');
+const ClinicTime = require('../utils/clinicTime');
+const EmailTemplates = require('../utils/emailTemplates');
+const emailQueue = require('./emailQueue');
 
 class EmailService {
   constructor() {
     this.transporters = new Map(); // Cache for different doctor configurations
+    // Every email goes out through the persisted queue, which sends with this
+    emailQueue.setTransport(mailOptions => this.transmit(mailOptions));
+  }
+
+  // Hand one message to SMTP. Throws on failure so the queue can retry it.
+  async transmit(mailOptions) {
+    const transporter = await this.getTransporter();
+    return transporter.sendMail(mailOptions);
   }
 
   async getTransporter(doctorId = null) {
@@ -124,13 +137,77 @@ class EmailService {
     return null;
   }
 
+  /**
+   * The clinic's own wording for an email, if it saved one. Returns null -
+   * send the built-in email - when there is no clinic, no active template,
+   * or the lookup fails.
+   * @param {string} clinicId
+   * @param {string} key - One of EmailTemplates.TEMPLATES
+   * @param {Object} variables - Clinic name, phone and logo are added
+   * @returns {Promise<Object|null>} { subject, html, text, fromName }
+   */
+  async clinicTemplate(clinicId, key, variables) {
+    if (!clinicId) return null;
+    try {
+      const template = await EmailTemplate.findOne({ clinicId, key });
+      const version = template?.active();
+      if (!version) return null;
+
+      const clinic = await Clinic.findById(clinicId).select('name phone logoUrl');
+      const rendered = EmailTemplates.render(key, version, { ...variables, ...this.clinicVariables(clinic) });
+      return { ...rendered, fromName: clinic?.name };
+    } catch (error) {
+      console.error(`❌ Failed to load ${key} email template, sending the built-in email:`, error.message);
+      return null;
+    }
+  }
+
+  clinicVariables(clinic) {
+    return {
+      clinicName: clinic?.name || '',
+      clinicPhone: clinic?.phone || '',
+      clinicLogo: clinic?.logoUrl || ''
+    };
+  }
+
+  /**
+   * Send an email that is already rendered, e.g. a template test
+   * @param {Object} email - { to, subject, html, text, fromName }
+   * @param {Object} [meta] - Delivery log details, as for emailQueue.send
+   */
+  async sendRenderedEmail(email, meta = {}) {
+    try {
+      const result = await emailQueue.send({
+        from: `"${email.fromName || 'SMAART Healthcare'}" <${process.env.EMAIL_USER}>`,
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text
+      }, meta);
+      if (result.success) {
+        console.log(`✅ Email "${email.subject}" sent to ${this.maskEmail(email.to)}:`, result.messageId || 'queued for retry');
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to send email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async clearTransporterCache(doctorId) {
     if (this.transporters.has(doctorId.toString())) {
       this.transporters.delete(doctorId.toString());
     }
   }
 
-  async sendOTPEmail(doctorId, email, otpCode, purpose = 'login') {
+  /**
+   * @param {string} doctorId - Doctor whose name signs the email, if any
+   * @param {string} email
+   * @param {string} otpCode
+   * @param {string} [purpose]
+   * @param {Object} [options] - { clinicId, recipientName, expiresMinutes } for the clinic's template
+   */
+  async sendOTPEmail(doctorId, email, otpCode, purpose = 'login', options = {}) {
     try {
       // Input validation
       if (!email || !otpCode) {
@@ -154,9 +231,6 @@ class EmailService {
         throw new Error('Too many email requests. Please wait before requesting another OTP.');
       }
 
-      // Get the centralized transporter
-      const transporter = await this.getTransporter();
-      
       // Get doctor's name from database with better error handling
       let doctorName = 'SMAART Healthcare';
       let isDoctorName = false;
@@ -173,14 +247,19 @@ class EmailService {
         console.warn('Could not fetch doctor name from database:', dbError.message);
       }
 
-      const subject = this.getEmailSubject(purpose);
+      const custom = await this.clinicTemplate(options.clinicId, 'otp', {
+        code: otpCode,
+        expiresMinutes: options.expiresMinutes || 5,
+        patientName: options.recipientName || 'there'
+      });
+      const subject = custom?.subject || this.getEmailSubject(purpose);
       const displayName = isDoctorName ? `Dr. ${doctorName}` : doctorName;
-      const htmlContent = this.generateOTPEmailHTML(otpCode, purpose, displayName);
-      const textContent = this.generateOTPEmailText(otpCode, purpose, displayName);
+      const htmlContent = custom?.html || this.generateOTPEmailHTML(otpCode, purpose, displayName);
+      const textContent = custom?.text || this.generateOTPEmailText(otpCode, purpose, displayName);
 
       const mailOptions = {
         from: {
-          name: 'Healthcare Management System',
+          name: custom?.fromName || 'Healthcare Management System',
           address: process.env.EMAIL_USER || 'noreply@healthcare.com'
         },
         to: email,
@@ -198,7 +277,16 @@ class EmailService {
         disableUrlAccess: true
       };
 
-      const result = await transporter.sendMail(mailOptions);
+      // Codes expire in minutes, so they are sent once and not kept in the log
+      const result = await emailQueue.send(mailOptions, {
+        template: 'otp',
+        clinicId: options.clinicId,
+        recipientName: options.recipientName,
+        sensitive: true
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       
       // Set rate limit after successful send
       this.setRateLimit(rateLimitKey, 60000); // 1 minute cooldown
@@ -251,7 +339,8 @@ class EmailService {
       login: 'Your Login Verification Code',
       registration: 'Complete Your Registration',
       password_reset: 'Reset Your Password',
-      email_verification: 'Verify Your Email Address'
+      email_verification: 'Verify Your Email Address',
+      patient_login: 'Your Patient Portal Login Code'
     };
     return subjects[purpose] || 'Your Verification Code';
   }
@@ -261,7 +350,8 @@ class EmailService {
       login: 'login to your account',
       registration: 'complete your registration',
       password_reset: 'reset your password',
-      email_verification: 'verify your email address'
+      email_verification: 'verify your email address',
+      patient_login: 'sign in to your patient portal'
     };
 
     return `
@@ -381,7 +471,8 @@ class EmailService {
       login: 'login to your account',
       registration: 'complete your registration',
       password_reset: 'reset your password',
-      email_verification: 'verify your email address'
+      email_verification: 'verify your email address',
+      patient_login: 'sign in to your patient portal'
     };
 
     return `
@@ -410,9 +501,6 @@ This is an automated message from ${doctorName}. Please do not reply to this ema
 
   async sendWelcomeEmail(doctorId, email, doctorName) {
     try {
-      // Get the transporter for this specific doctor
-      const transporter = await this.getTransporter(doctorId);
-      
       // Get email configuration for display name
       const emailConfig = await EmailConfig.getActiveConfig(doctorId);
 
@@ -433,9 +521,11 @@ This is an automated message from ${doctorName}. Please do not reply to this ema
         text: `Welcome to Healthcare Management System! Hello ${doctorName}, your account has been successfully created. Best regards, ${emailConfig.displayName}`
       };
 
-      const result = await transporter.sendMail(mailOptions);
-      console.log(`✅ Welcome email sent successfully from ${emailConfig.displayName}:`, result.messageId);
-      return { success: true, messageId: result.messageId };
+      const result = await emailQueue.send(mailOptions, { template: 'welcome', recipientName: doctorName });
+      if (result.success) {
+        console.log(`✅ Welcome email sent successfully from ${emailConfig.displayName}:`, result.messageId || 'queued for retry');
+      }
+      return result;
     } catch (error) {
       console.error('❌ Failed to send welcome email:', error);
       return { success: false, error: error.message };
@@ -477,9 +567,6 @@ This is an automated message from ${doctorName}. Please do not reply to this ema
         specialistContactEmail: referral.specialistContact?.email
       });
       
-      const transporter = await this.getTransporter();
-      console.log(`📧 EmailService: Transporter obtained successfully`);
-      
       let recipientEmail, emailType, recipientName;
       
       // Determine recipient based on referral type
@@ -542,13 +629,24 @@ This is an automated message from ${doctorName}. Please do not reply to this ema
         return { success: false, error: 'Recipient email address not found' };
       }
 
-      const subject = this.getReferralEmailSubject(referral, emailType);
-      const htmlContent = this.generateReferralEmailHTML(referral, emailType, recipientName);
-      const textContent = this.generateReferralEmailText(referral, emailType, recipientName);
+      const custom = await this.clinicTemplate(referral.clinicId, 'referral', {
+        recipientName: recipientName || referral.specialistName,
+        patientName: referral.patientName,
+        specialty: referral.specialty,
+        urgency: referral.urgency,
+        reason: referral.reason,
+        preferredDate: referral.preferredDate ? ClinicTime.formatDay(referral.preferredDate) : 'Not specified',
+        referringDoctor: referral.referringProvider?.name || 'A doctor',
+        referringDoctorPhone: referral.referringProvider?.phone || '',
+        referralDate: ClinicTime.formatDay(referral.createdAt || new Date())
+      });
+      const subject = custom?.subject || this.getReferralEmailSubject(referral, emailType);
+      const htmlContent = custom?.html || this.generateReferralEmailHTML(referral, emailType, recipientName);
+      const textContent = custom?.text || this.generateReferralEmailText(referral, emailType, recipientName);
 
       const mailOptions = {
         from: {
-          name: 'Healthcare Management System',
+          name: custom?.fromName || 'Healthcare Management System',
           address: process.env.EMAIL_USER || 'noreply@healthcare.com'
         },
         to: recipientEmail,
@@ -557,10 +655,17 @@ This is an automated message from ${doctorName}. Please do not reply to this ema
         html: htmlContent
       };
 
-      const result = await transporter.sendMail(mailOptions);
-      console.log(`✅ ${emailType.toUpperCase()} referral notification sent successfully to ${recipientEmail} (${recipientName}):`, result.messageId);
-      console.log(`📧 Email subject: ${subject}`);
-      return { success: true, messageId: result.messageId, recipient: recipientEmail, type: emailType };
+      const result = await emailQueue.send(mailOptions, {
+        template: 'referral',
+        clinicId: referral.clinicId?._id || referral.clinicId,
+        recipientName,
+        related: { kind: 'Referral', id: referral._id }
+      });
+      if (result.success) {
+        console.log(`✅ ${emailType.toUpperCase()} referral notification sent successfully to ${recipientEmail} (${recipientName}):`, result.messageId || 'queued for retry');
+        console.log(`📧 Email subject: ${subject}`);
+      }
+      return { ...result, recipient: recipientEmail, type: emailType };
     } catch (error) {
       console.error('❌ Failed to send referral notification:', error);
       return { success: false, error: error.message };
@@ -862,20 +967,28 @@ This is an automated message from Healthcare Management System. Please do not re
     `;
   }
 
-  async sendPasswordResetOTP(email, userName, otpCode) {
+  /**
+   * @param {string} email
+   * @param {string} userName
+   * @param {string} otpCode
+   * @param {Object} [options] - { clinicId, expiresMinutes } for the clinic's template
+   */
+  async sendPasswordResetOTP(email, userName, otpCode, options = {}) {
     try {
       console.log(`📧 sendPasswordResetOTP called with:`, { email, userName, otpCode });
-      
-      // Get the centralized transporter
-      const transporter = await this.getTransporter();
 
-      const htmlContent = this.generatePasswordResetEmailHTML(otpCode, userName);
-      const textContent = this.generatePasswordResetEmailText(otpCode, userName);
+      const custom = await this.clinicTemplate(options.clinicId, 'password_reset', {
+        code: otpCode,
+        expiresMinutes: options.expiresMinutes || 10,
+        name: userName
+      });
+      const htmlContent = custom?.html || this.generatePasswordResetEmailHTML(otpCode, userName);
+      const textContent = custom?.text || this.generatePasswordResetEmailText(otpCode, userName);
       
       const mailOptions = {
-        from: `"SMAART Healthcare" <${process.env.EMAIL_USER}>`,
+        from: `"${custom?.fromName || 'SMAART Healthcare'}" <${process.env.EMAIL_USER}>`,
         to: email,
-        subject: 'Password Reset Verification Code',
+        subject: custom?.subject || 'Password Reset Verification Code',
         html: htmlContent,
         text: textContent
       };
@@ -884,16 +997,290 @@ This is an automated message from Healthcare Management System. Please do not re
       console.log(`📧 HTML content length: ${htmlContent.length} characters`);
       console.log(`📧 Text content includes OTP: ${textContent.includes(otpCode)}`);
       
-      const result = await transporter.sendMail(mailOptions);
-      
-      console.log(`✅ Password reset email sent successfully to ${email} (${userName}):`, result.messageId);
-      return { success: true, messageId: result.messageId };
+      const result = await emailQueue.send(mailOptions, {
+        template: 'password_reset',
+        clinicId: options.clinicId,
+        recipientName: userName,
+        sensitive: true
+      });
+      if (result.success) {
+        console.log(`✅ Password reset email sent successfully to ${email} (${userName}):`, result.messageId);
+      }
+      return result;
     } catch (error) {
       console.error('❌ Failed to send password reset email:', error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Offer a freed appointment slot to a waitlisted patient
+   * @param {Object} offer
+   * @param {string} offer.email - Patient email
+   * @param {string} offer.patientName
+   * @param {string} offer.doctorName
+   * @param {string} offer.clinicName
+   * @param {Date} offer.date - Appointment date
+   * @param {string} offer.time - "HH:MM"
+   * @param {string} offer.timeZone - Clinic timezone the date and time are in
+   * @param {Date} offer.expiresAt - When the accept link stops working
+   * @param {string} offer.offerUrl - Page where the patient accepts or declines
+   * @param {string} [offer.clinicId] - Whose email template and delivery log apply
+   * @param {Object} [offer.related] - { kind, id } for the delivery log
+   */
+  async sendWaitlistOfferEmail(offer) {
+    try {
+      const timeZone = offer.timeZone || ClinicTime.DEFAULT_TIME_ZONE;
+      const dateLabel = ClinicTime.formatDay(offer.date);
+      const expiresLabel = new Date(offer.expiresAt).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone, timeZoneName: 'short' });
+      // Patients may be in another zone, so name the clinic's
+      const details = { ...offer, time: `${offer.time} ${ClinicTime.zoneLabel(timeZone, ClinicTime.toInstant(offer.date, offer.time, timeZone))}` };
+
+      const custom = await this.clinicTemplate(offer.clinicId, 'waitlist_offer', {
+        patientName: offer.patientName,
+        doctorName: offer.doctorName,
+        date: dateLabel,
+        time: details.time,
+        expiresAt: expiresLabel,
+        offerUrl: offer.offerUrl
+      });
+
+      const mailOptions = {
+        from: `"${offer.clinicName || 'SMAART Healthcare'}" <${process.env.EMAIL_USER}>`,
+        to: offer.email,
+        subject: custom?.subject || `An earlier appointment with Dr. ${offer.doctorName} is available`,
+        html: custom?.html || this.generateWaitlistOfferEmailHTML(details, dateLabel, expiresLabel),
+        text: custom?.text || this.generateWaitlistOfferEmailText(details, dateLabel, expiresLabel)
+      };
+
+      const result = await emailQueue.send(mailOptions, {
+        template: 'waitlist_offer',
+        clinicId: offer.clinicId,
+        recipientName: offer.patientName,
+        related: offer.related
+      });
+      if (result.success) {
+        console.log(`✅ Waitlist offer sent to ${this.maskEmail(offer.email)}:`, result.messageId || 'queued for retry');
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to send waitlist offer email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  generateWaitlistOfferEmailHTML(offer, dateLabel, expiresLabel) {
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Appointment Available</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+        <div style="background-color: #ffffff; padding: 40px; border-radius: 10px; box-shadow: 0 0 20px rgba(0,0,0,0.1);">
+            <div style="text-align: center; margin-bottom: 30px; padding-bottom: 20px; border-bottom: 2px solid #2c5aa0;">
+                <div style="font-size: 24px; font-weight: bold; color: #2c5aa0;">${offer.clinicName || 'SMAART Healthcare'}</div>
+            </div>
+            <p>Dear ${offer.patientName},</p>
+            <p>You are on the waitlist for Dr. ${offer.doctorName}. An appointment has just become available:</p>
+            <div style="background-color: #eef4ff; border-left: 4px solid #2c5aa0; padding: 15px 20px; margin: 20px 0; border-radius: 5px;">
+                <strong>${dateLabel}</strong><br>
+                at <strong>${offer.time}</strong>
+            </div>
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${offer.offerUrl}" style="background: #2c5aa0; color: #ffffff; padding: 14px 32px; border-radius: 6px; text-decoration: none; font-weight: bold;">View and accept</a>
+            </div>
+            <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; color: #856404; padding: 15px; border-radius: 5px;">
+                This offer is held for you until <strong>${expiresLabel}</strong>. After that it will be offered to the next patient on the waitlist.
+            </div>
+            <p style="font-size: 12px; color: #888; margin-top: 30px;">If you no longer need an appointment, you can decline from the same page so the slot goes to someone else.</p>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  generateWaitlistOfferEmailText(offer, dateLabel, expiresLabel) {
+    return `
+${offer.clinicName || 'SMAART Healthcare'} - Appointment Available
+
+Dear ${offer.patientName},
+
+You are on the waitlist for Dr. ${offer.doctorName}. An appointment has just become available:
+
+${dateLabel} at ${offer.time}
+
+Accept or decline here: ${offer.offerUrl}
+
+This offer is held for you until ${expiresLabel}. After that it will be offered to the next patient on the waitlist.
+    `;
+  }
+
+  /**
+   * Send an appointment reminder rendered from a clinic or built-in template
+   * @param {Object} reminder
+   * @param {string} reminder.email - Patient email
+   * @param {string} reminder.clinicName
+   * @param {string} reminder.subject - Rendered subject
+   * @param {string} reminder.body - Rendered plain-text body
+   * @param {string} [reminder.meetingLink] - Patient video link for virtual appointments
+   * @param {string} [reminder.clinicId] - Whose delivery log it appears in
+   * @param {string} [reminder.patientName]
+   * @param {Object} [reminder.related] - { kind, id } for the delivery log
+   */
+  async sendAppointmentReminderEmail(reminder) {
+    try {
+      // Virtual appointments always carry the join link, even if a custom template leaves it out
+      const linkMissing = reminder.meetingLink && !reminder.body.includes(reminder.meetingLink);
+      const text = linkMissing
+        ? `${reminder.body}\n\nJoin your video consultation: ${reminder.meetingLink}`
+        : reminder.body;
+
+      const mailOptions = {
+        from: `"${reminder.clinicName || 'SMAART Healthcare'}" <${process.env.EMAIL_USER}>`,
+        to: reminder.email,
+        subject: reminder.subject,
+        html: this.generateAppointmentReminderEmailHTML(reminder),
+        text
+      };
+
+      const result = await emailQueue.send(mailOptions, {
+        template: 'appointment_reminder',
+        clinicId: reminder.clinicId,
+        recipientName: reminder.patientName,
+        related: reminder.related
+      });
+      if (result.success) {
+        console.log(`✅ Appointment reminder sent to ${this.maskEmail(reminder.email)}:`, result.messageId || 'queued for retry');
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to send appointment reminder email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  generateAppointmentReminderEmailHTML(reminder) {
+    const escape = (value) => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const paragraphs = reminder.body
+      .split(/\n{2,}/)
+      .map(paragraph => `<p>${escape(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('\n            ');
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Appointment Reminder</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+        <div style="background-color: #ffffff; padding: 40px; border-radius: 10px; box-shadow: 0 0 20px rgba(0,0,0,0.1);">
+            <div style="text-align: center; margin-bottom: 30px; padding-bottom: 20px; border-bottom: 2px solid #2c5aa0;">
+                <div style="font-size: 24px; font-weight: bold; color: #2c5aa0;">${escape(reminder.clinicName || 'SMAART Healthcare')}</div>
+            </div>
+            ${paragraphs}
+            ${reminder.meetingLink ? `
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${escape(reminder.meetingLink)}" style="background: #2c5aa0; color: #ffffff; padding: 14px 32px; border-radius: 6px; text-decoration: none; font-weight: bold;">Join video consultation</a>
+            </div>` : ''}
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Email copy of an in-app notification, for staff who opted in to the type
+   * @param {Object} notification
+   * @param {string} notification.email - Staff member's email
+   * @param {string} notification.recipientName
+   * @param {string} notification.title
+   * @param {string} [notification.message]
+   * @param {string} [notification.url] - Where to see it in the app
+   * @param {string} [notification.clinicId] - Whose delivery log it appears in
+   * @param {string} [notification.template] - Delivery log type, defaults to notification
+   * @param {boolean} [notification.retry=true] - false sends once, e.g. for tests
+   */
+  async sendNotificationEmail(notification) {
+    try {
+      const mailOptions = {
+        from: `"SMAART Healthcare" <${process.env.EMAIL_USER}>`,
+        to: notification.email,
+        subject: notification.title,
+        html: this.generateNotificationEmailHTML(notification),
+        text: this.generateNotificationEmailText(notification)
+      };
+
+      const result = await emailQueue.send(mailOptions, {
+        template: notification.template || 'notification',
+        clinicId: notification.clinicId,
+        recipientName: notification.recipientName,
+        retry: notification.retry
+      });
+      if (result.success) {
+        console.log(`✅ Notification email sent to ${this.maskEmail(notification.email)}:`, result.messageId || 'queued for retry');
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to send notification email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  generateNotificationEmailHTML(notification) {
+    const escape = (value) => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escape(notification.title)}</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+        <div style="background-color: #ffffff; padding: 40px; border-radius: 10px; box-shadow: 0 0 20px rgba(0,0,0,0.1);">
+            <div style="text-align: center; margin-bottom: 30px; padding-bottom: 20px; border-bottom: 2px solid #2c5aa0;">
+                <div style="font-size: 24px; font-weight: bold; color: #2c5aa0;">SMAART Healthcare</div>
+            </div>
+            <p>Dear ${escape(notification.recipientName || 'colleague')},</p>
+            <h3 style="color: #2c5aa0;">${escape(notification.title)}</h3>
+            ${notification.message ? `<p>${escape(notification.message)}</p>` : ''}
+            ${notification.url ? `
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${escape(notification.url)}" style="background: #2c5aa0; color: #ffffff; padding: 14px 32px; border-radius: 6px; text-decoration: none; font-weight: bold;">Open in SMAART</a>
+            </div>` : ''}
+            <p style="font-size: 12px; color: #888; margin-top: 30px;">You can choose which notifications are emailed to you from your profile.</p>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  generateNotificationEmailText(notification) {
+    return `
+${notification.title}
+
+Dear ${notification.recipientName || 'colleague'},
+
+${notification.message || ''}
+${notification.url ? `\nOpen in SMAART: ${notification.url}\n` : ''}
+You can choose which notifications are emailed to you from your profile.
+    `;
+  }
+
   generatePasswordResetEmailHTML(otpCode, userName = 'User') {
     console.log(`📧 generatePasswordResetEmailHTML called with otpCode: "${otpCode}", userName: "${userName}"`);
     
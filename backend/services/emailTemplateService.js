@@ -0,0 +1,164 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const Clinic = require('../models/Clinic');
+const emailService = require('./emailService');
+const EmailTemplates = require('../utils/emailTemplates');
+
+const templateError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const versionSummary = (version) => ({
+  version: version.version,
+  subject: version.subject,
+  body: version.body,
+  note: version.note || '',
+  createdBy: version.createdBy?.name || null,
+  createdAt: version.createdAt
+});
+
+/**
+ * Per-clinic email wording with version history. Saving adds a version and
+ * makes it live; rolling back re-activates an older one; resetting goes
+ * back to the built-in email without losing the history.
+ */
+class EmailTemplateService {
+  describe(key, template) {
+    const definition = EmailTemplates.TEMPLATES[key];
+    return {
+      key,
+      label: definition.label,
+      description: definition.description,
+      variables: EmailTemplates.variablesFor(key),
+      defaults: { subject: definition.subject, body: definition.body },
+      activeVersion: template?.active() ? template.activeVersion : null,
+      versions: (template?.versions || []).map(versionSummary).reverse()
+    };
+  }
+
+  /**
+   * Every template type with the clinic's versions, plus its logo
+   * @param {string} clinicId
+   * @returns {Promise<Object>} { templates, logoUrl }
+   */
+  async list(clinicId) {
+    const [templates, clinic] = await Promise.all([
+      EmailTemplate.find({ clinicId }),
+      Clinic.findById(clinicId).select('logoUrl')
+    ]);
+    const byKey = new Map(templates.map(template => [template.key, template]));
+    return {
+      templates: Object.keys(EmailTemplates.TEMPLATES).map(key => this.describe(key, byKey.get(key))),
+      logoUrl: clinic?.logoUrl || ''
+    };
+  }
+
+  async findOrCreate(clinicId, key) {
+    this.assertKey(key);
+    return (await EmailTemplate.findOne({ clinicId, key })) || new EmailTemplate({ clinicId, key, versions: [] });
+  }
+
+  assertKey(key) {
+    if (!EmailTemplates.isKey(key)) {
+      throw templateError('Unknown email template', 404);
+    }
+  }
+
+  assertVariables(key, content) {
+    const unknown = EmailTemplates.unknownVariables(key, `${content.subject || ''} ${content.body || ''}`);
+    if (unknown.length > 0) {
+      throw templateError(`Unknown variables: ${unknown.map(name => `{{${name}}}`).join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * Save new wording as the next version and start sending it
+   * @param {string} clinicId
+   * @param {string} key
+   * @param {Object} content - { subject, body, note }
+   * @param {Object} user - req.user
+   */
+  async save(clinicId, key, content, user) {
+    const template = await this.findOrCreate(clinicId, key);
+    this.assertVariables(key, content);
+    template.addVersion(
+      { subject: content.subject, body: content.body, note: content.note },
+      { id: user.id, role: user.role, name: user.fullName }
+    );
+    await template.save();
+    return this.describe(key, template);
+  }
+
+  /**
+   * Send an earlier version again, e.g. to undo a bad edit
+   * @param {string} clinicId
+   * @param {string} key
+   * @param {number} version
+   */
+  async activate(clinicId, key, version) {
+    this.assertKey(key);
+    const template = await EmailTemplate.findOne({ clinicId, key });
+    if (!template?.versions.some(candidate => candidate.version === version)) {
+      throw templateError('Template version not found', 404);
+    }
+    template.activeVersion = version;
+    await template.save();
+    return this.describe(key, template);
+  }
+
+  // Go back to the built-in email; saved versions stay available
+  async reset(clinicId, key) {
+    this.assertKey(key);
+    const template = await EmailTemplate.findOne({ clinicId, key });
+    if (template) {
+      template.activeVersion = null;
+      await template.save();
+    }
+    return this.describe(key, template);
+  }
+
+  /**
+   * Render a draft with sample data and the clinic's name, phone and logo
+   * @param {string} clinicId
+   * @param {string} key
+   * @param {Object} draft - { subject, body }; empty fields use the built-in wording
+   * @returns {Promise<Object>} { subject, html, text, fromName }
+   */
+  async render(clinicId, key, draft = {}) {
+    this.assertKey(key);
+    this.assertVariables(key, draft);
+    const definition = EmailTemplates.TEMPLATES[key];
+    const clinic = await Clinic.findById(clinicId).select('name phone logoUrl');
+    const variables = { ...EmailTemplates.SAMPLE_VARIABLES };
+    if (clinic) Object.assign(variables, emailService.clinicVariables(clinic));
+
+    const rendered = EmailTemplates.render(key, {
+      subject: draft.subject || definition.subject,
+      body: draft.body || definition.body
+    }, variables);
+    return { ...rendered, fromName: clinic?.name };
+  }
+
+  /**
+   * Email a rendered draft to check how it looks in a real inbox
+   * @returns {Promise<Object>} EmailService's { success, messageId, error }
+   */
+  async sendTest(clinicId, key, to, draft) {
+    const rendered = await this.render(clinicId, key, draft);
+    return emailService.sendRenderedEmail(
+      { ...rendered, to, subject: `[Test] ${rendered.subject}` },
+      { template: 'test', clinicId, retry: false }
+    );
+  }
+
+  async updateLogo(clinicId, logoUrl) {
+    const clinic = await Clinic.findByIdAndUpdate(clinicId, { logoUrl: logoUrl || '' }, { new: true }).select('logoUrl');
+    if (!clinic) {
+      throw templateError('Clinic not found', 404);
+    }
+    return { logoUrl: clinic.logoUrl || '' };
+  }
+}
+
+module.exports = new EmailTemplateService();
@@ -0,0 +1,267 @@
+const Prescription = require('../models/Prescription');
+const DrugInteraction = require('../models/DrugInteraction');
+const DrugClass = require('../models/DrugClass');
+
+const { normalizeDrugName } = DrugInteraction;
+
+const SEVERITY_RANK = { minor: 1, moderate: 2, major: 3, contraindicated: 4 };
+
+// Words patients and staff add around an allergen ("Allergic to penicillin")
+const ALLERGY_NOISE = /\b(allergy|allergies|allergic|to|sensitivity|intolerance|reaction|rash)\b/g;
+
+const plural = (word) => (word.endsWith('s') ? word.slice(0, -1) : `${word}s`);
+
+/**
+ * Default provider: the interaction and drug-class tables stored in MongoDB,
+ * imported from backend/data/drug-interactions.json or per clinic via the API.
+ */
+const localTableProvider = {
+  name: 'local',
+
+  async loadClasses(clinicId) {
+    return DrugClass.find({ clinicId: { $in: [null, clinicId] } }).lean();
+  },
+
+  // Everything a drug can be matched on: its name, each word of it and its classes
+  identifiersFor(drugKey, classes) {
+    const ids = new Set([drugKey, ...drugKey.split(' ')]);
+    for (const drugClass of classes) {
+      if (drugClass.members.some(member => ids.has(member) || drugKey === member)) {
+        ids.add(drugClass.name);
+      }
+    }
+    return ids;
+  },
+
+  async findInteractions(drugKeys, clinicId) {
+    const classes = await this.loadClasses(clinicId);
+    const idsByDrug = new Map(drugKeys.map(key => [key, this.identifiersFor(key, classes)]));
+    const allIds = [...new Set([...idsByDrug.values()].flatMap(ids => [...ids]))];
+
+    const rows = await DrugInteraction.find({
+      isActive: true,
+      clinicId: { $in: [null, clinicId] },
+      drugA: { $in: allIds },
+      drugB: { $in: allIds }
+    }).lean();
+
+    // A clinic's own row replaces the shared row for the same pair
+    const byPair = new Map();
+    for (const row of rows) {
+      const pairKey = `${row.drugA}|${row.drugB}`;
+      if (!byPair.has(pairKey) || row.clinicId) {
+        byPair.set(pairKey, row);
+      }
+    }
+
+    const results = [];
+    for (let i = 0; i < drugKeys.length; i++) {
+      for (let j = i + 1; j < drugKeys.length; j++) {
+        const idsA = idsByDrug.get(drugKeys[i]);
+        const idsB = idsByDrug.get(drugKeys[j]);
+        for (const row of byPair.values()) {
+          const matches = (idsA.has(row.drugA) && idsB.has(row.drugB)) ||
+            (idsA.has(row.drugB) && idsB.has(row.drugA));
+          if (matches) {
+            results.push({
+              drugA: drugKeys[i],
+              drugB: drugKeys[j],
+              severity: row.severity,
+              description: row.description,
+              advice: row.advice,
+              source: row.source || this.name
+            });
+          }
+        }
+      }
+    }
+
+    return results;
+  },
+
+  async findAllergyConflicts(drugKeys, allergies, clinicId) {
+    const classes = await this.loadClasses(clinicId);
+    const results = [];
+
+    for (const allergy of allergies) {
+      const allergen = normalizeDrugName(allergy).replace(ALLERGY_NOISE, ' ').replace(/\s+/g, ' ').trim();
+      if (!allergen) continue;
+
+      for (const drugKey of drugKeys) {
+        const ids = this.identifiersFor(drugKey, classes);
+        if (ids.has(allergen) || ids.has(plural(allergen))) {
+          results.push({
+            drug: drugKey,
+            allergy,
+            severity: 'contraindicated',
+            description: `Patient has a recorded allergy to ${allergy}`,
+            advice: 'Choose an alternative from a different drug class, or confirm the allergy history before prescribing',
+            source: this.name
+          });
+        }
+      }
+    }
+
+    return results;
+  }
+};
+
+class InteractionService {
+  constructor() {
+    this.providers = [localTableProvider];
+  }
+
+  /**
+   * Add another interaction source (e.g. a commercial drug database client).
+   * A provider implements findInteractions(drugKeys, clinicId) and optionally
+   * findAllergyConflicts(drugKeys, allergies, clinicId), returning the same
+   * shapes as the local table provider.
+   * @param {Object} provider - Provider with a unique name
+   */
+  registerProvider(provider) {
+    this.providers = this.providers.filter(p => p.name !== provider.name);
+    this.providers.push(provider);
+  }
+
+  normalizeDrugName(name) {
+    return normalizeDrugName(name);
+  }
+
+  /**
+   * Check a prescription's medications against each other, against the
+   * patient's other Active prescriptions and against recorded allergies.
+   * If a provider fails the check is incomplete: the warnings may be missing
+   * some, so it needs an override reason like a contraindication does.
+   * @param {Object} options
+   * @param {Object} options.patient - Patient document (needs _id and medicalHistory)
+   * @param {string} options.clinicId - Clinic whose interaction rows also apply
+   * @param {Array<Object>} options.medications - Medications being prescribed ({ name })
+   * @param {string} [options.excludePrescriptionId] - Prescription being edited
+   * @returns {Promise<{warnings: Array<Object>, requiresOverride: boolean, incomplete: boolean,
+   *   providerErrors: Array<string>, checkedAgainst: Object}>}
+   */
+  async check({ patient, clinicId, medications = [], excludePrescriptionId = null }) {
+    // label keeps the name as the doctor typed it for display
+    const labels = new Map();
+    const newKeys = [];
+    for (const medication of medications) {
+      const key = normalizeDrugName(medication.name);
+      if (key && !labels.has(key)) {
+        labels.set(key, medication.name.trim());
+        newKeys.push(key);
+      }
+    }
+
+    const activeQuery = { patientId: patient._id, status: 'Active' };
+    if (excludePrescriptionId) {
+      activeQuery._id = { $ne: excludePrescriptionId };
+    }
+    const activePrescriptions = await Prescription.find(activeQuery)
+      .select('prescriptionNumber medications.name')
+      .lean();
+
+    const currentByKey = new Map();
+    for (const active of activePrescriptions) {
+      for (const medication of active.medications) {
+        const key = normalizeDrugName(medication.name);
+        if (key && !currentByKey.has(key)) {
+          currentByKey.set(key, active.prescriptionNumber);
+          if (!labels.has(key)) {
+            labels.set(key, medication.name.trim());
+          }
+        }
+      }
+    }
+
+    const warnings = [];
+    const describe = (key) => {
+      const prescriptionNumber = currentByKey.get(key);
+      return newKeys.includes(key) || !prescriptionNumber
+        ? labels.get(key)
+        : `${labels.get(key)} (active ${prescriptionNumber})`;
+    };
+
+    // Same drug already running on another prescription
+    for (const key of newKeys) {
+      if (currentByKey.has(key)) {
+        warnings.push({
+          type: 'duplicate',
+          severity: 'moderate',
+          pair: [labels.get(key), `${labels.get(key)} (active ${currentByKey.get(key)})`],
+          description: 'This medication is already on another active prescription',
+          advice: 'Complete or cancel the earlier prescription, or adjust the total daily dose',
+          source: 'local'
+        });
+      }
+    }
+
+    const allKeys = [...new Set([...newKeys, ...currentByKey.keys()])];
+    const allergies = patient.medicalHistory?.allergies || [];
+    const seen = new Set();
+    const providerErrors = [];
+
+    for (const provider of this.providers) {
+      try {
+        const interactions = allKeys.length > 1
+          ? await provider.findInteractions(allKeys, clinicId)
+          : [];
+
+        for (const interaction of interactions) {
+          // Pairs that are both old were already accepted on earlier prescriptions
+          if (!newKeys.includes(interaction.drugA) && !newKeys.includes(interaction.drugB)) continue;
+
+          const id = [interaction.drugA, interaction.drugB].sort().join('|');
+          if (seen.has(id)) continue;
+          seen.add(id);
+
+          warnings.push({
+            type: 'interaction',
+            severity: interaction.severity,
+            pair: [describe(interaction.drugA), describe(interaction.drugB)],
+            description: interaction.description,
+            advice: interaction.advice,
+            source: interaction.source || provider.name
+          });
+        }
+
+        if (provider.findAllergyConflicts && allergies.length > 0 && newKeys.length > 0) {
+          const conflicts = await provider.findAllergyConflicts(newKeys, allergies, clinicId);
+          for (const conflict of conflicts) {
+            const id = `allergy|${conflict.drug}|${conflict.allergy}`;
+            if (seen.has(id)) continue;
+            seen.add(id);
+
+            warnings.push({
+              type: 'allergy',
+              severity: conflict.severity || 'contraindicated',
+              pair: [labels.get(conflict.drug), conflict.allergy],
+              description: conflict.description,
+              advice: conflict.advice,
+              source: conflict.source || provider.name
+            });
+          }
+        }
+      } catch (error) {
+        // A broken provider must not stop the doctor from prescribing, but the
+        // check is then incomplete and saving needs an override reason
+        console.error(`Interaction provider "${provider.name}" failed:`, error);
+        providerErrors.push(provider.name);
+      }
+    }
+
+    warnings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+    return {
+      warnings,
+      requiresOverride: providerErrors.length > 0 || warnings.some(w => w.severity === 'contraindicated'),
+      incomplete: providerErrors.length > 0,
+      providerErrors,
+      checkedAgainst: {
+        activePrescriptions: activePrescriptions.length,
+        allergies
+      }
+    };
+  }
+}
+
+module.exports = new InteractionService();
@@ -0,0 +1,350 @@
+const PDFDocument = require('pdfkit');
+const Gst = require('../utils/gst');
+
+const PAGE_MARGIN = 50;
+const COLORS = {
+  primary: '#1e3a8a',
+  text: '#111827',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  danger: '#dc2626'
+};
+
+class InvoicePdfService {
+  formatDate(date) {
+    if (!date) return '';
+    return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+
+  formatMoney(value) {
+    return `Rs. ${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  /**
+   * The parts of an invoice shown when listing and printing it
+   * @param {Object} invoice - Invoice document
+   * @returns {Object} Normalised invoice
+   */
+  normalise(invoice) {
+    return {
+      _id: invoice._id,
+      type: invoice.type,
+      number: invoice.invoiceNumber,
+      date: invoice.date || invoice.createdAt,
+      status: invoice.status,
+      items: (invoice.lineItems || []).map(item => ({
+        type: item.type,
+        description: item.code ? `${item.code} - ${item.description}` : item.description,
+        qty: item.qty,
+        unitPrice: item.unitPrice,
+        amount: item.amount,
+        hsnSac: item.hsnSac,
+        taxClass: item.taxClass,
+        taxRate: item.taxRate,
+        taxableValue: item.taxableValue,
+        cgst: item.cgst,
+        sgst: item.sgst,
+        igst: item.igst
+      })),
+      // Invoices from before GST classification print their lump-sum tax instead
+      gst: Gst.isClassified(invoice)
+        ? {
+          supplierGstin: invoice.supplierGstin,
+          recipientGstin: invoice.recipientGstin,
+          placeOfSupply: Gst.stateLabel(invoice.placeOfSupply),
+          interState: Boolean(invoice.interState),
+          rates: Gst.byRate(invoice.lineItems),
+          exempt: invoice.taxBreakdown?.exempt || 0
+        }
+        : null,
+      subtotal: invoice.subtotal,
+      discount: invoice.discount || 0,
+      tax: invoice.tax || 0,
+      shipping: invoice.shipping || 0,
+      total: invoice.total,
+      refundedAmount: invoice.refundedAmount || 0,
+      paymentMethod: invoice.paymentMethod === 'pending' ? null : invoice.paymentMethod,
+      paidAt: invoice.paidAt || invoice.paymentDetails?.paidAt || null,
+      remarks: invoice.remarks
+    };
+  }
+
+  /**
+   * Render a normalised invoice as a PDF
+   * @param {Object} options
+   * @param {Object} options.invoice - Invoice from normalise()
+   * @param {Object} options.patient - Patient document
+   * @param {Object} options.clinic - Clinic document (letterhead)
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  generate({ invoice, patient, clinic }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        info: {
+          Title: `Invoice ${invoice.number}`,
+          Author: clinic?.name || 'Clinic'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      this.renderLetterhead(doc, clinic);
+      this.renderHeader(doc, invoice, patient, this.title(invoice, clinic));
+      this.renderItems(doc, invoice);
+      this.renderTotals(doc, invoice);
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Render a refund receipt as a PDF
+   * @param {Object} options
+   * @param {Object} options.refund - Processed Refund document
+   * @param {Object} [options.payment] - The Payment it was made against
+   * @param {Object} options.patient - Patient document
+   * @param {Object} options.clinic - Clinic document (letterhead)
+   * @param {string} [options.invoiceNumber] - Invoice the payment settled
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  generateRefundReceipt({ refund, payment, patient, clinic, invoiceNumber }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        info: {
+          Title: `Refund receipt ${refund.receiptNumber}`,
+          Author: clinic?.name || 'Clinic'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      this.renderLetterhead(doc, clinic);
+      this.renderHeader(doc, {
+        number: refund.receiptNumber,
+        date: refund.processedAt || refund.createdAt,
+        status: 'refunded'
+      }, patient, 'REFUND RECEIPT');
+      this.renderItems(doc, {
+        items: [{
+          description: `Refund${invoiceNumber ? ` against invoice ${invoiceNumber}` : ''}: ${refund.reason}`,
+          qty: 1,
+          unitPrice: refund.amount,
+          amount: refund.amount
+        }]
+      });
+
+      const methods = {
+        gateway: 'Original payment method',
+        cash: 'Cash',
+        card: 'Card',
+        upi: 'UPI',
+        other: 'Other'
+      };
+      doc.moveDown(0.5);
+      const labelX = PAGE_MARGIN + 265;
+      const width = doc.page.width - PAGE_MARGIN - labelX;
+      const top = doc.y;
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+        .text('Amount refunded', labelX, top, { width: width / 2 })
+        .text(this.formatMoney(refund.amount), labelX + width / 2, top, { width: width / 2 - 4, align: 'right' });
+
+      doc.moveDown(1);
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+      doc.text(`Refunded to: ${methods[refund.method] || refund.method}`, PAGE_MARGIN);
+      if (refund.gatewayRefundId) doc.text(`Gateway reference: ${refund.gatewayRefundId}`, PAGE_MARGIN);
+      if (payment) {
+        doc.text(`Original payment: ${this.formatMoney(payment.amount)} on ${this.formatDate(payment.transactionDate || payment.createdAt)}`, PAGE_MARGIN);
+        if (payment.refundAmount) doc.text(`Total refunded on this payment: ${this.formatMoney(payment.refundAmount)}`, PAGE_MARGIN);
+      }
+
+      doc.end();
+    });
+  }
+
+  // A GST-registered clinic issues a tax invoice, or a bill of supply when nothing on it is taxable
+  title(invoice, clinic) {
+    const gstin = invoice.gst?.supplierGstin || clinic?.gstin;
+    if (!invoice.gst || !gstin) return 'INVOICE';
+    return invoice.items.some(item => item.taxClass === 'taxable') ? 'TAX INVOICE' : 'BILL OF SUPPLY';
+  }
+
+  renderLetterhead(doc, clinic) {
+    const width = doc.page.width - PAGE_MARGIN * 2;
+
+    doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(18)
+      .text(clinic?.name || 'Clinic', PAGE_MARGIN, PAGE_MARGIN, { width, align: 'center' });
+
+    if (clinic) {
+      const address = [clinic.address, clinic.city, clinic.state, clinic.zipCode].filter(Boolean).join(', ');
+      const contact = [clinic.phone && `Ph: ${clinic.phone}`, clinic.email].filter(Boolean).join('  |  ');
+
+      doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9);
+      if (address) doc.text(address, { width, align: 'center' });
+      if (contact) doc.text(contact, { width, align: 'center' });
+      if (clinic.gstin) doc.text(`GSTIN: ${clinic.gstin}`, { width, align: 'center' });
+    }
+
+    doc.moveDown(0.5);
+    this.rule(doc);
+  }
+
+  renderHeader(doc, invoice, patient, title = 'INVOICE') {
+    const top = doc.y + 8;
+    const columnWidth = (doc.page.width - PAGE_MARGIN * 2) / 2;
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(12)
+      .text('Bill To', PAGE_MARGIN, top, { width: columnWidth });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+    if (patient?.fullName) doc.text(patient.fullName, { width: columnWidth });
+    if (patient?.uhid) doc.text(`UHID: ${patient.uhid}`, { width: columnWidth });
+    if (patient?.phone) doc.text(patient.phone, { width: columnWidth });
+    if (patient?.email) doc.text(patient.email, { width: columnWidth });
+    if (invoice.gst?.recipientGstin) doc.text(`GSTIN: ${invoice.gst.recipientGstin}`, { width: columnWidth });
+    const leftBottom = doc.y;
+
+    const right = PAGE_MARGIN + columnWidth;
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(14)
+      .text(title, right, top, { width: columnWidth, align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(`No: ${invoice.number}`, { width: columnWidth, align: 'right' })
+      .text(`Date: ${this.formatDate(invoice.date)}`, { width: columnWidth, align: 'right' });
+    if (invoice.gst?.placeOfSupply) {
+      doc.text(`Place of supply: ${invoice.gst.placeOfSupply}`, { width: columnWidth, align: 'right' });
+    }
+
+    doc.fillColor(invoice.status === 'paid' ? COLORS.primary : COLORS.text).font('Helvetica-Bold')
+      .text(`Status: ${invoice.status ? invoice.status.replace(/_/g, ' ').toUpperCase() : 'UNKNOWN'}`, { width: columnWidth, align: 'right' });
+
+    doc.y = Math.max(leftBottom, doc.y) + 10;
+    this.rule(doc);
+    doc.moveDown(0.5);
+  }
+
+  renderItems(doc, invoice) {
+    const columns = invoice.gst
+      ? [
+        { label: 'Description', width: 180 },
+        { label: 'HSN/SAC', width: 55 },
+        { label: 'Qty', width: 40, align: 'right' },
+        { label: 'Unit Price', width: 75, align: 'right' },
+        { label: 'GST', width: 55, align: 'right' },
+        { label: 'Amount', width: 90, align: 'right' }
+      ]
+      : [
+        { label: 'Description', width: 265 },
+        { label: 'Qty', width: 50, align: 'right' },
+        { label: 'Unit Price', width: 90, align: 'right' },
+        { label: 'Amount', width: 90, align: 'right' }
+      ];
+    const taxLabel = (item) => (item.taxClass === 'taxable'
+      ? `${item.taxRate}%`
+      : { exempt: 'Exempt', nil_rated: 'Nil', non_gst: 'Non-GST' }[item.taxClass] || '');
+
+    const drawRow = (values, bold) => {
+      const top = doc.y;
+      let x = PAGE_MARGIN;
+      let bottom = top;
+
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(COLORS.text);
+      values.forEach((value, index) => {
+        doc.text(value, x, top, { width: columns[index].width - 4, align: columns[index].align || 'left' });
+        bottom = Math.max(bottom, doc.y);
+        x += columns[index].width;
+      });
+      doc.y = bottom + 4;
+    };
+
+    drawRow(columns.map(column => column.label), true);
+    this.rule(doc);
+    doc.moveDown(0.3);
+
+    invoice.items.forEach(item => {
+      if (doc.y > doc.page.height - 160) {
+        doc.addPage();
+      }
+      drawRow(invoice.gst
+        ? [
+          item.description,
+          item.hsnSac || '',
+          String(item.qty),
+          this.formatMoney(item.unitPrice),
+          taxLabel(item),
+          this.formatMoney(item.amount)
+        ]
+        : [
+          item.description,
+          String(item.qty),
+          this.formatMoney(item.unitPrice),
+          this.formatMoney(item.amount)
+        ]);
+    });
+
+    doc.moveDown(0.3);
+    this.rule(doc);
+  }
+
+  renderTotals(doc, invoice) {
+    const labelX = PAGE_MARGIN + 265;
+    const width = doc.page.width - PAGE_MARGIN - labelX;
+    const line = (label, value, bold) => {
+      const top = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9).fillColor(COLORS.text)
+        .text(label, labelX, top, { width: width / 2 })
+        .text(this.formatMoney(value), labelX + width / 2, top, { width: width / 2 - 4, align: 'right' });
+      doc.moveDown(0.2);
+    };
+
+    doc.moveDown(0.5);
+    line('Subtotal', invoice.subtotal);
+    if (invoice.discount) line('Discount', -invoice.discount);
+    if (invoice.gst) {
+      invoice.gst.rates.forEach(rate => {
+        if (invoice.gst.interState) {
+          line(`IGST @ ${rate.rate}%`, rate.igst);
+        } else {
+          line(`CGST @ ${rate.rate / 2}%`, rate.cgst);
+          line(`SGST @ ${rate.rate / 2}%`, rate.sgst);
+        }
+      });
+    } else if (invoice.tax) {
+      line('Tax', invoice.tax);
+    }
+    if (invoice.shipping) line('Shipping', invoice.shipping);
+    line('Total', invoice.total, true);
+
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+    if (invoice.gst?.exempt) {
+      doc.text(`Exempt supplies of ${this.formatMoney(invoice.gst.exempt)}: healthcare services are exempt from GST.`, PAGE_MARGIN);
+    }
+    if (invoice.paidAt) {
+      doc.text(`Paid on ${this.formatDate(invoice.paidAt)}${invoice.paymentMethod ? ` (${invoice.paymentMethod})` : ''}`, PAGE_MARGIN);
+    }
+    if (invoice.remarks) {
+      doc.text(`Remarks: ${invoice.remarks}`, PAGE_MARGIN);
+    }
+    if (invoice.refundedAmount) {
+      doc.text(`Refunded: ${this.formatMoney(invoice.refundedAmount)}`, PAGE_MARGIN);
+    }
+    if (invoice.status === 'cancelled' || invoice.status === 'rejected') {
+      doc.fillColor(COLORS.danger).font('Helvetica-Bold').text(`This invoice has been ${invoice.status}.`, PAGE_MARGIN);
+    }
+  }
+
+  rule(doc) {
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+      .strokeColor(COLORS.rule).lineWidth(1).stroke();
+  }
+}
+
+module.exports = new InvoicePdfService();
@@ -0,0 +1,459 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const Revenue = require('../models/Revenue');
+const Clinic = require('../models/Clinic');
+const invoicePdfService = require('./invoicePdfService');
+const catalogueService = require('./catalogueService');
+const Invoices = require('../utils/invoices');
+const Gst = require('../utils/gst');
+const ClinicTime = require('../utils/clinicTime');
+
+const invoiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const actor = (user) => (user ? { id: user.id, role: user.role, name: user.fullName } : undefined);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// What staff set on an invoice; the number, totals, GST, type and status are worked out
+const EDITABLE_FIELDS = [
+  'patientId', 'patientName', 'doctorId', 'lineItems', 'date', 'address',
+  'phone', 'email', 'remarks', 'discount', 'shipping', 'paymentMethod', 'recipientGstin'
+];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+/**
+ * The clinic's invoices, whatever they bill for: services, appointments,
+ * teleconsultations or dispensed medication. Every status change goes
+ * through transition(), which applies the status machine in utils/invoices
+ * and keeps the clinic's revenue in step: an invoice's total is counted
+ * once when it is approved or paid, and taken off again if an approved
+ * invoice is later rejected or cancelled.
+ */
+class InvoiceService {
+  // Staff see their own clinic's invoices
+  scopeFor(user) {
+    if (!user?.clinicId) {
+      throw invoiceError('Access denied. User must be associated with a clinic to view invoices.', 403);
+    }
+    return { clinicId: user.clinicId };
+  }
+
+  async get(id, user) {
+    const invoice = await Invoice.findOne({ _id: id, ...this.scopeFor(user) });
+    if (!invoice) {
+      throw invoiceError('Invoice not found', 404);
+    }
+    return invoice;
+  }
+
+  // Clinic staff and admins manage any of the clinic's invoices; a doctor only their own
+  async getManaged(id, user) {
+    const invoice = await this.get(id, user);
+    if (user.role === 'doctor' && invoice.doctorId?.toString() !== user.id) {
+      throw invoiceError('Access denied. Doctors can only manage their own invoices.', 403);
+    }
+    return invoice;
+  }
+
+  populated(id) {
+    return Invoice.findById(id)
+      .populate('patientId', 'fullName phone email address uhid')
+      .populate('doctorId', 'fullName specialty')
+      .populate('appointmentId', 'appointmentType date time status')
+      .select('-__v');
+  }
+
+  /**
+   * A page of the clinic's invoices
+   * @param {Object} user - req.user
+   * @param {Object} filters - type, status (comma-separated), patientId, doctorId,
+   *   appointmentId, teleconsultationId, paymentMethod, search, from, to
+   * @returns {Promise<Object>} { invoices, pagination }
+   */
+  async list(user, {
+    page = 1,
+    limit = 10,
+    type,
+    status,
+    patientId,
+    doctorId,
+    appointmentId,
+    teleconsultationId,
+    paymentMethod,
+    search,
+    from,
+    to,
+    sortBy = 'createdAt',
+    sortOrder = 'desc'
+  } = {}) {
+    const query = this.scopeFor(user);
+    if (type) query.type = type;
+    if (status) query.status = { $in: String(status).split(',') };
+    if (patientId) query.patientId = patientId;
+    if (doctorId) query.doctorId = doctorId;
+    if (appointmentId) query.appointmentId = appointmentId;
+    if (teleconsultationId) query.teleconsultationId = teleconsultationId;
+    if (paymentMethod) query.paymentMethod = paymentMethod;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ invoiceNumber: pattern }, { patientName: pattern }, { 'lineItems.description': pattern }];
+    }
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 1000);
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .populate('patientId', 'fullName phone email')
+        .populate('doctorId', 'fullName specialty')
+        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+        .limit(pageSize)
+        .skip((pageNumber - 1) * pageSize)
+        .select('-__v'),
+      Invoice.countDocuments(query)
+    ]);
+
+    return {
+      invoices,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalInvoices: total,
+        hasNextPage: pageNumber * pageSize < total,
+        hasPrevPage: pageNumber > 1
+      }
+    };
+  }
+
+  /**
+   * Raise an invoice
+   * @param {Object} data - Invoice fields from the request
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} Invoice document
+   */
+  async create(data, user) {
+    const clinicId = this.scopeFor(user).clinicId;
+    const patient = await Patient.findOne({ _id: data.patientId, clinicId }).select('fullName');
+    if (!patient) {
+      throw invoiceError('Patient not found', 404);
+    }
+
+    const invoice = new Invoice({
+      ...pick(data, EDITABLE_FIELDS),
+      lineItems: await catalogueService.resolveLines(clinicId, data.lineItems, data.date),
+      patientName: data.patientName || patient.fullName,
+      clinicId,
+      statusHistory: [{ status: 'unapproved', by: actor(user), note: 'Created' }]
+    });
+    await invoice.save();
+    return invoice;
+  }
+
+  /**
+   * Change an invoice's items or details. Only unapproved and rejected
+   * invoices can be edited; a rejected one goes back for approval.
+   */
+  async update(id, data, user) {
+    const invoice = await this.getManaged(id, user);
+    if (!Invoices.isEditable(invoice.status)) {
+      throw invoiceError(`A ${Invoices.label(invoice.status).toLowerCase()} invoice cannot be edited`, 400);
+    }
+
+    invoice.set(pick(data, EDITABLE_FIELDS));
+    if (data.lineItems) {
+      invoice.lineItems = await catalogueService.resolveLines(invoice.clinicId, data.lineItems, invoice.date);
+    }
+    if (invoice.status === 'rejected') {
+      invoice.status = 'unapproved';
+      invoice.statusHistory.push({ status: 'unapproved', by: actor(user), note: 'Edited after rejection' });
+    }
+    await invoice.save();
+    return invoice;
+  }
+
+  async remove(id, user) {
+    const invoice = await this.getManaged(id, user);
+    if (!Invoices.isDeletable(invoice)) {
+      throw invoiceError('Only invoices that were never approved or paid can be deleted; cancel or refund it instead', 400);
+    }
+    await Invoice.deleteOne({ _id: invoice._id, revenueRecorded: { $ne: true } });
+    return invoice;
+  }
+
+  /**
+   * Move an invoice to a new status. The update only applies if the
+   * invoice is still in a status that allows the move, so two people acting
+   * on it at once can't both succeed.
+   * @param {Object} invoice - Invoice document
+   * @param {string} to - New status
+   * @param {Object} [options]
+   * @param {Object} [options.user] - req.user, for the history
+   * @param {Object} [options.set] - Other fields to set with the status
+   * @param {string} [options.note] - Reason recorded in the history
+   * @returns {Promise<Object>} The updated invoice
+   */
+  async transition(invoice, to, { user, set = {}, note } = {}) {
+    const updated = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: { $in: Invoices.sourcesOf(to) } },
+      {
+        $set: { status: to, ...set },
+        $push: { statusHistory: { status: to, at: new Date(), by: actor(user), note } }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      const current = await Invoice.findById(invoice._id).select('status');
+      if (!current) {
+        throw invoiceError('Invoice not found', 404);
+      }
+      throw invoiceError(Invoices.transitionError(current.status, to) || 'Invoice was changed at the same time; try again', 409);
+    }
+
+    await this.syncRevenue(updated);
+    return updated;
+  }
+
+  /**
+   * Approve an invoice. For a booked visit this also moves the appointment
+   * from Processing to Scheduled.
+   * @param {Object} invoice - Invoice document
+   * @param {Object} user - req.user
+   * @param {Object} [options] - { paymentMethod } when approving a payment taken at the desk
+   */
+  async approve(invoice, user, { paymentMethod } = {}) {
+    const updated = await this.transition(invoice, 'approved', {
+      user,
+      set: {
+        approvedBy: user?.id,
+        approvedAt: new Date(),
+        ...(paymentMethod && { paymentMethod })
+      }
+    });
+    await this.scheduleAppointment(updated);
+    return updated;
+  }
+
+  async reject(invoice, user, reason) {
+    return this.transition(invoice, 'rejected', {
+      user,
+      note: reason,
+      set: {
+        rejectedBy: user?.id,
+        rejectedAt: new Date(),
+        rejectionReason: reason || 'No reason provided'
+      }
+    });
+  }
+
+  async cancel(invoice, user, reason) {
+    return this.transition(invoice, 'cancelled', { user, note: reason, set: { cancelledAt: new Date() } });
+  }
+
+  /**
+   * Record that an invoice has been paid. An invoice that is already paid
+   * or refunded is left as it is, so repeating this is harmless.
+   * @param {Object} invoice - Invoice document
+   * @param {Object} details
+   * @param {string} details.paymentMethod - cash or online
+   * @param {Object} [details.paymentDetails] - Gateway references
+   * @param {Object} [details.user] - req.user, when someone at the clinic recorded it
+   * @param {string} [details.approvedBy] - Who took the payment, when there is no user
+   * @returns {Promise<Object>} The invoice
+   */
+  async markPaid(invoice, { paymentMethod, paymentDetails, user, approvedBy } = {}) {
+    if (!Invoices.canTransition(invoice.status, 'paid')) {
+      if (Invoices.countsAsRevenue(invoice.status)) {
+        await this.syncRevenue(invoice);
+      } else {
+        console.warn(`Payment received for ${invoice.status} invoice ${invoice.invoiceNumber}`);
+      }
+      return invoice;
+    }
+
+    const paidAt = paymentDetails?.paidAt || new Date();
+    const updated = await this.transition(invoice, 'paid', {
+      user,
+      set: {
+        paymentMethod,
+        paidAt,
+        ...(paymentDetails && { paymentDetails: { ...paymentDetails, paidAt } })
+      }
+    });
+    // Paying also approves an invoice nobody had approved yet
+    if (!updated.approvedAt) {
+      await Invoice.updateOne(
+        { _id: updated._id, approvedAt: null },
+        { approvedAt: new Date(), approvedBy: approvedBy || user?.id }
+      );
+    }
+    return updated;
+  }
+
+  /**
+   * Cancel the unapproved invoices of an appointment that will no longer
+   * take place, including its teleconsultation's
+   * @param {string} appointmentId
+   * @param {string} [reason]
+   */
+  async cancelForAppointment(appointmentId, reason = 'Appointment cancelled') {
+    return Invoice.updateMany(
+      { appointmentId, status: 'unapproved' },
+      {
+        $set: { status: 'cancelled', cancelledAt: new Date() },
+        $push: { statusHistory: { status: 'cancelled', at: new Date(), note: reason } }
+      }
+    );
+  }
+
+  // The invoice a payment was taken for
+  async forPayment(payment) {
+    if (payment.invoiceId) {
+      return Invoice.findById(payment.invoiceId);
+    }
+    if (payment.appointmentId) {
+      return Invoice.findOne({ appointmentId: payment.appointmentId, status: { $ne: 'cancelled' } })
+        .sort({ createdAt: -1 });
+    }
+    return null;
+  }
+
+  /**
+   * Count an invoice's total in the clinic's revenue once it is approved or
+   * paid, and take it off again if it is rejected or cancelled. The
+   * revenueRecorded flag is flipped first so each change happens once.
+   * @param {Object} invoice - Invoice document after the status change
+   */
+  async syncRevenue(invoice) {
+    const counts = Invoices.countsAsRevenue(invoice.status);
+    if (counts === Boolean(invoice.revenueRecorded)) return;
+
+    const flipped = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, revenueRecorded: !counts },
+      { revenueRecorded: counts },
+      { new: true }
+    );
+    if (!flipped) return;
+
+    try {
+      if (counts) {
+        await Revenue.addRevenue(invoice.clinicId, invoice._id, invoice.total, 'approved');
+      } else {
+        const counted = invoice.total - (invoice.refundedAmount || 0);
+        await Revenue.subtractRevenue(invoice.clinicId, invoice._id, counted, invoice.status);
+      }
+    } catch (revenueError) {
+      console.error('Error updating invoice revenue:', revenueError);
+      // Don't fail the status change if revenue tracking fails; leave the flag for a retry
+      await Invoice.updateOne({ _id: invoice._id }, { revenueRecorded: !counts });
+    }
+  }
+
+  async scheduleAppointment(invoice) {
+    if (invoice.type !== 'appointment' || !invoice.appointmentId) return;
+    const appointment = await Appointment.findById(invoice.appointmentId);
+    if (appointment && appointment.status === 'Processing') {
+      appointment.status = 'Scheduled';
+      await appointment.save();
+    }
+  }
+
+  /**
+   * Printable copy of an invoice on the clinic's letterhead
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<Object>} { pdf, filename }
+   */
+  async pdf(invoice) {
+    const [patient, clinic] = await Promise.all([
+      Patient.findById(invoice.patientId).select('fullName uhid phone email'),
+      Clinic.findById(invoice.clinicId).select('name address city state zipCode phone email gstin')
+    ]);
+    const normalised = invoicePdfService.normalise(invoice);
+    const pdf = await invoicePdfService.generate({ invoice: normalised, patient, clinic });
+    return { pdf, filename: `invoice-${normalised.number}.pdf` };
+  }
+
+  /**
+   * GSTR-1 return for one month of the clinic's invoices
+   * @param {Object} user - req.user
+   * @param {string} month - "YYYY-MM", in the clinic's timezone
+   * @returns {Promise<Object>} Report from Gst.gstr1()
+   */
+  async gstr1(user, month) {
+    const { clinicId } = this.scopeFor(user);
+    const clinic = await Clinic.findById(clinicId).select('gstin timezone');
+    if (!clinic) {
+      throw invoiceError('Clinic not found', 404);
+    }
+
+    const [year, monthNumber] = month.split('-').map(Number);
+    const next = monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+    const invoices = await Invoice.find({
+      clinicId,
+      date: {
+        $gte: ClinicTime.toInstant(`${month}-01`, '00:00', clinic.timezone),
+        $lt: ClinicTime.toInstant(`${next}-01`, '00:00', clinic.timezone)
+      }
+    })
+      .select('invoiceNumber patientName date createdAt status lineItems total tax refundedAmount recipientGstin placeOfSupply interState')
+      .sort({ invoiceNumber: 1 })
+      .lean();
+
+    return Gst.gstr1(invoices, { gstin: clinic.gstin, period: month, timeZone: clinic.timezone });
+  }
+
+  /**
+   * Invoice counts and amounts by status and type, with the year's revenue
+   * @param {Object} user - req.user
+   */
+  async stats(user) {
+    const clinicId = new mongoose.Types.ObjectId(String(this.scopeFor(user).clinicId));
+    const [byStatus, byType, monthlyRevenue] = await Promise.all([
+      Invoice.aggregate([
+        { $match: { clinicId } },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$total' } } }
+      ]),
+      Invoice.aggregate([
+        { $match: { clinicId } },
+        { $group: { _id: '$type', count: { $sum: 1 }, amount: { $sum: '$total' } } }
+      ]),
+      Revenue.getYearlyRevenue(clinicId, new Date().getFullYear())
+    ]);
+
+    const group = (rows, keys) => keys.reduce((summary, key) => {
+      const row = rows.find(entry => entry._id === key);
+      summary[key] = { count: row?.count || 0, amount: row?.amount || 0 };
+      return summary;
+    }, {});
+    const statuses = group(byStatus, Invoices.STATUSES);
+
+    return {
+      totalInvoices: monthlyRevenue.reduce((sum, month) => sum + month.invoiceCount, 0),
+      totalRevenue: monthlyRevenue.reduce((sum, month) => sum + month.totalRevenue, 0),
+      monthlyRevenue: monthlyRevenue.map(month => ({
+        _id: month.month,
+        total: month.totalRevenue,
+        count: month.invoiceCount
+      })),
+      statuses,
+      types: group(byType, Invoices.INVOICE_TYPES),
+      // Raised but not yet approved
+      outstandingAmount: statuses.unapproved.amount + statuses.rejected.amount
+    };
+  }
+}
+
+module.exports = new InvoiceService();
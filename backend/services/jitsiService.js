@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const ClinicTime = require('../utils/clinicTime');
 
 class JitsiMeetService {
   constructor() {
@@ -530,6 +531,26 @@ class JitsiMeetService {
     return roomNameRegex.test(roomName) && roomName.length >= 3 && roomName.length <= 100;
   }
 
+  /**
+   * Date and time labels for an invitation. The time names the clinic's
+   * timezone, since the doctor or patient may be joining from another one.
+   * @param {Date|string} scheduledDate - Calendar day
+   * @param {string} scheduledTime - "HH:MM" clinic time
+   * @param {string} timeZone - Clinic timezone
+   * @returns {Object} { formattedDate, formattedTime }
+   */
+  formatSchedule(scheduledDate, scheduledTime, timeZone) {
+    const formattedDate = ClinicTime.dayStart(scheduledDate).toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+    const zone = ClinicTime.zoneLabel(timeZone, ClinicTime.toInstant(scheduledDate, scheduledTime, timeZone));
+    return { formattedDate, formattedTime: `${scheduledTime} ${zone}` };
+  }
+
   /**
    * Generate meeting invitation text
    * @param {Object} meetingData - Meeting data
@@ -543,15 +564,11 @@ class JitsiMeetService {
       scheduledTime,
       meetingId,
       meetingUrl,
-      participantPassword
+      participantPassword,
+      timeZone
     } = meetingData;
 
-    const formattedDate = new Date(scheduledDate).toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+    const { formattedDate, formattedTime } = this.formatSchedule(scheduledDate, scheduledTime, timeZone);
 
     let invitation = `
 🏥 TELECONSULTATION INVITATION
@@ -561,7 +578,7 @@ Dear ${patientName},
 You have a scheduled teleconsultation with Dr. ${doctorName}.
 
 📅 Date: ${formattedDate}
-🕐 Time: ${scheduledTime}
+🕐 Time: ${formattedTime}
 🆔 Meeting ID: ${meetingId}
 
 🔗 Join Meeting: ${meetingUrl}
@@ -596,15 +613,11 @@ ${process.env.CLINIC_NAME || 'Healthcare Team'}
       scheduledTime,
       meetingId,
       urls,
-      moderatorPassword
+      moderatorPassword,
+      timeZone
     } = meetingData;
 
-    const formattedDate = new Date(scheduledDate).toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+    const { formattedDate, formattedTime } = this.formatSchedule(scheduledDate, scheduledTime, timeZone);
 
     let invitation = `
 🏥 TELECONSULTATION - DOCTOR ACCESS
@@ -614,7 +627,7 @@ Dear Dr. ${doctorName},
 Teleconsultation scheduled with ${patientName}.
 
 📅 Date: ${formattedDate}
-🕐 Time: ${scheduledTime}
+🕐 Time: ${formattedTime}
 🆔 Meeting ID: ${meetingId}
 
 🔗 Moderator Access: ${urls.doctor}
@@ -0,0 +1,169 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 60 * 1000;
+// A job still "running" after this long belongs to a worker that died
+const LOCK_TIMEOUT = 10 * 60 * 1000;
+// Jobs handled per poll, so one tick can't hold the event loop forever
+const BATCH_SIZE = 50;
+
+/**
+ * Mongo-backed job runner.
+ *
+ * Handlers are registered by job name with define(). Jobs are claimed with an
+ * atomic findOneAndUpdate, so several server instances can share one queue.
+ * A handler that throws is retried with exponential backoff until maxAttempts.
+ * Recurring sweeps registered with every() run in-process and are not persisted.
+ */
+class JobRunner {
+  constructor() {
+    this.handlers = new Map();
+    this.recurring = [];
+    this.timers = [];
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.ticking = false;
+  }
+
+  define(name, handler) {
+    this.handlers.set(name, handler);
+  }
+
+  every(name, intervalMs, task) {
+    this.recurring.push({ name, intervalMs, task });
+  }
+
+  /**
+   * Persist a job. With a key, scheduling again is a no-op and returns the existing job.
+   * @param {string} name - Registered handler name
+   * @param {Date} runAt
+   * @param {Object} payload
+   * @param {Object} [options] - { key, maxAttempts }
+   * @returns {Promise<Object>} The ScheduledJob
+   */
+  async schedule(name, runAt, payload = {}, options = {}) {
+    if (!options.key) {
+      return ScheduledJob.create({ name, runAt, payload, maxAttempts: options.maxAttempts });
+    }
+
+    return ScheduledJob.findOneAndUpdate(
+      { key: options.key },
+      {
+        $setOnInsert: {
+          name,
+          key: options.key,
+          runAt,
+          payload,
+          maxAttempts: options.maxAttempts || 3,
+          status: 'pending',
+          attempts: 0
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Cancel pending jobs matching a filter
+   * @returns {Promise<number>} Jobs cancelled
+   */
+  async cancel(filter) {
+    const result = await ScheduledJob.updateMany(
+      { ...filter, status: 'pending' },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  async claimNext() {
+    return ScheduledJob.findOneAndUpdate(
+      {
+        status: 'pending',
+        runAt: { $lte: new Date() },
+        name: { $in: [...this.handlers.keys()] }
+      },
+      {
+        $set: { status: 'running', lockedAt: new Date(), lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.name);
+    try {
+      const result = await handler(job);
+      job.status = 'completed';
+      job.result = result;
+      job.lastError = undefined;
+      job.completedAt = new Date();
+    } catch (error) {
+      job.lastError = error.message;
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'failed';
+        job.completedAt = new Date();
+        console.error(`❌ Job ${job.name} (${job._id}) failed after ${job.attempts} attempts:`, error.message);
+      } else {
+        // 2, 4, 8... minutes
+        job.status = 'pending';
+        job.runAt = new Date(Date.now() + Math.pow(2, job.attempts) * 60 * 1000);
+        console.warn(`⚠️ Job ${job.name} (${job._id}) attempt ${job.attempts} failed, retrying at ${job.runAt.toISOString()}:`, error.message);
+      }
+    }
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+    await job.save();
+  }
+
+  // Put jobs from crashed workers back in the queue
+  async releaseStaleLocks() {
+    await ScheduledJob.updateMany(
+      { status: 'running', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT) } },
+      { $set: { status: 'pending' }, $unset: { lockedAt: 1, lockedBy: 1 } }
+    );
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      await this.releaseStaleLocks();
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        const job = await this.claimNext();
+        if (!job) break;
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Job runner tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  start() {
+    if (this.timers.length > 0) return;
+
+    const poll = setInterval(() => this.tick(), POLL_INTERVAL);
+    poll.unref();
+    this.timers.push(poll);
+
+    this.recurring.forEach(({ name, intervalMs, task }) => {
+      const run = () => Promise.resolve()
+        .then(task)
+        .catch(error => console.error(`Recurring task ${name} failed:`, error));
+      const timer = setInterval(run, intervalMs);
+      timer.unref();
+      this.timers.push(timer);
+      run();
+    });
+
+    console.log(`⏱️ Job runner started (${this.handlers.size} job type(s), polling every ${POLL_INTERVAL / 1000}s)`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+}
+
+module.exports = new JobRunner();
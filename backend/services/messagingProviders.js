@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STUB_FILE = path.join(__dirname, '..', 'logs', 'messages.log');
+
+const providerError = (message, response) => {
+  const error = new Error(message);
+  error.response = response;
+  return error;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Local stand-in for a real gateway, for development and testing.
+ * "console" prints each message; "file" appends it as a JSON line.
+ * Messages count as delivered straight away.
+ */
+class StubProvider {
+  constructor(channel, mode, file = DEFAULT_STUB_FILE) {
+    this.channel = channel;
+    this.mode = mode;
+    this.file = file;
+    this.name = mode;
+  }
+
+  async send({ to, body, template }) {
+    const message = {
+      id: `stub-${crypto.randomUUID()}`,
+      channel: this.channel,
+      to,
+      body,
+      ...(template && { template }),
+      at: new Date().toISOString()
+    };
+
+    if (this.mode === 'file') {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, `${JSON.stringify(message)}\n`);
+    } else {
+      console.log(`📱 [${this.channel} stub] to ${to}: ${body}`);
+    }
+    return { providerMessageId: message.id, status: 'delivered' };
+  }
+}
+
+/**
+ * SMS through Twilio's Messages API. Delivery receipts arrive at
+ * /api/messaging/webhooks/twilio when PUBLIC_API_URL is set.
+ */
+class TwilioSmsProvider {
+  constructor({ accountSid, authToken, from, messagingServiceSid, statusCallbackUrl }) {
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.messagingServiceSid = messagingServiceSid;
+    this.statusCallbackUrl = statusCallbackUrl;
+  }
+
+  static mapStatus(status) {
+    if (['failed', 'undelivered', 'canceled'].includes(status)) return 'failed';
+    if (['sent', 'delivered', 'read'].includes(status)) return status;
+    return 'queued';
+  }
+
+  async send({ to, body }) {
+    const params = new URLSearchParams({ To: to, Body: body });
+    if (this.messagingServiceSid) {
+      params.append('MessagingServiceSid', this.messagingServiceSid);
+    } else {
+      params.append('From', this.from);
+    }
+    if (this.statusCallbackUrl) {
+      params.append('StatusCallback', this.statusCallbackUrl);
+    }
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: params
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw providerError(data.message || `Twilio error ${response.status}`, data);
+    }
+    return { providerMessageId: data.sid, status: TwilioSmsProvider.mapStatus(data.status) };
+  }
+
+  /**
+   * Check X-Twilio-Signature: HMAC-SHA1 of the callback URL followed by
+   * the sorted POST parameters, keyed with the auth token
+   */
+  verifySignature(url, params, signature) {
+    const payload = Object.keys(params).sort().reduce((text, key) => text + key + params[key], url);
+    const expected = crypto.createHmac('sha1', this.authToken).update(payload).digest('base64');
+    return safeEqual(expected, signature);
+  }
+}
+
+/**
+ * WhatsApp through Meta's WhatsApp Business Cloud API. Plain text only
+ * reaches patients who messaged the clinic in the last 24 hours, so
+ * clinics should set an approved template for each message type.
+ */
+class WhatsAppCloudProvider {
+  constructor({ token, phoneNumberId, appSecret, verifyToken, apiVersion = 'v19.0' }) {
+    this.name = 'whatsapp-cloud';
+    this.token = token;
+    this.phoneNumberId = phoneNumberId;
+    this.appSecret = appSecret;
+    this.verifyToken = verifyToken;
+    this.apiVersion = apiVersion;
+  }
+
+  static mapStatus(status) {
+    return ['sent', 'delivered', 'read', 'failed'].includes(status) ? status : 'queued';
+  }
+
+  async send({ to, body, template }) {
+    const message = template
+      ? {
+        type: 'template',
+        template: {
+          name: template.name,
+          language: { code: template.language || 'en' },
+          components: [{
+            type: 'body',
+            parameters: template.parameters.map(value => ({ type: 'text', text: String(value ?? '') }))
+          }]
+        }
+      }
+      : { type: 'text', text: { body, preview_url: true } };
+
+    const response = await fetch(`https://graph.facebook.com/${this.apiVersion}/${this.phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ messaging_product: 'whatsapp', to: to.replace(/^\+/, ''), ...message })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw providerError(data.error?.message || `WhatsApp error ${response.status}`, data);
+    }
+    return { providerMessageId: data.messages?.[0]?.id, status: 'queued' };
+  }
+
+  // X-Hub-Signature-256: "sha256=" + HMAC-SHA256 of the raw body with the app secret
+  verifySignature(rawBody, signature) {
+    if (!this.appSecret || !rawBody) return false;
+    const expected = `sha256=${crypto.createHmac('sha256', this.appSecret).update(rawBody).digest('hex')}`;
+    return safeEqual(expected, signature);
+  }
+}
+
+/**
+ * Build the configured provider for each text channel.
+ *   SMS_PROVIDER=twilio|console|file
+ *   WHATSAPP_PROVIDER=cloud|console|file
+ * A channel with no provider is unavailable and its messages are skipped.
+ * @param {Object} [env]
+ * @returns {Object} { sms, whatsapp } - provider or null
+ */
+const createProviders = (env = process.env) => {
+  const publicApiUrl = (env.PUBLIC_API_URL || '').replace(/\/$/, '');
+  const stubFile = env.MESSAGING_STUB_FILE || DEFAULT_STUB_FILE;
+  const providers = { sms: null, whatsapp: null };
+
+  const smsProvider = (env.SMS_PROVIDER || '').toLowerCase();
+  if (smsProvider === 'twilio') {
+    if (env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN && (env.TWILIO_FROM || env.TWILIO_MESSAGING_SERVICE_SID)) {
+      providers.sms = new TwilioSmsProvider({
+        accountSid: env.TWILIO_ACCOUNT_SID,
+        authToken: env.TWILIO_AUTH_TOKEN,
+        from: env.TWILIO_FROM,
+        messagingServiceSid: env.TWILIO_MESSAGING_SERVICE_SID,
+        statusCallbackUrl: publicApiUrl ? `${publicApiUrl}/api/messaging/webhooks/twilio` : null
+      });
+    } else {
+      console.error('❌ Messaging: SMS_PROVIDER=twilio needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM');
+    }
+  } else if (['console', 'file'].includes(smsProvider)) {
+    providers.sms = new StubProvider('sms', smsProvider, stubFile);
+  }
+
+  const whatsappProvider = (env.WHATSAPP_PROVIDER || '').toLowerCase();
+  if (whatsappProvider === 'cloud') {
+    if (env.WHATSAPP_TOKEN && env.WHATSAPP_PHONE_NUMBER_ID) {
+      providers.whatsapp = new WhatsAppCloudProvider({
+        token: env.WHATSAPP_TOKEN,
+        phoneNumberId: env.WHATSAPP_PHONE_NUMBER_ID,
+        appSecret: env.WHATSAPP_APP_SECRET,
+        verifyToken: env.WHATSAPP_VERIFY_TOKEN,
+        apiVersion: env.WHATSAPP_API_VERSION
+      });
+    } else {
+      console.error('❌ Messaging: WHATSAPP_PROVIDER=cloud needs WHATSAPP_TOKEN and WHATSAPP_PHONE_NUMBER_ID');
+    }
+  } else if (['console', 'file'].includes(whatsappProvider)) {
+    providers.whatsapp = new StubProvider('whatsapp', whatsappProvider, stubFile);
+  }
+
+  return providers;
+};
+
+module.exports = {
+  createProviders,
+  StubProvider,
+  TwilioSmsProvider,
+  WhatsAppCloudProvider
+};
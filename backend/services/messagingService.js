@@ -0,0 +1,235 @@
+const MessagingSettings = require('../models/MessagingSettings');
+const MessageLog = require('../models/MessageLog');
+const Clinic = require('../models/Clinic');
+const emailService = require('./emailService');
+const { createProviders } = require('./messagingProviders');
+const Messaging = require('../utils/messaging');
+
+const MAX_PAGE_SIZE = 100;
+
+const CHANNEL_LABELS = { email: 'Email', sms: 'SMS', whatsapp: 'WhatsApp' };
+
+/**
+ * Sends patient and staff messages on the channels each clinic picked for
+ * the message type, and keeps a delivery log per channel.
+ *
+ * Email goes through EmailService's existing layouts, so callers pass the
+ * EmailService call to make; SMS and WhatsApp render the clinic's text
+ * template. When none of a type's channels could be used (no phone on file,
+ * gateway down) the message falls back to email.
+ */
+class MessagingService {
+  constructor() {
+    this.providers = null;
+  }
+
+  // Read lazily so environment variables loaded after require() are seen
+  getProviders() {
+    if (!this.providers) {
+      this.providers = createProviders();
+    }
+    return this.providers;
+  }
+
+  /**
+   * Which channels can send right now, with the provider behind each
+   * @returns {Object} { email, sms, whatsapp } - provider name or null
+   */
+  availableChannels() {
+    const providers = this.getProviders();
+    return {
+      email: process.env.EMAIL_USER && process.env.EMAIL_PASS ? 'smtp' : null,
+      sms: providers.sms?.name || null,
+      whatsapp: providers.whatsapp?.name || null
+    };
+  }
+
+  /**
+   * Send one message on every channel the clinic chose for its type
+   * @param {Object} message
+   * @param {string} message.type - One of Messaging.MESSAGE_TYPES
+   * @param {string} [message.clinicId] - Whose settings apply
+   * @param {Object} message.recipient - { name, email, phone }
+   * @param {Object} message.variables - Template variables
+   * @param {Function} [message.email] - Sends the email version; resolves to EmailService's { success, messageId, error }
+   * @param {Object} [message.related] - { kind, id } of the record the message is about
+   * @returns {Promise<Object>} { delivered, results: [{ channel, status, error, logId }] }
+   */
+  async send(message) {
+    const settings = await MessagingSettings.forClinic(message.clinicId);
+    const channels = settings.channelsFor(message.type);
+
+    const results = [];
+    for (const channel of channels) {
+      results.push(await this.sendOn(channel, message, settings));
+    }
+
+    let delivered = results.some(result => !['failed', 'skipped'].includes(result.status));
+    if (!delivered && channels.length > 0 && !channels.includes('email') && message.email && message.recipient.email) {
+      const fallback = await this.sendOn('email', message, settings);
+      results.push({ ...fallback, fallback: true });
+      delivered = fallback.status !== 'failed';
+    }
+
+    return { delivered, results };
+  }
+
+  async sendOn(channel, message, settings) {
+    const { type, clinicId, recipient, variables = {}, related } = message;
+
+    if (channel === 'email') {
+      if (!recipient.email || !message.email) {
+        return { channel, status: 'skipped', error: 'No email address' };
+      }
+      const log = new MessageLog({
+        clinicId, type, channel, provider: 'smtp', to: recipient.email, recipientName: recipient.name, related
+      });
+      const result = await message.email().catch(error => ({ success: false, error: error.message }));
+      log.providerMessageId = result.messageId;
+      // A queued email is retried from the outbound email queue
+      log.recordStatus(result.success ? (result.queued ? 'queued' : 'sent') : 'failed', result.error);
+      await log.save();
+      return { channel, status: log.status, error: log.error, logId: log._id };
+    }
+
+    const provider = this.getProviders()[channel];
+    if (!provider) {
+      return { channel, status: 'skipped', error: `${CHANNEL_LABELS[channel]} is not configured` };
+    }
+    const to = Messaging.normalizePhone(recipient.phone);
+    if (!to) {
+      return { channel, status: 'skipped', error: 'No valid phone number' };
+    }
+
+    const definition = Messaging.MESSAGE_TYPES[type];
+    const template = settings.templateFor(type, channel);
+    const body = Messaging.render(template.body, variables);
+    const providerTemplate = template.whatsappTemplate
+      ? {
+        name: template.whatsappTemplate,
+        language: template.whatsappLanguage,
+        parameters: definition.variables.map(name => variables[name])
+      }
+      : null;
+
+    const log = new MessageLog({
+      clinicId,
+      type,
+      channel,
+      provider: provider.name,
+      to,
+      recipientName: recipient.name,
+      body: definition.sensitive ? undefined : body,
+      related
+    });
+
+    try {
+      const result = await provider.send({ to, body, template: providerTemplate });
+      log.providerMessageId = result.providerMessageId;
+      log.recordStatus(result.status);
+      console.log(`✅ ${CHANNEL_LABELS[channel]} ${type} sent to ${Messaging.maskPhone(to)} via ${provider.name}`);
+    } catch (error) {
+      console.error(`❌ Failed to send ${channel} ${type}:`, error.message);
+      log.recordStatus('failed', error.message);
+    }
+    await log.save();
+    return { channel, status: log.status, error: log.error, logId: log._id };
+  }
+
+  /**
+   * Send a test message so clinics can check a channel works
+   * @param {string} clinicId
+   * @param {string} channel
+   * @param {string} to - Email address or phone number
+   */
+  async sendTest(clinicId, channel, to) {
+    const clinic = await Clinic.findById(clinicId).select('name');
+    const clinicName = clinic?.name || 'your clinic';
+    const text = `This is a test message from ${clinicName}. If you received it, ${CHANNEL_LABELS[channel]} messages are working.`;
+
+    if (channel === 'email') {
+      const log = new MessageLog({ clinicId, type: 'test', channel, provider: 'smtp', to });
+      const result = await emailService.sendNotificationEmail({
+        email: to,
+        title: `Test message from ${clinicName}`,
+        message: text,
+        clinicId,
+        template: 'test',
+        retry: false
+      });
+      log.providerMessageId = result.messageId;
+      log.recordStatus(result.success ? 'sent' : 'failed', result.error);
+      await log.save();
+      return log;
+    }
+
+    const provider = this.getProviders()[channel];
+    const phone = Messaging.normalizePhone(to);
+    if (!provider || !phone) {
+      const error = new Error(provider ? 'Enter a valid phone number' : `${CHANNEL_LABELS[channel]} is not configured on this server`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const log = new MessageLog({ clinicId, type: 'test', channel, provider: provider.name, to: phone, body: text });
+    try {
+      const result = await provider.send({ to: phone, body: text });
+      log.providerMessageId = result.providerMessageId;
+      log.recordStatus(result.status);
+    } catch (error) {
+      log.recordStatus('failed', error.message);
+    }
+    await log.save();
+    return log;
+  }
+
+  /**
+   * Apply a delivery receipt from a provider webhook
+   * @param {string} provider - Provider name as stored on the log
+   * @param {string} providerMessageId
+   * @param {string} status - queued, sent, delivered, read or failed
+   * @param {string} [detail]
+   * @returns {Promise<Object|null>} The updated log, or null for unknown messages
+   */
+  async recordDeliveryStatus(provider, providerMessageId, status, detail) {
+    if (!providerMessageId) return null;
+    const log = await MessageLog.findOne({ provider, providerMessageId });
+    if (!log) return null;
+    log.recordStatus(status, detail);
+    await log.save();
+    return log;
+  }
+
+  /**
+   * One page of a clinic's delivery log, newest first
+   * @param {string} clinicId
+   * @param {Object} filters - { status, channel, type, page, limit }
+   */
+  async getLogs(clinicId, { status, channel, type, page = 1, limit = 25 } = {}) {
+    const query = { clinicId };
+    if (status) query.status = status;
+    if (channel) query.channel = channel;
+    if (type) query.type = type;
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 25, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const [messages, total] = await Promise.all([
+      MessageLog.find(query)
+        .select('-statusHistory')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      MessageLog.countDocuments(query)
+    ]);
+
+    return {
+      messages,
+      pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    };
+  }
+}
+
+const messagingService = new MessagingService();
+messagingService.CHANNEL_LABELS = CHANNEL_LABELS;
+
+module.exports = messagingService;
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { findStaffUser } = require('../middleware/auth');
+const emailService = require('./emailService');
+const realtimeService = require('./realtimeService');
+const Notifications = require('../utils/notifications');
+const ClinicTime = require('../utils/clinicTime');
+
+const MAX_PAGE_SIZE = 50;
+
+const notificationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (value) => value?._id || value;
+
+// Inbox filters for GET /api/notifications
+const STATUS_FILTERS = {
+  unread: { archivedAt: null, readAt: null },
+  inbox: { archivedAt: null },
+  archived: { archivedAt: { $ne: null } }
+};
+
+/**
+ * Per-user notification inbox.
+ *
+ * Routes and services call the event helpers below after saving a record;
+ * they never throw, so a failed notification cannot fail the request that
+ * triggered it.
+ */
+class NotificationService {
+  getAppUrl(path) {
+    const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:8080').replace(/\/$/, '');
+    return path ? `${baseUrl}${path}` : baseUrl;
+  }
+
+  /**
+   * Deliver a notification to each recipient's inbox, live to open sessions,
+   * and by email to those who opted in to the type
+   * @param {Object} options
+   * @param {string} options.type - One of Notifications.TYPES
+   * @param {Array<{id, role}>} options.recipients
+   * @param {string} [options.actorId] - Whoever caused the event; not notified
+   * @param {string} [options.clinicId]
+   * @param {string} options.title
+   * @param {string} [options.message]
+   * @param {Object} [options.entity] - { kind, id } of the record it is about
+   * @returns {Promise<Array>} Created notifications
+   */
+  async notify({ type, recipients, actorId, clinicId, title, message, entity }) {
+    try {
+      if (!Notifications.isType(type)) {
+        throw new Error(`Unknown notification type: ${type}`);
+      }
+
+      const targets = Notifications.uniqueRecipients(recipients, actorId);
+      if (targets.length === 0) return [];
+
+      const notifications = await Notification.insertMany(targets.map(recipient => ({
+        recipientId: recipient.id,
+        recipientRole: recipient.role,
+        clinicId: idOf(clinicId),
+        type,
+        title,
+        message,
+        entity: entity ? { kind: entity.kind, id: idOf(entity.id) } : undefined,
+        link: entity ? Notifications.linkFor(entity.kind, recipient.role) : undefined
+      })));
+
+      notifications.forEach(notification => realtimeService.notificationCreated(notification));
+
+      await Promise.all(notifications.map(notification => this.sendEmail(notification)
+        .catch(error => console.error(`Error emailing notification ${notification._id}:`, error))));
+      return notifications;
+    } catch (error) {
+      console.error(`Error creating ${type} notification:`, error);
+      return [];
+    }
+  }
+
+  async sendEmail(notification) {
+    const preferences = await NotificationPreference.emailSettingsFor(notification.recipientId);
+    if (!preferences[notification.type]) return;
+
+    const user = await findStaffUser(notification.recipientId);
+    if (!user?.email) return;
+
+    const result = await emailService.sendNotificationEmail({
+      email: user.email,
+      recipientName: user.fullName || user.adminName || user.name,
+      title: notification.title,
+      message: notification.message,
+      url: this.getAppUrl(notification.link),
+      clinicId: notification.clinicId
+    });
+    if (result.success && !result.queued) {
+      await Notification.updateOne({ _id: notification._id }, { $set: { emailedAt: new Date() } });
+    }
+  }
+
+  /**
+   * One page of a user's notifications, newest first
+   * @param {string} userId
+   * @param {Object} options - { status: unread|inbox|archived, page, limit }
+   */
+  async list(userId, { status = 'inbox', page = 1, limit = 20 } = {}) {
+    const filter = { recipientId: userId, ...(STATUS_FILTERS[status] || STATUS_FILTERS.inbox) };
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Notification.countDocuments(filter),
+      this.unreadCount(userId)
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  unreadCount(userId) {
+    return Notification.countDocuments({ recipientId: userId, ...STATUS_FILTERS.unread });
+  }
+
+  async update(userId, notificationId, changes) {
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      throw notificationError('Invalid notification ID', 400);
+    }
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, recipientId: userId },
+      { $set: changes },
+      { new: true }
+    );
+    if (!notification) {
+      throw notificationError('Notification not found', 404);
+    }
+    return notification;
+  }
+
+  markRead(userId, notificationId, read = true) {
+    return this.update(userId, notificationId, { readAt: read ? new Date() : null });
+  }
+
+  // Archiving also marks as read so archived items never count as unread
+  archive(userId, notificationId, archived = true) {
+    return this.update(userId, notificationId, archived
+      ? { archivedAt: new Date(), readAt: new Date() }
+      : { archivedAt: null });
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { recipientId: userId, ...STATUS_FILTERS.unread },
+      { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Email settings for every type, with labels for the settings screen
+   * @param {string} userId
+   * @returns {Promise<Array>} [{ type, label, description, email, emailable }]
+   */
+  async getPreferences(userId) {
+    const email = await NotificationPreference.emailSettingsFor(userId);
+    return Object.entries(Notifications.TYPES).map(([type, definition]) => ({
+      type,
+      label: definition.label,
+      description: definition.description,
+      email: email[type],
+      emailable: definition.emailable !== false
+    }));
+  }
+
+  async updatePreferences(user, changes) {
+    const email = Notifications.sanitizePreferences(changes);
+    const set = Object.fromEntries(Object.entries(email).map(([type, value]) => [`email.${type}`, value]));
+
+    await NotificationPreference.findOneAndUpdate(
+      { userId: user.id },
+      { $set: { userRole: user.role, ...set } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+    return this.getPreferences(user.id);
+  }
+
+  // Event helpers, so every caller words and routes a type the same way
+
+  appointmentRequested(appointment) {
+    const via = appointment.source === 'portal' ? 'the patient portal' : 'online booking';
+    return this.notify({
+      type: 'appointment_requested',
+      clinicId: appointment.clinicId,
+      recipients: [
+        { id: appointment.clinicId, role: 'clinic' },
+        { id: idOf(appointment.doctorId), role: 'doctor' }
+      ],
+      title: 'New appointment request',
+      message: `${appointment.patientName || 'A patient'} requested ${appointment.appointmentType} on ${ClinicTime.formatDay(appointment.date)} at ${appointment.time} via ${via}.`,
+      entity: { kind: 'Appointment', id: appointment._id }
+    });
+  }
+
+  appointmentCancelled(appointment) {
+    return this.notify({
+      type: 'appointment_cancelled',
+      clinicId: appointment.clinicId,
+      recipients: [
+        { id: appointment.clinicId, role: 'clinic' },
+        { id: idOf(appointment.doctorId), role: 'doctor' }
+      ],
+      title: 'Appointment request withdrawn',
+      message: `${appointment.patientName || 'A patient'} withdrew their request for ${ClinicTime.formatDay(appointment.date)} at ${appointment.time}.`,
+      entity: { kind: 'Appointment', id: appointment._id }
+    });
+  }
+
+  referralReceived(referral, actorId) {
+    const from = referral.referringProvider?.name ? `Dr. ${referral.referringProvider.name}` : 'A colleague';
+    return this.notify({
+      type: 'referral_received',
+      clinicId: referral.clinicId,
+      recipients: [{ id: idOf(referral.specialistId), role: 'doctor' }],
+      actorId,
+      title: 'New referral',
+      message: `${from} referred ${referral.patientName} to you${referral.urgency ? ` (${referral.urgency.toLowerCase()} urgency)` : ''}.`,
+      entity: { kind: 'Referral', id: referral._id }
+    });
+  }
+
+  complianceAlertRaised(alert, actorId) {
+    return this.notify({
+      type: 'compliance_alert',
+      clinicId: alert.clinicId,
+      recipients: [
+        { id: alert.clinicId, role: 'clinic' },
+        { id: idOf(alert.assignedTo), role: 'doctor' }
+      ],
+      actorId,
+      title: `${alert.priority} compliance alert: ${alert.title}`,
+      message: `${alert.type} alert for ${alert.patientName}.`,
+      entity: { kind: 'ComplianceAlert', id: alert._id }
+    });
+  }
+
+  prescriptionAllotted(prescription, actorId) {
+    const patientName = prescription.patientId?.fullName;
+    return this.notify({
+      type: 'prescription_allotted',
+      clinicId: prescription.clinicId,
+      recipients: [{ id: idOf(prescription.allottedPharmacist), role: 'pharmacist' }],
+      actorId,
+      title: `Prescription ${prescription.prescriptionNumber} to dispense`,
+      message: patientName ? `Allotted to you for ${patientName}.` : 'Allotted to you for dispensing.',
+      entity: { kind: 'Prescription', id: prescription._id }
+    });
+  }
+}
+
+const notificationService = new NotificationService();
+notificationService.STATUS_FILTERS = STATUS_FILTERS;
+
+module.exports = notificationService;
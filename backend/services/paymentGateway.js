@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const PaymentEvents = require('../utils/paymentEvents');
+
+const gatewayError = (message, statusCode = 502) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Razorpay: orders for checkout and refunds against captured payments.
+ * Amounts are in rupees here and converted to paise for the API. Events
+ * arrive at /api/payments/webhooks/razorpay when RAZORPAY_WEBHOOK_SECRET is set.
+ */
+class RazorpayGateway {
+  constructor({ keyId, keySecret, webhookSecret }) {
+    this.name = 'razorpay';
+    this.client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+    this.webhookSecret = webhookSecret;
+  }
+
+  /**
+   * Refund some or all of a captured payment
+   * @param {string} paymentId - Razorpay payment id (pay_...)
+   * @param {Object} options - { amount (rupees), notes, receipt }
+   * @returns {Promise<Object>} { id, status } - status is pending, processed or failed
+   */
+  async refund(paymentId, { amount, notes, receipt }) {
+    try {
+      const refund = await this.client.payments.refund(paymentId, {
+        amount: Math.round(amount * 100),
+        speed: 'normal',
+        notes,
+        receipt
+      });
+      return { id: refund.id, status: refund.status };
+    } catch (error) {
+      // The SDK rejects with Razorpay's { statusCode, error: { description } }
+      throw gatewayError(error.error?.description || error.message || 'Razorpay refund failed');
+    }
+  }
+
+  async fetchRefund(refundId) {
+    const refund = await this.client.refunds.fetch(refundId);
+    return { id: refund.id, status: refund.status };
+  }
+
+  /**
+   * Every payment attempt made against an order
+   * @param {string} orderId - Razorpay order id (order_...)
+   * @returns {Promise<Array<Object>>} [{ id, status, amount, amountRefunded }]
+   */
+  async fetchOrderPayments(orderId) {
+    const result = await this.client.orders.fetchPayments(orderId);
+    return (result.items || []).map(PaymentEvents.gatewayPayment);
+  }
+
+  verifyWebhook(rawBody, signature) {
+    return PaymentEvents.verifySignature(rawBody, signature, this.webhookSecret);
+  }
+}
+
+/**
+ * Local stand-in for development and tests: refunds go through straight
+ * away, and a payment id containing "fail" is declined so error handling
+ * can be exercised.
+ */
+class MockGateway {
+  constructor() {
+    this.name = 'mock';
+    this.refunds = new Map();
+  }
+
+  async refund(paymentId, { amount }) {
+    if (String(paymentId).includes('fail')) {
+      throw gatewayError('Mock gateway declined the refund');
+    }
+    const refund = { id: `rfnd_mock_${crypto.randomBytes(7).toString('hex')}`, status: 'processed', amount };
+    this.refunds.set(refund.id, refund);
+    console.log(`💸 [mock gateway] refunded ₹${amount} of ${paymentId} (${refund.id})`);
+    return { id: refund.id, status: refund.status };
+  }
+
+  async fetchRefund(refundId) {
+    const refund = this.refunds.get(refundId);
+    return { id: refundId, status: refund ? refund.status : 'failed' };
+  }
+}
+
+/**
+ * Build the configured gateway.
+ *   PAYMENT_GATEWAY=mock uses MockGateway
+ *   otherwise Razorpay, when RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are set
+ * @param {Object} [env]
+ * @returns {Object|null} Gateway, or null when payments are not set up
+ */
+const createGateway = (env = process.env) => {
+  if ((env.PAYMENT_GATEWAY || '').toLowerCase() === 'mock') {
+    console.log('✅ Payments: using the mock gateway');
+    return new MockGateway();
+  }
+
+  const hasRazorpayKeys = env.RAZORPAY_KEY_ID &&
+                          env.RAZORPAY_KEY_SECRET &&
+                          env.RAZORPAY_KEY_ID.startsWith('rzp_');
+  return hasRazorpayKeys
+    ? new RazorpayGateway({
+      keyId: env.RAZORPAY_KEY_ID,
+      keySecret: env.RAZORPAY_KEY_SECRET,
+      webhookSecret: env.RAZORPAY_WEBHOOK_SECRET
+    })
+    : null;
+};
+
+let gateway;
+
+// The configured gateway, created on first use
+const getGateway = () => {
+  if (gateway === undefined) {
+    gateway = createGateway();
+  }
+  return gateway;
+};
+
+module.exports = {
+  getGateway,
+  createGateway,
+  RazorpayGateway,
+  MockGateway
+};
@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Appointment = require('../models/Appointment');
+const PaymentEvent = require('../models/PaymentEvent');
+const PaymentDiscrepancy = require('../models/PaymentDiscrepancy');
+const jobRunner = require('./jobRunner');
+const refundService = require('./refundService');
+const invoiceService = require('./invoiceService');
+const { getGateway } = require('./paymentGateway');
+const PaymentEvents = require('../utils/paymentEvents');
+
+const RECONCILE_JOB = 'reconcile-payments';
+const hourSetting = parseInt(process.env.PAYMENT_RECONCILE_HOUR);
+// Local hour the nightly reconciliation runs at
+const RECONCILE_HOUR = hourSetting >= 0 && hourSetting < 24 ? hourSetting : 2;
+// How far back reconciliation looks for payments that changed
+const LOOKBACK_DAYS = parseInt(process.env.PAYMENT_RECONCILE_DAYS) || 3;
+const PLAN_INTERVAL = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// An event still processing after this long was interrupted and is applied again on redelivery
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Payment statuses a capture can move on from
+const CAPTURABLE_STATUSES = ['pending', 'processing', 'failed'];
+// Appointments a payment confirms; later states are left alone
+const CONFIRMABLE_STATUSES = ['Processing', 'Scheduled'];
+
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Online payments after checkout. A capture reaches us twice, from the
+ * patient's browser and from the Razorpay webhook; whichever arrives first
+ * marks the payment paid, settles its invoice and counts the revenue, and
+ * the other finds nothing left to do. A nightly job compares recent
+ * payments with the gateway, applies captures both paths missed and flags
+ * anything else that disagrees.
+ */
+class PaymentService {
+  /**
+   * Record a captured payment and settle what it paid for
+   * @param {Object} query - Finds the Payment, e.g. { razorpayOrderId }
+   * @param {Object} details - { razorpayPaymentId, razorpaySignature, approvedBy }
+   * @returns {Promise<Object>} { payment, captured } - captured is false when it was already recorded
+   */
+  async markCaptured(query, { razorpayPaymentId, razorpaySignature, approvedBy } = {}) {
+    const update = { status: 'completed', razorpayPaymentId, transactionDate: new Date() };
+    if (razorpaySignature) update.razorpaySignature = razorpaySignature;
+
+    const payment = await Payment.findOneAndUpdate(
+      { ...query, status: { $in: CAPTURABLE_STATUSES } },
+      update,
+      { new: true }
+    );
+    if (!payment) {
+      return { payment: await Payment.findOne(query), captured: false };
+    }
+
+    await this.settle(payment, { approvedBy });
+    console.log(`✅ Payment ${payment._id} captured (${razorpayPaymentId})`);
+    return { payment, captured: true };
+  }
+
+  /**
+   * Record a failed attempt. Only an unpaid payment can fail, so a late or
+   * forged failure never undoes a capture.
+   * @returns {Promise<Object|null>} The failed payment, or null if nothing changed
+   */
+  async markFailed(query, reason) {
+    return Payment.findOneAndUpdate(
+      { ...query, status: { $in: ['pending', 'processing'] } },
+      { status: 'failed', notes: reason },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark the appointment and invoice a completed payment was for as paid.
+   * Safe to repeat: invoiceService leaves a paid invoice and its counted
+   * revenue as they are.
+   * @param {Object} payment - Payment document
+   * @param {Object} [options] - { approvedBy }
+   */
+  async settle(payment, { approvedBy } = {}) {
+    if (payment.appointmentId) {
+      await Appointment.updateOne(
+        { _id: payment.appointmentId, status: { $in: CONFIRMABLE_STATUSES } },
+        { status: 'Confirmed' }
+      );
+    }
+
+    const invoice = await invoiceService.forPayment(payment);
+    if (!invoice) return;
+    await invoiceService.markPaid(invoice, {
+      paymentMethod: 'online',
+      paymentDetails: {
+        razorpayOrderId: payment.razorpayOrderId,
+        razorpayPaymentId: payment.razorpayPaymentId,
+        razorpaySignature: payment.razorpaySignature,
+        paidAt: payment.transactionDate || new Date()
+      },
+      approvedBy
+    });
+  }
+
+  /**
+   * Apply a verified webhook event. Each event id is applied once; one that
+   * failed part way, or was left processing by a crash, is applied again
+   * when Razorpay redelivers it.
+   * @param {string} eventId - X-Razorpay-Event-Id
+   * @param {Object} body - Parsed webhook body
+   * @returns {Promise<Object>} { status, result }
+   */
+  async handleWebhook(eventId, body) {
+    const event = PaymentEvents.parse(body);
+    let record;
+    try {
+      record = await PaymentEvent.create({ eventId, event: event.type || 'unknown', gatewayPaymentId: event.paymentId });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      record = await PaymentEvent.findOneAndUpdate(
+        {
+          eventId,
+          $or: [
+            { status: 'failed' },
+            { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+          ]
+        },
+        { status: 'processing', $inc: { deliveries: 1 } },
+        { new: true }
+      );
+      if (!record) {
+        const earlier = await PaymentEvent.findOneAndUpdate({ eventId }, { $inc: { deliveries: 1 } }, { new: true });
+        return { status: 'duplicate', result: earlier?.result };
+      }
+    }
+
+    try {
+      const result = PaymentEvents.isHandled(event.type) ? await this.applyEvent(event) : null;
+      record.status = result ? 'processed' : 'ignored';
+      record.result = result || 'Nothing to update';
+      record.error = undefined;
+      record.processedAt = new Date();
+      await record.save();
+      return { status: record.status, result: record.result };
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+      throw error;
+    }
+  }
+
+  // What the event changed, or null when it concerns nothing of ours
+  async applyEvent(event) {
+    switch (event.type) {
+      case 'payment.captured': {
+        if (!event.orderId) return null;
+        const { payment, captured } = await this.markCaptured(
+          { razorpayOrderId: event.orderId },
+          { razorpayPaymentId: event.paymentId }
+        );
+        if (!payment) return null;
+        return captured ? `Payment ${payment._id} captured` : `Payment ${payment._id} already ${payment.status}`;
+      }
+      case 'payment.failed': {
+        if (!event.orderId) return null;
+        const payment = await this.markFailed(
+          { razorpayOrderId: event.orderId },
+          event.error || 'Payment failed at the gateway'
+        );
+        return payment ? `Payment ${payment._id} failed` : null;
+      }
+      case 'refund.processed':
+      case 'refund.failed':
+        return this.applyRefund(event);
+      default:
+        return null;
+    }
+  }
+
+  async applyRefund(event) {
+    const { id, amount, localId } = event.refund || {};
+    if (!id) return null;
+
+    const matches = [{ gatewayRefundId: id }];
+    if (localId && mongoose.isValidObjectId(localId)) matches.push({ _id: localId });
+    let refund = await Refund.findOne({ $or: matches });
+
+    if (!refund) {
+      if (event.type !== 'refund.processed') return null;
+      // Refunded from the Razorpay dashboard; record it so our totals match the gateway's
+      const payment = await Payment.findOne({ razorpayPaymentId: event.paymentId });
+      if (!payment) return null;
+      refund = await Refund.create({
+        paymentId: payment._id,
+        clinicId: payment.clinicId,
+        patientId: payment.patientId,
+        appointmentId: payment.appointmentId,
+        invoiceId: payment.invoiceId,
+        amount,
+        currency: payment.currency,
+        reason: 'Refunded from the Razorpay dashboard',
+        method: 'gateway',
+        gateway: 'razorpay',
+        gatewayRefundId: id
+      });
+      // The money has already gone; payments not yet counted pick it up from the Refund records
+      await Payment.updateOne(
+        { _id: payment._id, refundReserved: { $exists: true } },
+        { $inc: { refundReserved: amount } }
+      );
+    } else if (!refund.gatewayRefundId) {
+      // The event beat the refund request's own response
+      refund.gatewayRefundId = id;
+      await refund.save();
+    }
+
+    if (event.type === 'refund.processed') {
+      const processed = await refundService.complete(refund);
+      return `Refund ${processed.receiptNumber} processed`;
+    }
+    const failed = await refundService.fail(refund, 'The gateway could not complete the refund');
+    return `Refund ${failed.receiptNumber} ${failed.status}`;
+  }
+
+  /**
+   * Compare recent online payments with the gateway. Captures we missed are
+   * applied; every other difference is kept as an open discrepancy until a
+   * later run finds it matching again or the clinic resolves it.
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async reconcile() {
+    const gateway = getGateway();
+    if (!gateway || !gateway.fetchOrderPayments) {
+      return { skipped: 'No gateway to reconcile against' };
+    }
+
+    const since = new Date(Date.now() - LOOKBACK_DAYS * DAY_MS);
+    const payments = await Payment.find({
+      razorpayOrderId: { $exists: true, $ne: null },
+      updatedAt: { $gte: since }
+    });
+    const summary = { checked: 0, captured: 0, discrepancies: 0, refundsUpdated: 0, errors: 0 };
+
+    for (const payment of payments) {
+      try {
+        const gatewayPayments = await gateway.fetchOrderPayments(payment.razorpayOrderId);
+        const mismatches = PaymentEvents.compare(payment, gatewayPayments);
+        const missed = mismatches.find(mismatch => mismatch.type === 'missed_capture');
+
+        if (missed) {
+          const { captured } = await this.markCaptured(
+            { _id: payment._id },
+            { razorpayPaymentId: missed.gatewayPaymentId }
+          );
+          if (captured) summary.captured++;
+        } else if (payment.status === 'completed') {
+          // Catches an invoice left unsettled by an interrupted capture
+          await this.settle(payment);
+        }
+
+        summary.discrepancies += await this.recordDiscrepancies(payment, mismatches, missed);
+        summary.checked++;
+      } catch (error) {
+        summary.errors++;
+        console.error(`Error reconciling payment ${payment._id}:`, error.message);
+      }
+    }
+
+    const pendingRefunds = await Refund.find({
+      method: 'gateway',
+      status: 'pending',
+      gatewayRefundId: { $exists: true, $ne: null }
+    });
+    for (const refund of pendingRefunds) {
+      try {
+        const updated = await refundService.refresh(refund._id, refund.clinicId);
+        if (updated.status !== 'pending') summary.refundsUpdated++;
+      } catch (error) {
+        summary.errors++;
+        console.error(`Error refreshing refund ${refund.receiptNumber}:`, error.message);
+      }
+    }
+
+    // Retry later if the gateway couldn't be reached at all
+    if (payments.length && summary.errors >= payments.length) {
+      throw paymentError('Could not reach the gateway for any payment', 502);
+    }
+    console.log(`🔎 Payment reconciliation: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  /**
+   * Save what reconciliation found for a payment and resolve earlier
+   * discrepancies that no longer apply
+   * @returns {Promise<number>} Discrepancies still open for the payment
+   */
+  async recordDiscrepancies(payment, mismatches, fixed = null) {
+    const now = new Date();
+    let open = 0;
+
+    for (const mismatch of mismatches) {
+      const resolved = mismatch === fixed;
+      await PaymentDiscrepancy.findOneAndUpdate(
+        { paymentId: payment._id, type: mismatch.type, status: 'open' },
+        {
+          $set: {
+            clinicId: payment.clinicId,
+            expected: mismatch.expected,
+            actual: mismatch.actual,
+            razorpayOrderId: payment.razorpayOrderId,
+            gatewayPaymentId: mismatch.gatewayPaymentId,
+            lastSeenAt: now,
+            ...(resolved && { status: 'resolved', resolvedAt: now, resolution: 'Marked paid from the gateway record' })
+          },
+          $setOnInsert: { firstSeenAt: now }
+        },
+        { upsert: true }
+      );
+      if (!resolved) open++;
+    }
+
+    await PaymentDiscrepancy.updateMany(
+      { paymentId: payment._id, status: 'open', type: { $nin: mismatches.map(mismatch => mismatch.type) } },
+      { status: 'resolved', resolvedAt: now, resolution: 'Matched the gateway on a later check' }
+    );
+    return open;
+  }
+
+  /**
+   * A clinic's reconciliation findings, newest first
+   * @param {string} clinicId
+   * @param {Object} filters - { status }
+   */
+  async getDiscrepancies(clinicId, { status = 'open' } = {}) {
+    const query = { clinicId };
+    if (status !== 'all') query.status = status;
+    return PaymentDiscrepancy.find(query)
+      .populate('paymentId', 'amount refundAmount status paymentMethod razorpayPaymentId appointmentId invoiceId patientId')
+      .sort({ lastSeenAt: -1 })
+      .limit(200);
+  }
+
+  /**
+   * Close a discrepancy the clinic has looked into
+   * @param {string} discrepancyId
+   * @param {string} clinicId
+   * @param {string} resolution - What was done about it
+   */
+  async resolveDiscrepancy(discrepancyId, clinicId, resolution) {
+    const discrepancy = await PaymentDiscrepancy.findOneAndUpdate(
+      { _id: discrepancyId, clinicId, status: 'open' },
+      { status: 'resolved', resolvedAt: new Date(), resolution },
+      { new: true }
+    );
+    if (!discrepancy) {
+      throw paymentError('Open discrepancy not found', 404);
+    }
+    return discrepancy;
+  }
+
+  // Queue tonight's run; the key makes repeated planning a no-op
+  async planReconciliation() {
+    const runAt = PaymentEvents.nextRunAt(new Date(), RECONCILE_HOUR);
+    await jobRunner.schedule(RECONCILE_JOB, runAt, {}, {
+      key: `${RECONCILE_JOB}:${runAt.toISOString()}`,
+      maxAttempts: 3
+    });
+  }
+
+  register() {
+    jobRunner.define(RECONCILE_JOB, () => this.reconcile());
+    jobRunner.every('plan-payment-reconciliation', PLAN_INTERVAL, () => this.planReconciliation());
+  }
+}
+
+const paymentService = new PaymentService();
+paymentService.RECONCILE_JOB = RECONCILE_JOB;
+paymentService.RECONCILE_HOUR = RECONCILE_HOUR;
+
+module.exports = paymentService;
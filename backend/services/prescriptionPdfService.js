@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Prescription = require('../models/Prescription');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Clinic = require('../models/Clinic');
+
+const PAGE_MARGIN = 50;
+const COLORS = {
+  primary: '#1e3a8a',
+  text: '#111827',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  danger: '#dc2626'
+};
+
+class PrescriptionPdfService {
+  /**
+   * Public URL a printed QR code points to
+   * @param {Object} prescription - Prescription with prescriptionNumber and verificationCode
+   * @returns {string} Verification URL
+   */
+  getVerificationUrl(prescription) {
+    const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:8080').replace(/\/$/, '');
+    return `${baseUrl}/verify-prescription/${encodeURIComponent(prescription.prescriptionNumber)}?code=${prescription.verificationCode}`;
+  }
+
+  formatDate(date) {
+    if (!date) return '';
+    return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+
+  /**
+   * Load the patient, doctor and clinic for a prescription and render it
+   * @param {Object} prescription - Prescription selected with +verificationCode
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  async generateForPrescription(prescription) {
+    // Prescriptions created before verification codes existed get one on first print.
+    // Mongoose fills the schema default on load, so check whether one was actually stored.
+    if (!prescription.verificationCode || prescription.$isDefault('verificationCode')) {
+      const code = crypto.randomBytes(8).toString('hex');
+      const result = await Prescription.updateOne(
+        { _id: prescription._id, verificationCode: { $exists: false } },
+        { $set: { verificationCode: code } }
+      );
+      // Another print may have stored one first; every copy must carry the same code
+      const stored = result.modifiedCount > 0
+        ? code
+        : (await Prescription.findById(prescription._id).select('+verificationCode').lean())?.verificationCode;
+      prescription.verificationCode = stored || code;
+    }
+
+    const [patient, doctor, clinic] = await Promise.all([
+      Patient.findById(prescription.patientId).select('fullName age gender uhid medicalHistory'),
+      Doctor.findById(prescription.doctorId).select('fullName qualification specialty uhid'),
+      Clinic.findById(prescription.clinicId).select('name address city state zipCode phone email website registrationNumber')
+    ]);
+
+    return this.generate({ prescription, patient, doctor, clinic });
+  }
+
+  /**
+   * Render a prescription as a PDF
+   * @param {Object} options
+   * @param {Object} options.prescription - Prescription document
+   * @param {Object} options.patient - Patient document
+   * @param {Object} options.doctor - Doctor document
+   * @param {Object} options.clinic - Clinic document (letterhead)
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  async generate({ prescription, patient, doctor, clinic }) {
+    const verificationUrl = this.getVerificationUrl(prescription);
+    const qrImage = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 160 });
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        // Kept in memory so the cancelled stamp can be drawn on every page
+        bufferPages: true,
+        info: {
+          Title: `Prescription ${prescription.prescriptionNumber}`,
+          Author: clinic?.name || 'Clinic'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      this.renderLetterhead(doc, clinic);
+      this.renderHeader(doc, prescription, patient, doctor);
+      this.renderMedications(doc, prescription);
+      this.renderFollowUp(doc, prescription);
+      this.renderFooter(doc, prescription, doctor, qrImage, verificationUrl);
+
+      if (prescription.status === 'Cancelled') {
+        this.renderCancelledStamp(doc);
+      }
+
+      doc.end();
+    });
+  }
+
+  renderLetterhead(doc, clinic) {
+    const width = doc.page.width - PAGE_MARGIN * 2;
+
+    doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(18)
+      .text(clinic?.name || 'Clinic', PAGE_MARGIN, PAGE_MARGIN, { width, align: 'center' });
+
+    if (clinic) {
+      const address = [clinic.address, clinic.city, clinic.state, clinic.zipCode].filter(Boolean).join(', ');
+      const contact = [clinic.phone && `Ph: ${clinic.phone}`, clinic.email, clinic.website].filter(Boolean).join('  |  ');
+
+      doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9);
+      if (address) doc.text(address, { width, align: 'center' });
+      if (contact) doc.text(contact, { width, align: 'center' });
+      if (clinic.registrationNumber) doc.text(`Reg. No: ${clinic.registrationNumber}`, { width, align: 'center' });
+    }
+
+    doc.moveDown(0.5);
+    this.rule(doc);
+  }
+
+  renderHeader(doc, prescription, patient, doctor) {
+    const top = doc.y + 8;
+    const columnWidth = (doc.page.width - PAGE_MARGIN * 2) / 2;
+
+    // Doctor on the left
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(12)
+      .text(`Dr. ${doctor?.fullName || ''}`, PAGE_MARGIN, top, { width: columnWidth });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+    if (doctor?.qualification) doc.text(doctor.qualification, { width: columnWidth });
+    if (doctor?.specialty) doc.text(doctor.specialty, { width: columnWidth });
+    if (doctor?.uhid) doc.text(`UHID: ${doctor.uhid}`, { width: columnWidth });
+    const leftBottom = doc.y;
+
+    // Prescription reference on the right
+    const right = PAGE_MARGIN + columnWidth;
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(10)
+      .text(`Rx No: ${prescription.prescriptionNumber}`, right, top, { width: columnWidth, align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(`Date: ${this.formatDate(prescription.date || prescription.createdAt)}`, { width: columnWidth, align: 'right' });
+
+    doc.y = Math.max(leftBottom, doc.y) + 10;
+    this.rule(doc);
+
+    // Patient details
+    const patientLine = [
+      patient?.fullName,
+      patient?.age ? `${patient.age} yrs` : null,
+      patient?.gender,
+      patient?.uhid ? `UHID: ${patient.uhid}` : null
+    ].filter(Boolean).join('  |  ');
+
+    doc.moveDown(0.5);
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(10).text('Patient: ', PAGE_MARGIN, doc.y, { continued: true })
+      .font('Helvetica').text(patientLine);
+
+    const allergies = patient?.medicalHistory?.allergies || [];
+    if (allergies.length > 0) {
+      doc.fillColor(COLORS.danger).font('Helvetica-Bold').text('Allergies: ', { continued: true })
+        .font('Helvetica').text(allergies.join(', '));
+    }
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').text('Diagnosis: ', { continued: true })
+      .font('Helvetica').text(prescription.diagnosis || '');
+    doc.moveDown(0.8);
+  }
+
+  renderMedications(doc, prescription) {
+    doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(20).text('Rx', PAGE_MARGIN);
+    doc.moveDown(0.2);
+
+    const columns = [
+      { label: '#', width: 20 },
+      { label: 'Medication', width: 150 },
+      { label: 'Dose', width: 65 },
+      { label: 'Route', width: 55 },
+      { label: 'Frequency', width: 95 },
+      { label: 'Duration', width: 60 },
+      { label: 'Qty', width: 50 }
+    ];
+
+    const drawRow = (values, bold) => {
+      const top = doc.y;
+      let x = PAGE_MARGIN;
+      let bottom = top;
+
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(COLORS.text);
+      values.forEach((value, index) => {
+        doc.text(value, x, top, { width: columns[index].width - 4 });
+        bottom = Math.max(bottom, doc.y);
+        x += columns[index].width;
+      });
+      doc.y = bottom + 4;
+    };
+
+    drawRow(columns.map(column => column.label), true);
+    this.rule(doc);
+    doc.moveDown(0.3);
+
+    (prescription.medications || []).forEach((medication, index) => {
+      if (doc.y > doc.page.height - 220) {
+        doc.addPage();
+      }
+
+      drawRow([
+        String(index + 1),
+        medication.name,
+        medication.dosage || '',
+        medication.route ? medication.route.charAt(0).toUpperCase() + medication.route.slice(1) : '',
+        medication.frequency || '',
+        medication.duration || '',
+        medication.totalQuantity ? String(medication.totalQuantity) : ''
+      ]);
+
+      if (medication.instructions) {
+        doc.font('Helvetica-Oblique').fontSize(8).fillColor(COLORS.muted)
+          .text(medication.instructions, PAGE_MARGIN + columns[0].width, doc.y - 2, {
+            width: doc.page.width - PAGE_MARGIN * 2 - columns[0].width
+          });
+        doc.moveDown(0.4);
+      }
+    });
+
+    doc.moveDown(0.5);
+    this.rule(doc);
+  }
+
+  renderFollowUp(doc, prescription) {
+    doc.moveDown(0.5);
+    doc.fillColor(COLORS.text).fontSize(10);
+
+    if (prescription.notes) {
+      doc.font('Helvetica-Bold').text('Notes: ', PAGE_MARGIN, doc.y, { continued: true })
+        .font('Helvetica').text(prescription.notes);
+    }
+
+    if (prescription.followUpDate || prescription.followUpInstructions) {
+      doc.font('Helvetica-Bold').text('Follow-up: ', PAGE_MARGIN, doc.y, { continued: true })
+        .font('Helvetica').text([
+          prescription.followUpDate ? this.formatDate(prescription.followUpDate) : null,
+          prescription.followUpInstructions
+        ].filter(Boolean).join(' - '));
+    }
+  }
+
+  renderFooter(doc, prescription, doctor, qrImage, verificationUrl) {
+    const qrSize = 80;
+    const blockHeight = qrSize + 30;
+    const bottom = doc.page.height - PAGE_MARGIN;
+
+    // Keep the QR code and signature together at the foot of the last page
+    if (doc.y + 20 + blockHeight > bottom) {
+      doc.addPage();
+    }
+
+    const footerTop = bottom - blockHeight;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+
+    doc.image(qrImage, PAGE_MARGIN, footerTop, { width: qrSize, height: qrSize });
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+      .text('Scan to verify this prescription', PAGE_MARGIN, footerTop + qrSize + 2, { width: 160 })
+      .text(verificationUrl, { width: 260, link: verificationUrl });
+
+    // Signature block on the right
+    const signatureX = PAGE_MARGIN + width - 180;
+    doc.moveTo(signatureX, footerTop + 50).lineTo(signatureX + 180, footerTop + 50)
+      .strokeColor(COLORS.rule).stroke();
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.text)
+      .text(`Dr. ${doctor?.fullName || ''}`, signatureX, footerTop + 55, { width: 180, align: 'center' });
+    if (doctor?.qualification) {
+      doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text(doctor.qualification, signatureX, doc.y, { width: 180, align: 'center' });
+    }
+  }
+
+  renderCancelledStamp(doc) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      doc.save();
+      doc.rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] });
+      doc.font('Helvetica-Bold').fontSize(72).fillColor(COLORS.danger).opacity(0.2)
+        .text('CANCELLED', 0, doc.page.height / 2 - 40, { width: doc.page.width, align: 'center' });
+      doc.restore();
+    }
+  }
+
+  rule(doc) {
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+      .strokeColor(COLORS.rule).lineWidth(1).stroke();
+  }
+}
+
+module.exports = new PrescriptionPdfService();
@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const QueueToken = require('../models/QueueToken');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const Clinic = require('../models/Clinic');
+const realtimeService = require('./realtimeService');
+const Queue = require('../utils/queue');
+const ClinicTime = require('../utils/clinicTime');
+
+// Concurrent issues for one doctor can pick the same number; retry this often
+const ISSUE_ATTEMPTS = 5;
+const REPORT_MAX_DAYS = 92;
+
+const queueError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+class QueueService {
+  async clinicToday(clinicId) {
+    const timeZone = await Clinic.getTimeZone(clinicId);
+    const now = ClinicTime.now(timeZone);
+    return { timeZone, day: now.day, time: now.time };
+  }
+
+  async findDoctor(clinicId, doctorId) {
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+      throw queueError('Doctor not found', 404);
+    }
+    const doctor = await Doctor.findOne({ _id: doctorId, clinicId }).select('fullName specialty isActive').lean();
+    if (!doctor) {
+      throw queueError('Doctor not found', 404);
+    }
+    return doctor;
+  }
+
+  async findToken(clinicId, tokenId) {
+    if (!mongoose.Types.ObjectId.isValid(tokenId)) {
+      throw queueError('Token not found', 404);
+    }
+    const token = await QueueToken.findOne({ _id: tokenId, clinicId });
+    if (!token) {
+      throw queueError('Token not found', 404);
+    }
+    return token;
+  }
+
+  async createToken(fields) {
+    for (let attempt = 0; attempt < ISSUE_ATTEMPTS; attempt++) {
+      const last = await QueueToken.findOne({ doctorId: fields.doctorId, date: fields.date })
+        .sort({ tokenNumber: -1 })
+        .select('tokenNumber')
+        .lean();
+      try {
+        return await QueueToken.create({ ...fields, tokenNumber: (last?.tokenNumber || 0) + 1 });
+      } catch (error) {
+        if (!isDuplicateKey(error)) throw error;
+      }
+    }
+    throw queueError('The queue is busy, please try again', 409);
+  }
+
+  /**
+   * Give a patient the next token in a doctor's queue for today. Either a
+   * walk-in (name, optionally a registered patient) or a check-in for one of
+   * today's appointments with that doctor.
+   * @param {string} clinicId
+   * @param {Object} data - { doctorId, patientId?, patientName?, phone?, appointmentId?, priority?, notes? }
+   * @param {string} issuedBy - User ID of the staff member
+   * @returns {Promise<Object>} QueueToken
+   */
+  async issue(clinicId, data, issuedBy) {
+    await this.findDoctor(clinicId, data.doctorId);
+    const { day } = await this.clinicToday(clinicId);
+    const date = ClinicTime.dayStart(day);
+
+    const fields = {
+      clinicId,
+      doctorId: data.doctorId,
+      date,
+      priority: data.priority || 'normal',
+      notes: data.notes,
+      issuedBy
+    };
+
+    if (data.appointmentId) {
+      const appointment = await Appointment.findOne({ _id: data.appointmentId, clinicId })
+        .populate('patientId', 'fullName phone')
+        .lean();
+      if (!appointment) {
+        throw queueError('Appointment not found', 404);
+      }
+      if (String(appointment.doctorId) !== String(data.doctorId)) {
+        throw queueError('The appointment is with a different doctor', 400);
+      }
+      if (ClinicTime.dayKey(appointment.date) !== day) {
+        throw queueError('Only today\'s appointments can be checked in', 400);
+      }
+      if (['Cancelled', 'Completed', 'No Show'].includes(appointment.status)) {
+        throw queueError(`The appointment is ${appointment.status.toLowerCase()}`, 400);
+      }
+      const existing = await QueueToken.findOne({
+        appointmentId: appointment._id,
+        status: { $nin: ['cancelled'] }
+      }).lean();
+      if (existing) {
+        throw queueError(`Already checked in with token ${existing.tokenNumber}`, 409);
+      }
+
+      Object.assign(fields, {
+        appointmentId: appointment._id,
+        appointmentTime: appointment.time,
+        source: 'appointment',
+        patientId: appointment.patientId?._id,
+        patientName: appointment.patientId?.fullName || appointment.patientName,
+        phone: appointment.patientId?.phone || appointment.bookingContact?.phone
+      });
+    } else if (data.patientId) {
+      const patient = await Patient.findOne({ _id: data.patientId, clinicId }).select('fullName phone').lean();
+      if (!patient) {
+        throw queueError('Patient not found', 404);
+      }
+      Object.assign(fields, { patientId: patient._id, patientName: patient.fullName, phone: data.phone || patient.phone });
+    } else {
+      Object.assign(fields, { patientName: data.patientName, phone: data.phone });
+    }
+
+    if (!fields.patientName) {
+      throw queueError('Patient name is required', 400);
+    }
+
+    const token = await this.createToken(fields);
+    realtimeService.queueChanged(token, 'issued');
+    return token;
+  }
+
+  /**
+   * Call the next patient for a doctor. Whoever was called before but never
+   * went in is marked skipped; reception can put them back in line.
+   * @param {string} clinicId
+   * @param {string} doctorId
+   * @returns {Promise<Object|null>} The called token, or null when nobody is waiting
+   */
+  async callNext(clinicId, doctorId) {
+    await this.findDoctor(clinicId, doctorId);
+    const { day, time } = await this.clinicToday(clinicId);
+    const date = ClinicTime.dayStart(day);
+
+    const inConsultation = await QueueToken.exists({ doctorId, date, status: 'in_consultation' });
+    if (inConsultation) {
+      throw queueError('Finish the current consultation before calling the next patient', 409);
+    }
+
+    await QueueToken.updateMany({ doctorId, date, status: 'called' }, { $set: { status: 'skipped', skippedAt: new Date() } });
+
+    const tokens = await QueueToken.find({ doctorId, date, status: 'waiting' }).lean();
+    const next = Queue.next(tokens, time);
+    if (!next) return null;
+
+    // Guarded on status so two screens pressing "next" can't both call the same token
+    const called = await QueueToken.findOneAndUpdate(
+      { _id: next._id, status: 'waiting' },
+      { $set: { status: 'called', calledAt: new Date() }, $inc: { callCount: 1 } },
+      { new: true }
+    );
+    if (!called) {
+      throw queueError('The queue changed, please try again', 409);
+    }
+    realtimeService.queueChanged(called, 'called');
+    return called;
+  }
+
+  /**
+   * Move a token to a new status, stamping the time it happened
+   * @param {string} clinicId
+   * @param {string} tokenId
+   * @param {string} status
+   * @returns {Promise<Object>} QueueToken
+   */
+  async transition(clinicId, tokenId, status) {
+    const token = await this.findToken(clinicId, tokenId);
+    if (!Queue.canTransition(token.status, status)) {
+      throw queueError(`Cannot move a ${token.status.replace('_', ' ')} token to ${status.replace('_', ' ')}`, 400);
+    }
+
+    const now = new Date();
+    if (status === 'in_consultation') {
+      const busy = await QueueToken.exists({
+        doctorId: token.doctorId,
+        date: token.date,
+        status: 'in_consultation',
+        _id: { $ne: token._id }
+      });
+      if (busy) {
+        throw queueError('The doctor already has a patient in consultation', 409);
+      }
+      token.consultationStartedAt = now;
+      if (!token.calledAt) {
+        token.calledAt = now;
+        token.callCount += 1;
+      }
+    } else if (status === 'done') {
+      token.completedAt = now;
+    } else if (status === 'skipped') {
+      token.skippedAt = now;
+    }
+    token.status = status;
+    await token.save();
+
+    if (status === 'done' && token.appointmentId) {
+      const appointment = await Appointment.findOneAndUpdate(
+        { _id: token.appointmentId, status: { $in: ['Processing', 'Scheduled', 'Confirmed'] } },
+        { $set: { status: 'Completed', updatedAt: now } }
+      );
+      if (appointment) {
+        realtimeService.appointmentStatusChanged({ ...appointment.toObject(), status: 'Completed' }, appointment.status);
+      }
+    }
+
+    realtimeService.queueChanged(token, status);
+    return token;
+  }
+
+  start(clinicId, tokenId) {
+    return this.transition(clinicId, tokenId, 'in_consultation');
+  }
+
+  complete(clinicId, tokenId) {
+    return this.transition(clinicId, tokenId, 'done');
+  }
+
+  skip(clinicId, tokenId) {
+    return this.transition(clinicId, tokenId, 'skipped');
+  }
+
+  // Put a skipped or called token back in line, keeping its number
+  requeue(clinicId, tokenId) {
+    return this.transition(clinicId, tokenId, 'waiting');
+  }
+
+  cancel(clinicId, tokenId) {
+    return this.transition(clinicId, tokenId, 'cancelled');
+  }
+
+  /**
+   * Today's queues for the reception screen, one per doctor with tokens
+   * @param {string} clinicId
+   * @param {Object} [options] - { doctorId }
+   * @returns {Promise<Object>} { date, timeZone, doctors: [{ doctor, current, waiting, tokens, summary }] }
+   */
+  async getBoard(clinicId, options = {}) {
+    const { timeZone, day, time } = await this.clinicToday(clinicId);
+    const query = { clinicId, date: ClinicTime.dayStart(day) };
+    if (options.doctorId) query.doctorId = options.doctorId;
+
+    const [tokens, doctors] = await Promise.all([
+      QueueToken.find(query).sort({ tokenNumber: 1 }).lean(),
+      Doctor.find({ clinicId, ...(options.doctorId ? { _id: options.doctorId } : { isActive: { $ne: false } }) })
+        .select('fullName specialty')
+        .sort({ fullName: 1 })
+        .lean()
+    ]);
+
+    const queues = doctors.map(doctor => {
+      const own = tokens.filter(token => String(token.doctorId) === String(doctor._id));
+      return {
+        doctor,
+        current: Queue.current(own),
+        waiting: Queue.waiting(own, time).map(token => ({
+          ...token,
+          estimatedWaitMinutes: Queue.estimatedWait(own, token, time)
+        })),
+        tokens: own,
+        summary: Queue.summarize(own)
+      };
+    });
+
+    return { date: day, timeZone, doctors: queues };
+  }
+
+  /**
+   * What the waiting-room screen shows: token numbers only, never patient details
+   * @param {string} clinicId
+   * @returns {Promise<Object>} { date, doctors: [{ doctorId, doctorName, nowServing, status, upNext }] }
+   */
+  async getDisplay(clinicId) {
+    const board = await this.getBoard(clinicId);
+    return {
+      date: board.date,
+      doctors: board.doctors
+        .filter(queue => queue.tokens.length > 0)
+        .map(queue => ({
+          doctorId: queue.doctor._id,
+          doctorName: queue.doctor.fullName,
+          nowServing: queue.current && {
+            tokenNumber: queue.current.tokenNumber,
+            status: queue.current.status
+          },
+          upNext: queue.waiting.slice(0, 5).map(token => ({
+            tokenNumber: token.tokenNumber,
+            estimatedWaitMinutes: token.estimatedWaitMinutes
+          })),
+          waitingCount: queue.waiting.length
+        }))
+    };
+  }
+
+  /**
+   * Wait and consultation times over a date range, per doctor and per day
+   * @param {string} clinicId
+   * @param {Object} options - { from, to } as "YYYY-MM-DD", { doctorId? }
+   * @returns {Promise<Object>} { from, to, totals, doctors: [{ doctorId, doctorName, summary, days }] }
+   */
+  async getReport(clinicId, { from, to, doctorId } = {}) {
+    const { day } = await this.clinicToday(clinicId);
+    const toDay = to || day;
+    const fromDay = from || ClinicTime.dayKey(ClinicTime.addDays(toDay, -6));
+    if (fromDay > toDay) {
+      throw queueError('The start date must be before the end date', 400);
+    }
+    if (ClinicTime.dayKey(ClinicTime.addDays(fromDay, REPORT_MAX_DAYS)) < toDay) {
+      throw queueError(`Reports can cover at most ${REPORT_MAX_DAYS} days`, 400);
+    }
+
+    const query = {
+      clinicId,
+      date: { $gte: ClinicTime.dayStart(fromDay), $lte: ClinicTime.dayStart(toDay) }
+    };
+    if (doctorId) query.doctorId = doctorId;
+
+    const tokens = await QueueToken.find(query)
+      .select('doctorId date status source issuedAt consultationStartedAt completedAt')
+      .populate('doctorId', 'fullName')
+      .lean();
+
+    const byDoctor = new Map();
+    tokens.forEach(token => {
+      const key = String(token.doctorId?._id || token.doctorId);
+      if (!byDoctor.has(key)) {
+        byDoctor.set(key, { doctorId: key, doctorName: token.doctorId?.fullName || 'Unknown doctor', tokens: [] });
+      }
+      byDoctor.get(key).tokens.push(token);
+    });
+
+    const doctors = [...byDoctor.values()].map(entry => {
+      const days = new Map();
+      entry.tokens.forEach(token => {
+        const key = ClinicTime.dayKey(token.date);
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(token);
+      });
+      return {
+        doctorId: entry.doctorId,
+        doctorName: entry.doctorName,
+        summary: Queue.summarize(entry.tokens),
+        walkIns: entry.tokens.filter(token => token.source === 'walk_in').length,
+        days: [...days.entries()]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([date, dayTokens]) => ({ date, ...Queue.summarize(dayTokens) }))
+      };
+    }).sort((a, b) => a.doctorName.localeCompare(b.doctorName));
+
+    return { from: fromDay, to: toDay, totals: Queue.summarize(tokens), doctors };
+  }
+}
+
+module.exports = new QueueService();
@@ -0,0 +1,179 @@
+const { Server } = require('socket.io');
+const tokenManager = require('../utils/tokenManager');
+const Clinic = require('../models/Clinic');
+const { findStaffUser, toRequestUser } = require('../middleware/auth');
+
+// Event names shared with the frontend (src/services/realtime.js)
+const EVENTS = {
+  APPOINTMENT_CREATED: 'appointment:created',
+  APPOINTMENT_STATUS: 'appointment:status',
+  APPOINTMENT_DELETED: 'appointment:deleted',
+  PRESCRIPTION_ALLOTTED: 'prescription:allotted',
+  PRESCRIPTION_DISPENSED: 'prescription:dispensed',
+  COMPLIANCE_ALERT_CREATED: 'compliance-alert:created',
+  LAB_REPORT_UPLOADED: 'lab-report:uploaded',
+  QUEUE_CHANGED: 'queue:changed',
+  NOTIFICATION_CREATED: 'notification:new'
+};
+
+const clinicRoom = (clinicId) => `clinic:${clinicId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Clinic-scoped event channel for staff dashboards.
+ *
+ * Every signed-in staff member joins their clinic's room. Events carry IDs
+ * and statuses rather than patient details: everyone in the clinic receives
+ * them, so screens patch records they already hold or refetch through the
+ * API, which applies the usual per-role access rules.
+ */
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Start accepting socket connections on the API's HTTP server
+   * @param {http.Server} server
+   * @param {Object} options - { cors } as used for the REST API
+   */
+  attach(server, { cors } = {}) {
+    this.io = new Server(server, { cors });
+    this.io.use((socket, next) => this.authenticate(socket, next));
+    this.io.on('connection', (socket) => {
+      const { user } = socket.data;
+      socket.join(clinicRoom(user.clinicId));
+      socket.join(userRoom(user.id));
+    });
+    return this.io;
+  }
+
+  // Same checks as the auth middleware, with the access token sent in the handshake
+  async authenticate(socket, next) {
+    try {
+      const token = socket.handshake.auth?.token;
+      if (!token) {
+        return next(new Error('Access token required'));
+      }
+
+      const payload = tokenManager.verifyAccessToken(token);
+      if (payload.role === 'patient') {
+        return next(new Error('Patient accounts cannot access this resource'));
+      }
+
+      const user = await findStaffUser(payload.id);
+      if (!user || (user instanceof Clinic && !user.isActive)) {
+        return next(new Error('User not found'));
+      }
+
+      const requestUser = toRequestUser(user, payload);
+      const clinicId = requestUser.role === 'clinic' ? requestUser.id : requestUser.clinicId;
+      if (!clinicId) {
+        return next(new Error('No clinic for this account'));
+      }
+
+      socket.data.user = { id: String(requestUser.id), role: requestUser.role, clinicId: String(clinicId) };
+      next();
+    } catch (error) {
+      // Lets the client tell an expired token apart and refresh before reconnecting
+      next(new Error(error.message === 'Token expired' ? 'TOKEN_EXPIRED' : 'Invalid token'));
+    }
+  }
+
+  /**
+   * Send an event to everyone signed in to a clinic. A no-op until attach()
+   * has run, so routes and services can call it from scripts and tests.
+   * @param {string|ObjectId} clinicId
+   * @param {string} event - One of RealtimeService.EVENTS
+   * @param {Object} payload
+   */
+  emitToClinic(clinicId, event, payload) {
+    if (!this.io || !clinicId) return;
+    this.io.to(clinicRoom(clinicId)).emit(event, { ...payload, at: new Date().toISOString() });
+  }
+
+  emitToUser(userId, event, payload) {
+    if (!this.io || !userId) return;
+    this.io.to(userRoom(userId)).emit(event, { ...payload, at: new Date().toISOString() });
+  }
+
+  // Helpers for each event, so callers send the same shape everywhere
+
+  appointmentCreated(appointment) {
+    this.emitToClinic(appointment.clinicId, EVENTS.APPOINTMENT_CREATED, {
+      appointmentId: String(appointment._id),
+      doctorId: String(appointment.doctorId?._id || appointment.doctorId),
+      status: appointment.status
+    });
+  }
+
+  appointmentStatusChanged(appointment, previousStatus) {
+    if (appointment.status === previousStatus) return;
+    this.emitToClinic(appointment.clinicId, EVENTS.APPOINTMENT_STATUS, {
+      appointmentId: String(appointment._id),
+      doctorId: String(appointment.doctorId?._id || appointment.doctorId),
+      status: appointment.status,
+      previousStatus
+    });
+  }
+
+  appointmentDeleted(appointment) {
+    this.emitToClinic(appointment.clinicId, EVENTS.APPOINTMENT_DELETED, {
+      appointmentId: String(appointment._id)
+    });
+  }
+
+  prescriptionAllotted(prescription) {
+    this.emitToClinic(prescription.clinicId, EVENTS.PRESCRIPTION_ALLOTTED, {
+      prescriptionId: String(prescription._id),
+      prescriptionNumber: prescription.prescriptionNumber,
+      pharmacistId: String(prescription.allottedPharmacist?._id || prescription.allottedPharmacist)
+    });
+  }
+
+  prescriptionDispensed(prescription, medicationIndex) {
+    this.emitToClinic(prescription.clinicId, EVENTS.PRESCRIPTION_DISPENSED, {
+      prescriptionId: String(prescription._id),
+      prescriptionNumber: prescription.prescriptionNumber,
+      medicationIndex,
+      fullyDispensed: Boolean(prescription.fullyDispensed),
+      status: prescription.status
+    });
+  }
+
+  complianceAlertCreated(alert) {
+    this.emitToClinic(alert.clinicId, EVENTS.COMPLIANCE_ALERT_CREATED, {
+      alertId: String(alert._id),
+      type: alert.type,
+      priority: alert.priority
+    });
+  }
+
+  labReportUploaded(report) {
+    this.emitToClinic(report.clinicId, EVENTS.LAB_REPORT_UPLOADED, {
+      reportId: String(report._id),
+      patientId: String(report.patientId?._id || report.patientId)
+    });
+  }
+
+  // Reception and waiting-room screens refetch their queues on this
+  queueChanged(token, action) {
+    this.emitToClinic(token.clinicId, EVENTS.QUEUE_CHANGED, {
+      doctorId: String(token.doctorId),
+      tokenId: String(token._id),
+      action
+    });
+  }
+
+  // Sent to the recipient alone, so it can carry the notification itself
+  notificationCreated(notification) {
+    this.emitToUser(notification.recipientId, EVENTS.NOTIFICATION_CREATED, {
+      notification: notification.toJSON ? notification.toJSON() : notification
+    });
+  }
+}
+
+const realtimeService = new RealtimeService();
+realtimeService.EVENTS = EVENTS;
+
+module.exports = realtimeService;
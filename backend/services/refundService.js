@@ -0,0 +1,368 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Revenue = require('../models/Revenue');
+const Invoice = require('../models/Invoice');
+const Patient = require('../models/Patient');
+const Clinic = require('../models/Clinic');
+const invoicePdfService = require('./invoicePdfService');
+const { getGateway } = require('./paymentGateway');
+const Refunds = require('../utils/refunds');
+const Invoices = require('../utils/invoices');
+
+const refundError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const actor = (user) => ({ id: user.id, role: user.role, name: user.fullName });
+
+// Half a paisa, so sums of two-decimal amounts compare cleanly against the payment
+const ROUNDING_TOLERANCE = 0.005;
+
+/**
+ * Full and partial refunds. Online payments are refunded through the
+ * gateway; cash, card and other payments handed back at the desk wait for
+ * staff to confirm the payout. Once a refund has gone out it is carried
+ * through to the payment, the invoices it settled, and the clinic's revenue.
+ */
+class RefundService {
+  async findPayment(paymentId, clinicId) {
+    const payment = await Payment.findOne({ _id: paymentId, clinicId });
+    if (!payment) {
+      throw refundError('Payment not found', 404);
+    }
+    return payment;
+  }
+
+  /**
+   * The payment to refund for an appointment. Fees collected in cash at the
+   * clinic never created a Payment, so one is recorded from the invoice.
+   * @param {string} appointmentId
+   * @param {string} clinicId
+   * @returns {Promise<Object>} Payment document
+   */
+  async paymentForAppointment(appointmentId, clinicId) {
+    const payment = await Payment.findOne({
+      appointmentId,
+      clinicId,
+      status: { $in: Refunds.REFUNDABLE_PAYMENT_STATUSES }
+    }).sort({ createdAt: -1 });
+    if (payment) return payment;
+
+    const invoice = await Invoice.findOne({
+      appointmentId,
+      clinicId,
+      status: { $in: ['approved', 'paid'] },
+      paymentMethod: 'cash'
+    });
+    if (!invoice) {
+      throw refundError('No refundable payment found for this appointment', 404);
+    }
+
+    return Payment.create({
+      appointmentId,
+      patientId: invoice.patientId,
+      doctorId: invoice.doctorId,
+      clinicId,
+      invoiceId: invoice._id,
+      amount: invoice.total,
+      paymentMethod: 'cash',
+      status: 'completed',
+      transactionDate: invoice.approvedAt || invoice.createdAt,
+      description: `Cash payment for invoice ${invoice.invoiceNumber}`
+    });
+  }
+
+  /**
+   * Start a refund. Gateway refunds are sent straight away; manual ones
+   * stay pending until confirm().
+   * @param {Object} payment - Payment document
+   * @param {Object} details
+   * @param {number} [details.amount] - Defaults to everything not yet refunded
+   * @param {string} details.reason
+   * @param {string} [details.method] - gateway or a manual method; defaults to how the patient paid
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} Refund document
+   */
+  async request(payment, { amount, reason, method }, user) {
+    if (!Refunds.REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      throw refundError(`A ${payment.status} payment cannot be refunded`, 400);
+    }
+
+    const earlier = await Refund.find({ paymentId: payment._id });
+    const remaining = Refunds.remaining(payment.amount, earlier);
+    const value = amount === undefined || amount === null || amount === '' ? remaining : Number(amount);
+    const amountError = Refunds.amountError(value, remaining);
+    if (amountError) {
+      throw refundError(amountError, 400);
+    }
+
+    const payout = Refunds.payoutMethod(payment, method);
+    if (!payout) {
+      throw refundError('This payment cannot be refunded that way', 400);
+    }
+    const gateway = payout === 'gateway' ? getGateway() : null;
+    if (payout === 'gateway' && !gateway) {
+      throw refundError('Payment gateway not configured', 503);
+    }
+
+    await this.reserve(payment, Refunds.committed(earlier), value);
+
+    const refund = new Refund({
+      paymentId: payment._id,
+      clinicId: payment.clinicId,
+      patientId: payment.patientId,
+      appointmentId: payment.appointmentId,
+      invoiceId: payment.invoiceId,
+      amount: value,
+      currency: payment.currency,
+      reason,
+      method: payout,
+      gateway: gateway?.name,
+      requestedBy: actor(user)
+    });
+    // Saved before calling the gateway so an interrupted request still leaves a record
+    try {
+      await refund.save();
+    } catch (error) {
+      await this.release(payment._id, value);
+      throw error;
+    }
+    if (!gateway) return refund;
+
+    let result;
+    try {
+      result = await gateway.refund(payment.razorpayPaymentId, {
+        amount: value,
+        notes: { refundId: refund._id.toString(), reason },
+        receipt: refund.receiptNumber
+      });
+    } catch (error) {
+      await this.fail(refund, error.message);
+      throw refundError(error.message, error.statusCode || 502);
+    }
+
+    refund.gatewayRefundId = result.id;
+    if (result.status === 'failed') {
+      await this.fail(refund, 'The gateway declined the refund');
+      throw refundError('The gateway declined the refund', 502);
+    }
+    await refund.save();
+    // Razorpay usually reports "pending" first; refresh() picks up the outcome
+    return result.status === 'processed' ? this.complete(refund, payment) : refund;
+  }
+
+  /**
+   * Set an amount aside on the payment for a new refund. The check and the
+   * increment are one update, so two refunds at once can't both take what's left.
+   * @param {Object} payment - Payment document
+   * @param {number} committed - Already refunded or pending, from the Refund records
+   * @param {number} amount - The new refund
+   */
+  async reserve(payment, committed, amount) {
+    // Payments refunded before reservations were kept start from their Refund records
+    await Payment.updateOne(
+      { _id: payment._id, refundReserved: { $exists: false } },
+      { $set: { refundReserved: committed } }
+    );
+
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        $expr: { $lte: [{ $add: ['$refundReserved', amount] }, { $add: ['$amount', ROUNDING_TOLERANCE] }] }
+      },
+      { $inc: { refundReserved: amount } },
+      { new: true }
+    );
+    if (!reserved) {
+      throw refundError('Another refund of this payment was just made; check what is left to refund and try again', 409);
+    }
+  }
+
+  // Give a failed refund's amount back to what can be refunded
+  async release(paymentId, amount) {
+    await Payment.updateOne({ _id: paymentId }, { $inc: { refundReserved: -amount } });
+  }
+
+  /**
+   * Ask the gateway how a pending refund went and record the outcome
+   * @param {string} refundId
+   * @param {string} clinicId
+   */
+  async refresh(refundId, clinicId) {
+    const refund = await Refund.findOne({ _id: refundId, clinicId });
+    if (!refund) {
+      throw refundError('Refund not found', 404);
+    }
+    if (refund.method !== 'gateway' || refund.status !== 'pending' || !refund.gatewayRefundId) {
+      return refund;
+    }
+    const gateway = getGateway();
+    if (!gateway) {
+      throw refundError('Payment gateway not configured', 503);
+    }
+
+    const result = await gateway.fetchRefund(refund.gatewayRefundId);
+    if (result.status === 'processed') return this.complete(refund);
+    if (result.status === 'failed') return this.fail(refund, 'The gateway could not complete the refund');
+    return refund;
+  }
+
+  /**
+   * Confirm a manual refund has been handed back
+   * @param {string} refundId
+   * @param {string} clinicId
+   * @param {Object} user - req.user
+   */
+  async confirm(refundId, clinicId, user) {
+    const refund = await Refund.findOne({ _id: refundId, clinicId });
+    if (!refund) {
+      throw refundError('Refund not found', 404);
+    }
+    if (!Refunds.isManual(refund.method)) {
+      throw refundError('Gateway refunds are confirmed by the gateway', 400);
+    }
+    if (refund.status !== 'pending') {
+      throw refundError(`This refund is already ${refund.status}`, 400);
+    }
+
+    refund.confirmedBy = actor(user);
+    await refund.save();
+    return this.complete(refund);
+  }
+
+  /**
+   * Mark a refund as paid out and update the payment, its invoices and
+   * revenue. Only the first call for a refund has any effect.
+   * @param {Object} refund - Refund document
+   * @param {Object} [payment] - Its Payment, if already loaded
+   * @returns {Promise<Object>} The processed refund
+   */
+  async complete(refund, payment = null) {
+    const processed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: { $ne: 'processed' } },
+      { status: 'processed', processedAt: new Date() },
+      { new: true }
+    );
+    if (!processed) {
+      return Refund.findById(refund._id);
+    }
+
+    const target = payment || await Payment.findById(processed.paymentId);
+    const refunds = await Refund.find({ paymentId: target._id });
+    target.refundAmount = Refunds.refundedTotal(refunds);
+    target.refundReason = processed.reason;
+    target.status = Refunds.paymentStatus(target.amount, target.refundAmount);
+    await target.save();
+
+    const invoices = await this.linkedInvoices(target);
+    await this.updateInvoices(invoices, target);
+    await this.recordRevenue(processed, target, invoices);
+
+    console.log(`✅ Refund ${processed.receiptNumber}: ₹${processed.amount} of payment ${target._id} (${target.status})`);
+    return processed;
+  }
+
+  // Only a pending refund can fail; one that already went out stays processed
+  async fail(refund, reason) {
+    const failed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      { status: 'failed', failureReason: reason },
+      { new: true }
+    );
+    if (!failed) {
+      return Refund.findById(refund._id);
+    }
+    await this.release(failed.paymentId, failed.amount);
+    console.error(`❌ Refund ${failed.receiptNumber} failed:`, reason);
+    return failed;
+  }
+
+  // The invoices a payment settled: the one it was taken for, or those of its appointment
+  async linkedInvoices(payment) {
+    if (payment.invoiceId) {
+      const invoice = await Invoice.findById(payment.invoiceId);
+      return invoice ? [invoice] : [];
+    }
+    if (!payment.appointmentId) return [];
+    return Invoice.find({ appointmentId: payment.appointmentId });
+  }
+
+  async updateInvoices(invoices, payment) {
+    const status = payment.status === 'refunded' ? 'refunded' : 'partially_refunded';
+    for (const invoice of invoices) {
+      invoice.refundedAmount = payment.refundAmount;
+      invoice.refundedAt = new Date();
+      // An invoice that was never settled, such as a cancelled one, keeps its status; the refund is still recorded on it
+      if (Invoices.canTransition(invoice.status, status)) {
+        invoice.status = status;
+        invoice.statusHistory.push({ status, note: `₹${payment.refundAmount} refunded` });
+      }
+      await invoice.save();
+    }
+  }
+
+  // Take the refund off revenue, against whichever invoice the takings were counted for
+  async recordRevenue(refund, payment, invoices) {
+    try {
+      const counted = invoices.find(invoice => invoice.revenueRecorded);
+      if (counted) {
+        await Revenue.subtractRevenue(payment.clinicId, counted._id, refund.amount, 'refunded', {
+          removeInvoice: payment.status === 'refunded'
+        });
+      }
+    } catch (revenueError) {
+      console.error('Error subtracting refunded revenue:', revenueError);
+      // Don't fail the refund if revenue tracking fails
+    }
+  }
+
+  /**
+   * A clinic's refunds, newest first
+   * @param {string} clinicId
+   * @param {Object} filters - { paymentId, appointmentId, status }
+   */
+  async list(clinicId, { paymentId, appointmentId, status } = {}) {
+    const query = { clinicId };
+    if (paymentId) query.paymentId = paymentId;
+    if (appointmentId) query.appointmentId = appointmentId;
+    if (status) query.status = status;
+    return Refund.find(query)
+      .populate('patientId', 'fullName')
+      .sort({ createdAt: -1 })
+      .limit(200);
+  }
+
+  /**
+   * PDF receipt for a processed refund
+   * @returns {Promise<Object>} { pdf, refund }
+   */
+  async receipt(refundId, clinicId) {
+    const refund = await Refund.findOne({ _id: refundId, clinicId });
+    if (!refund) {
+      throw refundError('Refund not found', 404);
+    }
+    if (refund.status !== 'processed') {
+      throw refundError('A receipt is available once the refund has gone out', 400);
+    }
+
+    const payment = await Payment.findById(refund.paymentId);
+    const [patient, clinic, invoices] = await Promise.all([
+      Patient.findById(refund.patientId).select('fullName uhid phone email'),
+      Clinic.findById(clinicId).select('name address city state zipCode phone email'),
+      payment ? this.linkedInvoices(payment) : []
+    ]);
+
+    const pdf = await invoicePdfService.generateRefundReceipt({
+      refund,
+      payment,
+      patient,
+      clinic,
+      invoiceNumber: invoices[0]?.invoiceNumber
+    });
+    return { pdf, refund };
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,81 @@
+const DoctorAvailability = require('../models/DoctorAvailability');
+const ScheduleException = require('../models/ScheduleException');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Clinic = require('../models/Clinic');
+const Slots = require('../utils/slots');
+const ClinicTime = require('../utils/clinicTime');
+
+const slotError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class SlotService {
+  /**
+   * Everything the slot engine needs for one doctor and day
+   * @param {string} doctorId
+   * @param {Date|string} date - Day as YYYY-MM-DD or a stored appointment date
+   * @returns {Promise<Object>} { date, timeZone, availability, exceptions, appointments }
+   */
+  async loadDay(doctorId, date) {
+    const day = ClinicTime.dayKey(date);
+    if (!day) {
+      throw slotError('Date must be in YYYY-MM-DD format', 400);
+    }
+
+    // Stored dates are UTC midnight of their calendar day
+    const dayStart = ClinicTime.dayStart(day);
+    const dayEnd = ClinicTime.addDays(day, 1);
+
+    const [timeZone, availability, exceptions, appointments] = await Promise.all([
+      this.timeZoneFor(doctorId),
+      DoctorAvailability.find({ doctorId, isActive: true, dayOfWeek: Slots.dayOfWeek(day) })
+        .select('dayOfWeek startTime endTime slotDuration bufferMinutes isActive')
+        .lean(),
+      ScheduleException.find({ doctorId, isActive: true, date: { $gte: dayStart, $lt: dayEnd } })
+        .select('date type startTime endTime breaks isActive')
+        .lean(),
+      Appointment.find({
+        doctorId,
+        date: { $gte: dayStart, $lt: dayEnd },
+        status: { $nin: Slots.FREE_STATUSES }
+      }).select('date time duration status').lean()
+    ]);
+
+    return { date: day, timeZone, availability, exceptions, appointments };
+  }
+
+  // Slots are always in the doctor's clinic's timezone
+  async timeZoneFor(doctorId) {
+    const doctor = await Doctor.findById(doctorId).select('clinicId').lean();
+    return Clinic.getTimeZone(doctor?.clinicId);
+  }
+
+  /**
+   * Free slots for a doctor on one day
+   * @param {string} doctorId
+   * @param {Date|string} date
+   * @param {Object} options - { duration, excludeAppointmentId }
+   * @returns {Promise<Object>} Slots.compute result
+   */
+  async getSlots(doctorId, date, options = {}) {
+    const schedule = await this.loadDay(doctorId, date);
+    return Slots.compute({ ...schedule, ...options });
+  }
+
+  /**
+   * Whether a visit can be booked at the given time
+   * @param {Object} request - { doctorId, date, time, duration, excludeAppointmentId }
+   * @returns {Promise<Object>} { ok, reason, duration }
+   */
+  async check({ doctorId, date, ...options }) {
+    const schedule = await this.loadDay(doctorId, date);
+    const { interval } = Slots.workingWindows(schedule);
+    const duration = Number(options.duration) || interval;
+    return { ...Slots.check({ ...schedule, ...options, duration }), duration };
+  }
+}
+
+module.exports = new SlotService();
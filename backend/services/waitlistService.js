@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Clinic = require('../models/Clinic');
+const emailService = require('./emailService');
+const messagingService = require('./messagingService');
+const slotService = require('./slotService');
+const realtimeService = require('./realtimeService');
+const ClinicTime = require('../utils/clinicTime');
+
+// How long a patient has to accept an offered slot
+const OFFER_TTL_MINUTES = parseInt(process.env.WAITLIST_OFFER_TTL_MINUTES) || 120;
+// Slots starting sooner than this are not offered, and offers close this long before the slot
+const MIN_NOTICE_MINUTES = 30;
+const EXPIRY_CHECK_INTERVAL = 5 * 60 * 1000;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const waitlistError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class WaitlistService {
+  constructor() {
+    this.expiryTimer = null;
+  }
+
+  getOfferUrl(token) {
+    const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:8080').replace(/\/$/, '');
+    return `${baseUrl}/waitlist-offer/${token}`;
+  }
+
+  /**
+   * Whether a waitlist entry's preferences accept a slot
+   * @param {Object} entry - WaitlistEntry
+   * @param {Object} slot - { date, time, duration }
+   * @returns {boolean}
+   */
+  matchesPreferences(entry, slot) {
+    const start = toMinutes(slot.time);
+    const day = ClinicTime.dayKey(slot.date);
+
+    if (entry.duration > slot.duration) return false;
+    if (entry.preferredDays?.length > 0 && !entry.preferredDays.includes(ClinicTime.dayStart(day).getUTCDay())) return false;
+    if (entry.preferredTimeFrom && start < toMinutes(entry.preferredTimeFrom)) return false;
+    if (entry.preferredTimeTo && start + entry.duration > toMinutes(entry.preferredTimeTo)) return false;
+
+    if (entry.earliestDate && day < ClinicTime.dayKey(entry.earliestDate)) return false;
+    if (entry.latestDate && day > ClinicTime.dayKey(entry.latestDate)) return false;
+
+    // Never offer the same slot twice to one patient
+    return !entry.offers.some(offer =>
+      offer.time === slot.time && new Date(offer.date).getTime() === new Date(slot.date).getTime()
+    );
+  }
+
+  /**
+   * Waiting entries for the slot's doctor that accept it, best first:
+   * highest priority, then longest on the list
+   */
+  async findCandidates(slot, excludePatientIds = []) {
+    const excluded = excludePatientIds.map(String);
+    const entries = await WaitlistEntry.find({
+      doctorId: slot.doctorId,
+      status: 'waiting'
+    }).sort({ createdAt: 1 });
+
+    return entries
+      .filter(entry => !excluded.includes(String(entry.patientId)))
+      .filter(entry => this.matchesPreferences(entry, slot))
+      .sort((a, b) => b.priorityRank - a.priorityRank);
+  }
+
+  /**
+   * When an offer for a slot closes: after the offer window, but never later
+   * than the minimum notice before the slot starts
+   * @param {Date} start - Slot start instant
+   * @param {Date} [now]
+   * @returns {Date|null} null when the slot is too close to offer
+   */
+  offerExpiry(start, now = new Date()) {
+    const latestExpiry = new Date(start.getTime() - MIN_NOTICE_MINUTES * 60 * 1000);
+    if (latestExpiry <= now) {
+      return null;
+    }
+    const ttlExpiry = new Date(now.getTime() + OFFER_TTL_MINUTES * 60 * 1000);
+    return ttlExpiry < latestExpiry ? ttlExpiry : latestExpiry;
+  }
+
+  /**
+   * Offer a free slot to the best waitlisted patient and email them an accept link
+   * @param {Object} slot - { doctorId, clinicId, date, time, duration, sourceAppointmentId, excludePatientIds }
+   * @returns {Promise<Object|null>} { entry, offer } or null when nothing was offered
+   */
+  async offerSlot(slot) {
+    const start = ClinicTime.toInstant(slot.date, slot.time, await Clinic.getTimeZone(slot.clinicId));
+    const expiresAt = this.offerExpiry(start);
+    if (!expiresAt) {
+      return null;
+    }
+
+    // Already held for someone
+    const alreadyOffered = await WaitlistEntry.exists({
+      doctorId: slot.doctorId,
+      offers: { $elemMatch: { status: 'pending', date: slot.date, time: slot.time } }
+    });
+    if (alreadyOffered) {
+      return null;
+    }
+
+    const availability = await slotService.check(slot);
+    if (!availability.ok) {
+      return null;
+    }
+
+    const [entry] = await this.findCandidates(slot, slot.excludePatientIds);
+    if (!entry) {
+      return null;
+    }
+
+    entry.offers.push({
+      token: crypto.randomBytes(24).toString('hex'),
+      sourceAppointmentId: slot.sourceAppointmentId,
+      date: slot.date,
+      time: slot.time,
+      duration: entry.duration,
+      expiresAt
+    });
+    entry.status = 'offered';
+    await entry.save();
+
+    const offer = entry.offers[entry.offers.length - 1];
+    await this.sendOfferMessage(entry, offer);
+
+    console.log(`📋 Waitlist: offered ${offer.time} on ${new Date(offer.date).toDateString()} to entry ${entry._id}`);
+    return { entry, offer };
+  }
+
+  // Sends the offer on the clinic's channels for waitlist offers
+  async sendOfferMessage(entry, offer) {
+    const [patient, doctor, clinic] = await Promise.all([
+      Patient.findById(entry.patientId).select('fullName email phone'),
+      Doctor.findById(entry.doctorId).select('fullName'),
+      Clinic.findById(entry.clinicId).select('name timezone')
+    ]);
+
+    if (!patient?.email && !patient?.phone) {
+      console.warn(`📋 Waitlist: patient ${entry.patientId} has no email or phone - offer must be relayed by staff`);
+      return;
+    }
+
+    const timeZone = clinic?.timezone || ClinicTime.DEFAULT_TIME_ZONE;
+    const details = {
+      clinicId: entry.clinicId,
+      patientName: patient.fullName,
+      doctorName: doctor?.fullName || '',
+      clinicName: clinic?.name,
+      date: offer.date,
+      time: offer.time,
+      timeZone,
+      expiresAt: offer.expiresAt,
+      offerUrl: this.getOfferUrl(offer.token)
+    };
+
+    const { results } = await messagingService.send({
+      type: 'waitlist_offer',
+      clinicId: entry.clinicId,
+      recipient: { name: patient.fullName, email: patient.email, phone: patient.phone },
+      variables: {
+        ...details,
+        date: ClinicTime.formatDay(offer.date),
+        expiresAt: new Date(offer.expiresAt).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone })
+      },
+      email: () => emailService.sendWaitlistOfferEmail({
+        email: patient.email,
+        related: { kind: 'WaitlistEntry', id: entry._id },
+        ...details
+      }),
+      related: { kind: 'WaitlistEntry', id: entry._id }
+    });
+
+    if (results.some(result => result.channel === 'email' && result.status === 'sent')) {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, 'offers._id': offer._id },
+        { $set: { 'offers.$.emailSent': true } }
+      );
+    }
+  }
+
+  /**
+   * Called when an appointment is cancelled or marked no-show.
+   * Never throws - a failed offer must not fail the status change.
+   */
+  async handleFreedAppointment(appointment) {
+    try {
+      return await this.offerSlot({
+        doctorId: appointment.doctorId,
+        clinicId: appointment.clinicId,
+        date: appointment.date,
+        time: appointment.time,
+        duration: appointment.duration || 30,
+        sourceAppointmentId: appointment._id,
+        excludePatientIds: [appointment.patientId]
+      });
+    } catch (error) {
+      console.error('Error offering freed slot to waitlist:', error);
+      return null;
+    }
+  }
+
+  async findOffer(token) {
+    const entry = await WaitlistEntry.findOne({ 'offers.token': token });
+    const offer = entry?.offers.find(candidate => candidate.token === token);
+    if (!entry || !offer) {
+      throw waitlistError('Offer not found', 404);
+    }
+    return { entry, offer };
+  }
+
+  // Close an offer and pass the slot on to the next patient
+  async closeOffer(entry, offer, status) {
+    offer.status = status;
+    offer.respondedAt = new Date();
+    if (entry.status === 'offered') {
+      entry.status = 'waiting';
+    }
+    await entry.save();
+
+    await this.offerSlot({
+      doctorId: entry.doctorId,
+      clinicId: entry.clinicId,
+      date: offer.date,
+      time: offer.time,
+      duration: offer.duration,
+      sourceAppointmentId: offer.sourceAppointmentId
+    });
+  }
+
+  /**
+   * Book the offered slot for the waitlisted patient
+   * @param {string} token - Offer token from the emailed link
+   * @returns {Promise<Object>} { entry, appointment }
+   * @throws {Error} with statusCode 404, 409 or 410
+   */
+  async acceptOffer(token) {
+    const { entry, offer } = await this.findOffer(token);
+
+    if (['accepting', 'accepted'].includes(offer.status)) {
+      throw waitlistError('This offer has already been accepted', 409);
+    }
+    if (offer.status !== 'pending') {
+      throw waitlistError('This offer is no longer available', 410);
+    }
+    if (offer.expiresAt < new Date()) {
+      await this.closeOffer(entry, offer, 'expired');
+      throw waitlistError('This offer has expired', 410);
+    }
+
+    // Claim the offer before booking so a second click on the link can't book the slot again
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, offers: { $elemMatch: { token, status: 'pending' } } },
+      { $set: { 'offers.$.status': 'accepting' } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw waitlistError('This offer has already been accepted', 409);
+    }
+
+    // Only the request holding the claim changes the offer from here on
+    const settleOffer = (status, entryChanges = {}) => WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, offers: { $elemMatch: { token, status: 'accepting' } } },
+      { $set: { 'offers.$.status': status, 'offers.$.respondedAt': new Date(), ...entryChanges } },
+      { new: true }
+    );
+
+    let appointment;
+    try {
+      const availability = await slotService.check({
+        doctorId: entry.doctorId,
+        date: offer.date,
+        time: offer.time,
+        duration: offer.duration
+      });
+      if (!availability.ok) {
+        await settleOffer('withdrawn', { status: 'waiting' });
+        throw waitlistError('Sorry, this slot is no longer available', 409);
+      }
+
+      const [patient, doctor] = await Promise.all([
+        Patient.findById(entry.patientId),
+        Doctor.findById(entry.doctorId)
+      ]);
+      if (!patient || !doctor) {
+        throw waitlistError('Patient or doctor no longer exists', 404);
+      }
+
+      appointment = new Appointment({
+        patientId: patient._id,
+        patientName: patient.fullName,
+        doctorId: doctor._id,
+        provider: `Dr. ${doctor.fullName}`,
+        clinicId: entry.clinicId,
+        appointmentType: entry.appointmentType,
+        date: offer.date,
+        time: offer.time,
+        duration: offer.duration,
+        priority: entry.priority === 'normal' ? 'normal' : 'high',
+        status: 'Scheduled',
+        reason: 'Booked from waitlist',
+        notes: entry.notes
+      });
+      await appointment.save();
+    } catch (error) {
+      // Nothing was booked; let the patient try the link again
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, offers: { $elemMatch: { token, status: 'accepting' } } },
+        { $set: { 'offers.$.status': 'pending' } }
+      );
+      throw error;
+    }
+    realtimeService.appointmentCreated(appointment);
+
+    try {
+      await Invoice.createForAppointment(appointment);
+    } catch (invoiceError) {
+      console.error('Failed to create appointment invoice:', invoiceError);
+    }
+
+    const booked = await settleOffer('accepted', { status: 'booked', bookedAppointmentId: appointment._id });
+
+    await Patient.findByIdAndUpdate(appointment.patientId, { nextAppointment: appointment.date });
+
+    return { entry: booked, appointment };
+  }
+
+  /**
+   * Patient turns the slot down; they stay on the waitlist
+   * @param {string} token
+   */
+  async declineOffer(token) {
+    const { entry, offer } = await this.findOffer(token);
+    if (offer.status !== 'pending') {
+      throw waitlistError('This offer is no longer available', 410);
+    }
+    await this.closeOffer(entry, offer, 'declined');
+    return { entry };
+  }
+
+  /**
+   * Expire unanswered offers and pass their slots on
+   * @returns {Promise<number>} Offers expired
+   */
+  async expireOffers() {
+    const now = new Date();
+    const entries = await WaitlistEntry.find({
+      offers: { $elemMatch: { status: 'pending', expiresAt: { $lt: now } } }
+    });
+
+    let expired = 0;
+    for (const entry of entries) {
+      const offer = entry.offers.find(candidate => candidate.status === 'pending' && candidate.expiresAt < now);
+      try {
+        await this.closeOffer(entry, offer, 'expired');
+        expired++;
+      } catch (error) {
+        console.error(`Error expiring waitlist offer on entry ${entry._id}:`, error);
+      }
+    }
+    return expired;
+  }
+
+  startExpiryTimer() {
+    if (this.expiryTimer) return;
+    this.expiryTimer = setInterval(() => {
+      this.expireOffers().catch(error => console.error('Waitlist expiry check failed:', error));
+    }, EXPIRY_CHECK_INTERVAL);
+    this.expiryTimer.unref();
+  }
+}
+
+module.exports = new WaitlistService();
@@ -494,10 +494,10 @@ class ActivityLogger {
       activityType,
       req,
       invoiceId: invoice._id,
-      invoiceAmount: invoice.totalAmount,
+      invoiceAmount: invoice.total,
       patientId: patient._id,
       patientName: patient.fullName,
-      notes: `Invoice ${activityType.replace('invoice_', '')} - Amount: ${invoice.totalAmount} for ${patient.fullName}`
+      notes: `Invoice ${activityType.replace('invoice_', '')} - Amount: ${invoice.total} for ${patient.fullName}`
     });
   }
 
@@ -0,0 +1,184 @@
+/**
+ * iCalendar (RFC 5545) feeds of a doctor's schedule.
+ *
+ * Builds the text of a subscribable .ics calendar from appointments and
+ * teleconsultations. Event times are written in UTC, having been resolved
+ * from the clinic's local day and time, so no VTIMEZONE blocks are needed
+ * and calendar apps show them in whatever zone the doctor is in.
+ *
+ * Feeds leave the clinic's systems, so they carry as little patient data
+ * as possible: initials instead of names unless the doctor opts in, and
+ * never the reason for the visit.
+ */
+
+const ClinicTime = require('./clinicTime');
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+class CalendarFeed {
+  // Escape a TEXT value (commas, semicolons, backslashes and newlines)
+  static escapeText(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold a content line to 75 octets, continuation lines starting with a space
+  static fold(line) {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (octets + size > limit) {
+        chunks.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    chunks.push(current);
+    return chunks.join(`${CRLF} `);
+  }
+
+  // UTC date-time, e.g. 20260309T043000Z
+  static formatInstant(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Initials of a name, e.g. "Ravi Kumar Sharma" -> "R.K.S."
+   * @param {string} fullName
+   * @returns {string}
+   */
+  static initials(fullName) {
+    const letters = String(fullName || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(part => `${part[0].toUpperCase()}.`);
+    return letters.length > 0 ? letters.join('') : 'Patient';
+  }
+
+  static patientLabel(fullName, includePatientNames) {
+    if (!fullName) return 'Patient';
+    return includePatientNames ? fullName : CalendarFeed.initials(fullName);
+  }
+
+  /**
+   * Event for an appointment
+   * @param {Object} appointment - With patientId populated (fullName)
+   * @param {Object} options - { timeZone, includePatientNames, clinicName, meetingUrl }
+   * @returns {Object} Event for `build`
+   */
+  static appointmentEvent(appointment, options = {}) {
+    const start = ClinicTime.toInstant(appointment.date, appointment.time, options.timeZone);
+    const duration = appointment.duration || CalendarFeed.DEFAULT_DURATION;
+    const patient = CalendarFeed.patientLabel(appointment.patientId?.fullName, options.includePatientNames);
+    const meetingUrl = appointment.isVirtual ? options.meetingUrl : null;
+
+    const description = [`Patient: ${patient}`, `Status: ${appointment.status}`];
+    if (meetingUrl) description.push(`Join video consultation: ${meetingUrl}`);
+
+    return {
+      uid: `appointment-${appointment._id}@${CalendarFeed.UID_DOMAIN}`,
+      start,
+      end: new Date(start.getTime() + duration * 60000),
+      summary: `${appointment.appointmentType} - ${patient}`,
+      description: description.join('\n'),
+      location: meetingUrl || appointment.location || options.clinicName || '',
+      url: meetingUrl,
+      status: CalendarFeed.STATUS[appointment.status] || 'CONFIRMED',
+      updatedAt: appointment.updatedAt
+    };
+  }
+
+  /**
+   * Event for a teleconsultation that has no appointment of its own
+   * @param {Object} teleconsultation - With patientId populated (fullName)
+   * @param {Object} options - { includePatientNames }
+   * @returns {Object} Event for `build`
+   */
+  static teleconsultationEvent(teleconsultation, options = {}) {
+    const start = ClinicTime.toInstant(teleconsultation.scheduledDate, teleconsultation.scheduledTime, teleconsultation.timezone);
+    const duration = teleconsultation.duration || CalendarFeed.DEFAULT_DURATION;
+    const name = teleconsultation.patientId?.fullName || teleconsultation.patientName;
+    const patient = CalendarFeed.patientLabel(name, options.includePatientNames);
+    const meetingUrl = teleconsultation.doctorMeetingUrl || teleconsultation.meetingUrl;
+
+    const description = [`Patient: ${patient}`, `Status: ${teleconsultation.status}`];
+    if (meetingUrl) description.push(`Join video consultation: ${meetingUrl}`);
+
+    return {
+      uid: `teleconsultation-${teleconsultation._id}@${CalendarFeed.UID_DOMAIN}`,
+      start,
+      end: new Date(start.getTime() + duration * 60000),
+      summary: `Teleconsultation - ${patient}`,
+      description: description.join('\n'),
+      location: meetingUrl || '',
+      url: meetingUrl,
+      status: CalendarFeed.STATUS[teleconsultation.status] || 'CONFIRMED',
+      updatedAt: teleconsultation.updatedAt
+    };
+  }
+
+  /**
+   * The full .ics text
+   * @param {Object} options - { name, events, now }
+   * @returns {string}
+   */
+  static build({ name, events = [], now = new Date() }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${CalendarFeed.PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${CalendarFeed.escapeText(name)}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:${CalendarFeed.REFRESH_INTERVAL}`,
+      `X-PUBLISHED-TTL:${CalendarFeed.REFRESH_INTERVAL}`
+    ];
+
+    events.forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${CalendarFeed.formatInstant(now)}`,
+        `DTSTART:${CalendarFeed.formatInstant(event.start)}`,
+        `DTEND:${CalendarFeed.formatInstant(event.end)}`,
+        `SUMMARY:${CalendarFeed.escapeText(event.summary)}`,
+        `DESCRIPTION:${CalendarFeed.escapeText(event.description)}`,
+        `STATUS:${event.status}`
+      );
+      if (event.location) lines.push(`LOCATION:${CalendarFeed.escapeText(event.location)}`);
+      if (event.url) lines.push(`URL:${event.url}`);
+      if (event.updatedAt) lines.push(`LAST-MODIFIED:${CalendarFeed.formatInstant(event.updatedAt)}`);
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(CalendarFeed.fold).join(CRLF) + CRLF;
+  }
+}
+
+CalendarFeed.PRODUCT_ID = '-//Healthcare System//Doctor Calendar//EN';
+CalendarFeed.UID_DOMAIN = 'healthcare-system';
+CalendarFeed.DEFAULT_DURATION = 30;
+// How often calendar apps are asked to re-fetch the feed
+CalendarFeed.REFRESH_INTERVAL = 'PT15M';
+// Appointment statuses as iCalendar event statuses
+CalendarFeed.STATUS = {
+  Processing: 'TENTATIVE',
+  Scheduled: 'CONFIRMED',
+  Confirmed: 'CONFIRMED',
+  Started: 'CONFIRMED',
+  'In Progress': 'CONFIRMED',
+  Completed: 'CONFIRMED',
+  Cancelled: 'CANCELLED'
+};
+
+module.exports = CalendarFeed;
@@ -0,0 +1,147 @@
+/**
+ * Rules for a clinic's service catalogue: item codes, which price applies
+ * on a given day, when an item is on offer, and how a catalogue item
+ * becomes an invoice line.
+ *
+ * Prices are kept as a history of { price, effectiveFrom } entries. An
+ * entry that has already taken effect is never changed, so the price list
+ * on any past day can still be read back; a new price is added with the
+ * day it starts. Invoices copy the price onto their line when raised, so a
+ * later price change never alters what an old invoice charged.
+ */
+
+const ClinicTime = require('./clinicTime');
+
+// Consultation fees stay with each doctor's fees
+const CATEGORIES = ['procedure', 'lab_test', 'imaging', 'package', 'other'];
+
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,19}$/;
+
+const day = (value) => ClinicTime.dayKey(value);
+
+const byEffectiveFrom = (a, b) => day(a.effectiveFrom).localeCompare(day(b.effectiveFrom));
+
+class Catalogue {
+  // Codes are matched case-insensitively and printed in capitals, e.g. "LAB-CBC"
+  static normaliseCode(code) {
+    return String(code || '').trim().toUpperCase().replace(/\s+/g, '-');
+  }
+
+  static isValidCode(code) {
+    return CODE_PATTERN.test(Catalogue.normaliseCode(code));
+  }
+
+  /**
+   * The price entry in effect on a day
+   * @param {Array<Object>} prices - Entries with { price, effectiveFrom }
+   * @param {Date|string} on - Day, "YYYY-MM-DD" or a stored date
+   * @returns {Object|null} The entry, or null before the first price starts
+   */
+  static priceOn(prices = [], on) {
+    const target = day(on);
+    return [...prices]
+      .sort(byEffectiveFrom)
+      .filter(entry => day(entry.effectiveFrom) <= target)
+      .pop() || null;
+  }
+
+  /**
+   * Whether an item can be billed on a day: within its effective dates and priced
+   * @param {Object} item - { effectiveFrom, effectiveTo, prices }
+   * @param {Date|string} on
+   * @returns {boolean}
+   */
+  static isOffered(item, on) {
+    const target = day(on);
+    if (item.effectiveFrom && day(item.effectiveFrom) > target) return false;
+    if (item.effectiveTo && day(item.effectiveTo) < target) return false;
+    return Boolean(Catalogue.priceOn(item.prices, target));
+  }
+
+  /**
+   * Why a new price can't be added, or null if it can. Prices that have
+   * already taken effect are history and can't be replaced or back-dated.
+   * @param {Object} entry - { price, effectiveFrom }
+   * @param {string} today - "YYYY-MM-DD" at the clinic
+   * @returns {string|null}
+   */
+  static priceError(entry, today) {
+    const price = Number(entry.price);
+    if (entry.price === undefined || entry.price === null || entry.price === '' || Number.isNaN(price) || price < 0) {
+      return 'Price must be zero or more';
+    }
+    const from = day(entry.effectiveFrom);
+    if (!from) return 'A valid start date is required';
+    if (from < today) return 'Prices can only start today or later; earlier prices are kept as history';
+    return null;
+  }
+
+  /**
+   * Add a price to the history. A price already scheduled for the same
+   * day is replaced.
+   * @param {Array<Object>} prices
+   * @param {Object} entry - { price, effectiveFrom, ... }
+   * @returns {Array<Object>} The new history, oldest first
+   */
+  static withPrice(prices = [], entry) {
+    const from = day(entry.effectiveFrom);
+    return [...prices.filter(existing => day(existing.effectiveFrom) !== from), entry].sort(byEffectiveFrom);
+  }
+
+  /**
+   * The price history as shown in the catalogue, newest first, with the
+   * day each price stopped applying
+   * @param {Array<Object>} prices
+   * @param {string} today - "YYYY-MM-DD" at the clinic
+   * @returns {Array<Object>} [{ price, effectiveFrom, effectiveTo, status, note, createdBy }]
+   */
+  static history(prices = [], today) {
+    const sorted = [...prices].sort(byEffectiveFrom);
+    const current = Catalogue.priceOn(sorted, today);
+    return sorted.map((entry, index) => {
+      const next = sorted[index + 1];
+      const from = day(entry.effectiveFrom);
+      let status = 'past';
+      if (entry === current) status = 'current';
+      else if (from > today) status = 'scheduled';
+      return {
+        price: entry.price,
+        effectiveFrom: from,
+        effectiveTo: next ? day(ClinicTime.addDays(next.effectiveFrom, -1)) : null,
+        status,
+        note: entry.note || '',
+        createdBy: entry.createdBy?.name || null
+      };
+    }).reverse();
+  }
+
+  /**
+   * Invoice line for a catalogue item, priced as on the invoice date
+   * @param {Object} item - Catalogue item
+   * @param {Date|string} on - Invoice date
+   * @returns {Object} Line item fields
+   */
+  static lineFor(item, on) {
+    const entry = Catalogue.priceOn(item.prices, on);
+    return {
+      type: 'service',
+      catalogItemId: item._id,
+      code: item.code,
+      description: item.name,
+      qty: 1,
+      unitPrice: entry ? entry.price : 0,
+      taxClass: item.taxClass,
+      taxRate: item.taxRate,
+      hsnSac: item.hsnSac
+    };
+  }
+
+  static label(category) {
+    const text = String(category || '').replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+Catalogue.CATEGORIES = CATEGORIES;
+
+module.exports = Catalogue;
@@ -0,0 +1,135 @@
+/**
+ * Clinic-local time.
+ *
+ * Appointments store a calendar day (UTC midnight of "YYYY-MM-DD") plus a
+ * bare "HH:MM" wall-clock time, both meaning the clinic's local time. These
+ * helpers turn that pair into a real instant for a clinic's IANA timezone,
+ * and answer "what day/time is it at the clinic" without depending on the
+ * server's own timezone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class ClinicTime {
+  static isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Wall-clock fields of an instant in a timezone
+  static parts(timeZone, instant = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || ClinicTime.DEFAULT_TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(instant).forEach(part => { parts[part.type] = Number(part.value); });
+    return parts;
+  }
+
+  /**
+   * Current calendar day and minute of day at the clinic
+   * @param {string} [timeZone] - IANA zone, defaults to DEFAULT_TIME_ZONE
+   * @param {Date} [now]
+   * @returns {Object} { day: "YYYY-MM-DD", time: "HH:MM", minutes }
+   */
+  static now(timeZone, now = new Date()) {
+    const { year, month, day, hour, minute } = ClinicTime.parts(timeZone, now);
+    return {
+      day: `${year}-${pad(month)}-${pad(day)}`,
+      time: `${pad(hour)}:${pad(minute)}`,
+      minutes: hour * 60 + minute
+    };
+  }
+
+  static today(timeZone, now = new Date()) {
+    return ClinicTime.now(timeZone, now).day;
+  }
+
+  // Minutes the zone is ahead of UTC at an instant
+  static offsetMinutes(timeZone, instant = new Date()) {
+    const { year, month, day, hour, minute, second } = ClinicTime.parts(timeZone, instant);
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((wall - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * The instant a clinic-local day and time refer to
+   * @param {Date|string} date - "YYYY-MM-DD" or a stored (UTC midnight) date
+   * @param {string} time - "HH:MM"
+   * @param {string} [timeZone]
+   * @returns {Date}
+   */
+  static toInstant(date, time, timeZone) {
+    const day = ClinicTime.dayKey(date);
+    const [hours, minutes] = String(time || '00:00').split(':').map(Number);
+    const wall = new Date(`${day}T00:00:00Z`).getTime() + (hours * 60 + minutes) * 60000;
+
+    // Correct by the offset at the first guess, then again in case that crossed a DST change
+    let instant = wall - ClinicTime.offsetMinutes(timeZone, new Date(wall)) * 60000;
+    instant = wall - ClinicTime.offsetMinutes(timeZone, new Date(instant)) * 60000;
+    return new Date(instant);
+  }
+
+  /**
+   * Calendar day of a "YYYY-MM-DD" string or a stored date
+   * @param {Date|string} value
+   * @returns {string|null} "YYYY-MM-DD"
+   */
+  static dayKey(value) {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date)) return null;
+    return date.toISOString().split('T')[0];
+  }
+
+  // Stored form of a calendar day (UTC midnight)
+  static dayStart(date) {
+    return new Date(`${ClinicTime.dayKey(date)}T00:00:00Z`);
+  }
+
+  static addDays(date, days) {
+    return new Date(ClinicTime.dayStart(date).getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Short name for the zone, e.g. "IST" or "GMT+4"
+   * @param {string} [timeZone]
+   * @param {Date} [at] - Instant the name applies to (matters across DST)
+   * @returns {string}
+   */
+  static zoneLabel(timeZone, at = new Date()) {
+    const part = new Intl.DateTimeFormat('en-IN', {
+      timeZone: timeZone || ClinicTime.DEFAULT_TIME_ZONE,
+      timeZoneName: 'short'
+    }).formatToParts(at).find(entry => entry.type === 'timeZoneName');
+    return part ? part.value : (timeZone || ClinicTime.DEFAULT_TIME_ZONE);
+  }
+
+  /**
+   * Readable calendar day of a stored date, never shifted by the server's zone
+   * @param {Date|string} date
+   * @param {Object} [options] - Intl date options
+   * @returns {string}
+   */
+  static formatDay(date, options = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) {
+    return ClinicTime.dayStart(date).toLocaleDateString('en-IN', { ...options, timeZone: 'UTC' });
+  }
+}
+
+ClinicTime.DEFAULT_TIME_ZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+module.exports = ClinicTime;
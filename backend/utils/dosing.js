@@ -0,0 +1,312 @@
+/**
+ * Structured medication dosing
+ * Parses free-text dosage/frequency/duration into machine-readable fields and
+ * works out how many units to dispense and when a course ends.
+ */
+
+const DOSE_UNITS = ['mg', 'mcg', 'g', 'ml', 'iu', 'unit', 'tablet', 'capsule', 'puff', 'drop', 'sachet', 'application', 'patch', 'suppository'];
+
+const ROUTES = ['oral', 'sublingual', 'topical', 'inhalation', 'intravenous', 'intramuscular', 'subcutaneous', 'ophthalmic', 'otic', 'nasal', 'rectal', 'vaginal', 'transdermal'];
+
+// timesPerDay for interval codes; STAT is a single dose regardless of duration
+const FREQUENCIES = {
+  OD: { label: 'Once daily', timesPerDay: 1 },
+  BD: { label: 'Twice daily', timesPerDay: 2 },
+  TDS: { label: 'Three times daily', timesPerDay: 3 },
+  QID: { label: 'Four times daily', timesPerDay: 4 },
+  HS: { label: 'At bedtime', timesPerDay: 1 },
+  q4h: { label: 'Every 4 hours', timesPerDay: 6 },
+  q6h: { label: 'Every 6 hours', timesPerDay: 4 },
+  q8h: { label: 'Every 8 hours', timesPerDay: 3 },
+  q12h: { label: 'Every 12 hours', timesPerDay: 2 },
+  ALT: { label: 'Alternate days', timesPerDay: 0.5 },
+  WEEKLY: { label: 'Once weekly', timesPerDay: 1 / 7 },
+  STAT: { label: 'Single dose immediately', timesPerDay: null },
+  PRN: { label: 'As needed', timesPerDay: null }
+};
+
+// Units counted one-for-one in inventory (tablets, capsules, ...)
+const COUNTABLE_UNITS = ['tablet', 'capsule', 'sachet', 'patch', 'suppository'];
+// A strength ("500mg") usually means one tablet/capsule of that strength per dose
+const STRENGTH_UNITS = ['mg', 'mcg', 'g', 'iu'];
+
+const UNIT_ALIASES = [
+  [/^(mg|milligrams?)$/, 'mg'],
+  [/^(mcg|µg|ug|micrograms?)$/, 'mcg'],
+  [/^(g|gm|grams?)$/, 'g'],
+  [/^(ml|mls|millilitres?|milliliters?|cc)$/, 'ml'],
+  [/^(iu)$/, 'iu'],
+  [/^(u|units?)$/, 'unit'],
+  [/^(tabs?|tablets?|tab\.)$/, 'tablet'],
+  [/^(caps?|capsules?)$/, 'capsule'],
+  [/^(puffs?|inhalations?)$/, 'puff'],
+  [/^(drops?|gtts?)$/, 'drop'],
+  [/^(sachets?)$/, 'sachet'],
+  [/^(applications?|apply)$/, 'application'],
+  [/^(patch|patches)$/, 'patch'],
+  [/^(suppositor(y|ies))$/, 'suppository']
+];
+
+const FREQUENCY_PATTERNS = [
+  [/\bstat\b|\bimmediately\b|\bsingle dose\b|\bonce only\b/, 'STAT'],
+  [/\bq\.?\s?4\s?h|\b4\s?(-\s?)?hourly\b|every 4 hours?/, 'q4h'],
+  [/\bq\.?\s?6\s?h|\b6\s?(-\s?)?hourly\b|every 6 hours?/, 'q6h'],
+  [/\bq\.?\s?8\s?h|\b8\s?(-\s?)?hourly\b|every 8 hours?/, 'q8h'],
+  [/\bq\.?\s?12\s?h|\b12\s?(-\s?)?hourly\b|every 12 hours?/, 'q12h'],
+  [/\bq\.?i\.?d\b|\bq\.?d\.?s\b|four times|4 times/, 'QID'],
+  [/\bt\.?d\.?s\b|\bt\.?i\.?d\b|three times|thrice|3 times/, 'TDS'],
+  [/\bb\.?d\b|\bb\.?i\.?d\b|twice|two times|2 times/, 'BD'],
+  [/\bh\.?s\b|bed ?time|at night|before sleep/, 'HS'],
+  [/alternate days?|every other day/, 'ALT'],
+  [/weekly|once a week|every week/, 'WEEKLY'],
+  [/\bo\.?d\b|\bq\.?d\b|once|daily|every day|every morning|a day\b|per day/, 'OD']
+];
+
+const PRN_PATTERN = /\bprn\b|\bs\.?o\.?s\b|as needed|as required|when required|if needed|when needed|as and when/;
+
+const ROUTE_PATTERNS = [
+  [/sublingual|under the tongue|\bsl\b/, 'sublingual'],
+  [/inhal|\bpuffs?\b|nebuli[sz]/, 'inhalation'],
+  [/\bi\.?v\b|intravenous/, 'intravenous'],
+  [/\bi\.?m\b|intramuscular/, 'intramuscular'],
+  [/\bs\.?c\b|subcutaneous|sub-cut/, 'subcutaneous'],
+  [/eye|ophthalmic/, 'ophthalmic'],
+  [/\bear\b|otic/, 'otic'],
+  [/nasal|nostril/, 'nasal'],
+  [/rectal|suppositor/, 'rectal'],
+  [/vaginal|pessar/, 'vaginal'],
+  [/patch|transdermal/, 'transdermal'],
+  [/cream|ointment|\bgel\b|lotion|apply|topical|local application/, 'topical']
+];
+
+class Dosing {
+  static normalizeUnit(unit) {
+    const value = String(unit || '').toLowerCase().trim();
+    const match = UNIT_ALIASES.find(([pattern]) => pattern.test(value));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * "500mg" -> { amount: 500, unit: 'mg' }, "1/2 tab" -> { amount: 0.5, unit: 'tablet' }
+   * @param {string} text - Free-text dosage
+   * @returns {{amount: number, unit: string}|null}
+   */
+  static parseDose(text) {
+    const value = String(text || '').toLowerCase().replace(/,/g, '.').trim();
+    if (!value) return null;
+
+    // 1 tsp is the conventional 5 ml
+    const spoon = value.match(/^(\d+(?:\.\d+)?)\s*(tsp|teaspoons?|tbsp|tablespoons?)\b/);
+    if (spoon) {
+      const perSpoon = /^(tbsp|tablespoon)/.test(spoon[2]) ? 15 : 5;
+      return { amount: parseFloat(spoon[1]) * perSpoon, unit: 'ml' };
+    }
+
+    const match = value.match(/^(\d+\s*\/\s*\d+|\d+(?:\.\d+)?|half|one|two|three)\s*([a-zµ.]+)?/);
+    if (!match) return null;
+
+    const words = { half: 0.5, one: 1, two: 2, three: 3 };
+    let amount;
+    if (words[match[1]] !== undefined) {
+      amount = words[match[1]];
+    } else if (match[1].includes('/')) {
+      const [numerator, denominator] = match[1].split('/').map(n => parseFloat(n));
+      amount = denominator ? numerator / denominator : NaN;
+    } else {
+      amount = parseFloat(match[1]);
+    }
+
+    if (!(amount > 0)) return null;
+
+    const unit = this.normalizeUnit(match[2]);
+    return unit ? { amount, unit } : null;
+  }
+
+  /**
+   * "Twice daily" -> BD, "1-0-1" -> BD, "SOS" -> PRN
+   * @param {string} text - Free-text frequency
+   * @returns {{code: string, timesPerDay: number|null, prn: boolean}|null}
+   */
+  static parseFrequency(text) {
+    const value = String(text || '').toLowerCase().trim();
+    if (!value) return null;
+
+    const prn = PRN_PATTERN.test(value);
+
+    // Exact code typed by the doctor ("BD", "q8h")
+    const exact = Object.keys(FREQUENCIES).find(code => code.toLowerCase() === value.replace(/[\s.]/g, ''));
+    if (exact) {
+      return { code: exact, timesPerDay: FREQUENCIES[exact].timesPerDay, prn: exact === 'PRN' };
+    }
+
+    // Morning-noon-night notation common on Indian prescriptions: "1-0-1", "1-1-1-1"
+    const slots = value.match(/^(\d+(?:\.\d+)?|½)\s*-\s*(\d+(?:\.\d+)?|½)\s*-\s*(\d+(?:\.\d+)?|½)(?:\s*-\s*(\d+(?:\.\d+)?|½))?/);
+    if (slots) {
+      const taken = slots.slice(1).filter(slot => slot !== undefined && slot !== '0').length;
+      const code = { 1: 'OD', 2: 'BD', 3: 'TDS', 4: 'QID' }[taken];
+      if (code) {
+        return { code, timesPerDay: FREQUENCIES[code].timesPerDay, prn };
+      }
+    }
+
+    const pattern = FREQUENCY_PATTERNS.find(([regex]) => regex.test(value));
+    if (pattern) {
+      return { code: pattern[1], timesPerDay: FREQUENCIES[pattern[1]].timesPerDay, prn };
+    }
+
+    return prn ? { code: 'PRN', timesPerDay: null, prn: true } : null;
+  }
+
+  /**
+   * "7 days" -> 7, "2 weeks" -> 14, "1 month" -> 30; ongoing courses -> null
+   * @param {string} text - Free-text duration
+   * @returns {number|null} Duration in days
+   */
+  static parseDuration(text) {
+    const value = String(text || '').toLowerCase().trim();
+    if (!value) return null;
+
+    const match = value.match(/(\d+(?:\.\d+)?)\s*(d|days?|w|wks?|weeks?|m|months?)?\b/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    const unit = match[2] || 'd';
+    let days = amount;
+    if (/^w/.test(unit)) days = amount * 7;
+    if (/^m/.test(unit)) days = amount * 30;
+
+    return days > 0 ? Math.round(days) : null;
+  }
+
+  static parseRoute(...texts) {
+    const value = texts.filter(Boolean).join(' ').toLowerCase();
+    const match = ROUTE_PATTERNS.find(([regex]) => regex.test(value));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Number of doses over the whole course, or null when it can't be known
+   * (PRN without a frequency, or no duration)
+   */
+  static totalDoses({ frequencyCode, timesPerDay, durationDays, prn }) {
+    if (frequencyCode === 'STAT') return 1;
+    if (!timesPerDay || !durationDays) return null;
+    if (prn && frequencyCode === 'PRN') return null;
+    // Round first so 1/7 x 28 days doesn't become 5 doses through float error
+    return Math.ceil(Number((timesPerDay * durationDays).toFixed(6)));
+  }
+
+  /**
+   * Units to dispense for the course, in inventory units (tablets, capsules...).
+   * Liquids, drops and creams are dispensed as packs, so no count is given.
+   * @returns {number|null}
+   */
+  static calculateTotalQuantity(medication) {
+    const doses = this.totalDoses(medication);
+    if (!doses || !medication.doseUnit) return null;
+
+    if (COUNTABLE_UNITS.includes(medication.doseUnit)) {
+      return Math.ceil(doses * (medication.doseAmount || 1));
+    }
+    if (STRENGTH_UNITS.includes(medication.doseUnit)) {
+      return doses;
+    }
+    return null;
+  }
+
+  /**
+   * Last day of the course, counting the start date as day 1
+   * @param {Date|string} startDate - Prescription date
+   * @param {Object} medication - Structured medication
+   * @returns {Date|null}
+   */
+  static courseEndDate(startDate, medication) {
+    if (!startDate) return null;
+    const start = new Date(startDate);
+    if (isNaN(start)) return null;
+
+    if (medication.frequencyCode === 'STAT') return start;
+    if (!medication.durationDays) return null;
+
+    const end = new Date(start);
+    end.setDate(end.getDate() + medication.durationDays - 1);
+    return end;
+  }
+
+  static formatDose(amount, unit) {
+    if (!amount || !unit) return '';
+    const countable = [...COUNTABLE_UNITS, 'puff', 'drop', 'unit', 'application'];
+    const plural = countable.includes(unit) && amount !== 1 ? `${unit}s` : unit;
+    return countable.includes(unit) ? `${amount} ${plural}` : `${amount}${unit}`;
+  }
+
+  static formatFrequency(code, prn) {
+    const label = FREQUENCIES[code]?.label;
+    if (!label) return prn ? 'As needed' : '';
+    return prn && code !== 'PRN' ? `${label} as needed` : label;
+  }
+
+  /**
+   * Fill structured fields from free text (and free text from structured
+   * fields) and recalculate the dispense quantity.
+   * @param {Object} medication - Plain object or subdocument; updated in place
+   * @returns {Object} The same medication
+   */
+  static structure(medication) {
+    if (medication.doseAmount == null || !medication.doseUnit) {
+      const dose = this.parseDose(medication.dosage);
+      if (dose) {
+        medication.doseAmount = dose.amount;
+        medication.doseUnit = dose.unit;
+      }
+    }
+
+    if (!medication.frequencyCode) {
+      const frequency = this.parseFrequency(medication.frequency);
+      if (frequency) {
+        medication.frequencyCode = frequency.code;
+        medication.prn = medication.prn || frequency.prn;
+      }
+    }
+    if (medication.frequencyCode && FREQUENCIES[medication.frequencyCode]) {
+      medication.timesPerDay = FREQUENCIES[medication.frequencyCode].timesPerDay;
+      if (medication.frequencyCode === 'PRN') medication.prn = true;
+    }
+
+    if (medication.durationDays == null) {
+      const days = this.parseDuration(medication.duration);
+      if (days) medication.durationDays = days;
+    }
+
+    if (!medication.route) {
+      medication.route = this.parseRoute(medication.name, medication.dosage, medication.instructions) ||
+        (COUNTABLE_UNITS.includes(medication.doseUnit) || STRENGTH_UNITS.includes(medication.doseUnit) || medication.doseUnit === 'ml'
+          ? 'oral'
+          : undefined);
+    }
+
+    // Text stays the human-readable version shown on screens and printouts
+    if (!String(medication.dosage || '').trim() && medication.doseAmount) {
+      medication.dosage = this.formatDose(medication.doseAmount, medication.doseUnit);
+    }
+    if (!String(medication.frequency || '').trim() && medication.frequencyCode) {
+      medication.frequency = this.formatFrequency(medication.frequencyCode, medication.prn);
+    }
+    if (!String(medication.duration || '').trim() && medication.durationDays) {
+      medication.duration = `${medication.durationDays} day${medication.durationDays === 1 ? '' : 's'}`;
+    }
+
+    const quantity = this.calculateTotalQuantity(medication);
+    if (quantity !== null) {
+      medication.totalQuantity = quantity;
+    }
+
+    return medication;
+  }
+}
+
+Dosing.DOSE_UNITS = DOSE_UNITS;
+Dosing.ROUTES = ROUTES;
+Dosing.FREQUENCIES = FREQUENCIES;
+
+module.exports = Dosing;
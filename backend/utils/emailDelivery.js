@@ -0,0 +1,72 @@
+/**
+ * Outbound email delivery rules: what gets retried, how long to wait,
+ * and what can be resent from the delivery log.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// What each email is, for the delivery log
+const TEMPLATES = {
+  otp: 'Verification code',
+  password_reset: 'Password reset',
+  referral: 'Referral',
+  waitlist_offer: 'Waitlist offer',
+  appointment_reminder: 'Appointment reminder',
+  notification: 'Notification',
+  welcome: 'Welcome',
+  test: 'Test email',
+  other: 'Other'
+};
+
+// queued: first try pending; retrying: waiting for the next try;
+// failed: a send-once email that did not go; dead: gave up after retries
+const STATUSES = ['queued', 'retrying', 'sent', 'failed', 'dead'];
+
+class EmailDelivery {
+  /**
+   * Whether trying again could help. SMTP 5xx replies and malformed
+   * envelopes are permanent; connection, timeout and 4xx errors are not.
+   * Login failures are retried so fixing the credentials lets queued mail through.
+   * @param {Error} error - Nodemailer error
+   * @returns {boolean}
+   */
+  static isRetryable(error) {
+    if (!error) return true;
+    if (error.code === 'EAUTH') return true;
+    if (error.code === 'EENVELOPE') return false;
+    const responseCode = Number(error.responseCode);
+    return !(responseCode >= 500 && responseCode < 600);
+  }
+
+  /**
+   * Wait before the next try: 1, 2, 4, 8... minutes, the same backoff the
+   * job runner applies to the retry job
+   * @param {number} attempts - Tries made so far
+   * @returns {number} Milliseconds
+   */
+  static retryDelay(attempts) {
+    return Math.pow(2, Math.max(attempts, 1) - 1) * MINUTE_MS;
+  }
+
+  /**
+   * Status after a failed try
+   * @param {Object} email - { attempts, maxAttempts }
+   * @param {Error} error
+   * @returns {string} retrying, failed or dead
+   */
+  static statusAfterFailure(email, error) {
+    if (email.maxAttempts <= 1) return 'failed';
+    if (email.attempts >= email.maxAttempts || !EmailDelivery.isRetryable(error)) return 'dead';
+    return 'retrying';
+  }
+
+  // Finished emails whose content was kept can be sent again
+  static canResend(email) {
+    return !email.sensitive && ['sent', 'failed', 'dead'].includes(email.status) && Boolean(email.html || email.text);
+  }
+}
+
+EmailDelivery.TEMPLATES = TEMPLATES;
+EmailDelivery.STATUSES = STATUSES;
+
+module.exports = EmailDelivery;
@@ -0,0 +1,234 @@
+/**
+ * Clinic-editable email templates.
+ *
+ * Clinics write a subject and a plain-text body with {{variable}}
+ * placeholders; the body is laid out in a shared HTML frame with the
+ * clinic's logo, and the type's code or button. Emails without a clinic
+ * template keep EmailService's built-in layouts.
+ */
+
+const Reminders = require('./reminders');
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Available in every template
+const COMMON_VARIABLES = ['clinicName', 'clinicPhone', 'clinicLogo'];
+
+const TEMPLATES = {
+  otp: {
+    label: 'Verification codes',
+    description: 'Patient portal and online booking sign-in codes',
+    variables: ['code', 'expiresMinutes', 'patientName'],
+    // Shown as a large code box under the message
+    highlight: 'code',
+    subject: 'Your {{clinicName}} verification code',
+    body: `{{clinicLogo}}
+
+Hello {{patientName}},
+
+Use this code to continue. It expires in {{expiresMinutes}} minutes.
+
+If you did not ask for a code, you can ignore this email. Never share the code with anyone, including clinic staff.`
+  },
+  password_reset: {
+    label: 'Password reset',
+    description: 'Code for staff resetting a forgotten password',
+    variables: ['code', 'expiresMinutes', 'name'],
+    highlight: 'code',
+    subject: 'Reset your {{clinicName}} password',
+    body: `{{clinicLogo}}
+
+Hello {{name}},
+
+We received a request to reset your password. Enter this code to choose a new one. It expires in {{expiresMinutes}} minutes.
+
+If you did not ask for a reset, ignore this email and your password will stay the same.`
+  },
+  referral: {
+    label: 'Referrals to specialists',
+    description: 'Sent to the doctor a patient is referred to',
+    variables: ['recipientName', 'patientName', 'specialty', 'urgency', 'reason', 'preferredDate', 'referringDoctor', 'referringDoctorPhone', 'referralDate'],
+    subject: 'New referral - {{patientName}} ({{specialty}}, {{urgency}} urgency)',
+    body: `{{clinicLogo}}
+
+Dear Dr. {{recipientName}},
+
+{{referringDoctor}} at {{clinicName}} has referred {{patientName}} to you for {{specialty}}.
+
+Urgency: {{urgency}}
+Reason: {{reason}}
+Preferred date: {{preferredDate}}
+
+Please contact the patient to arrange an appointment. For questions, call {{referringDoctorPhone}}.`
+  },
+  waitlist_offer: {
+    label: 'Waitlist offers',
+    description: 'An earlier slot opened up for a patient on the waitlist',
+    variables: ['patientName', 'doctorName', 'date', 'time', 'expiresAt', 'offerUrl'],
+    // Rendered as a button under the message
+    action: { label: 'View and accept', variable: 'offerUrl' },
+    subject: 'An earlier appointment is available with Dr. {{doctorName}}',
+    body: `{{clinicLogo}}
+
+Dear {{patientName}},
+
+Good news - an earlier appointment with Dr. {{doctorName}} at {{clinicName}} has opened up:
+
+{{date}} at {{time}}
+
+It is held for you until {{expiresAt}}. After that it will be offered to the next patient on the waitlist.`
+  }
+};
+
+// Sample data for previews and test sends
+const SAMPLE_VARIABLES = {
+  clinicName: 'City Care Clinic',
+  clinicPhone: '+91 98765 43210',
+  clinicLogo: '',
+  code: '482913',
+  expiresMinutes: 5,
+  patientName: 'Priya Sharma',
+  name: 'Priya Sharma',
+  recipientName: 'Kavya Rao',
+  specialty: 'Cardiology',
+  urgency: 'Medium',
+  reason: 'Recurring chest pain on exertion',
+  preferredDate: 'Monday, 12 January 2026',
+  referringDoctor: 'Dr. Arjun Mehta',
+  referringDoctorPhone: '+91 91234 56789',
+  referralDate: 'Friday, 9 January 2026',
+  doctorName: 'Arjun Mehta',
+  date: 'Monday, 12 January 2026',
+  time: '10:30 IST',
+  expiresAt: '12 Jan, 08:30 IST',
+  offerUrl: 'https://example.com/waitlist-offer/sample'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isUrl = (value) => /^https?:\/\/\S+$/.test(String(value || ''));
+
+class EmailTemplates {
+  static isKey(key) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATES, key);
+  }
+
+  // Every variable a template can use, common ones last
+  static variablesFor(key) {
+    return [...(TEMPLATES[key]?.variables || []), ...COMMON_VARIABLES];
+  }
+
+  /**
+   * Placeholders in a subject or body the template does not provide
+   * @param {string} key
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  static unknownVariables(key, text) {
+    const known = EmailTemplates.variablesFor(key);
+    const found = [...String(text || '').matchAll(PLACEHOLDER)].map(match => match[1]);
+    return [...new Set(found.filter(name => !known.includes(name)))];
+  }
+
+  /**
+   * Render a clinic template to a ready-to-send email
+   * @param {string} key - One of TEMPLATES
+   * @param {Object} template - { subject, body }
+   * @param {Object} variables
+   * @returns {Object} { subject, html, text }
+   */
+  static render(key, template, variables = {}) {
+    const definition = TEMPLATES[key];
+    const subject = Reminders.render(template.subject, variables).replace(/\s+/g, ' ').trim();
+    const text = EmailTemplates.renderText(definition, template.body, variables);
+    const html = EmailTemplates.renderHtml(definition, subject, template.body, variables);
+    return { subject, html, text };
+  }
+
+  static renderText(definition, body, variables) {
+    const lines = [
+      Reminders.render(String(body || '').replace(/\{\{\s*clinicLogo\s*\}\}/g, ''), variables).trim()
+    ];
+    if (definition?.highlight && variables[definition.highlight]) {
+      lines.push(String(variables[definition.highlight]));
+    }
+    if (definition?.action && variables[definition.action.variable]) {
+      lines.push(`${definition.action.label}: ${variables[definition.action.variable]}`);
+    }
+    lines.push(EmailTemplates.footer(variables));
+    return lines.join('\n\n');
+  }
+
+  // Escapes everything the clinic typed; {{clinicLogo}} becomes the logo and URL values become links
+  static renderHtml(definition, subject, body, variables) {
+    const fill = (text) => {
+      let html = '';
+      let last = 0;
+      for (const match of text.matchAll(PLACEHOLDER)) {
+        html += escapeHtml(text.slice(last, match.index));
+        const name = match[1];
+        const value = variables[name];
+        if (name === 'clinicLogo') {
+          html += isUrl(value)
+            ? `<img src="${escapeHtml(value)}" alt="${escapeHtml(variables.clinicName)}" style="max-height: 64px; max-width: 240px;">`
+            : '';
+        } else if (isUrl(value)) {
+          html += `<a href="${escapeHtml(value)}" style="color: #2c5aa0;">${escapeHtml(value)}</a>`;
+        } else {
+          html += escapeHtml(value);
+        }
+        last = match.index + match[0].length;
+      }
+      return html + escapeHtml(text.slice(last));
+    };
+
+    const paragraphs = String(body || '')
+      .split(/\n\s*\n/)
+      .map(paragraph => fill(paragraph.trim()).replace(/\n/g, '<br>'))
+      .filter(Boolean)
+      .map(paragraph => `<p style="margin: 0 0 16px;">${paragraph}</p>`)
+      .join('\n            ');
+
+    const highlight = definition?.highlight && variables[definition.highlight]
+      ? `<div style="font-size: 32px; font-weight: bold; letter-spacing: 8px; text-align: center; background: #f0f4fa; border-radius: 8px; padding: 16px; margin: 0 0 16px; color: #2c5aa0;">${escapeHtml(variables[definition.highlight])}</div>`
+      : '';
+    const actionUrl = definition?.action && variables[definition.action.variable];
+    const action = isUrl(actionUrl)
+      ? `<p style="text-align: center; margin: 24px 0;"><a href="${escapeHtml(actionUrl)}" style="background: #2c5aa0; color: #ffffff; padding: 14px 32px; border-radius: 6px; text-decoration: none; font-weight: bold;">${escapeHtml(definition.action.label)}</a></p>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f4f6f9; margin: 0; padding: 20px;">
+    <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 10px; padding: 32px;">
+            ${paragraphs}
+            ${highlight}
+            ${action}
+        <p style="margin: 24px 0 0; font-size: 12px; color: #888; border-top: 1px solid #eee; padding-top: 16px;">${escapeHtml(EmailTemplates.footer(variables))}</p>
+    </div>
+</body>
+</html>`;
+  }
+
+  static footer(variables) {
+    const clinic = variables.clinicName || 'SMAART Healthcare';
+    return variables.clinicPhone ? `${clinic} · ${variables.clinicPhone}` : clinic;
+  }
+}
+
+EmailTemplates.TEMPLATES = TEMPLATES;
+EmailTemplates.COMMON_VARIABLES = COMMON_VARIABLES;
+EmailTemplates.SAMPLE_VARIABLES = SAMPLE_VARIABLES;
+EmailTemplates.escapeHtml = escapeHtml;
+
+module.exports = EmailTemplates;
@@ -0,0 +1,559 @@
+/**
+ * Indian GST rules for invoices: GSTINs and state codes, the tax class of
+ * each kind of line, place of supply, the CGST/SGST or IGST split, and the
+ * monthly GSTR-1 return built from a clinic's invoices.
+ *
+ * Healthcare services by a clinical establishment are exempt (SAC 9993);
+ * medicines and other goods sold by the pharmacy are taxable. Prices are
+ * exclusive of GST, which is added on top of each line's value after its
+ * share of the invoice discount.
+ */
+
+const ClinicTime = require('./clinicTime');
+
+// GST state and union territory codes, the first two digits of a GSTIN
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+// Other spellings found in clinic and patient addresses
+const STATE_ALIASES = {
+  'jammu kashmir': '01',
+  'j and k': '01',
+  'orissa': '21',
+  'pondicherry': '34',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'andaman and nicobar': '35',
+  'uttaranchal': '05'
+};
+
+// exempt: healthcare services; nil_rated: goods at 0%; non_gst: outside GST altogether
+const TAX_CLASSES = ['taxable', 'exempt', 'nil_rated', 'non_gst'];
+
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+// How each kind of line is taxed unless the invoice says otherwise
+const ITEM_DEFAULTS = {
+  service: { taxClass: 'exempt', taxRate: 0, hsnSac: '999312' },
+  appointment: { taxClass: 'exempt', taxRate: 0, hsnSac: '999312' },
+  teleconsultation: { taxClass: 'exempt', taxRate: 0, hsnSac: '999312' },
+  medication: { taxClass: 'taxable', taxRate: 5, hsnSac: '3004' },
+  other: { taxClass: 'exempt', taxRate: 0 }
+};
+
+// Invoices to unregistered buyers in another state above this value are reported one by one
+const B2CL_THRESHOLD = 100000;
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const stateKey = (name) => String(name || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z]+/g, ' ').trim();
+
+const STATE_NAMES = Object.entries(STATE_CODES).reduce((names, [code, name]) => {
+  names[stateKey(name)] = code;
+  return names;
+}, { ...STATE_ALIASES });
+
+// GSTR-1 columns of each section, for the CSV export
+const GSTR1_COLUMNS = {
+  b2b: [
+    ['recipientGstin', 'GSTIN/UIN of Recipient'],
+    ['receiverName', 'Receiver Name'],
+    ['invoiceNumber', 'Invoice Number'],
+    ['invoiceDate', 'Invoice date'],
+    ['invoiceValue', 'Invoice Value'],
+    ['placeOfSupply', 'Place Of Supply'],
+    ['reverseCharge', 'Reverse Charge'],
+    ['invoiceType', 'Invoice Type'],
+    ['rate', 'Rate'],
+    ['taxableValue', 'Taxable Value'],
+    ['igst', 'Integrated Tax'],
+    ['cgst', 'Central Tax'],
+    ['sgst', 'State/UT Tax']
+  ],
+  b2cl: [
+    ['invoiceNumber', 'Invoice Number'],
+    ['invoiceDate', 'Invoice date'],
+    ['invoiceValue', 'Invoice Value'],
+    ['placeOfSupply', 'Place Of Supply'],
+    ['rate', 'Rate'],
+    ['taxableValue', 'Taxable Value'],
+    ['igst', 'Integrated Tax']
+  ],
+  b2cs: [
+    ['type', 'Type'],
+    ['placeOfSupply', 'Place Of Supply'],
+    ['rate', 'Rate'],
+    ['taxableValue', 'Taxable Value'],
+    ['igst', 'Integrated Tax'],
+    ['cgst', 'Central Tax'],
+    ['sgst', 'State/UT Tax']
+  ],
+  nil: [
+    ['description', 'Description'],
+    ['nilRated', 'Nil Rated Supplies'],
+    ['exempt', 'Exempted (other than nil rated/non GST supply)'],
+    ['nonGst', 'Non-GST supplies']
+  ],
+  hsn: [
+    ['recipientType', 'Recipient Type'],
+    ['hsnSac', 'HSN'],
+    ['description', 'Description'],
+    ['uqc', 'UQC'],
+    ['quantity', 'Total Quantity'],
+    ['totalValue', 'Total Value'],
+    ['rate', 'Rate'],
+    ['taxableValue', 'Taxable Value'],
+    ['igst', 'Integrated Tax Amount'],
+    ['cgst', 'Central Tax Amount'],
+    ['sgst', 'State/UT Tax Amount']
+  ],
+  docs: [
+    ['nature', 'Nature of Document'],
+    ['from', 'Sr. No. From'],
+    ['to', 'Sr. No. To'],
+    ['totalNumber', 'Total Number'],
+    ['cancelled', 'Cancelled']
+  ],
+  unclassified: [
+    ['invoiceNumber', 'Invoice Number'],
+    ['invoiceDate', 'Invoice date'],
+    ['invoiceValue', 'Invoice Value'],
+    ['tax', 'Tax'],
+    ['reason', 'Reason']
+  ]
+};
+
+const GSTR1_SECTIONS = Object.keys(GSTR1_COLUMNS);
+
+// Statuses whose supply is reported; cancelled invoices only count in the document summary
+const REPORTED_STATUSES = ['approved', 'paid', 'partially_refunded', 'refunded'];
+
+class Gst {
+  /**
+   * Two-digit GST state code
+   * @param {string} value - State name as written in an address, or a code
+   * @returns {string|null}
+   */
+  static stateCode(value) {
+    const text = String(value || '').trim();
+    if (/^\d{1,2}$/.test(text)) {
+      const code = text.padStart(2, '0');
+      return STATE_CODES[code] ? code : null;
+    }
+    return STATE_NAMES[stateKey(text)] || null;
+  }
+
+  // Place of supply as GSTR-1 writes it, e.g. "27-Maharashtra"
+  static stateLabel(code) {
+    return STATE_CODES[code] ? `${code}-${STATE_CODES[code]}` : '';
+  }
+
+  /**
+   * Whether a GSTIN is well formed, has a known state and a matching check digit
+   * @param {string} gstin
+   * @returns {boolean}
+   */
+  static isValidGstin(gstin) {
+    const value = String(gstin || '').toUpperCase();
+    if (!GSTIN_PATTERN.test(value) || !STATE_CODES[value.slice(0, 2)]) return false;
+
+    const sum = value.slice(0, 14).split('').reduce((total, char, index) => {
+      const product = GSTIN_CHARS.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+      return total + Math.floor(product / 36) + (product % 36);
+    }, 0);
+    return GSTIN_CHARS[(36 - (sum % 36)) % 36] === value[14];
+  }
+
+  static gstinState(gstin) {
+    return Gst.isValidGstin(gstin) ? String(gstin).slice(0, 2) : null;
+  }
+
+  /**
+   * The tax class, rate and HSN/SAC code a line is billed with, taking the
+   * defaults of its type for anything it doesn't set. Only taxable lines
+   * carry a rate.
+   * @param {Object} item - Line item
+   * @returns {Object} { taxClass, taxRate, hsnSac }
+   */
+  static classify(item) {
+    const defaults = ITEM_DEFAULTS[item.type] || ITEM_DEFAULTS.other;
+    const taxClass = item.taxClass || defaults.taxClass;
+    const sameClass = taxClass === defaults.taxClass;
+    const taxRate = taxClass === 'taxable'
+      ? Number(item.taxRate ?? (sameClass ? defaults.taxRate : 0))
+      : 0;
+    return {
+      taxClass,
+      taxRate,
+      hsnSac: item.hsnSac || (sameClass ? defaults.hsnSac : undefined)
+    };
+  }
+
+  /**
+   * Why a classified line can't be taxed as it stands, or null if it can
+   * @param {Object} item - Line item after classify()
+   * @returns {string|null}
+   */
+  static lineError(item) {
+    if (!TAX_CLASSES.includes(item.taxClass)) return `Unknown tax class "${item.taxClass}"`;
+    if (item.hsnSac && !/^\d{4,8}$/.test(item.hsnSac)) return `HSN/SAC code "${item.hsnSac}" must be 4 to 8 digits`;
+    if (item.taxClass !== 'taxable') return null;
+    if (!GST_RATES.includes(item.taxRate) || item.taxRate === 0) return `${item.taxRate}% is not a GST rate for a taxable line`;
+    if (!item.hsnSac) return `Taxable line "${item.description}" needs an HSN/SAC code`;
+    return null;
+  }
+
+  /**
+   * Where a supply is taxed. A registered buyer's GSTIN decides it; for
+   * anyone else it's the billing address on record, and failing that the
+   * clinic itself.
+   * @param {Object} parties
+   * @param {string} parties.clinicState - Clinic's state name or code
+   * @param {string} [parties.recipientGstin]
+   * @param {string} [parties.billingState] - State on the invoice's address
+   * @returns {Object} { placeOfSupply, interState }, placeOfSupply null when unknown
+   */
+  static placeOfSupply({ clinicState, recipientGstin, billingState } = {}) {
+    const supplier = Gst.stateCode(clinicState);
+    const placeOfSupply = Gst.gstinState(recipientGstin) || Gst.stateCode(billingState) || supplier;
+    return {
+      placeOfSupply: placeOfSupply || null,
+      interState: Boolean(supplier && placeOfSupply && supplier !== placeOfSupply)
+    };
+  }
+
+  /**
+   * Tax on each line and for the whole invoice. The discount is shared
+   * across lines in proportion to their amounts; taxable lines pay IGST
+   * when the supply is inter-state and half the rate each as CGST and SGST
+   * otherwise.
+   * @param {Array<Object>} items - Classified lines with { amount, taxClass, taxRate }
+   * @param {Object} [options] - { discount, interState }
+   * @returns {Object} { lines: [{ taxableValue, cgst, sgst, igst }], summary }
+   */
+  static compute(items = [], { discount = 0, interState = false } = {}) {
+    const subtotal = round(items.reduce((sum, item) => sum + Number(item.amount || 0), 0));
+    const totalDiscount = Math.min(round(discount), subtotal);
+    const summary = { taxableValue: 0, exempt: 0, nilRated: 0, nonGst: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 };
+
+    let allocated = 0;
+    const lines = items.map((item, index) => {
+      const share = index === items.length - 1
+        ? round(totalDiscount - allocated)
+        : round(subtotal ? (totalDiscount * Number(item.amount || 0)) / subtotal : 0);
+      allocated = round(allocated + share);
+
+      const taxableValue = round(Number(item.amount || 0) - share);
+      const line = { taxableValue, cgst: 0, sgst: 0, igst: 0 };
+
+      if (item.taxClass === 'taxable') {
+        if (interState) {
+          line.igst = round((taxableValue * item.taxRate) / 100);
+        } else {
+          line.cgst = round((taxableValue * item.taxRate) / 200);
+          line.sgst = line.cgst;
+        }
+        summary.taxableValue = round(summary.taxableValue + taxableValue);
+      } else if (item.taxClass === 'nil_rated') {
+        summary.nilRated = round(summary.nilRated + taxableValue);
+      } else if (item.taxClass === 'non_gst') {
+        summary.nonGst = round(summary.nonGst + taxableValue);
+      } else {
+        summary.exempt = round(summary.exempt + taxableValue);
+      }
+
+      summary.cgst = round(summary.cgst + line.cgst);
+      summary.sgst = round(summary.sgst + line.sgst);
+      summary.igst = round(summary.igst + line.igst);
+      return line;
+    });
+
+    summary.tax = round(summary.cgst + summary.sgst + summary.igst);
+    return { lines, summary };
+  }
+
+  /**
+   * Tax charged at each rate, for the breakdown printed under an invoice
+   * @param {Array<Object>} items - Lines with { taxClass, taxRate, taxableValue, cgst, sgst, igst }
+   * @returns {Array<Object>} [{ rate, taxableValue, cgst, sgst, igst }] by rate
+   */
+  static byRate(items = []) {
+    const rates = {};
+    items.filter(item => item.taxClass === 'taxable').forEach(item => {
+      const entry = rates[item.taxRate] || { rate: item.taxRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+      ['taxableValue', 'cgst', 'sgst', 'igst'].forEach(field => {
+        entry[field] = round(entry[field] + Number(item[field] || 0));
+      });
+      rates[item.taxRate] = entry;
+    });
+    return Object.values(rates).sort((a, b) => a.rate - b.rate);
+  }
+
+  // Invoices raised before GST classification carry lines without a tax class
+  static isClassified(invoice) {
+    return (invoice.lineItems || []).length > 0 && invoice.lineItems.every(item => item.taxClass);
+  }
+
+  /**
+   * GSTR-1 return for a month, from the invoices dated in it
+   * @param {Array<Object>} invoices - The clinic's invoices dated in the period, any status
+   * @param {Object} options
+   * @param {string} options.gstin - The clinic's GSTIN
+   * @param {string} options.period - "YYYY-MM"
+   * @param {string} [options.timeZone] - Clinic timezone, for invoice dates
+   * @returns {Object} Sections b2b, b2cl, b2cs, nil, hsn, docs and unclassified, with totals and notes
+   */
+  static gstr1(invoices = [], { gstin, period, timeZone } = {}) {
+    const formatDate = (date) => ClinicTime.now(timeZone, new Date(date)).day.split('-').reverse().join('-');
+    const report = {
+      gstin: gstin || null,
+      period,
+      fp: period ? `${period.slice(5, 7)}${period.slice(0, 4)}` : null,
+      b2b: [],
+      b2cl: [],
+      b2cs: [],
+      nil: [],
+      hsn: [],
+      docs: [],
+      unclassified: [],
+      totals: { invoices: 0, invoiceValue: 0, taxableValue: 0, exempt: 0, nilRated: 0, nonGst: 0, cgst: 0, sgst: 0, igst: 0 },
+      notes: []
+    };
+
+    const b2cs = {};
+    const hsn = {};
+    const nil = {};
+    let pending = 0;
+    let creditNotesNeeded = 0;
+
+    const add = (target, key, create, values) => {
+      const entry = target[key] || (target[key] = create());
+      Object.entries(values).forEach(([field, value]) => {
+        entry[field] = round(entry[field] + value);
+      });
+    };
+
+    invoices.forEach(invoice => {
+      if (invoice.status === 'cancelled') return;
+      if (!REPORTED_STATUSES.includes(invoice.status)) {
+        pending++;
+        return;
+      }
+
+      const number = invoice.invoiceNumber;
+      const date = formatDate(invoice.date || invoice.createdAt);
+      const value = round(invoice.total);
+
+      if (!Gst.isClassified(invoice)) {
+        report.unclassified.push({
+          invoiceNumber: number,
+          invoiceDate: date,
+          invoiceValue: value,
+          tax: round(invoice.tax),
+          reason: 'Raised before GST classification; lines have no tax class'
+        });
+        return;
+      }
+      if (!invoice.placeOfSupply) {
+        report.unclassified.push({
+          invoiceNumber: number,
+          invoiceDate: date,
+          invoiceValue: value,
+          tax: round(invoice.tax),
+          reason: 'No place of supply; check the clinic\'s state'
+        });
+        return;
+      }
+
+      const registered = Gst.isValidGstin(invoice.recipientGstin);
+      const interState = Boolean(invoice.interState);
+      const pos = Gst.stateLabel(invoice.placeOfSupply);
+      const rates = Gst.byRate(invoice.lineItems);
+
+      report.totals.invoices++;
+      if (invoice.refundedAmount > 0) creditNotesNeeded++;
+      ['cgst', 'sgst', 'igst'].forEach(field => {
+        report.totals[field] = round(report.totals[field] + rates.reduce((sum, rate) => sum + rate[field], 0));
+      });
+      report.totals.invoiceValue = round(report.totals.invoiceValue + value);
+
+      rates.forEach(rate => {
+        report.totals.taxableValue = round(report.totals.taxableValue + rate.taxableValue);
+        if (registered) {
+          report.b2b.push({
+            recipientGstin: invoice.recipientGstin,
+            receiverName: invoice.patientName || '',
+            invoiceNumber: number,
+            invoiceDate: date,
+            invoiceValue: value,
+            placeOfSupply: pos,
+            reverseCharge: 'N',
+            invoiceType: 'Regular B2B',
+            ...rate
+          });
+        } else if (interState && value > B2CL_THRESHOLD) {
+          report.b2cl.push({
+            invoiceNumber: number,
+            invoiceDate: date,
+            invoiceValue: value,
+            placeOfSupply: pos,
+            rate: rate.rate,
+            taxableValue: rate.taxableValue,
+            igst: rate.igst
+          });
+        } else {
+          add(b2cs, `${invoice.placeOfSupply}|${rate.rate}`,
+            () => ({ type: 'OE', placeOfSupply: pos, rate: rate.rate, taxableValue: 0, igst: 0, cgst: 0, sgst: 0 }),
+            { taxableValue: rate.taxableValue, igst: rate.igst, cgst: rate.cgst, sgst: rate.sgst });
+        }
+      });
+
+      const description = `${interState ? 'Inter' : 'Intra'}-State supplies to ${registered ? 'registered' : 'unregistered'} persons`;
+      invoice.lineItems.forEach(item => {
+        const field = { nil_rated: 'nilRated', exempt: 'exempt', non_gst: 'nonGst' }[item.taxClass];
+        if (field) {
+          add(nil, description, () => ({ description, nilRated: 0, exempt: 0, nonGst: 0 }), { [field]: item.taxableValue });
+          report.totals[field] = round(report.totals[field] + item.taxableValue);
+        }
+        // Non-GST supplies are left out of the HSN summary
+        if (item.taxClass === 'non_gst') return;
+
+        const code = item.hsnSac || '';
+        const recipientType = registered ? 'B2B' : 'B2C';
+        add(hsn, `${recipientType}|${code}|${item.taxRate}`, () => ({
+          recipientType,
+          hsnSac: code,
+          description: item.description,
+          uqc: code.startsWith('99') ? 'NA' : 'NOS',
+          quantity: 0,
+          totalValue: 0,
+          rate: item.taxRate,
+          taxableValue: 0,
+          igst: 0,
+          cgst: 0,
+          sgst: 0
+        }), {
+          quantity: Number(item.qty || 0),
+          totalValue: item.taxableValue + item.cgst + item.sgst + item.igst,
+          taxableValue: item.taxableValue,
+          igst: item.igst,
+          cgst: item.cgst,
+          sgst: item.sgst
+        });
+      });
+    });
+
+    report.b2cs = Object.values(b2cs);
+    report.nil = Object.values(nil);
+    report.hsn = Object.values(hsn);
+    report.docs = Gst.documentSummary(invoices);
+
+    if (pending > 0) {
+      report.notes.push(`${pending} invoice${pending === 1 ? ' is' : 's are'} still awaiting approval and not included`);
+    }
+    if (creditNotesNeeded > 0) {
+      report.notes.push(`${creditNotesNeeded} reported invoice${creditNotesNeeded === 1 ? ' has' : 's have'} refunds; raise credit notes for them separately`);
+    }
+    if (report.unclassified.length > 0) {
+      report.notes.push(`${report.unclassified.length} invoice${report.unclassified.length === 1 ? '' : 's'} could not be classified; see unclassified`);
+    }
+    return report;
+  }
+
+  /**
+   * Table 13 of GSTR-1: the range of invoice numbers issued in each series
+   * and how many were cancelled
+   * @param {Array<Object>} invoices - Every invoice dated in the period
+   * @returns {Array<Object>} [{ nature, from, to, totalNumber, cancelled }]
+   */
+  static documentSummary(invoices = []) {
+    const series = {};
+    invoices.forEach(invoice => {
+      const number = String(invoice.invoiceNumber || '');
+      const match = number.match(/^(.*?)(\d+)$/);
+      if (!match) return;
+      const [, prefix, digits] = match;
+      const entry = series[prefix] || (series[prefix] = { numbers: [], cancelled: 0 });
+      entry.numbers.push({ number, sequence: Number(digits) });
+      if (invoice.status === 'cancelled') entry.cancelled++;
+    });
+
+    return Object.values(series).map(({ numbers, cancelled }) => {
+      numbers.sort((a, b) => a.sequence - b.sequence);
+      return {
+        nature: 'Invoices for outward supply',
+        from: numbers[0].number,
+        to: numbers[numbers.length - 1].number,
+        totalNumber: numbers.length,
+        cancelled
+      };
+    });
+  }
+
+  /**
+   * One GSTR-1 section as CSV, with the headings of the GST offline tool
+   * @param {Object} report - From gstr1()
+   * @param {string} section - One of GSTR1_SECTIONS
+   * @returns {string}
+   */
+  static toCsv(report, section) {
+    const columns = GSTR1_COLUMNS[section];
+    if (!columns) {
+      throw new Error(`Unknown GSTR-1 section "${section}"`);
+    }
+    const cell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const rows = (report[section] || []).map(row => columns.map(([key]) => cell(row[key])).join(','));
+    return [columns.map(([, label]) => cell(label)).join(','), ...rows].join('\n');
+  }
+}
+
+Gst.STATE_CODES = STATE_CODES;
+Gst.TAX_CLASSES = TAX_CLASSES;
+Gst.GST_RATES = GST_RATES;
+Gst.ITEM_DEFAULTS = ITEM_DEFAULTS;
+Gst.B2CL_THRESHOLD = B2CL_THRESHOLD;
+Gst.GSTR1_SECTIONS = GSTR1_SECTIONS;
+
+module.exports = Gst;
@@ -0,0 +1,285 @@
+/**
+ * Invoice rules shared by the billing API, the migration script and their
+ * tests: what a line item may point at, how totals and numbers are worked
+ * out, which status changes are allowed, and how documents from the old
+ * Invoice, AppointmentInvoice and TeleconsultationInvoice stacks map on to
+ * the unified invoice.
+ */
+
+// What a line item bills for; all but "other" carry a reference to it
+const ITEM_TYPES = ['service', 'appointment', 'teleconsultation', 'medication', 'other'];
+
+// Where an invoice came from, derived from its line items
+const INVOICE_TYPES = ['general', 'appointment', 'teleconsultation'];
+
+const STATUSES = ['unapproved', 'approved', 'paid', 'partially_refunded', 'refunded', 'rejected', 'cancelled'];
+
+// The one status machine: each status and the statuses it can move to.
+// Paid invoices are never cancelled or rejected, only refunded.
+const TRANSITIONS = {
+  unapproved: ['approved', 'paid', 'rejected', 'cancelled'],
+  approved: ['paid', 'partially_refunded', 'refunded', 'rejected', 'cancelled'],
+  paid: ['partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  rejected: ['unapproved', 'approved', 'cancelled'],
+  refunded: [],
+  cancelled: []
+};
+
+// Statuses whose total has been counted as clinic revenue
+const REVENUE_STATUSES = ['approved', 'paid', 'partially_refunded', 'refunded'];
+
+// Statuses in which line items and amounts can still be changed
+const EDITABLE_STATUSES = ['unapproved', 'rejected'];
+
+const PAYMENT_METHODS = ['cash', 'online', 'pending'];
+
+// References each item type must carry
+const REQUIRED_REFERENCES = {
+  service: 'catalogItemId',
+  appointment: 'appointmentId',
+  teleconsultation: 'teleconsultationId',
+  medication: 'prescriptionId'
+};
+
+const LEGACY_MODELS = ['Invoice', 'AppointmentInvoice', 'TeleconsultationInvoice'];
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+class Invoices {
+  static lineAmount(item) {
+    return round(Number(item.qty) * Number(item.unitPrice));
+  }
+
+  /**
+   * Subtotal and total of an invoice
+   * @param {Array<Object>} items - Line items with { qty, unitPrice }
+   * @param {Object} [adjustments] - { discount, tax, shipping }
+   * @returns {Object} { subtotal, total }
+   */
+  static totals(items = [], { discount = 0, tax = 0, shipping = 0 } = {}) {
+    const subtotal = round(items.reduce((sum, item) => sum + Invoices.lineAmount(item), 0));
+    return {
+      subtotal,
+      total: round(subtotal - Number(discount || 0) + Number(tax || 0) + Number(shipping || 0))
+    };
+  }
+
+  /**
+   * Why a line item is invalid, or null if it is fine
+   * @param {Object} item
+   * @returns {string|null}
+   */
+  static itemError(item) {
+    const type = item.type || 'other';
+    if (!ITEM_TYPES.includes(type)) return `Unknown line item type "${type}"`;
+    const reference = REQUIRED_REFERENCES[type];
+    if (reference && !item[reference]) return `${Invoices.label(type)} line items need a ${reference}`;
+    return null;
+  }
+
+  /**
+   * Invoice type and the visit it bills for, from its line items
+   * @param {Array<Object>} items
+   * @returns {Object} { type, appointmentId, teleconsultationId }
+   */
+  static sourceOf(items = []) {
+    const appointment = items.find(item => item.type === 'appointment');
+    const teleconsultation = items.find(item => item.type === 'teleconsultation');
+    // A teleconsultation booked from an appointment is listed against both
+    if (teleconsultation) {
+      return {
+        type: 'teleconsultation',
+        appointmentId: teleconsultation.appointmentId || null,
+        teleconsultationId: teleconsultation.teleconsultationId
+      };
+    }
+    if (appointment) {
+      return { type: 'appointment', appointmentId: appointment.appointmentId, teleconsultationId: null };
+    }
+    return { type: 'general', appointmentId: null, teleconsultationId: null };
+  }
+
+  // Line item description for a booked visit
+  static visitDescription(type, { appointmentType, date, time } = {}) {
+    const what = type === 'teleconsultation' ? 'Teleconsultation' : `${appointmentType || 'Consultation'} appointment`;
+    if (!date) return what;
+    return `${what} on ${formatDate(date)}${time ? ` at ${time}` : ''}`;
+  }
+
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Statuses an invoice can be in to move to the given one
+  static sourcesOf(to) {
+    return STATUSES.filter(from => Invoices.canTransition(from, to));
+  }
+
+  /**
+   * Why an invoice can't move to a status, or null if it can
+   * @param {string} from
+   * @param {string} to
+   * @returns {string|null}
+   */
+  static transitionError(from, to) {
+    if (!STATUSES.includes(to)) return `Unknown invoice status "${to}"`;
+    if (Invoices.canTransition(from, to)) return null;
+    if (from === to) return `Invoice is already ${Invoices.label(to).toLowerCase()}`;
+    return `A ${Invoices.label(from).toLowerCase()} invoice cannot be ${Invoices.label(to).toLowerCase()}`;
+  }
+
+  static countsAsRevenue(status) {
+    return REVENUE_STATUSES.includes(status);
+  }
+
+  static isEditable(status) {
+    return EDITABLE_STATUSES.includes(status);
+  }
+
+  // Only invoices that never counted as revenue can be deleted
+  static isDeletable(invoice) {
+    return ['unapproved', 'rejected', 'cancelled'].includes(invoice.status) && !invoice.revenueRecorded;
+  }
+
+  static label(status) {
+    const text = String(status || '').replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Indian financial year (April to March) an invoice date falls in
+   * @param {Date} date
+   * @returns {string} e.g. "2627" for April 2026 to March 2027
+   */
+  static financialYear(date) {
+    const value = new Date(date);
+    const start = value.getMonth() >= 3 ? value.getFullYear() : value.getFullYear() - 1;
+    return `${String(start % 100).padStart(2, '0')}${String((start + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Invoice number from a clinic's sequence. Numbering restarts each
+   * financial year, as GST expects, and stays within 16 characters.
+   * @param {number} sequence
+   * @param {string} financialYear - From financialYear()
+   * @returns {string} e.g. INV-2627-00001
+   */
+  static formatNumber(sequence, financialYear) {
+    return `INV-${financialYear}-${String(sequence).padStart(5, '0')}`;
+  }
+
+  static legacyStatus(status) {
+    const value = String(status || '').toLowerCase();
+    return STATUSES.includes(value) ? value : 'unapproved';
+  }
+
+  /**
+   * Unified invoice fields for a document from one of the old stacks
+   * @param {string} model - Invoice, AppointmentInvoice or TeleconsultationInvoice
+   * @param {Object} doc - Raw document; a teleconsultation invoice may be given
+   *   the appointmentId of its teleconsultation
+   * @returns {Object} Fields for the unified invoice, keeping the document's _id and number
+   */
+  static fromLegacy(model, doc) {
+    if (!LEGACY_MODELS.includes(model)) {
+      throw new Error(`Unknown invoice model "${model}"`);
+    }
+
+    const common = {
+      _id: doc._id,
+      clinicId: doc.clinicId,
+      patientId: doc.patientId,
+      status: Invoices.legacyStatus(doc.status),
+      approvedBy: doc.approvedBy,
+      approvedAt: doc.approvedAt,
+      createdAt: doc.createdAt,
+      legacy: { model, number: String(doc.invoiceNo ?? doc.invoiceNumber ?? '') }
+    };
+
+    if (model === 'Invoice') {
+      const parsedDate = doc.date ? new Date(doc.date) : null;
+      const lineItems = (doc.lineItems || []).map(item => ({
+        _id: item._id,
+        type: 'other',
+        description: item.description,
+        qty: item.qty,
+        unitPrice: item.unitPrice
+      }));
+      return {
+        ...common,
+        type: 'general',
+        invoiceNumber: String(doc.invoiceNo ?? doc._id),
+        patientName: doc.patientName,
+        lineItems,
+        ...Invoices.totals(lineItems, doc),
+        discount: doc.discount || 0,
+        tax: doc.tax || 0,
+        shipping: doc.shipping || 0,
+        date: parsedDate && !Number.isNaN(parsedDate.getTime()) ? parsedDate : doc.createdAt,
+        address: doc.address,
+        phone: doc.phone,
+        email: doc.email,
+        remarks: doc.remarks,
+        paymentMethod: 'pending',
+        rejectedBy: doc.rejectedBy,
+        rejectedAt: doc.rejectedAt,
+        rejectionReason: doc.rejectionReason
+      };
+    }
+
+    const isAppointment = model === 'AppointmentInvoice';
+    const details = (isAppointment ? doc.appointmentDetails : doc.teleconsultationDetails) || {};
+    const item = isAppointment
+      ? {
+        type: 'appointment',
+        description: Invoices.visitDescription('appointment', {
+          appointmentType: details.appointmentType,
+          date: details.appointmentDate,
+          time: details.appointmentTime
+        }),
+        appointmentId: doc.appointmentId
+      }
+      : {
+        type: 'teleconsultation',
+        description: Invoices.visitDescription('teleconsultation', {
+          date: details.scheduledDate,
+          time: details.scheduledTime
+        }),
+        teleconsultationId: doc.teleconsultationId,
+        appointmentId: doc.appointmentId
+      };
+    const lineItems = [{ ...item, qty: 1, unitPrice: doc.amount }];
+
+    return {
+      ...common,
+      ...Invoices.sourceOf(lineItems),
+      invoiceNumber: doc.invoiceNumber || String(doc._id),
+      doctorId: doc.doctorId,
+      lineItems,
+      ...Invoices.totals(lineItems),
+      date: doc.createdAt,
+      remarks: doc.notes,
+      paymentMethod: PAYMENT_METHODS.includes(doc.paymentMethod) ? doc.paymentMethod : 'pending',
+      paymentDetails: doc.paymentDetails,
+      paidAt: doc.paymentDetails?.paidAt,
+      refundedAmount: doc.refundedAmount || 0,
+      refundedAt: doc.refundedAt,
+      ...(isAppointment
+        ? { appointmentDetails: doc.appointmentDetails }
+        : { teleconsultationDetails: doc.teleconsultationDetails })
+    };
+  }
+}
+
+Invoices.ITEM_TYPES = ITEM_TYPES;
+Invoices.INVOICE_TYPES = INVOICE_TYPES;
+Invoices.STATUSES = STATUSES;
+Invoices.TRANSITIONS = TRANSITIONS;
+Invoices.REVENUE_STATUSES = REVENUE_STATUSES;
+Invoices.PAYMENT_METHODS = PAYMENT_METHODS;
+Invoices.LEGACY_MODELS = LEGACY_MODELS;
+
+module.exports = Invoices;
@@ -0,0 +1,186 @@
+/**
+ * Message types, channels and text templates for patient and staff messages.
+ *
+ * Email keeps its existing HTML layouts in EmailService; SMS and WhatsApp
+ * send the plain-text templates below, which clinics can override per
+ * channel. Templates use the same {{variable}} placeholders as reminders.
+ */
+
+const Reminders = require('./reminders');
+
+const CHANNELS = ['email', 'sms', 'whatsapp'];
+
+// Delivery progress. Callbacks can arrive out of order, so a late "sent"
+// must not undo "delivered"; a delivery receipt outranks an earlier failure.
+const STATUS_RANK = { queued: 0, sent: 1, failed: 2, delivered: 3, read: 4 };
+
+const MESSAGE_TYPES = {
+  login_otp: {
+    label: 'Patient portal login code',
+    description: 'One-time code for signing in to the patient portal',
+    defaultChannels: ['email'],
+    // Codes are never written to the delivery log
+    sensitive: true,
+    variables: ['code', 'expiresMinutes', 'clinicName'],
+    template: '{{code}} is your {{clinicName}} patient portal login code. It expires in {{expiresMinutes}} minutes. Do not share it with anyone.'
+  },
+  password_reset: {
+    label: 'Staff password reset code',
+    description: 'Code for staff resetting a forgotten password',
+    defaultChannels: ['email'],
+    sensitive: true,
+    variables: ['code', 'expiresMinutes', 'name'],
+    template: '{{code}} is your SMAART Healthcare password reset code. It expires in {{expiresMinutes}} minutes. If you did not ask for this, ignore this message.'
+  },
+  appointment_reminder: {
+    label: 'Appointment reminders',
+    description: 'Sent before Scheduled and Confirmed appointments, using the reminder timing',
+    defaultChannels: ['email'],
+    variables: ['patientName', 'doctorName', 'clinicName', 'clinicPhone', 'appointmentType', 'date', 'time', 'timeUntil', 'location', 'meetingLink'],
+    template: 'Reminder: {{appointmentType}} with Dr. {{doctorName}} at {{clinicName}} on {{date}} at {{time}}. {{meetingLink}} To cancel, call {{clinicPhone}}.'
+  },
+  waitlist_offer: {
+    label: 'Waitlist offers',
+    description: 'An earlier slot opened up for a patient on the waitlist',
+    defaultChannels: ['email'],
+    variables: ['patientName', 'doctorName', 'clinicName', 'date', 'time', 'expiresAt', 'offerUrl'],
+    template: '{{clinicName}}: an earlier appointment with Dr. {{doctorName}} on {{date}} at {{time}} is available. Accept by {{expiresAt}}: {{offerUrl}}'
+  },
+  referral_notice: {
+    label: 'Referral notices to patients',
+    description: 'Tells the patient who they have been referred to',
+    // Text only - there is no email version
+    channels: ['sms', 'whatsapp'],
+    defaultChannels: ['sms'],
+    variables: ['patientName', 'clinicName', 'specialistName', 'specialty', 'specialistPhone', 'urgency'],
+    template: 'Dear {{patientName}}, {{clinicName}} has referred you to {{specialistName}} ({{specialty}}). Contact: {{specialistPhone}}'
+  }
+};
+
+// Sample data for template previews
+const SAMPLE_VARIABLES = {
+  code: '482913',
+  expiresMinutes: 10,
+  name: 'Arjun Mehta',
+  patientName: 'Priya Sharma',
+  doctorName: 'Arjun Mehta',
+  clinicName: 'City Care Clinic',
+  clinicPhone: '+91 98765 43210',
+  appointmentType: 'General Consultation',
+  date: 'Monday, 12 January 2026',
+  time: '10:30 IST',
+  timeUntil: '24 hours',
+  location: 'City Care Clinic, MG Road, Bengaluru',
+  meetingLink: '',
+  expiresAt: '12 Jan, 08:30 IST',
+  offerUrl: 'https://example.com/waitlist-offer/sample',
+  specialistName: 'Dr. Kavya Rao',
+  specialty: 'Cardiology',
+  specialistPhone: '+91 91234 56789',
+  urgency: 'Medium'
+};
+
+const DEFAULT_COUNTRY_CODE = process.env.MESSAGING_DEFAULT_COUNTRY_CODE || '91';
+
+class Messaging {
+  static isType(type) {
+    return Object.prototype.hasOwnProperty.call(MESSAGE_TYPES, type);
+  }
+
+  /**
+   * E.164 number for SMS and WhatsApp, or null when it can't be read.
+   * Local numbers get the default country code.
+   * @param {string} phone
+   * @param {string} [countryCode]
+   * @returns {string|null}
+   */
+  static normalizePhone(phone, countryCode = DEFAULT_COUNTRY_CODE) {
+    if (!phone) return null;
+    const raw = String(phone).trim();
+    let digits = raw.replace(/\D/g, '');
+
+    if (raw.startsWith('+')) {
+      // Already international
+    } else if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else if (digits.length === 11 && digits.startsWith('0')) {
+      digits = countryCode + digits.slice(1);
+    } else if (digits.length === 10) {
+      digits = countryCode + digits;
+    }
+
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  // "+919876543210" -> "+91******3210"
+  static maskPhone(phone) {
+    if (!phone) return '';
+    const value = String(phone);
+    if (value.length <= 7) return '***';
+    return `${value.slice(0, 3)}${'*'.repeat(value.length - 7)}${value.slice(-4)}`;
+  }
+
+  // Channels a message type can be sent on at all
+  static allowedChannels(type) {
+    return MESSAGE_TYPES[type]?.channels || CHANNELS;
+  }
+
+  /**
+   * Channels a clinic sends a message type on
+   * @param {Object} [settings] - MessagingSettings or plain { channels: [{ type, channels }] }
+   * @param {string} type
+   * @returns {Array<string>}
+   */
+  static channelsFor(settings, type) {
+    const rule = (settings?.channels || []).find(candidate => candidate.type === type);
+    const channels = rule ? rule.channels : MESSAGE_TYPES[type]?.defaultChannels || [];
+    return Messaging.allowedChannels(type).filter(channel => channels.includes(channel));
+  }
+
+  /**
+   * Text template for a type on SMS or WhatsApp: the clinic's override, else built-in
+   * @returns {Object} { body, whatsappTemplate, whatsappLanguage, custom }
+   */
+  static templateFor(settings, type, channel) {
+    const override = (settings?.templates || []).find(template =>
+      template.type === type && template.channel === channel
+    );
+    return {
+      body: override?.body || MESSAGE_TYPES[type]?.template || '',
+      whatsappTemplate: channel === 'whatsapp' ? override?.whatsappTemplate || null : null,
+      whatsappLanguage: override?.whatsappLanguage || 'en',
+      custom: Boolean(override?.body)
+    };
+  }
+
+  /**
+   * Fill a template; runs of spaces left by empty variables are collapsed
+   * @param {string} template
+   * @param {Object} variables
+   * @returns {string}
+   */
+  static render(template, variables = {}) {
+    return Reminders.render(template, variables)
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/ +([.,])/g, '$1')
+      .trim();
+  }
+
+  /**
+   * Apply a provider status update without going backwards
+   * @param {string} current
+   * @param {string} next - queued, sent, delivered, read or failed
+   * @returns {string}
+   */
+  static advanceStatus(current, next) {
+    if (!(next in STATUS_RANK)) return current;
+    return STATUS_RANK[next] > (STATUS_RANK[current] ?? -1) ? next : current;
+  }
+}
+
+Messaging.CHANNELS = CHANNELS;
+Messaging.MESSAGE_TYPES = MESSAGE_TYPES;
+Messaging.STATUSES = Object.keys(STATUS_RANK);
+Messaging.SAMPLE_VARIABLES = SAMPLE_VARIABLES;
+
+module.exports = Messaging;
@@ -0,0 +1,119 @@
+/**
+ * In-app notification types and per-user email preferences.
+ *
+ * Every notification lands in the recipient's inbox; the email copy is
+ * opt-in per type. Preferences only store what a user changed, so new
+ * types pick up their default without a migration.
+ */
+
+const TYPES = {
+  appointment_requested: {
+    label: 'Appointment requests',
+    description: 'A patient requests an appointment from the portal or online booking',
+    entity: 'Appointment',
+    email: true
+  },
+  appointment_cancelled: {
+    label: 'Cancelled requests',
+    description: 'A patient withdraws a booking request',
+    entity: 'Appointment',
+    email: false
+  },
+  referral_received: {
+    label: 'Referrals',
+    description: 'A patient is referred to you',
+    entity: 'Referral',
+    // The referral letter is already emailed when the referral is created
+    email: false,
+    emailable: false
+  },
+  compliance_alert: {
+    label: 'Compliance alerts',
+    description: 'A compliance alert is raised for your clinic or assigned to you',
+    entity: 'ComplianceAlert',
+    email: true
+  },
+  prescription_allotted: {
+    label: 'Prescriptions to dispense',
+    description: 'A prescription is allotted to you for dispensing',
+    entity: 'Prescription',
+    email: false
+  }
+};
+
+// Screens that show each kind of record
+const ENTITY_LINKS = {
+  Appointment: '/appointments',
+  Referral: '/referrals',
+  ComplianceAlert: '/compliance',
+  Prescription: '/prescriptions'
+};
+
+class Notifications {
+  static isType(type) {
+    return Object.prototype.hasOwnProperty.call(TYPES, type);
+  }
+
+  /**
+   * Frontend path for the record a notification is about
+   * @param {string} kind - Entity model name
+   * @param {string} role - Recipient role; pharmacists work prescriptions from their dashboard
+   * @returns {string|null}
+   */
+  static linkFor(kind, role) {
+    if (kind === 'Prescription' && role === 'pharmacist') {
+      return '/pharmacist-dashboard';
+    }
+    return ENTITY_LINKS[kind] || null;
+  }
+
+  /**
+   * Effective email setting for every type
+   * @param {Object|Map} [saved] - The user's overrides, keyed by type
+   * @returns {Object} { [type]: boolean }
+   */
+  static emailPreferences(saved) {
+    const overrides = saved instanceof Map ? Object.fromEntries(saved) : (saved || {});
+    return Object.fromEntries(Object.entries(TYPES).map(([type, definition]) => {
+      if (definition.emailable === false) return [type, false];
+      return [type, typeof overrides[type] === 'boolean' ? overrides[type] : definition.email];
+    }));
+  }
+
+  static wantsEmail(saved, type) {
+    return Notifications.emailPreferences(saved)[type] === true;
+  }
+
+  /**
+   * Keep only known, emailable types with boolean values
+   * @param {Object} changes - { [type]: boolean } as sent by the client
+   * @returns {Object}
+   */
+  static sanitizePreferences(changes) {
+    return Object.fromEntries(Object.entries(changes || {}).filter(([type, value]) =>
+      Notifications.isType(type) && TYPES[type].emailable !== false && typeof value === 'boolean'
+    ));
+  }
+
+  /**
+   * One entry per recipient, leaving out the person who triggered the event
+   * @param {Array<{id, role}>} recipients
+   * @param {string} [actorId]
+   * @returns {Array<{id: string, role: string}>}
+   */
+  static uniqueRecipients(recipients, actorId) {
+    const seen = new Set(actorId ? [String(actorId)] : []);
+    return (recipients || []).filter(recipient => {
+      if (!recipient?.id) return false;
+      const id = String(recipient.id);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    }).map(recipient => ({ id: String(recipient.id), role: recipient.role }));
+  }
+}
+
+Notifications.TYPES = TYPES;
+Notifications.ENTITY_LINKS = ENTITY_LINKS;
+
+module.exports = Notifications;
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+/**
+ * Razorpay webhook events and reconciliation checks: verifying and reading
+ * events, and comparing our Payment records with what the gateway holds.
+ * Razorpay amounts are in paise; everything returned here is in rupees.
+ */
+
+// Events the webhook acts on; anything else is acknowledged and ignored
+const HANDLED_EVENTS = ['payment.captured', 'payment.failed', 'refund.processed', 'refund.failed'];
+
+// Payment statuses meaning the money reached us
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// What reconciliation can find wrong with a payment
+const MISMATCHES = {
+  missed_capture: 'Captured at the gateway but not marked paid here',
+  not_captured: 'Marked paid here but not captured at the gateway',
+  amount_mismatch: 'Amount differs from the gateway',
+  refund_mismatch: 'Refunded amount differs from the gateway'
+};
+
+const toRupees = (paise) => Math.round(Number(paise || 0)) / 100;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+class PaymentEvents {
+  /**
+   * Check X-Razorpay-Signature: hex HMAC-SHA256 of the raw body with the webhook secret
+   * @param {Buffer|string} rawBody
+   * @param {string} signature
+   * @param {string} secret
+   * @returns {boolean}
+   */
+  static verifySignature(rawBody, signature, secret) {
+    if (!secret || !rawBody || !signature) return false;
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeEqual(expected, signature);
+  }
+
+  /**
+   * The parts of a webhook event the handlers need
+   * @param {Object} event - Parsed webhook body
+   * @returns {Object} { type, orderId, paymentId, amount, error, refund }
+   */
+  static parse(event) {
+    const payment = event?.payload?.payment?.entity || {};
+    const refund = event?.payload?.refund?.entity;
+    return {
+      type: event?.event,
+      orderId: payment.order_id || null,
+      paymentId: payment.id || refund?.payment_id || null,
+      amount: toRupees(payment.amount),
+      error: payment.error_description || payment.error_reason || null,
+      refund: refund
+        ? {
+          id: refund.id,
+          amount: toRupees(refund.amount),
+          // Set when the refund was started from here
+          localId: refund.notes?.refundId || null
+        }
+        : null
+    };
+  }
+
+  static isHandled(type) {
+    return HANDLED_EVENTS.includes(type);
+  }
+
+  static isPaid(status) {
+    return PAID_STATUSES.includes(status);
+  }
+
+  /**
+   * Gateway payment in the shape compare() expects
+   * @param {Object} entity - Razorpay payment entity
+   * @returns {Object} { id, status, amount, amountRefunded }
+   */
+  static gatewayPayment(entity) {
+    return {
+      id: entity.id,
+      status: entity.status,
+      amount: toRupees(entity.amount),
+      amountRefunded: toRupees(entity.amount_refunded)
+    };
+  }
+
+  /**
+   * Differences between one of our payments and the gateway's payments for its order
+   * @param {Object} payment - { status, amount, refundAmount }
+   * @param {Array<Object>} gatewayPayments - From gatewayPayment()
+   * @returns {Array<Object>} [{ type, expected, actual, gatewayPaymentId }]
+   */
+  static compare(payment, gatewayPayments) {
+    // A refunded payment was captured first
+    const captured = gatewayPayments.find(entry => ['captured', 'refunded'].includes(entry.status));
+    const paid = PaymentEvents.isPaid(payment.status);
+    const mismatches = [];
+
+    if (captured && !paid) {
+      mismatches.push({ type: 'missed_capture', expected: 'captured', actual: payment.status, gatewayPaymentId: captured.id });
+    }
+    if (!captured && paid) {
+      mismatches.push({ type: 'not_captured', expected: payment.status, actual: gatewayPayments.map(entry => entry.status).join(', ') || 'no payment' });
+    }
+    if (captured && paid) {
+      if (Math.abs(captured.amount - payment.amount) >= 0.01) {
+        mismatches.push({ type: 'amount_mismatch', expected: payment.amount, actual: captured.amount, gatewayPaymentId: captured.id });
+      }
+      if (Math.abs(captured.amountRefunded - (payment.refundAmount || 0)) >= 0.01) {
+        mismatches.push({ type: 'refund_mismatch', expected: payment.refundAmount || 0, actual: captured.amountRefunded, gatewayPaymentId: captured.id });
+      }
+    }
+    return mismatches;
+  }
+
+  /**
+   * When tonight's reconciliation runs
+   * @param {Date} now
+   * @param {number} hour - Local hour of day
+   * @returns {Date} The next time at that hour
+   */
+  static nextRunAt(now, hour) {
+    const runAt = new Date(now);
+    runAt.setHours(hour, 0, 0, 0);
+    if (runAt <= now) runAt.setDate(runAt.getDate() + 1);
+    return runAt;
+  }
+}
+
+PaymentEvents.HANDLED_EVENTS = HANDLED_EVENTS;
+PaymentEvents.MISMATCHES = MISMATCHES;
+PaymentEvents.toRupees = toRupees;
+
+module.exports = PaymentEvents;
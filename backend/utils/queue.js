@@ -0,0 +1,122 @@
+/**
+ * Walk-in queue rules.
+ *
+ * Works on plain token objects so the same ordering is used when calling
+ * the next patient, listing the queue and estimating waits. Priority tokens
+ * go first, then checked-in appointments whose booked time has arrived, then
+ * everyone else in token order. A patient who checks in early for a booking
+ * waits like a walk-in until their slot comes round.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const minutesBetween = (from, to) => (from && to ? Math.round((new Date(to) - new Date(from)) / MINUTE_MS) : null);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const average = (values) => (values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+class Queue {
+  /**
+   * Whether a token may move from its current status to another
+   * @param {string} from
+   * @param {string} to
+   * @returns {boolean}
+   */
+  static canTransition(from, to) {
+    return (Queue.TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Tokens still to be seen, in the order they will be called
+   * @param {Array} tokens
+   * @param {string} [now] - Clinic-local "HH:MM"; without it bookings are not moved up
+   * @returns {Array}
+   */
+  static waiting(tokens, now) {
+    const nowMinutes = now ? toMinutes(now) : -1;
+    const rank = (token) => {
+      if (token.priority === 'priority') return 0;
+      if (token.appointmentTime && toMinutes(token.appointmentTime) <= nowMinutes) return 1;
+      return 2;
+    };
+
+    return tokens
+      .filter(token => token.status === 'waiting')
+      .sort((a, b) => rank(a) - rank(b) || a.tokenNumber - b.tokenNumber);
+  }
+
+  static next(tokens, now) {
+    return Queue.waiting(tokens, now)[0] || null;
+  }
+
+  // The token currently called or with the doctor, most recent first
+  static current(tokens) {
+    return tokens
+      .filter(token => ['called', 'in_consultation'].includes(token.status))
+      .sort((a, b) => new Date(b.calledAt || 0) - new Date(a.calledAt || 0))[0] || null;
+  }
+
+  /**
+   * Timings for a set of tokens, for the live board and for reports
+   * @param {Array} tokens
+   * @returns {Object} { issued, waiting, seen, skipped, cancelled,
+   *   averageWaitMinutes, longestWaitMinutes, averageConsultationMinutes }
+   */
+  static summarize(tokens) {
+    const waits = tokens
+      .map(token => minutesBetween(token.issuedAt, token.consultationStartedAt))
+      .filter(value => value !== null);
+    const consultations = tokens
+      .filter(token => token.status === 'done')
+      .map(token => minutesBetween(token.consultationStartedAt, token.completedAt))
+      .filter(value => value !== null);
+    const count = (status) => tokens.filter(token => token.status === status).length;
+
+    return {
+      issued: tokens.length,
+      waiting: count('waiting'),
+      seen: count('done'),
+      skipped: count('skipped'),
+      cancelled: count('cancelled'),
+      averageWaitMinutes: average(waits),
+      longestWaitMinutes: waits.length > 0 ? Math.max(...waits) : null,
+      averageConsultationMinutes: average(consultations)
+    };
+  }
+
+  /**
+   * Rough minutes until a waiting token is seen, from its place in line and
+   * how long consultations have been taking today
+   * @param {Array} tokens - All of the doctor's tokens for the day
+   * @param {Object} token
+   * @param {string} [now] - Clinic-local "HH:MM"
+   * @returns {number|null}
+   */
+  static estimatedWait(tokens, token, now) {
+    const position = Queue.waiting(tokens, now).findIndex(candidate => String(candidate._id) === String(token._id));
+    if (position < 0) return null;
+    const perPatient = Queue.summarize(tokens).averageConsultationMinutes || Queue.DEFAULT_CONSULTATION_MINUTES;
+    const ahead = position + (Queue.current(tokens) ? 1 : 0);
+    return ahead * perPatient;
+  }
+}
+
+// Allowed status changes; `skipped` tokens can be put back in line
+Queue.TRANSITIONS = {
+  waiting: ['called', 'in_consultation', 'skipped', 'cancelled'],
+  called: ['in_consultation', 'skipped', 'waiting', 'cancelled'],
+  in_consultation: ['done'],
+  skipped: ['waiting', 'cancelled'],
+  done: [],
+  cancelled: []
+};
+// Used for wait estimates before any consultation has finished today
+Queue.DEFAULT_CONSULTATION_MINUTES = 10;
+
+module.exports = Queue;
@@ -0,0 +1,139 @@
+/**
+ * Recurrence rules for appointment series.
+ *
+ * A rule repeats daily or weekly, every `interval` days/weeks, and ends
+ * after `count` occurrences or on the `until` date (inclusive). Dates are
+ * handled as calendar days at UTC midnight - the same way single
+ * appointments store a "YYYY-MM-DD" date - so expansion never drifts
+ * across a timezone or DST boundary.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class Recurrence {
+  /**
+   * Parse a date or "YYYY-MM-DD" string to UTC midnight of that calendar day
+   * @param {Date|string} value
+   * @returns {Date|null}
+   */
+  static toDay(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date)) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  static addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Validate a rule and fill defaults
+   * @param {Object} rule - { frequency, interval, count, until }
+   * @returns {Object} Normalized rule
+   * @throws {Error} with statusCode 400 when the rule is invalid
+   */
+  static normalize(rule = {}) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    const frequency = String(rule.frequency || '').toLowerCase();
+    if (!Recurrence.FREQUENCIES.includes(frequency)) {
+      fail(`Recurrence frequency must be one of: ${Recurrence.FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = rule.interval === undefined || rule.interval === null || rule.interval === ''
+      ? 1
+      : Number(rule.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > Recurrence.MAX_INTERVAL) {
+      fail(`Recurrence interval must be a whole number between 1 and ${Recurrence.MAX_INTERVAL}`);
+    }
+
+    const hasCount = rule.count !== undefined && rule.count !== null && rule.count !== '';
+    const hasUntil = Boolean(rule.until);
+    if (hasCount === hasUntil) {
+      fail('Recurrence must end either after a number of occurrences or on a date');
+    }
+
+    const normalized = { frequency, interval, count: null, until: null };
+
+    if (hasCount) {
+      const count = Number(rule.count);
+      if (!Number.isInteger(count) || count < 1 || count > Recurrence.MAX_OCCURRENCES) {
+        fail(`Occurrence count must be between 1 and ${Recurrence.MAX_OCCURRENCES}`);
+      }
+      normalized.count = count;
+    } else {
+      const until = Recurrence.toDay(rule.until);
+      if (!until) fail('Recurrence end date is invalid');
+      normalized.until = until;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Expand a rule into the calendar days it covers
+   * @param {Date|string} startDate - First occurrence
+   * @param {Object} rule - Recurrence rule (normalized or raw)
+   * @returns {Date[]} Occurrence days at UTC midnight, at most MAX_OCCURRENCES
+   * @throws {Error} with statusCode 400 when the rule is invalid or ends before it starts
+   */
+  static expand(startDate, rule) {
+    const start = Recurrence.toDay(startDate);
+    if (!start) {
+      const error = new Error('Series start date is invalid');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { frequency, interval, count, until } = Recurrence.normalize(rule);
+    if (until && until < start) {
+      const error = new Error('Recurrence end date is before the start date');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const step = (frequency === 'weekly' ? 7 : 1) * interval;
+    const limit = count || Recurrence.MAX_OCCURRENCES;
+    const dates = [];
+
+    for (let current = start; dates.length < limit; current = Recurrence.addDays(current, step)) {
+      if (until && current > until) break;
+      dates.push(current);
+    }
+
+    return dates;
+  }
+
+  /**
+   * Human-readable summary, e.g. "Every 2 weeks, 8 times"
+   * @param {Object} rule - Recurrence rule
+   * @returns {string}
+   */
+  static describe(rule) {
+    if (!rule || !rule.frequency) return '';
+    const unit = rule.frequency === 'weekly' ? 'week' : 'day';
+    const interval = rule.interval || 1;
+    const every = interval === 1
+      ? (rule.frequency === 'weekly' ? 'Weekly' : 'Daily')
+      : `Every ${interval} ${unit}s`;
+
+    if (rule.count) {
+      return `${every}, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    }
+    if (rule.until) {
+      return `${every} until ${Recurrence.toDay(rule.until).toISOString().split('T')[0]}`;
+    }
+    return every;
+  }
+}
+
+Recurrence.FREQUENCIES = ['daily', 'weekly'];
+Recurrence.MAX_INTERVAL = 12;
+Recurrence.MAX_OCCURRENCES = 52;
+
+module.exports = Recurrence;
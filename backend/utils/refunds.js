@@ -0,0 +1,96 @@
+/**
+ * Refund rules shared by the payments API and its tests: how much of a
+ * payment is left to refund, how a refund is paid out, and what status
+ * the payment and its invoices end up in.
+ */
+
+// Ways money is handed back without a gateway; staff confirm each one
+const MANUAL_METHODS = ['cash', 'card', 'upi', 'other'];
+
+// pending: waiting for the gateway or for staff to confirm the payout
+const STATUSES = ['pending', 'processed', 'failed'];
+
+// Payment statuses that still have money to give back
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class Refunds {
+  // Total of the refunds that have gone out or are waiting to
+  static committed(refunds = []) {
+    return round(refunds
+      .filter(refund => refund.status !== 'failed')
+      .reduce((sum, refund) => sum + refund.amount, 0));
+  }
+
+  /**
+   * Amount not yet refunded or waiting to be refunded
+   * @param {number} paid - Payment amount
+   * @param {Array<Object>} refunds - Earlier refunds with { amount, status }
+   * @returns {number}
+   */
+  static remaining(paid, refunds = []) {
+    return Math.max(round(paid - Refunds.committed(refunds)), 0);
+  }
+
+  // Total of the refunds that have actually gone out
+  static refundedTotal(refunds = []) {
+    return round(refunds
+      .filter(refund => refund.status === 'processed')
+      .reduce((sum, refund) => sum + refund.amount, 0));
+  }
+
+  /**
+   * Why an amount can't be refunded, or null if it can
+   * @param {number} amount
+   * @param {number} remaining - From remaining()
+   * @returns {string|null}
+   */
+  static amountError(amount, remaining) {
+    if (!(amount > 0)) return 'Refund amount must be more than zero';
+    if (round(amount) !== amount) return 'Refund amount can have at most two decimal places';
+    if (amount > remaining) return `Only ${remaining.toFixed(2)} is left to refund`;
+    return null;
+  }
+
+  /**
+   * How a refund is paid out. Online payments go back through the gateway
+   * unless staff hand the money back themselves; everything else is manual.
+   * @param {Object} payment - { paymentMethod, razorpayPaymentId }
+   * @param {string} [requested] - gateway or one of MANUAL_METHODS
+   * @returns {string|null} gateway, a manual method, or null if not allowed
+   */
+  static payoutMethod(payment, requested) {
+    const viaGateway = payment.paymentMethod === 'razorpay' && Boolean(payment.razorpayPaymentId);
+    if (requested === 'gateway') return viaGateway ? 'gateway' : null;
+    if (requested) return MANUAL_METHODS.includes(requested) ? requested : null;
+    if (payment.paymentMethod === 'razorpay') return viaGateway ? 'gateway' : null;
+    return MANUAL_METHODS.includes(payment.paymentMethod) ? payment.paymentMethod : null;
+  }
+
+  static isManual(method) {
+    return MANUAL_METHODS.includes(method);
+  }
+
+  /**
+   * Payment status once refunds have gone out
+   * @param {number} paid
+   * @param {number} refunded - From refundedTotal()
+   * @returns {string} completed, partially_refunded or refunded
+   */
+  static paymentStatus(paid, refunded) {
+    if (refunded <= 0) return 'completed';
+    return refunded >= paid ? 'refunded' : 'partially_refunded';
+  }
+
+  // Rupees to the paise the gateway works in
+  static toPaise(amount) {
+    return Math.round(amount * 100);
+  }
+}
+
+Refunds.MANUAL_METHODS = MANUAL_METHODS;
+Refunds.STATUSES = STATUSES;
+Refunds.REFUNDABLE_PAYMENT_STATUSES = REFUNDABLE_PAYMENT_STATUSES;
+
+module.exports = Refunds;
@@ -0,0 +1,87 @@
+/**
+ * Appointment reminder planning and templates.
+ *
+ * Offsets are minutes before the appointment starts. Templates use
+ * {{variable}} placeholders; unknown variables render as empty text.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_SUBJECT = 'Reminder: {{appointmentType}} with Dr. {{doctorName}} on {{date}}';
+
+const DEFAULT_BODY = `Dear {{patientName}},
+
+This is a reminder that your {{appointmentType}} appointment with Dr. {{doctorName}} at {{clinicName}} is in {{timeUntil}}.
+
+Date: {{date}}
+Time: {{time}}
+Duration: {{duration}} minutes
+
+If you can no longer attend, please call us on {{clinicPhone}} so we can offer the slot to another patient.`;
+
+class Reminders {
+  /**
+   * Fill {{variable}} placeholders
+   * @param {string} template
+   * @param {Object} variables
+   * @returns {string}
+   */
+  static render(template, variables = {}) {
+    return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      const value = variables[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  /**
+   * Human-readable offset, e.g. 1440 -> "24 hours", 90 -> "1 hour 30 minutes"
+   * @param {number} minutes
+   * @returns {string}
+   */
+  static describeOffset(minutes) {
+    const plural = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+    if (minutes % (24 * 60) === 0 && minutes > 24 * 60) {
+      return plural(minutes / (24 * 60), 'day');
+    }
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return plural(rest, 'minute');
+    return rest === 0 ? plural(hours, 'hour') : `${plural(hours, 'hour')} ${plural(rest, 'minute')}`;
+  }
+
+  /**
+   * Work out which reminders to send for one appointment.
+   *
+   * Reminders whose time passed before the appointment was booked are dropped.
+   * When several are already overdue (e.g. the server was down) only the
+   * latest one is kept, so the patient gets one reminder rather than a burst.
+   *
+   * @param {Date} start - Appointment start
+   * @param {Array<number>} offsets - Minutes before start
+   * @param {Object} [options] - { now, createdAt }
+   * @returns {Array<Object>} [{ offset, runAt }] earliest first
+   */
+  static plan(start, offsets, options = {}) {
+    const now = options.now || new Date();
+    const createdAt = options.createdAt || null;
+    if (start <= now) return [];
+
+    const candidates = [...new Set(offsets)]
+      .map(offset => ({ offset, runAt: new Date(start.getTime() - offset * MINUTE_MS) }))
+      .filter(reminder => !createdAt || reminder.runAt >= createdAt)
+      .sort((a, b) => a.runAt - b.runAt);
+
+    const overdue = candidates.filter(reminder => reminder.runAt <= now);
+    const upcoming = candidates.filter(reminder => reminder.runAt > now);
+    return overdue.length > 0 ? [overdue[overdue.length - 1], ...upcoming] : upcoming;
+  }
+}
+
+Reminders.DEFAULT_SUBJECT = DEFAULT_SUBJECT;
+Reminders.DEFAULT_BODY = DEFAULT_BODY;
+Reminders.VARIABLES = [
+  'patientName', 'doctorName', 'clinicName', 'clinicPhone', 'appointmentType',
+  'date', 'time', 'timeZone', 'duration', 'location', 'meetingLink', 'timeUntil'
+];
+
+module.exports = Reminders;
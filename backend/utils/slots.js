@@ -0,0 +1,188 @@
+/**
+ * Slot engine for doctor schedules.
+ *
+ * Works out which start times are free on one calendar day from the
+ * doctor's weekly availability, that day's schedule exceptions and the
+ * appointments already booked. This is the only place slots are computed;
+ * the API returns its output and the frontend just renders it.
+ *
+ * Days are "YYYY-MM-DD" keys in clinic-local time. Stored appointment and
+ * exception dates are UTC midnight of their calendar day, so they are
+ * matched on their UTC date. Times are "HH:MM" and handled as minutes from
+ * midnight.
+ */
+
+const ClinicTime = require('./clinicTime');
+
+class Slots {
+  static toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  static toTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  static dayOfWeek(day) {
+    return new Date(`${day}T00:00:00Z`).getUTCDay();
+  }
+
+  // Cut [from, to) out of a list of { start, end } ranges
+  static subtract(ranges, from, to) {
+    return ranges.flatMap(range => {
+      if (to <= range.start || from >= range.end) return [range];
+      const pieces = [];
+      if (from > range.start) pieces.push({ start: range.start, end: from });
+      if (to < range.end) pieces.push({ start: to, end: range.end });
+      return pieces;
+    });
+  }
+
+  /**
+   * The doctor's working hours on a day after schedule exceptions:
+   * `unavailable` clears the day, `custom_hours` replaces the weekly hours
+   * (minus its breaks) and `blocked_hours` cuts time out of whichever
+   * hours apply. Slot interval and buffer come from the weekly entries for
+   * that weekday, even when custom hours replace them.
+   * @param {Object} options - { date, availability, exceptions }
+   * @returns {Object} { windows: [{ start, end }], interval, buffer, exception }
+   */
+  static workingWindows({ date, availability = [], exceptions = [] }) {
+    const day = ClinicTime.dayKey(date);
+    const weekly = availability
+      .filter(entry => entry.isActive !== false && entry.dayOfWeek === Slots.dayOfWeek(day));
+    const todays = exceptions
+      .filter(exception => exception.isActive !== false && ClinicTime.dayKey(exception.date) === day);
+
+    const settings = weekly[0] || {};
+    const result = {
+      windows: [],
+      interval: settings.slotDuration || Slots.DEFAULT_INTERVAL,
+      buffer: settings.bufferMinutes || 0,
+      exception: null
+    };
+
+    const unavailable = todays.find(exception => exception.type === 'unavailable');
+    if (unavailable) {
+      result.exception = unavailable.type;
+      return result;
+    }
+
+    const customHours = todays.find(exception => exception.type === 'custom_hours');
+    let windows;
+    if (customHours) {
+      result.exception = customHours.type;
+      windows = [{ start: Slots.toMinutes(customHours.startTime), end: Slots.toMinutes(customHours.endTime) }];
+      (customHours.breaks || []).forEach(breakPeriod => {
+        windows = Slots.subtract(windows, Slots.toMinutes(breakPeriod.startTime), Slots.toMinutes(breakPeriod.endTime));
+      });
+    } else {
+      windows = weekly.map(entry => ({ start: Slots.toMinutes(entry.startTime), end: Slots.toMinutes(entry.endTime) }));
+    }
+
+    todays.filter(exception => exception.type === 'blocked_hours').forEach(exception => {
+      result.exception = result.exception || exception.type;
+      windows = Slots.subtract(windows, Slots.toMinutes(exception.startTime), Slots.toMinutes(exception.endTime));
+    });
+
+    result.windows = windows
+      .filter(window => window.end > window.start)
+      .sort((a, b) => a.start - b.start);
+    return result;
+  }
+
+  /**
+   * Time taken by other bookings on the day, padded by the buffer on both
+   * sides so a new visit never starts or ends within `buffer` minutes of one
+   * @param {Object} options - { date, appointments, buffer, excludeAppointmentId }
+   * @returns {Array} [{ start, end }]
+   */
+  static busyRanges({ date, appointments = [], buffer = 0, excludeAppointmentId }) {
+    const day = ClinicTime.dayKey(date);
+    const excluded = excludeAppointmentId ? String(excludeAppointmentId) : null;
+
+    return appointments
+      .filter(appointment => !Slots.FREE_STATUSES.includes(appointment.status))
+      .filter(appointment => !excluded || String(appointment._id) !== excluded)
+      .filter(appointment => ClinicTime.dayKey(appointment.date) === day)
+      .map(appointment => {
+        const start = Slots.toMinutes(appointment.time);
+        return {
+          start: start - buffer,
+          end: start + (appointment.duration || Slots.DEFAULT_INTERVAL) + buffer
+        };
+      });
+  }
+
+  /**
+   * Free start times on a day. Candidates step through each working window
+   * every `interval + buffer` minutes, and a start is offered when the whole
+   * visit fits in the window, clears every other booking by the buffer, and
+   * is still in the future in the clinic's timezone.
+   * @param {Object} options - { date, availability, exceptions, appointments,
+   *   duration, excludeAppointmentId, timeZone, now }
+   * @returns {Object} { date, timeZone, duration, interval, buffer, exception, slots: [{ time, duration }] }
+   */
+  static compute(options) {
+    const day = ClinicTime.dayKey(options.date);
+    const { windows, interval, buffer, exception } = Slots.workingWindows(options);
+    const duration = Number(options.duration) || interval;
+    const busy = Slots.busyRanges({ ...options, buffer });
+    const current = ClinicTime.now(options.timeZone, options.now);
+
+    const slots = [];
+    if (day >= current.day) {
+      windows.forEach(window => {
+        for (let start = window.start; start + duration <= window.end; start += interval + buffer) {
+          if (day === current.day && start <= current.minutes) continue;
+          const end = start + duration;
+          if (busy.some(range => start < range.end && end > range.start)) continue;
+          slots.push({ time: Slots.toTime(start), duration });
+        }
+      });
+    }
+
+    const timeZone = options.timeZone || ClinicTime.DEFAULT_TIME_ZONE;
+    return { date: day, timeZone, duration, interval, buffer, exception, slots };
+  }
+
+  /**
+   * Check one requested visit against the same rules as `compute`, without
+   * requiring it to sit on the slot grid
+   * @param {Object} options - compute options plus { time }
+   * @returns {Object} { ok, reason: 'past' | 'unavailable' | 'conflict' | null }
+   */
+  static check(options) {
+    const day = ClinicTime.dayKey(options.date);
+    const { windows, interval, buffer } = Slots.workingWindows(options);
+    const duration = Number(options.duration) || interval;
+    const start = Slots.toMinutes(options.time);
+    const end = start + duration;
+    const current = ClinicTime.now(options.timeZone, options.now);
+
+    if (day < current.day || (day === current.day && start <= current.minutes)) {
+      return { ok: false, reason: 'past' };
+    }
+    if (!windows.some(window => start >= window.start && end <= window.end)) {
+      return { ok: false, reason: 'unavailable' };
+    }
+    const busy = Slots.busyRanges({ ...options, buffer });
+    if (busy.some(range => start < range.end && end > range.start)) {
+      return { ok: false, reason: 'conflict' };
+    }
+    return { ok: true, reason: null };
+  }
+}
+
+Slots.DEFAULT_INTERVAL = 30;
+// Appointments in these statuses no longer hold their time
+Slots.FREE_STATUSES = ['Cancelled', 'No Show'];
+// What to tell someone booking when `check` rejects a time
+Slots.MESSAGES = {
+  past: 'Please choose a time in the future',
+  unavailable: 'The doctor is not available at this time',
+  conflict: 'This slot has just been taken. Please pick another time.'
+};
+
+module.exports = Slots;
@@ -72,6 +72,7 @@ class TokenManager {
       const tokenPayload = {
         userId: payload.id || payload.userId,
         email: payload.email,
+        role: payload.role,
         type: 'refresh',
         iat: Math.floor(Date.now() / 1000),
         jti: crypto.randomUUID()
@@ -194,7 +195,8 @@ class TokenManager {
       // Generate new access token
       const newAccessToken = this.generateAccessToken({
         id: decoded.userId,
-        email: decoded.email
+        email: decoded.email,
+        role: decoded.role
       });
 
       let newRefreshToken = refreshToken;
@@ -208,7 +210,8 @@ class TokenManager {
         // Generate new refresh token
         newRefreshToken = this.generateRefreshToken({
           id: decoded.userId,
-          email: decoded.email
+          email: decoded.email,
+          role: decoded.role
         });
       }
 
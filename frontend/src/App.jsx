@@ -25,8 +25,16 @@ import Teleconsultation from "./pages/Teleconsultation.jsx";
 import Prescriptions from "./pages/Prescriptions.jsx";
 import ReferralSystem from "./pages/ReferralSystem.jsx";
 import SharedReferral from "./pages/SharedReferral.jsx";
+import VerifyPrescription from "./pages/VerifyPrescription.jsx";
+import WaitlistOffer from "./pages/WaitlistOffer.jsx";
+import PatientPortal from "./pages/PatientPortal.jsx";
+import PatientPortalLogin from "./pages/PatientPortalLogin.jsx";
+import BookOnline from "./pages/BookOnline.jsx";
 import SlotManagement from "./pages/SlotManagement.jsx";
+import QueueManagement from "./pages/QueueManagement.jsx";
+import QueueDisplay from "./pages/QueueDisplay.jsx";
 import Billing from "./pages/Billing.jsx";
+import ServiceCatalogue from "./pages/ServiceCatalogue.jsx";
 import CommunityHub from "./pages/CommunityHub.jsx";
 import NotFound from "./pages/NotFound.jsx";
 import APITest from "./components/APITest.jsx";
@@ -104,6 +112,8 @@ const App = () => {
               <Route path="/patients/:patientId" element={isAuthed ? <ProtectedRoute routeName="patient-management"><PatientDetails /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/appointments" element={isAuthed ? <ProtectedRoute routeName="appointment-management"><AppointmentManagement /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/slot-management" element={isAuthed ? <ProtectedRoute routeName="slot-management"><SlotManagement /></ProtectedRoute> : <Navigate to="/login" replace />} />
+              <Route path="/queue" element={isAuthed ? <ProtectedRoute routeName="queue-management"><QueueManagement /></ProtectedRoute> : <Navigate to="/login" replace />} />
+              <Route path="/queue/display" element={isAuthed ? <ProtectedRoute routeName="queue-management"><QueueDisplay /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/doctors" element={isAuthed ? <ProtectedRoute routeName="doctors-management"><DoctorsManagement /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/nurses" element={isAuthed ? <ProtectedRoute routeName="nurses-management"><NursesManagement /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/pharmacists" element={isAuthed ? <ProtectedRoute routeName="pharmacists-management"><PharmacistsManagement /></ProtectedRoute> : <Navigate to="/login" replace />} />
@@ -114,8 +124,14 @@ const App = () => {
               <Route path="/prescriptions" element={isAuthed ? <ProtectedRoute routeName="prescriptions"><Prescriptions /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/referrals" element={isAuthed ? <ProtectedRoute routeName="referral-system"><ReferralSystem /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/shared-referral/:code" element={<SharedReferral />} />
+              <Route path="/verify-prescription/:prescriptionNumber" element={<VerifyPrescription />} />
+              <Route path="/waitlist-offer/:token" element={<WaitlistOffer />} />
+              <Route path="/patient-portal/login" element={<PatientPortalLogin />} />
+              <Route path="/patient-portal" element={<PatientPortal />} />
+              <Route path="/book/:clinicId" element={<BookOnline />} />
               <Route path="/invoices" element={isAuthed ? <ProtectedRoute routeName="invoice-management"><Billing /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/billing" element={isAuthed ? <ProtectedRoute routeName="invoice-management"><Billing /></ProtectedRoute> : <Navigate to="/login" replace />} />
+              <Route path="/service-catalogue" element={isAuthed ? <ProtectedRoute routeName="service-catalogue"><ServiceCatalogue /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/community" element={isAuthed ? <ProtectedRoute routeName="community-hub"><CommunityHub /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/email-settings" element={isAuthed ? <ProtectedRoute routeName="email-settings"><EmailSettings /></ProtectedRoute> : <Navigate to="/login" replace />} />
               <Route path="/activity-logs" element={isAuthed ? <ProtectedRoute routeName="activity-logs"><ActivityLogs /></ProtectedRoute> : <Navigate to="/login" replace />} />
@@ -22,6 +22,9 @@ import { getCurrentUser, isDoctor } from "@/utils/roleUtils";
 import { validators, sanitizers } from "@/utils/validation";
 import { useAuditLog } from "@/hooks/useAuditLog";
 import { getAvailableTimeSlots } from "@/utils/availabilityUtils";
+import { todayIn } from "@/utils/clinicTime";
+import { useClinicTimeZone } from "@/hooks/useClinicTimeZone";
+import ClinicTimeHint from "@/components/ClinicTimeHint";
 
 const AppointmentModal = ({ isOpen, onClose, onSubmit }) => {
   const { logComponentAccess, logFormSubmission, logAppointmentAccess } = useAuditLog();
@@ -53,6 +56,7 @@ const AppointmentModal = ({ isOpen, onClose, onSubmit }) => {
   const [appointmentTypeComboboxOpen, setAppointmentTypeComboboxOpen] = useState(false);
   const [availableSlots, setAvailableSlots] = useState([]);
   const [loadingSlots, setLoadingSlots] = useState(false);
+  const clinicTimeZone = useClinicTimeZone();
   
   // Get current user info
   const currentUser = getCurrentUser();
@@ -179,10 +183,7 @@ const AppointmentModal = ({ isOpen, onClose, onSubmit }) => {
       const response = await doctorAvailabilityAPI.getAvailableSlots(formData.doctorId, formData.date);
       
       if (response.success) {
-        const { availability, exceptions, appointments } = response;
-        const selectedDate = new Date(formData.date);
-        const slots = getAvailableTimeSlots(availability, exceptions, appointments, selectedDate);
-        setAvailableSlots(slots);
+        setAvailableSlots(getAvailableTimeSlots(response));
       }
     } catch (error) {
       console.error('Error loading available slots:', error);
@@ -251,12 +252,10 @@ const AppointmentModal = ({ isOpen, onClose, onSubmit }) => {
     if (dateError) {
       newErrors.date = dateError;
     } else {
-      // Check if date is not in the past
+      // Check if date is not in the past (at the clinic)
       const selectedDate = new Date(formData.date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
       
-      if (selectedDate < today) {
+      if (formData.date < todayIn(clinicTimeZone)) {
         newErrors.date = "Appointment date cannot be in the past";
       }
       
@@ -374,8 +373,8 @@ const AppointmentModal = ({ isOpen, onClose, onSubmit }) => {
     onClose();
   };
 
-  // Get minimum date (today)
-  const today = new Date().toISOString().split('T')[0];
+  // Get minimum date (today at the clinic)
+  const today = todayIn(clinicTimeZone);
 
   return (
     <Dialog open={isOpen} onOpenChange={handleClose}>
@@ -740,6 +739,7 @@ const AppointmentModal = ({ isOpen, onClose, onSubmit }) => {
                   {errors.time && (
                     <p className="text-sm text-red-600">{errors.time}</p>
                   )}
+                  <ClinicTimeHint timeZone={clinicTimeZone} date={formData.date} time={formData.time} />
                 </div>
               </div>
             )}
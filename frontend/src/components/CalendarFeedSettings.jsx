@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from '@/components/ui/alert-dialog';
+import { CalendarPlus, Copy, Loader2, RefreshCw, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { calendarFeedAPI } from '@/services/api';
+
+// Calendar apps subscribe more readily to webcal:// links
+const toWebcal = (url) => url.replace(/^https?:\/\//, 'webcal://');
+
+const CalendarFeedSettings = () => {
+  const [feed, setFeed] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [confirmAction, setConfirmAction] = useState(null);
+
+  useEffect(() => {
+    loadFeed();
+  }, []);
+
+  const loadFeed = async () => {
+    try {
+      setLoading(true);
+      const response = await calendarFeedAPI.get();
+      setFeed(response.data);
+    } catch (error) {
+      console.error('Error loading calendar feed:', error);
+      toast.error('Failed to load calendar feed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setWorking(true);
+      const response = await action();
+      setFeed(response.data);
+      toast.success(response.message || successMessage);
+    } catch (error) {
+      console.error('Error updating calendar feed:', error);
+      toast.error(error.message || 'Failed to update calendar feed');
+    } finally {
+      setWorking(false);
+      setConfirmAction(null);
+    }
+  };
+
+  const handleTogglePatientNames = (includePatientNames) => runAction(
+    () => calendarFeedAPI.update({ includePatientNames }),
+    includePatientNames ? 'Feed will show full patient names' : 'Feed will show patient initials'
+  );
+
+  const copyUrl = () => {
+    navigator.clipboard.writeText(feed.url);
+    toast.success('Calendar link copied');
+  };
+
+  if (loading || !feed) {
+    return (
+      <Card>
+        <CardContent className="py-10 flex justify-center">
+          <Loader2 className="w-6 h-6 animate-spin text-primary" />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CalendarPlus className="w-5 h-5" />
+          Calendar Subscription
+        </CardTitle>
+        <CardDescription>
+          Subscribe from Google Calendar, Outlook or Apple Calendar to see your appointments and teleconsultations alongside your personal events.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {feed.enabled ? (
+          <>
+            <div className="space-y-2">
+              <Label htmlFor="calendar-feed-url">Private calendar link</Label>
+              <div className="flex gap-2">
+                <Input id="calendar-feed-url" readOnly value={feed.url} className="font-mono text-xs" />
+                <Button type="button" variant="outline" onClick={copyUrl}>
+                  <Copy className="w-4 h-4" />
+                </Button>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Anyone with this link can see your schedule. Don't share it; create a new one if it leaks.
+              </p>
+              <div className="flex flex-wrap gap-4 text-xs text-muted-foreground">
+                {feed.createdAt && <span>Created {format(parseISO(feed.createdAt), 'MMM d, yyyy')}</span>}
+                <span>
+                  {feed.lastAccessedAt
+                    ? `Last synced ${format(parseISO(feed.lastAccessedAt), 'MMM d, yyyy h:mm a')}`
+                    : 'Not synced by any calendar yet'}
+                </span>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between rounded-md border p-3">
+              <div>
+                <Label htmlFor="calendar-feed-names">Show full patient names</Label>
+                <p className="text-xs text-muted-foreground">Off by default: events show initials only. Visit reasons are never included.</p>
+              </div>
+              <Switch
+                id="calendar-feed-names"
+                checked={feed.includePatientNames}
+                disabled={working}
+                onCheckedChange={handleTogglePatientNames}
+              />
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+              <Button asChild variant="outline">
+                <a href={toWebcal(feed.url)}>
+                  <CalendarPlus className="w-4 h-4 mr-2" />
+                  Open in calendar app
+                </a>
+              </Button>
+              <Button variant="outline" disabled={working} onClick={() => setConfirmAction('regenerate')}>
+                <RefreshCw className="w-4 h-4 mr-2" />
+                New link
+              </Button>
+              <Button variant="outline" className="text-red-600" disabled={working} onClick={() => setConfirmAction('revoke')}>
+                <Trash2 className="w-4 h-4 mr-2" />
+                Turn off
+              </Button>
+            </div>
+          </>
+        ) : (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-muted-foreground">Calendar subscription is off.</p>
+            <Button
+              disabled={working}
+              onClick={() => runAction(calendarFeedAPI.regenerate, 'Calendar link created')}
+            >
+              {working ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <CalendarPlus className="w-4 h-4 mr-2" />}
+              Create calendar link
+            </Button>
+          </div>
+        )}
+      </CardContent>
+
+      <AlertDialog open={Boolean(confirmAction)} onOpenChange={(open) => !open && setConfirmAction(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>
+              {confirmAction === 'revoke' ? 'Turn off calendar subscription?' : 'Create a new calendar link?'}
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              {confirmAction === 'revoke'
+                ? 'Calendars subscribed to the current link will stop updating. You can create a new link at any time.'
+                : 'The current link will stop working straight away. You will need to subscribe again with the new link.'}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={working}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              disabled={working}
+              onClick={() => confirmAction === 'revoke'
+                ? runAction(calendarFeedAPI.revoke, 'Calendar feed turned off')
+                : runAction(calendarFeedAPI.regenerate, 'New calendar link created')}
+            >
+              {confirmAction === 'revoke' ? 'Turn off' : 'Create new link'}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+};
+
+export default CalendarFeedSettings;
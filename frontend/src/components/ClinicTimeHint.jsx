@@ -0,0 +1,22 @@
+import { Globe } from "lucide-react";
+import { zoneLabel, inViewerZone } from "@/utils/clinicTime";
+
+/**
+ * Note under a time picker saying which timezone times are in, plus the
+ * chosen time on the viewer's own clock when they are somewhere else
+ */
+const ClinicTimeHint = ({ timeZone, date, time }) => {
+  const local = inViewerZone(date, time, timeZone);
+
+  return (
+    <p className="flex items-center gap-1 text-xs text-gray-500">
+      <Globe className="h-3 w-3" />
+      <span>
+        Times are clinic time ({zoneLabel(timeZone)})
+        {local && <> · {local} where you are</>}
+      </span>
+    </p>
+  );
+};
+
+export default ClinicTimeHint;
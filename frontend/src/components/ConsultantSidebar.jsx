@@ -1,4 +1,4 @@
-import { Calendar, Users, UserCheck, Video, Share2, FileText, Mail, AlertTriangle, Home, LogOut, User, LayoutDashboard, Stethoscope, Heart, ArrowLeftRight, CreditCard, MessageCircle, UserPlus, Pill, Shield, Clock, TestTubeDiagonal, FlaskConical, Package, Dumbbell, CalendarDays } from "lucide-react";
+import { Calendar, Users, UserCheck, Video, Share2, FileText, Mail, AlertTriangle, Home, LogOut, User, LayoutDashboard, Stethoscope, Heart, ArrowLeftRight, CreditCard, MessageCircle, UserPlus, Pill, Shield, Clock, TestTubeDiagonal, FlaskConical, Package, Dumbbell, CalendarDays, Ticket, ClipboardList } from "lucide-react";
 import LogoImage from "@/assets/Images/SmaartHealthcare.png";
 import LogoIcon from "@/assets/Images/Logo.png";
 import { Link, useLocation, useNavigate } from "react-router-dom";
@@ -24,6 +24,7 @@ const allNavigationItems = [
   { title: "Patient Management", url: "/patients", icon: Users, routeName: "patient-management" },
   { title: "Appointments", url: "/appointments", icon: Calendar, routeName: "appointment-management" },
   { title: "Slot Management", url: "/slot-management", icon: CalendarDays, routeName: "slot-management" },
+  { title: "Walk-in Queue", url: "/queue", icon: Ticket, routeName: "queue-management" },
   { title: "Doctor Management", url: "/doctors", icon: Stethoscope, routeName: "doctors-management" },
   { title: "Nurse Management", url: "/nurses", icon: Heart, routeName: "nurses-management" },
   { title: "Pharmacist Management", url: "/pharmacists", icon: Pill, routeName: "pharmacists-management" },
@@ -32,6 +33,7 @@ const allNavigationItems = [
   { title: "Teleconsultation", url: "/teleconsultation", icon: Video, routeName: "teleconsultation" },
   { title: "Referral System", url: "/referrals", icon: Share2, routeName: "referral-system" },
   { title: "Invoice Management", url: "/invoices", icon: CreditCard, routeName: "invoice-management" },
+  { title: "Service Catalogue", url: "/service-catalogue", icon: ClipboardList, routeName: "service-catalogue" },
   { title: "Community Hub", url: "/community", icon: MessageCircle, routeName: "community-hub" },
 ];
 
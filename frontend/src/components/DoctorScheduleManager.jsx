@@ -10,6 +10,8 @@ import { Textarea } from "@/components/ui/textarea";
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from "@/components/ui/alert-dialog";
 import { useToast } from "@/hooks/use-toast";
 import { doctorAvailabilityAPI, scheduleExceptionAPI } from "@/services/api";
+import { todayIn } from "@/utils/clinicTime";
+import { useClinicTimeZone } from "@/hooks/useClinicTimeZone";
 import { Calendar, Clock, Plus, X, Save, Trash2, AlertCircle, CalendarOff, Loader2, Coffee, ArrowRight, Info } from "lucide-react";
 
 const DAYS_OF_WEEK = [
@@ -27,6 +29,7 @@ const DoctorScheduleManager = ({ doctorId, clinicId }) => {
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [slotDuration, setSlotDuration] = useState(30); // Default 30 minutes
+  const [bufferMinutes, setBufferMinutes] = useState(0); // Gap kept between visits
   
   // Weekly schedule state
   const [schedule, setSchedule] = useState(
@@ -62,6 +65,10 @@ const DoctorScheduleManager = ({ doctorId, clinicId }) => {
     reason: ''
   });
 
+  // Exceptions can't be added for days already over at the clinic
+  const clinicTimeZone = useClinicTimeZone();
+  const clinicToday = todayIn(clinicTimeZone);
+
   useEffect(() => {
     if (doctorId) {
       // Reset schedule to default when doctor changes
@@ -95,6 +102,9 @@ const DoctorScheduleManager = ({ doctorId, clinicId }) => {
       if (availability.length > 0 && availability[0].slotDuration) {
         setSlotDuration(availability[0].slotDuration);
       }
+      if (availability.length > 0) {
+        setBufferMinutes(availability[0].bufferMinutes || 0);
+      }
       
       // Update schedule with existing availability (group by day)
       setSchedule(prevSchedule => 
@@ -190,9 +200,9 @@ const DoctorScheduleManager = ({ doctorId, clinicId }) => {
     try {
       setSaving(true);
       
-      console.log('Saving schedule:', { doctorId, clinicId, schedule, slotDuration });
+      console.log('Saving schedule:', { doctorId, clinicId, schedule, slotDuration, bufferMinutes });
       
-      await doctorAvailabilityAPI.bulkUpdate(doctorId, clinicId, schedule, slotDuration);
+      await doctorAvailabilityAPI.bulkUpdate(doctorId, clinicId, schedule, slotDuration, bufferMinutes);
       
       toast({
         title: "Success",
@@ -429,6 +439,31 @@ const DoctorScheduleManager = ({ doctorId, clinicId }) => {
                 </SelectContent>
               </Select>
             </div>
+            <div className="flex items-center justify-between mt-4">
+              <div>
+                <Label className="font-medium text-blue-900 dark:text-blue-100">Buffer Between Visits</Label>
+                <p className="text-sm text-blue-700 dark:text-blue-300 mt-1">
+                  {bufferMinutes > 0
+                    ? `${bufferMinutes} minutes are kept free after every appointment`
+                    : 'Appointments can be booked back to back'}
+                </p>
+              </div>
+              <Select 
+                value={bufferMinutes.toString()} 
+                onValueChange={(value) => setBufferMinutes(parseInt(value))}
+              >
+                <SelectTrigger className="w-32">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="0">None</SelectItem>
+                  <SelectItem value="5">5 min</SelectItem>
+                  <SelectItem value="10">10 min</SelectItem>
+                  <SelectItem value="15">15 min</SelectItem>
+                  <SelectItem value="30">30 min</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
           </div>
 
           {schedule.map((day) => (
@@ -625,7 +660,7 @@ const DoctorScheduleManager = ({ doctorId, clinicId }) => {
                   <Input
                     type="date"
                     value={bulkExceptionForm.startDate}
-                    min={new Date().toISOString().split('T')[0]}
+                    min={clinicToday}
                     onChange={(e) => setBulkExceptionForm(prev => ({
                       ...prev,
                       startDate: e.target.value
@@ -637,7 +672,7 @@ const DoctorScheduleManager = ({ doctorId, clinicId }) => {
                   <Input
                     type="date"
                     value={bulkExceptionForm.endDate}
-                    min={bulkExceptionForm.startDate || new Date().toISOString().split('T')[0]}
+                    min={bulkExceptionForm.startDate || clinicToday}
                     onChange={(e) => setBulkExceptionForm(prev => ({
                       ...prev,
                       endDate: e.target.value
@@ -684,7 +719,7 @@ const DoctorScheduleManager = ({ doctorId, clinicId }) => {
                   <Input
                     type="date"
                     value={exceptionForm.date}
-                    min={new Date().toISOString().split('T')[0]}
+                    min={clinicToday}
                     onChange={(e) => setExceptionForm(prev => ({
                       ...prev,
                       date: e.target.value
@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Inbox, Loader2, RefreshCw, Send } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { emailLogAPI } from '@/services/api';
+
+const STATUS_STYLES = {
+  queued: { label: 'Queued', className: 'bg-gray-100 text-gray-800' },
+  retrying: { label: 'Retrying', className: 'bg-yellow-100 text-yellow-800' },
+  sent: { label: 'Sent', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' },
+  dead: { label: 'Gave up', className: 'bg-red-100 text-red-800' }
+};
+
+const ALL = 'all';
+
+// Matches EmailDelivery.canResend on the server; code emails are never kept
+const canResend = (email) => !email.sensitive && ['sent', 'failed', 'dead'].includes(email.status);
+
+const EmailDeliveryLog = () => {
+  const [emails, setEmails] = useState([]);
+  const [templates, setTemplates] = useState({});
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [status, setStatus] = useState(ALL);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [resendingId, setResendingId] = useState(null);
+
+  useEffect(() => {
+    loadEmails();
+  }, [status, page]);
+
+  const loadEmails = async () => {
+    try {
+      setLoading(true);
+      const response = await emailLogAPI.getAll(page, status === ALL ? {} : { status });
+      setEmails(response.data.emails);
+      setTemplates(response.data.templates);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error loading email log:', error);
+      toast.error('Failed to load email delivery log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStatusChange = (value) => {
+    setStatus(value);
+    setPage(1);
+  };
+
+  const handleResend = async (email) => {
+    try {
+      setResendingId(email._id);
+      const response = await emailLogAPI.resend(email._id);
+      toast.success(response.message);
+      await loadEmails();
+    } catch (error) {
+      console.error('Error resending email:', error);
+      toast.error(error.message || 'Failed to resend email');
+      await loadEmails();
+    } finally {
+      setResendingId(null);
+    }
+  };
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Inbox className="w-5 h-5" />
+              Email Delivery Log
+            </CardTitle>
+            <CardDescription>
+              Emails sent for your clinic in the last 90 days. Failed emails are retried automatically
+              before the log gives up on them.
+            </CardDescription>
+          </div>
+          <div className="flex items-center gap-2">
+            <Select value={status} onValueChange={handleStatusChange}>
+              <SelectTrigger className="w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All statuses</SelectItem>
+                {Object.entries(STATUS_STYLES).map(([value, style]) => (
+                  <SelectItem key={value} value={value}>{style.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="outline" size="icon" onClick={loadEmails} disabled={loading} title="Refresh">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading && emails.length === 0 ? (
+          <div className="py-10 flex justify-center">
+            <Loader2 className="w-6 h-6 animate-spin text-teal-600" />
+          </div>
+        ) : emails.length === 0 ? (
+          <p className="py-6 text-center text-sm text-gray-500">No emails to show.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {emails.map(email => {
+              const style = STATUS_STYLES[email.status] || STATUS_STYLES.queued;
+              return (
+                <div key={email._id} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                  <div className="min-w-0 space-y-1">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="font-medium text-gray-900">{email.recipientName || email.to}</span>
+                      {email.recipientName && <span className="text-sm text-gray-500">{email.to}</span>}
+                      <Badge variant="outline">{templates[email.template] || email.template}</Badge>
+                      {email.resendOf && <Badge variant="secondary">Resent</Badge>}
+                    </div>
+                    <p className="text-sm text-gray-700 truncate">{email.subject}</p>
+                    <p className="text-xs text-gray-500">
+                      {format(parseISO(email.createdAt), 'MMM dd, yyyy HH:mm')}
+                      {' '}· Attempt {email.attempts} of {email.maxAttempts}
+                      {email.status === 'retrying' && email.nextAttemptAt &&
+                        ` · Next try ${format(parseISO(email.nextAttemptAt), 'HH:mm')}`}
+                    </p>
+                    {email.lastError && email.status !== 'sent' && (
+                      <p className="text-xs text-red-600 break-words">{email.lastError}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <Badge className={`${style.className} border-0`}>{style.label}</Badge>
+                    {canResend(email) && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleResend(email)}
+                        disabled={resendingId === email._id}
+                      >
+                        {resendingId === email._id
+                          ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                          : <Send className="w-4 h-4 mr-2" />}
+                        Resend
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="flex items-center justify-between pt-4">
+            <span className="text-sm text-gray-500">
+              Page {pagination.page} of {pagination.pages} · {pagination.total} emails
+            </span>
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={loading || page <= 1}>
+                Previous
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setPage(page + 1)}
+                disabled={loading || page >= pagination.pages}
+              >
+                Next
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default EmailDeliveryLog;
@@ -0,0 +1,349 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import { Separator } from '@/components/ui/separator';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { FileText, History, Loader2, RotateCcw, Save, Send } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { emailTemplateAPI } from '@/services/api';
+
+// Wait for typing to pause before rendering the preview
+const PREVIEW_DELAY_MS = 500;
+
+const EmailTemplateEditor = () => {
+  const [templates, setTemplates] = useState([]);
+  const [selectedKey, setSelectedKey] = useState('');
+  const [draft, setDraft] = useState({ subject: '', body: '', note: '' });
+  const [logoUrl, setLogoUrl] = useState('');
+  // The preview shows the saved logo, so it re-renders when that changes
+  const [savedLogoUrl, setSavedLogoUrl] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState('');
+  const [testEmail, setTestEmail] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [sendingTest, setSendingTest] = useState(false);
+
+  const selected = templates.find(template => template.key === selectedKey);
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  useEffect(() => {
+    if (!selectedKey) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await emailTemplateAPI.preview(selectedKey, { subject: draft.subject, body: draft.body });
+        setPreview(response.data);
+        setPreviewError('');
+      } catch (error) {
+        setPreviewError(error.message || 'Preview failed');
+      }
+    }, PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [selectedKey, draft.subject, draft.body, savedLogoUrl]);
+
+  const loadTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await emailTemplateAPI.getAll();
+      setTemplates(response.data.templates);
+      setLogoUrl(response.data.logoUrl);
+      setSavedLogoUrl(response.data.logoUrl);
+      const first = response.data.templates[0];
+      if (first) selectTemplate(first);
+    } catch (error) {
+      console.error('Error loading email templates:', error);
+      toast.error('Failed to load email templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Start from the version in use, or the built-in wording
+  const selectTemplate = (template) => {
+    const active = template.versions.find(version => version.version === template.activeVersion);
+    setSelectedKey(template.key);
+    setDraft({
+      subject: active?.subject || template.defaults.subject,
+      body: active?.body || template.defaults.body,
+      note: ''
+    });
+  };
+
+  const replaceTemplate = (updated) => {
+    setTemplates(prev => prev.map(template => (template.key === updated.key ? updated : template)));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await emailTemplateAPI.save(selectedKey, draft);
+      replaceTemplate(response.data);
+      setDraft(prev => ({ ...prev, note: '' }));
+      toast.success(`Saved as version ${response.data.activeVersion} and now in use`);
+    } catch (error) {
+      console.error('Error saving email template:', error);
+      const details = error.data?.details?.map(detail => detail.msg || detail).join(', ');
+      toast.error(details || error.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleActivate = async (version) => {
+    try {
+      const response = await emailTemplateAPI.activateVersion(selectedKey, version.version);
+      replaceTemplate(response.data);
+      setDraft({ subject: version.subject, body: version.body, note: '' });
+      toast.success(`Version ${version.version} is now in use`);
+    } catch (error) {
+      console.error('Error activating template version:', error);
+      toast.error(error.message || 'Failed to switch version');
+    }
+  };
+
+  const handleReset = async () => {
+    if (!confirm('Go back to the built-in email? Your saved versions are kept.')) return;
+    try {
+      const response = await emailTemplateAPI.reset(selectedKey);
+      replaceTemplate(response.data);
+      setDraft({ ...response.data.defaults, note: '' });
+      toast.success('Using the built-in email');
+    } catch (error) {
+      console.error('Error resetting email template:', error);
+      toast.error(error.message || 'Failed to reset template');
+    }
+  };
+
+  const handleSendTest = async () => {
+    if (!testEmail.trim()) {
+      toast.error('Enter an email address for the test');
+      return;
+    }
+    try {
+      setSendingTest(true);
+      await emailTemplateAPI.sendTest(selectedKey, testEmail.trim(), { subject: draft.subject, body: draft.body });
+      toast.success(`Test email sent to ${testEmail.trim()}`);
+    } catch (error) {
+      console.error('Error sending test email:', error);
+      toast.error(error.message || 'Failed to send test email');
+    } finally {
+      setSendingTest(false);
+    }
+  };
+
+  const handleSaveLogo = async () => {
+    try {
+      const response = await emailTemplateAPI.updateLogo(logoUrl.trim());
+      setLogoUrl(response.data.logoUrl);
+      setSavedLogoUrl(response.data.logoUrl);
+      toast.success('Logo saved');
+    } catch (error) {
+      console.error('Error saving logo:', error);
+      const details = error.data?.details?.map(detail => detail.msg || detail).join(', ');
+      toast.error(details || error.message || 'Failed to save logo');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Card className="mt-6">
+        <CardContent className="py-10 flex justify-center">
+          <Loader2 className="w-6 h-6 animate-spin text-teal-600" />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileText className="w-5 h-5" />
+          Email Templates
+        </CardTitle>
+        <CardDescription>
+          Change the wording of the emails your clinic sends. Emails you have not customised use the built-in design.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-2">
+          <Label htmlFor="logoUrl">Clinic logo</Label>
+          <div className="flex gap-2">
+            <Input
+              id="logoUrl"
+              value={logoUrl}
+              onChange={(e) => setLogoUrl(e.target.value)}
+              placeholder="https://example.com/logo.png"
+            />
+            <Button type="button" variant="outline" onClick={handleSaveLogo}>Save logo</Button>
+          </div>
+          <p className="text-xs text-gray-500">Shown wherever a template uses {'{{clinicLogo}}'}.</p>
+        </div>
+
+        <Separator />
+
+        <div className="flex flex-col md:flex-row md:items-center gap-3">
+          <Select
+            value={selectedKey}
+            onValueChange={(key) => selectTemplate(templates.find(template => template.key === key))}
+          >
+            <SelectTrigger className="md:w-72">
+              <SelectValue placeholder="Choose an email..." />
+            </SelectTrigger>
+            <SelectContent>
+              {templates.map(template => (
+                <SelectItem key={template.key} value={template.key}>{template.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {selected && (
+            <div className="flex items-center gap-2">
+              {selected.activeVersion ? (
+                <Badge className="bg-green-100 text-green-800 border-0">Version {selected.activeVersion} in use</Badge>
+              ) : (
+                <Badge variant="secondary">Built-in email in use</Badge>
+              )}
+              <span className="text-sm text-gray-500">{selected.description}</span>
+            </div>
+          )}
+        </div>
+
+        {selected && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="template-subject">Subject</Label>
+                <Input
+                  id="template-subject"
+                  value={draft.subject}
+                  onChange={(e) => setDraft({ ...draft, subject: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="template-body">Message</Label>
+                <Textarea
+                  id="template-body"
+                  rows={14}
+                  value={draft.body}
+                  onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+                />
+                <p className="text-xs text-gray-500">
+                  Leave a blank line between paragraphs. Variables:{' '}
+                  {selected.variables.map(variable => `{{${variable}}}`).join(' ')}
+                </p>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="template-note">What changed (optional)</Label>
+                <Input
+                  id="template-note"
+                  value={draft.note}
+                  onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+                  placeholder="e.g. Added weekend phone number"
+                />
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <Button
+                  onClick={handleSave}
+                  disabled={saving || !draft.subject.trim() || !draft.body.trim() || Boolean(previewError)}
+                  className="bg-teal-600 hover:bg-teal-700"
+                >
+                  {saving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                  Save and use
+                </Button>
+                {selected.activeVersion && (
+                  <Button variant="outline" onClick={handleReset}>
+                    <RotateCcw className="w-4 h-4 mr-2" />
+                    Use built-in email
+                  </Button>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <Input
+                  type="email"
+                  value={testEmail}
+                  onChange={(e) => setTestEmail(e.target.value)}
+                  placeholder="Send a test to..."
+                />
+                <Button variant="outline" onClick={handleSendTest} disabled={sendingTest || Boolean(previewError)}>
+                  {sendingTest ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Send className="w-4 h-4 mr-2" />}
+                  Send test
+                </Button>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Preview</Label>
+              {previewError ? (
+                <div className="rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-800">{previewError}</div>
+              ) : preview && (
+                <div className="rounded-md border border-gray-200 overflow-hidden">
+                  <div className="bg-gray-50 px-3 py-2 text-sm border-b border-gray-200">
+                    <span className="text-gray-500">Subject: </span>
+                    <span className="font-medium">{preview.subject}</span>
+                  </div>
+                  <iframe
+                    title="Email preview"
+                    srcDoc={preview.html}
+                    sandbox=""
+                    className="w-full h-[28rem] bg-white"
+                  />
+                </div>
+              )}
+              <p className="text-xs text-gray-500">Sample patient details are used in the preview and test email.</p>
+            </div>
+          </div>
+        )}
+
+        {selected?.versions.length > 0 && (
+          <>
+            <Separator />
+            <div className="space-y-2">
+              <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+                <History className="w-4 h-4" />
+                Version history
+              </h4>
+              {selected.versions.map(version => (
+                <div key={version.version} className="flex items-center justify-between gap-4 text-sm">
+                  <div className="min-w-0">
+                    <span className="font-medium">Version {version.version}</span>
+                    <span className="text-gray-500">
+                      {' '}· {format(parseISO(version.createdAt), 'MMM dd, yyyy HH:mm')}
+                      {version.createdBy && ` · ${version.createdBy}`}
+                    </span>
+                    <p className="text-xs text-gray-500 truncate">{version.note || version.subject}</p>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => setDraft({ subject: version.subject, body: version.body, note: '' })}
+                    >
+                      Edit copy
+                    </Button>
+                    {version.version === selected.activeVersion ? (
+                      <Badge className="bg-green-100 text-green-800 border-0">In use</Badge>
+                    ) : (
+                      <Button size="sm" variant="outline" onClick={() => handleActivate(version)}>
+                        Use this version
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default EmailTemplateEditor;
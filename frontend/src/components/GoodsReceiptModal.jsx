@@ -0,0 +1,215 @@
+import { useState, useEffect } from "react";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useToast } from "@/hooks/use-toast";
+import { purchaseOrderAPI } from "@/services/api";
+
+const GoodsReceiptModal = ({ isOpen, onClose, order, onSuccess }) => {
+  const [lines, setLines] = useState([]);
+  const [supplierInvoiceNumber, setSupplierInvoiceNumber] = useState("");
+  const [notes, setNotes] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (!isOpen || !order) return;
+
+    setSupplierInvoiceNumber("");
+    setNotes("");
+    setLines(order.lines
+      .filter((line) => line.quantityReceived < line.quantityOrdered)
+      .map((line) => ({
+        lineId: line._id,
+        medicationName: line.medicationName,
+        strength: line.strength,
+        outstanding: line.quantityOrdered - line.quantityReceived,
+        quantity: line.quantityOrdered - line.quantityReceived,
+        batchNumber: "",
+        expiryDate: "",
+        manufacturingDate: "",
+        unitPrice: line.unitPrice || 0,
+        sellingPrice: ""
+      })));
+  }, [isOpen, order]);
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const handleSubmit = async () => {
+    const receivedLines = lines.filter((line) => line.quantity > 0);
+
+    if (receivedLines.length === 0) {
+      toast({
+        title: "Validation Error",
+        description: "Enter a received quantity for at least one line",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    if (receivedLines.some((line) => !line.batchNumber.trim() || !line.expiryDate)) {
+      toast({
+        title: "Validation Error",
+        description: "Batch number and expiry date are required for every received line",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await purchaseOrderAPI.receive(order._id, {
+        supplierInvoiceNumber,
+        notes,
+        lines: receivedLines.map((line) => ({
+          lineId: line.lineId,
+          quantity: line.quantity,
+          batchNumber: line.batchNumber,
+          expiryDate: line.expiryDate,
+          manufacturingDate: line.manufacturingDate || undefined,
+          unitPrice: line.unitPrice,
+          ...(line.sellingPrice !== "" ? { sellingPrice: line.sellingPrice } : {})
+        }))
+      });
+
+      if (response.success) {
+        toast({
+          title: "Success",
+          description: response.message
+        });
+        onSuccess?.(response.data);
+        onClose();
+      }
+    } catch (error) {
+      console.error('Error receiving goods:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to record goods receipt",
+        variant: "destructive"
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Receive Goods {order ? `• ${order.poNumber}` : ''}</DialogTitle>
+          <DialogDescription>
+            Each received line is added to inventory as a new batch
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label>Supplier Invoice No.</Label>
+              <Input
+                value={supplierInvoiceNumber}
+                onChange={(e) => setSupplierInvoiceNumber(e.target.value)}
+                placeholder="INV-1234"
+              />
+            </div>
+            <div>
+              <Label>Notes</Label>
+              <Input
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Condition on arrival, shortages"
+              />
+            </div>
+          </div>
+
+          {lines.length === 0 ? (
+            <p className="text-center text-gray-500 py-4">All lines on this order have been received</p>
+          ) : (
+            <div className="space-y-3">
+              {lines.map((line, index) => (
+                <div key={line.lineId} className="p-3 border rounded-lg space-y-2">
+                  <div className="flex justify-between">
+                    <span className="font-medium">{line.medicationName} {line.strength}</span>
+                    <span className="text-sm text-gray-500">Outstanding: {line.outstanding}</span>
+                  </div>
+                  <div className="grid grid-cols-6 gap-2">
+                    <div>
+                      <Label className="text-xs">Quantity</Label>
+                      <Input
+                        type="number"
+                        min="0"
+                        max={line.outstanding}
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, 'quantity', parseInt(e.target.value) || 0)}
+                      />
+                    </div>
+                    <div>
+                      <Label className="text-xs">Batch No. *</Label>
+                      <Input
+                        value={line.batchNumber}
+                        onChange={(e) => updateLine(index, 'batchNumber', e.target.value)}
+                        placeholder="BATCH001"
+                      />
+                    </div>
+                    <div>
+                      <Label className="text-xs">Mfg. Date</Label>
+                      <Input
+                        type="date"
+                        value={line.manufacturingDate}
+                        onChange={(e) => updateLine(index, 'manufacturingDate', e.target.value)}
+                      />
+                    </div>
+                    <div>
+                      <Label className="text-xs">Expiry Date *</Label>
+                      <Input
+                        type="date"
+                        value={line.expiryDate}
+                        onChange={(e) => updateLine(index, 'expiryDate', e.target.value)}
+                        min={new Date().toISOString().split('T')[0]}
+                      />
+                    </div>
+                    <div>
+                      <Label className="text-xs">Unit Price (₹)</Label>
+                      <Input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.unitPrice}
+                        onChange={(e) => updateLine(index, 'unitPrice', parseFloat(e.target.value) || 0)}
+                      />
+                    </div>
+                    <div>
+                      <Label className="text-xs">Selling Price (₹)</Label>
+                      <Input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.sellingPrice}
+                        onChange={(e) => updateLine(index, 'sellingPrice', e.target.value === "" ? "" : parseFloat(e.target.value) || 0)}
+                        placeholder="Keep current"
+                      />
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={submitting || lines.length === 0}>
+            {submitting ? "Saving..." : "Record Receipt"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default GoodsReceiptModal;
@@ -0,0 +1,122 @@
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Download, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { format, subMonths } from "date-fns";
+import { invoiceAPI } from "@/services/api";
+
+// GSTR-1 tables, each exported as its own CSV as the GST offline tool expects
+const SECTIONS = [
+  { value: "b2b", label: "B2B - registered buyers" },
+  { value: "b2cl", label: "B2C large - inter-state over ₹1 lakh" },
+  { value: "b2cs", label: "B2C small" },
+  { value: "nil", label: "Nil rated, exempt and non-GST" },
+  { value: "hsn", label: "HSN/SAC summary" },
+  { value: "docs", label: "Documents issued" },
+  { value: "unclassified", label: "Invoices not classified for GST" }
+];
+
+/**
+ * Download a month's GSTR-1 return from the clinic's invoices: the whole
+ * report as JSON, or one table at a time as CSV.
+ */
+const GstReportDialog = ({ isOpen, onClose }) => {
+  // Returns are filed for the month just ended
+  const [month, setMonth] = useState(() => format(subMonths(new Date(), 1), "yyyy-MM"));
+  const [fileFormat, setFileFormat] = useState("json");
+  const [section, setSection] = useState("b2cs");
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      toast.error("Choose the month to report");
+      return;
+    }
+    setDownloading(true);
+    try {
+      await invoiceAPI.downloadGstr1(month, fileFormat, fileFormat === "csv" ? section : undefined);
+      toast.success("GSTR-1 report downloaded");
+    } catch (error) {
+      console.error("Error downloading GSTR-1 report:", error);
+      toast.error(error.message || "Failed to download the GSTR-1 report");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>GSTR-1 Export</DialogTitle>
+          <DialogDescription>
+            Outward supplies from approved and paid invoices dated in the month. Refunds need credit notes, which are not included.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="gstr1-month">Return period</Label>
+            <Input
+              id="gstr1-month"
+              type="month"
+              value={month}
+              max={format(new Date(), "yyyy-MM")}
+              onChange={(e) => setMonth(e.target.value)}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label>Format</Label>
+            <Select value={fileFormat} onValueChange={setFileFormat}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="json">JSON - every table</SelectItem>
+                <SelectItem value="csv">CSV - one table</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {fileFormat === "csv" && (
+            <div className="space-y-2">
+              <Label>Table</Label>
+              <Select value={section} onValueChange={setSection}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {SECTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter className="gap-2">
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleDownload} disabled={downloading}>
+            {downloading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+            Download
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default GstReportDialog;
@@ -22,13 +22,16 @@ import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover
 import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, CommandList } from "@/components/ui/command";
 import { FileText, User, DollarSign, Plus, Minus, MapPin, Check, ChevronsUpDown } from "lucide-react";
 import { cn } from "@/lib/utils";
-import { invoiceAPI, patientAPI } from "@/services/api";
+import { catalogueAPI, invoiceAPI, patientAPI } from "@/services/api";
+import { GST_RATES, TAX_CLASS_OPTIONS, estimateTax, gstDefaults } from "@/utils/gst";
+
+const emptyLineItem = () => ({ description: "", qty: 1, unitPrice: 0, ...gstDefaults("other") });
 
 const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
   const [formData, setFormData] = useState({
     patientId: "",
     patientName: "",
-    lineItems: [{ description: "", qty: 1, unitPrice: 0 }],
+    lineItems: [emptyLineItem()],
     address: {
       line1: "",
       line2: "",
@@ -39,8 +42,8 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
     phone: "",
     email: "",
     remarks: "",
+    recipientGstin: "",
     discount: 0,
-    tax: 0,
     shipping: 0
   });
 
@@ -48,14 +51,27 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
   const [patients, setPatients] = useState([]);
   const [loadingPatients, setLoadingPatients] = useState(false);
   const [patientComboboxOpen, setPatientComboboxOpen] = useState(false);
+  const [catalogue, setCatalogue] = useState([]);
+  const [catalogueOpenIndex, setCatalogueOpenIndex] = useState(null);
 
-  // Load patients when modal opens
+  // Load patients and today's catalogue when modal opens
   useEffect(() => {
     if (isOpen) {
       loadPatients();
+      loadCatalogue();
     }
   }, [isOpen]);
 
+  const loadCatalogue = async () => {
+    try {
+      const response = await catalogueAPI.getAll({ offered: 'true' });
+      setCatalogue(response.data?.items || []);
+    } catch (error) {
+      console.error('Failed to load service catalogue:', error);
+      setCatalogue([]);
+    }
+  };
+
   const loadPatients = async () => {
     setLoadingPatients(true);
     try {
@@ -88,6 +104,11 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
     }
     if (!formData.lineItems.length || !formData.lineItems[0].description.trim()) {
       newErrors.lineItems = "At least one line item with description is required";
+    } else if (formData.lineItems.some(item => item.taxClass === "taxable" && (!item.taxRate || !/^\d{4,8}$/.test(item.hsnSac || "")))) {
+      newErrors.lineItems = "Taxable items need a GST rate and a 4 to 8 digit HSN/SAC code";
+    }
+    if (formData.recipientGstin && !/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(formData.recipientGstin)) {
+      newErrors.recipientGstin = "Enter a valid 15-character GSTIN";
     }
     if (!formData.address.line1.trim()) {
       newErrors.addressLine1 = "Address line 1 is required";
@@ -111,9 +132,6 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
     
     if (validateForm()) {
       try {
-        // Generate invoice number
-        const invoiceNo = Date.now();
-        
         // Calculate total from line items with proper number validation
         const subtotal = formData.lineItems.reduce((sum, item) => {
           const qty = parseFloat(item.qty) || 0;
@@ -122,7 +140,7 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
         }, 0);
         
         const discount = parseFloat(formData.discount) || 0;
-        const tax = parseFloat(formData.tax) || 0;
+        const tax = estimateTax(formData.lineItems, discount);
         const shipping = parseFloat(formData.shipping) || 0;
         const total = subtotal - discount + tax + shipping;
         
@@ -132,25 +150,27 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
           return;
         }
         
-        // Prepare invoice data to match new backend structure
+        // Prepare invoice data; the number and GST are worked out by the server
         const invoiceData = {
           patientId: formData.patientId,
           patientName: formData.patientName || selectedPatient?.fullName || '',
-          invoiceNo: invoiceNo,
           date: new Date().toISOString().split('T')[0],
           lineItems: formData.lineItems.map(item => ({
+            catalogItemId: item.catalogItemId || undefined,
             description: item.description,
             qty: parseFloat(item.qty) || 1,
-            unitPrice: parseFloat(item.unitPrice) || 0
+            unitPrice: parseFloat(item.unitPrice) || 0,
+            taxClass: item.taxClass,
+            taxRate: item.taxClass === "taxable" ? parseFloat(item.taxRate) : 0,
+            hsnSac: item.hsnSac || undefined
           })),
           address: formData.address,
           phone: formData.phone || selectedPatient?.phone || '',
           email: formData.email || selectedPatient?.email || '',
           remarks: formData.remarks,
+          recipientGstin: formData.recipientGstin || undefined,
           discount: discount,
-          tax: tax,
-          shipping: shipping,
-          total: total
+          shipping: shipping
         };
         
         // Send to backend API
@@ -171,7 +191,7 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
     setFormData({
       patientId: "",
       patientName: "",
-      lineItems: [{ description: "", qty: 1, unitPrice: 0 }],
+      lineItems: [emptyLineItem()],
       address: {
         line1: "",
         line2: "",
@@ -182,8 +202,8 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
       phone: "",
       email: "",
       remarks: "",
+      recipientGstin: "",
       discount: 0,
-      tax: 0,
       shipping: 0
     });
     setErrors({});
@@ -193,7 +213,7 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
   const addLineItem = () => {
     setFormData(prev => ({
       ...prev,
-      lineItems: [...prev.lineItems, { description: "", qty: 1, unitPrice: 0 }]
+      lineItems: [...prev.lineItems, emptyLineItem()]
     }));
   };
 
@@ -215,6 +235,30 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
     }));
   };
 
+  // Fill a line from the catalogue at today's price; the price can still be changed for a concession
+  const selectCatalogItem = (index, catalogItem) => {
+    setFormData(prev => ({
+      ...prev,
+      lineItems: prev.lineItems.map((item, i) => {
+        if (i !== index) return item;
+        if (!catalogItem) {
+          return { ...item, catalogItemId: undefined, code: undefined, ...gstDefaults("other") };
+        }
+        return {
+          ...item,
+          catalogItemId: catalogItem._id,
+          code: catalogItem.code,
+          description: catalogItem.name,
+          unitPrice: catalogItem.price,
+          taxClass: catalogItem.taxClass,
+          taxRate: catalogItem.taxRate,
+          hsnSac: catalogItem.hsnSac || ""
+        };
+      })
+    }));
+    setCatalogueOpenIndex(null);
+  };
+
   const updateAddress = (field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -229,7 +273,7 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
     return sum + (qty * unitPrice);
   }, 0);
   const discount = parseFloat(formData.discount) || 0;
-  const tax = parseFloat(formData.tax) || 0;
+  const tax = estimateTax(formData.lineItems, discount);
   const shipping = parseFloat(formData.shipping) || 0;
   const total = subtotal - discount + tax + shipping;
 
@@ -367,6 +411,24 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
                 />
               </div>
             </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="recipientGstin">Buyer GSTIN</Label>
+              <Input
+                id="recipientGstin"
+                placeholder="Only for GST-registered buyers, e.g. an employer or insurer"
+                value={formData.recipientGstin}
+                onChange={(e) => handleInputChange("recipientGstin", e.target.value.toUpperCase().trim())}
+                className={errors.recipientGstin ? "border-red-500" : ""}
+              />
+              {errors.recipientGstin ? (
+                <p className="text-sm text-red-600">{errors.recipientGstin}</p>
+              ) : (
+                <p className="text-xs text-muted-foreground">
+                  GST is charged as CGST and SGST within the clinic's state, or IGST when the buyer or billing address is in another state
+                </p>
+              )}
+            </div>
           </div>
 
           {/* Address Information */}
@@ -478,6 +540,57 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
                   )}
                 </div>
 
+                {catalogue.length > 0 && (
+                  <div className="space-y-2">
+                    <Label>From Service Catalogue</Label>
+                    <Popover
+                      open={catalogueOpenIndex === index}
+                      onOpenChange={(open) => setCatalogueOpenIndex(open ? index : null)}
+                    >
+                      <PopoverTrigger asChild>
+                        <Button
+                          type="button"
+                          variant="outline"
+                          role="combobox"
+                          aria-expanded={catalogueOpenIndex === index}
+                          className="w-full justify-between font-normal"
+                        >
+                          {item.catalogItemId ? `${item.code} - ${item.description}` : "Custom item (not from catalogue)"}
+                          <ChevronsUpDown className="ml-2 h-4 w-4 shrink-0 opacity-50" />
+                        </Button>
+                      </PopoverTrigger>
+                      <PopoverContent className="w-full p-0" align="start" onWheel={(e) => e.stopPropagation()}>
+                        <Command>
+                          <CommandInput placeholder="Search by code or name..." />
+                          <CommandList>
+                            <CommandEmpty>No catalogue item found.</CommandEmpty>
+                            <CommandGroup>
+                              <CommandItem value="custom item" onSelect={() => selectCatalogItem(index, null)}>
+                                <Check className={cn("mr-2 h-4 w-4", !item.catalogItemId ? "opacity-100" : "opacity-0")} />
+                                Custom item
+                              </CommandItem>
+                              {catalogue.map(catalogItem => (
+                                <CommandItem
+                                  key={catalogItem._id}
+                                  value={`${catalogItem.code} ${catalogItem.name}`}
+                                  onSelect={() => selectCatalogItem(index, catalogItem)}
+                                >
+                                  <Check className={cn("mr-2 h-4 w-4", item.catalogItemId === catalogItem._id ? "opacity-100" : "opacity-0")} />
+                                  <div className="flex-1">
+                                    <p>{catalogItem.name}</p>
+                                    <p className="text-xs text-muted-foreground">{catalogItem.code}</p>
+                                  </div>
+                                  <span className="text-sm">₹{catalogItem.price.toFixed(2)}</span>
+                                </CommandItem>
+                              ))}
+                            </CommandGroup>
+                          </CommandList>
+                        </Command>
+                      </PopoverContent>
+                    </Popover>
+                  </div>
+                )}
+
                 <div className="space-y-2">
                   <Label>Description *</Label>
                   <Textarea
@@ -519,6 +632,52 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
                     />
                   </div>
                 </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="space-y-2">
+                    <Label>Tax Class</Label>
+                    <Select
+                      value={item.taxClass}
+                      onValueChange={(value) => updateLineItem(index, "taxClass", value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {TAX_CLASS_OPTIONS.map(option => (
+                          <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label>GST Rate</Label>
+                    <Select
+                      value={item.taxClass === "taxable" ? String(item.taxRate || "") : ""}
+                      onValueChange={(value) => updateLineItem(index, "taxRate", parseFloat(value))}
+                      disabled={item.taxClass !== "taxable"}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder={item.taxClass === "taxable" ? "Select rate" : "Not taxed"} />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {GST_RATES.map(rate => (
+                          <SelectItem key={rate} value={String(rate)}>{rate}%</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label>HSN/SAC{item.taxClass === "taxable" ? " *" : ""}</Label>
+                    <Input
+                      placeholder={item.taxClass === "taxable" ? "e.g. 3004" : "Optional"}
+                      value={item.hsnSac}
+                      onChange={(e) => updateLineItem(index, "hsnSac", e.target.value.replace(/\D/g, "").slice(0, 8))}
+                    />
+                  </div>
+                </div>
               </div>
             ))}
 
@@ -534,7 +693,7 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
               Additional Charges
             </h3>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div className="space-y-2">
                 <Label htmlFor="discount">Discount (₹)</Label>
                 <Input
@@ -547,18 +706,6 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
                 />
               </div>
 
-              <div className="space-y-2">
-                <Label htmlFor="tax">Tax (₹)</Label>
-                <Input
-                  id="tax"
-                  type="number"
-                  step="0.01"
-                  min="0"
-                  value={formData.tax}
-                  onChange={(e) => handleInputChange("tax", parseFloat(e.target.value) || 0)}
-                />
-              </div>
-
               <div className="space-y-2">
                 <Label htmlFor="shipping">Shipping (₹)</Label>
                 <Input
@@ -605,7 +752,7 @@ const InvoiceModal = ({ isOpen, onClose, onSubmit }) => {
                 )}
                 {tax > 0 && (
                   <div className="flex justify-between">
-                    <span>Tax:</span>
+                    <span>GST (estimated):</span>
                     <span>₹{tax.toFixed(2)}</span>
                   </div>
                 )}
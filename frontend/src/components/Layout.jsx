@@ -2,6 +2,7 @@ import { SidebarProvider, SidebarTrigger, useSidebar } from "@/components/ui/sid
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip.jsx";
 import { ConsultantSidebar } from "./ConsultantSidebar.jsx";
 import { ProfileDropdown } from "./ProfileDropdown.jsx";
+import { NotificationBell } from "./NotificationBell.jsx";
 import { LogOut, Moon, Sun, User, PanelLeft, Menu, X, Settings } from "lucide-react";
 import { Button } from "@/components/ui/button.jsx";
 import { Input } from "@/components/ui/input.jsx";
@@ -112,6 +113,7 @@ function LayoutHeader({ getPageTitle, currentUser, currentTime, hideActions, tog
       <div className="flex items-center gap-1 sm:gap-3 flex-shrink-0">
         {!hideActions && (
           <>
+            {currentUser && <NotificationBell />}
             <ProfileDropdown />
             <Tooltip>
               <TooltipTrigger asChild>
@@ -165,7 +167,8 @@ function LayoutHeader({ getPageTitle, currentUser, currentTime, hideActions, tog
 export function Layout({ children }) {
   const location = useLocation();
   const hideActions = ['/login','/register'].includes(location.pathname);
-  const isAuthPage = hideActions;
+  // Patient-facing pages and the waiting-room screen have their own header and never show the staff sidebar
+  const isAuthPage = hideActions || ['/patient-portal', '/book/', '/queue/display'].some(prefix => location.pathname.startsWith(prefix));
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [clinicName, setClinicName] = useState('');
   const [clinicOwnerName, setClinicOwnerName] = useState('');
@@ -289,6 +292,7 @@ export function Layout({ children }) {
       '/prescriptions': '',
       '/appointments': '',
       '/invoices': '',
+      '/service-catalogue': '',
       '/activity-logs': ''
     };
     return titleMap[path] || '';
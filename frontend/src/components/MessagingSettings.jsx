@@ -0,0 +1,375 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Badge } from '@/components/ui/badge';
+import { Separator } from '@/components/ui/separator';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ChevronDown, ChevronUp, Eye, Loader2, MessageSquare, RefreshCw, Save, Send, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { messagingAPI } from '@/services/api';
+
+const CHANNEL_LABELS = { email: 'Email', sms: 'SMS', whatsapp: 'WhatsApp' };
+const TEXT_CHANNELS = ['sms', 'whatsapp'];
+
+const MESSAGE_STATUS_STYLES = {
+  queued: 'bg-blue-100 text-blue-700',
+  sent: 'bg-blue-100 text-blue-700',
+  delivered: 'bg-green-100 text-green-700',
+  read: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700'
+};
+
+const templateKey = (type, channel) => `${type}:${channel}`;
+
+const MessagingSettings = () => {
+  const [channels, setChannels] = useState({});
+  const [templates, setTemplates] = useState({});
+  const [types, setTypes] = useState([]);
+  const [available, setAvailable] = useState({});
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [expandedType, setExpandedType] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [test, setTest] = useState({ channel: 'sms', to: '' });
+  const [sendingTest, setSendingTest] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      setLoading(true);
+      const [response, logResponse] = await Promise.all([
+        messagingAPI.getSettings(),
+        messagingAPI.getLogs({ limit: 15 })
+      ]);
+      const { channels: saved, templates: savedTemplates, types: messageTypes, available: availableChannels } = response.data;
+      setChannels(saved);
+      setTemplates(Object.fromEntries((savedTemplates || []).map(template => [
+        templateKey(template.type, template.channel),
+        {
+          body: template.body || '',
+          whatsappTemplate: template.whatsappTemplate || '',
+          whatsappLanguage: template.whatsappLanguage || 'en'
+        }
+      ])));
+      setTypes(messageTypes);
+      setAvailable(availableChannels);
+      setLogs(logResponse.data.messages);
+    } catch (error) {
+      console.error('Error loading messaging settings:', error);
+      toast.error('Failed to load messaging settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadLogs = async () => {
+    try {
+      const response = await messagingAPI.getLogs({ limit: 15 });
+      setLogs(response.data.messages);
+    } catch (error) {
+      console.error('Error loading message log:', error);
+      toast.error('Failed to load message log');
+    }
+  };
+
+  const toggleChannel = (type, channel, checked) => {
+    setChannels(prev => ({
+      ...prev,
+      [type]: checked
+        ? [...(prev[type] || []), channel]
+        : (prev[type] || []).filter(value => value !== channel)
+    }));
+  };
+
+  const templateFor = (type, channel) =>
+    templates[templateKey(type, channel)] || { body: '', whatsappTemplate: '', whatsappLanguage: 'en' };
+
+  const updateTemplate = (type, channel, changes) => {
+    setTemplates(prev => ({
+      ...prev,
+      [templateKey(type, channel)]: { ...templateFor(type, channel), ...changes }
+    }));
+  };
+
+  const handlePreview = async (definition, channel) => {
+    try {
+      const response = await messagingAPI.preview(definition.type, templateFor(definition.type, channel).body);
+      setPreview({ ...response.data, label: `${definition.label} · ${CHANNEL_LABELS[channel]}` });
+    } catch (error) {
+      console.error('Error previewing message:', error);
+      toast.error('Failed to preview message');
+    }
+  };
+
+  const handleSave = async () => {
+    const missing = types.find(definition => definition.required && !(channels[definition.type] || []).length);
+    if (missing) {
+      toast.error(`${missing.label} needs at least one channel`);
+      return;
+    }
+    try {
+      setSaving(true);
+      await messagingAPI.updateSettings({
+        channels,
+        templates: Object.entries(templates)
+          .filter(([, template]) => template.body.trim() || template.whatsappTemplate.trim())
+          .map(([key, template]) => {
+            const [type, channel] = key.split(':');
+            return {
+              type,
+              channel,
+              body: template.body.trim(),
+              ...(channel === 'whatsapp' && {
+                whatsappTemplate: template.whatsappTemplate.trim(),
+                whatsappLanguage: template.whatsappLanguage.trim() || 'en'
+              })
+            };
+          })
+      });
+      toast.success('Messaging settings saved');
+    } catch (error) {
+      console.error('Error saving messaging settings:', error);
+      const details = error.data?.details?.map(detail => detail.msg || detail).join(', ');
+      toast.error(details || error.message || 'Failed to save messaging settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSendTest = async () => {
+    if (!test.to.trim()) {
+      toast.error(test.channel === 'email' ? 'Enter an email address' : 'Enter a phone number');
+      return;
+    }
+    try {
+      setSendingTest(true);
+      await messagingAPI.sendTest(test.channel, test.to.trim());
+      toast.success(`Test ${CHANNEL_LABELS[test.channel]} message sent`);
+    } catch (error) {
+      console.error('Error sending test message:', error);
+      toast.error(error.message || 'Failed to send test message');
+    } finally {
+      setSendingTest(false);
+      loadLogs();
+    }
+  };
+
+  if (loading) {
+    return (
+      <Card className="shadow-md border-gray-200 dark:border-gray-800">
+        <CardContent className="py-10 flex justify-center">
+          <Loader2 className="w-6 h-6 animate-spin text-primary" />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const typeLabels = Object.fromEntries(types.map(definition => [definition.type, definition.label]));
+
+  return (
+    <Card className="shadow-md border-gray-200 dark:border-gray-800">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <MessageSquare className="w-5 h-5 text-primary" />
+          Messaging Channels
+        </CardTitle>
+        <CardDescription>
+          Choose how each kind of message reaches patients and staff. If none of the chosen channels can be used, the message is emailed instead.
+        </CardDescription>
+      </CardHeader>
+      <Separator />
+      <CardContent className="pt-6 space-y-6">
+        {/* Channels and text per message type */}
+        <div className="space-y-3">
+          {types.map(definition => {
+            const selected = channels[definition.type] || [];
+            const textChannels = selected.filter(channel => TEXT_CHANNELS.includes(channel));
+            const expanded = expandedType === definition.type;
+
+            return (
+              <div key={definition.type} className="rounded-lg border border-gray-200 dark:border-gray-800 p-4 space-y-3">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium">{definition.label}</span>
+                      {definition.required && <Badge variant="secondary">Required</Badge>}
+                    </div>
+                    <p className="text-sm text-muted-foreground">{definition.description}</p>
+                  </div>
+                  {textChannels.length > 0 && (
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setExpandedType(expanded ? null : definition.type)}
+                    >
+                      Edit text
+                      {expanded ? <ChevronUp className="w-4 h-4 ml-1" /> : <ChevronDown className="w-4 h-4 ml-1" />}
+                    </Button>
+                  )}
+                </div>
+
+                <div className="flex flex-wrap gap-4">
+                  {definition.channels.map(channel => (
+                    <div key={channel} className="flex items-center gap-2">
+                      <Checkbox
+                        id={`${definition.type}-${channel}`}
+                        checked={selected.includes(channel)}
+                        onCheckedChange={(checked) => toggleChannel(definition.type, channel, checked === true)}
+                      />
+                      <Label htmlFor={`${definition.type}-${channel}`} className="font-normal">
+                        {CHANNEL_LABELS[channel]}
+                        {!available[channel] && <span className="text-muted-foreground"> (not set up)</span>}
+                      </Label>
+                    </div>
+                  ))}
+                </div>
+
+                {expanded && textChannels.map(channel => {
+                  const template = templateFor(definition.type, channel);
+                  return (
+                    <div key={channel} className="space-y-2">
+                      <Label htmlFor={`${definition.type}-${channel}-body`}>{CHANNEL_LABELS[channel]} message</Label>
+                      <Textarea
+                        id={`${definition.type}-${channel}-body`}
+                        rows={3}
+                        value={template.body}
+                        onChange={(e) => updateTemplate(definition.type, channel, { body: e.target.value })}
+                        placeholder={definition.template}
+                      />
+                      {channel === 'whatsapp' && (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                          <Input
+                            className="md:col-span-2"
+                            value={template.whatsappTemplate}
+                            onChange={(e) => updateTemplate(definition.type, channel, { whatsappTemplate: e.target.value })}
+                            placeholder="Approved template name (optional)"
+                          />
+                          <Input
+                            value={template.whatsappLanguage}
+                            onChange={(e) => updateTemplate(definition.type, channel, { whatsappLanguage: e.target.value })}
+                            placeholder="Language, e.g. en"
+                          />
+                        </div>
+                      )}
+                      <p className="text-xs text-muted-foreground">
+                        Leave empty to use the built-in message. Variables:{' '}
+                        {definition.variables.map(variable => `{{${variable}}}`).join(' ')}
+                        {channel === 'whatsapp' && ' · An approved template receives these variables as its parameters, in this order.'}
+                      </p>
+                      <Button type="button" variant="outline" size="sm" onClick={() => handlePreview(definition, channel)}>
+                        <Eye className="w-4 h-4 mr-2" />
+                        Preview
+                      </Button>
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+
+        {preview && (
+          <div className="rounded-lg border border-blue-200 bg-blue-50 dark:bg-blue-950/30 p-4 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-medium text-blue-700">Preview · {preview.label}</span>
+              <button type="button" onClick={() => setPreview(null)}>
+                <X className="w-4 h-4 text-blue-700" />
+              </button>
+            </div>
+            <p className="text-sm whitespace-pre-line">{preview.body}</p>
+            <p className="text-xs text-muted-foreground">
+              {preview.length} characters{preview.length > 160 && ' · sent as more than one SMS'}
+            </p>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? (
+              <>
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              <>
+                <Save className="w-4 h-4 mr-2" />
+                Save Messaging
+              </>
+            )}
+          </Button>
+        </div>
+
+        <Separator />
+
+        {/* Test send */}
+        <div className="space-y-2">
+          <h4 className="font-semibold text-gray-900 dark:text-white">Send a test message</h4>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Select value={test.channel} onValueChange={(channel) => setTest({ ...test, channel })}>
+              <SelectTrigger className="sm:w-36">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+                  <SelectItem key={channel} value={channel} disabled={!available[channel]}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              value={test.to}
+              onChange={(e) => setTest({ ...test, to: e.target.value })}
+              placeholder={test.channel === 'email' ? 'name@example.com' : '+91 98765 43210'}
+            />
+            <Button type="button" variant="outline" onClick={handleSendTest} disabled={sendingTest || !available[test.channel]}>
+              {sendingTest ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Send className="w-4 h-4 mr-2" />}
+              Send test
+            </Button>
+          </div>
+        </div>
+
+        <Separator />
+
+        {/* Delivery log */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h4 className="font-semibold text-gray-900 dark:text-white">Recent messages</h4>
+            <Button type="button" variant="ghost" size="sm" onClick={loadLogs}>
+              <RefreshCw className="w-4 h-4" />
+            </Button>
+          </div>
+          {logs.length === 0 && (
+            <p className="text-sm text-muted-foreground">No messages sent yet.</p>
+          )}
+          {logs.map(message => (
+            <div key={message._id} className="flex items-center justify-between gap-4 text-sm">
+              <div className="min-w-0">
+                <span className="font-medium">{message.recipientName || message.to}</span>
+                <span className="text-muted-foreground">
+                  {' '}· {typeLabels[message.type] || 'Test message'} · {CHANNEL_LABELS[message.channel]} · {format(parseISO(message.createdAt), 'MMM dd, HH:mm')}
+                </span>
+                {message.error && (
+                  <p className="text-xs text-muted-foreground truncate">{message.error}</p>
+                )}
+              </div>
+              <Badge variant="secondary" className={`border-0 capitalize flex-shrink-0 ${MESSAGE_STATUS_STYLES[message.status]}`}>
+                {message.status}
+              </Badge>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MessagingSettings;
@@ -0,0 +1,208 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Button } from "@/components/ui/button";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Archive, ArchiveRestore, Bell, CheckCheck, Circle, CircleDot, Loader2 } from "lucide-react";
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'sonner';
+import { notificationAPI } from '@/services/api';
+import { REALTIME_EVENTS } from '@/services/realtime';
+import { useRealtimeEvent } from '@/hooks/useRealtimeEvent';
+
+const PAGE_SIZE = 20;
+
+export function NotificationBell() {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [view, setView] = useState('inbox');
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const loadUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationAPI.getUnreadCount();
+      setUnreadCount(response.data.count);
+    } catch (error) {
+      console.error('Error loading unread notifications:', error);
+    }
+  }, []);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await notificationAPI.getAll({ status: view, limit: PAGE_SIZE });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+      toast.error('Failed to load notifications');
+    } finally {
+      setLoading(false);
+    }
+  }, [view]);
+
+  useEffect(() => {
+    loadUnreadCount();
+  }, [loadUnreadCount]);
+
+  useEffect(() => {
+    if (open) loadNotifications();
+  }, [open, loadNotifications]);
+
+  useRealtimeEvent(REALTIME_EVENTS.NOTIFICATION_CREATED, ({ notification }) => {
+    setUnreadCount(count => count + 1);
+    if (open && view === 'inbox') {
+      setNotifications(current => [notification, ...current].slice(0, PAGE_SIZE));
+    }
+  });
+
+  const runAction = async (notification, action) => {
+    try {
+      await notificationAPI.update(notification._id, action);
+      const leavesView = (action === 'archive' && view === 'inbox') || (action === 'unarchive' && view === 'archived');
+      setNotifications(current => leavesView
+        ? current.filter(item => item._id !== notification._id)
+        : current.map(item => (item._id === notification._id
+          ? { ...item, readAt: action === 'unread' ? null : item.readAt || new Date().toISOString() }
+          : item)));
+      loadUnreadCount();
+    } catch (error) {
+      console.error('Error updating notification:', error);
+      toast.error(error.message || 'Failed to update notification');
+    }
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.readAt) runAction(notification, 'read');
+    if (notification.link) {
+      setOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  const changeView = (value) => {
+    setNotifications([]);
+    setView(value);
+  };
+
+  const markAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      const now = new Date().toISOString();
+      setNotifications(current => current.map(item => ({ ...item, readAt: item.readAt || now })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      toast.error('Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <DropdownMenu open={open} onOpenChange={setOpen}>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-8 w-8 sm:h-10 sm:w-10 relative"
+          aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+        >
+          <Bell className="w-4 h-4 sm:w-5 sm:h-5" />
+          {unreadCount > 0 && (
+            <span className="absolute top-1 right-1 min-w-[1rem] h-4 px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold leading-4 text-center">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </span>
+          )}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-96 p-0">
+        <DropdownMenuLabel className="flex items-center justify-between px-4 py-3">
+          <span className="font-semibold">Notifications</span>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-7 text-xs"
+            onClick={markAllRead}
+            disabled={unreadCount === 0}
+          >
+            <CheckCheck className="w-3.5 h-3.5 mr-1" />
+            Mark all read
+          </Button>
+        </DropdownMenuLabel>
+        <div className="px-4 pb-2">
+          <Tabs value={view} onValueChange={changeView}>
+            <TabsList className="grid w-full grid-cols-2 h-8">
+              <TabsTrigger value="inbox" className="text-xs">Inbox</TabsTrigger>
+              <TabsTrigger value="archived" className="text-xs">Archived</TabsTrigger>
+            </TabsList>
+          </Tabs>
+        </div>
+        <DropdownMenuSeparator className="m-0" />
+
+        {loading && notifications.length === 0 ? (
+          <div className="flex items-center justify-center py-10">
+            <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+          </div>
+        ) : notifications.length === 0 ? (
+          <div className="px-4 py-10 text-center text-sm text-muted-foreground">
+            {view === 'inbox' ? "You're all caught up" : 'No archived notifications'}
+          </div>
+        ) : (
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.map(notification => (
+              <div
+                key={notification._id}
+                className={`group flex gap-3 px-4 py-3 border-b last:border-b-0 cursor-pointer hover:bg-muted/50 ${notification.readAt ? '' : 'bg-primary/5'}`}
+                onClick={() => openNotification(notification)}
+              >
+                <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${notification.readAt ? 'bg-transparent' : 'bg-primary'}`} />
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm truncate ${notification.readAt ? '' : 'font-semibold'}`}>{notification.title}</p>
+                  {notification.message && (
+                    <p className="text-xs text-muted-foreground line-clamp-2">{notification.message}</p>
+                  )}
+                  <p className="text-xs text-muted-foreground mt-1">
+                    {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                  </p>
+                </div>
+                <div className="flex flex-col gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-6 w-6"
+                    title={notification.readAt ? 'Mark as unread' : 'Mark as read'}
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      runAction(notification, notification.readAt ? 'unread' : 'read');
+                    }}
+                  >
+                    {notification.readAt ? <CircleDot className="w-3.5 h-3.5" /> : <Circle className="w-3.5 h-3.5" />}
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-6 w-6"
+                    title={view === 'archived' ? 'Move to inbox' : 'Archive'}
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      runAction(notification, view === 'archived' ? 'unarchive' : 'archive');
+                    }}
+                  >
+                    {view === 'archived' ? <ArchiveRestore className="w-3.5 h-3.5" /> : <Archive className="w-3.5 h-3.5" />}
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
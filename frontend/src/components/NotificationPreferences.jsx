@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Bell, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { notificationAPI } from '@/services/api';
+
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    loadPreferences();
+  }, []);
+
+  const loadPreferences = async () => {
+    try {
+      setLoading(true);
+      const response = await notificationAPI.getPreferences();
+      setPreferences(response.data);
+    } catch (error) {
+      console.error('Error loading notification preferences:', error);
+      toast.error('Failed to load notification preferences');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = async (type, email) => {
+    try {
+      setSaving(type);
+      const response = await notificationAPI.updatePreferences({ [type]: email });
+      setPreferences(response.data);
+      toast.success(email ? 'You will also get these by email' : 'These will only appear in the app');
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      toast.error(error.message || 'Failed to save notification preferences');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Bell className="w-5 h-5" />
+          Notifications
+        </CardTitle>
+        <CardDescription>
+          Everything appears under the bell at the top of the page. Choose which notifications are also emailed to you.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="py-6 flex justify-center">
+            <Loader2 className="w-6 h-6 animate-spin text-primary" />
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {preferences.map(preference => (
+              <div key={preference.type} className="flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <Label htmlFor={`notification-email-${preference.type}`}>{preference.label}</Label>
+                  <p className="text-sm text-muted-foreground">
+                    {preference.description}
+                    {!preference.emailable && ' · already emailed separately'}
+                  </p>
+                </div>
+                <Switch
+                  id={`notification-email-${preference.type}`}
+                  checked={preference.email}
+                  disabled={!preference.emailable || saving === preference.type}
+                  onCheckedChange={(checked) => handleToggle(preference.type, checked)}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NotificationPreferences;
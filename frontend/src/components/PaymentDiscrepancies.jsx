@@ -0,0 +1,109 @@
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { AlertTriangle, Check, X } from "lucide-react";
+import { toast } from "sonner";
+import { format, parseISO } from "date-fns";
+import { paymentAPI } from "@/services/api";
+
+const MISMATCH_LABELS = {
+  missed_capture: "Captured at Razorpay but not marked paid here",
+  not_captured: "Marked paid here but not captured at Razorpay",
+  amount_mismatch: "Amount differs from Razorpay",
+  refund_mismatch: "Refunded amount differs from Razorpay"
+};
+
+const formatValue = (value) =>
+  typeof value === "number"
+    ? `₹${value.toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+    : String(value ?? "—");
+
+/**
+ * Open findings from the nightly payment reconciliation. Renders nothing
+ * when our payments match the gateway.
+ */
+const PaymentDiscrepancies = () => {
+  const [discrepancies, setDiscrepancies] = useState([]);
+  const [resolvingId, setResolvingId] = useState(null);
+  const [resolution, setResolution] = useState("");
+
+  useEffect(() => {
+    loadDiscrepancies();
+  }, []);
+
+  const loadDiscrepancies = async () => {
+    try {
+      const response = await paymentAPI.getDiscrepancies();
+      setDiscrepancies(response.data);
+    } catch (error) {
+      console.error("Error loading payment discrepancies:", error);
+    }
+  };
+
+  const handleResolve = async (discrepancy) => {
+    if (!resolution.trim()) {
+      toast.error("Say how it was resolved");
+      return;
+    }
+    try {
+      await paymentAPI.resolveDiscrepancy(discrepancy._id, resolution.trim());
+      toast.success("Discrepancy resolved");
+      setResolvingId(null);
+      setResolution("");
+      await loadDiscrepancies();
+    } catch (error) {
+      console.error("Error resolving discrepancy:", error);
+      toast.error(error.message || "Failed to resolve discrepancy");
+    }
+  };
+
+  if (discrepancies.length === 0) return null;
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 space-y-3">
+      <div className="flex items-center gap-2 text-amber-800">
+        <AlertTriangle className="w-5 h-5" />
+        <h3 className="font-semibold">
+          {discrepancies.length} payment{discrepancies.length === 1 ? "" : "s"} differ from Razorpay
+        </h3>
+      </div>
+      {discrepancies.map(discrepancy => (
+        <div key={discrepancy._id} className="bg-white rounded-lg border border-amber-100 p-3 text-sm">
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-900">{MISMATCH_LABELS[discrepancy.type] || discrepancy.type}</p>
+              <p className="text-xs text-gray-500">
+                Ours: {formatValue(discrepancy.expected)} · Razorpay: {formatValue(discrepancy.actual)} ·{" "}
+                {discrepancy.gatewayPaymentId || discrepancy.razorpayOrderId} · since{" "}
+                {format(parseISO(discrepancy.firstSeenAt), "MMM dd, yyyy")}
+              </p>
+            </div>
+            {resolvingId !== discrepancy._id && (
+              <Button size="sm" variant="outline" onClick={() => { setResolvingId(discrepancy._id); setResolution(""); }}>
+                Resolve
+              </Button>
+            )}
+          </div>
+          {resolvingId === discrepancy._id && (
+            <div className="flex items-center gap-2 mt-2">
+              <Input
+                value={resolution}
+                onChange={(e) => setResolution(e.target.value)}
+                placeholder="What was done, e.g. refunded the difference in cash"
+                className="h-8"
+              />
+              <Button size="sm" onClick={() => handleResolve(discrepancy)} title="Resolve">
+                <Check className="w-4 h-4" />
+              </Button>
+              <Button size="sm" variant="ghost" onClick={() => setResolvingId(null)} title="Cancel">
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PaymentDiscrepancies;
@@ -22,12 +22,45 @@ import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, Command
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { useToast } from "@/hooks/use-toast";
-import { patientAPI, doctorAPI } from "@/services/api";
+import { patientAPI, doctorAPI, prescriptionAPI } from "@/services/api";
 import { isClinic, isDoctor, isNurse, getCurrentUser } from "@/utils/roleUtils";
-import { Plus, Trash2, User, Calendar, UserCheck, AlertCircle, Check, ChevronsUpDown } from "lucide-react";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Plus, Trash2, User, Calendar, UserCheck, AlertCircle, AlertTriangle, ShieldAlert, Check, ChevronsUpDown } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { validators, sanitizers } from "@/utils/validation";
 import { useAuditLog } from "@/hooks/useAuditLog";
+import {
+  DOSE_UNITS,
+  ROUTES,
+  FREQUENCIES,
+  calculateTotalQuantity,
+  getCourseEndDate,
+  formatDose,
+  formatFrequency,
+  formatDuration
+} from "@/utils/dosingUtils";
+
+const severityStyles = {
+  contraindicated: "border-red-300 bg-red-50 text-red-800",
+  major: "border-orange-300 bg-orange-50 text-orange-800",
+  moderate: "border-yellow-300 bg-yellow-50 text-yellow-800",
+  minor: "border-blue-200 bg-blue-50 text-blue-800"
+};
+
+const overrideRequiredMessage = (check) => (check.incomplete
+  ? "A reason is required to prescribe without a complete interaction check"
+  : "A reason is required to prescribe despite a contraindication");
+
+const emptyMedication = {
+  name: "",
+  doseAmount: "",
+  doseUnit: "tablet",
+  route: "oral",
+  frequencyCode: "",
+  durationDays: "",
+  prn: false,
+  instructions: ""
+};
 
 const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) => {
   const { toast } = useToast();
@@ -46,13 +79,7 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
     doctorId: "",
     diagnosis: "",
     medications: [
-      {
-        name: "",
-        dosage: "",
-        frequency: "",
-        duration: "",
-        instructions: ""
-      }
+      { ...emptyMedication }
     ],
     notes: "",
     followUpDate: "",
@@ -60,6 +87,9 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
   });
   
   const [errors, setErrors] = useState({});
+  const [interactionCheck, setInteractionCheck] = useState({ warnings: [], requiresOverride: false, incomplete: false });
+  const [checkingInteractions, setCheckingInteractions] = useState(false);
+  const [overrideReason, setOverrideReason] = useState("");
 
   // Load data when modal opens and log component access
   useEffect(() => {
@@ -78,19 +108,24 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
         patientId: prescription.patientId?._id || "",
         doctorId: prescription.doctorId?._id || "",
         diagnosis: prescription.diagnosis || "",
-        medications: prescription.medications?.length > 0 ? prescription.medications : [
-          {
-            name: "",
-            dosage: "",
-            frequency: "",
-            duration: "",
-            instructions: ""
-          }
-        ],
+        // Older entries may only have free text; the doctor fills the structured fields on edit
+        medications: prescription.medications?.length > 0
+          ? prescription.medications.map(med => ({
+              ...emptyMedication,
+              ...med,
+              doseAmount: med.doseAmount ?? "",
+              doseUnit: med.doseUnit || emptyMedication.doseUnit,
+              route: med.route || emptyMedication.route,
+              frequencyCode: med.frequencyCode || "",
+              durationDays: med.durationDays ?? "",
+              prn: !!med.prn
+            }))
+          : [{ ...emptyMedication }],
         notes: prescription.notes || "",
         followUpDate: prescription.followUpDate ? new Date(prescription.followUpDate).toISOString().split('T')[0] : "",
         followUpInstructions: prescription.followUpInstructions || ""
       });
+      setOverrideReason(prescription.interactionOverride?.reason || "");
     } else {
       // Reset form for new prescription
       setFormData({
@@ -98,22 +133,50 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
         doctorId: isDoctor() ? currentUser?.id || currentUser?._id || "" : "",
         diagnosis: "",
         medications: [
-          {
-            name: "",
-            dosage: "",
-            frequency: "",
-            duration: "",
-            instructions: ""
-          }
+          { ...emptyMedication }
         ],
         notes: "",
         followUpDate: "",
         followUpInstructions: ""
       });
+      setOverrideReason("");
     }
     setErrors({});
+    setInteractionCheck({ warnings: [], requiresOverride: false, incomplete: false });
   }, [prescription, isOpen]);
 
+  // Re-check interactions shortly after the patient or medication names change
+  const medicationNames = formData.medications.map(med => med.name.trim()).join('|');
+  useEffect(() => {
+    if (!isOpen || !formData.patientId || !medicationNames.replace(/\|/g, '')) {
+      setInteractionCheck({ warnings: [], requiresOverride: false, incomplete: false });
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      setCheckingInteractions(true);
+      try {
+        const response = await prescriptionAPI.checkInteractions(
+          formData.patientId,
+          formData.medications.filter(med => med.name.trim()).map(med => ({ name: med.name.trim() })),
+          prescription?._id
+        );
+        setInteractionCheck({
+          warnings: response.warnings || [],
+          requiresOverride: !!response.requiresOverride,
+          incomplete: !!response.incomplete
+        });
+      } catch (error) {
+        // The server re-checks on save, so a failed preview is not fatal
+        console.error('Failed to check interactions:', error);
+      } finally {
+        setCheckingInteractions(false);
+      }
+    }, 600);
+
+    return () => clearTimeout(timer);
+  }, [isOpen, formData.patientId, medicationNames]);
+
   const loadPatients = async () => {
     setLoadingPatients(true);
     try {
@@ -178,25 +241,19 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
           newErrors[`medication_${index}_name`] = nameError;
         }
         
-        // Dosage validation
-        const dosageError = validators.required(medication.dosage, 'Dosage') ||
-                           validators.maxLength(medication.dosage, 50, 'Dosage');
-        if (dosageError) {
-          newErrors[`medication_${index}_dosage`] = dosageError;
+        // Dose validation
+        if (!(parseFloat(medication.doseAmount) > 0) || !medication.doseUnit) {
+          newErrors[`medication_${index}_doseAmount`] = "Dose amount and unit are required";
         }
         
         // Frequency validation
-        const frequencyError = validators.required(medication.frequency, 'Frequency') ||
-                              validators.maxLength(medication.frequency, 50, 'Frequency');
-        if (frequencyError) {
-          newErrors[`medication_${index}_frequency`] = frequencyError;
+        if (!medication.frequencyCode) {
+          newErrors[`medication_${index}_frequencyCode`] = "Frequency is required";
         }
         
-        // Duration validation
-        const durationError = validators.required(medication.duration, 'Duration') ||
-                             validators.maxLength(medication.duration, 50, 'Duration');
-        if (durationError) {
-          newErrors[`medication_${index}_duration`] = durationError;
+        // Duration validation (a single STAT dose has no course length)
+        if (medication.frequencyCode !== 'STAT' && !(parseInt(medication.durationDays) >= 1)) {
+          newErrors[`medication_${index}_durationDays`] = "Duration must be at least 1 day";
         }
         
         // Instructions validation (optional but if provided, check length)
@@ -224,6 +281,11 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
       newErrors.followUpInstructions = "Follow-up instructions must not exceed 300 characters";
     }
 
+    // Contraindicated combinations and incomplete checks need a documented reason
+    if (interactionCheck.requiresOverride && !overrideReason.trim()) {
+      newErrors.overrideReason = overrideRequiredMessage(interactionCheck);
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -254,10 +316,9 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
       case 'name':
         sanitizedValue = sanitizedValue.slice(0, 100);
         break;
-      case 'dosage':
-      case 'frequency':
-      case 'duration':
-        sanitizedValue = sanitizedValue.slice(0, 50);
+      case 'doseAmount':
+      case 'durationDays':
+        sanitizedValue = sanitizedValue.replace(/[^0-9.]/g, '').slice(0, 8);
         break;
       case 'instructions':
         sanitizedValue = sanitizedValue.slice(0, 200);
@@ -290,13 +351,7 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
       ...prev,
       medications: [
         ...prev.medications,
-        {
-          name: "",
-          dosage: "",
-          frequency: "",
-          duration: "",
-          instructions: ""
-        }
+        { ...emptyMedication }
       ]
     }));
   };
@@ -326,15 +381,24 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
         diagnosis: formData.diagnosis?.trim(),
         notes: formData.notes?.trim(),
         followUpInstructions: formData.followUpInstructions?.trim(),
-        medications: formData.medications.map(med => ({
-          ...med,
-          name: med.name?.trim(),
-          dosage: med.dosage?.trim(),
-          frequency: med.frequency?.trim(),
-          duration: med.duration?.trim(),
-          instructions: med.instructions?.trim()
-        })),
-        followUpDate: formData.followUpDate || undefined
+        medications: formData.medications.map(med => {
+          const doseAmount = parseFloat(med.doseAmount);
+          const durationDays = med.frequencyCode === 'STAT' ? 1 : parseInt(med.durationDays);
+          const prn = med.prn || med.frequencyCode === 'PRN';
+          const structured = { ...med, doseAmount, durationDays, prn };
+          return {
+            ...structured,
+            name: med.name?.trim(),
+            // Free text kept for printouts and older screens
+            dosage: formatDose(doseAmount, med.doseUnit),
+            frequency: formatFrequency(med.frequencyCode, prn),
+            duration: formatDuration(durationDays),
+            totalQuantity: calculateTotalQuantity(structured) ?? undefined,
+            instructions: med.instructions?.trim()
+          };
+        }),
+        followUpDate: formData.followUpDate || undefined,
+        ...(overrideReason.trim() ? { interactionOverrideReason: overrideReason.trim() } : {})
       };
 
       const result = await onSubmit(submitData);
@@ -358,6 +422,14 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
       }, 1000);
     } catch (error) {
       console.error('Error submitting prescription:', error);
+      if (error.data?.code === 'INTERACTION_OVERRIDE_REQUIRED') {
+        const check = { warnings: error.data.warnings || [], requiresOverride: true, incomplete: !!error.data.incomplete };
+        setInteractionCheck(check);
+        setErrors(prev => ({
+          ...prev,
+          overrideReason: overrideRequiredMessage(check)
+        }));
+      }
       toast({
         title: "Error",
         description: error.message || `Failed to ${prescription ? 'update' : 'create'} prescription`,
@@ -540,44 +612,96 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
                     </div>
 
                     <div className="space-y-2">
-                      <Label>Dosage *</Label>
-                      <Input
-                        value={medication.dosage}
-                        onChange={(e) => handleMedicationChange(index, 'dosage', e.target.value)}
-                        placeholder="e.g., 500mg"
-                        className={errors[`medication_${index}_dosage`] ? "border-red-500" : ""}
-                        disabled={loading}
-                      />
-                      {errors[`medication_${index}_dosage`] && (
-                        <p className="text-sm text-red-500">{errors[`medication_${index}_dosage`]}</p>
+                      <Label>Dose *</Label>
+                      <div className="flex gap-2">
+                        <Input
+                          value={medication.doseAmount}
+                          onChange={(e) => handleMedicationChange(index, 'doseAmount', e.target.value)}
+                          placeholder="e.g., 1"
+                          inputMode="decimal"
+                          className={cn("w-24", errors[`medication_${index}_doseAmount`] ? "border-red-500" : "")}
+                          disabled={loading}
+                        />
+                        <Select
+                          value={medication.doseUnit}
+                          onValueChange={(value) => handleMedicationChange(index, 'doseUnit', value)}
+                          disabled={loading}
+                        >
+                          <SelectTrigger className="flex-1">
+                            <SelectValue placeholder="Unit" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {DOSE_UNITS.map(unit => (
+                              <SelectItem key={unit.value} value={unit.value}>{unit.label}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      {errors[`medication_${index}_doseAmount`] && (
+                        <p className="text-sm text-red-500">{errors[`medication_${index}_doseAmount`]}</p>
                       )}
                     </div>
 
+                    <div className="space-y-2">
+                      <Label>Route</Label>
+                      <Select
+                        value={medication.route}
+                        onValueChange={(value) => handleMedicationChange(index, 'route', value)}
+                        disabled={loading}
+                      >
+                        <SelectTrigger>
+                          <SelectValue placeholder="Route" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {ROUTES.map(route => (
+                            <SelectItem key={route.value} value={route.value}>{route.label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+
                     <div className="space-y-2">
                       <Label>Frequency *</Label>
-                      <Input
-                        value={medication.frequency}
-                        onChange={(e) => handleMedicationChange(index, 'frequency', e.target.value)}
-                        placeholder="e.g., Twice daily"
-                        className={errors[`medication_${index}_frequency`] ? "border-red-500" : ""}
+                      <Select
+                        value={medication.frequencyCode}
+                        onValueChange={(value) => handleMedicationChange(index, 'frequencyCode', value)}
                         disabled={loading}
-                      />
-                      {errors[`medication_${index}_frequency`] && (
-                        <p className="text-sm text-red-500">{errors[`medication_${index}_frequency`]}</p>
+                      >
+                        <SelectTrigger className={errors[`medication_${index}_frequencyCode`] ? "border-red-500" : ""}>
+                          <SelectValue placeholder="Select frequency" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(FREQUENCIES).map(([code, { label }]) => (
+                            <SelectItem key={code} value={code}>{code} – {label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <div className="flex items-center gap-2">
+                        <Checkbox
+                          id={`prn_${index}`}
+                          checked={medication.prn || medication.frequencyCode === 'PRN'}
+                          onCheckedChange={(checked) => handleMedicationChange(index, 'prn', !!checked)}
+                          disabled={loading || medication.frequencyCode === 'PRN'}
+                        />
+                        <Label htmlFor={`prn_${index}`} className="text-sm font-normal">Only when required (PRN)</Label>
+                      </div>
+                      {errors[`medication_${index}_frequencyCode`] && (
+                        <p className="text-sm text-red-500">{errors[`medication_${index}_frequencyCode`]}</p>
                       )}
                     </div>
 
                     <div className="space-y-2">
-                      <Label>Duration *</Label>
+                      <Label>Duration (days) *</Label>
                       <Input
-                        value={medication.duration}
-                        onChange={(e) => handleMedicationChange(index, 'duration', e.target.value)}
-                        placeholder="e.g., 7 days"
-                        className={errors[`medication_${index}_duration`] ? "border-red-500" : ""}
-                        disabled={loading}
+                        value={medication.frequencyCode === 'STAT' ? "1" : medication.durationDays}
+                        onChange={(e) => handleMedicationChange(index, 'durationDays', e.target.value)}
+                        placeholder="e.g., 7"
+                        inputMode="numeric"
+                        className={errors[`medication_${index}_durationDays`] ? "border-red-500" : ""}
+                        disabled={loading || medication.frequencyCode === 'STAT'}
                       />
-                      {errors[`medication_${index}_duration`] && (
-                        <p className="text-sm text-red-500">{errors[`medication_${index}_duration`]}</p>
+                      {errors[`medication_${index}_durationDays`] && (
+                        <p className="text-sm text-red-500">{errors[`medication_${index}_durationDays`]}</p>
                       )}
                     </div>
                   </div>
@@ -596,11 +720,94 @@ const PrescriptionModal = ({ isOpen, onClose, onSubmit, prescription = null }) =
                       <p className="text-sm text-red-500">{errors[`medication_${index}_instructions`]}</p>
                     )}
                   </div>
+
+                  {(() => {
+                    const totalQuantity = calculateTotalQuantity(medication);
+                    const courseEnd = getCourseEndDate(prescription?.date || new Date(), medication);
+                    const hasLegacyText = !medication.frequencyCode && medication.frequency;
+                    if (totalQuantity === null && !courseEnd && !hasLegacyText) return null;
+                    return (
+                      <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-muted-foreground">
+                        {totalQuantity !== null && (
+                          <span>Total to dispense: <span className="font-medium text-foreground">{totalQuantity}</span></span>
+                        )}
+                        {courseEnd && (
+                          <span>Course ends: <span className="font-medium text-foreground">{courseEnd.toLocaleDateString()}</span></span>
+                        )}
+                        {hasLegacyText && (
+                          <span>Originally written as: {[medication.dosage, medication.frequency, medication.duration].filter(Boolean).join(', ')}</span>
+                        )}
+                      </div>
+                    );
+                  })()}
                 </CardContent>
               </Card>
             ))}
           </div>
 
+          {/* Interaction & Allergy Warnings */}
+          {(checkingInteractions || interactionCheck.warnings.length > 0 || interactionCheck.incomplete) && (
+            <div className="space-y-3">
+              <Label className="text-base font-semibold flex items-center gap-2">
+                <AlertTriangle className="w-4 h-4 text-orange-600" />
+                Interaction & Allergy Check
+                {checkingInteractions && <span className="text-xs font-normal text-muted-foreground">Checking...</span>}
+              </Label>
+
+              {interactionCheck.incomplete && (
+                <div className={cn("p-3 border rounded-lg text-sm", severityStyles.major)}>
+                  The interaction check could not be completed, so some interactions or allergies may not be listed.
+                  Review the medications yourself before saving.
+                </div>
+              )}
+
+              {interactionCheck.warnings.map((warning, index) => (
+                <div
+                  key={index}
+                  className={cn("p-3 border rounded-lg text-sm", severityStyles[warning.severity] || severityStyles.minor)}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium">
+                      {warning.type === 'allergy' ? 'Allergy: ' : warning.type === 'duplicate' ? 'Duplicate: ' : ''}
+                      {warning.pair.join(' + ')}
+                    </span>
+                    <Badge variant={warning.severity === 'contraindicated' ? 'destructive' : 'outline'} className="capitalize">
+                      {warning.severity}
+                    </Badge>
+                  </div>
+                  {warning.description && <p className="mt-1">{warning.description}</p>}
+                  {warning.advice && <p className="mt-1 text-xs opacity-80">Advice: {warning.advice}</p>}
+                </div>
+              ))}
+
+              {interactionCheck.requiresOverride && (
+                <div className="space-y-2">
+                  <Label htmlFor="overrideReason" className="flex items-center gap-2 text-red-700">
+                    <ShieldAlert className="w-4 h-4" />
+                    Override Reason *
+                  </Label>
+                  <Textarea
+                    id="overrideReason"
+                    value={overrideReason}
+                    onChange={(e) => {
+                      setOverrideReason(e.target.value.slice(0, 500));
+                      if (errors.overrideReason) {
+                        setErrors(prev => ({ ...prev, overrideReason: undefined }));
+                      }
+                    }}
+                    placeholder={interactionCheck.incomplete
+                      ? "Clinical reason for prescribing without a complete interaction check..."
+                      : "Clinical reason for prescribing despite the contraindication..."}
+                    className={errors.overrideReason ? "border-red-500" : ""}
+                    rows={2}
+                    disabled={loading}
+                  />
+                  {errors.overrideReason && <p className="text-sm text-red-500">{errors.overrideReason}</p>}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Additional Information */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div className="space-y-2">
@@ -0,0 +1,300 @@
+import { useState, useEffect } from "react";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useToast } from "@/hooks/use-toast";
+import { purchaseOrderAPI } from "@/services/api";
+import { Plus, Trash2, Lightbulb } from "lucide-react";
+
+const emptyLine = {
+  inventoryId: null,
+  medicationName: "",
+  strength: "",
+  category: "Tablet",
+  quantityOrdered: 1,
+  unitPrice: 0
+};
+
+const PurchaseOrderModal = ({ isOpen, onClose, suppliers = [], order = null, onSuccess }) => {
+  const [supplierId, setSupplierId] = useState("");
+  const [expectedDate, setExpectedDate] = useState("");
+  const [notes, setNotes] = useState("");
+  const [lines, setLines] = useState([{ ...emptyLine }]);
+  const [loadingSuggestions, setLoadingSuggestions] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    if (order) {
+      setSupplierId(order.supplierId?._id || order.supplierId || "");
+      setExpectedDate(order.expectedDate ? new Date(order.expectedDate).toISOString().split('T')[0] : "");
+      setNotes(order.notes || "");
+      setLines(order.lines.map((line) => ({
+        inventoryId: line.inventoryId || null,
+        medicationName: line.medicationName,
+        genericName: line.genericName,
+        manufacturer: line.manufacturer,
+        strength: line.strength,
+        category: line.category,
+        quantityOrdered: line.quantityOrdered,
+        unitPrice: line.unitPrice
+      })));
+    } else {
+      setSupplierId("");
+      setExpectedDate("");
+      setNotes("");
+      setLines([{ ...emptyLine }]);
+    }
+  }, [isOpen, order]);
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const loadSuggestions = async () => {
+    try {
+      setLoadingSuggestions(true);
+      const response = await purchaseOrderAPI.getSuggestions();
+
+      if (response.success) {
+        const suggestions = response.data || [];
+        if (suggestions.length === 0) {
+          toast({
+            title: "Nothing to reorder",
+            description: "No items are at or below their reorder level"
+          });
+          return;
+        }
+
+        // Keep lines the user already typed, skip products that are already on the order
+        const existing = lines.filter((line) => line.medicationName.trim());
+        const keys = new Set(existing.map((line) => `${line.medicationName}|${line.strength}`.toLowerCase()));
+        const added = suggestions
+          .filter((s) => !keys.has(`${s.medicationName}|${s.strength}`.toLowerCase()))
+          .map((s) => ({
+            inventoryId: s.inventoryId,
+            medicationName: s.medicationName,
+            genericName: s.genericName,
+            manufacturer: s.manufacturer,
+            strength: s.strength,
+            category: s.category,
+            quantityOrdered: s.quantityOrdered,
+            unitPrice: s.unitPrice,
+            currentStock: s.currentStock,
+            reorderLevel: s.reorderLevel
+          }));
+
+        setLines([...existing, ...added]);
+        toast({
+          title: "Suggestions added",
+          description: `${added.length} low-stock item(s) added to the order`
+        });
+      }
+    } catch (error) {
+      console.error('Error loading reorder suggestions:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load reorder suggestions",
+        variant: "destructive"
+      });
+    } finally {
+      setLoadingSuggestions(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    const validLines = lines.filter((line) => line.medicationName.trim());
+
+    if (!supplierId || validLines.length === 0) {
+      toast({
+        title: "Validation Error",
+        description: "Please select a supplier and add at least one line",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    if (validLines.some((line) => !line.strength.trim() || !(line.quantityOrdered > 0))) {
+      toast({
+        title: "Validation Error",
+        description: "Every line needs a strength and a quantity",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const payload = {
+        supplierId,
+        expectedDate: expectedDate || undefined,
+        notes,
+        lines: validLines.map(({ currentStock, reorderLevel, ...line }) => line)
+      };
+
+      const response = order
+        ? await purchaseOrderAPI.update(order._id, payload)
+        : await purchaseOrderAPI.create(payload);
+
+      if (response.success) {
+        toast({
+          title: "Success",
+          description: response.message
+        });
+        onSuccess?.(response.data);
+        onClose();
+      }
+    } catch (error) {
+      console.error('Error saving purchase order:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to save purchase order",
+        variant: "destructive"
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const total = lines.reduce((sum, line) => sum + (line.quantityOrdered || 0) * (line.unitPrice || 0), 0);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{order ? `Edit ${order.poNumber}` : 'New Purchase Order'}</DialogTitle>
+          <DialogDescription>
+            Orders are saved as drafts until they are sent to the supplier
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label>Supplier *</Label>
+              <Select value={supplierId} onValueChange={setSupplierId}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select supplier" />
+                </SelectTrigger>
+                <SelectContent>
+                  {suppliers.map((supplier) => (
+                    <SelectItem key={supplier._id} value={supplier._id}>{supplier.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>Expected Delivery</Label>
+              <Input
+                type="date"
+                value={expectedDate}
+                onChange={(e) => setExpectedDate(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <Label className="text-base font-semibold">Lines</Label>
+            <div className="flex gap-2">
+              <Button size="sm" variant="outline" onClick={loadSuggestions} disabled={loadingSuggestions}>
+                <Lightbulb className="w-4 h-4 mr-2" />
+                {loadingSuggestions ? "Loading..." : "Suggest from Low Stock"}
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => setLines([...lines, { ...emptyLine }])}>
+                <Plus className="w-4 h-4 mr-2" />
+                Add Line
+              </Button>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            {lines.map((line, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 items-end">
+                <div className="col-span-4">
+                  {index === 0 && <Label className="text-xs">Medication *</Label>}
+                  <Input
+                    value={line.medicationName}
+                    onChange={(e) => updateLine(index, 'medicationName', e.target.value)}
+                    placeholder="Paracetamol"
+                  />
+                  {line.currentStock !== undefined && (
+                    <p className="text-xs text-orange-600 mt-1">
+                      In stock: {line.currentStock} (reorder at {line.reorderLevel})
+                    </p>
+                  )}
+                </div>
+                <div className="col-span-2">
+                  {index === 0 && <Label className="text-xs">Strength *</Label>}
+                  <Input
+                    value={line.strength}
+                    onChange={(e) => updateLine(index, 'strength', e.target.value)}
+                    placeholder="500mg"
+                  />
+                </div>
+                <div className="col-span-2">
+                  {index === 0 && <Label className="text-xs">Quantity *</Label>}
+                  <Input
+                    type="number"
+                    min="1"
+                    value={line.quantityOrdered}
+                    onChange={(e) => updateLine(index, 'quantityOrdered', parseInt(e.target.value) || 0)}
+                  />
+                </div>
+                <div className="col-span-2">
+                  {index === 0 && <Label className="text-xs">Unit Price (₹)</Label>}
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={line.unitPrice}
+                    onChange={(e) => updateLine(index, 'unitPrice', parseFloat(e.target.value) || 0)}
+                  />
+                </div>
+                <div className="col-span-1 text-right text-sm pb-2">
+                  ₹{((line.quantityOrdered || 0) * (line.unitPrice || 0)).toFixed(2)}
+                </div>
+                <div className="col-span-1">
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    className="text-red-600"
+                    onClick={() => setLines(lines.filter((_, i) => i !== index))}
+                    disabled={lines.length === 1}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="text-right font-semibold">Total: ₹{total.toFixed(2)}</div>
+
+          <div>
+            <Label>Notes</Label>
+            <Input
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Delivery instructions, references"
+            />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={submitting}>
+            {submitting ? "Saving..." : order ? "Update Draft" : "Save Draft"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PurchaseOrderModal;
@@ -0,0 +1,269 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { Separator } from "@/components/ui/separator";
+import { CheckCircle, Download, Loader2, RefreshCw, RotateCcw } from "lucide-react";
+import { toast } from "sonner";
+import { format, parseISO } from "date-fns";
+import { paymentAPI } from "@/services/api";
+
+const METHOD_LABELS = {
+  gateway: "Back to the original payment (Razorpay)",
+  cash: "Cash",
+  card: "Card",
+  upi: "UPI",
+  other: "Other"
+};
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  processed: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800"
+};
+
+const formatMoney = (value) =>
+  `₹${Number(value || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Refund an appointment invoice in full or in part, and follow up on
+ * earlier refunds: confirm cash handed back, check the gateway, download receipts.
+ */
+const RefundDialog = ({ isOpen, onClose, invoice, onRefunded }) => {
+  const [refunds, setRefunds] = useState([]);
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+  const [method, setMethod] = useState("gateway");
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const appointmentId = invoice?.appointmentId?._id || invoice?.appointmentId;
+  const paidOnline = invoice?.paymentMethod === "online";
+  const methods = paidOnline ? ["gateway", "cash"] : ["cash", "card", "upi"];
+  const committed = refunds
+    .filter(refund => refund.status !== "failed")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  const remaining = Math.max(Math.round(((invoice?.total || 0) - committed) * 100) / 100, 0);
+
+  useEffect(() => {
+    if (!isOpen || !appointmentId) return;
+    setRefunds([]);
+    setReason("");
+    setMethod(paidOnline ? "gateway" : "cash");
+    loadRefunds();
+  }, [isOpen, appointmentId]);
+
+  useEffect(() => {
+    setAmount(remaining ? String(remaining) : "");
+  }, [remaining]);
+
+  const loadRefunds = async () => {
+    try {
+      setLoading(true);
+      const response = await paymentAPI.getRefunds({ appointmentId });
+      setRefunds(response.data);
+    } catch (error) {
+      console.error("Error loading refunds:", error);
+      toast.error("Failed to load refunds");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const afterChange = async () => {
+    await loadRefunds();
+    if (onRefunded) onRefunded();
+  };
+
+  const handleSubmit = async () => {
+    if (!reason.trim()) {
+      toast.error("Enter a reason for the refund");
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const response = await paymentAPI.refundAppointment(appointmentId, {
+        amount: Number(amount),
+        reason: reason.trim(),
+        method
+      });
+      toast.success(response.message);
+      setReason("");
+      await afterChange();
+    } catch (error) {
+      console.error("Error refunding payment:", error);
+      toast.error(error.message || "Failed to refund payment");
+      await loadRefunds();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleConfirm = async (refund) => {
+    if (!confirm(`Confirm ${formatMoney(refund.amount)} has been handed back to the patient?`)) return;
+    try {
+      const response = await paymentAPI.confirmRefund(refund._id);
+      toast.success(response.message);
+      await afterChange();
+    } catch (error) {
+      console.error("Error confirming refund:", error);
+      toast.error(error.message || "Failed to confirm refund");
+    }
+  };
+
+  const handleRefresh = async (refund) => {
+    try {
+      const response = await paymentAPI.refreshRefund(refund._id);
+      if (response.data.status === "pending") {
+        toast.info("The gateway is still processing this refund");
+      }
+      await afterChange();
+    } catch (error) {
+      console.error("Error checking refund:", error);
+      toast.error(error.message || "Failed to check refund");
+    }
+  };
+
+  const handleReceipt = async (refund) => {
+    try {
+      await paymentAPI.downloadRefundReceipt(refund._id, refund.receiptNumber);
+    } catch (error) {
+      console.error("Error downloading refund receipt:", error);
+      toast.error("Failed to download receipt");
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <RotateCcw className="w-5 h-5" />
+            Refund #{invoice?.invoiceNumber}
+          </DialogTitle>
+          <DialogDescription>
+            Paid {formatMoney(invoice?.total)} {paidOnline ? "online" : "in cash"}.{" "}
+            {remaining > 0 ? `${formatMoney(remaining)} can still be refunded.` : "Nothing is left to refund."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {remaining > 0 && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="refund-amount">Amount</Label>
+                <Input
+                  id="refund-amount"
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  max={remaining}
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Refund to</Label>
+                <Select value={method} onValueChange={setMethod}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {methods.map(value => (
+                      <SelectItem key={value} value={value}>{METHOD_LABELS[value]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="refund-reason">Reason</Label>
+              <Textarea
+                id="refund-reason"
+                rows={2}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Appointment cancelled by the clinic"
+              />
+            </div>
+            {method !== "gateway" && (
+              <p className="text-xs text-gray-500">
+                Manual refunds are recorded as pending until you confirm the money has been handed back.
+              </p>
+            )}
+          </div>
+        )}
+
+        {refunds.length > 0 && (
+          <>
+            <Separator />
+            <div className="space-y-3">
+              <h4 className="font-semibold text-gray-900">Refunds</h4>
+              {refunds.map(refund => (
+                <div key={refund._id} className="flex items-start justify-between gap-3 text-sm">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium">{formatMoney(refund.amount)}</span>
+                      <Badge className={`${STATUS_STYLES[refund.status]} border-0`}>{refund.status}</Badge>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {refund.receiptNumber} · {METHOD_LABELS[refund.method] || refund.method} ·{" "}
+                      {format(parseISO(refund.createdAt), "MMM dd, yyyy HH:mm")}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">{refund.reason}</p>
+                    {refund.failureReason && <p className="text-xs text-red-600">{refund.failureReason}</p>}
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    {refund.status === "pending" && refund.method !== "gateway" && (
+                      <Button size="sm" variant="outline" onClick={() => handleConfirm(refund)}>
+                        <CheckCircle className="w-4 h-4 mr-1" />
+                        Confirm
+                      </Button>
+                    )}
+                    {refund.status === "pending" && refund.method === "gateway" && (
+                      <Button size="sm" variant="ghost" onClick={() => handleRefresh(refund)} title="Check with the gateway">
+                        <RefreshCw className="w-4 h-4" />
+                      </Button>
+                    )}
+                    {refund.status === "processed" && (
+                      <Button size="sm" variant="ghost" onClick={() => handleReceipt(refund)} title="Download receipt">
+                        <Download className="w-4 h-4" />
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Close</Button>
+          {remaining > 0 && (
+            <Button
+              onClick={handleSubmit}
+              disabled={submitting || loading || !(Number(amount) > 0) || Number(amount) > remaining}
+              className="bg-teal-600 hover:bg-teal-700"
+            >
+              {submitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Refund {amount ? formatMoney(amount) : ""}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RefundDialog;
@@ -0,0 +1,409 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Switch } from '@/components/ui/switch';
+import { Badge } from '@/components/ui/badge';
+import { Separator } from '@/components/ui/separator';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { BellRing, Eye, Loader2, Plus, Save, Trash2, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { reminderSettingsAPI } from '@/services/api';
+
+const UNITS = { minutes: 1, hours: 60, days: 24 * 60 };
+
+const JOB_STATUS_STYLES = {
+  pending: 'bg-blue-100 text-blue-700',
+  running: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-700'
+};
+
+const describeOffset = (minutes) => {
+  if (minutes % UNITS.days === 0 && minutes > UNITS.days) return `${minutes / UNITS.days} days`;
+  if (minutes % UNITS.hours === 0) return `${minutes / UNITS.hours}h`;
+  return minutes > 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`;
+};
+
+// Chips for "minutes before" values with an inline adder
+const OffsetEditor = ({ offsets, onChange, placeholder }) => {
+  const [amount, setAmount] = useState('');
+  const [unit, setUnit] = useState('hours');
+
+  const addOffset = () => {
+    const minutes = Math.round(parseFloat(amount) * UNITS[unit]);
+    if (!minutes || minutes < 5 || minutes > 7 * UNITS.days) {
+      toast.error('Reminders must be between 5 minutes and 7 days before the appointment');
+      return;
+    }
+    if (offsets.length >= 5) {
+      toast.error('At most 5 reminders can be configured');
+      return;
+    }
+    onChange([...new Set([...offsets, minutes])].sort((a, b) => b - a));
+    setAmount('');
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {offsets.length === 0 && (
+          <span className="text-sm text-muted-foreground">{placeholder}</span>
+        )}
+        {offsets.map(offset => (
+          <Badge key={offset} variant="secondary" className="gap-1 pr-1">
+            {describeOffset(offset)} before
+            <button
+              type="button"
+              onClick={() => onChange(offsets.filter(value => value !== offset))}
+              className="rounded-full p-0.5 hover:bg-gray-300"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </Badge>
+        ))}
+      </div>
+      <div className="flex items-center gap-2">
+        <Input
+          type="number"
+          min="1"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className="w-24"
+          placeholder="24"
+        />
+        <Select value={unit} onValueChange={setUnit}>
+          <SelectTrigger className="w-28">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="minutes">minutes</SelectItem>
+            <SelectItem value="hours">hours</SelectItem>
+            <SelectItem value="days">days</SelectItem>
+          </SelectContent>
+        </Select>
+        <Button type="button" variant="outline" size="sm" onClick={addOffset}>
+          <Plus className="w-4 h-4 mr-1" />
+          Add
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const ReminderSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [meta, setMeta] = useState({ appointmentTypes: [], variables: [], defaults: {} });
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [newRuleType, setNewRuleType] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      setLoading(true);
+      const [response, historyResponse] = await Promise.all([
+        reminderSettingsAPI.get(),
+        reminderSettingsAPI.getHistory({ limit: 10 })
+      ]);
+      const { settings: saved, appointmentTypes, variables, defaults } = response;
+      setSettings({
+        enabled: saved.enabled,
+        offsets: saved.offsets || [],
+        subject: saved.subject || '',
+        body: saved.body || '',
+        rules: (saved.rules || []).map(rule => ({
+          ...rule,
+          offsets: rule.offsets || [],
+          subject: rule.subject || '',
+          body: rule.body || ''
+        }))
+      });
+      setMeta({ appointmentTypes, variables, defaults });
+      setHistory(historyResponse.reminders || []);
+    } catch (error) {
+      console.error('Error loading reminder settings:', error);
+      toast.error('Failed to load reminder settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateRule = (index, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    }));
+  };
+
+  const addRule = () => {
+    if (!newRuleType) return;
+    setSettings(prev => ({
+      ...prev,
+      rules: [...prev.rules, { appointmentType: newRuleType, enabled: true, offsets: [], subject: '', body: '' }]
+    }));
+    setNewRuleType('');
+  };
+
+  const handlePreview = async (template, appointmentType) => {
+    try {
+      const result = await reminderSettingsAPI.preview({
+        subject: template.subject,
+        body: template.body,
+        appointmentType,
+        offset: (template.offsets?.length ? template.offsets : settings.offsets)[0],
+        isVirtual: appointmentType === 'Teleconsultation'
+      });
+      setPreview({ ...result, appointmentType });
+    } catch (error) {
+      console.error('Error previewing reminder:', error);
+      toast.error('Failed to preview reminder');
+    }
+  };
+
+  const handleSave = async () => {
+    if (settings.offsets.length === 0) {
+      toast.error('Add at least one default reminder time');
+      return;
+    }
+    try {
+      setSaving(true);
+      await reminderSettingsAPI.update(settings);
+      toast.success('Reminder settings saved');
+    } catch (error) {
+      console.error('Error saving reminder settings:', error);
+      const details = error.data?.details?.map(detail => detail.msg || detail).join(', ');
+      toast.error(details || error.message || 'Failed to save reminder settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !settings) {
+    return (
+      <Card className="shadow-md border-gray-200 dark:border-gray-800">
+        <CardContent className="py-10 flex justify-center">
+          <Loader2 className="w-6 h-6 animate-spin text-primary" />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const unusedTypes = meta.appointmentTypes.filter(type => !settings.rules.some(rule => rule.appointmentType === type));
+
+  return (
+    <Card className="shadow-md border-gray-200 dark:border-gray-800">
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle className="text-lg flex items-center gap-2">
+              <BellRing className="w-5 h-5 text-primary" />
+              Appointment Reminders
+            </CardTitle>
+            <CardDescription className="mt-1">
+              Sent to patients before Scheduled and Confirmed appointments, on the channels chosen under Messaging Channels. Virtual appointments include the video link.
+            </CardDescription>
+          </div>
+          <Switch
+            checked={settings.enabled}
+            onCheckedChange={(checked) => setSettings({ ...settings, enabled: checked })}
+          />
+        </div>
+      </CardHeader>
+      <Separator />
+      <CardContent className="pt-6 space-y-6">
+        {/* Clinic defaults */}
+        <div className="space-y-4">
+          <div>
+            <Label>Send reminders</Label>
+            <OffsetEditor
+              offsets={settings.offsets}
+              onChange={(offsets) => setSettings({ ...settings, offsets })}
+              placeholder="No reminders"
+            />
+          </div>
+          <div>
+            <Label htmlFor="reminder-subject">Subject</Label>
+            <Input
+              id="reminder-subject"
+              value={settings.subject}
+              onChange={(e) => setSettings({ ...settings, subject: e.target.value })}
+              placeholder={meta.defaults.subject}
+            />
+          </div>
+          <div>
+            <Label htmlFor="reminder-body">Message</Label>
+            <Textarea
+              id="reminder-body"
+              rows={8}
+              value={settings.body}
+              onChange={(e) => setSettings({ ...settings, body: e.target.value })}
+              placeholder={meta.defaults.body}
+            />
+            <p className="text-xs text-muted-foreground mt-1">
+              Leave empty to use the built-in message. Variables:{' '}
+              {meta.variables.map(variable => `{{${variable}}}`).join(' ')}
+            </p>
+          </div>
+          <Button type="button" variant="outline" size="sm" onClick={() => handlePreview(settings, meta.appointmentTypes[0])}>
+            <Eye className="w-4 h-4 mr-2" />
+            Preview
+          </Button>
+        </div>
+
+        <Separator />
+
+        {/* Per appointment type overrides */}
+        <div className="space-y-4">
+          <div>
+            <h4 className="font-semibold text-gray-900 dark:text-white">By appointment type</h4>
+            <p className="text-sm text-muted-foreground">Override timing or wording for specific appointment types. Empty fields use the defaults above.</p>
+          </div>
+
+          {settings.rules.map((rule, index) => (
+            <div key={rule.appointmentType} className="rounded-lg border border-gray-200 dark:border-gray-800 p-4 space-y-3">
+              <div className="flex items-center justify-between gap-4">
+                <span className="font-medium">{rule.appointmentType}</span>
+                <div className="flex items-center gap-3">
+                  <div className="flex items-center gap-2 text-sm">
+                    <Switch
+                      checked={rule.enabled}
+                      onCheckedChange={(checked) => updateRule(index, { enabled: checked })}
+                    />
+                    {rule.enabled ? 'Reminders on' : 'No reminders'}
+                  </div>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                    onClick={() => setSettings(prev => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) }))}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+              {rule.enabled && (
+                <>
+                  <OffsetEditor
+                    offsets={rule.offsets}
+                    onChange={(offsets) => updateRule(index, { offsets })}
+                    placeholder="Same times as the default"
+                  />
+                  <Input
+                    value={rule.subject}
+                    onChange={(e) => updateRule(index, { subject: e.target.value })}
+                    placeholder="Subject (default if empty)"
+                  />
+                  <Textarea
+                    rows={4}
+                    value={rule.body}
+                    onChange={(e) => updateRule(index, { body: e.target.value })}
+                    placeholder="Message (default if empty)"
+                  />
+                  <Button type="button" variant="outline" size="sm" onClick={() => handlePreview({
+                    ...rule,
+                    subject: rule.subject || settings.subject,
+                    body: rule.body || settings.body
+                  }, rule.appointmentType)}>
+                    <Eye className="w-4 h-4 mr-2" />
+                    Preview
+                  </Button>
+                </>
+              )}
+            </div>
+          ))}
+
+          {unusedTypes.length > 0 && (
+            <div className="flex items-center gap-2">
+              <Select value={newRuleType} onValueChange={setNewRuleType}>
+                <SelectTrigger className="w-64">
+                  <SelectValue placeholder="Choose appointment type..." />
+                </SelectTrigger>
+                <SelectContent>
+                  {unusedTypes.map(type => (
+                    <SelectItem key={type} value={type}>{type}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button type="button" variant="outline" size="sm" onClick={addRule} disabled={!newRuleType}>
+                <Plus className="w-4 h-4 mr-1" />
+                Add override
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {preview && (
+          <div className="rounded-lg border border-blue-200 bg-blue-50 dark:bg-blue-950/30 p-4 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-medium text-blue-700">Preview · {preview.appointmentType}</span>
+              <button type="button" onClick={() => setPreview(null)}>
+                <X className="w-4 h-4 text-blue-700" />
+              </button>
+            </div>
+            <p className="font-semibold text-sm">{preview.subject}</p>
+            <p className="text-sm whitespace-pre-line">{preview.body}</p>
+            {preview.meetingLink && (
+              <p className="text-sm text-blue-700">[Join video consultation] {preview.meetingLink}</p>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? (
+              <>
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              <>
+                <Save className="w-4 h-4 mr-2" />
+                Save Reminders
+              </>
+            )}
+          </Button>
+        </div>
+
+        {history.length > 0 && (
+          <>
+            <Separator />
+            <div className="space-y-2">
+              <h4 className="font-semibold text-gray-900 dark:text-white">Recent reminders</h4>
+              {history.map(reminder => (
+                <div key={reminder._id} className="flex items-center justify-between gap-4 text-sm">
+                  <div className="min-w-0">
+                    <span className="font-medium">{reminder.appointment?.patientName || 'Deleted appointment'}</span>
+                    <span className="text-muted-foreground">
+                      {' '}· {describeOffset(reminder.offset)} before · {format(parseISO(reminder.runAt), 'MMM dd, HH:mm')}
+                    </span>
+                    {(reminder.result?.skipped || reminder.lastError) && (
+                      <p className="text-xs text-muted-foreground truncate">
+                        {reminder.result?.skipped ? `Skipped: ${reminder.result.skipped}` : reminder.lastError}
+                      </p>
+                    )}
+                  </div>
+                  <Badge variant="secondary" className={`border-0 capitalize flex-shrink-0 ${JOB_STATUS_STYLES[reminder.status]}`}>
+                    {reminder.result?.skipped ? 'skipped' : reminder.status}
+                  </Badge>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReminderSettings;
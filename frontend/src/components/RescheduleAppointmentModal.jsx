@@ -14,12 +14,21 @@ import { Textarea } from "@/components/ui/textarea";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
 import { Calendar, Clock, User, Stethoscope, AlertTriangle } from "lucide-react";
-import { appointmentAPI, doctorAPI, doctorAvailabilityAPI } from "@/services/api";
+import { appointmentAPI, appointmentSeriesAPI, doctorAPI, doctorAvailabilityAPI } from "@/services/api";
 import { toast } from "sonner";
 import { format, parseISO } from "date-fns";
 import { getAvailableTimeSlots } from '@/utils/availabilityUtils';
+import { todayIn } from '@/utils/clinicTime';
+import { useClinicTimeZone } from '@/hooks/useClinicTimeZone';
+import ClinicTimeHint from '@/components/ClinicTimeHint';
+
+const SCOPE_LABELS = {
+  this: "This appointment only",
+  following: "This and following appointments",
+  all: "All appointments in the series"
+};
 
-const RescheduleAppointmentModal = ({ isOpen, onClose, appointment, onSuccess }) => {
+const RescheduleAppointmentModal = ({ isOpen, onClose, appointment, seriesScope = null, onSuccess }) => {
   const [formData, setFormData] = useState({
     doctorId: "",
     date: "",
@@ -36,6 +45,7 @@ const RescheduleAppointmentModal = ({ isOpen, onClose, appointment, onSuccess })
   const [availableSlots, setAvailableSlots] = useState([]);
   const [loadingSlots, setLoadingSlots] = useState(false);
   const [slotDuration, setSlotDuration] = useState(30);
+  const clinicTimeZone = useClinicTimeZone();
 
   // Initialize form data when appointment changes
   useEffect(() => {
@@ -78,31 +88,18 @@ const RescheduleAppointmentModal = ({ isOpen, onClose, appointment, onSuccess })
     try {
       setLoadingSlots(true);
       console.log('Loading slots for doctor:', formData.doctorId, 'date:', formData.date);
-      const response = await doctorAvailabilityAPI.getAvailableSlots(formData.doctorId, formData.date);
+      // Leave out the appointment being rescheduled so its own slot can be picked again
+      const response = await doctorAvailabilityAPI.getAvailableSlots(formData.doctorId, formData.date, {
+        excludeAppointmentId: appointment._id
+      });
       console.log('Slots response:', response);
       
       if (response.success) {
-        const { availability, exceptions, appointments } = response;
-        const selectedDate = new Date(formData.date);
-        
-        // Get slot duration from availability
-        const duration = availability.length > 0 && availability[0].slotDuration 
-          ? availability[0].slotDuration 
-          : 30;
-        setSlotDuration(duration);
-        setFormData(prev => ({ ...prev, duration: duration.toString() }));
+        setSlotDuration(response.duration);
+        setFormData(prev => ({ ...prev, duration: response.duration.toString() }));
         
-        // Exclude the current appointment being rescheduled from the booked appointments
-        // This frees up the original slot so it can be selected again if needed
-        const filteredAppointments = appointments.filter(apt => 
-          apt._id !== appointment._id && apt.id !== appointment._id
-        );
-        
-        console.log('Total appointments:', appointments.length, 'After filtering current:', filteredAppointments.length);
-        
-        // Calculate available slots using utility function
-        const slots = getAvailableTimeSlots(availability, exceptions, filteredAppointments, selectedDate, duration);
-        console.log('Calculated available slots:', slots);
+        const slots = getAvailableTimeSlots(response);
+        console.log('Available slots:', slots);
         setAvailableSlots(slots);
       } else {
         console.log('Response not successful:', response);
@@ -216,10 +213,13 @@ const RescheduleAppointmentModal = ({ isOpen, onClose, appointment, onSuccess })
       console.log('Sending reschedule data:', updatedData);
       console.log('Original appointment:', appointment);
       
-      // Update the appointment
-      await appointmentAPI.update(appointment._id, updatedData);
-      
-      toast.success('Appointment rescheduled successfully');
+      if (appointment.seriesId && seriesScope) {
+        await rescheduleSeries();
+      } else {
+        // Update the appointment
+        await appointmentAPI.update(appointment._id, updatedData);
+        toast.success('Appointment rescheduled successfully');
+      }
       
       // Close modal first
       handleClose();
@@ -237,6 +237,42 @@ const RescheduleAppointmentModal = ({ isOpen, onClose, appointment, onSuccess })
     }
   };
 
+  // Series occurrences go through the series API so "following" and "all" move together
+  const rescheduleSeries = async () => {
+    const changes = {
+      doctorId: formData.doctorId,
+      date: formData.date,
+      time: formData.time,
+      duration: parseInt(formData.duration, 10),
+      notes: formData.notes.trim()
+    };
+    // The "Rescheduled from ..." note only describes this one date
+    if (seriesScope === 'this') {
+      changes.reason = formData.reason.trim();
+    }
+
+    let response;
+    try {
+      response = await appointmentSeriesAPI.updateOccurrence(appointment._id, seriesScope, changes);
+    } catch (error) {
+      const clashes = error.data?.clashes;
+      if (error.data?.code !== 'SERIES_CONFLICTS' || seriesScope === 'this') {
+        throw new Error(clashes?.length ? `The new time clashes with ${clashes[0].conflicts.map(c => c.patientName).join(', ')}` : error.message);
+      }
+
+      const dates = clashes.map(clash => clash.date).join(', ');
+      if (!confirm(`These dates clash with other appointments and will keep their old time: ${dates}. Reschedule the rest?`)) {
+        throw new Error('Reschedule cancelled - dates clash');
+      }
+      response = await appointmentSeriesAPI.updateOccurrence(appointment._id, seriesScope, changes, true);
+    }
+
+    toast.success(response.message || 'Appointments rescheduled successfully');
+    if (response.skipped?.length > 0) {
+      toast.warning(`Not moved because of clashes: ${response.skipped.map(skipped => skipped.date).join(', ')}`);
+    }
+  };
+
   const handleClose = () => {
     setFormData({
       doctorId: "",
@@ -250,8 +286,8 @@ const RescheduleAppointmentModal = ({ isOpen, onClose, appointment, onSuccess })
     onClose();
   };
 
-  // Get minimum date (today)
-  const today = new Date().toISOString().split('T')[0];
+  // Get minimum date (today at the clinic)
+  const today = todayIn(clinicTimeZone);
 
   // Check if there are any changes
   const hasChanges = appointment && (
@@ -276,6 +312,16 @@ const RescheduleAppointmentModal = ({ isOpen, onClose, appointment, onSuccess })
           <DialogDescription>
             Update the appointment details. You can change the date, time, and doctor if needed.
           </DialogDescription>
+          {appointment?.seriesId && seriesScope && (
+            <Badge variant="outline" className="w-fit">
+              Recurring series: {SCOPE_LABELS[seriesScope]}
+            </Badge>
+          )}
+          {appointment?.seriesId && seriesScope && seriesScope !== 'this' && (
+            <p className="text-xs text-muted-foreground">
+              Changing the date moves every selected appointment by the same number of days.
+            </p>
+          )}
         </DialogHeader>
 
         {appointment && (
@@ -404,6 +450,7 @@ const RescheduleAppointmentModal = ({ isOpen, onClose, appointment, onSuccess })
                 {errors.time && (
                   <p className="text-sm text-red-600">{errors.time}</p>
                 )}
+                <ClinicTimeHint timeZone={clinicTimeZone} date={formData.date} time={formData.time} />
               </div>
             </div>
 
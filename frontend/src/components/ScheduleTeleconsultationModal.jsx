@@ -14,6 +14,9 @@ import { patientAPI, appointmentAPI, teleconsultationAPI, doctorAPI, doctorAvail
 import { toast } from 'sonner';
 import { getCurrentUser, isDoctor } from '@/utils/roleUtils';
 import { getAvailableTimeSlots } from '@/utils/availabilityUtils';
+import { todayIn } from '@/utils/clinicTime';
+import { useClinicTimeZone } from '@/hooks/useClinicTimeZone';
+import ClinicTimeHint from '@/components/ClinicTimeHint';
 import { config } from '@/config/env';
 import sessionManager from '@/utils/sessionManager';
 // import TimeSlotPicker from '@/components/TimeSlotPicker'; // Removed - using manual date/time selection
@@ -32,6 +35,7 @@ const ScheduleTeleconsultationModal = ({ isOpen, onClose, onSuccess, selectedPat
   const [createdAppointment, setCreatedAppointment] = useState(null);
   const [processingPayment, setProcessingPayment] = useState(false);
   const [paymentMethod, setPaymentMethod] = useState('online');
+  const clinicTimeZone = useClinicTimeZone();
   const API_BASE_URL = config.API_BASE_URL || 'http://localhost:5000/api';
   
   // Get current user from localStorage
@@ -118,18 +122,9 @@ const ScheduleTeleconsultationModal = ({ isOpen, onClose, onSuccess, selectedPat
       const response = await doctorAvailabilityAPI.getAvailableSlots(formData.doctorId, formData.scheduledDate);
       
       if (response.success) {
-        const { availability, exceptions, appointments } = response;
-        const selectedDate = new Date(formData.scheduledDate);
-        
-        // Get slot duration from availability
-        const duration = availability.length > 0 && availability[0].slotDuration 
-          ? availability[0].slotDuration 
-          : 30;
-        setSlotDuration(duration);
-        setFormData(prev => ({ ...prev, duration }));
-        
-        const slots = getAvailableTimeSlots(availability, exceptions, appointments, selectedDate, duration);
-        setAvailableSlots(slots);
+        setSlotDuration(response.duration);
+        setFormData(prev => ({ ...prev, duration: response.duration }));
+        setAvailableSlots(getAvailableTimeSlots(response));
       }
     } catch (error) {
       console.error('Error loading available slots:', error);
@@ -433,8 +428,8 @@ const ScheduleTeleconsultationModal = ({ isOpen, onClose, onSuccess, selectedPat
       setProcessingPayment(true);
       const token = await sessionManager.getToken();
 
-      // Find the appointment invoice and set payment method to cash and status to approved
-      const invoicesResponse = await fetch(`${API_BASE_URL}/appointment-invoices?appointmentId=${createdAppointment._id}`, {
+      // Approve the appointment's invoice as paid in cash at the desk
+      const invoicesResponse = await fetch(`${API_BASE_URL}/invoices?appointmentId=${createdAppointment._id}`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -442,20 +437,15 @@ const ScheduleTeleconsultationModal = ({ isOpen, onClose, onSuccess, selectedPat
 
       if (invoicesResponse.ok) {
         const invoicesData = await invoicesResponse.json();
-        if (invoicesData.invoices && invoicesData.invoices.length > 0) {
-          const invoice = invoicesData.invoices[0];
-          
-          // Update payment method to cash and status to approved
-          await fetch(`${API_BASE_URL}/appointment-invoices/${invoice._id}`, {
+        const invoice = invoicesData.invoices?.find(entry => entry.status === 'unapproved');
+        if (invoice) {
+          await fetch(`${API_BASE_URL}/invoices/${invoice._id}/approve`, {
             method: 'PATCH',
             headers: {
               'Authorization': `Bearer ${token}`,
               'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ 
-              paymentMethod: 'cash',
-              status: 'approved'
-            })
+            body: JSON.stringify({ paymentMethod: 'cash' })
           });
         }
       }
@@ -618,7 +608,7 @@ const ScheduleTeleconsultationModal = ({ isOpen, onClose, onSuccess, selectedPat
                 type="date"
                 value={formData.scheduledDate}
                 onChange={(e) => handleInputChange('scheduledDate', e.target.value)}
-                min={new Date().toISOString().split('T')[0]}
+                min={todayIn(clinicTimeZone)}
                 required
                 disabled={loading}
               />
@@ -668,6 +658,7 @@ const ScheduleTeleconsultationModal = ({ isOpen, onClose, onSuccess, selectedPat
                   disabled={loading}
                 />
               )}
+              <ClinicTimeHint timeZone={clinicTimeZone} date={formData.scheduledDate} time={formData.scheduledTime} />
             </div>
           </div>
         )}
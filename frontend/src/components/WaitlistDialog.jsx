@@ -0,0 +1,382 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, CommandList } from "@/components/ui/command";
+import { Badge } from "@/components/ui/badge";
+import { Check, ChevronsUpDown, Clock, ListPlus, Mail, Trash2, User } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+import { format, parseISO } from "date-fns";
+import { waitlistAPI } from "@/services/api";
+import { getCurrentUser } from "@/utils/roleUtils";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const PRIORITY_STYLES = {
+  urgent: "bg-red-100 text-red-700",
+  high: "bg-orange-100 text-orange-700",
+  normal: "bg-gray-100 text-gray-700"
+};
+
+const emptyEntry = {
+  patientId: "",
+  doctorId: "",
+  appointmentType: "General Consultation",
+  duration: "30",
+  preferredDays: [],
+  preferredTimeFrom: "",
+  preferredTimeTo: "",
+  earliestDate: "",
+  latestDate: "",
+  priority: "normal",
+  notes: ""
+};
+
+const describePreferences = (entry) => {
+  const parts = [];
+  if (entry.preferredDays?.length > 0) {
+    parts.push([...entry.preferredDays].sort().map(day => WEEKDAYS[day]).join(", "));
+  }
+  if (entry.preferredTimeFrom || entry.preferredTimeTo) {
+    parts.push(`${entry.preferredTimeFrom || "any time"} – ${entry.preferredTimeTo || "close"}`);
+  }
+  if (entry.latestDate) {
+    parts.push(`by ${format(parseISO(entry.latestDate), "MMM dd")}`);
+  }
+  return parts.length > 0 ? parts.join(" · ") : "Any free slot";
+};
+
+const WaitlistDialog = ({ isOpen, onClose, patients = [], doctors = [] }) => {
+  const currentUser = getCurrentUser();
+  const isDoctorUser = currentUser?.role === "doctor";
+
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [doctorFilter, setDoctorFilter] = useState("all");
+  const [patientComboboxOpen, setPatientComboboxOpen] = useState(false);
+  const [formData, setFormData] = useState(emptyEntry);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadEntries();
+    }
+  }, [isOpen, doctorFilter]);
+
+  const loadEntries = async () => {
+    try {
+      setLoading(true);
+      const filters = doctorFilter !== "all" ? { doctorId: doctorFilter } : {};
+      const response = await waitlistAPI.getAll(filters);
+      setEntries(response.entries || []);
+    } catch (error) {
+      console.error("Error loading waitlist:", error);
+      toast.error("Failed to load waitlist");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleDay = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      preferredDays: prev.preferredDays.includes(day)
+        ? prev.preferredDays.filter(d => d !== day)
+        : [...prev.preferredDays, day]
+    }));
+  };
+
+  const handleAdd = async () => {
+    const doctorId = isDoctorUser ? currentUser.id : formData.doctorId;
+    if (!formData.patientId || !doctorId) {
+      toast.error("Please select a patient and a doctor");
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await waitlistAPI.create({
+        ...formData,
+        doctorId,
+        duration: parseInt(formData.duration)
+      });
+      toast.success("Patient added to waitlist");
+      setFormData(emptyEntry);
+      loadEntries();
+    } catch (error) {
+      console.error("Error adding to waitlist:", error);
+      const details = error.data?.details?.map(detail => detail.msg || detail).join(", ");
+      toast.error(details || error.message || "Failed to add patient to waitlist");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    if (!confirm(`Remove ${entry.patientId?.fullName || "this patient"} from the waitlist?`)) {
+      return;
+    }
+    try {
+      await waitlistAPI.remove(entry._id);
+      toast.success("Patient removed from waitlist");
+      loadEntries();
+    } catch (error) {
+      console.error("Error removing waitlist entry:", error);
+      toast.error(error.message || "Failed to remove patient");
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ListPlus className="w-5 h-5 text-blue-600" />
+            Waitlist
+          </DialogTitle>
+          <DialogDescription>
+            When an appointment is cancelled or marked no-show, the freed slot is emailed to the
+            highest-priority matching patient, who can accept it from the link.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Add entry */}
+        <div className="space-y-4 rounded-lg border border-gray-200 p-4">
+          <div className={`grid gap-4 ${isDoctorUser ? "grid-cols-1" : "grid-cols-1 sm:grid-cols-2"}`}>
+            <div>
+              <Label>Patient</Label>
+              <Popover open={patientComboboxOpen} onOpenChange={setPatientComboboxOpen}>
+                <PopoverTrigger asChild>
+                  <Button
+                    variant="outline"
+                    role="combobox"
+                    aria-expanded={patientComboboxOpen}
+                    className="w-full justify-between"
+                    disabled={submitting}
+                  >
+                    {patients.find(p => p._id === formData.patientId)?.fullName || "Select patient..."}
+                    <ChevronsUpDown className="ml-2 h-4 w-4 shrink-0 opacity-50" />
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-full p-0" align="start" onWheel={(e) => e.stopPropagation()}>
+                  <Command>
+                    <CommandInput placeholder="Search patients..." />
+                    <CommandList className="max-h-[300px] overflow-y-auto">
+                      <CommandEmpty>No patient found.</CommandEmpty>
+                      <CommandGroup>
+                        {patients.map((patient) => (
+                          <CommandItem
+                            key={patient._id}
+                            value={`${patient.fullName} ${patient.phone} ${patient.email || ""} ${patient.uhid || ""}`}
+                            onSelect={() => {
+                              setFormData({ ...formData, patientId: patient._id });
+                              setPatientComboboxOpen(false);
+                            }}
+                          >
+                            <Check
+                              className={cn(
+                                "mr-2 h-4 w-4",
+                                formData.patientId === patient._id ? "opacity-100" : "opacity-0"
+                              )}
+                            />
+                            <div className="flex flex-col">
+                              <span className="font-medium">{patient.fullName}</span>
+                              <span className="text-xs text-gray-500">{patient.phone}</span>
+                            </div>
+                          </CommandItem>
+                        ))}
+                      </CommandGroup>
+                    </CommandList>
+                  </Command>
+                </PopoverContent>
+              </Popover>
+            </div>
+
+            {!isDoctorUser && (
+              <div>
+                <Label>Doctor</Label>
+                <Select
+                  value={formData.doctorId}
+                  onValueChange={(value) => setFormData({ ...formData, doctorId: value })}
+                  disabled={submitting}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select doctor..." />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {doctors.map((doctor) => (
+                      <SelectItem key={doctor._id} value={doctor._id}>
+                        Dr. {doctor.fullName}{doctor.specialization ? ` - ${doctor.specialization}` : ""}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <Label>Preferred days</Label>
+            <div className="flex flex-wrap gap-2 mt-1">
+              {WEEKDAYS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleDay(day)}
+                  className={`px-3 py-1 rounded-md border text-sm transition-colors ${
+                    formData.preferredDays.includes(day)
+                      ? "border-blue-600 bg-blue-50 text-blue-900"
+                      : "border-gray-200 hover:border-gray-300"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">Leave all unselected for any day</p>
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+            <div>
+              <Label htmlFor="waitlist-from">From</Label>
+              <Input
+                id="waitlist-from"
+                type="time"
+                value={formData.preferredTimeFrom}
+                onChange={(e) => setFormData({ ...formData, preferredTimeFrom: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="waitlist-to">To</Label>
+              <Input
+                id="waitlist-to"
+                type="time"
+                value={formData.preferredTimeTo}
+                onChange={(e) => setFormData({ ...formData, preferredTimeTo: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="waitlist-latest">Needed by</Label>
+              <Input
+                id="waitlist-latest"
+                type="date"
+                value={formData.latestDate}
+                onChange={(e) => setFormData({ ...formData, latestDate: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label>Priority</Label>
+              <Select
+                value={formData.priority}
+                onValueChange={(value) => setFormData({ ...formData, priority: value })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="urgent">Urgent</SelectItem>
+                  <SelectItem value="high">High</SelectItem>
+                  <SelectItem value="normal">Normal</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-[1fr_auto] gap-4 items-end">
+            <div>
+              <Label htmlFor="waitlist-notes">Notes</Label>
+              <Textarea
+                id="waitlist-notes"
+                rows={2}
+                value={formData.notes}
+                onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                placeholder="Reason or anything staff should know"
+              />
+            </div>
+            <Button onClick={handleAdd} disabled={submitting} className="bg-blue-600 hover:bg-blue-700 text-white">
+              {submitting ? "Adding..." : "Add to Waitlist"}
+            </Button>
+          </div>
+        </div>
+
+        {/* Entries */}
+        <div className="space-y-3">
+          <div className="flex items-center justify-between gap-4">
+            <h4 className="font-semibold text-gray-900">Waiting patients</h4>
+            {!isDoctorUser && (
+              <Select value={doctorFilter} onValueChange={setDoctorFilter}>
+                <SelectTrigger className="w-56">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All doctors</SelectItem>
+                  {doctors.map((doctor) => (
+                    <SelectItem key={doctor._id} value={doctor._id}>Dr. {doctor.fullName}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+          </div>
+
+          {loading ? (
+            <p className="text-sm text-gray-500 py-6 text-center">Loading waitlist...</p>
+          ) : entries.length === 0 ? (
+            <p className="text-sm text-gray-500 py-6 text-center">No patients are waiting</p>
+          ) : (
+            entries.map((entry) => (
+              <div key={entry._id} className="flex items-start justify-between gap-4 rounded-lg border border-gray-200 p-3">
+                <div className="space-y-1 min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <User className="w-4 h-4 text-gray-400" />
+                    <span className="font-medium text-gray-900">{entry.patientId?.fullName || "Unknown patient"}</span>
+                    <Badge variant="secondary" className={`border-0 capitalize ${PRIORITY_STYLES[entry.priority]}`}>
+                      {entry.priority}
+                    </Badge>
+                    {entry.activeOffer && (
+                      <Badge variant="outline" className="text-amber-700 border-amber-300">
+                        <Mail className="w-3 h-3 mr-1" />
+                        Offered
+                      </Badge>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    Dr. {entry.doctorId?.fullName} · {entry.appointmentType} · {entry.duration} min
+                  </p>
+                  <p className="text-xs text-gray-500">{describePreferences(entry)}</p>
+                  {entry.activeOffer && (
+                    <p className="text-xs text-amber-700 flex items-center gap-1">
+                      <Clock className="w-3 h-3" />
+                      {format(parseISO(entry.activeOffer.date), "EEE, MMM dd")} at {entry.activeOffer.time} —
+                      awaiting reply until {format(parseISO(entry.activeOffer.expiresAt), "MMM dd, HH:mm")}
+                    </p>
+                  )}
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="text-red-600 hover:text-red-700 hover:bg-red-50 flex-shrink-0"
+                  onClick={() => handleRemove(entry)}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            ))
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default WaitlistDialog;
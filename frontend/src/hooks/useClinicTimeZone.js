@@ -0,0 +1,48 @@
+/**
+ * React Hook for the signed-in user's clinic timezone
+ * Fetched once per page load and shared by every component that asks
+ */
+
+import { useState, useEffect } from 'react';
+import { clinicAPI } from '@/services/api';
+import { DEFAULT_TIME_ZONE } from '@/utils/clinicTime';
+
+let cachedTimeZone = null;
+let pendingRequest = null;
+
+const loadTimeZone = () => {
+  if (!pendingRequest) {
+    pendingRequest = clinicAPI.getTimeZone()
+      .then(response => {
+        cachedTimeZone = response?.data?.timeZone || DEFAULT_TIME_ZONE;
+        return cachedTimeZone;
+      })
+      .catch(() => {
+        pendingRequest = null;
+        return DEFAULT_TIME_ZONE;
+      });
+  }
+  return pendingRequest;
+};
+
+// Call after the clinic changes its timezone so the next read refetches
+export const resetClinicTimeZone = () => {
+  cachedTimeZone = null;
+  pendingRequest = null;
+};
+
+export const useClinicTimeZone = () => {
+  const [timeZone, setTimeZone] = useState(cachedTimeZone || DEFAULT_TIME_ZONE);
+
+  useEffect(() => {
+    let active = true;
+    loadTimeZone().then(zone => {
+      if (active) setTimeZone(zone);
+    });
+    return () => { active = false; };
+  }, []);
+
+  return timeZone;
+};
+
+export default useClinicTimeZone;
@@ -0,0 +1,21 @@
+/**
+ * React Hook for live API events
+ * Subscribes while the component is mounted; the handler always sees current state
+ */
+
+import { useEffect, useRef } from 'react';
+import { subscribe } from '@/services/realtime';
+
+export const useRealtimeEvent = (event, handler) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    return subscribe(event, (payload) => handlerRef.current(payload));
+  }, [event]);
+};
+
+export default useRealtimeEvent;
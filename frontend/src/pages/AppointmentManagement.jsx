@@ -11,20 +11,40 @@ import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, Command
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
-import { Calendar, Clock, User, Phone, MapPin, AlertCircle, CheckCircle, XCircle, Plus, Search, Filter, Edit, CalendarDays, Users, TrendingUp, ChevronLeft, ChevronRight, ChevronDown, ChevronUp, FileText, Calendar as CalendarIcon, Info, Video, MessageCircle, Check, ChevronsUpDown, Link as LinkIcon, Share2, Copy, Eye, X, Mail } from 'lucide-react';
+import { Calendar, Clock, User, Phone, MapPin, AlertCircle, CheckCircle, XCircle, Plus, Search, Filter, Edit, CalendarDays, Users, TrendingUp, ChevronLeft, ChevronRight, ChevronDown, ChevronUp, FileText, Calendar as CalendarIcon, Info, Video, MessageCircle, Check, ChevronsUpDown, Link as LinkIcon, Share2, Copy, Eye, X, Mail, Repeat, ListPlus } from 'lucide-react';
 import { cn } from "@/lib/utils";
 import { toast } from 'sonner';
-import { appointmentAPI, patientAPI, doctorAPI, doctorAvailabilityAPI } from '@/services/api';
+import { appointmentAPI, appointmentSeriesAPI, patientAPI, doctorAPI, doctorAvailabilityAPI } from '@/services/api';
+import { REALTIME_EVENTS } from '@/services/realtime';
+import { useRealtimeEvent } from '@/hooks/useRealtimeEvent';
 import { getAvailableTimeSlots } from '@/utils/availabilityUtils';
-import { format, parseISO, isToday, isTomorrow, isYesterday, addMinutes } from 'date-fns';
+import { todayIn, addDays } from '@/utils/clinicTime';
+import { useClinicTimeZone } from '@/hooks/useClinicTimeZone';
+import ClinicTimeHint from '@/components/ClinicTimeHint';
+import { format, parseISO, addMinutes } from 'date-fns';
 import RescheduleAppointmentModal from '@/components/RescheduleAppointmentModal';
 import AppointmentConflictDialog from '@/components/AppointmentConflictDialog';
 import ScheduleTeleconsultationModal from '@/components/ScheduleTeleconsultationModal';
+import WaitlistDialog from '@/components/WaitlistDialog';
 import { getCurrentUser } from '@/utils/roleUtils';
 import { config } from '@/config/env';
 import sessionManager from '@/utils/sessionManager';
 // import TimeSlotPicker from '@/components/TimeSlotPicker'; // Removed - using manual date/time selection
 
+const emptyRecurrence = {
+  frequency: 'none',
+  interval: 1,
+  endType: 'count',
+  count: 8,
+  until: ''
+};
+
+const seriesScopes = [
+  { value: 'this', label: 'This appointment', description: 'Only this date changes' },
+  { value: 'following', label: 'This and following', description: 'This date and every later one in the series' },
+  { value: 'all', label: 'All appointments', description: 'Every upcoming appointment in the series' }
+];
+
 const AppointmentManagement = () => {
   // Set page title immediately
   document.title = "SMAART Healthcare";
@@ -35,6 +55,7 @@ const AppointmentManagement = () => {
   
   
   const [appointments, setAppointments] = useState([]);
+  const clinicTimeZone = useClinicTimeZone();
   const [patients, setPatients] = useState([]);
   const [doctors, setDoctors] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -59,6 +80,7 @@ const AppointmentManagement = () => {
   const [isConflictDialogOpen, setIsConflictDialogOpen] = useState(false);
   const [isTeleconsultationDialogOpen, setIsTeleconsultationDialogOpen] = useState(false);
   const [selectedAppointment, setSelectedAppointment] = useState(null);
+  const [linkPatientId, setLinkPatientId] = useState('');
   const [conflictData, setConflictData] = useState(null);
   // const [selectedSlot, setSelectedSlot] = useState(null); // Removed - using manual selection
   // const [showSlotPicker, setShowSlotPicker] = useState(false); // Removed - using manual selection
@@ -80,6 +102,11 @@ const AppointmentManagement = () => {
   const [appointmentInvoices, setAppointmentInvoices] = useState({});
   const [isInvoiceDialogOpen, setIsInvoiceDialogOpen] = useState(false);
   const [selectedInvoice, setSelectedInvoice] = useState(null);
+  const [recurrence, setRecurrence] = useState(emptyRecurrence);
+  const [seriesClashes, setSeriesClashes] = useState(null);
+  const [seriesScopeAction, setSeriesScopeAction] = useState(null); // { action: 'reschedule' | 'cancel', appointment }
+  const [rescheduleScope, setRescheduleScope] = useState(null);
+  const [isWaitlistOpen, setIsWaitlistOpen] = useState(false);
   const API_BASE_URL = config.API_BASE_URL || 'http://localhost:5000/api';
   const [formData, setFormData] = useState({
     patientId: '',
@@ -145,20 +172,22 @@ const AppointmentManagement = () => {
     );
   };
 
+  // Appointment dates are clinic calendar days, so read them without shifting into the browser's zone
   const formatDate = (dateString) => {
-    const date = parseISO(dateString);
-    if (isToday(date)) return 'Today';
-    if (isTomorrow(date)) return 'Tomorrow';
-    if (isYesterday(date)) return 'Yesterday';
-    return format(date, 'MMM dd, yyyy');
+    const day = String(dateString).slice(0, 10);
+    const today = todayIn(clinicTimeZone);
+    if (day === today) return 'Today';
+    if (day === addDays(today, 1)) return 'Tomorrow';
+    if (day === addDays(today, -1)) return 'Yesterday';
+    return format(parseISO(day), 'MMM dd, yyyy');
   };
 
-  const loadAppointments = async () => {
+  const loadAppointments = async ({ silent = false } = {}) => {
     console.log('loadAppointments called');
     console.log('isDoctorUser:', isDoctorUser);
     console.log('currentUser:', currentUser);
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const filters = {};
       
       // For doctors, we'll let the backend handle the filtering
@@ -190,6 +219,7 @@ const AppointmentManagement = () => {
     } catch (error) {
       console.error('Error loading appointments:', error);
       console.error('Error details:', error.message, error.stack);
+      if (silent) return; // Keep what is on screen if a background refresh fails
       toast.error('Failed to load appointments');
       setAppointments([]); // Ensure appointments is set to empty array on error
     } finally {
@@ -257,8 +287,8 @@ const AppointmentManagement = () => {
     try {
       const token = await sessionManager.getToken();
       
-      // Load appointment invoices (includes teleconsultation invoices)
-      const appointmentResponse = await fetch(`${API_BASE_URL}/appointment-invoices?limit=1000`, {
+      // Load appointment invoices, keyed by appointment below
+      const appointmentResponse = await fetch(`${API_BASE_URL}/invoices?type=appointment&limit=1000`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -270,7 +300,10 @@ const AppointmentManagement = () => {
         data.invoices.forEach(invoice => {
           if (invoice.appointmentId?._id || invoice.appointmentId) {
             const appointmentId = invoice.appointmentId._id || invoice.appointmentId;
-            invoicesMap[appointmentId] = invoice;
+            // Newest first, so a rebooked appointment shows its current invoice
+            if (!invoicesMap[appointmentId]) {
+              invoicesMap[appointmentId] = invoice;
+            }
           }
         });
         setAppointmentInvoices(invoicesMap);
@@ -306,6 +339,26 @@ const AppointmentManagement = () => {
     loadAppointmentInvoices();
   }, [statusFilter, typeFilter, priorityFilter, dateFilter]);
 
+  // Live updates from other staff, the patient portal and online booking.
+  // Status changes are patched in place; new bookings need the full record, so reload quietly.
+  useRealtimeEvent(REALTIME_EVENTS.APPOINTMENT_STATUS, ({ appointmentId, status }) => {
+    setAppointments(prev => prev.map(appointment =>
+      appointment._id === appointmentId ? { ...appointment, status } : appointment
+    ));
+    loadStats();
+  });
+
+  useRealtimeEvent(REALTIME_EVENTS.APPOINTMENT_CREATED, () => {
+    loadAppointments({ silent: true });
+    loadStats();
+    loadAppointmentInvoices();
+  });
+
+  useRealtimeEvent(REALTIME_EVENTS.APPOINTMENT_DELETED, ({ appointmentId }) => {
+    setAppointments(prev => prev.filter(appointment => appointment._id !== appointmentId));
+    loadStats();
+  });
+
   // Reset to first page when filters change
   useEffect(() => {
     setCurrentPage(1);
@@ -368,18 +421,9 @@ const AppointmentManagement = () => {
       const response = await doctorAvailabilityAPI.getAvailableSlots(formData.doctorId, formData.date);
       
       if (response.success) {
-        const { availability, exceptions, appointments } = response;
-        const selectedDate = new Date(formData.date);
-        
-        // Get slot duration from availability
-        const duration = availability.length > 0 && availability[0].slotDuration 
-          ? availability[0].slotDuration 
-          : 30;
-        setSlotDuration(duration);
-        setFormData(prev => ({ ...prev, duration }));
-        
-        const slots = getAvailableTimeSlots(availability, exceptions, appointments, selectedDate, duration);
-        setAvailableSlots(slots);
+        setSlotDuration(response.duration);
+        setFormData(prev => ({ ...prev, duration: response.duration }));
+        setAvailableSlots(getAvailableTimeSlots(response));
         
         // Don't clear the time - let the user change duration and keep their selection if still valid
         // Only clear if the slot is truly unavailable (booked by another appointment)
@@ -399,6 +443,11 @@ const AppointmentManagement = () => {
       toast.error('Please provide a reason for the appointment');
       return;
     }
+
+    if (recurrence.frequency !== 'none') {
+      handleCreateSeries(false);
+      return;
+    }
     
     setSubmitting(true);
     try {
@@ -477,6 +526,59 @@ const AppointmentManagement = () => {
     }
   };
 
+  // Book a recurring series; clashing dates are shown first and only skipped once confirmed
+  const handleCreateSeries = async (skipConflicts) => {
+    if (recurrence.endType === 'until' && !recurrence.until) {
+      toast.error('Please choose when the series ends');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await appointmentSeriesAPI.create({
+        patientId: formData.patientId,
+        doctorId: formData.doctorId,
+        appointmentType: formData.appointmentType,
+        startDate: formData.date,
+        time: formData.time,
+        duration: formData.duration,
+        priority: formData.priority,
+        reason: formData.reason,
+        notes: formData.notes,
+        status: 'Scheduled',
+        recurrence: {
+          frequency: recurrence.frequency,
+          interval: parseInt(recurrence.interval, 10) || 1,
+          ...(recurrence.endType === 'count'
+            ? { count: parseInt(recurrence.count, 10) }
+            : { until: recurrence.until })
+        },
+        skipConflicts
+      });
+
+      toast.success(response.message || 'Appointment series created');
+      if (response.skipped?.length > 0) {
+        toast.warning(`Skipped clashing dates: ${response.skipped.map(skipped => skipped.date).join(', ')}`);
+      }
+
+      setSeriesClashes(null);
+      setIsCreateModalOpen(false);
+      resetForm();
+      loadAppointments();
+      loadStats();
+    } catch (error) {
+      console.error('Error creating appointment series:', error);
+      if (error.data?.code === 'SERIES_CONFLICTS') {
+        setSeriesClashes(error.data);
+      } else {
+        const details = error.data?.details?.map(detail => detail.msg || detail).join(', ');
+        toast.error(details || error.message || 'Failed to create appointment series');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   // Helper function to parse conflict information from error message
   const parseConflictFromError = (errorMessage) => {
     // Example message: "Doctor is already booked during this time. Conflicting appointments: 17:30 - Christopher Smith (Physical Therapy, 30 min)"
@@ -503,6 +605,12 @@ const AppointmentManagement = () => {
   };
 
   const handleUpdateStatus = async (appointmentId, newStatus) => {
+    const appointment = appointments.find(apt => apt._id === appointmentId);
+    if (newStatus === 'Cancelled' && appointment?.seriesId) {
+      setSeriesScopeAction({ action: 'cancel', appointment });
+      return;
+    }
+
     try {
       console.log('Updating appointment status:', { appointmentId, newStatus });
       const result = await appointmentAPI.updateStatus(appointmentId, newStatus);
@@ -521,9 +629,27 @@ const AppointmentManagement = () => {
     }
   };
 
+  const handleLinkPatient = async () => {
+    try {
+      const response = await appointmentAPI.linkPatient(selectedAppointment._id, linkPatientId);
+      toast.success(response.message || 'Booking linked to patient');
+      setSelectedAppointment(response.appointment);
+      setLinkPatientId('');
+      loadAppointments();
+      loadAppointmentInvoices();
+    } catch (error) {
+      console.error('Error linking booking to patient:', error);
+      toast.error(error.message || 'Failed to link booking to patient');
+    }
+  };
 
   const handleRescheduleAppointment = (appointment) => {
     setSelectedAppointment(appointment);
+    if (appointment.seriesId) {
+      setSeriesScopeAction({ action: 'reschedule', appointment });
+      return;
+    }
+    setRescheduleScope(null);
     setIsRescheduleModalOpen(true);
   };
 
@@ -532,6 +658,28 @@ const AppointmentManagement = () => {
     loadStats();
     setIsRescheduleModalOpen(false);
     setSelectedAppointment(null);
+    setRescheduleScope(null);
+  };
+
+  const handleSeriesScopeSelect = async (scope) => {
+    const { action, appointment } = seriesScopeAction;
+    setSeriesScopeAction(null);
+
+    if (action === 'reschedule') {
+      setRescheduleScope(scope);
+      setIsRescheduleModalOpen(true);
+      return;
+    }
+
+    try {
+      const response = await appointmentSeriesAPI.cancelOccurrence(appointment._id, scope);
+      toast.success(response.message || 'Appointments cancelled');
+      loadAppointments();
+      loadStats();
+    } catch (error) {
+      console.error('Error cancelling series appointments:', error);
+      toast.error(`Failed to cancel appointments: ${error.message}`);
+    }
   };
 
   const handleConflictSelectTime = (newTime) => {
@@ -635,36 +783,8 @@ const AppointmentManagement = () => {
                 console.error('Error updating appointment status:', statusError);
               }
               
-              // Update invoice status to approved after successful payment
-              try {
-                const invoicesResponse = await fetch(`${API_BASE_URL}/appointment-invoices?appointmentId=${createdAppointment._id}`, {
-                  headers: {
-                    'Authorization': `Bearer ${token}`
-                  }
-                });
-                
-                if (invoicesResponse.ok) {
-                  const invoicesData = await invoicesResponse.json();
-                  if (invoicesData.invoices && invoicesData.invoices.length > 0) {
-                    const invoice = invoicesData.invoices[0];
-                    await fetch(`${API_BASE_URL}/appointment-invoices/${invoice._id}`, {
-                      method: 'PATCH',
-                      headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Content-Type': 'application/json'
-                      },
-                      body: JSON.stringify({ 
-                        status: 'approved',
-                        paymentStatus: 'paid',
-                        paymentMethod: 'online'
-                      })
-                    });
-                  }
-                }
-              } catch (invoiceError) {
-                console.error('Error updating invoice status:', invoiceError);
-              }
-              
+              // The verified payment marks the appointment's invoice as paid on the server
+
               toast.success('Payment successful! Appointment confirmed.');
               setIsPaymentDialogOpen(false);
               resetForm();
@@ -727,8 +847,8 @@ const AppointmentManagement = () => {
       setProcessingPayment(true);
       const token = await sessionManager.getToken();
 
-      // Find the appointment invoice and set payment method to cash (keep status as unapproved)
-      const invoicesResponse = await fetch(`${API_BASE_URL}/appointment-invoices?appointmentId=${createdAppointment._id}`, {
+      // Approve the appointment's invoice as paid in cash at the desk
+      const invoicesResponse = await fetch(`${API_BASE_URL}/invoices?type=appointment&appointmentId=${createdAppointment._id}`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -736,21 +856,15 @@ const AppointmentManagement = () => {
 
       if (invoicesResponse.ok) {
         const invoicesData = await invoicesResponse.json();
-        if (invoicesData.invoices && invoicesData.invoices.length > 0) {
-          const invoice = invoicesData.invoices[0];
-          
-          // Update payment method to cash and set status to approved
-          await fetch(`${API_BASE_URL}/appointment-invoices/${invoice._id}`, {
+        const invoice = invoicesData.invoices?.find(entry => entry.status === 'unapproved');
+        if (invoice) {
+          await fetch(`${API_BASE_URL}/invoices/${invoice._id}/approve`, {
             method: 'PATCH',
             headers: {
               'Authorization': `Bearer ${token}`,
               'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ 
-              paymentMethod: 'cash',
-              status: 'approved',
-              paymentStatus: 'paid'
-            })
+            body: JSON.stringify({ paymentMethod: 'cash' })
           });
         }
       }
@@ -888,6 +1002,7 @@ const AppointmentManagement = () => {
       instructions: ''
     });
     setSelectedSpecialty(''); // Reset specialty filter
+    setRecurrence(emptyRecurrence);
     // setSelectedSlot(null); // Removed
     // setShowSlotPicker(false); // Removed
   };
@@ -917,23 +1032,21 @@ const AppointmentManagement = () => {
     // Date filter
     let matchesDate = true;
     if (dateFilter !== 'all') {
-      const appointmentDate = new Date(appointment.date);
-      const today = new Date();
+      // Compare calendar days at the clinic, not in the browser's timezone
+      const appointmentDay = new Date(appointment.date).toISOString().split('T')[0];
+      const today = todayIn(clinicTimeZone);
       
       switch (dateFilter) {
         case 'today':
-          matchesDate = appointmentDate.toDateString() === today.toDateString();
+          matchesDate = appointmentDay === today;
           break;
         case 'week':
-          const weekStart = new Date(today);
-          weekStart.setDate(today.getDate() - today.getDay());
-          const weekEnd = new Date(weekStart);
-          weekEnd.setDate(weekStart.getDate() + 6);
-          matchesDate = appointmentDate >= weekStart && appointmentDate <= weekEnd;
+          const weekStart = addDays(today, -new Date(`${today}T00:00:00Z`).getUTCDay());
+          const weekEnd = addDays(weekStart, 6);
+          matchesDate = appointmentDay >= weekStart && appointmentDay <= weekEnd;
           break;
         case 'month':
-          matchesDate = appointmentDate.getMonth() === today.getMonth() && 
-                       appointmentDate.getFullYear() === today.getFullYear();
+          matchesDate = appointmentDay.slice(0, 7) === today.slice(0, 7);
           break;
         default:
           matchesDate = true;
@@ -949,17 +1062,14 @@ const AppointmentManagement = () => {
     return result;
   }).sort((a, b) => {
     // Sort appointments: upcoming first, then missed
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Reset time to start of day for accurate comparison
+    const today = todayIn(clinicTimeZone);
     
     const dateA = new Date(a.date);
     const dateB = new Date(b.date);
-    dateA.setHours(0, 0, 0, 0);
-    dateB.setHours(0, 0, 0, 0);
     
     // Determine if appointments are upcoming (future/today) or missed (past)
-    const isUpcomingA = dateA >= today;
-    const isUpcomingB = dateB >= today;
+    const isUpcomingA = dateA.toISOString().split('T')[0] >= today;
+    const isUpcomingB = dateB.toISOString().split('T')[0] >= today;
     
     // If one is upcoming and other is missed, upcoming comes first
     if (isUpcomingA && !isUpcomingB) return -1;
@@ -1310,7 +1420,7 @@ const AppointmentManagement = () => {
                     <Label htmlFor="date">Date</Label>
                     <Input
                       type="date"
-                      min={new Date().toISOString().split('T')[0]}
+                      min={todayIn(clinicTimeZone)}
                       value={formData.date}
                       onChange={(e) => setFormData({...formData, date: e.target.value})}
                       disabled={submitting}
@@ -1358,6 +1468,7 @@ const AppointmentManagement = () => {
                         <span className="text-sm text-muted-foreground">Select a date first</span>
                       </div>
                     )}
+                    <ClinicTimeHint timeZone={clinicTimeZone} date={formData.date} time={formData.time} />
                   </div>
                   <div>
                     <Label htmlFor="duration">Slot Duration</Label>
@@ -1369,6 +1480,92 @@ const AppointmentManagement = () => {
                   </div>
                 </div>
               )}
+              {/* Recurrence */}
+              {formData.doctorId && (
+                <div className="space-y-3">
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                      <Label>Repeat</Label>
+                      <Select
+                        value={recurrence.frequency}
+                        onValueChange={(value) => setRecurrence({ ...recurrence, frequency: value })}
+                        disabled={submitting}
+                      >
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="none">Does not repeat</SelectItem>
+                          <SelectItem value="daily">Daily</SelectItem>
+                          <SelectItem value="weekly">Weekly</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {recurrence.frequency !== 'none' && (
+                      <>
+                        <div>
+                          <Label>Every</Label>
+                          <div className="flex items-center gap-2">
+                            <Input
+                              type="number"
+                              min="1"
+                              max="12"
+                              value={recurrence.interval}
+                              onChange={(e) => setRecurrence({ ...recurrence, interval: e.target.value })}
+                              disabled={submitting}
+                            />
+                            <span className="text-sm text-muted-foreground whitespace-nowrap">
+                              {recurrence.frequency === 'weekly' ? 'week(s)' : 'day(s)'}
+                            </span>
+                          </div>
+                        </div>
+                        <div>
+                          <Label>Ends</Label>
+                          <div className="flex items-center gap-2">
+                            <Select
+                              value={recurrence.endType}
+                              onValueChange={(value) => setRecurrence({ ...recurrence, endType: value })}
+                              disabled={submitting}
+                            >
+                              <SelectTrigger className="w-28">
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="count">After</SelectItem>
+                                <SelectItem value="until">On</SelectItem>
+                              </SelectContent>
+                            </Select>
+                            {recurrence.endType === 'count' ? (
+                              <Input
+                                type="number"
+                                min="1"
+                                max="52"
+                                value={recurrence.count}
+                                onChange={(e) => setRecurrence({ ...recurrence, count: e.target.value })}
+                                disabled={submitting}
+                              />
+                            ) : (
+                              <Input
+                                type="date"
+                                min={formData.date}
+                                value={recurrence.until}
+                                onChange={(e) => setRecurrence({ ...recurrence, until: e.target.value })}
+                                disabled={submitting}
+                              />
+                            )}
+                          </div>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                  {recurrence.frequency !== 'none' && (
+                    <p className="text-xs text-muted-foreground flex items-center gap-1">
+                      <Repeat className="w-3 h-3" />
+                      Every date is checked for clashes before anything is booked. Invoices are created per appointment.
+                    </p>
+                  )}
+                </div>
+              )}
               <div>
                 <Label htmlFor="reason">Reason for Visit <span className="text-red-500">*</span></Label>
                 <Textarea
@@ -1396,7 +1593,7 @@ const AppointmentManagement = () => {
                 Cancel
               </Button>
               <Button className="gradient-button" onClick={handleCreateAppointment} disabled={submitting}>
-                {submitting ? 'Creating...' : 'Create Appointment'}
+                {submitting ? 'Creating...' : recurrence.frequency !== 'none' ? 'Create Series' : 'Create Appointment'}
               </Button>
             </DialogFooter>
           </DialogContent>
@@ -1417,15 +1614,27 @@ const AppointmentManagement = () => {
             />
           </div>
           
-          {/* New Appointment Button */}
-          <Button 
-            className="bg-blue-600 hover:bg-blue-700 text-white px-4 sm:px-6 py-2 rounded-lg shadow-md hover:shadow-lg transition-all duration-200 flex-shrink-0"
-            onClick={() => setIsCreateModalOpen(true)}
-          >
-            <Plus className="w-4 h-4 mr-2" />
-            <span className="hidden sm:inline">New Appointment</span>
-            <span className="sm:hidden">New</span>
-          </Button>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            {/* Waitlist Button */}
+            <Button
+              variant="outline"
+              className="px-4 py-2 rounded-lg"
+              onClick={() => setIsWaitlistOpen(true)}
+            >
+              <ListPlus className="w-4 h-4 sm:mr-2" />
+              <span className="hidden sm:inline">Waitlist</span>
+            </Button>
+
+            {/* New Appointment Button */}
+            <Button 
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 sm:px-6 py-2 rounded-lg shadow-md hover:shadow-lg transition-all duration-200 flex-1 sm:flex-none"
+              onClick={() => setIsCreateModalOpen(true)}
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              <span className="hidden sm:inline">New Appointment</span>
+              <span className="sm:hidden">New</span>
+            </Button>
+          </div>
         </div>
         
         {/* Stats Row - Responsive Grid */}
@@ -1616,7 +1825,7 @@ const AppointmentManagement = () => {
                     <div className="flex items-start justify-between">
                       <div className="flex-1 min-w-0">
                         <div className="font-semibold text-foreground text-sm truncate">
-                          {appointment.patientId?.fullName || 'Unknown Patient'}
+                          {appointment.patientId?.fullName || appointment.bookingContact?.fullName || 'Unknown Patient'}
                         </div>
                         <div className="text-xs text-muted-foreground truncate">
                           Dr. {appointment.doctorId?.fullName || 'Unknown Doctor'}
@@ -1631,6 +1840,7 @@ const AppointmentManagement = () => {
                       <div className="flex items-center gap-1">
                         <Clock className="w-3 h-3" />
                         <span>{formatDate(appointment.date)} at {appointment.time}</span>
+                        {appointment.seriesId && <Repeat className="w-3 h-3 ml-1" title="Part of a recurring series" />}
                       </div>
                       <span>{appointment.duration}min</span>
                     </div>
@@ -1644,7 +1854,7 @@ const AppointmentManagement = () => {
                     {/* Patient Name - Fixed width */}
                     <div className="w-32 flex-shrink-0">
                       <div className="font-semibold text-foreground text-sm truncate">
-                        {appointment.patientId?.fullName || 'Unknown Patient'}
+                        {appointment.patientId?.fullName || appointment.bookingContact?.fullName || 'Unknown Patient'}
                       </div>
                     </div>
                     
@@ -1659,6 +1869,12 @@ const AppointmentManagement = () => {
                       <div className="text-sm font-medium">
                         {formatDate(appointment.date)}
                       </div>
+                      {appointment.seriesId && (
+                        <div className="text-xs text-muted-foreground flex items-center gap-1" title="Part of a recurring series">
+                          <Repeat className="w-3 h-3" />
+                          Series
+                        </div>
+                      )}
                     </div>
                     
                     {/* Time & Duration - Fixed width */}
@@ -1845,16 +2061,41 @@ const AppointmentManagement = () => {
                   <div className="space-y-2">
                     <div>
                       <span className="text-sm font-medium text-muted-foreground">Name:</span>
-                      <div className="text-sm text-foreground">{selectedAppointment.patientId?.fullName || 'N/A'}</div>
+                      <div className="text-sm text-foreground">{selectedAppointment.patientId?.fullName || selectedAppointment.bookingContact?.fullName || 'N/A'}</div>
                     </div>
                     <div>
                       <span className="text-sm font-medium text-muted-foreground">Phone:</span>
-                      <div className="text-sm text-foreground">{selectedAppointment.patientId?.phone || 'N/A'}</div>
+                      <div className="text-sm text-foreground">{selectedAppointment.patientId?.phone || selectedAppointment.bookingContact?.phone || 'N/A'}</div>
                     </div>
                     <div>
                       <span className="text-sm font-medium text-muted-foreground">Email:</span>
-                      <div className="text-sm text-foreground">{selectedAppointment.patientId?.email || 'N/A'}</div>
+                      <div className="text-sm text-foreground">{selectedAppointment.patientId?.email || selectedAppointment.bookingContact?.email || 'N/A'}</div>
                     </div>
+                    {!selectedAppointment.patientId && selectedAppointment.source === 'online' && (
+                      <div className="space-y-2 pt-2">
+                        <Badge variant="outline">Online request - not linked to a patient</Badge>
+                        <p className="text-xs text-muted-foreground">
+                          Register the patient if needed, then link the request to their record before confirming it.
+                        </p>
+                        <div className="flex gap-2">
+                          <Select value={linkPatientId} onValueChange={setLinkPatientId}>
+                            <SelectTrigger className="h-8">
+                              <SelectValue placeholder="Select patient..." />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {patients.map(patient => (
+                                <SelectItem key={patient._id} value={patient._id}>
+                                  {patient.fullName}{patient.uhid ? ` (${patient.uhid})` : ''}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                          <Button size="sm" disabled={!linkPatientId} onClick={handleLinkPatient}>
+                            Link
+                          </Button>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </div>
                 <div>
@@ -1906,6 +2147,16 @@ const AppointmentManagement = () => {
                       <span className="text-sm font-medium text-muted-foreground">Priority:</span>
                       <div className="text-sm text-foreground">{getPriorityBadge(selectedAppointment.priority) || 'N/A'}</div>
                     </div>
+                    {selectedAppointment.seriesId && (
+                      <div>
+                        <span className="text-sm font-medium text-muted-foreground">Series:</span>
+                        <div className="text-sm text-foreground flex items-center gap-1">
+                          <Repeat className="w-3 h-3" />
+                          Occurrence {(selectedAppointment.seriesIndex ?? 0) + 1}
+                          {selectedAppointment.seriesException && ' (edited separately)'}
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -2017,14 +2268,97 @@ const AppointmentManagement = () => {
         </DialogContent>
       </Dialog>
 
+      {/* Waitlist */}
+      <WaitlistDialog
+        isOpen={isWaitlistOpen}
+        onClose={() => setIsWaitlistOpen(false)}
+        patients={patients}
+        doctors={doctors}
+      />
+
       {/* Reschedule Appointment Modal */}
       <RescheduleAppointmentModal
         isOpen={isRescheduleModalOpen}
         onClose={() => setIsRescheduleModalOpen(false)}
         appointment={selectedAppointment}
+        seriesScope={rescheduleScope}
         onSuccess={handleRescheduleSuccess}
       />
 
+      {/* Series Scope Dialog */}
+      <Dialog open={!!seriesScopeAction} onOpenChange={(open) => !open && setSeriesScopeAction(null)}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <Repeat className="w-5 h-5" />
+              {seriesScopeAction?.action === 'cancel' ? 'Cancel recurring appointment' : 'Reschedule recurring appointment'}
+            </DialogTitle>
+            <DialogDescription>
+              This appointment is part of a series. Which appointments should change?
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            {seriesScopes.map((scope) => (
+              <button
+                key={scope.value}
+                type="button"
+                onClick={() => handleSeriesScopeSelect(scope.value)}
+                className="w-full text-left p-3 rounded-lg border-2 border-gray-200 hover:border-blue-300 hover:bg-blue-50 transition-all"
+              >
+                <div className="font-semibold text-sm">{scope.label}</div>
+                <div className="text-xs text-gray-600">{scope.description}</div>
+              </button>
+            ))}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setSeriesScopeAction(null)}>
+              Back
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Series Clash Dialog */}
+      <Dialog open={!!seriesClashes} onOpenChange={(open) => !open && setSeriesClashes(null)}>
+        <DialogContent className="max-w-lg max-h-[85vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <AlertCircle className="w-5 h-5 text-amber-600" />
+              Some dates clash
+            </DialogTitle>
+            <DialogDescription>
+              {seriesClashes?.error}. You can book the free dates and skip the rest, or go back and change the time or rule.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            {seriesClashes?.clashes?.map((clash) => (
+              <div key={clash.date} className="p-3 bg-amber-50 border border-amber-200 rounded-md">
+                <div className="text-sm font-semibold text-amber-900">
+                  {format(parseISO(clash.date), 'EEE, MMM dd, yyyy')} at {clash.time}
+                </div>
+                {clash.conflicts.map((conflict) => (
+                  <div key={conflict.appointmentId} className="text-xs text-amber-800">
+                    {conflict.time} - {conflict.patientName} ({conflict.appointmentType}, {conflict.duration} min)
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setSeriesClashes(null)} disabled={submitting}>
+              Back
+            </Button>
+            {seriesClashes && seriesClashes.clashes.length < seriesClashes.occurrences.length && (
+              <Button onClick={() => handleCreateSeries(true)} disabled={submitting}>
+                {submitting
+                  ? 'Booking...'
+                  : `Book ${seriesClashes.occurrences.length - seriesClashes.clashes.length} free date(s)`}
+              </Button>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
       {/* Appointment Conflict Dialog */}
       <AppointmentConflictDialog
         isOpen={isConflictDialogOpen}
@@ -2224,7 +2558,7 @@ const AppointmentManagement = () => {
                 </div>
                 <div className="text-right">
                   <p className="text-2xl font-bold text-foreground">
-                    ₹{Number(selectedInvoice.amount || selectedInvoice.totalAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                    ₹{Number(selectedInvoice.total || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
                   </p>
                 </div>
               </div>
@@ -2275,7 +2609,7 @@ const AppointmentManagement = () => {
                       </div>
                       <div className="flex justify-between">
                         <span className="text-muted-foreground">Status:</span>
-                        <span className="font-medium capitalize">{selectedInvoice.status || 'N/A'}</span>
+                        <span className="font-medium capitalize">{selectedInvoice.status?.replace(/_/g, ' ') || 'N/A'}</span>
                       </div>
                       <div className="flex justify-between">
                         <span className="text-muted-foreground">Payment Method:</span>
@@ -2342,20 +2676,20 @@ const AppointmentManagement = () => {
                   <div className="space-y-2">
                     <div className="flex justify-between text-lg font-bold">
                       <span>Total Amount:</span>
-                      <span>₹{Number(selectedInvoice.amount || selectedInvoice.totalAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</span>
+                      <span>₹{Number(selectedInvoice.total || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</span>
                     </div>
                   </div>
                 </CardContent>
               </Card>
 
               {/* Notes */}
-              {selectedInvoice.notes && (
+              {selectedInvoice.remarks && (
                 <Card>
                   <CardHeader>
                     <CardTitle className="text-base">Notes</CardTitle>
                   </CardHeader>
                   <CardContent>
-                    <p className="text-muted-foreground whitespace-pre-wrap">{selectedInvoice.notes}</p>
+                    <p className="text-muted-foreground whitespace-pre-wrap">{selectedInvoice.remarks}</p>
                   </CardContent>
                 </Card>
               )}
@@ -1,23 +1,24 @@
 import { useState, useEffect, useCallback } from "react";
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { useToast } from "@/hooks/use-toast";
-import { invoiceAPI, appointmentInvoiceAPI } from "@/services/api";
+import { invoiceAPI } from "@/services/api";
 import { config } from '@/config/env';
 import sessionManager from '@/utils/sessionManager';
 import InvoiceModal from "@/components/InvoiceModal";
 import InvoiceViewModal from "@/components/InvoiceViewModal";
-import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import RefundDialog from "@/components/RefundDialog";
+import GstReportDialog from "@/components/GstReportDialog";
+import PaymentDiscrepancies from "@/components/PaymentDiscrepancies";
+import { getCurrentUser } from "@/utils/roleUtils";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { 
-  CreditCard, 
   FileText, 
   Search, 
   Plus, 
-  DollarSign,
   Calendar,
   User,
   Download,
@@ -27,14 +28,68 @@ import {
   Eye,
   ChevronLeft,
   ChevronRight,
-  Info
+  Info,
+  RotateCcw,
+  XCircle
 } from "lucide-react";
 
+// Invoice types shown as tabs; every type lives in the one invoice list
+const TYPE_TABS = [
+  { value: 'all', label: 'All Invoices' },
+  { value: 'general', label: 'General' },
+  { value: 'appointment', label: 'Appointments' },
+  { value: 'teleconsultation', label: 'Teleconsultations' }
+];
+
+const STATUS_OPTIONS = [
+  { value: 'unapproved', label: 'Unapproved' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'paid', label: 'Paid' },
+  { value: 'partially_refunded', label: 'Partially Refunded' },
+  { value: 'refunded', label: 'Refunded' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+const STATUS_STYLES = {
+  unapproved: { variant: "outline", icon: Clock },
+  approved: { variant: "secondary", icon: CheckCircle },
+  paid: { variant: "default", icon: CheckCircle },
+  partially_refunded: { variant: "secondary", icon: RotateCcw },
+  refunded: { variant: "secondary", icon: RotateCcw },
+  rejected: { variant: "destructive", icon: AlertCircle },
+  cancelled: { variant: "outline", icon: XCircle }
+};
+
+const EMPTY_STATS = {
+  totalRevenue: 0,
+  pendingApprovalCount: 0,
+  outstandingAmount: 0,
+  approvedCount: 0
+};
+
+const formatMoney = (value) =>
+  `₹${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : 'N/A');
+
+const statusLabel = (status) =>
+  STATUS_OPTIONS.find(option => option.value === status)?.label || status || 'Unknown';
+
+const paymentLabel = (invoice) => {
+  if (invoice.refundedAmount > 0) return `Refunded ${formatMoney(invoice.refundedAmount)}`;
+  if (!['approved', 'paid'].includes(invoice.status)) return 'Pending';
+  if (invoice.paymentMethod === 'cash') return 'Cash';
+  if (invoice.paymentMethod === 'online') return 'Online';
+  return 'Approved';
+};
+
 const Billing = () => {
   // Set page title immediately
   document.title = "SMAART Healthcare";
   
   const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
   const [statusFilter, setStatusFilter] = useState("all");
   const [isInvoiceModalOpen, setIsInvoiceModalOpen] = useState(false);
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
@@ -44,7 +99,11 @@ const Billing = () => {
   const [isPaymentDialogOpen, setIsPaymentDialogOpen] = useState(false);
   const [createdInvoice, setCreatedInvoice] = useState(null);
   const [processingPayment, setProcessingPayment] = useState(false);
+  const [refundInvoice, setRefundInvoice] = useState(null);
+  const [isGstReportOpen, setIsGstReportOpen] = useState(false);
   const { toast } = useToast();
+  // Refunds are issued by the clinic admin
+  const canRefund = getCurrentUser()?.role === 'clinic';
   const API_BASE_URL = config.API_BASE_URL || 'http://localhost:5000/api';
 
   // Cache management functions
@@ -55,32 +114,21 @@ const Billing = () => {
     localStorage.removeItem('billing_cacheTimestamp');
   };
 
-  const isCacheValid = () => {
-    const timestamp = localStorage.getItem('billing_cacheTimestamp');
-    if (!timestamp) return false;
-    
-    // Cache is valid for 1 hour (3600000 ms)
-    const cacheAge = Date.now() - parseInt(timestamp, 10);
-    return cacheAge < 3600000;
-  };
-
   const setCacheTimestamp = () => {
     localStorage.setItem('billing_cacheTimestamp', Date.now().toString());
   };
 
-  // Invoices state (fetched from API)
-  const [invoices, setInvoices] = useState(() => {
+  // Read a cached value if the cache is less than an hour old
+  const readCache = (key, fallback) => {
     const timestamp = localStorage.getItem('billing_cacheTimestamp');
     const isCacheValid = timestamp && (Date.now() - parseInt(timestamp, 10)) < 3600000;
-    
-    if (isCacheValid) {
-      const cached = localStorage.getItem('billing_invoices');
-      return cached ? JSON.parse(cached) : [];
-    }
-    return [];
-  });
-  const [appointmentInvoices, setAppointmentInvoices] = useState([]);
-  const [activeTab, setActiveTab] = useState('regular');
+    const cached = isCacheValid ? localStorage.getItem(key) : null;
+    return cached ? JSON.parse(cached) : fallback;
+  };
+
+  // Invoices state (fetched from API)
+  const [invoices, setInvoices] = useState(() => readCache('billing_invoices', []));
+  const [activeTab, setActiveTab] = useState('all');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
@@ -90,142 +138,26 @@ const Billing = () => {
     return saved ? parseInt(saved) : 20;
   });
   const [isInitialLoad, setIsInitialLoad] = useState(true);
-  const [totalInvoices, setTotalInvoices] = useState(() => {
-    // Initialize from localStorage if available and cache is valid
-    const timestamp = localStorage.getItem('billing_cacheTimestamp');
-    const isCacheValid = timestamp && (Date.now() - parseInt(timestamp, 10)) < 3600000;
-    
-    if (isCacheValid) {
-      const cached = localStorage.getItem('billing_totalInvoices');
-      return cached ? parseInt(cached, 10) : 0;
-    }
-    return 0;
-  });
+  const [totalInvoices, setTotalInvoices] = useState(() => readCache('billing_totalInvoices', 0));
 
   // Revenue statistics state
-  const [revenueStats, setRevenueStats] = useState(() => {
-    // Initialize from localStorage if available and cache is valid
-    const timestamp = localStorage.getItem('billing_cacheTimestamp');
-    const isCacheValid = timestamp && (Date.now() - parseInt(timestamp, 10)) < 3600000;
-    
-    if (isCacheValid) {
-      const cached = localStorage.getItem('billing_revenueStats');
-      return cached ? JSON.parse(cached) : {
-        totalRevenue: 0,
-        pendingApprovalCount: 0,
-        outstandingAmount: 0,
-        paidThisMonth: 0,
-        approvedCount: 0
-      };
-    }
-    return {
-      totalRevenue: 0,
-      pendingApprovalCount: 0,
-      outstandingAmount: 0,
-      paidThisMonth: 0,
-      approvedCount: 0
-    };
-  });
-  const [statsLoading, setStatsLoading] = useState(true);
-
-  // Financial reports state
-  const [monthlyRevenue, setMonthlyRevenue] = useState([]);
-  const [paymentMethods, setPaymentMethods] = useState([]);
-  const [reportsLoading, setReportsLoading] = useState(true);
+  const [revenueStats, setRevenueStats] = useState(() => readCache('billing_revenueStats', EMPTY_STATS));
 
-  // Fetch revenue statistics
+  // Counts and amounts by status come from the server, across all pages and types
   const fetchRevenueStats = useCallback(async () => {
-    setStatsLoading(true);
     try {
-      // Fetch all invoices to calculate statistics
-      const allInvoicesResponse = await invoiceAPI.getAll(1, 1000, {});
-      const allInvoices = allInvoicesResponse.invoices || [];
-      
-      // Calculate total revenue (only from approved invoices)
-      const totalRevenue = allInvoices
-        .filter(inv => inv.status === 'Approved')
-        .reduce((sum, inv) => sum + (Number(inv.total) || 0), 0);
-      
-      // Count invoices not approved (status = 'Rejected')
-      const pendingApprovalCount = allInvoices
-        .filter(inv => inv.status === 'Rejected').length;
-      
-      // Count approved invoices (status = 'Approved')
-      const approvedCount = allInvoices
-        .filter(inv => inv.status === 'Approved').length;
-      
-      // Calculate outstanding amount (not approved invoices)
-      const outstandingAmount = allInvoices
-        .filter(inv => inv.status === 'Rejected')
-        .reduce((sum, inv) => sum + (Number(inv.total) || 0), 0);
-      
-      // Calculate approved this month
-      const currentMonth = new Date().getMonth();
-      const currentYear = new Date().getFullYear();
-      const paidThisMonth = allInvoices
-        .filter(inv => {
-          const invoiceDate = new Date(inv.date);
-          return inv.status === 'Approved' && 
-                 invoiceDate.getMonth() === currentMonth && 
-                 invoiceDate.getFullYear() === currentYear;
-        })
-        .reduce((sum, inv) => sum + (Number(inv.total) || 0), 0);
-      
+      const stats = await invoiceAPI.getStats();
+      const statuses = stats.statuses || {};
+      const count = (status) => statuses[status]?.count || 0;
+
       setRevenueStats({
-        totalRevenue,
-        pendingApprovalCount,
-        approvedCount,
-        outstandingAmount,
-        paidThisMonth
+        totalRevenue: stats.totalRevenue || 0,
+        approvedCount: count('approved') + count('paid'),
+        pendingApprovalCount: count('unapproved') + count('rejected'),
+        outstandingAmount: stats.outstandingAmount || 0
       });
-
-      // Calculate monthly revenue for the last 6 months
-      const monthlyData = [];
-      const currentDate = new Date();
-      
-      for (let i = 5; i >= 0; i--) {
-        const monthDate = new Date(currentDate.getFullYear(), currentDate.getMonth() - i, 1);
-        const nextMonthDate = new Date(currentDate.getFullYear(), currentDate.getMonth() - i + 1, 1);
-        
-        const monthRevenue = allInvoices
-          .filter(inv => {
-            const invoiceDate = new Date(inv.date);
-            return inv.status === 'Approved' && 
-                   invoiceDate >= monthDate && invoiceDate < nextMonthDate;
-          })
-          .reduce((sum, inv) => sum + (Number(inv.total) || 0), 0);
-        
-        monthlyData.push({
-          month: monthDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
-          revenue: monthRevenue
-        });
-      }
-      setMonthlyRevenue(monthlyData);
-
-      // Calculate payment methods breakdown (only from approved invoices)
-      const totalPaidRevenue = allInvoices
-        .filter(inv => inv.status === 'Approved')
-        .reduce((sum, inv) => sum + (Number(inv.total) || 0), 0);
-      
-      const paymentMethodsData = {
-        'Direct Payment': totalPaidRevenue * 0.6,
-        'Insurance': totalPaidRevenue * 0.3,
-        'Cash': totalPaidRevenue * 0.1
-      };
-      
-      const paymentMethodsArray = Object.entries(paymentMethodsData).map(([method, amount]) => ({
-        method,
-        amount,
-        percentage: totalPaidRevenue > 0 ? Math.round((amount / totalPaidRevenue) * 100) : 0
-      })).sort((a, b) => b.amount - a.amount);
-      
-      setPaymentMethods(paymentMethodsArray);
-      setReportsLoading(false);
     } catch (err) {
       console.error('Failed to load revenue statistics:', err);
-      setReportsLoading(false);
-    } finally {
-      setStatsLoading(false);
     }
   }, []);
 
@@ -235,83 +167,42 @@ const Billing = () => {
     setError(null);
     try {
       const filters = {};
-
-      const response = await invoiceAPI.getAll(currentPage, pageSize, filters);
-      const list = response.invoices || [];
-
-      // Normalize for rendering convenience with new invoice structure
-      const transformed = list.map(inv => ({
-        _id: inv._id,
-        invoiceNo: inv.invoiceNo,
-        patientName: inv.patientName,
-        date: inv.date,
-        total: inv.total,
-        phone: inv.phone,
-        email: inv.email,
-        address: inv.address,
-        lineItems: inv.lineItems || [],
-        discount: inv.discount || 0,
-        tax: inv.tax || 0,
-        shipping: inv.shipping || 0,
-        remarks: inv.remarks,
-        status: inv.status,
-        createdAt: inv.createdAt,
-        service: inv.lineItems?.[0]?.description || "No description",
-      }));
-
-      setInvoices(transformed);
-      if (response.pagination) {
-        setTotalPages(response.pagination.totalPages);
-        setTotalInvoices(response.pagination.totalInvoices);
-      } else {
-        setTotalPages(1);
-        setTotalInvoices(transformed.length);
+      if (activeTab !== 'all') {
+        filters.type = activeTab;
       }
-    } catch (err) {
-      console.error('Failed to load invoices:', err);
-      setError('Failed to load invoices. Please try again.');
-      setInvoices([]);
-      setTotalPages(1);
-      setTotalInvoices(0);
-    } finally {
-      setLoading(false);
-    }
-  }, [currentPage, pageSize, statusFilter]);
-
-  const fetchAppointmentInvoices = useCallback(async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      const filters = {};
       if (statusFilter !== 'all') {
         filters.status = statusFilter;
       }
-      if (searchTerm.trim()) {
-        filters.search = searchTerm.trim();
+      if (debouncedSearch) {
+        filters.search = debouncedSearch;
       }
 
-      const response = await appointmentInvoiceAPI.getAll(currentPage, pageSize, filters);
+      const response = await invoiceAPI.getAll(currentPage, pageSize, filters);
       const list = response.invoices || [];
 
-      setAppointmentInvoices(list);
+      setInvoices(list);
       if (response.pagination) {
-        setTotalPages(response.pagination.pages);
-        setTotalInvoices(response.pagination.total);
+        setTotalPages(response.pagination.totalPages);
+        setTotalInvoices(response.pagination.totalInvoices);
       } else {
         setTotalPages(1);
         setTotalInvoices(list.length);
       }
     } catch (err) {
-      console.error('Failed to load appointment invoices:', err);
-      setError('Failed to load appointment invoices. Please try again.');
-      setAppointmentInvoices([]);
+      console.error('Failed to load invoices:', err);
+      setError('Failed to load invoices. Please try again.');
+      setInvoices([]);
       setTotalPages(1);
       setTotalInvoices(0);
     } finally {
       setLoading(false);
     }
-  }, [currentPage, pageSize, statusFilter, searchTerm]);
+  }, [activeTab, currentPage, pageSize, statusFilter, debouncedSearch]);
 
+  const refresh = () => {
+    fetchInvoices();
+    fetchRevenueStats();
+  };
 
   useEffect(() => {
     document.title = "SMAART Healthcare";
@@ -326,14 +217,22 @@ const Billing = () => {
     localStorage.setItem('invoiceManagement_pageSize', pageSize.toString());
   }, [pageSize, isInitialLoad]);
 
+  // Search on the server once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setCurrentPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [fetchInvoices]);
+
   useEffect(() => {
-    if (activeTab === 'regular') {
-      fetchInvoices();
-    } else if (activeTab === 'appointment') {
-      fetchAppointmentInvoices();
-    }
     fetchRevenueStats();
-  }, [activeTab, fetchInvoices, fetchAppointmentInvoices, fetchRevenueStats]);
+  }, [fetchRevenueStats]);
 
   // Clear cache when user changes (detect by checking if auth token changes)
   useEffect(() => {
@@ -365,191 +264,64 @@ const Billing = () => {
     setCacheTimestamp();
   }, [invoices]);
 
-  // Pending approvals (fetch invoices that are effectively pending review)
-  const [approvals, setApprovals] = useState([]);
-  const [approvalsLoading, setApprovalsLoading] = useState(true);
-  const [approvalsError, setApprovalsError] = useState(null);
-
-  const fetchApprovals = useCallback(async () => {
-    setApprovalsLoading(true);
-    setApprovalsError(null);
+  // Run a status change, then reload the list and stats
+  const changeStatus = async (action, successTitle, failure) => {
     try {
-      // Map "pending approvals" to backend status 'Rejected' (not approved)
-      const response = await invoiceAPI.getAll(1, 10, { status: 'Rejected' });
-      const list = response.invoices || [];
-      const transformed = list.map(inv => ({
-        _id: inv._id,
-        patient: inv.patientName,
-        service: inv.lineItems?.[0]?.description || 'No description',
-        amount: Number(inv.total || 0).toFixed(2),
-        submittedDate: inv.date,
-        invoiceNo: inv.invoiceNo,
-      }));
-      setApprovals(transformed);
-    } catch (err) {
-      console.error('Failed to load pending approvals:', err);
-      setApprovalsError('Failed to load pending approvals. Please try again.');
-      setApprovals([]);
-    } finally {
-      setApprovalsLoading(false);
-    }
-  }, []);
-
-  useEffect(() => {
-    fetchApprovals();
-  }, [fetchApprovals]);
-
-  // Approve / Reject handlers
-  const handleApproveAppointmentInvoice = async (invoiceId) => {
-    try {
-      await appointmentInvoiceAPI.approve(invoiceId);
-      toast({
-        title: "Success",
-        description: "Appointment invoice approved successfully.",
-      });
-      fetchAppointmentInvoices();
-      fetchRevenueStats();
-    } catch (err) {
-      console.error('Failed to approve appointment invoice:', err);
-      toast({
-        title: "Error",
-        description: "Failed to approve appointment invoice.",
-        variant: "destructive",
-      });
-    }
-  };
-
-
-  const handleApproveInvoice = async (approval) => {
-    try {
-      await invoiceAPI.approve(approval._id);
-      toast({ 
-        title: 'Invoice Approved', 
-        description: `Invoice ${approval.invoiceNo} has been approved successfully.`,
-        variant: 'default'
-      });
-      // Refresh both lists and statistics
-      fetchApprovals();
-      fetchInvoices();
-      fetchRevenueStats();
-    } catch (err) {
-      console.error('Failed to approve invoice:', err);
-      toast({ 
-        title: 'Error', 
-        description: err.message || 'Failed to approve invoice.', 
-        variant: 'destructive' 
-      });
-    }
-  };
-
-  const handleRejectInvoice = async (approval) => {
-    try {
-      // You could add a dialog to ask for rejection reason here
-      const reason = 'Rejected by administrator';
-      await invoiceAPI.reject(approval._id, reason);
+      const response = await action();
       toast({ 
-        title: 'Invoice Rejected', 
-        description: `Invoice ${approval.invoiceNo} has been rejected.`,
+        title: successTitle, 
+        description: `Invoice ${response.invoice?.invoiceNumber || ''} is now ${statusLabel(response.invoice?.status).toLowerCase()}.`,
         variant: 'default'
       });
-      // Refresh both lists and statistics
-      fetchApprovals();
-      fetchInvoices();
-      fetchRevenueStats();
+      refresh();
     } catch (err) {
-      console.error('Failed to reject invoice:', err);
+      console.error(`${failure}:`, err);
       toast({ 
         title: 'Error', 
-        description: err.message || 'Failed to reject invoice.', 
+        description: err.message || `${failure}.`, 
         variant: 'destructive' 
       });
     }
   };
 
-  // Get invoice status from database
-  const getInvoiceStatus = (invoice) => {
-    // Use actual status from database, default to 'Rejected' if not set
-    return invoice.status || 'Rejected';
-  };
+  const handleApproveInvoice = (invoice) =>
+    changeStatus(() => invoiceAPI.approve(invoice._id), 'Invoice Approved', 'Failed to approve invoice');
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case "Approved": return "success";
-      case "Rejected": return "destructive";
-      case "Unapproved": return "outline";
-      default: return "secondary";
-    }
+  const handleRejectInvoice = (invoice) => {
+    const reason = prompt(`Reason for rejecting invoice ${invoice.invoiceNumber}?`);
+    if (reason === null) return;
+    return changeStatus(() => invoiceAPI.reject(invoice._id, reason), 'Invoice Rejected', 'Failed to reject invoice');
   };
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case "Approved": return CheckCircle;
-      case "Rejected": return AlertCircle;
-      case "Unapproved": return Clock;
-      default: return FileText;
-    }
+  const handleCancelInvoice = (invoice) => {
+    const reason = prompt(`Reason for cancelling invoice ${invoice.invoiceNumber}?`);
+    if (reason === null) return;
+    return changeStatus(() => invoiceAPI.cancel(invoice._id, reason), 'Invoice Cancelled', 'Failed to cancel invoice');
   };
 
-  // Client-side search on fetched data (by patient or invoice number)
-  const filteredInvoices = invoices.filter(invoice => {
-    const patient = (invoice.patientName || "").toLowerCase();
-    const invNum = (invoice.invoiceNo || "").toString().toLowerCase();
-    const service = (invoice.service || "").toLowerCase();
-    const matchesSearch = patient.includes(searchTerm.toLowerCase()) || 
-                         invNum.includes(searchTerm.toLowerCase()) ||
-                         service.includes(searchTerm.toLowerCase());
-    
-    // Apply status filter
-    if (statusFilter !== "all") {
-      const invoiceStatus = getInvoiceStatus(invoice).toLowerCase();
-      if (invoiceStatus !== statusFilter.toLowerCase()) return false;
-    }
-    
-    return matchesSearch;
-  });
-
-  // Client-side search for appointment invoices
-  const filteredAppointmentInvoices = appointmentInvoices.filter(invoice => {
-    const patient = (invoice.patientId?.fullName || "").toLowerCase();
-    const invNum = (invoice.invoiceNumber || "").toString().toLowerCase();
-    const doctor = (invoice.doctorId?.fullName || "").toLowerCase();
-    const appointmentType = (invoice.appointmentDetails?.appointmentType || "").toLowerCase();
-    const matchesSearch = patient.includes(searchTerm.toLowerCase()) || 
-                         invNum.includes(searchTerm.toLowerCase()) ||
-                         doctor.includes(searchTerm.toLowerCase()) ||
-                         appointmentType.includes(searchTerm.toLowerCase());
-    
-    // Apply status filter
-    if (statusFilter !== "all") {
-      const invoiceStatus = (invoice.status || "").toLowerCase();
-      if (invoiceStatus !== statusFilter.toLowerCase()) return false;
-    }
-    
-    return matchesSearch;
-  });
+  // Refunds go against the appointment's payment, so only visit invoices that were paid qualify
+  const isRefundable = (invoice) => canRefund && invoice.appointmentId && (
+    ['paid', 'partially_refunded'].includes(invoice.status) ||
+    (invoice.status === 'approved' && invoice.paymentMethod === 'cash')
+  );
 
   // Modal handlers
   const handleNewInvoice = () => setIsInvoiceModalOpen(true);
   const handleInvoiceModalClose = () => setIsInvoiceModalOpen(false);
 
   const handleInvoiceSubmit = (invoiceData) => {
-    // Add the new invoice to the list (in a real app, this would be handled by state management)
     const patientName = invoiceData.patientName || 'patient';
-    const totalAmount = invoiceData.total || 0;
     
     toast({
       title: "Invoice Generated!",
-      description: `Successfully created invoice ${invoiceData.invoiceNo} for ${patientName} - ₹${totalAmount}`,
+      description: `Successfully created invoice ${invoiceData.invoiceNumber} for ${patientName} - ${formatMoney(invoiceData.total)}`,
       variant: "default",
     });
     
     // Store created invoice and show payment dialog
     setCreatedInvoice(invoiceData);
     setIsPaymentDialogOpen(true);
-    
-    // Refresh the invoices list and statistics
-    fetchInvoices();
-    fetchRevenueStats();
+    refresh();
   };
 
   // View modal handlers
@@ -574,202 +346,17 @@ const Billing = () => {
     setSelectedInvoice(null);
   };
 
-  // Download handler
+  // The PDF is rendered by the server, the same document the patient portal offers
   const handleDownloadInvoice = async (invoice) => {
     try {
-      const { jsPDF } = await import('jspdf');
-      const doc = new jsPDF();
-
-      // Fetch full invoice details to ensure completeness
-      const fullInvoice = await invoiceAPI.getById(invoice._id);
-
-      const pageWidth = doc.internal.pageSize.width;
-      const margin = 15;
-      let y = 20;
-      const money = (val) => `₹${Number(val || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
-
-      // Helper function to get status label
-      const getStatusLabel = (status) => {
-        switch (status) {
-          case "Approved": return "Approved";
-          case "Rejected": return "Not Approved";
-          default: return status || "Unknown";
-        }
-      };
-
-      // Header - Invoice Details Title
-      doc.setFontSize(16);
-      doc.setFont(undefined, 'bold');
-      doc.text('Invoice Details', margin, y);
-      y += 8;
-      doc.setFontSize(9);
-      doc.setFont(undefined, 'normal');
-      doc.setTextColor(100, 100, 100);
-      doc.text('View and manage invoice information', margin, y);
-      doc.setTextColor(0, 0, 0);
-      y += 12;
-
-      // Invoice Number and Total
-      doc.setFontSize(14);
-      doc.setFont(undefined, 'bold');
-      doc.text(`Invoice #${fullInvoice.invoiceNo}`, margin, y);
-      doc.text(money(fullInvoice.total), pageWidth - margin, y, { align: 'right' });
-      y += 6;
-      doc.setFontSize(9);
-      doc.setFont(undefined, 'normal');
-      doc.setTextColor(100, 100, 100);
-      doc.text(`Date: ${fullInvoice.date}`, margin, y);
-      y += 5;
-      doc.text(getStatusLabel(fullInvoice.status), margin, y);
-      doc.setTextColor(0, 0, 0);
-      y += 12;
-
-      // Divider line
-      doc.setDrawColor(220, 220, 220);
-      doc.line(margin, y, pageWidth - margin, y);
-      y += 10;
-
-      // Patient Information Section
-      doc.setFontSize(11);
-      doc.setFont(undefined, 'bold');
-      doc.text('Patient Information', margin, y);
-      y += 8;
-
-      // Draw box for patient info
-      const boxHeight = 35;
-      doc.setDrawColor(220, 220, 220);
-      doc.rect(margin, y - 3, pageWidth - 2 * margin, boxHeight);
-      
-      // Left column - Patient details
-      doc.setFontSize(10);
-      doc.setFont(undefined, 'bold');
-      doc.text(fullInvoice.patientName || 'N/A', margin + 5, y + 3);
-      doc.setFont(undefined, 'normal');
-      doc.setFontSize(9);
-      doc.setTextColor(80, 80, 80);
-      if (fullInvoice.phone) {
-        doc.text(fullInvoice.phone, margin + 5, y + 9);
-      }
-      if (fullInvoice.email) {
-        doc.text(fullInvoice.email, margin + 5, y + 14);
-      }
-      const addr = fullInvoice.address;
-      const addressText = addr && typeof addr === 'object'
-        ? [addr.line1, addr.line2, addr.city, addr.state, addr.zipCode].filter(Boolean).join(', ')
-        : '';
-      if (addressText) {
-        const addrLines = doc.splitTextToSize(addressText, 70);
-        addrLines.forEach((line, idx) => {
-          doc.text(line, margin + 5, y + 19 + (idx * 4));
-        });
-      }
-
-      // Right column - Invoice metadata
-      const rightX = pageWidth / 2 + 10;
-      doc.setTextColor(100, 100, 100);
-      doc.text('Invoice Date:', rightX, y + 3);
-      doc.text('Invoice Number:', rightX, y + 8);
-      doc.text('Created:', rightX, y + 13);
-      doc.text('Status:', rightX, y + 18);
-      
-      doc.setTextColor(0, 0, 0);
-      doc.setFont(undefined, 'normal');
-      doc.text(String(fullInvoice.date || ''), pageWidth - margin - 5, y + 3, { align: 'right' });
-      doc.text(String(fullInvoice.invoiceNo || ''), pageWidth - margin - 5, y + 8, { align: 'right' });
-      doc.text(new Date(fullInvoice.createdAt).toLocaleDateString(), pageWidth - margin - 5, y + 13, { align: 'right' });
-      doc.text(String(getStatusLabel(fullInvoice.status)), pageWidth - margin - 5, y + 18, { align: 'right' });
-
-      y += boxHeight + 10;
-
-      // Line Items Section
-      doc.setFontSize(11);
-      doc.setFont(undefined, 'bold');
-      doc.setTextColor(0, 0, 0);
-      doc.text('Line Items', margin, y);
-      y += 8;
-
-      // Table header
-      doc.setFontSize(9);
-      doc.setTextColor(100, 100, 100);
-      doc.text('Description', margin + 5, y);
-      doc.text('Qty', pageWidth - 95, y, { align: 'right' });
-      doc.text('Unit Price', pageWidth - 55, y, { align: 'right' });
-      doc.text('Amount', pageWidth - margin - 5, y, { align: 'right' });
-      y += 5;
-
-      // Divider
-      doc.setDrawColor(220, 220, 220);
-      doc.line(margin, y, pageWidth - margin, y);
-      y += 6;
-
-      // Line items
-      doc.setTextColor(0, 0, 0);
-      doc.setFont(undefined, 'normal');
-      const items = fullInvoice.lineItems || [];
-      items.forEach((item) => {
-        doc.text(item.description || 'N/A', margin + 5, y);
-        doc.text(String(item.qty || 0), pageWidth - 95, y, { align: 'right' });
-        doc.text(money(item.unitPrice), pageWidth - 55, y, { align: 'right' });
-        doc.text(money(item.qty * item.unitPrice), pageWidth - margin - 5, y, { align: 'right' });
-        y += 6;
-      });
-
-      y += 5;
-      doc.line(margin, y, pageWidth - margin, y);
-      y += 8;
-
-      // Totals section
-      const totalsX = pageWidth - 80;
-      doc.setFontSize(9);
-      doc.setTextColor(100, 100, 100);
-      
-      const subtotal = fullInvoice.lineItems?.reduce((sum, item) => sum + (item.qty * item.unitPrice), 0) || 0;
-      doc.text('Subtotal:', totalsX, y);
-      doc.setTextColor(0, 0, 0);
-      doc.text(money(subtotal), pageWidth - margin - 5, y, { align: 'right' });
-      y += 5;
-
-      if (fullInvoice.discount > 0) {
-        doc.setTextColor(100, 100, 100);
-        doc.text('Discount:', totalsX, y);
-        doc.setTextColor(220, 38, 38);
-        doc.text(`-${money(fullInvoice.discount)}`, pageWidth - margin - 5, y, { align: 'right' });
-        y += 5;
-      }
-
-      if (fullInvoice.tax > 0) {
-        doc.setTextColor(100, 100, 100);
-        doc.text('Tax:', totalsX, y);
-        doc.setTextColor(0, 0, 0);
-        doc.text(money(fullInvoice.tax), pageWidth - margin - 5, y, { align: 'right' });
-        y += 5;
-      }
-
-      if (fullInvoice.shipping > 0) {
-        doc.setTextColor(100, 100, 100);
-        doc.text('Shipping:', totalsX, y);
-        doc.setTextColor(0, 0, 0);
-        doc.text(money(fullInvoice.shipping), pageWidth - margin - 5, y, { align: 'right' });
-        y += 5;
-      }
-
-      // Total
-      y += 2;
-      doc.setFontSize(11);
-      doc.setFont(undefined, 'bold');
-      doc.setTextColor(0, 0, 0);
-      doc.text('Total:', totalsX, y);
-      doc.text(money(fullInvoice.total), pageWidth - margin - 5, y, { align: 'right' });
-
-      doc.save(`invoice-${fullInvoice.invoiceNo}.pdf`);
-
+      await invoiceAPI.downloadPdf(invoice._id, invoice.invoiceNumber);
       toast({
         title: 'Download Started',
-        description: `Invoice ${invoice.invoiceNo} downloaded as PDF`,
+        description: `Invoice ${invoice.invoiceNumber} downloaded as PDF`,
       });
     } catch (err) {
-      console.error('PDF generation failed:', err);
-      toast({ title: 'Error', description: 'Failed to generate PDF.', variant: 'destructive' });
+      console.error('PDF download failed:', err);
+      toast({ title: 'Error', description: 'Failed to download PDF.', variant: 'destructive' });
     }
   };
 
@@ -936,7 +523,7 @@ const Billing = () => {
           amount: orderData.order.amount,
           currency: orderData.order.currency,
           name: 'Healthcare Invoice Payment',
-          description: `Payment for Invoice #${createdInvoice.invoiceNo}`,
+          description: `Payment for Invoice #${createdInvoice.invoiceNumber}`,
           order_id: orderData.order.id,
           handler: async function (response) {
             try {
@@ -961,11 +548,10 @@ const Billing = () => {
 
               toast({
                 title: "Success",
-                description: "Payment successful! Invoice approved.",
+                description: "Payment successful! Invoice paid.",
               });
               setIsPaymentDialogOpen(false);
-              fetchInvoices();
-              fetchRevenueStats();
+              refresh();
             } catch (error) {
               console.error('Payment verification error:', error);
               toast({
@@ -1035,7 +621,7 @@ const Billing = () => {
         <div className="relative flex-1 max-w-md">
           <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
           <Input
-            placeholder="Search invoices by patient name or invoice ID..."
+            placeholder="Search by patient, invoice number or item..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className="pl-10 h-10 bg-white border-gray-200 rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
@@ -1057,23 +643,15 @@ const Billing = () => {
               <CheckCircle className="w-4 h-4 text-green-600" />
             </div>
             <span className="text-sm text-green-600 font-medium">
-              Approved: {activeTab === 'regular' 
-                ? (revenueStats.approvedCount || 0) 
-                : activeTab === 'appointment'
-                ? (appointmentInvoices.filter(inv => inv.status === 'approved' || inv.status === 'paid').length || 0)
-                : (appointmentInvoices.filter(inv => inv.status === 'approved' || inv.status === 'paid').length || 0)}
+              Approved: {revenueStats.approvedCount || 0}
             </span>
           </div>
           <div className="flex items-center space-x-2">
             <div className="p-1.5 bg-yellow-100 rounded-full">
               <Clock className="w-4 h-4 text-yellow-600" />
             </div>
-            <span className="text-sm text-yellow-600 font-medium">
-              Not Approved: {activeTab === 'regular' 
-                ? (filteredInvoices.filter(inv => getInvoiceStatus(inv) === 'Rejected').length || 0)
-                : activeTab === 'appointment'
-                ? (appointmentInvoices.filter(inv => inv.status === 'unapproved').length || 0)
-                : (appointmentInvoices.filter(inv => inv.status === 'unapproved').length || 0)}
+            <span className="text-sm text-yellow-600 font-medium" title={`Outstanding: ${formatMoney(revenueStats.outstandingAmount)}`}>
+              Not Approved: {revenueStats.pendingApprovalCount || 0}
             </span>
           </div>
         </div>
@@ -1081,15 +659,21 @@ const Billing = () => {
         {/* Filters and Actions */}
         <div className="flex items-center gap-3">
           <Select value={statusFilter} onValueChange={(v) => { setStatusFilter(v); setCurrentPage(1); }}>
-            <SelectTrigger className="w-32 h-10 text-sm bg-white border-gray-200 rounded-lg shadow-sm">
+            <SelectTrigger className="w-40 h-10 text-sm bg-white border-gray-200 rounded-lg shadow-sm">
               <SelectValue placeholder="All Status" />
             </SelectTrigger>
             <SelectContent>
               <SelectItem value="all">All Status</SelectItem>
-              <SelectItem value="approved">Approved</SelectItem>
-              <SelectItem value="rejected">Not Approved</SelectItem>
+              {STATUS_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
             </SelectContent>
           </Select>
+
+          <Button variant="outline" className="h-10" onClick={() => setIsGstReportOpen(true)}>
+            <Download className="w-4 h-4 mr-2" />
+            GSTR-1
+          </Button>
           
           <Button 
             className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg shadow-md hover:shadow-lg transition-all duration-200"
@@ -1101,18 +685,22 @@ const Billing = () => {
         </div>
       </div>
 
+      {/* Reconciliation findings */}
+      {canRefund && <PaymentDiscrepancies />}
+
       {/* Invoices List with Tabs */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-100">
         <div className="px-6 py-4 border-b border-gray-100">
-          <Tabs value={activeTab} onValueChange={setActiveTab}>
+          <Tabs value={activeTab} onValueChange={(value) => { setActiveTab(value); setCurrentPage(1); }}>
             <div className="flex items-center justify-between mb-4">
-              <TabsList className="grid w-[400px] grid-cols-2">
-                <TabsTrigger value="regular">Regular Invoices</TabsTrigger>
-                <TabsTrigger value="appointment">Appointment Invoices</TabsTrigger>
+              <TabsList className="grid w-[560px] grid-cols-4">
+                {TYPE_TABS.map(tab => (
+                  <TabsTrigger key={tab.value} value={tab.value}>{tab.label}</TabsTrigger>
+                ))}
               </TabsList>
               <div className="flex items-center space-x-3">
                 <Badge variant="secondary" className="px-3 py-1 text-sm font-medium bg-blue-100 text-blue-700 border-0">
-                  {activeTab === 'regular' ? filteredInvoices.length : filteredAppointmentInvoices.length}
+                  {invoices.length}
                 </Badge>
               </div>
             </div>
@@ -1120,14 +708,14 @@ const Billing = () => {
           <div className="flex items-center justify-between">
             <div className="flex items-center space-x-3">
               <h2 className="text-xl font-semibold text-gray-900">
-                {activeTab === 'regular' ? 'Regular Invoices' : 'Appointment Invoices'}
+                {activeTab === 'all' ? 'Invoices' : `${TYPE_TABS.find(tab => tab.value === activeTab)?.label} Invoices`}
               </h2>
             </div>
             <div className="flex items-center gap-6">
               <div className="flex items-center gap-2 px-3 py-1.5 bg-gray-50 rounded-lg border">
                 <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
                 <span className="text-sm font-medium text-gray-700">
-                  {((currentPage - 1) * pageSize) + 1}-{Math.min(currentPage * pageSize, totalInvoices)} of {totalInvoices}
+                  {totalInvoices === 0 ? 0 : ((currentPage - 1) * pageSize) + 1}-{Math.min(currentPage * pageSize, totalInvoices)} of {totalInvoices}
                 </span>
               </div>
               <div className="flex items-center gap-2 px-2.5 py-1 bg-white rounded-md border border-gray-200">
@@ -1159,288 +747,134 @@ const Billing = () => {
             <div className="flex items-center justify-center h-32">
               <p className="text-red-600">{error}</p>
             </div>
-          ) : activeTab === 'regular' && filteredInvoices.length === 0 ? (
-            <div className="flex items-center justify-center h-32">
-              <p className="text-muted-foreground">
-                {searchTerm ? "No invoices found matching your search." : "No invoices found."}
-              </p>
-            </div>
-          ) : activeTab === 'appointment' && filteredAppointmentInvoices.length === 0 ? (
+          ) : invoices.length === 0 ? (
             <div className="flex items-center justify-center h-32">
               <p className="text-muted-foreground">
-                {searchTerm ? "No appointment invoices found matching your search." : "No appointment invoices found."}
+                {debouncedSearch ? "No invoices found matching your search." : "No invoices found."}
               </p>
             </div>
           ) : (
             <div className="space-y-2">
-                  {activeTab === 'regular' && filteredInvoices.map((invoice) => {
-                    const StatusIcon = getStatusIcon(getInvoiceStatus(invoice));
-                    return (
-                      <div key={invoice._id} className="p-4 rounded-lg bg-gray-50 hover:bg-gray-100 transition-all duration-200 border-0">
-                        <div className="grid grid-cols-12 gap-4 items-center">
-                          {/* Left section - Patient info */}
-                          <div className="col-span-5 flex items-center space-x-4">
-                            <div className="w-12 h-12 bg-gradient-primary rounded-full flex items-center justify-center">
-                              <FileText className="w-6 h-6 text-white" />
-                            </div>
-                            <div>
-                              <h3 className="font-semibold text-foreground">{invoice.patientName}</h3>
-                              <p className="text-sm text-muted-foreground">
-                                #{invoice.invoiceNo} • {invoice.service}
-                              </p>
-                              <div className="flex items-center space-x-4 mt-1 text-sm text-muted-foreground">
-                                <span className="flex items-center">
-                                  <Calendar className="w-4 h-4 mr-1" />
-                                  {invoice.date}
-                                </span>
-                                {invoice.phone && (
-                                  <span className="flex items-center">
-                                    <User className="w-4 h-4 mr-1" />
-                                    {invoice.phone}
-                                  </span>
-                                )}
-                              </div>
-                              {invoice.lineItems && invoice.lineItems.length > 1 && (
-                                <p className="text-xs text-muted-foreground mt-1">
-                                  {invoice.lineItems.length} items total
-                                </p>
-                              )}
-                            </div>
-                          </div>
-                          
-                          {/* Middle section - Amount and Status */}
-                          <div className="col-span-4 text-center">
-                            <p className="text-lg font-bold text-foreground">₹{Number(invoice.total || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p>
-                            <Badge variant={getStatusColor(getInvoiceStatus(invoice))} className="mt-1">
-                              <StatusIcon className="w-3 h-3 mr-1" />
-                              {getInvoiceStatus(invoice)}
-                            </Badge>
-                            {(invoice.discount > 0 || invoice.tax > 0 || invoice.shipping > 0) && (
-                              <p className="text-xs text-muted-foreground mt-1">
-                                {invoice.discount > 0 && `Disc: ₹${invoice.discount} `}
-                                {invoice.tax > 0 && `Tax: ₹${invoice.tax} `}
-                                {invoice.shipping > 0 && `Ship: ₹${invoice.shipping}`}
-                              </p>
-                            )}
-                          </div>
-                          
-                          {/* Right section - Actions */}
-                          <div className="col-span-3 flex justify-end items-center space-x-2">
-                              {(getInvoiceStatus(invoice) === 'Rejected' || getInvoiceStatus(invoice) === 'Unapproved') && (
-                                <Button 
-                                  variant="outline" 
-                                  size="sm"
-                                  onClick={() => handleApproveInvoice(invoice)}
-                                  title="Approve Invoice"
-                                  className="text-green-600 border-green-600 hover:bg-green-50"
-                                >
-                                  <CheckCircle className="w-4 h-4 mr-1" />
-                                  Approve
-                                </Button>
-                              )}
-                              <Button 
-                                variant="ghost" 
-                                size="sm"
-                                onClick={() => handleViewInvoice(invoice)}
-                                title="View Invoice Details"
-                              >
-                                <Eye className="w-4 h-4" />
-                              </Button>
-                              <Button 
-                                variant="ghost" 
-                                size="sm"
-                                onClick={() => handleDownloadInvoice(invoice)}
-                                title="Download Invoice"
-                              >
-                                <Download className="w-4 h-4" />
-                              </Button>
-                          </div>
+              {invoices.map((invoice) => {
+                const style = STATUS_STYLES[invoice.status] || STATUS_STYLES.unapproved;
+                const StatusIcon = style.icon;
+                const canApprove = ['unapproved', 'rejected'].includes(invoice.status);
+                return (
+                  <div key={invoice._id} className="p-4 rounded-lg bg-gray-50 hover:bg-gray-100 transition-all duration-200 border-0">
+                    <div className="grid grid-cols-12 gap-4 items-center">
+                      {/* Left section - Patient info */}
+                      <div className="col-span-5 flex items-center space-x-4">
+                        <div className="w-12 h-12 bg-gradient-primary rounded-full flex items-center justify-center">
+                          <FileText className="w-6 h-6 text-white" />
                         </div>
-                      </div>
-                    );
-                  })}
-                  {activeTab === 'appointment' && filteredAppointmentInvoices.map((invoice) => (
-                    <div key={invoice._id} className="p-4 rounded-lg bg-gray-50 hover:bg-gray-100 transition-all duration-200 border-0">
-                      <div className="grid grid-cols-12 gap-4 items-center">
-                        {/* Left section - Patient info */}
-                        <div className="col-span-5 flex items-center space-x-4">
-                          <div className="w-12 h-12 bg-gradient-primary rounded-full flex items-center justify-center">
-                            <FileText className="w-6 h-6 text-white" />
-                          </div>
-                          <div>
-                            <h3 className="font-semibold text-foreground">{invoice.patientId?.fullName || 'N/A'}</h3>
-                            <p className="text-sm text-muted-foreground">
-                              #{invoice.invoiceNumber} • {invoice.appointmentDetails?.appointmentType || 'Appointment'}
-                            </p>
-                            <div className="flex items-center space-x-4 mt-1 text-sm text-muted-foreground">
+                        <div>
+                          <h3 className="font-semibold text-foreground">{invoice.patientName || invoice.patientId?.fullName || 'N/A'}</h3>
+                          <p className="text-sm text-muted-foreground">
+                            #{invoice.invoiceNumber} • {invoice.lineItems?.[0]?.description || 'No description'}
+                          </p>
+                          <div className="flex items-center space-x-4 mt-1 text-sm text-muted-foreground">
+                            <span className="flex items-center">
+                              <Calendar className="w-4 h-4 mr-1" />
+                              {formatDate(invoice.date)}
+                            </span>
+                            {invoice.doctorId?.fullName ? (
                               <span className="flex items-center">
-                                <Calendar className="w-4 h-4 mr-1" />
-                                {invoice.appointmentDetails?.appointmentDate ? new Date(invoice.appointmentDetails.appointmentDate).toLocaleDateString('en-GB') : 'N/A'}
+                                <User className="w-4 h-4 mr-1" />
+                                Dr. {invoice.doctorId.fullName}
                               </span>
+                            ) : (invoice.phone || invoice.patientId?.phone) && (
                               <span className="flex items-center">
                                 <User className="w-4 h-4 mr-1" />
-                                Dr. {invoice.doctorId?.fullName || 'N/A'}
+                                {invoice.phone || invoice.patientId?.phone}
                               </span>
-                            </div>
+                            )}
                           </div>
-                        </div>
-                        
-                        {/* Middle section - Amount and Status */}
-                        <div className="col-span-4 text-center">
-                          <p className="text-lg font-bold text-foreground">₹{Number(invoice.amount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p>
-                          <Badge variant={invoice.status === 'paid' ? 'default' : invoice.status === 'approved' ? 'secondary' : 'outline'} className="mt-1">
-                            {invoice.status === 'paid' && <CheckCircle className="w-3 h-3 mr-1" />}
-                            {invoice.status === 'approved' && <CheckCircle className="w-3 h-3 mr-1" />}
-                            {invoice.status === 'unapproved' && <Clock className="w-3 h-3 mr-1" />}
-                            {invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)}
-                          </Badge>
-                          <p className="text-xs text-muted-foreground mt-1">
-                            Payment: {invoice.status === 'approved' || invoice.status === 'paid' ? (invoice.paymentMethod === 'cash' ? 'Cash' : invoice.paymentMethod === 'online' ? 'Online' : 'Paid') : 'Pending'}
-                          </p>
-                        </div>
-                        
-                        {/* Right section - Actions */}
-                        <div className="col-span-3 flex justify-end items-center space-x-2">
-                          {invoice.status === 'unapproved' && (
-                            <Button 
-                              variant="outline" 
-                              size="sm"
-                              onClick={() => handleApproveAppointmentInvoice(invoice._id)}
-                              title="Approve Invoice"
-                              className="text-green-600 border-green-600 hover:bg-green-50"
-                            >
-                              <CheckCircle className="w-4 h-4 mr-1" />
-                              Approve
-                            </Button>
+                          {invoice.lineItems && invoice.lineItems.length > 1 && (
+                            <p className="text-xs text-muted-foreground mt-1">
+                              {invoice.lineItems.length} items total
+                            </p>
                           )}
+                        </div>
+                      </div>
+                      
+                      {/* Middle section - Amount and Status */}
+                      <div className="col-span-4 text-center">
+                        <p className="text-lg font-bold text-foreground">{formatMoney(invoice.total)}</p>
+                        <Badge variant={style.variant} className="mt-1">
+                          <StatusIcon className="w-3 h-3 mr-1" />
+                          {statusLabel(invoice.status)}
+                        </Badge>
+                        <p className="text-xs text-muted-foreground mt-1">
+                          Payment: {paymentLabel(invoice)}
+                        </p>
+                      </div>
+                      
+                      {/* Right section - Actions */}
+                      <div className="col-span-3 flex justify-end items-center space-x-2">
+                        {canApprove && (
                           <Button 
-                            variant="ghost" 
+                            variant="outline" 
                             size="sm"
-                            onClick={() => {
-                              // Transform appointment invoice to match regular invoice structure for the modal
-                              const transformedInvoice = {
-                                _id: invoice._id,
-                                invoiceNo: invoice.invoiceNumber,
-                                patientName: invoice.patientId?.fullName || 'N/A',
-                                phone: invoice.patientId?.phone || '',
-                                email: invoice.patientId?.email || '',
-                                address: invoice.patientId?.address || '',
-                                date: invoice.appointmentDetails?.appointmentDate ? new Date(invoice.appointmentDetails.appointmentDate).toLocaleDateString('en-GB') : new Date(invoice.createdAt).toLocaleDateString('en-GB'),
-                                total: invoice.amount,
-                                status: invoice.status,
-                                paymentMethod: invoice.paymentMethod,
-                                createdAt: invoice.createdAt,
-                                lineItems: [{
-                                  description: `${invoice.appointmentDetails?.appointmentType || 'Appointment'} - Dr. ${invoice.doctorId?.fullName || 'N/A'}`,
-                                  quantity: 1,
-                                  price: invoice.amount,
-                                  total: invoice.amount
-                                }],
-                                discount: 0,
-                                tax: 0,
-                                shipping: 0,
-                                remarks: `Payment Method: ${(invoice.status === 'approved' || invoice.status === 'paid') ? (invoice.paymentMethod === 'cash' ? 'Cash' : invoice.paymentMethod === 'online' ? 'Online' : 'Paid') : 'Pending'}\nAppointment Time: ${invoice.appointmentDetails?.appointmentTime || 'N/A'}\nDuration: ${invoice.appointmentDetails?.duration || 30} minutes`
-                              };
-                              setSelectedInvoice(transformedInvoice);
-                              setIsViewModalOpen(true);
-                            }}
-                            title="View Invoice Details"
+                            onClick={() => handleApproveInvoice(invoice)}
+                            title="Approve Invoice"
+                            className="text-green-600 border-green-600 hover:bg-green-50"
                           >
-                            <Eye className="w-4 h-4" />
+                            <CheckCircle className="w-4 h-4 mr-1" />
+                            Approve
                           </Button>
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                  {activeTab === 'teleconsultation' && teleconsultationInvoices.map((invoice) => (
-                    <div key={invoice._id} className="p-4 rounded-lg bg-gray-50 hover:bg-gray-100 transition-all duration-200 border-0">
-                      <div className="grid grid-cols-12 gap-4 items-center">
-                        <div className="col-span-5 flex items-center space-x-4">
-                          <div className="w-12 h-12 bg-gradient-primary rounded-full flex items-center justify-center">
-                            <FileText className="w-6 h-6 text-white" />
-                          </div>
-                          <div>
-                            <h3 className="font-semibold text-foreground">{invoice.patientId?.fullName || 'N/A'}</h3>
-                            <p className="text-sm text-muted-foreground">
-                              #{invoice.invoiceNumber} • Teleconsultation
-                            </p>
-                            <div className="flex items-center space-x-4 mt-1 text-sm text-muted-foreground">
-                              <span className="flex items-center">
-                                <Calendar className="w-4 h-4 mr-1" />
-                                {invoice.teleconsultationDetails?.scheduledDate ? new Date(invoice.teleconsultationDetails.scheduledDate).toLocaleDateString('en-GB') : 'N/A'}
-                              </span>
-                              <span className="flex items-center">
-                                <User className="w-4 h-4 mr-1" />
-                                Dr. {invoice.doctorId?.fullName || 'N/A'}
-                              </span>
-                            </div>
-                          </div>
-                        </div>
-                        
-                        <div className="col-span-4 text-center">
-                          <p className="text-lg font-bold text-foreground">₹{Number(invoice.amount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p>
-                          <Badge variant={invoice.status === 'paid' ? 'default' : invoice.status === 'approved' ? 'secondary' : 'outline'} className="mt-1">
-                            {invoice.status === 'paid' && <CheckCircle className="w-3 h-3 mr-1" />}
-                            {invoice.status === 'approved' && <CheckCircle className="w-3 h-3 mr-1" />}
-                            {invoice.status === 'unapproved' && <Clock className="w-3 h-3 mr-1" />}
-                            {invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)}
-                          </Badge>
-                          <p className="text-xs text-muted-foreground mt-1">
-                            Payment: {invoice.status === 'approved' || invoice.status === 'paid' ? (invoice.paymentMethod === 'cash' ? 'Cash' : invoice.paymentMethod === 'online' ? 'Online' : 'Paid') : 'Pending'}
-                          </p>
-                        </div>
-                        
-                        <div className="col-span-3 flex justify-end items-center space-x-2">
-                          {invoice.status === 'unapproved' && (
-                            <Button 
-                              variant="outline" 
-                              size="sm"
-                              onClick={() => handleApproveTeleconsultationInvoice(invoice._id)}
-                              title="Approve Invoice"
-                              className="text-green-600 border-green-600 hover:bg-green-50"
-                            >
-                              <CheckCircle className="w-4 h-4 mr-1" />
-                              Approve
-                            </Button>
-                          )}
-                          <Button 
-                            variant="ghost" 
+                        )}
+                        {invoice.status === 'unapproved' && (
+                          <Button
+                            variant="ghost"
                             size="sm"
-                            onClick={() => {
-                              const transformedInvoice = {
-                                _id: invoice._id,
-                                invoiceNo: invoice.invoiceNumber,
-                                patientName: invoice.patientId?.fullName || 'N/A',
-                                phone: invoice.patientId?.phone || '',
-                                email: invoice.patientId?.email || '',
-                                address: invoice.patientId?.address || '',
-                                date: invoice.teleconsultationDetails?.scheduledDate ? new Date(invoice.teleconsultationDetails.scheduledDate).toLocaleDateString('en-GB') : new Date(invoice.createdAt).toLocaleDateString('en-GB'),
-                                total: invoice.amount,
-                                status: invoice.status,
-                                paymentMethod: invoice.paymentMethod,
-                                createdAt: invoice.createdAt,
-                                lineItems: [{
-                                  description: `Teleconsultation - Dr. ${invoice.doctorId?.fullName || 'N/A'}`,
-                                  quantity: 1,
-                                  price: invoice.amount,
-                                  total: invoice.amount
-                                }],
-                                discount: 0,
-                                tax: 0,
-                                shipping: 0,
-                                remarks: `Payment Method: ${(invoice.status === 'approved' || invoice.status === 'paid') ? (invoice.paymentMethod === 'cash' ? 'Cash' : invoice.paymentMethod === 'online' ? 'Online' : 'Paid') : 'Pending'}\nScheduled Time: ${invoice.teleconsultationDetails?.scheduledTime || 'N/A'}\nDuration: ${invoice.teleconsultationDetails?.duration || 30} minutes\nMeeting ID: ${invoice.teleconsultationDetails?.meetingId || 'N/A'}\nAppointment Time: ${invoice.appointmentDetails?.appointmentTime || 'N/A'}\nDuration: ${invoice.appointmentDetails?.duration || 30} minutes`
-                              };
-                              setSelectedInvoice(transformedInvoice);
-                              setIsViewModalOpen(true);
-                            }}
-                            title="View Invoice Details"
+                            onClick={() => handleRejectInvoice(invoice)}
+                            title="Reject Invoice"
                           >
-                            <Eye className="w-4 h-4" />
+                            <AlertCircle className="w-4 h-4" />
                           </Button>
-                        </div>
+                        )}
+                        {canApprove && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleCancelInvoice(invoice)}
+                            title="Cancel Invoice"
+                          >
+                            <XCircle className="w-4 h-4" />
+                          </Button>
+                        )}
+                        {isRefundable(invoice) && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => setRefundInvoice(invoice)}
+                            title="Refund Payment"
+                          >
+                            <RotateCcw className="w-4 h-4 mr-1" />
+                            Refund
+                          </Button>
+                        )}
+                        <Button 
+                          variant="ghost" 
+                          size="sm"
+                          onClick={() => handleViewInvoice(invoice)}
+                          title="View Invoice Details"
+                        >
+                          <Eye className="w-4 h-4" />
+                        </Button>
+                        <Button 
+                          variant="ghost" 
+                          size="sm"
+                          onClick={() => handleDownloadInvoice(invoice)}
+                          title="Download Invoice"
+                        >
+                          <Download className="w-4 h-4" />
+                        </Button>
                       </div>
                     </div>
-                  ))}
+                  </div>
+                );
+              })}
             </div>
           )}
         </div>
@@ -1537,6 +971,17 @@ const Billing = () => {
         loadingPaymentLink={loadingPaymentLink}
       />
 
+      {/* GSTR-1 Export */}
+      <GstReportDialog isOpen={isGstReportOpen} onClose={() => setIsGstReportOpen(false)} />
+
+      {/* Refund Dialog */}
+      <RefundDialog
+        isOpen={Boolean(refundInvoice)}
+        onClose={() => setRefundInvoice(null)}
+        invoice={refundInvoice}
+        onRefunded={refresh}
+      />
+
       {/* Payment Dialog */}
       <Dialog open={isPaymentDialogOpen} onOpenChange={setIsPaymentDialogOpen}>
         <DialogContent className="max-w-md">
@@ -1546,7 +991,7 @@ const Billing = () => {
               Invoice Created Successfully
             </DialogTitle>
             <DialogDescription>
-              Complete payment to approve this invoice
+              Complete payment to settle this invoice
             </DialogDescription>
           </DialogHeader>
 
@@ -1557,7 +1002,7 @@ const Billing = () => {
                   <div className="space-y-2">
                     <div className="flex justify-between">
                       <span className="text-sm font-medium text-muted-foreground">Invoice No:</span>
-                      <span className="text-sm font-semibold">#{createdInvoice.invoiceNo}</span>
+                      <span className="text-sm font-semibold">#{createdInvoice.invoiceNumber}</span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-sm font-medium text-muted-foreground">Patient:</span>
@@ -1565,7 +1010,7 @@ const Billing = () => {
                     </div>
                     <div className="flex justify-between">
                       <span className="text-sm font-medium text-muted-foreground">Date:</span>
-                      <span className="text-sm font-semibold">{createdInvoice.date}</span>
+                      <span className="text-sm font-semibold">{formatDate(createdInvoice.date)}</span>
                     </div>
                   </div>
                 </div>
@@ -1576,7 +1021,7 @@ const Billing = () => {
                       Total Amount:
                     </span>
                     <span className="text-2xl font-bold text-green-900 dark:text-green-100">
-                      ₹{Number(createdInvoice.total || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                      {formatMoney(createdInvoice.total)}
                     </span>
                   </div>
                 </div>
@@ -1584,7 +1029,7 @@ const Billing = () => {
                 <div className="flex items-start gap-2 p-3 bg-amber-50 dark:bg-amber-950/30 border border-amber-200 dark:border-amber-800 rounded-lg">
                   <Info className="w-4 h-4 text-amber-600 dark:text-amber-400 mt-0.5 flex-shrink-0" />
                   <p className="text-xs text-amber-800 dark:text-amber-200">
-                    Invoice is in "Unapproved" status. Complete the payment to approve it.
+                    Invoice is unapproved. Completing the payment marks it as paid.
                   </p>
                 </div>
               </>
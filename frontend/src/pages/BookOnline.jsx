@@ -0,0 +1,396 @@
+import { useState, useEffect } from "react";
+import { useParams } from "react-router-dom";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Separator } from "@/components/ui/separator";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  AlertCircle,
+  ArrowLeft,
+  Calendar,
+  CheckCircle,
+  Clock,
+  Hospital,
+  Phone,
+  Stethoscope
+} from "lucide-react";
+import { toast } from "sonner";
+import { getAvailableTimeSlots, formatTime } from "@/utils/availabilityUtils";
+import { todayIn, zoneLabel, DEFAULT_TIME_ZONE } from "@/utils/clinicTime";
+import ClinicTimeHint from "@/components/ClinicTimeHint";
+
+const ALL_SPECIALTIES = 'all';
+
+const emptyDetails = { fullName: '', email: '', phone: '', appointmentType: '', reason: '' };
+
+// Public booking flow: pick a slot, enter details, confirm the emailed code
+const BookOnline = () => {
+  const { clinicId } = useParams();
+  const [clinic, setClinic] = useState(null);
+  const [doctors, setDoctors] = useState([]);
+  const [specialties, setSpecialties] = useState([]);
+  const [appointmentTypes, setAppointmentTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [step, setStep] = useState('slot'); // slot | details | verify | done
+  const [specialty, setSpecialty] = useState(ALL_SPECIALTIES);
+  const [doctorId, setDoctorId] = useState('');
+  const [date, setDate] = useState('');
+  const [time, setTime] = useState('');
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [slotsVersion, setSlotsVersion] = useState(0);
+  const [details, setDetails] = useState(emptyDetails);
+  const [otp, setOtp] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [booked, setBooked] = useState(null);
+
+  const baseUrl = `/api/public-booking/${encodeURIComponent(clinicId)}`;
+
+  useEffect(() => {
+    const loadClinic = async () => {
+      try {
+        const response = await fetch(baseUrl);
+        if (!response.ok) {
+          setError(response.status === 404
+            ? "We couldn't find this clinic. Please check the booking link."
+            : "Failed to load booking page");
+          return;
+        }
+        const data = await response.json();
+        setClinic(data.clinic);
+        setDoctors(data.doctors || []);
+        setSpecialties(data.specialties || []);
+        setAppointmentTypes(data.appointmentTypes || []);
+        setDetails(prev => ({ ...prev, appointmentType: data.appointmentTypes?.[0] || '' }));
+      } catch (error) {
+        console.error('Error loading booking page:', error);
+        setError("Failed to load booking page");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (clinicId) {
+      loadClinic();
+    }
+  }, [baseUrl, clinicId]);
+
+  useEffect(() => {
+    const loadSlots = async () => {
+      setTime('');
+      if (!doctorId || !date) {
+        setSlots([]);
+        return;
+      }
+      try {
+        setLoadingSlots(true);
+        const response = await fetch(`${baseUrl}/doctors/${doctorId}/slots/${date}`);
+        if (!response.ok) {
+          setSlots([]);
+          return;
+        }
+        setSlots(getAvailableTimeSlots(await response.json()));
+      } catch (error) {
+        console.error('Error loading available slots:', error);
+        setSlots([]);
+      } finally {
+        setLoadingSlots(false);
+      }
+    };
+    loadSlots();
+  }, [baseUrl, doctorId, date, slotsVersion]);
+
+  const postJSON = async (path, payload) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const details = Array.isArray(data.details) ? data.details.map(d => d.msg || d).join('; ') : null;
+      throw new Error([data.error, details].filter(Boolean).join(' - ') || "Something went wrong. Please try again.");
+    }
+    return data;
+  };
+
+  const sendCode = async () => {
+    if (!details.fullName.trim() || !details.email.trim() || !details.phone.trim()) {
+      toast.error("Please fill in your name, email and phone number");
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const response = await postJSON('/verify-email', { email: details.email.trim() });
+      toast.success(response.message);
+      setStep('verify');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const confirmBooking = async (e) => {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(otp)) {
+      toast.error("Enter the 6-digit code from your email");
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const response = await postJSON('/appointments', {
+        ...details,
+        email: details.email.trim(),
+        otp,
+        doctorId,
+        date,
+        time
+      });
+      setBooked(response);
+      setStep('done');
+    } catch (error) {
+      toast.error(error.message);
+      // The slot may have gone while the patient was entering details
+      if (/slot|available/i.test(error.message)) {
+        setStep('slot');
+        setOtp('');
+        setSlotsVersion(version => version + 1);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto mb-4"></div>
+          <p className="text-muted-foreground">Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <Card className="w-full max-w-md">
+          <CardContent className="p-6 text-center">
+            <AlertCircle className="w-12 h-12 text-destructive mx-auto mb-4" />
+            <h2 className="text-xl font-semibold mb-2">Booking Unavailable</h2>
+            <p className="text-muted-foreground">{error}</p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  const visibleDoctors = specialty === ALL_SPECIALTIES
+    ? doctors
+    : doctors.filter(doctor => doctor.specialty === specialty);
+  const selectedDoctor = doctors.find(doctor => doctor._id === doctorId);
+  // Dates and times are the clinic's, wherever the patient is booking from
+  const timeZone = clinic?.timeZone || DEFAULT_TIME_ZONE;
+  const today = todayIn(timeZone);
+  const slotLabel = date && time
+    ? `${new Date(date).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })} at ${formatTime(time)} ${zoneLabel(timeZone)}`
+    : '';
+
+  return (
+    <div className="min-h-screen bg-background flex items-start justify-center p-4 sm:p-6">
+      <Card className="w-full max-w-xl border-0 shadow-soft">
+        <CardHeader className="text-center">
+          <Hospital className="w-12 h-12 text-primary mx-auto mb-2" />
+          <CardTitle className="text-2xl">{clinic?.name}</CardTitle>
+          <CardDescription>
+            {clinic?.address}
+            {clinic?.phone && (
+              <span className="flex items-center justify-center gap-1 mt-1">
+                <Phone className="w-3 h-3" />{clinic.phone}
+              </span>
+            )}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {step === 'done' && booked && (
+            <div className="text-center space-y-3">
+              <CheckCircle className="w-14 h-14 text-success mx-auto" />
+              <h2 className="text-xl font-semibold">Request Sent</h2>
+              <p className="text-muted-foreground">{booked.message}</p>
+              <div className="text-sm space-y-1">
+                <p>Dr. {booked.appointment.doctorName}</p>
+                <p>{slotLabel}</p>
+              </div>
+            </div>
+          )}
+
+          {step === 'slot' && (
+            <>
+              {specialties.length > 1 && (
+                <div className="space-y-2">
+                  <Label>Specialty</Label>
+                  <Select value={specialty} onValueChange={(value) => { setSpecialty(value); setDoctorId(''); }}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={ALL_SPECIALTIES}>All specialties</SelectItem>
+                      {specialties.map(item => (
+                        <SelectItem key={item} value={item}>{item}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              <div className="space-y-2">
+                <Label>Doctor</Label>
+                <Select value={doctorId} onValueChange={setDoctorId}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Choose a doctor" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {visibleDoctors.map(doctor => (
+                      <SelectItem key={doctor._id} value={doctor._id}>
+                        Dr. {doctor.fullName}{doctor.specialty ? ` (${doctor.specialty})` : ''}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="booking-date">Date</Label>
+                <Input id="booking-date" type="date" min={today} value={date} onChange={(e) => setDate(e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <Label>Time</Label>
+                {loadingSlots ? (
+                  <p className="text-sm text-muted-foreground">Loading available times...</p>
+                ) : !doctorId || !date ? (
+                  <p className="text-sm text-muted-foreground">Choose a doctor and date to see free times.</p>
+                ) : slots.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No free times on this day. Please try another date.</p>
+                ) : (
+                  <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+                    {slots.map(slot => (
+                      <Button
+                        key={slot.time}
+                        type="button"
+                        size="sm"
+                        variant={time === slot.time ? 'default' : 'outline'}
+                        onClick={() => setTime(slot.time)}
+                      >
+                        {slot.display}
+                      </Button>
+                    ))}
+                  </div>
+                )}
+                <ClinicTimeHint timeZone={timeZone} date={date} time={time} />
+              </div>
+              <Button className="w-full" disabled={!time} onClick={() => setStep('details')}>
+                Continue
+              </Button>
+            </>
+          )}
+
+          {(step === 'details' || step === 'verify') && (
+            <div className="space-y-2 text-sm">
+              <div className="flex items-center gap-2">
+                <Stethoscope className="w-4 h-4 text-muted-foreground" />
+                <span>Dr. {selectedDoctor?.fullName}</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <Calendar className="w-4 h-4 text-muted-foreground" />
+                <span>{slotLabel}</span>
+              </div>
+              <Separator />
+            </div>
+          )}
+
+          {step === 'details' && (
+            <>
+              <div className="space-y-2">
+                <Label htmlFor="booking-name">Full name</Label>
+                <Input id="booking-name" value={details.fullName} onChange={(e) => setDetails(prev => ({ ...prev, fullName: e.target.value }))} />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="booking-email">Email</Label>
+                  <Input id="booking-email" type="email" value={details.email} onChange={(e) => setDetails(prev => ({ ...prev, email: e.target.value }))} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="booking-phone">Phone</Label>
+                  <Input id="booking-phone" type="tel" value={details.phone} onChange={(e) => setDetails(prev => ({ ...prev, phone: e.target.value }))} />
+                </div>
+              </div>
+              <div className="space-y-2">
+                <Label>Visit type</Label>
+                <Select value={details.appointmentType} onValueChange={(value) => setDetails(prev => ({ ...prev, appointmentType: value }))}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {appointmentTypes.map(type => (
+                      <SelectItem key={type} value={type}>{type}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="booking-reason">Reason for visit (optional)</Label>
+                <Textarea id="booking-reason" rows={2} maxLength={500} value={details.reason} onChange={(e) => setDetails(prev => ({ ...prev, reason: e.target.value }))} />
+              </div>
+              <div className="flex gap-3">
+                <Button variant="outline" onClick={() => setStep('slot')}>
+                  <ArrowLeft className="w-4 h-4 mr-1" />
+                  Back
+                </Button>
+                <Button className="flex-1" disabled={submitting} onClick={sendCode}>
+                  {submitting ? "Sending code..." : "Verify Email"}
+                </Button>
+              </div>
+            </>
+          )}
+
+          {step === 'verify' && (
+            <form onSubmit={confirmBooking} className="space-y-4">
+              <p className="text-sm text-muted-foreground">
+                We sent a 6-digit code to {details.email}. Enter it to send your request.
+              </p>
+              <div className="space-y-2">
+                <Label htmlFor="booking-otp">Verification code</Label>
+                <Input
+                  id="booking-otp"
+                  inputMode="numeric"
+                  maxLength={6}
+                  className="tracking-widest"
+                  value={otp}
+                  onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+                  autoFocus
+                />
+              </div>
+              <div className="flex gap-3">
+                <Button type="button" variant="outline" onClick={() => setStep('details')}>
+                  <ArrowLeft className="w-4 h-4 mr-1" />
+                  Back
+                </Button>
+                <Button type="submit" className="flex-1" disabled={submitting}>
+                  <Clock className="w-4 h-4 mr-2" />
+                  {submitting ? "Sending..." : "Request Appointment"}
+                </Button>
+              </div>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default BookOnline;
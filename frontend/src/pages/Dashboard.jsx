@@ -39,6 +39,10 @@ import Carousel from "@/components/Carousel";
 import { getCurrentUser, isDoctor, isNurse, isHeadNurse, isSupervisor, isClinic } from "@/utils/roleUtils";
 // // import SnakeGame from "@/components/SnakeGame";
 import sessionManager from "@/utils/sessionManager";
+import { todayIn, addDays } from "@/utils/clinicTime";
+import { useClinicTimeZone } from "@/hooks/useClinicTimeZone";
+import { useRealtimeEvent } from "@/hooks/useRealtimeEvent";
+import { REALTIME_EVENTS } from "@/services/realtime";
 
 // Import lab images
 import labPhoto1 from "@/assets/Images/labphoto1.jpg";
@@ -74,6 +78,8 @@ const Dashboard = () => {
     }
   });
 
+  const clinicTimeZone = useClinicTimeZone();
+
   const [isAppointmentModalOpen, setIsAppointmentModalOpen] = useState(false);
   const [isAppointmentViewModalOpen, setIsAppointmentViewModalOpen] = useState(false);
   const [isComplianceAlertModalOpen, setIsComplianceAlertModalOpen] = useState(false);
@@ -104,6 +110,9 @@ const Dashboard = () => {
   const [totalNurses, setTotalNurses] = useState(0);
   const [totalNursesLoading, setTotalNursesLoading] = useState(true);
   const [clinicOwnerName, setClinicOwnerName] = useState('');
+  // Bumped by live events so the matching loaders rerun; spinners only show on the first load
+  const [appointmentsVersion, setAppointmentsVersion] = useState(0);
+  const [alertsVersion, setAlertsVersion] = useState(0);
   
   const { toast } = useToast();
 
@@ -257,7 +266,7 @@ const Dashboard = () => {
   // Load appointments from API when component mounts
   useEffect(() => {
     const loadAppointments = async () => {
-      setAppointmentsLoading(true);
+      if (appointmentsVersion === 0) setAppointmentsLoading(true);
       try {
         // For doctors, filter by doctorId to show only appointments they are conducting
         // Fetch more appointments (100) to properly populate the calendar
@@ -276,7 +285,7 @@ const Dashboard = () => {
     };
 
     loadAppointments();
-  }, []);
+  }, [appointmentsVersion]);
 
   // Load recent patients from API
   useEffect(() => {
@@ -357,9 +366,9 @@ const Dashboard = () => {
   // Load today's and yesterday's appointments count
   useEffect(() => {
     const loadTodayAppointments = async () => {
-      setTodayAppointmentsLoading(true);
+      if (appointmentsVersion === 0) setTodayAppointmentsLoading(true);
       try {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+        const today = todayIn(clinicTimeZone); // YYYY-MM-DD at the clinic
         // Use only date filter to get all of today's appointments for the doctor
         // The backend will handle filtering based on user role
         const filters = { date: today };
@@ -377,9 +386,7 @@ const Dashboard = () => {
     const loadYesterdayAppointments = async () => {
       setYesterdayAppointmentsLoading(true);
       try {
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayDate = yesterday.toISOString().split('T')[0]; // YYYY-MM-DD format
+        const yesterdayDate = addDays(todayIn(clinicTimeZone), -1); // YYYY-MM-DD at the clinic
         const filters = { date: yesterdayDate };
         const response = await appointmentAPI.getAll(1, 100, filters);
         const yesterdayCount = response?.appointments?.length || 0;
@@ -394,7 +401,7 @@ const Dashboard = () => {
     
     loadTodayAppointments();
     loadYesterdayAppointments();
-  }, []);
+  }, [clinicTimeZone, appointmentsVersion]);
 
   // Load current month revenue
   useEffect(() => {
@@ -422,7 +429,7 @@ const Dashboard = () => {
   // Load compliance rate
   useEffect(() => {
     const loadComplianceRate = async () => {
-      setComplianceRateLoading(true);
+      if (alertsVersion === 0) setComplianceRateLoading(true);
       try {
         const rate = await complianceAlertAPI.getComplianceRate();
         setComplianceRate(rate);
@@ -434,7 +441,7 @@ const Dashboard = () => {
       }
     };
     loadComplianceRate();
-  }, []);
+  }, [alertsVersion]);
 
   // Load total doctors
   useEffect(() => {
@@ -597,7 +604,7 @@ const Dashboard = () => {
   // Load compliance alerts from API
   useEffect(() => {
     const loadAlerts = async () => {
-      setAlertsLoading(true);
+      if (alertsVersion === 0) setAlertsLoading(true);
       try {
         const response = await complianceAlertAPI.getAll(1, 3, { 
           status: 'Active',
@@ -615,7 +622,25 @@ const Dashboard = () => {
     };
 
     loadAlerts();
-  }, []);
+  }, [alertsVersion]);
+
+  // Live updates: status changes are patched into the calendar, anything else reloads the cards
+  useRealtimeEvent(REALTIME_EVENTS.APPOINTMENT_STATUS, ({ appointmentId, status }) => {
+    setAppointments(prev => prev.map(appointment =>
+      appointment._id === appointmentId ? { ...appointment, status } : appointment
+    ));
+  });
+  useRealtimeEvent(REALTIME_EVENTS.APPOINTMENT_CREATED, () => setAppointmentsVersion(version => version + 1));
+  useRealtimeEvent(REALTIME_EVENTS.APPOINTMENT_DELETED, () => setAppointmentsVersion(version => version + 1));
+  useRealtimeEvent(REALTIME_EVENTS.COMPLIANCE_ALERT_CREATED, ({ priority }) => {
+    setAlertsVersion(version => version + 1);
+    if (priority === 'High' || priority === 'Critical') {
+      toast({ title: "New compliance alert", description: `A ${priority.toLowerCase()} priority alert was raised` });
+    }
+  });
+  useRealtimeEvent(REALTIME_EVENTS.LAB_REPORT_UPLOADED, () => {
+    toast({ title: "Lab report uploaded", description: "A new report is available under Lab Reports." });
+  });
 
   // Load patients for alert form
   useEffect(() => {
@@ -937,7 +962,7 @@ const Dashboard = () => {
     setAppointments(prev => [appointmentData, ...prev]);
     
     // Update today's appointments count if the new appointment is for today
-    const today = new Date().toISOString().split('T')[0];
+    const today = todayIn(clinicTimeZone);
     const appointmentDate = new Date(appointmentData.date).toISOString().split('T')[0];
     if (appointmentDate === today) {
       setTodayAppointments(prev => prev + 1);
@@ -1412,8 +1437,7 @@ const Dashboard = () => {
                   }),
                   todayWithAppointment: appointments.some(apt => {
                     const dateStr = apt.date.split('T')[0];
-                    const today = new Date().toISOString().split('T')[0];
-                    return dateStr === today;
+                    return dateStr === todayIn(clinicTimeZone);
                   }) ? [new Date()] : []
                 }}
                 modifiersClassNames={{
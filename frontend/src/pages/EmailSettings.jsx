@@ -7,6 +7,8 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Switch } from '@/components/ui/switch';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { emailConfigAPI } from '@/services/api';
+import EmailTemplateEditor from '@/components/EmailTemplateEditor';
+import EmailDeliveryLog from '@/components/EmailDeliveryLog';
 import { Mail, Settings, TestTube, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
 
 const EmailSettings = () => {
@@ -359,6 +361,12 @@ const EmailSettings = () => {
             ))
           )}
         </div>
+
+        {/* Clinic wording for OTP, reset, referral and waitlist emails */}
+        {(currentUser.role === 'clinic' || currentUser.isClinic) && <EmailTemplateEditor />}
+
+        {/* Every email sent for the clinic, with retries and resend */}
+        {(currentUser.role === 'clinic' || currentUser.isClinic) && <EmailDeliveryLog />}
       </div>
     </div>
   );
@@ -6,6 +6,7 @@ import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, D
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { 
   Package, 
   Plus, 
@@ -16,10 +17,34 @@ import {
   Calendar,
   DollarSign,
   TrendingUp,
-  Filter
+  Filter,
+  History,
+  ArrowLeftRight,
+  RefreshCw,
+  Truck,
+  ClipboardList,
+  Send,
+  PackageCheck,
+  CheckCircle,
+  XCircle
 } from "lucide-react";
-import { inventoryAPI } from '../services/api';
+import { inventoryAPI, supplierAPI, purchaseOrderAPI } from '../services/api';
 import { useToast } from "@/hooks/use-toast";
+import PurchaseOrderModal from "@/components/PurchaseOrderModal";
+import GoodsReceiptModal from "@/components/GoodsReceiptModal";
+
+const emptySupplierForm = {
+  name: "",
+  contactPerson: "",
+  email: "",
+  phone: "",
+  address: "",
+  gstin: "",
+  drugLicenseNumber: "",
+  paymentTerms: "",
+  leadTimeDays: 7,
+  notes: ""
+};
 
 const InventoryManagement = () => {
   const [inventory, setInventory] = useState([]);
@@ -31,6 +56,28 @@ const InventoryManagement = () => {
   const [categoryFilter, setCategoryFilter] = useState("all");
   const [statusFilter, setStatusFilter] = useState("all");
   const [submitting, setSubmitting] = useState(false);
+  const [activeTab, setActiveTab] = useState("items");
+  const [ledgerItemId, setLedgerItemId] = useState("");
+  const [ledger, setLedger] = useState([]);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [ledgerLoading, setLedgerLoading] = useState(false);
+  const [isMovementModalOpen, setIsMovementModalOpen] = useState(false);
+  const [movementForm, setMovementForm] = useState({
+    type: "receipt",
+    quantity: "",
+    reason: "",
+    targetInventoryId: ""
+  });
+  const [suppliers, setSuppliers] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [poStatusFilter, setPoStatusFilter] = useState("all");
+  const [purchasingLoading, setPurchasingLoading] = useState(false);
+  const [isPOModalOpen, setIsPOModalOpen] = useState(false);
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [receivingOrder, setReceivingOrder] = useState(null);
+  const [isSupplierModalOpen, setIsSupplierModalOpen] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [supplierForm, setSupplierForm] = useState(emptySupplierForm);
   
   const [itemForm, setItemForm] = useState({
     medicationName: "",
@@ -58,10 +105,181 @@ const InventoryManagement = () => {
     "Drops", "Inhaler", "Cream", "Gel", "Powder", "Other"
   ];
 
+  const movementTypes = [
+    { value: "receipt", label: "Receipt" },
+    { value: "return", label: "Return" },
+    { value: "expiry_writeoff", label: "Expiry Write-off" },
+    { value: "transfer", label: "Transfer" },
+    { value: "adjustment", label: "Adjustment (+/-)" }
+  ];
+
+  const transactionLabels = {
+    receipt: "Receipt",
+    dispense: "Dispense",
+    adjustment: "Adjustment",
+    return: "Return",
+    expiry_writeoff: "Expiry Write-off",
+    transfer_out: "Transfer Out",
+    transfer_in: "Transfer In"
+  };
+
   useEffect(() => {
     loadInventory();
   }, [searchQuery, categoryFilter, statusFilter]);
 
+  useEffect(() => {
+    if (ledgerItemId) {
+      loadLedger(ledgerItemId);
+    }
+  }, [ledgerItemId]);
+
+  useEffect(() => {
+    if (activeTab === "purchaseOrders" || activeTab === "suppliers") {
+      loadPurchasing();
+    }
+  }, [activeTab, poStatusFilter]);
+
+  const poStatusLabels = {
+    draft: { label: "Draft", color: "secondary" },
+    sent: { label: "Sent", color: "default" },
+    partially_received: { label: "Partially Received", color: "warning" },
+    received: { label: "Received", color: "success" },
+    cancelled: { label: "Cancelled", color: "destructive" }
+  };
+
+  const loadPurchasing = async () => {
+    try {
+      setPurchasingLoading(true);
+      const filters = poStatusFilter !== "all" ? { status: poStatusFilter } : {};
+      const [supplierResponse, orderResponse] = await Promise.all([
+        supplierAPI.getAll(),
+        purchaseOrderAPI.getAll(1, 50, filters)
+      ]);
+
+      if (supplierResponse.success) {
+        setSuppliers(supplierResponse.data || []);
+      }
+      if (orderResponse.success) {
+        setPurchaseOrders(orderResponse.data || []);
+      }
+    } catch (error) {
+      console.error('Error loading purchase orders:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load purchase orders",
+        variant: "destructive"
+      });
+    } finally {
+      setPurchasingLoading(false);
+    }
+  };
+
+  const handleOrderStatus = async (order, status) => {
+    let reason = "";
+    if (status === "cancelled") {
+      reason = prompt(`Reason for cancelling ${order.poNumber}?`) || "";
+    } else if (status === "received") {
+      if (!confirm(`Close ${order.poNumber}? Outstanding quantities will no longer be expected.`)) return;
+      reason = prompt("Reason for closing short?") || "";
+    }
+
+    try {
+      const response = await purchaseOrderAPI.updateStatus(order._id, status, reason);
+
+      if (response.success) {
+        toast({
+          title: "Success",
+          description: `${order.poNumber} marked as ${poStatusLabels[status]?.label || status}`
+        });
+        loadPurchasing();
+      }
+    } catch (error) {
+      console.error('Error updating purchase order status:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to update purchase order",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const openSupplierModal = (supplier = null) => {
+    setEditingSupplier(supplier);
+    setSupplierForm(supplier ? {
+      name: supplier.name,
+      contactPerson: supplier.contactPerson || "",
+      email: supplier.email || "",
+      phone: supplier.phone || "",
+      address: supplier.address || "",
+      gstin: supplier.gstin || "",
+      drugLicenseNumber: supplier.drugLicenseNumber || "",
+      paymentTerms: supplier.paymentTerms || "",
+      leadTimeDays: supplier.leadTimeDays ?? 7,
+      notes: supplier.notes || ""
+    } : emptySupplierForm);
+    setIsSupplierModalOpen(true);
+  };
+
+  const handleSaveSupplier = async () => {
+    if (!supplierForm.name.trim()) {
+      toast({
+        title: "Validation Error",
+        description: "Supplier name is required",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = editingSupplier
+        ? await supplierAPI.update(editingSupplier._id, supplierForm)
+        : await supplierAPI.create(supplierForm);
+
+      if (response.success) {
+        toast({
+          title: "Success",
+          description: response.message
+        });
+        setIsSupplierModalOpen(false);
+        setEditingSupplier(null);
+        loadPurchasing();
+      }
+    } catch (error) {
+      console.error('Error saving supplier:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to save supplier",
+        variant: "destructive"
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDeleteSupplier = async (supplier) => {
+    if (!confirm(`Are you sure you want to delete ${supplier.name}?`)) return;
+
+    try {
+      const response = await supplierAPI.delete(supplier._id);
+
+      if (response.success) {
+        toast({
+          title: "Success",
+          description: "Supplier deleted successfully"
+        });
+        loadPurchasing();
+      }
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+      toast({
+        title: "Error",
+        description: "Failed to delete supplier",
+        variant: "destructive"
+      });
+    }
+  };
+
   const loadInventory = async () => {
     try {
       setLoading(true);
@@ -100,6 +318,117 @@ const InventoryManagement = () => {
     }
   };
 
+  const loadLedger = async (itemId) => {
+    try {
+      setLedgerLoading(true);
+      const response = await inventoryAPI.getLedger(itemId);
+
+      if (response.success) {
+        setLedger(response.data.transactions || []);
+        setReconciliation(response.data.reconciliation || null);
+      }
+    } catch (error) {
+      console.error('Error loading ledger:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load stock ledger",
+        variant: "destructive"
+      });
+    } finally {
+      setLedgerLoading(false);
+    }
+  };
+
+  const openLedger = (item) => {
+    setLedgerItemId(item._id);
+    setActiveTab("ledger");
+  };
+
+  const openMovementModal = (item) => {
+    setSelectedItem(item);
+    setMovementForm({ type: "receipt", quantity: "", reason: "", targetInventoryId: "" });
+    setIsMovementModalOpen(true);
+  };
+
+  const handleRecordMovement = async () => {
+    const quantity = parseInt(movementForm.quantity);
+    if (!quantity) {
+      toast({
+        title: "Validation Error",
+        description: "Please enter a quantity",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    if (movementForm.type === "transfer" && !movementForm.targetInventoryId) {
+      toast({
+        title: "Validation Error",
+        description: "Please select the item to transfer stock to",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const payload = {
+        type: movementForm.type,
+        quantity,
+        reason: movementForm.reason
+      };
+      if (movementForm.type === "transfer") {
+        payload.targetInventoryId = movementForm.targetInventoryId;
+      }
+
+      const response = await inventoryAPI.recordMovement(selectedItem._id, payload);
+
+      if (response.success) {
+        toast({
+          title: "Success",
+          description: response.message || "Stock movement recorded"
+        });
+        setIsMovementModalOpen(false);
+        setSelectedItem(null);
+        loadInventory();
+        if (ledgerItemId) {
+          loadLedger(ledgerItemId);
+        }
+      }
+    } catch (error) {
+      console.error('Error recording movement:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to record stock movement",
+        variant: "destructive"
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReconcile = async () => {
+    try {
+      const response = await inventoryAPI.reconcile(ledgerItemId);
+
+      if (response.success) {
+        toast({
+          title: "Success",
+          description: response.message
+        });
+        loadInventory();
+        loadLedger(ledgerItemId);
+      }
+    } catch (error) {
+      console.error('Error reconciling stock:', error);
+      toast({
+        title: "Error",
+        description: "Failed to reconcile stock",
+        variant: "destructive"
+      });
+    }
+  };
+
   const handleAddItem = async () => {
     try {
       setSubmitting(true);
@@ -262,114 +591,630 @@ const InventoryManagement = () => {
         </Button>
       </div>
 
-      {/* Filters */}
-      <Card>
-        <CardContent className="pt-6">
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-              <Input
-                placeholder="Search medications..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="pl-10"
-              />
-            </div>
+      <Tabs value={activeTab} onValueChange={setActiveTab}>
+        <TabsList className="grid w-[640px] grid-cols-4">
+          <TabsTrigger value="items">Medications</TabsTrigger>
+          <TabsTrigger value="ledger">Stock Ledger</TabsTrigger>
+          <TabsTrigger value="purchaseOrders">Purchase Orders</TabsTrigger>
+          <TabsTrigger value="suppliers">Suppliers</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="items" className="space-y-6">
+          {/* Filters */}
+          <Card>
+            <CardContent className="pt-6">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="relative">
+                  <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+                  <Input
+                    placeholder="Search medications..."
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    className="pl-10"
+                  />
+                </div>
             
-            <Select value={categoryFilter} onValueChange={setCategoryFilter}>
-              <SelectTrigger>
-                <SelectValue placeholder="All Categories" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="all">All Categories</SelectItem>
-                {categories.map((cat) => (
-                  <SelectItem key={cat} value={cat}>{cat}</SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
-
-            <Select value={statusFilter} onValueChange={setStatusFilter}>
-              <SelectTrigger>
-                <SelectValue placeholder="All Status" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="all">All Status</SelectItem>
-                <SelectItem value="lowStock">Low Stock</SelectItem>
-                <SelectItem value="expiring">Expiring Soon</SelectItem>
-                <SelectItem value="expired">Expired</SelectItem>
-              </SelectContent>
-            </Select>
-          </div>
-        </CardContent>
-      </Card>
-
-      {/* Inventory List */}
-      <Card>
-        <CardHeader>
-          <CardTitle>Medications ({inventory.length})</CardTitle>
-        </CardHeader>
-        <CardContent>
-          {loading ? (
-            <div className="text-center py-8">Loading...</div>
-          ) : inventory.length === 0 ? (
-            <div className="text-center py-8 text-gray-500">No medications found</div>
-          ) : (
-            <div className="space-y-3">
-              {inventory.map((item) => {
-                const stockStatus = getStockStatus(item);
-                const expiringSoon = isExpiringSoon(item.expiryDate);
-                const expired = isExpired(item.expiryDate);
-
-                return (
-                  <div key={item._id} className="flex items-center justify-between p-4 border rounded-lg hover:bg-gray-50">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-3">
-                        <Package className="w-5 h-5 text-blue-600" />
-                        <div>
-                          <h3 className="font-semibold text-gray-900">{item.medicationName}</h3>
-                          <p className="text-sm text-gray-600">
-                            {item.genericName && `${item.genericName} • `}
-                            {item.strength} • Batch: {item.batchNumber}
-                          </p>
+                <Select value={categoryFilter} onValueChange={setCategoryFilter}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="All Categories" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All Categories</SelectItem>
+                    {categories.map((cat) => (
+                      <SelectItem key={cat} value={cat}>{cat}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+
+                <Select value={statusFilter} onValueChange={setStatusFilter}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="All Status" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All Status</SelectItem>
+                    <SelectItem value="lowStock">Low Stock</SelectItem>
+                    <SelectItem value="expiring">Expiring Soon</SelectItem>
+                    <SelectItem value="expired">Expired</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Inventory List */}
+          <Card>
+            <CardHeader>
+              <CardTitle>Medications ({inventory.length})</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {loading ? (
+                <div className="text-center py-8">Loading...</div>
+              ) : inventory.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">No medications found</div>
+              ) : (
+                <div className="space-y-3">
+                  {inventory.map((item) => {
+                    const stockStatus = getStockStatus(item);
+                    const expiringSoon = isExpiringSoon(item.expiryDate);
+                    const expired = isExpired(item.expiryDate);
+
+                    return (
+                      <div key={item._id} className="flex items-center justify-between p-4 border rounded-lg hover:bg-gray-50">
+                        <div className="flex-1">
+                          <div className="flex items-center gap-3">
+                            <Package className="w-5 h-5 text-blue-600" />
+                            <div>
+                              <h3 className="font-semibold text-gray-900">{item.medicationName}</h3>
+                              <p className="text-sm text-gray-600">
+                                {item.genericName && `${item.genericName} • `}
+                                {item.strength} • Batch: {item.batchNumber}
+                              </p>
+                            </div>
+                          </div>
+                        </div>
+
+                        <div className="flex items-center gap-4">
+                          <div className="text-right">
+                            <p className="text-sm font-medium">Qty: {item.quantity}</p>
+                            <p className="text-xs text-gray-500">
+                              Expires: {new Date(item.expiryDate).toLocaleDateString()}
+                            </p>
+                          </div>
+
+                          <div className="flex flex-col gap-1">
+                            <Badge variant={stockStatus.color}>{stockStatus.label}</Badge>
+                            {expired && <Badge variant="destructive">Expired</Badge>}
+                            {!expired && expiringSoon && <Badge variant="warning">Expiring Soon</Badge>}
+                          </div>
+
+                          <div className="flex gap-2">
+                            <Button size="sm" variant="outline" title="Record stock movement" onClick={() => openMovementModal(item)}>
+                              <ArrowLeftRight className="w-4 h-4" />
+                            </Button>
+                            <Button size="sm" variant="outline" title="View stock ledger" onClick={() => openLedger(item)}>
+                              <History className="w-4 h-4" />
+                            </Button>
+                            <Button size="sm" variant="outline" onClick={() => openEditModal(item)}>
+                              <Edit className="w-4 h-4" />
+                            </Button>
+                            <Button 
+                              size="sm" 
+                              variant="outline" 
+                              className="text-red-600 hover:text-red-700"
+                              onClick={() => handleDeleteItem(item._id, item.medicationName)}
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </Button>
+                          </div>
                         </div>
                       </div>
+                    );
+                  })}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
+
+        <TabsContent value="ledger" className="space-y-6">
+          <Card>
+            <CardContent className="pt-6">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                <div className="md:col-span-2">
+                  <Label>Medication / Batch</Label>
+                  <Select value={ledgerItemId} onValueChange={setLedgerItemId}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select an item to view its ledger" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {inventory.map((item) => (
+                        <SelectItem key={item._id} value={item._id}>
+                          {item.medicationName} {item.strength} • Batch: {item.batchNumber}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                {ledgerItemId && (
+                  <Button
+                    variant="outline"
+                    onClick={() => openMovementModal(inventory.find((item) => item._id === ledgerItemId))}
+                    disabled={!inventory.find((item) => item._id === ledgerItemId)}
+                  >
+                    <ArrowLeftRight className="w-4 h-4 mr-2" />
+                    Record Movement
+                  </Button>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+
+          {reconciliation && ledgerItemId && (
+            <Card>
+              <CardContent className="pt-6">
+                <div className="flex items-center justify-between">
+                  <div className="flex gap-8">
+                    <div>
+                      <p className="text-sm text-gray-500">Stored Quantity</p>
+                      <p className="text-xl font-semibold">{reconciliation.storedQuantity}</p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-500">Ledger Balance</p>
+                      <p className="text-xl font-semibold">{reconciliation.ledgerBalance}</p>
                     </div>
+                    <div>
+                      <p className="text-sm text-gray-500">Entries</p>
+                      <p className="text-xl font-semibold">{reconciliation.entries}</p>
+                    </div>
+                  </div>
+                  {reconciliation.discrepancy !== 0 ? (
+                    <div className="flex items-center gap-3">
+                      <Badge variant="destructive">
+                        <AlertTriangle className="w-3 h-3 mr-1" />
+                        Off by {reconciliation.discrepancy}
+                      </Badge>
+                      <Button size="sm" variant="outline" onClick={handleReconcile}>
+                        <RefreshCw className="w-4 h-4 mr-2" />
+                        Reconcile
+                      </Button>
+                    </div>
+                  ) : (
+                    <Badge variant="default">Reconciled</Badge>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          )}
 
-                    <div className="flex items-center gap-4">
-                      <div className="text-right">
-                        <p className="text-sm font-medium">Qty: {item.quantity}</p>
-                        <p className="text-xs text-gray-500">
-                          Expires: {new Date(item.expiryDate).toLocaleDateString()}
-                        </p>
-                      </div>
+          <Card>
+            <CardHeader>
+              <CardTitle>Movements ({ledger.length})</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {!ledgerItemId ? (
+                <div className="text-center py-8 text-gray-500">Select an item to view its stock movements</div>
+              ) : ledgerLoading ? (
+                <div className="text-center py-8">Loading...</div>
+              ) : ledger.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">No stock movements recorded</div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b text-left text-gray-500">
+                        <th className="py-2 pr-4">Date</th>
+                        <th className="py-2 pr-4">Type</th>
+                        <th className="py-2 pr-4 text-right">Change</th>
+                        <th className="py-2 pr-4 text-right">Balance</th>
+                        <th className="py-2 pr-4">Reference</th>
+                        <th className="py-2 pr-4">Reason</th>
+                        <th className="py-2">By</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ledger.map((entry) => (
+                        <tr key={entry._id} className="border-b last:border-0">
+                          <td className="py-2 pr-4 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                          <td className="py-2 pr-4">
+                            <Badge variant="outline">{transactionLabels[entry.type] || entry.type}</Badge>
+                          </td>
+                          <td className={`py-2 pr-4 text-right font-medium ${entry.quantityChange < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                            {entry.quantityChange > 0 ? `+${entry.quantityChange}` : entry.quantityChange}
+                          </td>
+                          <td className="py-2 pr-4 text-right">{entry.balanceAfter}</td>
+                          <td className="py-2 pr-4">
+                            {entry.referenceId?.prescriptionNumber
+                              || (entry.relatedInventoryId && `${entry.relatedInventoryId.medicationName} (${entry.relatedInventoryId.batchNumber})`)
+                              || '-'}
+                          </td>
+                          <td className="py-2 pr-4 text-gray-600">{entry.reason || '-'}</td>
+                          <td className="py-2 text-gray-600">{entry.performedByName || '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
 
-                      <div className="flex flex-col gap-1">
-                        <Badge variant={stockStatus.color}>{stockStatus.label}</Badge>
-                        {expired && <Badge variant="destructive">Expired</Badge>}
-                        {!expired && expiringSoon && <Badge variant="warning">Expiring Soon</Badge>}
+        <TabsContent value="purchaseOrders" className="space-y-6">
+          <Card>
+            <CardContent className="pt-6">
+              <div className="flex items-center justify-between gap-4">
+                <Select value={poStatusFilter} onValueChange={setPoStatusFilter}>
+                  <SelectTrigger className="w-[240px]">
+                    <SelectValue placeholder="All Status" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All Status</SelectItem>
+                    {Object.entries(poStatusLabels).map(([value, { label }]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button
+                  onClick={() => {
+                    setEditingOrder(null);
+                    setIsPOModalOpen(true);
+                  }}
+                  disabled={suppliers.length === 0}
+                  title={suppliers.length === 0 ? "Add a supplier first" : undefined}
+                >
+                  <Plus className="w-4 h-4 mr-2" />
+                  New Purchase Order
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Purchase Orders ({purchaseOrders.length})</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {purchasingLoading ? (
+                <div className="text-center py-8">Loading...</div>
+              ) : purchaseOrders.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">No purchase orders found</div>
+              ) : (
+                <div className="space-y-3">
+                  {purchaseOrders.map((order) => {
+                    const status = poStatusLabels[order.status] || { label: order.status, color: "secondary" };
+                    const ordered = order.lines.reduce((sum, line) => sum + line.quantityOrdered, 0);
+                    const received = order.lines.reduce((sum, line) => sum + line.quantityReceived, 0);
+
+                    return (
+                      <div key={order._id} className="flex items-center justify-between p-4 border rounded-lg hover:bg-gray-50">
+                        <div className="flex items-center gap-3">
+                          <ClipboardList className="w-5 h-5 text-blue-600" />
+                          <div>
+                            <h3 className="font-semibold text-gray-900">{order.poNumber}</h3>
+                            <p className="text-sm text-gray-600">
+                              {order.supplierId?.name || 'Unknown supplier'} • {order.lines.length} line(s) • ₹{(order.totalAmount || 0).toFixed(2)}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              Received {received} of {ordered}
+                              {order.expectedDate && ` • Expected ${new Date(order.expectedDate).toLocaleDateString()}`}
+                              {order.receipts?.length > 0 && ` • ${order.receipts.map((r) => r.grnNumber).join(', ')}`}
+                            </p>
+                          </div>
+                        </div>
+
+                        <div className="flex items-center gap-3">
+                          <Badge variant={status.color}>{status.label}</Badge>
+                          <div className="flex gap-2">
+                            {order.status === "draft" && (
+                              <>
+                                <Button size="sm" variant="outline" title="Edit draft" onClick={() => {
+                                  setEditingOrder(order);
+                                  setIsPOModalOpen(true);
+                                }}>
+                                  <Edit className="w-4 h-4" />
+                                </Button>
+                                <Button size="sm" variant="outline" title="Mark as sent" onClick={() => handleOrderStatus(order, "sent")}>
+                                  <Send className="w-4 h-4" />
+                                </Button>
+                              </>
+                            )}
+                            {["sent", "partially_received"].includes(order.status) && (
+                              <Button size="sm" variant="outline" title="Receive goods" onClick={() => setReceivingOrder(order)}>
+                                <PackageCheck className="w-4 h-4" />
+                              </Button>
+                            )}
+                            {order.status === "partially_received" && (
+                              <Button size="sm" variant="outline" title="Close short" onClick={() => handleOrderStatus(order, "received")}>
+                                <CheckCircle className="w-4 h-4" />
+                              </Button>
+                            )}
+                            {["draft", "sent"].includes(order.status) && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                className="text-red-600 hover:text-red-700"
+                                title="Cancel order"
+                                onClick={() => handleOrderStatus(order, "cancelled")}
+                              >
+                                <XCircle className="w-4 h-4" />
+                              </Button>
+                            )}
+                          </div>
+                        </div>
                       </div>
+                    );
+                  })}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
 
+        <TabsContent value="suppliers" className="space-y-6">
+          <Card>
+            <CardHeader>
+              <div className="flex items-center justify-between">
+                <CardTitle>Suppliers ({suppliers.length})</CardTitle>
+                <Button onClick={() => openSupplierModal()}>
+                  <Plus className="w-4 h-4 mr-2" />
+                  Add Supplier
+                </Button>
+              </div>
+            </CardHeader>
+            <CardContent>
+              {purchasingLoading ? (
+                <div className="text-center py-8">Loading...</div>
+              ) : suppliers.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">No suppliers added yet</div>
+              ) : (
+                <div className="space-y-3">
+                  {suppliers.map((supplier) => (
+                    <div key={supplier._id} className="flex items-center justify-between p-4 border rounded-lg hover:bg-gray-50">
+                      <div className="flex items-center gap-3">
+                        <Truck className="w-5 h-5 text-blue-600" />
+                        <div>
+                          <h3 className="font-semibold text-gray-900">{supplier.name}</h3>
+                          <p className="text-sm text-gray-600">
+                            {[supplier.contactPerson, supplier.phone, supplier.email].filter(Boolean).join(' • ') || 'No contact details'}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {supplier.gstin && `GSTIN: ${supplier.gstin} • `}Lead time: {supplier.leadTimeDays} day(s)
+                          </p>
+                        </div>
+                      </div>
                       <div className="flex gap-2">
-                        <Button size="sm" variant="outline" onClick={() => openEditModal(item)}>
+                        <Button size="sm" variant="outline" onClick={() => openSupplierModal(supplier)}>
                           <Edit className="w-4 h-4" />
                         </Button>
-                        <Button 
-                          size="sm" 
-                          variant="outline" 
+                        <Button
+                          size="sm"
+                          variant="outline"
                           className="text-red-600 hover:text-red-700"
-                          onClick={() => handleDeleteItem(item._id, item.medicationName)}
+                          onClick={() => handleDeleteSupplier(supplier)}
                         >
                           <Trash2 className="w-4 h-4" />
                         </Button>
                       </div>
                     </div>
-                  </div>
-                );
-              })}
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
+      </Tabs>
+
+      <PurchaseOrderModal
+        isOpen={isPOModalOpen}
+        onClose={() => {
+          setIsPOModalOpen(false);
+          setEditingOrder(null);
+        }}
+        suppliers={suppliers}
+        order={editingOrder}
+        onSuccess={loadPurchasing}
+      />
+
+      <GoodsReceiptModal
+        isOpen={!!receivingOrder}
+        onClose={() => setReceivingOrder(null)}
+        order={receivingOrder}
+        onSuccess={() => {
+          loadPurchasing();
+          loadInventory();
+        }}
+      />
+
+      {/* Supplier Modal */}
+      <Dialog open={isSupplierModalOpen} onOpenChange={(open) => {
+        if (!open) {
+          setIsSupplierModalOpen(false);
+          setEditingSupplier(null);
+        }
+      }}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{editingSupplier ? 'Edit Supplier' : 'Add Supplier'}</DialogTitle>
+            <DialogDescription>Supplier details used on purchase orders</DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 py-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Name *</Label>
+                <Input
+                  value={supplierForm.name}
+                  onChange={(e) => setSupplierForm({...supplierForm, name: e.target.value})}
+                  placeholder="ABC Pharma Distributors"
+                />
+              </div>
+              <div>
+                <Label>Contact Person</Label>
+                <Input
+                  value={supplierForm.contactPerson}
+                  onChange={(e) => setSupplierForm({...supplierForm, contactPerson: e.target.value})}
+                />
+              </div>
             </div>
-          )}
-        </CardContent>
-      </Card>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Phone</Label>
+                <Input
+                  value={supplierForm.phone}
+                  onChange={(e) => setSupplierForm({...supplierForm, phone: e.target.value})}
+                />
+              </div>
+              <div>
+                <Label>Email</Label>
+                <Input
+                  type="email"
+                  value={supplierForm.email}
+                  onChange={(e) => setSupplierForm({...supplierForm, email: e.target.value})}
+                />
+              </div>
+            </div>
+            <div>
+              <Label>Address</Label>
+              <Input
+                value={supplierForm.address}
+                onChange={(e) => setSupplierForm({...supplierForm, address: e.target.value})}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>GSTIN</Label>
+                <Input
+                  value={supplierForm.gstin}
+                  onChange={(e) => setSupplierForm({...supplierForm, gstin: e.target.value})}
+                />
+              </div>
+              <div>
+                <Label>Drug License No.</Label>
+                <Input
+                  value={supplierForm.drugLicenseNumber}
+                  onChange={(e) => setSupplierForm({...supplierForm, drugLicenseNumber: e.target.value})}
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Payment Terms</Label>
+                <Input
+                  value={supplierForm.paymentTerms}
+                  onChange={(e) => setSupplierForm({...supplierForm, paymentTerms: e.target.value})}
+                  placeholder="Net 30"
+                />
+              </div>
+              <div>
+                <Label>Lead Time (days)</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={supplierForm.leadTimeDays}
+                  onChange={(e) => setSupplierForm({...supplierForm, leadTimeDays: parseInt(e.target.value) || 0})}
+                />
+              </div>
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => {
+              setIsSupplierModalOpen(false);
+              setEditingSupplier(null);
+            }}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveSupplier} disabled={submitting}>
+              {submitting ? "Saving..." : editingSupplier ? "Update" : "Add Supplier"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Stock Movement Modal */}
+      <Dialog open={isMovementModalOpen} onOpenChange={(open) => {
+        if (!open) {
+          setIsMovementModalOpen(false);
+          setSelectedItem(null);
+        }
+      }}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Record Stock Movement</DialogTitle>
+            <DialogDescription>
+              {selectedItem && `${selectedItem.medicationName} • Batch: ${selectedItem.batchNumber} • Current stock: ${selectedItem.quantity}`}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 py-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Movement Type *</Label>
+                <Select value={movementForm.type} onValueChange={(value) => setMovementForm({...movementForm, type: value})}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {movementTypes.map((type) => (
+                      <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Quantity *</Label>
+                <Input
+                  type="number"
+                  value={movementForm.quantity}
+                  onChange={(e) => setMovementForm({...movementForm, quantity: e.target.value})}
+                  placeholder={movementForm.type === "adjustment" ? "e.g. -5 or 5" : "e.g. 20"}
+                />
+              </div>
+            </div>
+
+            {movementForm.type === "transfer" && (
+              <div>
+                <Label>Transfer To *</Label>
+                <Select value={movementForm.targetInventoryId} onValueChange={(value) => setMovementForm({...movementForm, targetInventoryId: value})}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select target item" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {inventory
+                      .filter((item) => item._id !== selectedItem?._id)
+                      .map((item) => (
+                        <SelectItem key={item._id} value={item._id}>
+                          {item.medicationName} {item.strength} • Batch: {item.batchNumber}{item.location ? ` • ${item.location}` : ''}
+                        </SelectItem>
+                      ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            <div>
+              <Label>Reason</Label>
+              <Input
+                value={movementForm.reason}
+                onChange={(e) => setMovementForm({...movementForm, reason: e.target.value})}
+                placeholder="e.g. Supplier delivery, damaged strip, stock count"
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => {
+              setIsMovementModalOpen(false);
+              setSelectedItem(null);
+            }}>
+              Cancel
+            </Button>
+            <Button onClick={handleRecordMovement} disabled={submitting}>
+              {submitting ? "Saving..." : "Record Movement"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
 
       {/* Add/Edit Modal */}
       <Dialog open={isAddModalOpen || isEditModalOpen} onOpenChange={(open) => {
@@ -1960,26 +1960,26 @@ const PatientDetails = () => {
                           </div>
                           <div className="flex-1 min-w-0">
                             <h4 className="font-semibold text-gray-900 text-lg mb-1">
-                              Invoice #{invoice.invoiceNo || invoice.invoiceNumber || invoice._id?.slice(-6)}
+                              Invoice #{invoice.invoiceNumber || invoice._id?.slice(-6)}
                             </h4>
                             <p className="text-sm text-gray-500">
-                              {invoice.date || (invoice.createdAt ? new Date(invoice.createdAt).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A')}
+                              {invoice.date ? new Date(invoice.date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A'}
                             </p>
                           </div>
                         </div>
                         <div className="text-right flex-shrink-0 ml-4">
                           <p className="text-2xl font-bold text-gray-900 mb-2">
-                            ₹{(invoice.total || invoice.totalAmount || 0).toFixed(2)}
+                            ₹{(invoice.total || 0).toFixed(2)}
                           </p>
                           <Badge 
                             variant={
-                              invoice.status === 'Approved' || invoice.paymentStatus === 'paid' ? 'success' : 
-                              invoice.status === 'Rejected' ? 'destructive' :
-                              invoice.paymentStatus === 'pending' ? 'warning' : 'secondary'
+                              ['approved', 'paid'].includes(invoice.status) ? 'success' : 
+                              invoice.status === 'rejected' ? 'destructive' :
+                              invoice.status === 'unapproved' ? 'warning' : 'secondary'
                             }
-                            className="text-xs px-3 py-1"
+                            className="text-xs px-3 py-1 capitalize"
                           >
-                            {invoice.status || (invoice.paymentStatus ? invoice.paymentStatus.charAt(0).toUpperCase() + invoice.paymentStatus.slice(1) : 'Pending')}
+                            {invoice.status?.replace(/_/g, ' ') || 'unapproved'}
                           </Badge>
                         </div>
                       </div>
@@ -2518,20 +2518,20 @@ const PatientDetails = () => {
                 <div className="flex justify-between items-start mb-4">
                   <div>
                     <h3 className="text-2xl font-bold text-gray-900">
-                      Invoice #{selectedInvoice.invoiceNo}
+                      Invoice #{selectedInvoice.invoiceNumber}
                     </h3>
                     <p className="text-sm text-gray-600 mt-1">
-                      Date: {selectedInvoice.date || (selectedInvoice.createdAt ? new Date(selectedInvoice.createdAt).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A')}
+                      Date: {selectedInvoice.date ? new Date(selectedInvoice.date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A'}
                     </p>
                   </div>
                   <Badge 
                     variant={
-                      selectedInvoice.status === 'Approved' ? 'success' : 
-                      selectedInvoice.status === 'Rejected' ? 'destructive' : 'secondary'
+                      ['approved', 'paid'].includes(selectedInvoice.status) ? 'success' : 
+                      selectedInvoice.status === 'rejected' ? 'destructive' : 'secondary'
                     }
-                    className="text-sm px-4 py-2"
+                    className="text-sm px-4 py-2 capitalize"
                   >
-                    {selectedInvoice.status}
+                    {selectedInvoice.status?.replace(/_/g, ' ')}
                   </Badge>
                 </div>
               </div>
@@ -2553,7 +2553,7 @@ const PatientDetails = () => {
                 <div>
                   <span className="text-sm font-semibold text-gray-600">Address:</span>
                   <p className="text-gray-900 text-sm">
-                    {selectedInvoice.address ? 
+                    {selectedInvoice.address?.line1 ? 
                       `${selectedInvoice.address.line1}${selectedInvoice.address.line2 ? ', ' + selectedInvoice.address.line2 : ''}, ${selectedInvoice.address.city}, ${selectedInvoice.address.state} ${selectedInvoice.address.zipCode}` 
                       : 'N/A'}
                   </p>
@@ -2595,7 +2595,7 @@ const PatientDetails = () => {
                 <div className="space-y-2 max-w-sm ml-auto">
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-600">Subtotal:</span>
-                    <span className="font-medium">₹{(selectedInvoice.lineItems?.reduce((sum, item) => sum + (item.qty * item.unitPrice), 0) || 0).toFixed(2)}</span>
+                    <span className="font-medium">₹{(selectedInvoice.subtotal || 0).toFixed(2)}</span>
                   </div>
                   {selectedInvoice.discount > 0 && (
                     <div className="flex justify-between text-sm text-green-600">
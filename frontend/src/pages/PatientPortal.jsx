@@ -0,0 +1,523 @@
+import { useState, useEffect, useCallback } from "react";
+import { Navigate, useNavigate } from "react-router-dom";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import {
+  Calendar,
+  CalendarPlus,
+  Clock,
+  Download,
+  FileText,
+  FlaskConical,
+  HeartPulse,
+  LogOut,
+  Pill,
+  Receipt,
+  Stethoscope,
+  Video
+} from "lucide-react";
+import { toast } from "sonner";
+import { patientPortalAPI } from "@/services/api";
+import patientSession from "@/utils/patientSession";
+import { getAvailableTimeSlots, formatTime } from "@/utils/availabilityUtils";
+import { todayIn, zoneLabel, DEFAULT_TIME_ZONE } from "@/utils/clinicTime";
+import ClinicTimeHint from "@/components/ClinicTimeHint";
+
+const STATUS_VARIANTS = {
+  Processing: 'outline',
+  Scheduled: 'default',
+  Confirmed: 'default',
+  Completed: 'secondary',
+  Cancelled: 'destructive',
+  'No Show': 'destructive'
+};
+
+// Appointment days are stored as UTC midnight, so pass 'UTC' to show them unshifted
+const formatDate = (date, timeZone) => new Date(date).toLocaleDateString(undefined, {
+  weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone
+});
+
+const formatMoney = (value) => `₹${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const EmptyState = ({ icon: Icon, message }) => (
+  <div className="text-center py-10 text-muted-foreground">
+    <Icon className="w-10 h-10 mx-auto mb-2 opacity-50" />
+    <p>{message}</p>
+  </div>
+);
+
+const emptyBooking = { doctorId: '', appointmentType: '', date: '', time: '', reason: '' };
+
+const PatientPortal = () => {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(() => patientSession.getUser());
+  const [profiles, setProfiles] = useState(() => patientSession.getProfiles());
+  const [scope, setScope] = useState('upcoming');
+  const [appointments, setAppointments] = useState([]);
+  const [prescriptions, setPrescriptions] = useState([]);
+  const [labReports, setLabReports] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const [isBookingOpen, setIsBookingOpen] = useState(false);
+  const [doctors, setDoctors] = useState([]);
+  const [appointmentTypes, setAppointmentTypes] = useState([]);
+  const [booking, setBooking] = useState(emptyBooking);
+  const [slots, setSlots] = useState([]);
+  const [clinicTimeZone, setClinicTimeZone] = useState(DEFAULT_TIME_ZONE);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadAppointments = useCallback(async () => {
+    const response = await patientPortalAPI.getAppointments(scope);
+    setAppointments(response.appointments || []);
+  }, [scope]);
+
+  const loadRecords = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [me, prescriptionData, labData, invoiceData] = await Promise.all([
+        patientPortalAPI.getMe(),
+        patientPortalAPI.getPrescriptions(),
+        patientPortalAPI.getLabReports(),
+        patientPortalAPI.getInvoices()
+      ]);
+      setUser(me.user);
+      setProfiles(me.profiles || []);
+      setClinicTimeZone(me.patient?.clinicId?.timezone || DEFAULT_TIME_ZONE);
+      setPrescriptions(prescriptionData.prescriptions || []);
+      setLabReports(labData.reports || []);
+      setInvoices(invoiceData.invoices || []);
+    } catch (error) {
+      console.error('Error loading patient records:', error);
+      toast.error(error.message || "Failed to load your records");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (patientSession.isLoggedIn()) {
+      loadRecords();
+    }
+  }, [loadRecords, user?.id]);
+
+  useEffect(() => {
+    if (patientSession.isLoggedIn()) {
+      loadAppointments().catch(error => {
+        console.error('Error loading appointments:', error);
+        toast.error(error.message || "Failed to load appointments");
+      });
+    }
+  }, [loadAppointments, user?.id]);
+
+  // Reload free slots whenever the doctor or date changes
+  useEffect(() => {
+    const loadSlots = async () => {
+      if (!booking.doctorId || !booking.date) {
+        setSlots([]);
+        return;
+      }
+      try {
+        setLoadingSlots(true);
+        setSlots(getAvailableTimeSlots(await patientPortalAPI.getSlots(booking.doctorId, booking.date)));
+      } catch (error) {
+        console.error('Error loading available slots:', error);
+        setSlots([]);
+        toast.error("Failed to load available time slots");
+      } finally {
+        setLoadingSlots(false);
+      }
+    };
+    loadSlots();
+  }, [booking.doctorId, booking.date]);
+
+  if (!patientSession.isLoggedIn()) {
+    return <Navigate to="/patient-portal/login" replace />;
+  }
+
+  const handleLogout = () => {
+    patientSession.clear();
+    navigate('/patient-portal/login', { replace: true });
+  };
+
+  const handleSwitchProfile = async (patientId) => {
+    try {
+      const response = await patientPortalAPI.switchProfile(patientId);
+      patientSession.save(response);
+      setUser(response.user);
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      toast.error(error.message || "Failed to switch profile");
+    }
+  };
+
+  const openBooking = async () => {
+    try {
+      const response = await patientPortalAPI.getDoctors();
+      setDoctors(response.doctors || []);
+      setAppointmentTypes(response.appointmentTypes || []);
+      setBooking({ ...emptyBooking, appointmentType: response.appointmentTypes?.[0] || '' });
+      setIsBookingOpen(true);
+    } catch (error) {
+      console.error('Error loading doctors:', error);
+      toast.error(error.message || "Failed to load doctors");
+    }
+  };
+
+  const submitBooking = async () => {
+    if (!booking.doctorId || !booking.date || !booking.time || !booking.appointmentType) {
+      toast.error("Please choose a doctor, date and time");
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const response = await patientPortalAPI.requestBooking(booking);
+      toast.success(response.message);
+      setIsBookingOpen(false);
+      setScope('upcoming');
+      await loadAppointments();
+    } catch (error) {
+      console.error('Error requesting appointment:', error);
+      toast.error(error.message || "Failed to request appointment");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cancelRequest = async (appointment) => {
+    try {
+      const response = await patientPortalAPI.cancelRequest(appointment._id);
+      toast.success(response.message);
+      await loadAppointments();
+    } catch (error) {
+      console.error('Error cancelling request:', error);
+      toast.error(error.message || "Failed to cancel request");
+    }
+  };
+
+  const download = async (action, label) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(`Error downloading ${label}:`, error);
+      toast.error(`Failed to download ${label}`);
+    }
+  };
+
+  const openLabReport = async (report) => {
+    try {
+      const { url } = await patientPortalAPI.getLabReportUrl(report._id);
+      window.open(url, '_blank', 'noopener');
+    } catch (error) {
+      console.error('Error opening lab report:', error);
+      toast.error("Failed to open lab report");
+    }
+  };
+
+  const today = todayIn(clinicTimeZone);
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 h-16 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-2 min-w-0">
+            <HeartPulse className="w-6 h-6 text-primary flex-shrink-0" />
+            <div className="min-w-0">
+              <p className="font-semibold truncate">{user?.clinic?.name || "Patient Portal"}</p>
+              <p className="text-xs text-muted-foreground truncate">Patient Portal</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {profiles.length > 1 ? (
+              <Select value={user?.id ? String(user.id) : undefined} onValueChange={handleSwitchProfile}>
+                <SelectTrigger className="w-44">
+                  <SelectValue placeholder="Select profile" />
+                </SelectTrigger>
+                <SelectContent>
+                  {profiles.map(profile => (
+                    <SelectItem key={profile.id} value={String(profile.id)}>
+                      {profile.fullName}{profile.clinic?.name ? ` (${profile.clinic.name})` : ''}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            ) : (
+              <span className="text-sm hidden sm:inline">{user?.fullName}</span>
+            )}
+            <Button variant="ghost" size="sm" onClick={handleLogout}>
+              <LogOut className="w-4 h-4 mr-1" />
+              Sign out
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 py-6">
+        <Tabs defaultValue="appointments">
+          <TabsList className="mb-4 flex-wrap h-auto">
+            <TabsTrigger value="appointments">Appointments</TabsTrigger>
+            <TabsTrigger value="prescriptions">Prescriptions</TabsTrigger>
+            <TabsTrigger value="lab-reports">Lab Reports</TabsTrigger>
+            <TabsTrigger value="invoices">Invoices</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="appointments">
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between space-y-0 gap-2">
+                <div>
+                  <CardTitle>Appointments</CardTitle>
+                  <CardDescription>Requests stay pending until the clinic confirms them.</CardDescription>
+                </div>
+                <Button onClick={openBooking}>
+                  <CalendarPlus className="w-4 h-4 mr-2" />
+                  Request Appointment
+                </Button>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div className="flex gap-2">
+                  <Button size="sm" variant={scope === 'upcoming' ? 'default' : 'outline'} onClick={() => setScope('upcoming')}>Upcoming</Button>
+                  <Button size="sm" variant={scope === 'past' ? 'default' : 'outline'} onClick={() => setScope('past')}>Past</Button>
+                </div>
+                {appointments.length === 0 ? (
+                  <EmptyState icon={Calendar} message={scope === 'upcoming' ? "No upcoming appointments" : "No past appointments"} />
+                ) : appointments.map(appointment => (
+                  <div key={appointment._id} className="border rounded-lg p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                    <div className="space-y-1 text-sm">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium">{appointment.appointmentType}</span>
+                        <Badge variant={STATUS_VARIANTS[appointment.status] || 'outline'}>
+                          {appointment.status === 'Processing' ? 'Awaiting confirmation' : appointment.status}
+                        </Badge>
+                      </div>
+                      <div className="flex items-center gap-4 text-muted-foreground">
+                        <span className="flex items-center gap-1"><Calendar className="w-3 h-3" />{formatDate(appointment.date, 'UTC')}</span>
+                        <span className="flex items-center gap-1"><Clock className="w-3 h-3" />{formatTime(appointment.time)} {zoneLabel(clinicTimeZone)}</span>
+                        {appointment.doctorId?.fullName && (
+                          <span className="flex items-center gap-1"><Stethoscope className="w-3 h-3" />Dr. {appointment.doctorId.fullName}</span>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      {appointment.meetingLink && (
+                        <Button size="sm" asChild>
+                          <a href={appointment.meetingLink} target="_blank" rel="noopener noreferrer">
+                            <Video className="w-4 h-4 mr-1" />
+                            Join
+                          </a>
+                        </Button>
+                      )}
+                      {appointment.status === 'Processing' && (
+                        <Button size="sm" variant="outline" onClick={() => cancelRequest(appointment)}>
+                          Cancel request
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="prescriptions">
+            <Card>
+              <CardHeader>
+                <CardTitle>Prescriptions</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {!loading && prescriptions.length === 0 ? (
+                  <EmptyState icon={Pill} message="No prescriptions yet" />
+                ) : prescriptions.map(prescription => (
+                  <div key={prescription._id} className="border rounded-lg p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                    <div className="space-y-1 text-sm">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium">{prescription.prescriptionNumber}</span>
+                        <Badge variant={prescription.status === 'Cancelled' ? 'destructive' : 'secondary'}>{prescription.status}</Badge>
+                      </div>
+                      <p className="text-muted-foreground">
+                        {formatDate(prescription.date)}
+                        {prescription.doctorId?.fullName ? ` · Dr. ${prescription.doctorId.fullName}` : ''}
+                        {prescription.diagnosis ? ` · ${prescription.diagnosis}` : ''}
+                      </p>
+                      <p className="text-muted-foreground">
+                        {(prescription.medications || []).map(medication => medication.name).join(', ')}
+                      </p>
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => download(() => patientPortalAPI.downloadPrescription(prescription._id, prescription.prescriptionNumber), 'prescription')}
+                    >
+                      <Download className="w-4 h-4 mr-1" />
+                      PDF
+                    </Button>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="lab-reports">
+            <Card>
+              <CardHeader>
+                <CardTitle>Lab Reports</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {!loading && labReports.length === 0 ? (
+                  <EmptyState icon={FlaskConical} message="No lab reports yet" />
+                ) : labReports.map(report => (
+                  <div key={report._id} className="border rounded-lg p-4 flex items-center justify-between gap-3">
+                    <div className="text-sm">
+                      <p className="font-medium">{report.testName}</p>
+                      <p className="text-muted-foreground">
+                        {formatDate(report.testDate)}{report.labName ? ` · ${report.labName}` : ''}
+                      </p>
+                    </div>
+                    <Button size="sm" variant="outline" onClick={() => openLabReport(report)}>
+                      <FileText className="w-4 h-4 mr-1" />
+                      View
+                    </Button>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="invoices">
+            <Card>
+              <CardHeader>
+                <CardTitle>Invoices</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {!loading && invoices.length === 0 ? (
+                  <EmptyState icon={Receipt} message="No invoices yet" />
+                ) : invoices.map(invoice => (
+                  <div key={invoice._id} className="border rounded-lg p-4 flex items-center justify-between gap-3">
+                    <div className="text-sm space-y-1">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium">{invoice.number}</span>
+                        <Badge variant={invoice.status === 'paid' ? 'default' : 'outline'} className="capitalize">{invoice.status?.replace(/_/g, ' ')}</Badge>
+                      </div>
+                      <p className="text-muted-foreground">
+                        {formatDate(invoice.date)} · {invoice.items?.[0]?.description}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <span className="font-semibold">{formatMoney(invoice.total)}</span>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => download(() => patientPortalAPI.downloadInvoice(invoice._id, invoice.number), 'invoice')}
+                      >
+                        <Download className="w-4 h-4 mr-1" />
+                        PDF
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </TabsContent>
+        </Tabs>
+      </main>
+
+      <Dialog open={isBookingOpen} onOpenChange={setIsBookingOpen}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Request an Appointment</DialogTitle>
+            <DialogDescription>The clinic will confirm your request by email.</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label>Doctor</Label>
+              <Select value={booking.doctorId} onValueChange={(value) => setBooking(prev => ({ ...prev, doctorId: value, time: '' }))}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Choose a doctor" />
+                </SelectTrigger>
+                <SelectContent>
+                  {doctors.map(doctor => (
+                    <SelectItem key={doctor._id} value={doctor._id}>
+                      Dr. {doctor.fullName}{doctor.specialty ? ` (${doctor.specialty})` : ''}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Visit type</Label>
+              <Select value={booking.appointmentType} onValueChange={(value) => setBooking(prev => ({ ...prev, appointmentType: value }))}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Choose a visit type" />
+                </SelectTrigger>
+                <SelectContent>
+                  {appointmentTypes.map(type => (
+                    <SelectItem key={type} value={type}>{type}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="portal-booking-date">Date</Label>
+              <Input
+                id="portal-booking-date"
+                type="date"
+                min={today}
+                value={booking.date}
+                onChange={(e) => setBooking(prev => ({ ...prev, date: e.target.value, time: '' }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Time</Label>
+              {loadingSlots ? (
+                <p className="text-sm text-muted-foreground">Loading available times...</p>
+              ) : booking.doctorId && booking.date && slots.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No free times on this day. Please try another date.</p>
+              ) : (
+                <div className="grid grid-cols-3 gap-2">
+                  {slots.map(slot => (
+                    <Button
+                      key={slot.time}
+                      type="button"
+                      size="sm"
+                      variant={booking.time === slot.time ? 'default' : 'outline'}
+                      onClick={() => setBooking(prev => ({ ...prev, time: slot.time }))}
+                    >
+                      {slot.display}
+                    </Button>
+                  ))}
+                </div>
+              )}
+              <ClinicTimeHint timeZone={clinicTimeZone} date={booking.date} time={booking.time} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="portal-booking-reason">Reason (optional)</Label>
+              <Textarea
+                id="portal-booking-reason"
+                rows={2}
+                maxLength={500}
+                value={booking.reason}
+                onChange={(e) => setBooking(prev => ({ ...prev, reason: e.target.value }))}
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsBookingOpen(false)}>Cancel</Button>
+            <Button onClick={submitBooking} disabled={submitting || !booking.time}>
+              {submitting ? "Sending..." : "Send Request"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default PatientPortal;
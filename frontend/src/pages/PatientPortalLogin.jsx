@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { Navigate, useNavigate } from "react-router-dom";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ArrowLeft, HeartPulse, KeyRound, Mail } from "lucide-react";
+import { toast } from "sonner";
+import { patientPortalAPI } from "@/services/api";
+import patientSession from "@/utils/patientSession";
+
+const PatientPortalLogin = () => {
+  const navigate = useNavigate();
+  const [step, setStep] = useState('email'); // email | otp
+  const [email, setEmail] = useState('');
+  const [otp, setOtp] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  if (patientSession.isLoggedIn()) {
+    return <Navigate to="/patient-portal" replace />;
+  }
+
+  const requestCode = async (e) => {
+    e?.preventDefault();
+    if (!email.trim()) {
+      toast.error("Please enter your email address");
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await patientPortalAPI.requestOtp(email.trim());
+      toast.success(response.message);
+      setStep('otp');
+    } catch (error) {
+      console.error('Error requesting login code:', error);
+      toast.error(error.message || "Failed to send login code");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const verifyCode = async (e) => {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(otp)) {
+      toast.error("Enter the 6-digit code we sent you");
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await patientPortalAPI.verifyOtp(email.trim(), otp);
+      patientSession.save(response);
+      navigate('/patient-portal', { replace: true });
+    } catch (error) {
+      console.error('Error verifying login code:', error);
+      toast.error(error.message || "Invalid code");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background flex items-center justify-center p-6">
+      <Card className="w-full max-w-md border-0 shadow-soft">
+        <CardHeader className="text-center">
+          <HeartPulse className="w-12 h-12 text-primary mx-auto mb-2" />
+          <CardTitle className="text-2xl">Patient Portal</CardTitle>
+          <CardDescription>
+            {step === 'email'
+              ? "Sign in with the email address your clinic has on file."
+              : `We sent a 6-digit code to the email or phone your clinic has on file for ${email}. It expires in 5 minutes.`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {step === 'email' ? (
+            <form onSubmit={requestCode} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="portal-email">Email</Label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                  <Input
+                    id="portal-email"
+                    type="email"
+                    className="pl-9"
+                    placeholder="you@example.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    autoFocus
+                  />
+                </div>
+              </div>
+              <Button type="submit" className="w-full" disabled={submitting}>
+                {submitting ? "Sending..." : "Send Login Code"}
+              </Button>
+            </form>
+          ) : (
+            <form onSubmit={verifyCode} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="portal-otp">Login code</Label>
+                <div className="relative">
+                  <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                  <Input
+                    id="portal-otp"
+                    inputMode="numeric"
+                    maxLength={6}
+                    className="pl-9 tracking-widest"
+                    placeholder="123456"
+                    value={otp}
+                    onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+                    autoFocus
+                  />
+                </div>
+              </div>
+              <Button type="submit" className="w-full" disabled={submitting}>
+                {submitting ? "Verifying..." : "Sign In"}
+              </Button>
+              <div className="flex justify-between text-sm">
+                <Button type="button" variant="ghost" size="sm" onClick={() => { setStep('email'); setOtp(''); }}>
+                  <ArrowLeft className="w-4 h-4 mr-1" />
+                  Change email
+                </Button>
+                <Button type="button" variant="ghost" size="sm" disabled={submitting} onClick={requestCode}>
+                  Resend code
+                </Button>
+              </div>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default PatientPortalLogin;
@@ -14,7 +14,10 @@ import {
 } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { inventoryAPI, prescriptionAPI } from '../services/api';
+import { REALTIME_EVENTS } from '../services/realtime';
 import { useToast } from "@/hooks/use-toast";
+import { useRealtimeEvent } from "@/hooks/useRealtimeEvent";
+import { getCurrentUserId } from "@/utils/roleUtils";
 
 const PharmacistDashboard = () => {
   const [stats, setStats] = useState({
@@ -33,9 +36,24 @@ const PharmacistDashboard = () => {
     loadDashboardData();
   }, []);
 
-  const loadDashboardData = async () => {
+  // Live updates refresh in the background without the loading state
+  useRealtimeEvent(REALTIME_EVENTS.PRESCRIPTION_ALLOTTED, (event) => {
+    if (event.pharmacistId !== String(getCurrentUserId())) return;
+    toast({
+      title: "New prescription",
+      description: `${event.prescriptionNumber || 'A prescription'} has been allotted to you`
+    });
+    loadDashboardData({ silent: true });
+  });
+
+  // Dispensing changes stock levels as well as prescription status
+  useRealtimeEvent(REALTIME_EVENTS.PRESCRIPTION_DISPENSED, () => {
+    loadDashboardData({ silent: true });
+  });
+
+  const loadDashboardData = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const [statsResponse, prescriptionsResponse] = await Promise.all([
         inventoryAPI.getStats(),
         prescriptionAPI.getStats()
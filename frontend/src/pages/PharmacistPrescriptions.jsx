@@ -35,12 +35,42 @@ const PharmacistPrescriptions = () => {
   const [dispenseQuantity, setDispenseQuantity] = useState(1);
   const [dispenseNotes, setDispenseNotes] = useState("");
   const [dispensing, setDispensing] = useState(false);
+  const [dispensePlan, setDispensePlan] = useState(null);
+  const [loadingPlan, setLoadingPlan] = useState(false);
   const { toast } = useToast();
 
   useEffect(() => {
     loadPrescriptions();
   }, [searchQuery]);
 
+  useEffect(() => {
+    if (selectedInventoryItem && dispenseQuantity > 0) {
+      loadDispensePlan();
+    } else {
+      setDispensePlan(null);
+    }
+  }, [selectedInventoryItem, dispenseQuantity]);
+
+  const loadDispensePlan = async () => {
+    setLoadingPlan(true);
+    try {
+      const response = await prescriptionAPI.getDispensePlan(
+        selectedPrescription._id,
+        selectedMedication.index,
+        dispenseQuantity,
+        selectedInventoryItem._id
+      );
+      if (response.success) {
+        setDispensePlan(response.data);
+      }
+    } catch (error) {
+      console.error('Error loading dispense plan:', error);
+      setDispensePlan(null);
+    } finally {
+      setLoadingPlan(false);
+    }
+  };
+
   const loadPrescriptions = async () => {
     try {
       setLoading(true);
@@ -90,9 +120,11 @@ const PharmacistPrescriptions = () => {
     setSelectedPrescription(prescription);
     setSelectedMedication({ ...prescription.medications[medicationIndex], index: medicationIndex });
     setIsDispenseModalOpen(true);
-    setDispenseQuantity(1);
+    // Start from the course total worked out from the structured dose
+    setDispenseQuantity(prescription.medications[medicationIndex].totalQuantity || 1);
     setDispenseNotes("");
     setSelectedInventoryItem(null);
+    setDispensePlan(null);
     
     // Load matching inventory
     setLoadingInventory(true);
@@ -145,7 +177,7 @@ const PharmacistPrescriptions = () => {
       if (response.success) {
         toast({
           title: "Success",
-          description: `Medication dispensed successfully. Remaining stock: ${response.data.inventoryUpdated.remainingStock}`,
+          description: `${response.message}. Remaining stock: ${response.data.inventoryUpdated.remainingStock}`,
         });
         
         setIsDispenseModalOpen(false);
@@ -347,6 +379,9 @@ const PharmacistPrescriptions = () => {
                                 <p><span className="font-medium">Dosage:</span> {med.dosage || 'N/A'}</p>
                                 <p><span className="font-medium">Frequency:</span> {med.frequency || 'N/A'}</p>
                                 <p><span className="font-medium">Duration:</span> {med.duration || 'N/A'}</p>
+                                {med.totalQuantity > 0 && (
+                                  <p><span className="font-medium">Total Prescribed:</span> {med.totalQuantity}</p>
+                                )}
                                 {med.instructions && (
                                   <p><span className="font-medium">Instructions:</span> {med.instructions}</p>
                                 )}
@@ -355,6 +390,12 @@ const PharmacistPrescriptions = () => {
                                     <span className="font-medium">Dispensed Quantity:</span> {med.dispensedQuantity}
                                   </p>
                                 )}
+                                {med.dispensed && med.dispensedBatches?.length > 0 && (
+                                  <p className="text-green-600">
+                                    <span className="font-medium">Batches:</span>{' '}
+                                    {med.dispensedBatches.map((batch) => `${batch.batchNumber} × ${batch.quantity}`).join(', ')}
+                                  </p>
+                                )}
                               </div>
                               {!med.dispensed && (
                                 <Button
@@ -439,7 +480,7 @@ const PharmacistPrescriptions = () => {
               Dispense Medication from Inventory
             </DialogTitle>
             <DialogDescription>
-              Select inventory item and quantity to dispense
+              Select the product and quantity; batches are picked earliest-expiry first
             </DialogDescription>
           </DialogHeader>
 
@@ -462,6 +503,24 @@ const PharmacistPrescriptions = () => {
                       <span className="text-gray-600">Duration:</span>
                       <span className="ml-2 font-medium">{selectedMedication.duration}</span>
                     </div>
+                    {selectedMedication.route && (
+                      <div>
+                        <span className="text-gray-600">Route:</span>
+                        <span className="ml-2 font-medium capitalize">{selectedMedication.route}</span>
+                      </div>
+                    )}
+                    {selectedMedication.totalQuantity > 0 && (
+                      <div>
+                        <span className="text-gray-600">Total Prescribed:</span>
+                        <span className="ml-2 font-medium">{selectedMedication.totalQuantity}</span>
+                      </div>
+                    )}
+                    {selectedMedication.courseEndDate && (
+                      <div>
+                        <span className="text-gray-600">Course Ends:</span>
+                        <span className="ml-2 font-medium">{new Date(selectedMedication.courseEndDate).toLocaleDateString()}</span>
+                      </div>
+                    )}
                   </div>
                 </CardContent>
               </Card>
@@ -499,6 +558,11 @@ const PharmacistPrescriptions = () => {
                                   {item.genericName && (
                                     <span className="text-xs text-gray-500">({item.genericName})</span>
                                   )}
+                                  {item.fefoFirst && (
+                                    <Badge variant="outline" className="text-xs border-green-300 text-green-700">
+                                      Next to dispense (FEFO)
+                                    </Badge>
+                                  )}
                                 </div>
                                 <div className="mt-1 grid grid-cols-2 gap-2 text-sm text-gray-600">
                                   <div>
@@ -541,14 +605,49 @@ const PharmacistPrescriptions = () => {
                     id="quantity"
                     type="number"
                     min="1"
-                    max={selectedInventoryItem.quantity}
+                    max={dispensePlan?.totalAvailable}
                     value={dispenseQuantity}
                     onChange={(e) => setDispenseQuantity(parseInt(e.target.value) || 1)}
                     className="mt-1"
                   />
                   <p className="text-xs text-gray-500 mt-1">
-                    Available stock: {selectedInventoryItem.quantity}
+                    Available stock across unexpired batches: {dispensePlan ? dispensePlan.totalAvailable : selectedInventoryItem.quantity}
                   </p>
+                  {selectedMedication.totalQuantity > 0 && dispenseQuantity !== selectedMedication.totalQuantity && (
+                    <p className="text-xs text-orange-600 mt-1">
+                      Differs from the prescribed course total of {selectedMedication.totalQuantity}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* FEFO Batch Allocation */}
+              {selectedInventoryItem && (
+                <div>
+                  <Label className="text-base font-semibold mb-2 block">Batches to Dispense</Label>
+                  {loadingPlan ? (
+                    <div className="text-sm text-gray-500">Calculating batch allocation...</div>
+                  ) : dispensePlan ? (
+                    <div className="space-y-1">
+                      {dispensePlan.picks.map((pick) => (
+                        <div key={pick.inventoryId} className="flex justify-between text-sm p-2 border rounded">
+                          <span>
+                            Batch {pick.batchNumber}
+                            <span className="text-gray-500 ml-2">
+                              exp. {new Date(pick.expiryDate).toLocaleDateString('en-IN')}
+                            </span>
+                          </span>
+                          <span className="font-medium">{pick.quantity} of {pick.available}</span>
+                        </div>
+                      ))}
+                      {dispensePlan.shortfall > 0 && (
+                        <p className="text-sm text-red-600 flex items-center gap-1">
+                          <AlertCircle className="w-4 h-4" />
+                          Short by {dispensePlan.shortfall}. Expired batches are never dispensed.
+                        </p>
+                      )}
+                    </div>
+                  ) : null}
                 </div>
               )}
 
@@ -577,7 +676,7 @@ const PharmacistPrescriptions = () => {
             </Button>
             <Button
               onClick={handleDispenseMedication}
-              disabled={!selectedInventoryItem || dispensing}
+              disabled={!selectedInventoryItem || dispensing || dispensePlan?.shortfall > 0}
             >
               {dispensing ? 'Dispensing...' : 'Dispense Medication'}
             </Button>
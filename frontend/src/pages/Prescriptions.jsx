@@ -51,6 +51,7 @@ const Prescriptions = () => {
   const [selectedPrescription, setSelectedPrescription] = useState(null);
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
   const [viewPrescription, setViewPrescription] = useState(null);
+  const [downloadingPdf, setDownloadingPdf] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [totalCount, setTotalCount] = useState(0);
@@ -342,6 +343,22 @@ const Prescriptions = () => {
     }
   };
 
+  const handleDownloadPdf = async (prescription) => {
+    try {
+      setDownloadingPdf(true);
+      await prescriptionAPI.downloadPdf(prescription._id, prescription.prescriptionNumber);
+    } catch (error) {
+      console.error('Error downloading prescription PDF:', error);
+      toast({
+        title: "Error",
+        description: "Failed to download prescription PDF",
+        variant: "destructive"
+      });
+    } finally {
+      setDownloadingPdf(false);
+    }
+  };
+
   return (
     <div className="p-6 space-y-6">
 
@@ -965,6 +982,16 @@ const Prescriptions = () => {
             <Button variant="outline" onClick={() => setIsViewModalOpen(false)}>
               Close
             </Button>
+            {viewPrescription && (
+              <Button
+                variant="outline"
+                onClick={() => handleDownloadPdf(viewPrescription)}
+                disabled={downloadingPdf}
+              >
+                <Download className="w-4 h-4 mr-2" />
+                {downloadingPdf ? 'Preparing...' : 'Download PDF'}
+              </Button>
+            )}
             {(isClinic() || isDoctor()) && viewPrescription && 
              viewPrescription.status !== 'Completed' && viewPrescription.status !== 'completed' && (
               <div className="flex gap-2">
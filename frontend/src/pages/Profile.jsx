@@ -14,6 +14,7 @@ import {
 import { getCurrentUser } from '@/utils/roleUtils';
 import { clinicAPI, doctorAPI, nurseAPI, pharmacistAPI } from '@/services/api';
 import { toast } from 'sonner';
+import CalendarFeedSettings from '@/components/CalendarFeedSettings';
 
 const Profile = () => {
   const [currentUser, setCurrentUser] = useState(null);
@@ -723,6 +724,8 @@ const Profile = () => {
                   )}
                 </CardContent>
               </Card>
+
+              {currentUser.role === 'doctor' && <CalendarFeedSettings />}
             </TabsContent>
           </Tabs>
         </div>
@@ -0,0 +1,145 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Loader2 } from 'lucide-react';
+import { format } from 'date-fns';
+import { queueAPI } from '@/services/api';
+import { REALTIME_EVENTS } from '@/services/realtime';
+import { useRealtimeEvent } from '@/hooks/useRealtimeEvent';
+
+// Live events cover changes; this catches anything missed while reconnecting
+const REFRESH_INTERVAL = 60 * 1000;
+// How long a newly called token stays highlighted
+const HIGHLIGHT_MS = 15 * 1000;
+
+// Short two-tone chime so patients look up when a token is called
+const playChime = () => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    const context = new AudioContext();
+    [660, 880].forEach((frequency, index) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(context.currentTime + index * 0.35);
+      oscillator.stop(context.currentTime + index * 0.35 + 0.3);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch {
+    // Browsers block audio until someone interacts with the page
+  }
+};
+
+const QueueDisplay = () => {
+  const [display, setDisplay] = useState(null);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(new Date());
+  const [highlighted, setHighlighted] = useState({});
+  const serving = useRef({});
+
+  const loadDisplay = useCallback(async () => {
+    try {
+      const response = await queueAPI.getDisplay();
+      const doctors = response.data.doctors;
+
+      // Highlight and chime when a doctor's now-serving token changes
+      const changed = doctors.filter(queue =>
+        queue.nowServing && serving.current[queue.doctorId] !== undefined &&
+        serving.current[queue.doctorId] !== queue.nowServing.tokenNumber
+      );
+      serving.current = Object.fromEntries(doctors.map(queue => [queue.doctorId, queue.nowServing?.tokenNumber ?? null]));
+      if (changed.length > 0) {
+        playChime();
+        const until = Date.now() + HIGHLIGHT_MS;
+        setHighlighted(current => ({ ...current, ...Object.fromEntries(changed.map(queue => [queue.doctorId, until])) }));
+      }
+
+      setDisplay(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading queue display:', err);
+      setError(err.message || 'Queue unavailable');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDisplay();
+    const refresh = setInterval(loadDisplay, REFRESH_INTERVAL);
+    const clock = setInterval(() => setNow(new Date()), 1000);
+    return () => {
+      clearInterval(refresh);
+      clearInterval(clock);
+    };
+  }, [loadDisplay]);
+
+  useRealtimeEvent(REALTIME_EVENTS.QUEUE_CHANGED, loadDisplay);
+
+  if (!display) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-950 text-white">
+        {error ? <p className="text-xl">{error}</p> : <Loader2 className="w-10 h-10 animate-spin" />}
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white p-8 flex flex-col gap-8">
+      <header className="flex items-center justify-between">
+        <h1 className="text-4xl font-bold">Now Serving</h1>
+        <div className="text-right">
+          <p className="text-4xl font-mono">{format(now, 'h:mm a')}</p>
+          <p className="text-slate-400">{format(now, 'EEEE, MMM d')}</p>
+        </div>
+      </header>
+
+      {display.doctors.length === 0 ? (
+        <div className="flex-1 flex items-center justify-center text-3xl text-slate-400">
+          Please take a token at reception.
+        </div>
+      ) : (
+        <div className="grid gap-6 md:grid-cols-2 2xl:grid-cols-3">
+          {display.doctors.map(queue => {
+            const isNew = (highlighted[queue.doctorId] || 0) > now.getTime();
+            return (
+              <section
+                key={queue.doctorId}
+                className={`rounded-2xl p-6 transition-colors ${isNew ? 'bg-emerald-600 animate-pulse' : 'bg-slate-800'}`}
+              >
+                <h2 className="text-2xl font-semibold truncate">{queue.doctorName}</h2>
+                <div className="mt-4 flex items-baseline gap-4">
+                  <span className="text-8xl font-bold font-mono">
+                    {queue.nowServing ? queue.nowServing.tokenNumber : '—'}
+                  </span>
+                  {queue.nowServing && (
+                    <span className="text-xl text-slate-200">
+                      {queue.nowServing.status === 'called' ? 'Please come in' : 'With doctor'}
+                    </span>
+                  )}
+                </div>
+                <div className="mt-6">
+                  <p className="text-sm uppercase tracking-wide text-slate-400">
+                    Up next · {queue.waitingCount} waiting
+                  </p>
+                  <div className="mt-2 flex flex-wrap gap-3">
+                    {queue.upNext.length === 0 && <span className="text-slate-400">No one waiting</span>}
+                    {queue.upNext.map(token => (
+                      <span key={token.tokenNumber} className="rounded-lg bg-slate-700 px-4 py-2 text-2xl font-mono">
+                        {token.tokenNumber}
+                        {token.estimatedWaitMinutes > 0 && (
+                          <span className="ml-2 text-sm text-slate-400">~{token.estimatedWaitMinutes}m</span>
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueueDisplay;
@@ -0,0 +1,467 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { BarChart3, CheckCircle2, Loader2, Megaphone, Monitor, Play, Plus, RotateCcw, SkipForward, Ticket, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { queueAPI, appointmentAPI } from '@/services/api';
+import { REALTIME_EVENTS } from '@/services/realtime';
+import { useRealtimeEvent } from '@/hooks/useRealtimeEvent';
+import { addDays } from '@/utils/clinicTime';
+
+const STATUS_LABELS = {
+  waiting: 'Waiting',
+  called: 'Called',
+  in_consultation: 'With doctor',
+  skipped: 'Skipped',
+  done: 'Done',
+  cancelled: 'Cancelled'
+};
+
+const EMPTY_FORM = { doctorId: '', mode: 'walk_in', patientName: '', phone: '', appointmentId: '', priority: false };
+
+const minutes = (value) => (value === null || value === undefined ? '—' : `${value} min`);
+
+const TokenNumber = ({ token, className = '' }) => (
+  <span className={`font-mono font-semibold ${className}`}>#{token.tokenNumber}</span>
+);
+
+const QueueManagement = () => {
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(null);
+  const [issueOpen, setIssueOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [appointments, setAppointments] = useState([]);
+  const [report, setReport] = useState(null);
+  const [reportRange, setReportRange] = useState({ from: '', to: '' });
+  const [reportLoading, setReportLoading] = useState(false);
+  const reloadTimer = useRef(null);
+
+  const loadBoard = useCallback(async () => {
+    try {
+      const response = await queueAPI.getToday();
+      setBoard(response.data);
+    } catch (error) {
+      console.error('Error loading queue:', error);
+      toast.error(error.message || 'Failed to load queue');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBoard();
+    return () => clearTimeout(reloadTimer.current);
+  }, [loadBoard]);
+
+  // Several changes often arrive together (call next skips and calls); reload once
+  useRealtimeEvent(REALTIME_EVENTS.QUEUE_CHANGED, () => {
+    clearTimeout(reloadTimer.current);
+    reloadTimer.current = setTimeout(loadBoard, 300);
+  });
+
+  useEffect(() => {
+    if (board && !reportRange.to) {
+      setReportRange({ from: addDays(board.date, -6), to: board.date });
+    }
+  }, [board, reportRange.to]);
+
+  const runAction = async (key, action) => {
+    try {
+      setWorking(key);
+      const response = await action();
+      if (response.message) toast.success(response.message);
+      await loadBoard();
+      return true;
+    } catch (error) {
+      console.error('Error updating queue:', error);
+      toast.error(error.message || 'Failed to update queue');
+      return false;
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const openIssueDialog = async (doctorId = '') => {
+    setForm({ ...EMPTY_FORM, doctorId });
+    setIssueOpen(true);
+    try {
+      const response = await appointmentAPI.getToday();
+      setAppointments(Array.isArray(response) ? response : response.data || []);
+    } catch (error) {
+      console.error('Error loading today\'s appointments:', error);
+      setAppointments([]);
+    }
+  };
+
+  // Today's bookings with the chosen doctor that haven't already joined the queue
+  const queuedAppointmentIds = new Set(
+    (board?.doctors || []).flatMap(queue => queue.tokens)
+      .filter(token => token.appointmentId && token.status !== 'cancelled')
+      .map(token => String(token.appointmentId))
+  );
+  const checkInOptions = appointments.filter(apt =>
+    String(apt.doctorId?._id || apt.doctorId) === form.doctorId &&
+    !['Cancelled', 'Completed', 'No Show'].includes(apt.status) &&
+    !queuedAppointmentIds.has(String(apt._id))
+  );
+
+  const handleIssue = async (e) => {
+    e.preventDefault();
+    if (!form.doctorId) {
+      toast.error('Choose a doctor');
+      return;
+    }
+    if (form.mode === 'walk_in' && !form.patientName.trim()) {
+      toast.error('Enter the patient\'s name');
+      return;
+    }
+    if (form.mode === 'appointment' && !form.appointmentId) {
+      toast.error('Choose an appointment to check in');
+      return;
+    }
+
+    const data = {
+      doctorId: form.doctorId,
+      priority: form.priority ? 'priority' : 'normal',
+      ...(form.mode === 'appointment'
+        ? { appointmentId: form.appointmentId }
+        : { patientName: form.patientName.trim(), phone: form.phone.trim() || undefined })
+    };
+
+    if (await runAction('issue', () => queueAPI.issueToken(data))) {
+      setIssueOpen(false);
+    }
+  };
+
+  const loadReport = async () => {
+    try {
+      setReportLoading(true);
+      const response = await queueAPI.getReport(reportRange);
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error loading queue report:', error);
+      toast.error(error.message || 'Failed to load report');
+    } finally {
+      setReportLoading(false);
+    }
+  };
+
+  const tokenActions = (token) => {
+    const action = (name, label, Icon, variant = 'outline') => (
+      <Button
+        key={name}
+        size="sm"
+        variant={variant}
+        disabled={Boolean(working)}
+        onClick={() => runAction(`${token._id}:${name}`, () => queueAPI.updateToken(token._id, name))}
+      >
+        {working === `${token._id}:${name}` ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Icon className="w-4 h-4 mr-1" />}
+        {label}
+      </Button>
+    );
+
+    switch (token.status) {
+      case 'called':
+        return [action('start', 'Start', Play, 'default'), action('skip', 'Not here', SkipForward)];
+      case 'in_consultation':
+        return [action('complete', 'Done', CheckCircle2, 'default')];
+      case 'waiting':
+        return [action('start', 'Start', Play), action('skip', 'Skip', SkipForward), action('cancel', 'Cancel', X)];
+      case 'skipped':
+        return [action('requeue', 'Back in line', RotateCcw), action('cancel', 'Cancel', X)];
+      default:
+        return [];
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 flex justify-center">
+        <Loader2 className="w-8 h-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  const queues = board?.doctors || [];
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-semibold">Walk-in Queue</h2>
+          {board && (
+            <p className="text-sm text-muted-foreground">
+              {format(parseISO(board.date), 'EEEE, MMM d, yyyy')} · updates live
+            </p>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" asChild>
+            <a href="/queue/display" target="_blank" rel="noopener noreferrer">
+              <Monitor className="w-4 h-4 mr-2" />
+              Waiting-room display
+            </a>
+          </Button>
+          <Button onClick={() => openIssueDialog(queues.length === 1 ? String(queues[0].doctor._id) : '')}>
+            <Plus className="w-4 h-4 mr-2" />
+            Issue token
+          </Button>
+        </div>
+      </div>
+
+      <Tabs defaultValue="queue">
+        <TabsList>
+          <TabsTrigger value="queue">Today</TabsTrigger>
+          <TabsTrigger value="report" onClick={() => !report && loadReport()}>Wait times</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="queue" className="space-y-4">
+          {queues.length === 0 && (
+            <Card>
+              <CardContent className="py-10 text-center text-muted-foreground">No doctors found for this clinic.</CardContent>
+            </Card>
+          )}
+
+          <div className="grid gap-4 xl:grid-cols-2">
+            {queues.map(queue => {
+              const skipped = queue.tokens.filter(token => token.status === 'skipped');
+              return (
+                <Card key={queue.doctor._id}>
+                  <CardHeader className="pb-3">
+                    <div className="flex items-start justify-between gap-2">
+                      <div>
+                        <CardTitle>{queue.doctor.fullName}</CardTitle>
+                        <CardDescription>
+                          {queue.summary.seen} seen · {queue.summary.waiting} waiting · avg wait {minutes(queue.summary.averageWaitMinutes)} · avg consult {minutes(queue.summary.averageConsultationMinutes)}
+                        </CardDescription>
+                      </div>
+                      <div className="flex gap-2">
+                        <Button size="sm" variant="outline" onClick={() => openIssueDialog(String(queue.doctor._id))}>
+                          <Ticket className="w-4 h-4 mr-1" />
+                          Token
+                        </Button>
+                        <Button
+                          size="sm"
+                          disabled={Boolean(working) || queue.current?.status === 'in_consultation' || queue.waiting.length === 0}
+                          onClick={() => runAction(`${queue.doctor._id}:next`, () => queueAPI.callNext(queue.doctor._id))}
+                        >
+                          {working === `${queue.doctor._id}:next` ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Megaphone className="w-4 h-4 mr-1" />}
+                          Call next
+                        </Button>
+                      </div>
+                    </div>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    <div className="rounded-md border p-3 bg-muted/40">
+                      {queue.current ? (
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                          <div className="flex items-center gap-3">
+                            <TokenNumber token={queue.current} className="text-2xl" />
+                            <div>
+                              <p className="font-medium">{queue.current.patientName}</p>
+                              <Badge variant={queue.current.status === 'in_consultation' ? 'default' : 'secondary'}>
+                                {STATUS_LABELS[queue.current.status]}
+                              </Badge>
+                            </div>
+                          </div>
+                          <div className="flex gap-2">{tokenActions(queue.current)}</div>
+                        </div>
+                      ) : (
+                        <p className="text-sm text-muted-foreground">Nobody with the doctor.</p>
+                      )}
+                    </div>
+
+                    {queue.waiting.length === 0 ? (
+                      <p className="text-sm text-muted-foreground">Nobody waiting.</p>
+                    ) : (
+                      <ul className="divide-y">
+                        {queue.waiting.map(token => (
+                          <li key={token._id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                            <div className="flex items-center gap-3">
+                              <TokenNumber token={token} />
+                              <div>
+                                <p className="text-sm font-medium">{token.patientName}</p>
+                                <div className="flex flex-wrap gap-1 text-xs text-muted-foreground">
+                                  {token.priority === 'priority' && <Badge variant="destructive">Priority</Badge>}
+                                  {token.source === 'appointment' && <Badge variant="outline">Booked {token.appointmentTime}</Badge>}
+                                  <span>~{minutes(token.estimatedWaitMinutes)}</span>
+                                </div>
+                              </div>
+                            </div>
+                            <div className="flex gap-2">{tokenActions(token)}</div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    {skipped.length > 0 && (
+                      <div className="space-y-2">
+                        <p className="text-xs font-medium uppercase text-muted-foreground">Skipped</p>
+                        {skipped.map(token => (
+                          <div key={token._id} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                            <span><TokenNumber token={token} /> {token.patientName}</span>
+                            <div className="flex gap-2">{tokenActions(token)}</div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </CardContent>
+                </Card>
+              );
+            })}
+          </div>
+        </TabsContent>
+
+        <TabsContent value="report">
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <BarChart3 className="w-5 h-5" />
+                Wait and consultation times
+              </CardTitle>
+              <CardDescription>Wait is from token issue until the consultation starts.</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex flex-wrap items-end gap-3">
+                <div className="space-y-1">
+                  <Label htmlFor="queue-report-from">From</Label>
+                  <Input id="queue-report-from" type="date" value={reportRange.from} onChange={(e) => setReportRange({ ...reportRange, from: e.target.value })} />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="queue-report-to">To</Label>
+                  <Input id="queue-report-to" type="date" value={reportRange.to} onChange={(e) => setReportRange({ ...reportRange, to: e.target.value })} />
+                </div>
+                <Button onClick={loadReport} disabled={reportLoading}>
+                  {reportLoading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                  Show
+                </Button>
+              </div>
+
+              {report && (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Doctor</TableHead>
+                      <TableHead className="text-right">Tokens</TableHead>
+                      <TableHead className="text-right">Seen</TableHead>
+                      <TableHead className="text-right">Skipped</TableHead>
+                      <TableHead className="text-right">Avg wait</TableHead>
+                      <TableHead className="text-right">Longest wait</TableHead>
+                      <TableHead className="text-right">Avg consult</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {[...report.doctors.map(row => ({ ...row.summary, name: row.doctorName, key: row.doctorId })),
+                      ...(report.doctors.length > 1 ? [{ ...report.totals, name: 'All doctors', key: 'total' }] : [])
+                    ].map(row => (
+                      <TableRow key={row.key} className={row.key === 'total' ? 'font-semibold' : ''}>
+                        <TableCell>{row.name}</TableCell>
+                        <TableCell className="text-right">{row.issued}</TableCell>
+                        <TableCell className="text-right">{row.seen}</TableCell>
+                        <TableCell className="text-right">{row.skipped}</TableCell>
+                        <TableCell className="text-right">{minutes(row.averageWaitMinutes)}</TableCell>
+                        <TableCell className="text-right">{minutes(row.longestWaitMinutes)}</TableCell>
+                        <TableCell className="text-right">{minutes(row.averageConsultationMinutes)}</TableCell>
+                      </TableRow>
+                    ))}
+                    {report.doctors.length === 0 && (
+                      <TableRow>
+                        <TableCell colSpan={7} className="text-center text-muted-foreground">No tokens in this period.</TableCell>
+                      </TableRow>
+                    )}
+                  </TableBody>
+                </Table>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
+      </Tabs>
+
+      <Dialog open={issueOpen} onOpenChange={setIssueOpen}>
+        <DialogContent>
+          <form onSubmit={handleIssue}>
+            <DialogHeader>
+              <DialogTitle>Issue token</DialogTitle>
+              <DialogDescription>Add a walk-in, or check in a patient who booked for today.</DialogDescription>
+            </DialogHeader>
+
+            <div className="space-y-4 py-4">
+              <div className="space-y-2">
+                <Label>Doctor</Label>
+                <Select value={form.doctorId} onValueChange={(doctorId) => setForm({ ...form, doctorId, appointmentId: '' })}>
+                  <SelectTrigger><SelectValue placeholder="Choose a doctor" /></SelectTrigger>
+                  <SelectContent>
+                    {queues.map(queue => (
+                      <SelectItem key={queue.doctor._id} value={String(queue.doctor._id)}>{queue.doctor.fullName}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <Tabs value={form.mode} onValueChange={(mode) => setForm({ ...form, mode })}>
+                <TabsList className="grid grid-cols-2">
+                  <TabsTrigger value="walk_in">Walk-in</TabsTrigger>
+                  <TabsTrigger value="appointment">Has appointment</TabsTrigger>
+                </TabsList>
+                <TabsContent value="walk_in" className="space-y-3">
+                  <div className="space-y-2">
+                    <Label htmlFor="queue-patient-name">Patient name</Label>
+                    <Input id="queue-patient-name" value={form.patientName} maxLength={100} onChange={(e) => setForm({ ...form, patientName: e.target.value })} />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="queue-patient-phone">Phone (optional)</Label>
+                    <Input id="queue-patient-phone" value={form.phone} maxLength={20} onChange={(e) => setForm({ ...form, phone: e.target.value })} />
+                  </div>
+                </TabsContent>
+                <TabsContent value="appointment" className="space-y-2">
+                  <Label>Today's appointment</Label>
+                  <Select value={form.appointmentId} onValueChange={(appointmentId) => setForm({ ...form, appointmentId })} disabled={!form.doctorId}>
+                    <SelectTrigger><SelectValue placeholder={form.doctorId ? 'Choose an appointment' : 'Choose a doctor first'} /></SelectTrigger>
+                    <SelectContent>
+                      {checkInOptions.map(apt => (
+                        <SelectItem key={apt._id} value={apt._id}>
+                          {apt.time} · {apt.patientId?.fullName || apt.patientName || 'Patient'}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  {form.doctorId && checkInOptions.length === 0 && (
+                    <p className="text-xs text-muted-foreground">No appointments left to check in for this doctor today.</p>
+                  )}
+                </TabsContent>
+              </Tabs>
+
+              <div className="flex items-center justify-between rounded-md border p-3">
+                <div>
+                  <Label htmlFor="queue-priority">Priority</Label>
+                  <p className="text-xs text-muted-foreground">Seen before everyone else waiting, e.g. emergencies.</p>
+                </div>
+                <Switch id="queue-priority" checked={form.priority} onCheckedChange={(priority) => setForm({ ...form, priority })} />
+              </div>
+            </div>
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setIssueOpen(false)}>Cancel</Button>
+              <Button type="submit" disabled={working === 'issue'}>
+                {working === 'issue' && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Issue token
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default QueueManagement;
@@ -0,0 +1,494 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { ClipboardList, History, Loader2, Pencil, Plus, Search, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { catalogueAPI } from '@/services/api';
+import { GST_RATES, TAX_CLASS_OPTIONS, taxLabel } from '@/utils/gst';
+
+// Matches Catalogue.CATEGORIES on the server; consultation fees are set per doctor in Slot Management
+const CATEGORIES = [
+  { value: 'procedure', label: 'Procedure' },
+  { value: 'lab_test', label: 'Lab test' },
+  { value: 'imaging', label: 'Imaging' },
+  { value: 'package', label: 'Package' },
+  { value: 'other', label: 'Other' }
+];
+
+const PRICE_STATUS_STYLES = {
+  current: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  past: 'bg-gray-100 text-gray-800'
+};
+
+const ALL = 'all';
+
+const today = () => format(new Date(), 'yyyy-MM-dd');
+
+const emptyItem = () => ({
+  code: '',
+  name: '',
+  category: 'procedure',
+  description: '',
+  taxClass: 'exempt',
+  taxRate: 0,
+  hsnSac: '999312',
+  effectiveFrom: today(),
+  effectiveTo: '',
+  price: '',
+  note: ''
+});
+
+const formatDay = (day) => (day ? format(parseISO(day), 'dd MMM yyyy') : '');
+
+const formatMoney = (value) => `₹${Number(value || 0).toFixed(2)}`;
+
+const categoryLabel = (value) => CATEGORIES.find(category => category.value === value)?.label || value;
+
+const ServiceCatalogue = () => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [category, setCategory] = useState(ALL);
+  const [search, setSearch] = useState('');
+  const [on, setOn] = useState(today());
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyItem());
+  const [saving, setSaving] = useState(false);
+  const [pricing, setPricing] = useState(null);
+  const [priceForm, setPriceForm] = useState({ price: '', effectiveFrom: today(), note: '' });
+
+  useEffect(() => {
+    loadItems();
+  }, [category, on]);
+
+  const loadItems = async () => {
+    try {
+      setLoading(true);
+      const filters = { on };
+      if (category !== ALL) filters.category = category;
+      if (search.trim()) filters.search = search.trim();
+      const response = await catalogueAPI.getAll(filters);
+      setItems(response.data.items);
+    } catch (error) {
+      console.error('Error loading service catalogue:', error);
+      toast.error('Failed to load service catalogue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Replace an item with the server's copy after a change
+  const replaceItem = (updated) => {
+    setItems(prev => prev.map(item => (item._id === updated._id ? updated : item)));
+    if (pricing?._id === updated._id) setPricing(updated);
+  };
+
+  const openCreate = () => {
+    setForm(emptyItem());
+    setEditing('new');
+  };
+
+  const openEdit = (item) => {
+    setForm({
+      ...emptyItem(),
+      code: item.code,
+      name: item.name,
+      category: item.category,
+      description: item.description,
+      taxClass: item.taxClass,
+      taxRate: item.taxRate,
+      hsnSac: item.hsnSac,
+      effectiveFrom: item.effectiveFrom,
+      effectiveTo: item.effectiveTo || ''
+    });
+    setEditing(item);
+  };
+
+  const openPricing = (item) => {
+    setPriceForm({ price: item.price ?? '', effectiveFrom: today(), note: '' });
+    setPricing(item);
+  };
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    const { price, note, ...details } = form;
+    const payload = {
+      ...details,
+      taxRate: details.taxClass === 'taxable' ? details.taxRate : 0
+    };
+
+    try {
+      setSaving(true);
+      if (editing === 'new') {
+        await catalogueAPI.create({ ...payload, price: parseFloat(price), note: note || undefined });
+        toast.success(`${form.name} added to the catalogue`);
+        loadItems();
+      } else {
+        const response = await catalogueAPI.update(editing._id, payload);
+        replaceItem(response.data);
+        toast.success('Catalogue item updated');
+      }
+      setEditing(null);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save catalogue item');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetPrice = async () => {
+    try {
+      setSaving(true);
+      const response = await catalogueAPI.setPrice(pricing._id, {
+        price: parseFloat(priceForm.price),
+        effectiveFrom: priceForm.effectiveFrom,
+        note: priceForm.note || undefined
+      });
+      replaceItem(response.data);
+      setPriceForm({ price: '', effectiveFrom: today(), note: '' });
+      toast.success(`Price from ${formatDay(priceForm.effectiveFrom)} saved`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save price');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemovePrice = async (entry) => {
+    try {
+      const response = await catalogueAPI.removePrice(pricing._id, entry.effectiveFrom);
+      replaceItem(response.data);
+      toast.success('Scheduled price withdrawn');
+    } catch (error) {
+      toast.error(error.message || 'Failed to withdraw price');
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!confirm(`Delete ${item.name} (${item.code}) from the catalogue?`)) {
+      return;
+    }
+
+    try {
+      await catalogueAPI.delete(item._id);
+      setItems(prev => prev.filter(existing => existing._id !== item._id));
+      toast.success('Catalogue item deleted');
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete catalogue item');
+    }
+  };
+
+  const canSave = form.code.trim() && form.name.trim() && (editing !== 'new' || form.price !== '');
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <p className="text-gray-600">
+            Procedures, lab tests, imaging and packages your clinic bills for, with their price history
+          </p>
+          <Button onClick={openCreate} className="bg-teal-600 hover:bg-teal-700">
+            <Plus className="w-4 h-4 mr-2" />
+            Add Item
+          </Button>
+        </div>
+
+        <Card>
+          <CardContent className="p-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="md:col-span-2 flex gap-2">
+                <Input
+                  placeholder="Search by code or name"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && loadItems()}
+                />
+                <Button variant="outline" onClick={loadItems}>
+                  <Search className="w-4 h-4" />
+                </Button>
+              </div>
+              <Select value={category} onValueChange={setCategory}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All categories</SelectItem>
+                  {CATEGORIES.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {/* Prices as they stood, or will stand, on a day */}
+              <Input type="date" value={on} onChange={(e) => setOn(e.target.value || today())} />
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <ClipboardList className="w-5 h-5" />
+              Service Catalogue
+            </CardTitle>
+            <CardDescription>Prices shown are those in effect on {formatDay(on)}</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {loading ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 animate-spin text-teal-600" />
+              </div>
+            ) : items.length === 0 ? (
+              <p className="text-center text-gray-600 py-8">No catalogue items found. Add one to start billing it.</p>
+            ) : (
+              <div className="space-y-2">
+                <div className="grid grid-cols-12 gap-4 py-2 border-b font-medium text-sm text-gray-600">
+                  <div className="col-span-2">Code</div>
+                  <div className="col-span-3">Name</div>
+                  <div className="col-span-2">Category</div>
+                  <div className="col-span-1">GST</div>
+                  <div className="col-span-2 text-right">Price</div>
+                  <div className="col-span-2 text-right">Actions</div>
+                </div>
+                {items.map(item => (
+                  <div key={item._id} className="grid grid-cols-12 gap-4 py-2 border-b border-border/50 items-center">
+                    <div className="col-span-2 font-mono text-sm">{item.code}</div>
+                    <div className="col-span-3">
+                      <p className="font-medium">{item.name}</p>
+                      {!item.offered && (
+                        <p className="text-xs text-muted-foreground">
+                          {item.effectiveTo && item.effectiveTo < on ? `Ended ${formatDay(item.effectiveTo)}` : 'Not offered on this day'}
+                        </p>
+                      )}
+                    </div>
+                    <div className="col-span-2">
+                      <Badge variant="outline">{categoryLabel(item.category)}</Badge>
+                    </div>
+                    <div className="col-span-1 text-sm text-muted-foreground">{taxLabel(item)}</div>
+                    <div className="col-span-2 text-right font-medium">{item.price === null ? '-' : formatMoney(item.price)}</div>
+                    <div className="col-span-2 flex justify-end gap-1">
+                      <Button size="sm" variant="outline" title="Prices" onClick={() => openPricing(item)}>
+                        <History className="w-4 h-4" />
+                      </Button>
+                      <Button size="sm" variant="outline" title="Edit" onClick={() => openEdit(item)}>
+                        <Pencil className="w-4 h-4" />
+                      </Button>
+                      <Button size="sm" variant="outline" title="Delete" onClick={() => handleDelete(item)} className="text-red-600 hover:text-red-700">
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Add or edit an item; an existing item's price is changed from its price history */}
+      <Dialog open={Boolean(editing)} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{editing === 'new' ? 'Add Catalogue Item' : 'Edit Catalogue Item'}</DialogTitle>
+            <DialogDescription>
+              {editing === 'new'
+                ? 'The opening price applies from the start date'
+                : 'To change the price, use the price history so past invoices keep theirs'}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="code">Code *</Label>
+              <Input
+                id="code"
+                value={form.code}
+                onChange={(e) => updateForm('code', e.target.value.toUpperCase())}
+                placeholder="e.g. LAB-CBC"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="name">Name *</Label>
+              <Input id="name" value={form.name} onChange={(e) => updateForm('name', e.target.value)} placeholder="e.g. Complete blood count" />
+            </div>
+            <div className="space-y-2">
+              <Label>Category</Label>
+              <Select value={form.category} onValueChange={(value) => updateForm('category', value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {CATEGORIES.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {editing === 'new' && (
+              <div className="space-y-2">
+                <Label htmlFor="price">Price (₹) *</Label>
+                <Input
+                  id="price"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={form.price}
+                  onChange={(e) => updateForm('price', e.target.value)}
+                />
+              </div>
+            )}
+            <div className="space-y-2">
+              <Label>Tax Class</Label>
+              <Select value={form.taxClass} onValueChange={(value) => updateForm('taxClass', value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {TAX_CLASS_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>GST Rate</Label>
+              <Select
+                value={form.taxClass === 'taxable' ? String(form.taxRate || '') : ''}
+                onValueChange={(value) => updateForm('taxRate', parseFloat(value))}
+                disabled={form.taxClass !== 'taxable'}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder={form.taxClass === 'taxable' ? 'Select rate' : 'Not taxed'} />
+                </SelectTrigger>
+                <SelectContent>
+                  {GST_RATES.map(rate => (
+                    <SelectItem key={rate} value={String(rate)}>{rate}%</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="hsnSac">HSN/SAC{form.taxClass === 'taxable' ? ' *' : ''}</Label>
+              <Input
+                id="hsnSac"
+                value={form.hsnSac}
+                onChange={(e) => updateForm('hsnSac', e.target.value.replace(/\D/g, '').slice(0, 8))}
+                placeholder="e.g. 999312"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="effectiveFrom">Offered From</Label>
+              <Input id="effectiveFrom" type="date" value={form.effectiveFrom} onChange={(e) => updateForm('effectiveFrom', e.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="effectiveTo">Offered Until</Label>
+              <Input id="effectiveTo" type="date" value={form.effectiveTo} onChange={(e) => updateForm('effectiveTo', e.target.value)} />
+            </div>
+            <div className="space-y-2 md:col-span-2">
+              <Label htmlFor="description">Description</Label>
+              <Textarea id="description" rows={2} value={form.description} onChange={(e) => updateForm('description', e.target.value)} />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setEditing(null)}>Cancel</Button>
+            <Button onClick={handleSave} disabled={saving || !canSave} className="bg-teal-600 hover:bg-teal-700">
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Price history; prices that have taken effect are kept so old invoices still match */}
+      <Dialog open={Boolean(pricing)} onOpenChange={(open) => !open && setPricing(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{pricing?.name} Prices</DialogTitle>
+            <DialogDescription>
+              A new price starts today or later; earlier prices stay as history
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="space-y-2">
+              <Label htmlFor="newPrice">Price (₹)</Label>
+              <Input
+                id="newPrice"
+                type="number"
+                step="0.01"
+                min="0"
+                value={priceForm.price}
+                onChange={(e) => setPriceForm(prev => ({ ...prev, price: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="priceFrom">From</Label>
+              <Input
+                id="priceFrom"
+                type="date"
+                min={today()}
+                value={priceForm.effectiveFrom}
+                onChange={(e) => setPriceForm(prev => ({ ...prev, effectiveFrom: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="priceNote">Note</Label>
+              <Input
+                id="priceNote"
+                value={priceForm.note}
+                onChange={(e) => setPriceForm(prev => ({ ...prev, note: e.target.value }))}
+                placeholder="e.g. Annual revision"
+              />
+            </div>
+            <Button onClick={handleSetPrice} disabled={saving || priceForm.price === ''} className="bg-teal-600 hover:bg-teal-700">
+              {saving ? 'Saving...' : 'Set Price'}
+            </Button>
+          </div>
+
+          <div className="space-y-2 max-h-72 overflow-y-auto">
+            {pricing?.prices.map(entry => (
+              <div key={entry.effectiveFrom} className="flex items-center justify-between py-2 border-b border-border/50">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{formatMoney(entry.price)}</span>
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${PRICE_STATUS_STYLES[entry.status]}`}>
+                      {entry.status.charAt(0).toUpperCase() + entry.status.slice(1)}
+                    </span>
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {formatDay(entry.effectiveFrom)}{entry.effectiveTo ? ` to ${formatDay(entry.effectiveTo)}` : ' onwards'}
+                    {entry.note && ` · ${entry.note}`}
+                    {entry.createdBy && ` · ${entry.createdBy}`}
+                  </p>
+                </div>
+                {entry.status === 'scheduled' && (
+                  <Button size="sm" variant="outline" onClick={() => handleRemovePrice(entry)} className="text-red-600 hover:text-red-700">
+                    Withdraw
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ServiceCatalogue;
@@ -6,11 +6,17 @@ import { Label } from '@/components/ui/label';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
 import { 
-  User, Mail, Phone, Save, Loader2, Settings as SettingsIcon, CheckCircle2, AlertCircle
+  User, Mail, Phone, Save, Loader2, Settings as SettingsIcon, CheckCircle2, AlertCircle, Copy, Globe, Clock, Receipt
 } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { getCurrentUser } from '@/utils/roleUtils';
 import { clinicAPI, doctorAPI, nurseAPI, pharmacistAPI } from '@/services/api';
 import { toast } from 'sonner';
+import ReminderSettings from '@/components/ReminderSettings';
+import NotificationPreferences from '@/components/NotificationPreferences';
+import MessagingSettings from '@/components/MessagingSettings';
+import { resetClinicTimeZone } from '@/hooks/useClinicTimeZone';
+import { DEFAULT_TIME_ZONE, timeZoneOptions, zoneLabel } from '@/utils/clinicTime';
 
 const Settings = () => {
   const [currentUser, setCurrentUser] = useState(null);
@@ -22,7 +28,9 @@ const Settings = () => {
     fullName: '',
     email: '',
     adminEmail: '',
-    phone: ''
+    phone: '',
+    timezone: DEFAULT_TIME_ZONE,
+    gstin: ''
   });
 
   useEffect(() => {
@@ -58,7 +66,9 @@ const Settings = () => {
         fullName: data?.fullName || '',
         email: data?.email || '',
         adminEmail: data?.adminEmail || '',
-        phone: data?.phone || ''
+        phone: data?.phone || '',
+        timezone: data?.timezone || DEFAULT_TIME_ZONE,
+        gstin: data?.gstin || ''
       });
     } catch (error) {
       console.error('Error fetching profile:', error);
@@ -78,6 +88,8 @@ const Settings = () => {
 
       if (currentUser.role === 'clinic' || currentUser.isClinic) {
         updatePayload.name = editedData.name;
+        updatePayload.timezone = editedData.timezone;
+        updatePayload.gstin = editedData.gstin;
         if (editedData.adminEmail && editedData.adminEmail !== profileData.adminEmail) {
           updatePayload.adminEmail = editedData.adminEmail;
         }
@@ -106,6 +118,7 @@ const Settings = () => {
       const storedUser = JSON.parse(localStorage.getItem('authUser') || '{}');
       if (currentUser.role === 'clinic' || currentUser.isClinic) {
         storedUser.name = updatedData.name;
+        resetClinicTimeZone();
       } else {
         storedUser.fullName = updatedData.fullName;
         storedUser.name = updatedData.fullName;
@@ -257,6 +270,53 @@ const Settings = () => {
                 />
               </div>
 
+              {/* Clinic Timezone */}
+              {(currentUser?.role === 'clinic' || currentUser?.isClinic) && (
+                <div className="space-y-2">
+                  <Label htmlFor="timezone" className="flex items-center gap-2">
+                    <Clock className="w-4 h-4 text-muted-foreground" />
+                    Clinic Timezone
+                  </Label>
+                  <Select
+                    value={editedData.timezone}
+                    onValueChange={(value) => setEditedData(prev => ({ ...prev, timezone: value }))}
+                  >
+                    <SelectTrigger id="timezone" className="h-11">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="max-h-[300px]">
+                      {timeZoneOptions().map(zone => (
+                        <SelectItem key={zone} value={zone}>{zone} ({zoneLabel(zone)})</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-muted-foreground">
+                    Appointment times, reminders and "today" are all worked out in this timezone
+                  </p>
+                </div>
+              )}
+
+              {/* Clinic GSTIN */}
+              {(currentUser?.role === 'clinic' || currentUser?.isClinic) && (
+                <div className="space-y-2">
+                  <Label htmlFor="gstin" className="flex items-center gap-2">
+                    <Receipt className="w-4 h-4 text-muted-foreground" />
+                    GSTIN
+                  </Label>
+                  <Input
+                    id="gstin"
+                    value={editedData.gstin}
+                    onChange={(e) => setEditedData(prev => ({ ...prev, gstin: e.target.value.toUpperCase().trim() }))}
+                    placeholder="15-character GST number, e.g. 27AAPFU0939F1ZV"
+                    maxLength={15}
+                    className="h-11"
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Printed on invoices, which are issued as tax invoices or bills of supply once it is set
+                  </p>
+                </div>
+              )}
+
               <Separator />
 
               {/* Save Button */}
@@ -286,6 +346,50 @@ const Settings = () => {
           </CardContent>
         </Card>
 
+        {/* Public booking link */}
+        {(currentUser?.role === 'clinic' || currentUser?.isClinic) && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Globe className="w-5 h-5" />
+                Online Booking
+              </CardTitle>
+              <CardDescription>
+                Share this link so new patients can request appointments. Requests arrive as Processing for staff to confirm.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {profileData?.clinicId ? (
+                <div className="flex gap-2">
+                  <Input readOnly value={`${window.location.origin}/book/${profileData.clinicId}`} />
+                  <Button
+                    variant="outline"
+                    onClick={() => {
+                      navigator.clipboard.writeText(`${window.location.origin}/book/${profileData.clinicId}`);
+                      toast.success('Booking link copied');
+                    }}
+                  >
+                    <Copy className="w-4 h-4" />
+                  </Button>
+                </div>
+              ) : (
+                <p className="text-sm text-muted-foreground">
+                  Your clinic does not have a clinic ID yet. Please contact support to enable online booking.
+                </p>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Which in-app notifications are also emailed */}
+        <NotificationPreferences />
+
+        {/* Clinic-wide appointment reminders */}
+        {(currentUser?.role === 'clinic' || currentUser?.isClinic) && <ReminderSettings />}
+
+        {/* SMS / WhatsApp / email channels per message type */}
+        {(currentUser?.role === 'clinic' || currentUser?.isClinic) && <MessagingSettings />}
+
         {/* Info Card */}
         <Card className="bg-blue-50 dark:bg-blue-950/30 border-blue-200 dark:border-blue-800">
           <CardContent className="pt-6">
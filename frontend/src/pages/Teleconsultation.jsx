@@ -26,6 +26,8 @@ import VideoCallModal from "@/components/VideoCallModal";
 import { consultationAPI, teleconsultationAPI } from "@/services/api";
 import { useToast } from "@/hooks/use-toast";
 import { getCurrentUser } from "@/utils/roleUtils";
+import { todayIn, addDays, zoneLabel } from "@/utils/clinicTime";
+import { useClinicTimeZone } from "@/hooks/useClinicTimeZone";
 
 const Teleconsultation = () => {
   const { toast } = useToast();
@@ -51,22 +53,20 @@ const Teleconsultation = () => {
   });
   const [isInitialLoad, setIsInitialLoad] = useState(true);
   const [searchQuery, setSearchQuery] = useState("");
+  const clinicTimeZone = useClinicTimeZone();
+
+  // Scheduled dates are clinic calendar days; compare them with today at the clinic
+  const displayDay = (date) => {
+    const day = new Date(date).toISOString().split('T')[0];
+    const today = todayIn(clinicTimeZone);
+    if (day === today) return "Today";
+    if (day === addDays(today, 1)) return "Tomorrow";
+    return new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+  };
 
   // Format consultation data for display
   const formatConsultationForDisplay = (consultation) => {
-    const consultationDate = new Date(consultation.date);
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    let displayDate;
-    if (consultationDate.toDateString() === today.toDateString()) {
-      displayDate = "Today";
-    } else if (consultationDate.toDateString() === tomorrow.toDateString()) {
-      displayDate = "Tomorrow";
-    } else {
-      displayDate = consultationDate.toLocaleDateString();
-    }
+    const displayDate = displayDay(consultation.date);
 
     return {
       id: consultation._id,
@@ -82,24 +82,12 @@ const Teleconsultation = () => {
 
   // Format teleconsultation data for display
   const formatTeleconsultationForDisplay = (teleconsultation) => {
-    const consultationDate = new Date(teleconsultation.scheduledDate);
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    let displayDate;
-    if (consultationDate.toDateString() === today.toDateString()) {
-      displayDate = "Today";
-    } else if (consultationDate.toDateString() === tomorrow.toDateString()) {
-      displayDate = "Tomorrow";
-    } else {
-      displayDate = consultationDate.toLocaleDateString();
-    }
+    const displayDate = displayDay(teleconsultation.scheduledDate);
 
     return {
       id: teleconsultation._id,
       patient: teleconsultation.patientName || (teleconsultation.patientId?.fullName) || "Unknown Patient",
-      time: teleconsultation.scheduledTime,
+      time: `${teleconsultation.scheduledTime} ${zoneLabel(teleconsultation.timezone || clinicTimeZone)}`,
       date: displayDate,
       type: teleconsultation.consultationType || "Teleconsultation",
       status: teleconsultation.status || "Scheduled",
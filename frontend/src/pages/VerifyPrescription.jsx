@@ -0,0 +1,149 @@
+import { useState, useEffect } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Separator } from "@/components/ui/separator";
+import {
+  AlertCircle,
+  CheckCircle,
+  XCircle,
+  Hospital,
+  Stethoscope,
+  User,
+  Calendar,
+  Pill
+} from "lucide-react";
+
+const VerifyPrescription = () => {
+  const { prescriptionNumber } = useParams();
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get("code");
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        const response = await fetch(
+          `/api/prescriptions/verify/${encodeURIComponent(prescriptionNumber)}?code=${encodeURIComponent(code || "")}`
+        );
+
+        if (!response.ok) {
+          if (response.status === 404 || response.status === 400) {
+            setError("This prescription could not be verified. The number or verification code does not match our records.");
+          } else {
+            setError("Failed to verify prescription");
+          }
+          return;
+        }
+
+        setResult(await response.json());
+      } catch (error) {
+        console.error('Error verifying prescription:', error);
+        setError("Failed to verify prescription");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (prescriptionNumber) {
+      verify();
+    }
+  }, [prescriptionNumber, code]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto mb-4"></div>
+          <p className="text-muted-foreground">Verifying prescription...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <Card className="w-full max-w-md">
+          <CardContent className="p-6 text-center">
+            <AlertCircle className="w-12 h-12 text-destructive mx-auto mb-4" />
+            <h2 className="text-xl font-semibold mb-2">Not Verified</h2>
+            <p className="text-muted-foreground mb-4">{error}</p>
+            <Button onClick={() => window.location.href = '/'}>
+              Go to Home
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (!result) {
+    return null;
+  }
+
+  return (
+    <div className="min-h-screen bg-background flex items-center justify-center p-6">
+      <Card className="w-full max-w-lg border-0 shadow-soft">
+        <CardHeader className="text-center">
+          {result.cancelled ? (
+            <XCircle className="w-14 h-14 text-destructive mx-auto mb-2" />
+          ) : (
+            <CheckCircle className="w-14 h-14 text-success mx-auto mb-2" />
+          )}
+          <CardTitle className="text-2xl">
+            {result.cancelled ? "Prescription Cancelled" : "Genuine Prescription"}
+          </CardTitle>
+          <CardDescription>
+            {result.cancelled
+              ? "This prescription was issued by the clinic below but has since been cancelled and must not be dispensed."
+              : "This prescription was issued by the clinic below and has not been cancelled."}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-muted-foreground">Prescription No.</span>
+            <span className="font-mono font-semibold">{result.prescriptionNumber}</span>
+          </div>
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-muted-foreground">Status</span>
+            <Badge variant={result.cancelled ? "destructive" : "default"}>{result.status}</Badge>
+          </div>
+
+          <Separator />
+
+          <div className="space-y-3 text-sm">
+            <div className="flex items-center gap-2">
+              <Hospital className="w-4 h-4 text-muted-foreground" />
+              <span>{result.clinicName}{result.clinicCity ? `, ${result.clinicCity}` : ''}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <Stethoscope className="w-4 h-4 text-muted-foreground" />
+              <span>
+                Dr. {result.doctorName}
+                {result.doctorQualification ? ` (${result.doctorQualification})` : ''}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <User className="w-4 h-4 text-muted-foreground" />
+              <span>Patient: {result.patientInitials}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <Calendar className="w-4 h-4 text-muted-foreground" />
+              <span>Issued on {new Date(result.issuedOn).toLocaleDateString()}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <Pill className="w-4 h-4 text-muted-foreground" />
+              <span>{result.medicationsCount} medication{result.medicationsCount !== 1 ? 's' : ''}</span>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default VerifyPrescription;
@@ -0,0 +1,225 @@
+import { useState, useEffect } from "react";
+import { useParams } from "react-router-dom";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Separator } from "@/components/ui/separator";
+import {
+  AlertCircle,
+  CalendarCheck,
+  CheckCircle,
+  Clock,
+  Hospital,
+  Stethoscope,
+  Calendar,
+  XCircle
+} from "lucide-react";
+
+const CLOSED_MESSAGES = {
+  accepted: "This slot has already been booked from this link.",
+  accepting: "This slot is being booked from this link.",
+  declined: "You declined this slot. You remain on the waitlist and we will contact you if another slot opens.",
+  expired: "This offer has expired and the slot has been passed on. You remain on the waitlist.",
+  withdrawn: "This slot is no longer available. You remain on the waitlist."
+};
+
+const WaitlistOffer = () => {
+  const { token } = useParams();
+  const [offer, setOffer] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [responding, setResponding] = useState(false);
+  const [outcome, setOutcome] = useState(null); // { type: 'booked' | 'declined' | 'failed', message }
+
+  useEffect(() => {
+    const loadOffer = async () => {
+      try {
+        const response = await fetch(`/api/waitlist/offers/${encodeURIComponent(token)}`);
+        if (!response.ok) {
+          setError(response.status === 404
+            ? "This offer link is invalid."
+            : "Failed to load offer");
+          return;
+        }
+        setOffer(await response.json());
+      } catch (error) {
+        console.error('Error loading waitlist offer:', error);
+        setError("Failed to load offer");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (token) {
+      loadOffer();
+    }
+  }, [token]);
+
+  const respond = async (action) => {
+    try {
+      setResponding(true);
+      const response = await fetch(`/api/waitlist/offers/${encodeURIComponent(token)}/${action}`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setOutcome({ type: 'failed', message: data.error || "Something went wrong. Please contact the clinic." });
+        return;
+      }
+      setOutcome({ type: action === 'accept' ? 'booked' : 'declined', message: data.message });
+    } catch (error) {
+      console.error(`Error responding to waitlist offer (${action}):`, error);
+      setOutcome({ type: 'failed', message: "Something went wrong. Please contact the clinic." });
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto mb-4"></div>
+          <p className="text-muted-foreground">Loading offer...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <Card className="w-full max-w-md">
+          <CardContent className="p-6 text-center">
+            <AlertCircle className="w-12 h-12 text-destructive mx-auto mb-4" />
+            <h2 className="text-xl font-semibold mb-2">Offer Not Found</h2>
+            <p className="text-muted-foreground mb-4">{error}</p>
+            <Button onClick={() => window.location.href = '/'}>
+              Go to Home
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (!offer) {
+    return null;
+  }
+
+  const slotDate = new Date(offer.date).toLocaleDateString(undefined, {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+  });
+  const closedMessage = offer.status !== 'pending' ? CLOSED_MESSAGES[offer.status] : null;
+
+  const renderHeader = () => {
+    if (outcome?.type === 'booked') {
+      return (
+        <>
+          <CheckCircle className="w-14 h-14 text-success mx-auto mb-2" />
+          <CardTitle className="text-2xl">Appointment Booked</CardTitle>
+          <CardDescription>See you on {slotDate} at {offer.time}.</CardDescription>
+        </>
+      );
+    }
+    if (outcome) {
+      return (
+        <>
+          <XCircle className="w-14 h-14 text-muted-foreground mx-auto mb-2" />
+          <CardTitle className="text-2xl">{outcome.type === 'declined' ? "Slot Declined" : "Could Not Book"}</CardTitle>
+          <CardDescription>{outcome.message}</CardDescription>
+        </>
+      );
+    }
+    if (closedMessage) {
+      return (
+        <>
+          <AlertCircle className="w-14 h-14 text-muted-foreground mx-auto mb-2" />
+          <CardTitle className="text-2xl">Offer Closed</CardTitle>
+          <CardDescription>{closedMessage}</CardDescription>
+        </>
+      );
+    }
+    return (
+      <>
+        <CalendarCheck className="w-14 h-14 text-primary mx-auto mb-2" />
+        <CardTitle className="text-2xl">An Earlier Slot Is Available</CardTitle>
+        <CardDescription>
+          {offer.patientFirstName ? `Hi ${offer.patientFirstName}, a` : "A"} slot has opened up with your doctor.
+          It is held for you until {new Date(offer.expiresAt).toLocaleString()}.
+        </CardDescription>
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-background flex items-center justify-center p-6">
+      <Card className="w-full max-w-lg border-0 shadow-soft">
+        <CardHeader className="text-center">
+          {renderHeader()}
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="space-y-3 text-sm">
+            <div className="flex items-center gap-2">
+              <Calendar className="w-4 h-4 text-muted-foreground" />
+              <span>{slotDate}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <Clock className="w-4 h-4 text-muted-foreground" />
+              <span>{offer.time} ({offer.duration} minutes)</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <Stethoscope className="w-4 h-4 text-muted-foreground" />
+              <span>
+                Dr. {offer.doctorName}
+                {offer.doctorSpecialization ? ` (${offer.doctorSpecialization})` : ''}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <Hospital className="w-4 h-4 text-muted-foreground" />
+              <span>
+                {offer.clinicName}
+                {offer.clinicAddress ? `, ${offer.clinicAddress}` : ''}
+                {offer.clinicCity ? `, ${offer.clinicCity}` : ''}
+              </span>
+            </div>
+          </div>
+
+          {!outcome && !closedMessage && (
+            <>
+              <Separator />
+              <div className="flex gap-3">
+                <Button
+                  variant="outline"
+                  className="flex-1"
+                  disabled={responding}
+                  onClick={() => respond('decline')}
+                >
+                  Decline
+                </Button>
+                <Button
+                  className="flex-1"
+                  disabled={responding}
+                  onClick={() => respond('accept')}
+                >
+                  {responding ? "Please wait..." : "Accept & Book"}
+                </Button>
+              </div>
+              <p className="text-xs text-muted-foreground text-center">
+                Declining keeps your place on the waitlist.
+              </p>
+            </>
+          )}
+
+          {offer.clinicPhone && (
+            <p className="text-xs text-muted-foreground text-center">
+              Questions? Call the clinic on {offer.clinicPhone}.
+            </p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default WaitlistOffer;
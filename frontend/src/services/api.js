@@ -1,5 +1,7 @@
 import { config } from '../config/env.js';
 import sessionManager from '../utils/sessionManager.js';
+import patientSession from '../utils/patientSession.js';
+import { todayIn } from '../utils/clinicTime.js';
 
 const API_BASE_URL = config.API_BASE_URL || 'http://localhost:5000/api';
 
@@ -279,6 +281,14 @@ export const appointmentAPI = {
     });
   },
 
+  // Attach an online booking request to an existing patient record
+  linkPatient: async (id, patientId) => {
+    return apiRequest(`/appointments/${id}/link-patient`, {
+      method: 'PATCH',
+      body: JSON.stringify({ patientId }),
+    });
+  },
+
   // Check for appointment conflicts
   checkConflicts: async (doctorId, date, time, duration = 30, excludeAppointmentId = null) => {
     const queryParams = new URLSearchParams({
@@ -300,6 +310,73 @@ export const appointmentAPI = {
   },
 };
 
+// Recurring appointment series API functions
+export const appointmentSeriesAPI = {
+  // Expand a recurrence rule and list clashing dates without booking
+  preview: async (seriesData) => {
+    return apiRequest('/appointment-series/preview', {
+      method: 'POST',
+      body: JSON.stringify(seriesData),
+    });
+  },
+
+  // Create a series; pass skipConflicts to book only the free dates
+  create: async (seriesData) => {
+    return apiRequest('/appointment-series', {
+      method: 'POST',
+      body: JSON.stringify(seriesData),
+    });
+  },
+
+  getById: async (id) => {
+    return apiRequest(`/appointment-series/${id}`);
+  },
+
+  // Edit one occurrence with scope 'this', 'following' or 'all'
+  updateOccurrence: async (appointmentId, scope, changes, skipConflicts = false) => {
+    return apiRequest(`/appointment-series/occurrences/${appointmentId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ ...changes, scope, skipConflicts }),
+    });
+  },
+
+  cancelOccurrence: async (appointmentId, scope) => {
+    return apiRequest(`/appointment-series/occurrences/${appointmentId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ scope }),
+    });
+  },
+};
+
+// Waitlist API functions
+export const waitlistAPI = {
+  // Active entries by default; pass status 'all' or a single status to widen
+  getAll: async (filters = {}) => {
+    const params = new URLSearchParams(filters);
+    return apiRequest(`/waitlist?${params}`);
+  },
+
+  create: async (entryData) => {
+    return apiRequest('/waitlist', {
+      method: 'POST',
+      body: JSON.stringify(entryData),
+    });
+  },
+
+  update: async (id, entryData) => {
+    return apiRequest(`/waitlist/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(entryData),
+    });
+  },
+
+  remove: async (id) => {
+    return apiRequest(`/waitlist/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
 // Consultation API functions
 export const consultationAPI = {
   // Get all prescriptions
@@ -454,7 +531,8 @@ export const referralAPI = {
   },
 };
 
-// Invoice API functions
+// Invoice API functions. Appointment and teleconsultation invoices are
+// listed here too; filter with { type: 'appointment' } and the like.
 export const invoiceAPI = {
   // Get all invoices
   getAll: async (page = 1, limit = 10, filters = {}) => {
@@ -487,14 +565,6 @@ export const invoiceAPI = {
     });
   },
 
-  // Update invoice status (uses backend PATCH /invoices/:id/status)
-  updateStatus: async (id, status) => {
-    return apiRequest(`/invoices/${id}/status`, {
-      method: 'PATCH',
-      body: JSON.stringify({ status }),
-    });
-  },
-
   // Delete invoice
   delete: async (id) => {
     return apiRequest(`/invoices/${id}`, {
@@ -504,7 +574,7 @@ export const invoiceAPI = {
 
   // Get invoice statistics
   getStats: async () => {
-    return apiRequest('/invoices/stats');
+    return apiRequest('/invoices/stats/summary');
   },
 
   // Get current month revenue
@@ -512,10 +582,11 @@ export const invoiceAPI = {
     return apiRequest('/invoices/stats/current-month-revenue');
   },
 
-  // Approve invoice
-  approve: async (id) => {
+  // Approve invoice; pass { paymentMethod: 'cash' } when the payment was taken at the desk
+  approve: async (id, data = {}) => {
     return apiRequest(`/invoices/${id}/approve`, {
       method: 'PATCH',
+      body: JSON.stringify(data),
     });
   },
 
@@ -526,95 +597,147 @@ export const invoiceAPI = {
       body: JSON.stringify({ reason }),
     });
   },
-};
 
-// Appointment Invoice API functions
-export const appointmentInvoiceAPI = {
-  // Get all appointment invoices
-  getAll: async (page = 1, limit = 10, filters = {}) => {
-    const queryParams = new URLSearchParams({
-      page: page.toString(),
-      limit: limit.toString(),
-      ...filters
+  // Record a payment taken at the clinic
+  markPaid: async (id, paymentMethod = 'cash') => {
+    return apiRequest(`/invoices/${id}/mark-paid`, {
+      method: 'PATCH',
+      body: JSON.stringify({ paymentMethod }),
     });
-    return apiRequest(`/appointment-invoices?${queryParams}`);
-  },
-
-  // Get appointment invoice by ID
-  getById: async (id) => {
-    return apiRequest(`/appointment-invoices/${id}`);
   },
 
-  // Approve appointment invoice
-  approve: async (id) => {
-    return apiRequest(`/appointment-invoices/${id}/approve`, {
+  // Cancel invoice
+  cancel: async (id, reason = '') => {
+    return apiRequest(`/invoices/${id}/cancel`, {
       method: 'PATCH',
+      body: JSON.stringify({ reason }),
     });
   },
 
-  // Update appointment invoice
-  update: async (id, data) => {
-    return apiRequest(`/appointment-invoices/${id}`, {
-      method: 'PATCH',
-      body: JSON.stringify(data),
+  downloadPdf: async (id, invoiceNumber) => {
+    const currentToken = await sessionManager.getToken();
+    const response = await fetch(`${API_BASE_URL}/invoices/${id}/pdf`, {
+      method: 'GET',
+      headers: {
+        ...(currentToken ? { 'Authorization': `Bearer ${currentToken}` } : {}),
+      },
     });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = `invoice-${invoiceNumber || id}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(downloadUrl);
+
+    return { success: true };
   },
 
-  // Cancel appointment invoice
-  cancel: async (id) => {
-    return apiRequest(`/appointment-invoices/${id}/cancel`, {
-      method: 'PATCH',
+  // GSTR-1 return for a month ("YYYY-MM"): the whole report as JSON, or one section as CSV
+  downloadGstr1: async (month, format = 'json', section) => {
+    const currentToken = await sessionManager.getToken();
+    const params = new URLSearchParams({ month, format, ...(section ? { section } : {}) });
+    const response = await fetch(`${API_BASE_URL}/invoices/reports/gstr1?${params}`, {
+      method: 'GET',
+      headers: {
+        ...(currentToken ? { 'Authorization': `Bearer ${currentToken}` } : {}),
+      },
     });
-  },
 
-  // Get appointment invoice statistics
-  getStats: async () => {
-    return apiRequest('/appointment-invoices/stats/summary');
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const blob = format === 'csv'
+      ? await response.blob()
+      : new Blob([JSON.stringify((await response.json()).report, null, 2)], { type: 'application/json' });
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = format === 'csv' ? `gstr1-${month}-${section}.csv` : `gstr1-${month}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(downloadUrl);
+
+    return { success: true };
   },
 };
 
-// Teleconsultation Invoice API functions
-export const teleconsultationInvoiceAPI = {
-  // Get all teleconsultation invoices
-  getAll: async (page = 1, limit = 10, filters = {}) => {
-    const queryParams = new URLSearchParams({
-      page: page.toString(),
-      limit: limit.toString(),
-      ...filters
-    });
-    return apiRequest(`/teleconsultation-invoices?${queryParams}`);
+// Payment refund API functions
+export const paymentAPI = {
+  // Refunds for one appointment, newest first
+  getRefunds: async (filters = {}) => {
+    const queryParams = new URLSearchParams(filters);
+    return apiRequest(`/payments/refunds?${queryParams}`);
   },
 
-  // Get teleconsultation invoice by ID
-  getById: async (id) => {
-    return apiRequest(`/teleconsultation-invoices/${id}`);
+  // Refund all or part of an appointment's payment: { amount, reason, method }
+  refundAppointment: async (appointmentId, refund) => {
+    return apiRequest(`/payments/appointment/${appointmentId}/refunds`, {
+      method: 'POST',
+      body: JSON.stringify(refund),
+    });
   },
 
-  // Approve teleconsultation invoice
-  approve: async (id) => {
-    return apiRequest(`/teleconsultation-invoices/${id}/approve`, {
-      method: 'PATCH',
+  // Confirm a cash or card refund was handed back
+  confirmRefund: async (refundId) => {
+    return apiRequest(`/payments/refunds/${refundId}/confirm`, {
+      method: 'POST',
     });
   },
 
-  // Update teleconsultation invoice
-  update: async (id, data) => {
-    return apiRequest(`/teleconsultation-invoices/${id}`, {
-      method: 'PATCH',
-      body: JSON.stringify(data),
+  // Ask the gateway how a pending refund went
+  refreshRefund: async (refundId) => {
+    return apiRequest(`/payments/refunds/${refundId}/refresh`, {
+      method: 'POST',
     });
   },
 
-  // Cancel teleconsultation invoice
-  cancel: async (id) => {
-    return apiRequest(`/teleconsultation-invoices/${id}/cancel`, {
-      method: 'PATCH',
+  downloadRefundReceipt: async (refundId, receiptNumber) => {
+    const currentToken = await sessionManager.getToken();
+    const response = await fetch(`${API_BASE_URL}/payments/refunds/${refundId}/receipt`, {
+      method: 'GET',
+      headers: {
+        ...(currentToken ? { 'Authorization': `Bearer ${currentToken}` } : {}),
+      },
     });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = `refund-${receiptNumber || refundId}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(downloadUrl);
+
+    return { success: true };
   },
 
-  // Get teleconsultation invoice statistics
-  getStats: async () => {
-    return apiRequest('/teleconsultation-invoices/stats/summary');
+  // Differences the nightly reconciliation found between payments and the gateway
+  getDiscrepancies: async (status = 'open') => {
+    return apiRequest(`/payments/reconciliation?status=${status}`);
+  },
+
+  resolveDiscrepancy: async (discrepancyId, resolution) => {
+    return apiRequest(`/payments/reconciliation/${discrepancyId}/resolve`, {
+      method: 'POST',
+      body: JSON.stringify({ resolution }),
+    });
   },
 };
 
@@ -1371,11 +1494,37 @@ export const inventoryAPI = {
     });
   },
 
-  // Update stock quantity
-  updateStock: async (id, quantity) => {
+  // Update stock quantity (booked as a ledger adjustment)
+  updateStock: async (id, quantity, reason = '') => {
     return apiRequest(`/inventory/${id}/stock`, {
       method: 'PATCH',
-      body: JSON.stringify({ quantity }),
+      body: JSON.stringify({ quantity, reason }),
+    });
+  },
+
+  // Record a stock movement (receipt, return, expiry_writeoff, transfer, adjustment)
+  recordMovement: async (id, movementData) => {
+    return apiRequest(`/inventory/${id}/movements`, {
+      method: 'POST',
+      body: JSON.stringify(movementData),
+    });
+  },
+
+  // Get the stock ledger for an inventory item
+  getLedger: async (id, page = 1, limit = 50, filters = {}) => {
+    const queryParams = new URLSearchParams({
+      page: page.toString(),
+      limit: limit.toString(),
+      ...filters
+    });
+
+    return apiRequest(`/inventory/${id}/ledger?${queryParams}`);
+  },
+
+  // Reset stored quantity to the ledger balance
+  reconcile: async (id) => {
+    return apiRequest(`/inventory/${id}/reconcile`, {
+      method: 'POST',
     });
   },
 
@@ -1387,6 +1536,98 @@ export const inventoryAPI = {
   },
 };
 
+// Supplier API functions
+export const supplierAPI = {
+  // Get all suppliers
+  getAll: async (filters = {}) => {
+    const queryParams = new URLSearchParams(filters);
+    return apiRequest(`/suppliers?${queryParams}`);
+  },
+
+  // Get supplier by ID
+  getById: async (id) => {
+    return apiRequest(`/suppliers/${id}`);
+  },
+
+  // Create new supplier
+  create: async (supplierData) => {
+    return apiRequest('/suppliers', {
+      method: 'POST',
+      body: JSON.stringify(supplierData),
+    });
+  },
+
+  // Update supplier
+  update: async (id, supplierData) => {
+    return apiRequest(`/suppliers/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(supplierData),
+    });
+  },
+
+  // Delete supplier
+  delete: async (id) => {
+    return apiRequest(`/suppliers/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Purchase Order API functions
+export const purchaseOrderAPI = {
+  // Get all purchase orders
+  getAll: async (page = 1, limit = 20, filters = {}) => {
+    const queryParams = new URLSearchParams({
+      page: page.toString(),
+      limit: limit.toString(),
+      ...filters
+    });
+    return apiRequest(`/purchase-orders?${queryParams}`);
+  },
+
+  // Get suggested lines for items below reorder level
+  getSuggestions: async () => {
+    return apiRequest('/purchase-orders/suggestions');
+  },
+
+  // Get purchase order by ID
+  getById: async (id) => {
+    return apiRequest(`/purchase-orders/${id}`);
+  },
+
+  // Create new draft purchase order
+  create: async (orderData) => {
+    return apiRequest('/purchase-orders', {
+      method: 'POST',
+      body: JSON.stringify(orderData),
+    });
+  },
+
+  // Update draft purchase order
+  update: async (id, orderData) => {
+    return apiRequest(`/purchase-orders/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(orderData),
+    });
+  },
+
+  // Change status (sent, cancelled, received)
+  updateStatus: async (id, status, reason = '') => {
+    return apiRequest(`/purchase-orders/${id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status, reason }),
+    });
+  },
+
+  // Record a goods-received note
+  receive: async (id, receiptData) => {
+    return apiRequest(`/purchase-orders/${id}/receive`, {
+      method: 'POST',
+      body: JSON.stringify(receiptData),
+    });
+  },
+};
+
 // Clinic API functions
 export const clinicAPI = {
   // Login clinic
@@ -1417,6 +1658,11 @@ export const clinicAPI = {
     });
   },
 
+  // Timezone of the signed-in user's clinic
+  getTimeZone: async () => {
+    return apiRequest('/clinics/timezone');
+  },
+
   // Update clinic profile
   updateProfile: async (payload) => {
     return apiRequest('/clinics/profile', {
@@ -1598,6 +1844,300 @@ export const emailConfigAPI = {
   }
 };
 
+// Appointment reminder settings API functions
+export const reminderSettingsAPI = {
+  // Settings plus appointment types, template variables and built-in defaults
+  get: async () => {
+    return apiRequest('/reminder-settings');
+  },
+
+  update: async (settings) => {
+    return apiRequest('/reminder-settings', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  },
+
+  // Render a template with sample data
+  preview: async (template) => {
+    return apiRequest('/reminder-settings/preview', {
+      method: 'POST',
+      body: JSON.stringify(template),
+    });
+  },
+
+  getHistory: async (filters = {}) => {
+    const params = new URLSearchParams(filters);
+    return apiRequest(`/reminder-settings/history?${params}`);
+  },
+};
+
+// Doctor calendar subscription (iCalendar feed) API functions
+export const calendarFeedAPI = {
+  // Feed settings and the secret subscription URL for the signed-in doctor
+  get: async () => {
+    return apiRequest('/calendar-feeds/me');
+  },
+
+  update: async (options) => {
+    return apiRequest('/calendar-feeds/me', {
+      method: 'PUT',
+      body: JSON.stringify(options),
+    });
+  },
+
+  // Issue a new URL; calendars using the old one stop updating
+  regenerate: async () => {
+    return apiRequest('/calendar-feeds/me/regenerate', {
+      method: 'POST',
+    });
+  },
+
+  revoke: async () => {
+    return apiRequest('/calendar-feeds/me', {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Walk-in queue API functions
+export const queueAPI = {
+  // Today's queue for every doctor, or one doctor
+  getToday: async (doctorId) => {
+    const query = doctorId ? `?doctorId=${doctorId}` : '';
+    return apiRequest(`/queue/today${query}`);
+  },
+
+  // Token numbers only, for the waiting-room screen
+  getDisplay: async () => {
+    return apiRequest('/queue/display');
+  },
+
+  getReport: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value);
+    });
+    return apiRequest(`/queue/report?${queryParams}`);
+  },
+
+  // { doctorId, patientName, phone, patientId?, appointmentId?, priority?, notes? }
+  issueToken: async (data) => {
+    return apiRequest('/queue/tokens', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  callNext: async (doctorId) => {
+    return apiRequest(`/queue/doctors/${doctorId}/call-next`, {
+      method: 'POST',
+    });
+  },
+
+  // action is one of start, complete, skip, requeue, cancel
+  updateToken: async (tokenId, action) => {
+    return apiRequest(`/queue/tokens/${tokenId}/${action}`, {
+      method: 'POST',
+    });
+  },
+};
+
+// Notification API functions
+export const notificationAPI = {
+  // status is unread, inbox (default) or archived
+  getAll: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value);
+    });
+    return apiRequest(`/notifications?${queryParams}`);
+  },
+
+  getUnreadCount: async () => {
+    return apiRequest('/notifications/unread-count');
+  },
+
+  // action is one of read, unread, archive, unarchive
+  update: async (notificationId, action) => {
+    return apiRequest(`/notifications/${notificationId}/${action}`, {
+      method: 'PATCH',
+    });
+  },
+
+  markAllRead: async () => {
+    return apiRequest('/notifications/read-all', {
+      method: 'POST',
+    });
+  },
+
+  getPreferences: async () => {
+    return apiRequest('/notifications/preferences');
+  },
+
+  // email is { [type]: boolean }
+  updatePreferences: async (email) => {
+    return apiRequest('/notifications/preferences', {
+      method: 'PUT',
+      body: JSON.stringify({ email }),
+    });
+  },
+};
+
+// SMS / WhatsApp / email channel settings and delivery log
+export const messagingAPI = {
+  // Channels and templates per message type, plus which channels the server can send on
+  getSettings: async () => {
+    return apiRequest('/messaging/settings');
+  },
+
+  // settings is { channels: { [type]: [channel] }, templates: [...] }
+  updateSettings: async (settings) => {
+    return apiRequest('/messaging/settings', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  },
+
+  // Render an SMS/WhatsApp template with sample data
+  preview: async (type, body) => {
+    return apiRequest('/messaging/preview', {
+      method: 'POST',
+      body: JSON.stringify({ type, body }),
+    });
+  },
+
+  sendTest: async (channel, to) => {
+    return apiRequest('/messaging/test', {
+      method: 'POST',
+      body: JSON.stringify({ channel, to }),
+    });
+  },
+
+  getLogs: async (filters = {}) => {
+    const queryParams = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value);
+    });
+    return apiRequest(`/messaging/logs?${queryParams}`);
+  },
+};
+
+// Clinic email templates with version history
+export const emailTemplateAPI = {
+  // Every template type with its versions, plus the clinic logo
+  getAll: async () => {
+    return apiRequest('/email-templates');
+  },
+
+  // Saves a new version and starts sending it
+  save: async (key, template) => {
+    return apiRequest(`/email-templates/${key}`, {
+      method: 'PUT',
+      body: JSON.stringify(template),
+    });
+  },
+
+  // Render a draft { subject, body } with sample data
+  preview: async (key, draft) => {
+    return apiRequest(`/email-templates/${key}/preview`, {
+      method: 'POST',
+      body: JSON.stringify(draft),
+    });
+  },
+
+  sendTest: async (key, to, draft) => {
+    return apiRequest(`/email-templates/${key}/test`, {
+      method: 'POST',
+      body: JSON.stringify({ ...draft, to }),
+    });
+  },
+
+  activateVersion: async (key, version) => {
+    return apiRequest(`/email-templates/${key}/versions/${version}/activate`, {
+      method: 'POST',
+    });
+  },
+
+  // Back to the built-in email; versions are kept
+  reset: async (key) => {
+    return apiRequest(`/email-templates/${key}`, {
+      method: 'DELETE',
+    });
+  },
+
+  updateLogo: async (logoUrl) => {
+    return apiRequest('/email-templates/logo', {
+      method: 'PUT',
+      body: JSON.stringify({ logoUrl }),
+    });
+  },
+};
+
+export const emailLogAPI = {
+  // One page of outgoing emails, filtered by { status, template }
+  getAll: async (page = 1, filters = {}) => {
+    const queryParams = new URLSearchParams({ page: page.toString(), ...filters });
+    return apiRequest(`/email-log?${queryParams}`);
+  },
+
+  // Sends the email again as a new log entry
+  resend: async (id) => {
+    return apiRequest(`/email-log/${id}/resend`, {
+      method: 'POST',
+    });
+  },
+};
+
+export const catalogueAPI = {
+  // Items priced for a day, filtered by { category, search, on, offered }
+  getAll: async (filters = {}) => {
+    const queryParams = new URLSearchParams(filters);
+    return apiRequest(`/catalogue?${queryParams}`);
+  },
+
+  getById: async (id) => {
+    return apiRequest(`/catalogue/${id}`);
+  },
+
+  // A new item with its opening { price, note }
+  create: async (item) => {
+    return apiRequest('/catalogue', {
+      method: 'POST',
+      body: JSON.stringify(item),
+    });
+  },
+
+  // Details only; prices go through setPrice
+  update: async (id, item) => {
+    return apiRequest(`/catalogue/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(item),
+    });
+  },
+
+  // Adds { price, effectiveFrom, note } to the price history
+  setPrice: async (id, entry) => {
+    return apiRequest(`/catalogue/${id}/prices`, {
+      method: 'POST',
+      body: JSON.stringify(entry),
+    });
+  },
+
+  // Withdraws a price that hasn't started yet
+  removePrice: async (id, effectiveFrom) => {
+    return apiRequest(`/catalogue/${id}/prices/${effectiveFrom}`, {
+      method: 'DELETE',
+    });
+  },
+
+  delete: async (id) => {
+    return apiRequest(`/catalogue/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
 // Prescription API functions
 export const prescriptionAPI = {
   // Get all prescriptions with optional pagination and filters
@@ -1634,6 +2174,41 @@ export const prescriptionAPI = {
     });
   },
 
+  // Preview interaction and allergy warnings before saving
+  checkInteractions: async (patientId, medications, prescriptionId = null) => {
+    return apiRequest('/prescriptions/check-interactions', {
+      method: 'POST',
+      body: JSON.stringify({ patientId, medications, prescriptionId }),
+    });
+  },
+
+  // Download printable PDF with letterhead and verification QR code
+  downloadPdf: async (id, prescriptionNumber) => {
+    const currentToken = await sessionManager.getToken();
+    const response = await fetch(`${API_BASE_URL}/prescriptions/${id}/pdf`, {
+      method: 'GET',
+      headers: {
+        ...(currentToken ? { 'Authorization': `Bearer ${currentToken}` } : {}),
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = `prescription-${prescriptionNumber || id}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(downloadUrl);
+
+    return { success: true };
+  },
+
   // Update prescription
   update: async (id, prescriptionData) => {
     return apiRequest(`/prescriptions/${id}`, {
@@ -1672,7 +2247,17 @@ export const prescriptionAPI = {
     return apiRequest(`/prescriptions/${prescriptionId}/matching-inventory`);
   },
 
-  // Dispense medication from inventory
+  // Preview which batches a dispense would draw from (FEFO)
+  getDispensePlan: async (prescriptionId, medicationIndex, quantity, inventoryId = null) => {
+    const queryParams = new URLSearchParams({
+      medicationIndex: medicationIndex.toString(),
+      quantity: quantity.toString(),
+      ...(inventoryId ? { inventoryId } : {})
+    });
+    return apiRequest(`/prescriptions/${prescriptionId}/dispense-plan?${queryParams}`);
+  },
+
+  // Dispense medication from inventory; the backend picks batches FEFO for the selected product
   dispenseMedication: async (prescriptionId, medicationIndex, inventoryId, quantity, notes = '') => {
     return apiRequest(`/prescriptions/${prescriptionId}/dispense`, {
       method: 'POST',
@@ -1898,8 +2483,8 @@ export const teleconsultationAPI = {
   },
 
   // Get today's teleconsultations
-  getToday: async () => {
-    const today = new Date().toISOString().split('T')[0];
+  getToday: async (timeZone) => {
+    const today = todayIn(timeZone);
     return apiRequest(`/teleconsultations?date=${today}`);
   },
 
@@ -1924,16 +2509,21 @@ export const doctorAvailabilityAPI = {
     return apiRequest(`/doctor-availability/${doctorId}`);
   },
 
-  // Get available time slots for a specific date
-  getAvailableSlots: async (doctorId, date) => {
-    return apiRequest(`/doctor-availability/${doctorId}/slots/${date}`);
+  // Get free time slots for a specific date, computed on the server
+  // options: { duration, excludeAppointmentId }
+  getAvailableSlots: async (doctorId, date, options = {}) => {
+    const queryParams = new URLSearchParams();
+    if (options.duration) queryParams.append('duration', options.duration.toString());
+    if (options.excludeAppointmentId) queryParams.append('excludeAppointmentId', options.excludeAppointmentId);
+    const query = queryParams.toString();
+    return apiRequest(`/doctor-availability/${doctorId}/slots/${date}${query ? `?${query}` : ''}`);
   },
 
   // Bulk create/update availability
-  bulkUpdate: async (doctorId, clinicId, schedule, slotDuration = 30) => {
+  bulkUpdate: async (doctorId, clinicId, schedule, slotDuration = 30, bufferMinutes = 0) => {
     return apiRequest('/doctor-availability/bulk', {
       method: 'POST',
-      body: JSON.stringify({ doctorId, clinicId, schedule, slotDuration })
+      body: JSON.stringify({ doctorId, clinicId, schedule, slotDuration, bufferMinutes })
     });
   },
 
@@ -2004,6 +2594,127 @@ export const scheduleExceptionAPI = {
   }
 };
 
+// Patient portal requests carry the patient session, never the staff one
+const portalRequest = async (endpoint, options = {}) => {
+  const token = await patientSession.getToken(API_BASE_URL);
+  const response = await fetch(`${API_BASE_URL}/patient-portal${endpoint}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      ...options.headers,
+    },
+  });
+
+  if (response.status === 401) {
+    patientSession.clear();
+    window.location.href = '/patient-portal/login';
+    throw new Error('Session expired. Please log in again.');
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const details = Array.isArray(errorData.details)
+      ? errorData.details.map(d => d.msg || d).join('; ')
+      : undefined;
+    const error = new Error([errorData.error, details].filter(Boolean).join(' - ') || `HTTP error! status: ${response.status}`);
+    error.data = errorData;
+    throw error;
+  }
+
+  return options.raw ? response : response.json();
+};
+
+const portalDownload = async (endpoint, fileName) => {
+  const response = await portalRequest(endpoint, { raw: true, headers: { 'Accept': 'application/pdf' } });
+  const blob = await response.blob();
+  const downloadUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = downloadUrl;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(downloadUrl);
+  return { success: true };
+};
+
+// Patient Portal API
+export const patientPortalAPI = {
+  requestOtp: async (email) => {
+    return portalRequest('/auth/request-otp', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  },
+
+  verifyOtp: async (email, otp, patientId) => {
+    return portalRequest('/auth/verify-otp', {
+      method: 'POST',
+      body: JSON.stringify({ email, otp, patientId })
+    });
+  },
+
+  switchProfile: async (patientId) => {
+    return portalRequest('/auth/switch-profile', {
+      method: 'POST',
+      body: JSON.stringify({ patientId })
+    });
+  },
+
+  getMe: async () => {
+    return portalRequest('/me');
+  },
+
+  getAppointments: async (scope = 'upcoming') => {
+    return portalRequest(`/appointments?scope=${scope}`);
+  },
+
+  cancelRequest: async (appointmentId) => {
+    return portalRequest(`/appointments/${appointmentId}/cancel`, { method: 'POST' });
+  },
+
+  getDoctors: async () => {
+    return portalRequest('/doctors');
+  },
+
+  getSlots: async (doctorId, date) => {
+    return portalRequest(`/doctors/${doctorId}/slots/${date}`);
+  },
+
+  requestBooking: async (booking) => {
+    return portalRequest('/booking-requests', {
+      method: 'POST',
+      body: JSON.stringify(booking)
+    });
+  },
+
+  getPrescriptions: async () => {
+    return portalRequest('/prescriptions');
+  },
+
+  downloadPrescription: async (id, prescriptionNumber) => {
+    return portalDownload(`/prescriptions/${id}/pdf`, `prescription-${prescriptionNumber || id}.pdf`);
+  },
+
+  getLabReports: async () => {
+    return portalRequest('/lab-reports');
+  },
+
+  getLabReportUrl: async (id) => {
+    return portalRequest(`/lab-reports/${id}/download`);
+  },
+
+  getInvoices: async () => {
+    return portalRequest('/invoices');
+  },
+
+  downloadInvoice: async (id, number) => {
+    return portalDownload(`/invoices/${id}/pdf`, `invoice-${number || id}.pdf`);
+  }
+};
+
 // Note: consultationAPI and teleconsultationAPI are separate APIs
 
 export default {
@@ -2012,8 +2723,7 @@ export default {
   consultationAPI,
   referralAPI,
   invoiceAPI,
-  appointmentInvoiceAPI,
-  teleconsultationInvoiceAPI,
+  paymentAPI,
   activityLogAPI,
   postAPI,
   authAPI,
@@ -2022,6 +2732,8 @@ export default {
   nurseAPI,
   pharmacistAPI,
   inventoryAPI,
+  supplierAPI,
+  purchaseOrderAPI,
   clinicAPI,
   prescriptionAPI,
   vitalsAPI,
@@ -2029,5 +2741,6 @@ export default {
   revenueAPI,
   teleconsultationAPI,
   doctorAvailabilityAPI,
-  scheduleExceptionAPI
+  scheduleExceptionAPI,
+  patientPortalAPI
 };
@@ -0,0 +1,77 @@
+/**
+ * Live events from the API for staff dashboards.
+ * One socket is shared by every subscriber and closed when the last one leaves.
+ * Clinic-wide events carry IDs and statuses only; screens patch what they hold or refetch.
+ */
+
+import io from 'socket.io-client';
+import { config } from '../config/env.js';
+import sessionManager from '../utils/sessionManager.js';
+
+// Must match EVENTS in backend/services/realtimeService.js
+export const REALTIME_EVENTS = {
+  APPOINTMENT_CREATED: 'appointment:created',
+  APPOINTMENT_STATUS: 'appointment:status',
+  APPOINTMENT_DELETED: 'appointment:deleted',
+  PRESCRIPTION_ALLOTTED: 'prescription:allotted',
+  PRESCRIPTION_DISPENSED: 'prescription:dispensed',
+  COMPLIANCE_ALERT_CREATED: 'compliance-alert:created',
+  LAB_REPORT_UPLOADED: 'lab-report:uploaded',
+  QUEUE_CHANGED: 'queue:changed',
+  NOTIFICATION_CREATED: 'notification:new',
+};
+
+// The socket lives on the API server itself, not under /api
+const SOCKET_URL = (config.API_BASE_URL || 'http://localhost:5000/api').replace(/\/api\/?$/, '');
+
+let socket = null;
+let subscribers = 0;
+
+const connect = () => {
+  socket = io(SOCKET_URL, {
+    transports: ['websocket', 'polling'],
+    // Read on every (re)connect so a refreshed token is picked up
+    auth: (callback) => {
+      sessionManager.checkTokenRefresh()
+        .then(token => callback({ token }))
+        .catch(() => callback({}));
+    },
+  });
+
+  // Rejected handshakes are not retried automatically; retry once the token is fresh
+  socket.on('connect_error', async (error) => {
+    if (error.message !== 'TOKEN_EXPIRED') return;
+    try {
+      if (await sessionManager.refreshAuthToken()) {
+        socket?.connect();
+      }
+    } catch (refreshError) {
+      console.error('Realtime token refresh failed:', refreshError);
+    }
+  });
+
+  return socket;
+};
+
+/**
+ * Listen for an event
+ * @param {string} event - One of REALTIME_EVENTS
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Stop listening
+ */
+export const subscribe = (event, handler) => {
+  const current = socket || connect();
+  subscribers += 1;
+  current.on(event, handler);
+
+  return () => {
+    current.off(event, handler);
+    subscribers -= 1;
+    if (subscribers === 0 && socket === current) {
+      current.disconnect();
+      socket = null;
+    }
+  };
+};
+
+export default { subscribe, REALTIME_EVENTS };
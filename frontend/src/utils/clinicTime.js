@@ -0,0 +1,118 @@
+/**
+ * Clinic-local dates and times in the browser.
+ *
+ * Appointment days ("YYYY-MM-DD") and times ("HH:MM") are the clinic's wall
+ * clock, whatever timezone the person looking at them is in. These helpers
+ * work out "today" at the clinic and, when the viewer is somewhere else,
+ * what a clinic time is in their own zone.
+ */
+
+export const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const parts = (timeZone, instant = new Date()) => {
+  const result = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || DEFAULT_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant).forEach(part => { result[part.type] = Number(part.value); });
+  return result;
+};
+
+/**
+ * Today's calendar day at the clinic
+ * @param {string} timeZone - Clinic timezone
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const todayIn = (timeZone) => {
+  const { year, month, day } = parts(timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Shift a calendar day
+ * @param {string} day - "YYYY-MM-DD"
+ * @param {number} days
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * The instant a clinic day and time refer to
+ * @param {string} day - "YYYY-MM-DD" (or a stored date)
+ * @param {string} time - "HH:MM"
+ * @param {string} timeZone - Clinic timezone
+ * @returns {Date}
+ */
+export const toInstant = (day, time, timeZone) => {
+  const key = String(day).slice(0, 10);
+  const [hours, minutes] = String(time || '00:00').split(':').map(Number);
+  const wall = Date.parse(`${key}T00:00:00Z`) + (hours * 60 + minutes) * 60000;
+  const offset = (instant) => {
+    const p = parts(timeZone, new Date(instant));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(instant / 60000) * 60000;
+  };
+  const guess = wall - offset(wall);
+  return new Date(wall - offset(guess));
+};
+
+/**
+ * Short name for a timezone, e.g. "IST"
+ * @param {string} timeZone
+ * @param {Date} [at]
+ * @returns {string}
+ */
+export const zoneLabel = (timeZone, at = new Date()) => {
+  const part = new Intl.DateTimeFormat('en-IN', {
+    timeZone: timeZone || DEFAULT_TIME_ZONE,
+    timeZoneName: 'short'
+  }).formatToParts(at).find(entry => entry.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+};
+
+export const viewerTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * A clinic time as the viewer's own clock shows it, or null when the viewer
+ * is on clinic time anyway
+ * @param {string} day - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @param {string} timeZone - Clinic timezone
+ * @returns {string|null} e.g. "Mon, 9 Mar, 6:30 am GMT+1"
+ */
+export const inViewerZone = (day, time, timeZone) => {
+  if (!day || !time) return null;
+  const instant = toInstant(day, time, timeZone);
+  const clinic = parts(timeZone, instant);
+  const viewer = parts(viewerTimeZone(), instant);
+  if (clinic.day === viewer.day && clinic.hour === viewer.hour && clinic.minute === viewer.minute) {
+    return null;
+  }
+  return instant.toLocaleString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+};
+
+/**
+ * IANA timezones a clinic can choose from
+ * @returns {Array<string>}
+ */
+export const timeZoneOptions = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes(DEFAULT_TIME_ZONE) ? zones : [DEFAULT_TIME_ZONE, ...zones];
+};
@@ -0,0 +1,119 @@
+/**
+ * Structured dosing options and calculations for the prescription form.
+ * Mirrors backend/utils/dosing.js; the server recalculates on save.
+ */
+
+export const DOSE_UNITS = [
+  { value: 'tablet', label: 'Tablet(s)' },
+  { value: 'capsule', label: 'Capsule(s)' },
+  { value: 'mg', label: 'mg' },
+  { value: 'mcg', label: 'mcg' },
+  { value: 'g', label: 'g' },
+  { value: 'ml', label: 'ml' },
+  { value: 'iu', label: 'IU' },
+  { value: 'unit', label: 'Unit(s)' },
+  { value: 'puff', label: 'Puff(s)' },
+  { value: 'drop', label: 'Drop(s)' },
+  { value: 'sachet', label: 'Sachet(s)' },
+  { value: 'application', label: 'Application(s)' },
+  { value: 'patch', label: 'Patch(es)' },
+  { value: 'suppository', label: 'Suppository' }
+];
+
+export const ROUTES = [
+  { value: 'oral', label: 'Oral' },
+  { value: 'sublingual', label: 'Sublingual' },
+  { value: 'topical', label: 'Topical' },
+  { value: 'inhalation', label: 'Inhalation' },
+  { value: 'intravenous', label: 'IV' },
+  { value: 'intramuscular', label: 'IM' },
+  { value: 'subcutaneous', label: 'SC' },
+  { value: 'ophthalmic', label: 'Eye' },
+  { value: 'otic', label: 'Ear' },
+  { value: 'nasal', label: 'Nasal' },
+  { value: 'rectal', label: 'Rectal' },
+  { value: 'vaginal', label: 'Vaginal' },
+  { value: 'transdermal', label: 'Transdermal' }
+];
+
+export const FREQUENCIES = {
+  OD: { label: 'Once daily', timesPerDay: 1 },
+  BD: { label: 'Twice daily', timesPerDay: 2 },
+  TDS: { label: 'Three times daily', timesPerDay: 3 },
+  QID: { label: 'Four times daily', timesPerDay: 4 },
+  HS: { label: 'At bedtime', timesPerDay: 1 },
+  q4h: { label: 'Every 4 hours', timesPerDay: 6 },
+  q6h: { label: 'Every 6 hours', timesPerDay: 4 },
+  q8h: { label: 'Every 8 hours', timesPerDay: 3 },
+  q12h: { label: 'Every 12 hours', timesPerDay: 2 },
+  ALT: { label: 'Alternate days', timesPerDay: 0.5 },
+  WEEKLY: { label: 'Once weekly', timesPerDay: 1 / 7 },
+  STAT: { label: 'Single dose immediately', timesPerDay: null },
+  PRN: { label: 'As needed', timesPerDay: null }
+};
+
+const COUNTABLE_UNITS = ['tablet', 'capsule', 'sachet', 'patch', 'suppository'];
+const STRENGTH_UNITS = ['mg', 'mcg', 'g', 'iu'];
+
+/**
+ * Units to dispense for the whole course, or null if it can't be counted
+ * (liquids, drops, creams, open-ended PRN)
+ * @param {Object} medication - Medication with structured dosing fields
+ * @returns {number|null}
+ */
+export const calculateTotalQuantity = (medication) => {
+  const { frequencyCode, durationDays, doseAmount, doseUnit } = medication;
+  if (!frequencyCode || !doseUnit) return null;
+
+  let doses;
+  if (frequencyCode === 'STAT') {
+    doses = 1;
+  } else {
+    const timesPerDay = FREQUENCIES[frequencyCode]?.timesPerDay;
+    if (!timesPerDay || !durationDays) return null;
+    doses = Math.ceil(Number((timesPerDay * durationDays).toFixed(6)));
+  }
+
+  if (COUNTABLE_UNITS.includes(doseUnit)) {
+    return Math.ceil(doses * (parseFloat(doseAmount) || 1));
+  }
+  if (STRENGTH_UNITS.includes(doseUnit)) {
+    return doses;
+  }
+  return null;
+};
+
+/**
+ * Last day of the course, counting the start date as day 1
+ * @param {Date|string} startDate - Prescription date
+ * @param {Object} medication - Medication with structured dosing fields
+ * @returns {Date|null}
+ */
+export const getCourseEndDate = (startDate, medication) => {
+  const start = new Date(startDate);
+  if (isNaN(start)) return null;
+  if (medication.frequencyCode === 'STAT') return start;
+  if (!medication.durationDays) return null;
+
+  const end = new Date(start);
+  end.setDate(end.getDate() + parseInt(medication.durationDays) - 1);
+  return end;
+};
+
+export const formatDose = (amount, unit) => {
+  if (!amount || !unit) return '';
+  const countable = [...COUNTABLE_UNITS, 'puff', 'drop', 'unit', 'application'];
+  if (!countable.includes(unit)) return `${amount}${unit}`;
+  return `${amount} ${unit}${parseFloat(amount) === 1 ? '' : 's'}`;
+};
+
+export const formatFrequency = (code, prn) => {
+  const label = FREQUENCIES[code]?.label;
+  if (!label) return prn ? 'As needed' : '';
+  return prn && code !== 'PRN' ? `${label} as needed` : label;
+};
+
+export const formatDuration = (days) => {
+  if (!days) return '';
+  return `${days} day${parseInt(days) === 1 ? '' : 's'}`;
+};
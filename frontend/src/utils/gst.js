@@ -0,0 +1,55 @@
+/**
+ * GST options for building invoices in the browser.
+ *
+ * The server classifies and taxes every line (backend/utils/gst.js); these
+ * mirror its tax classes, rates and per-type defaults so the invoice form
+ * can offer them and show an estimate before saving.
+ */
+
+export const TAX_CLASS_OPTIONS = [
+  { value: 'exempt', label: 'Exempt' },
+  { value: 'taxable', label: 'Taxable' },
+  { value: 'nil_rated', label: 'Nil rated' },
+  { value: 'non_gst', label: 'Non-GST' }
+];
+
+export const GST_RATES = [0.25, 3, 5, 12, 18, 28, 40];
+
+// Healthcare services are exempt; pharmacy items are taxed
+const ITEM_DEFAULTS = {
+  service: { taxClass: 'exempt', taxRate: 0, hsnSac: '999312' },
+  appointment: { taxClass: 'exempt', taxRate: 0, hsnSac: '999312' },
+  teleconsultation: { taxClass: 'exempt', taxRate: 0, hsnSac: '999312' },
+  medication: { taxClass: 'taxable', taxRate: 5, hsnSac: '3004' },
+  other: { taxClass: 'exempt', taxRate: 0, hsnSac: '' }
+};
+
+export const gstDefaults = (type) => ({ ...(ITEM_DEFAULTS[type] || ITEM_DEFAULTS.other) });
+
+// Short label for a line's tax, e.g. "5%" or "Exempt"
+export const taxLabel = (item) => {
+  if (!item?.taxClass) return '';
+  if (item.taxClass === 'taxable') return `${item.taxRate}%`;
+  return TAX_CLASS_OPTIONS.find(option => option.value === item.taxClass)?.label || '';
+};
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * GST the server will add, with the discount shared across lines in
+ * proportion to their amounts. Whether it is split as CGST/SGST or charged
+ * as IGST depends on place of supply and doesn't change the amount.
+ * @param {Array<Object>} items - Lines with { qty, unitPrice, taxClass, taxRate }
+ * @param {number} [discount]
+ * @returns {number}
+ */
+export const estimateTax = (items = [], discount = 0) => {
+  const amounts = items.map(item => (parseFloat(item.qty) || 0) * (parseFloat(item.unitPrice) || 0));
+  const subtotal = amounts.reduce((sum, amount) => sum + amount, 0);
+  const share = subtotal ? Math.min(discount, subtotal) / subtotal : 0;
+
+  return round(items.reduce((sum, item, index) => {
+    if (item.taxClass !== 'taxable') return sum;
+    return sum + round((amounts[index] * (1 - share) * (parseFloat(item.taxRate) || 0)) / 100);
+  }, 0));
+};
@@ -0,0 +1,89 @@
+/**
+ * Patient portal session storage
+ * Kept apart from the staff session so a patient login never opens the staff app
+ */
+
+const TOKEN_KEY = 'patientPortalToken';
+const REFRESH_TOKEN_KEY = 'patientPortalRefreshToken';
+const EXPIRY_KEY = 'patientPortalTokenExpiry';
+const USER_KEY = 'patientPortalUser';
+const PROFILES_KEY = 'patientPortalProfiles';
+
+// Refresh a minute before the access token runs out
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const readJSON = (key) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const patientSession = {
+  save({ accessToken, refreshToken, expiresIn, user, profiles }) {
+    localStorage.setItem(TOKEN_KEY, accessToken);
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    localStorage.setItem(EXPIRY_KEY, String(Date.now() + (expiresIn || 900) * 1000));
+    if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+    if (profiles) localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  },
+
+  getUser() {
+    return readJSON(USER_KEY);
+  },
+
+  getProfiles() {
+    return readJSON(PROFILES_KEY) || [];
+  },
+
+  isLoggedIn() {
+    return Boolean(localStorage.getItem(REFRESH_TOKEN_KEY) || localStorage.getItem(TOKEN_KEY));
+  },
+
+  clear() {
+    [TOKEN_KEY, REFRESH_TOKEN_KEY, EXPIRY_KEY, USER_KEY, PROFILES_KEY].forEach(key => localStorage.removeItem(key));
+  },
+
+  /**
+   * Current access token, refreshed through /auth/refresh when close to expiry
+   * @param {string} apiBaseUrl - API base URL
+   * @returns {Promise<string|null>} Access token, or null when the session has ended
+   */
+  async getToken(apiBaseUrl) {
+    const token = localStorage.getItem(TOKEN_KEY);
+    const expiry = parseInt(localStorage.getItem(EXPIRY_KEY)) || 0;
+    if (token && expiry - Date.now() > REFRESH_MARGIN_MS) {
+      return token;
+    }
+    return this.refresh(apiBaseUrl);
+  },
+
+  async refresh(apiBaseUrl) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(`${apiBaseUrl}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+      if (!response.ok) {
+        this.clear();
+        return null;
+      }
+      const data = await response.json();
+      this.save({ accessToken: data.token, refreshToken: data.refreshToken, expiresIn: data.expiresIn });
+      return data.token;
+    } catch (error) {
+      console.error('Patient session refresh failed:', error);
+      return null;
+    }
+  }
+};
+
+export default patientSession;
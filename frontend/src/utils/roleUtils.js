@@ -18,6 +18,7 @@ export const ROLE_PERMISSIONS = {
       'patient-management',
       'appointment-management',
       'slot-management',
+      'queue-management',
       'doctors-management',
       'nurses-management',
       'pharmacists-management',
@@ -28,6 +29,7 @@ export const ROLE_PERMISSIONS = {
       'community-hub',
       'exercises',
       'invoice-management',
+      'service-catalogue',
       'email-settings',
       'compliance-alerts',
       'activity-logs',
@@ -42,6 +44,7 @@ export const ROLE_PERMISSIONS = {
       'dashboard',
       'patient-management',
       'appointment-management',
+      'queue-management',
       'referral-system',
       'teleconsultation',
       'prescriptions',
@@ -58,6 +61,7 @@ export const ROLE_PERMISSIONS = {
       'dashboard',
       'patient-management',
       'appointment-management',
+      'queue-management',
       'prescriptions',
       'lab-reports',
       'exercises',
@@ -72,6 +76,7 @@ export const ROLE_PERMISSIONS = {
       'dashboard',
       'patient-management',
       'appointment-management',
+      'queue-management',
       'prescriptions',
       'lab-reports',
       'exercises',
@@ -86,6 +91,7 @@ export const ROLE_PERMISSIONS = {
       'dashboard',
       'patient-management',
       'appointment-management',
+      'queue-management',
       'prescriptions',
       'lab-reports',
       'exercises',
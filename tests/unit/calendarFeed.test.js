@@ -0,0 +1,130 @@
+/**
+ * Calendar Feed Tests
+ * Tests for building doctors' iCalendar subscription feeds
+ */
+
+const CalendarFeed = require('../../backend/utils/calendarFeed');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const appointment = (extra = {}) => ({
+  _id: 'apt1',
+  appointmentType: 'Follow-up Visit',
+  date: new Date('2026-03-09T00:00:00Z'),
+  time: '10:30',
+  duration: 30,
+  status: 'Scheduled',
+  reason: 'Chest pain',
+  patientId: { fullName: 'Ravi Kumar Sharma' },
+  updatedAt: new Date('2026-03-01T08:00:00Z'),
+  ...extra
+});
+
+const teleconsultation = (extra = {}) => ({
+  _id: 'tc1',
+  patientName: 'Anita Rao',
+  scheduledDate: new Date('2026-03-10T00:00:00Z'),
+  scheduledTime: '18:00',
+  timezone: 'Asia/Kolkata',
+  duration: 45,
+  status: 'Scheduled',
+  doctorMeetingUrl: 'https://meet.jit.si/room-123#config.startWithVideoMuted=false',
+  ...extra
+});
+
+describe('Calendar Feed', () => {
+  describe('patient names', () => {
+    it('should reduce names to initials', () => {
+      expect(CalendarFeed.initials('Ravi Kumar Sharma')).toBe('R.K.S.');
+      expect(CalendarFeed.initials('  anita   rao ')).toBe('A.R.');
+    });
+
+    it('should show full names only when the doctor opts in', () => {
+      expect(CalendarFeed.patientLabel('Anita Rao', false)).toBe('A.R.');
+      expect(CalendarFeed.patientLabel('Anita Rao', true)).toBe('Anita Rao');
+      expect(CalendarFeed.patientLabel('', true)).toBe('Patient');
+    });
+  });
+
+  describe('appointmentEvent', () => {
+    it('should place the visit at the clinic-local time', () => {
+      const event = CalendarFeed.appointmentEvent(appointment(), { timeZone: 'Asia/Kolkata' });
+      expect(event.start.toISOString()).toBe('2026-03-09T05:00:00.000Z');
+      expect(event.end.toISOString()).toBe('2026-03-09T05:30:00.000Z');
+    });
+
+    it('should use initials and leave out the reason for the visit', () => {
+      const event = CalendarFeed.appointmentEvent(appointment(), { timeZone: 'UTC' });
+      expect(event.summary).toBe('Follow-up Visit - R.K.S.');
+      expect(event.description).not.toContain('Ravi');
+      expect(event.description).not.toContain('Chest pain');
+    });
+
+    it('should carry the join link for virtual visits only', () => {
+      const meetingUrl = 'https://meet.jit.si/abc';
+      const virtual = CalendarFeed.appointmentEvent(appointment({ isVirtual: true }), { timeZone: 'UTC', meetingUrl });
+      expect(virtual.url).toBe(meetingUrl);
+      expect(virtual.location).toBe(meetingUrl);
+      expect(virtual.description).toContain(meetingUrl);
+
+      const inPerson = CalendarFeed.appointmentEvent(appointment(), { timeZone: 'UTC', meetingUrl, clinicName: 'City Clinic' });
+      expect(inPerson.url).toBeNull();
+      expect(inPerson.location).toBe('City Clinic');
+    });
+
+    it('should map appointment statuses', () => {
+      expect(CalendarFeed.appointmentEvent(appointment({ status: 'Processing' }), {}).status).toBe('TENTATIVE');
+      expect(CalendarFeed.appointmentEvent(appointment({ status: 'Cancelled' }), {}).status).toBe('CANCELLED');
+      expect(CalendarFeed.appointmentEvent(appointment({ status: 'Confirmed' }), {}).status).toBe('CONFIRMED');
+    });
+  });
+
+  describe('teleconsultationEvent', () => {
+    it('should use the doctor meeting link and the teleconsultation timezone', () => {
+      const event = CalendarFeed.teleconsultationEvent(teleconsultation(), {});
+      expect(event.start.toISOString()).toBe('2026-03-10T12:30:00.000Z');
+      expect(event.end.toISOString()).toBe('2026-03-10T13:15:00.000Z');
+      expect(event.url).toContain('meet.jit.si/room-123');
+      expect(event.summary).toBe('Teleconsultation - A.R.');
+    });
+  });
+
+  describe('build', () => {
+    const ics = CalendarFeed.build({
+      name: 'Dr. Mehta',
+      now: NOW,
+      events: [CalendarFeed.appointmentEvent(appointment(), { timeZone: 'UTC', clinicName: 'Care, Cure; Clinic' })]
+    });
+
+    it('should produce a calendar with CRLF line endings', () => {
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+    });
+
+    it('should write times in UTC', () => {
+      expect(ics).toContain('DTSTART:20260309T103000Z');
+      expect(ics).toContain('DTEND:20260309T110000Z');
+      expect(ics).toContain('DTSTAMP:20260301T120000Z');
+    });
+
+    it('should escape text values', () => {
+      expect(ics).toContain('LOCATION:Care\\, Cure\\; Clinic');
+      expect(ics).toContain('DESCRIPTION:Patient: R.K.S.\\nStatus: Scheduled');
+    });
+
+    it('should fold long lines to 75 octets', () => {
+      const long = CalendarFeed.build({
+        name: 'Dr. Mehta',
+        now: NOW,
+        events: [CalendarFeed.teleconsultationEvent(teleconsultation({
+          doctorMeetingUrl: `https://meet.jit.si/${'x'.repeat(200)}`
+        }), {})]
+      });
+      long.split('\r\n').forEach(line => {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      });
+      expect(long.replace(/\r\n /g, '')).toContain(`URL:https://meet.jit.si/${'x'.repeat(200)}`);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Catalogue Tests
+ * Tests for service codes, which price applies on a day, price history
+ * and turning a catalogue item into an invoice line
+ */
+
+const Catalogue = require('../../backend/utils/catalogue');
+
+const prices = [
+  { price: 400, effectiveFrom: new Date('2026-01-01T00:00:00Z'), note: 'Opening price' },
+  { price: 450, effectiveFrom: new Date('2026-07-01T00:00:00Z'), note: 'Annual revision', createdBy: { name: 'City Clinic' } },
+  { price: 500, effectiveFrom: new Date('2027-01-01T00:00:00Z') }
+];
+
+const item = (fields) => ({
+  _id: 'c1',
+  code: 'LAB-CBC',
+  name: 'Complete blood count',
+  taxClass: 'exempt',
+  taxRate: 0,
+  hsnSac: '999316',
+  effectiveFrom: new Date('2026-01-01T00:00:00Z'),
+  prices,
+  ...fields
+});
+
+describe('Catalogue', () => {
+  describe('codes', () => {
+    it('should print codes in capitals with spaces as dashes', () => {
+      expect(Catalogue.normaliseCode('  lab cbc ')).toBe('LAB-CBC');
+      expect(Catalogue.isValidCode('xr.chest_pa')).toBe(true);
+    });
+
+    it('should reject empty, punctuated and overlong codes', () => {
+      expect(Catalogue.isValidCode('')).toBe(false);
+      expect(Catalogue.isValidCode('-CBC')).toBe(false);
+      expect(Catalogue.isValidCode('LAB/CBC')).toBe(false);
+      expect(Catalogue.isValidCode('A'.repeat(21))).toBe(false);
+    });
+  });
+
+  describe('priceOn', () => {
+    it('should use the latest price that has started by the day', () => {
+      expect(Catalogue.priceOn(prices, '2026-06-30').price).toBe(400);
+      expect(Catalogue.priceOn(prices, '2026-07-01').price).toBe(450);
+      expect(Catalogue.priceOn([...prices].reverse(), '2027-03-15').price).toBe(500);
+    });
+
+    it('should have no price before the first one starts', () => {
+      expect(Catalogue.priceOn(prices, '2025-12-31')).toBeNull();
+      expect(Catalogue.priceOn([], '2026-10-19')).toBeNull();
+    });
+  });
+
+  describe('isOffered', () => {
+    it('should only offer an item between its start and end days', () => {
+      const ended = item({ effectiveTo: new Date('2026-09-30T00:00:00Z') });
+      expect(Catalogue.isOffered(ended, '2026-09-30')).toBe(true);
+      expect(Catalogue.isOffered(ended, '2026-10-01')).toBe(false);
+      expect(Catalogue.isOffered(item(), '2025-12-31')).toBe(false);
+    });
+
+    it('should not offer an item that has no price yet', () => {
+      expect(Catalogue.isOffered(item({ prices: [] }), '2026-10-19')).toBe(false);
+    });
+  });
+
+  describe('priceError', () => {
+    it('should keep prices that have taken effect as history', () => {
+      expect(Catalogue.priceError({ price: 480, effectiveFrom: '2026-10-18' }, '2026-10-19'))
+        .toBe('Prices can only start today or later; earlier prices are kept as history');
+      expect(Catalogue.priceError({ price: 480, effectiveFrom: '2026-10-19' }, '2026-10-19')).toBeNull();
+    });
+
+    it('should allow free services but not missing or negative prices', () => {
+      expect(Catalogue.priceError({ price: 0, effectiveFrom: '2026-11-01' }, '2026-10-19')).toBeNull();
+      expect(Catalogue.priceError({ price: '', effectiveFrom: '2026-11-01' }, '2026-10-19')).toBe('Price must be zero or more');
+      expect(Catalogue.priceError({ price: -5, effectiveFrom: '2026-11-01' }, '2026-10-19')).toBe('Price must be zero or more');
+    });
+  });
+
+  describe('withPrice', () => {
+    it('should replace a price already scheduled for the same day and keep the rest in order', () => {
+      const updated = Catalogue.withPrice(prices, { price: 520, effectiveFrom: new Date('2027-01-01T00:00:00Z') });
+      expect(updated.map(entry => entry.price)).toEqual([400, 450, 520]);
+
+      const inserted = Catalogue.withPrice(prices, { price: 470, effectiveFrom: new Date('2026-11-01T00:00:00Z') });
+      expect(inserted.map(entry => entry.price)).toEqual([400, 450, 470, 500]);
+    });
+  });
+
+  describe('history', () => {
+    it('should list prices newest first with when each applied', () => {
+      expect(Catalogue.history(prices, '2026-10-19')).toEqual([
+        { price: 500, effectiveFrom: '2027-01-01', effectiveTo: null, status: 'scheduled', note: '', createdBy: null },
+        { price: 450, effectiveFrom: '2026-07-01', effectiveTo: '2026-12-31', status: 'current', note: 'Annual revision', createdBy: 'City Clinic' },
+        { price: 400, effectiveFrom: '2026-01-01', effectiveTo: '2026-06-30', status: 'past', note: 'Opening price', createdBy: null }
+      ]);
+    });
+  });
+
+  describe('lineFor', () => {
+    it('should bill the price in effect on the invoice date with the item\'s code and tax', () => {
+      expect(Catalogue.lineFor(item(), '2026-03-10')).toEqual({
+        type: 'service',
+        catalogItemId: 'c1',
+        code: 'LAB-CBC',
+        description: 'Complete blood count',
+        qty: 1,
+        unitPrice: 400,
+        taxClass: 'exempt',
+        taxRate: 0,
+        hsnSac: '999316'
+      });
+      expect(Catalogue.lineFor(item(), '2026-10-19').unitPrice).toBe(450);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Clinic Time Tests
+ * Tests for working with clinic-local calendar days and wall-clock times
+ */
+
+const ClinicTime = require('../../backend/utils/clinicTime');
+
+describe('Clinic Time', () => {
+  describe('now and today', () => {
+    it('should give the clinic day and time rather than UTC', () => {
+      // 04:40 UTC is 10:10 in India
+      expect(ClinicTime.now('Asia/Kolkata', new Date('2026-03-09T04:40:00Z')))
+        .toEqual({ day: '2026-03-09', time: '10:10', minutes: 610 });
+    });
+
+    it('should roll over to the next day at clinic midnight, not UTC midnight', () => {
+      // 18:45 UTC on the 9th is 00:15 on the 10th in India
+      const now = new Date('2026-03-09T18:45:00Z');
+      expect(ClinicTime.today('Asia/Kolkata', now)).toBe('2026-03-10');
+      expect(ClinicTime.today('UTC', now)).toBe('2026-03-09');
+      expect(ClinicTime.today('America/New_York', now)).toBe('2026-03-09');
+    });
+
+    it('should fall back to the default timezone', () => {
+      const now = new Date('2026-03-09T18:45:00Z');
+      expect(ClinicTime.today(undefined, now)).toBe(ClinicTime.today(ClinicTime.DEFAULT_TIME_ZONE, now));
+    });
+  });
+
+  describe('toInstant', () => {
+    it('should turn an IST day and time into the right instant', () => {
+      expect(ClinicTime.toInstant('2026-03-10', '00:15', 'Asia/Kolkata').toISOString())
+        .toBe('2026-03-09T18:45:00.000Z');
+    });
+
+    it('should accept stored dates', () => {
+      expect(ClinicTime.toInstant(new Date('2026-03-09T00:00:00Z'), '10:30', 'UTC').toISOString())
+        .toBe('2026-03-09T10:30:00.000Z');
+    });
+
+    it('should use the offset in force on that day across daylight saving', () => {
+      // New York is UTC-5 in winter and UTC-4 from 8 March 2026
+      expect(ClinicTime.toInstant('2026-03-06', '09:00', 'America/New_York').toISOString())
+        .toBe('2026-03-06T14:00:00.000Z');
+      expect(ClinicTime.toInstant('2026-03-09', '09:00', 'America/New_York').toISOString())
+        .toBe('2026-03-09T13:00:00.000Z');
+    });
+
+    it('should handle times just after the daylight saving change', () => {
+      expect(ClinicTime.toInstant('2026-03-08', '03:30', 'America/New_York').toISOString())
+        .toBe('2026-03-08T07:30:00.000Z');
+    });
+  });
+
+  describe('calendar days', () => {
+    it('should read the day of a stored date in UTC', () => {
+      expect(ClinicTime.dayKey(new Date('2026-03-09T00:00:00Z'))).toBe('2026-03-09');
+      expect(ClinicTime.dayKey('2026-03-09')).toBe('2026-03-09');
+    });
+
+    it('should reject values that are not dates', () => {
+      expect(ClinicTime.dayKey('not a date')).toBeNull();
+      expect(ClinicTime.dayKey(null)).toBeNull();
+    });
+
+    it('should step across month ends', () => {
+      expect(ClinicTime.addDays('2026-02-28', 1).toISOString()).toBe('2026-03-01T00:00:00.000Z');
+      expect(ClinicTime.addDays('2026-03-01', -1).toISOString()).toBe('2026-02-28T00:00:00.000Z');
+    });
+
+    it('should format a stored date without shifting it', () => {
+      expect(ClinicTime.formatDay(new Date('2026-03-09T00:00:00Z'))).toContain('9 March 2026');
+    });
+  });
+
+  describe('timezones', () => {
+    it('should accept IANA names only', () => {
+      expect(ClinicTime.isValidTimeZone('Asia/Kolkata')).toBe(true);
+      expect(ClinicTime.isValidTimeZone('Europe/London')).toBe(true);
+      expect(ClinicTime.isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(ClinicTime.isValidTimeZone('')).toBe(false);
+    });
+
+    it('should give a short zone name for labels', () => {
+      expect(ClinicTime.zoneLabel('Asia/Kolkata')).toBe('IST');
+    });
+
+    it('should report the offset from UTC', () => {
+      expect(ClinicTime.offsetMinutes('Asia/Kolkata', new Date('2026-03-09T00:00:00Z'))).toBe(330);
+    });
+  });
+});
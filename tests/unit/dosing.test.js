@@ -0,0 +1,127 @@
+/**
+ * Structured Dosing Tests
+ * Tests for parsing free-text medication entries and quantity/end-date calculation
+ */
+
+const Dosing = require('../../backend/utils/dosing');
+
+describe('Structured Dosing', () => {
+  describe('parseDose', () => {
+    it('should parse strengths and countable units', () => {
+      expect(Dosing.parseDose('500mg')).toEqual({ amount: 500, unit: 'mg' });
+      expect(Dosing.parseDose('2 Tablets')).toEqual({ amount: 2, unit: 'tablet' });
+      expect(Dosing.parseDose('1 cap')).toEqual({ amount: 1, unit: 'capsule' });
+    });
+
+    it('should parse fractions and spoons', () => {
+      expect(Dosing.parseDose('1/2 tab')).toEqual({ amount: 0.5, unit: 'tablet' });
+      expect(Dosing.parseDose('1 tsp')).toEqual({ amount: 5, unit: 'ml' });
+    });
+
+    it('should return null for text it cannot read', () => {
+      expect(Dosing.parseDose('as directed')).toBeNull();
+      expect(Dosing.parseDose('')).toBeNull();
+    });
+  });
+
+  describe('parseFrequency', () => {
+    it('should map codes and common phrases', () => {
+      expect(Dosing.parseFrequency('BD').code).toBe('BD');
+      expect(Dosing.parseFrequency('q8h').code).toBe('q8h');
+      expect(Dosing.parseFrequency('Twice daily').code).toBe('BD');
+      expect(Dosing.parseFrequency('three times a day').code).toBe('TDS');
+      expect(Dosing.parseFrequency('every 6 hours').code).toBe('q6h');
+      expect(Dosing.parseFrequency('at bedtime').code).toBe('HS');
+    });
+
+    it('should read morning-noon-night notation', () => {
+      expect(Dosing.parseFrequency('1-0-1').code).toBe('BD');
+      expect(Dosing.parseFrequency('1-1-1').code).toBe('TDS');
+      expect(Dosing.parseFrequency('0-0-1').code).toBe('OD');
+    });
+
+    it('should flag as-needed dosing', () => {
+      expect(Dosing.parseFrequency('SOS')).toEqual({ code: 'PRN', timesPerDay: null, prn: true });
+      const capped = Dosing.parseFrequency('SOS up to thrice a day');
+      expect(capped.code).toBe('TDS');
+      expect(capped.prn).toBe(true);
+    });
+  });
+
+  describe('parseDuration', () => {
+    it('should convert to days', () => {
+      expect(Dosing.parseDuration('7 days')).toBe(7);
+      expect(Dosing.parseDuration('2 weeks')).toBe(14);
+      expect(Dosing.parseDuration('1 month')).toBe(30);
+      expect(Dosing.parseDuration('5')).toBe(5);
+    });
+
+    it('should return null for open-ended courses', () => {
+      expect(Dosing.parseDuration('continue')).toBeNull();
+    });
+  });
+
+  describe('structure', () => {
+    it('should structure a free-text entry and calculate the quantity', () => {
+      const medication = Dosing.structure({
+        name: 'Paracetamol',
+        dosage: '500mg',
+        frequency: 'TDS',
+        duration: '5 days'
+      });
+
+      expect(medication).toMatchObject({
+        doseAmount: 500,
+        doseUnit: 'mg',
+        route: 'oral',
+        frequencyCode: 'TDS',
+        timesPerDay: 3,
+        durationDays: 5,
+        totalQuantity: 15
+      });
+    });
+
+    it('should multiply by the number of tablets per dose', () => {
+      const medication = Dosing.structure({ name: 'X', dosage: '2 tablets', frequency: 'BD', duration: '3 days' });
+      expect(medication.totalQuantity).toBe(12);
+    });
+
+    it('should fill free text from structured fields', () => {
+      const medication = Dosing.structure({
+        name: 'Amoxicillin',
+        doseAmount: 1,
+        doseUnit: 'capsule',
+        frequencyCode: 'TDS',
+        durationDays: 7
+      });
+
+      expect(medication.dosage).toBe('1 capsule');
+      expect(medication.frequency).toBe('Three times daily');
+      expect(medication.duration).toBe('7 days');
+      expect(medication.totalQuantity).toBe(21);
+    });
+
+    it('should not guess a quantity for liquids or open PRN', () => {
+      expect(Dosing.structure({ name: 'Syrup', dosage: '5 ml', frequency: 'TDS', duration: '5 days' }).totalQuantity).toBeUndefined();
+      expect(Dosing.structure({ name: 'X', dosage: '1 tab', frequency: 'SOS', duration: '5 days' }).totalQuantity).toBeUndefined();
+    });
+
+    it('should count weekly and single doses', () => {
+      expect(Dosing.structure({ name: 'X', dosage: '150mg', frequency: 'weekly', duration: '4 weeks' }).totalQuantity).toBe(4);
+      expect(Dosing.structure({ name: 'X', dosage: '1 g', frequency: 'stat', duration: '1 day' }).totalQuantity).toBe(1);
+    });
+  });
+
+  describe('courseEndDate', () => {
+    it('should count the start date as day one', () => {
+      const end = Dosing.courseEndDate(new Date(2026, 0, 1), { frequencyCode: 'BD', durationDays: 5 });
+      expect(end.getFullYear()).toBe(2026);
+      expect(end.getMonth()).toBe(0);
+      expect(end.getDate()).toBe(5);
+    });
+
+    it('should return null without a duration', () => {
+      expect(Dosing.courseEndDate(new Date(), { frequencyCode: 'BD' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Email Delivery Tests
+ * Tests for outbound email retries, dead-lettering and resending
+ */
+
+const EmailDelivery = require('../../backend/utils/emailDelivery');
+
+describe('EmailDelivery', () => {
+  describe('isRetryable', () => {
+    it('should retry connection errors and temporary SMTP replies', () => {
+      expect(EmailDelivery.isRetryable({ code: 'ECONNECTION' })).toBe(true);
+      expect(EmailDelivery.isRetryable({ code: 'ETIMEDOUT' })).toBe(true);
+      expect(EmailDelivery.isRetryable({ code: 'EMESSAGE', responseCode: 451 })).toBe(true);
+    });
+
+    it('should retry login failures so fixed credentials let mail through', () => {
+      expect(EmailDelivery.isRetryable({ code: 'EAUTH', responseCode: 535 })).toBe(true);
+    });
+
+    it('should not retry permanent SMTP replies or bad envelopes', () => {
+      expect(EmailDelivery.isRetryable({ code: 'EMESSAGE', responseCode: 550 })).toBe(false);
+      expect(EmailDelivery.isRetryable({ code: 'EENVELOPE' })).toBe(false);
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('should double the wait after each try, starting at a minute', () => {
+      expect([1, 2, 3, 4].map(EmailDelivery.retryDelay)).toEqual([60000, 120000, 240000, 480000]);
+    });
+
+    it('should wait a minute before any try has been made', () => {
+      expect(EmailDelivery.retryDelay(0)).toBe(60000);
+    });
+  });
+
+  describe('statusAfterFailure', () => {
+    const temporary = { code: 'ECONNECTION' };
+
+    it('should retry while tries remain', () => {
+      expect(EmailDelivery.statusAfterFailure({ attempts: 1, maxAttempts: 5 }, temporary)).toBe('retrying');
+      expect(EmailDelivery.statusAfterFailure({ attempts: 4, maxAttempts: 5 }, temporary)).toBe('retrying');
+    });
+
+    it('should dead-letter after the last try or a permanent error', () => {
+      expect(EmailDelivery.statusAfterFailure({ attempts: 5, maxAttempts: 5 }, temporary)).toBe('dead');
+      expect(EmailDelivery.statusAfterFailure({ attempts: 1, maxAttempts: 5 }, { responseCode: 550 })).toBe('dead');
+    });
+
+    it('should mark send-once emails as failed', () => {
+      expect(EmailDelivery.statusAfterFailure({ attempts: 1, maxAttempts: 1 }, temporary)).toBe('failed');
+    });
+  });
+
+  describe('canResend', () => {
+    const email = { status: 'dead', sensitive: false, html: '<p>Hi</p>' };
+
+    it('should resend finished emails whose content was kept', () => {
+      ['sent', 'failed', 'dead'].forEach(status => {
+        expect(EmailDelivery.canResend({ ...email, status })).toBe(true);
+      });
+      expect(EmailDelivery.canResend({ ...email, html: undefined, text: 'Hi' })).toBe(true);
+    });
+
+    it('should not resend emails still being delivered', () => {
+      expect(EmailDelivery.canResend({ ...email, status: 'retrying' })).toBe(false);
+      expect(EmailDelivery.canResend({ ...email, status: 'queued' })).toBe(false);
+    });
+
+    it('should not resend codes or emails without content', () => {
+      expect(EmailDelivery.canResend({ ...email, sensitive: true })).toBe(false);
+      expect(EmailDelivery.canResend({ ...email, html: undefined })).toBe(false);
+    });
+  });
+});
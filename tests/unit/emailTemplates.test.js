@@ -0,0 +1,80 @@
+/**
+ * Email Template Tests
+ * Tests for clinic email template variables and rendering
+ */
+
+const EmailTemplates = require('../../backend/utils/emailTemplates');
+
+describe('EmailTemplates', () => {
+  describe('built-in wording', () => {
+    it('should only use variables each template provides', () => {
+      Object.entries(EmailTemplates.TEMPLATES).forEach(([key, definition]) => {
+        expect(EmailTemplates.unknownVariables(key, `${definition.subject} ${definition.body}`)).toEqual([]);
+      });
+    });
+  });
+
+  describe('unknownVariables', () => {
+    it('should list placeholders the template does not provide, once each', () => {
+      const text = 'Hi {{patientName}}, your {{code}} from {{clinicName}} {{ offerUrl }} {{offerUrl}}';
+      expect(EmailTemplates.unknownVariables('otp', text)).toEqual(['offerUrl']);
+    });
+  });
+
+  describe('render', () => {
+    const variables = {
+      ...EmailTemplates.SAMPLE_VARIABLES,
+      clinicLogo: 'https://example.com/logo.png'
+    };
+
+    it('should fill the subject and collapse its whitespace', () => {
+      const { subject } = EmailTemplates.render('otp', { subject: 'Code for  {{patientName}}\n', body: '' }, variables);
+      expect(subject).toBe('Code for Priya Sharma');
+    });
+
+    it('should escape what the clinic typed and the variable values', () => {
+      const { html } = EmailTemplates.render('otp', {
+        subject: 'Code',
+        body: '<b>Hello</b> {{patientName}}'
+      }, { ...variables, patientName: '<script>x</script>' });
+      expect(html).toContain('&lt;b&gt;Hello&lt;/b&gt; &lt;script&gt;x&lt;/script&gt;');
+      expect(html).not.toContain('<script>');
+    });
+
+    it('should show the logo in HTML and drop it from plain text', () => {
+      const { html, text } = EmailTemplates.render('otp', { subject: 'Code', body: '{{clinicLogo}}\n\nHello' }, variables);
+      expect(html).toContain('<img src="https://example.com/logo.png"');
+      expect(text).not.toContain('logo.png');
+      expect(text.startsWith('Hello')).toBe(true);
+    });
+
+    it('should leave the logo out when the clinic has none', () => {
+      const { html } = EmailTemplates.render('otp', { subject: 'Code', body: '{{clinicLogo}}\n\nHello' }, { ...variables, clinicLogo: '' });
+      expect(html).not.toContain('<img');
+    });
+
+    it('should split paragraphs on blank lines and keep line breaks', () => {
+      const { html } = EmailTemplates.render('referral', { subject: 'Referral', body: 'One\ntwo\n\nThree' }, variables);
+      expect(html).toContain('<p style="margin: 0 0 16px;">One<br>two</p>');
+      expect(html).toContain('<p style="margin: 0 0 16px;">Three</p>');
+    });
+
+    it('should add the code box for code emails', () => {
+      const { html, text } = EmailTemplates.render('password_reset', { subject: 'Reset', body: 'Your code:' }, variables);
+      expect(html).toContain('482913</div>');
+      expect(text).toContain('482913');
+    });
+
+    it('should add the action button and link URL variables', () => {
+      const { html, text } = EmailTemplates.render('waitlist_offer', { subject: 'Offer', body: 'Open {{offerUrl}}' }, variables);
+      expect(html).toContain('<a href="https://example.com/waitlist-offer/sample" style="color: #2c5aa0;">');
+      expect(html).toContain('>View and accept</a>');
+      expect(text).toContain('View and accept: https://example.com/waitlist-offer/sample');
+    });
+
+    it('should sign off with the clinic name and phone', () => {
+      const { text } = EmailTemplates.render('otp', { subject: 'Code', body: 'Hi' }, variables);
+      expect(text.endsWith('City Care Clinic · +91 98765 43210')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * GST Tests
+ * Tests for GSTIN checks, line classification, place of supply, the
+ * CGST/SGST or IGST split and the monthly GSTR-1 return
+ */
+
+const Gst = require('../../backend/utils/gst');
+
+const classified = (items, options) => {
+  const lines = items.map(item => ({ ...item, amount: item.qty * item.unitPrice, ...Gst.classify(item) }));
+  const { lines: taxes } = Gst.compute(lines, options);
+  return lines.map((line, index) => ({ ...line, ...taxes[index] }));
+};
+
+describe('Gst', () => {
+  describe('GSTINs and states', () => {
+    it('should accept a GSTIN only when its check digit matches', () => {
+      expect(Gst.isValidGstin('27AAPFU0939F1ZV')).toBe(true);
+      expect(Gst.isValidGstin('27aapfu0939f1zv')).toBe(true);
+      expect(Gst.isValidGstin('27AAPFU0939F1ZA')).toBe(false);
+      expect(Gst.isValidGstin('99AAPFU0939F1ZV')).toBe(false);
+    });
+
+    it('should read state codes from names as written in addresses', () => {
+      expect(Gst.stateCode('Tamil Nadu')).toBe('33');
+      expect(Gst.stateCode('  jammu & kashmir ')).toBe('01');
+      expect(Gst.stateCode('Orissa')).toBe('21');
+      expect(Gst.stateCode('7')).toBe('07');
+      expect(Gst.stateCode('Atlantis')).toBeNull();
+    });
+  });
+
+  describe('classify', () => {
+    it('should exempt visits and tax medication by default', () => {
+      expect(Gst.classify({ type: 'appointment' })).toEqual({ taxClass: 'exempt', taxRate: 0, hsnSac: '999312' });
+      expect(Gst.classify({ type: 'medication' })).toEqual({ taxClass: 'taxable', taxRate: 5, hsnSac: '3004' });
+    });
+
+    it('should not borrow a default rate or code for a class the line was moved to', () => {
+      expect(Gst.classify({ type: 'other', taxClass: 'taxable' })).toEqual({ taxClass: 'taxable', taxRate: 0, hsnSac: undefined });
+      expect(Gst.classify({ type: 'medication', taxClass: 'nil_rated', taxRate: 12 })).toEqual({ taxClass: 'nil_rated', taxRate: 0, hsnSac: undefined });
+    });
+
+    it('should require a rate and an HSN/SAC code on taxable lines', () => {
+      expect(Gst.lineError({ description: 'Crepe bandage', taxClass: 'taxable', taxRate: 0 })).toBe('0% is not a GST rate for a taxable line');
+      expect(Gst.lineError({ description: 'Crepe bandage', taxClass: 'taxable', taxRate: 12 })).toBe('Taxable line "Crepe bandage" needs an HSN/SAC code');
+      expect(Gst.lineError({ description: 'Crepe bandage', taxClass: 'taxable', taxRate: 12, hsnSac: '3005' })).toBeNull();
+      expect(Gst.lineError({ description: 'Dressing', taxClass: 'exempt', taxRate: 0 })).toBeNull();
+    });
+  });
+
+  describe('placeOfSupply', () => {
+    it('should follow a registered buyer\'s GSTIN over their address', () => {
+      expect(Gst.placeOfSupply({ clinicState: 'Karnataka', recipientGstin: '27AAPFU0939F1ZV', billingState: 'Karnataka' }))
+        .toEqual({ placeOfSupply: '27', interState: true });
+    });
+
+    it('should fall back to the billing address and then the clinic', () => {
+      expect(Gst.placeOfSupply({ clinicState: 'Karnataka', billingState: 'Kerala' })).toEqual({ placeOfSupply: '32', interState: true });
+      expect(Gst.placeOfSupply({ clinicState: 'Karnataka', billingState: '' })).toEqual({ placeOfSupply: '29', interState: false });
+    });
+  });
+
+  describe('compute', () => {
+    it('should share the discount across lines and split intra-state tax into CGST and SGST', () => {
+      const items = [
+        { amount: 300, taxClass: 'exempt', taxRate: 0 },
+        { amount: 200, taxClass: 'taxable', taxRate: 5 }
+      ];
+      const { lines, summary } = Gst.compute(items, { discount: 50 });
+
+      expect(lines).toEqual([
+        { taxableValue: 270, cgst: 0, sgst: 0, igst: 0 },
+        { taxableValue: 180, cgst: 4.5, sgst: 4.5, igst: 0 }
+      ]);
+      expect(summary).toEqual({ taxableValue: 180, exempt: 270, nilRated: 0, nonGst: 0, cgst: 4.5, sgst: 4.5, igst: 0, tax: 9 });
+    });
+
+    it('should charge IGST on inter-state supplies', () => {
+      const { summary } = Gst.compute([{ amount: 1000, taxClass: 'taxable', taxRate: 12 }], { interState: true });
+      expect(summary.igst).toBe(120);
+      expect(summary.cgst).toBe(0);
+    });
+
+    it('should give the last line whatever is left of the discount', () => {
+      const items = [1, 2, 3].map(() => ({ amount: 100, taxClass: 'exempt' }));
+      const { lines } = Gst.compute(items, { discount: 10 });
+      expect(lines.map(line => line.taxableValue)).toEqual([96.67, 96.67, 96.66]);
+    });
+  });
+
+  describe('gstr1', () => {
+    const invoice = (fields) => ({
+      invoiceNumber: 'INV-2627-00001',
+      patientName: 'Asha Rao',
+      date: new Date('2026-10-05T00:00:00Z'),
+      status: 'paid',
+      placeOfSupply: '29',
+      interState: false,
+      ...fields
+    });
+
+    it('should report small consumer sales by place of supply and rate, and exempt visits under nil', () => {
+      const lineItems = classified([
+        { type: 'appointment', appointmentId: 'a1', description: 'Consultation', qty: 1, unitPrice: 500 },
+        { type: 'medication', prescriptionId: 'rx1', description: 'Paracetamol', qty: 2, unitPrice: 50 }
+      ]);
+      const report = Gst.gstr1([
+        invoice({ lineItems, total: 605 }),
+        invoice({ invoiceNumber: 'INV-2627-00002', lineItems, total: 605 })
+      ], { gstin: '29AAPFU0939F1ZX', period: '2026-10', timeZone: 'Asia/Kolkata' });
+
+      expect(report.fp).toBe('102026');
+      expect(report.b2cs).toEqual([{ type: 'OE', placeOfSupply: '29-Karnataka', rate: 5, taxableValue: 200, igst: 0, cgst: 5, sgst: 5 }]);
+      expect(report.nil).toEqual([{ description: 'Intra-State supplies to unregistered persons', nilRated: 0, exempt: 1000, nonGst: 0 }]);
+      expect(report.hsn.map(row => [row.hsnSac, row.uqc, row.quantity, row.taxableValue])).toEqual([
+        ['999312', 'NA', 2, 1000],
+        ['3004', 'NOS', 4, 200]
+      ]);
+      expect(report.totals.cgst).toBe(5);
+    });
+
+    it('should list registered buyers and large inter-state sales invoice by invoice', () => {
+      const lineItems = classified([
+        { type: 'medication', prescriptionId: 'rx1', description: 'Insulin pens', qty: 100, unitPrice: 1500, taxRate: 12 }
+      ], { interState: true });
+      const report = Gst.gstr1([
+        invoice({ lineItems, total: 168000, placeOfSupply: '27', interState: true, recipientGstin: '27AAPFU0939F1ZV' }),
+        invoice({ invoiceNumber: 'INV-2627-00002', lineItems, total: 168000, placeOfSupply: '32', interState: true })
+      ], { period: '2026-10', timeZone: 'Asia/Kolkata' });
+
+      expect(report.b2b).toHaveLength(1);
+      expect(report.b2b[0]).toMatchObject({ recipientGstin: '27AAPFU0939F1ZV', invoiceDate: '05-10-2026', placeOfSupply: '27-Maharashtra', rate: 12, igst: 18000 });
+      expect(report.b2cl).toEqual([{
+        invoiceNumber: 'INV-2627-00002',
+        invoiceDate: '05-10-2026',
+        invoiceValue: 168000,
+        placeOfSupply: '32-Kerala',
+        rate: 12,
+        taxableValue: 150000,
+        igst: 18000
+      }]);
+      expect(report.b2cs).toEqual([]);
+    });
+
+    it('should leave out drafts and cancelled invoices but count cancelled ones as issued documents', () => {
+      const lineItems = classified([{ type: 'service', description: 'Dressing', qty: 1, unitPrice: 200 }]);
+      const report = Gst.gstr1([
+        invoice({ lineItems, total: 200 }),
+        invoice({ invoiceNumber: 'INV-2627-00002', lineItems, total: 200, status: 'cancelled' }),
+        invoice({ invoiceNumber: 'INV-2627-00003', lineItems, total: 200, status: 'unapproved' })
+      ], { period: '2026-10' });
+
+      expect(report.totals.invoices).toBe(1);
+      expect(report.docs).toEqual([{
+        nature: 'Invoices for outward supply',
+        from: 'INV-2627-00001',
+        to: 'INV-2627-00003',
+        totalNumber: 3,
+        cancelled: 1
+      }]);
+      expect(report.notes).toEqual(['1 invoice is still awaiting approval and not included']);
+    });
+
+    it('should set aside invoices raised before GST classification', () => {
+      const report = Gst.gstr1([
+        invoice({ lineItems: [{ type: 'other', description: 'Dressing', qty: 1, unitPrice: 200 }], total: 236, tax: 36 })
+      ], { period: '2026-10' });
+
+      expect(report.unclassified).toHaveLength(1);
+      expect(report.unclassified[0].tax).toBe(36);
+      expect(report.totals.invoices).toBe(0);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write one section with the offline tool\'s headings, quoting every cell', () => {
+      const csv = Gst.toCsv({ nil: [{ description: 'Intra-State supplies to unregistered persons', nilRated: 0, exempt: 500, nonGst: 0 }] }, 'nil');
+      expect(csv.split('\n')).toEqual([
+        '"Description","Nil Rated Supplies","Exempted (other than nil rated/non GST supply)","Non-GST supplies"',
+        '"Intra-State supplies to unregistered persons","0","500","0"'
+      ]);
+    });
+
+    it('should reject an unknown section', () => {
+      expect(() => Gst.toCsv({}, 'b2ba')).toThrow('Unknown GSTR-1 section "b2ba"');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Drug Interaction Tests
+ * Tests for drug name normalization, drug-class matching, allergy matching
+ * and checks left incomplete by a failing provider
+ */
+
+const interactionService = require('../../backend/services/interactionService');
+const Prescription = require('../../backend/models/Prescription');
+const DrugInteraction = require('../../backend/models/DrugInteraction');
+const DrugClass = require('../../backend/models/DrugClass');
+
+const clinicId = '64b000000000000000000001';
+const lean = (value) => ({ lean: () => Promise.resolve(value) });
+
+const patient = (allergies = []) => ({ _id: '64b000000000000000000002', medicalHistory: { allergies } });
+
+const classes = [
+  { name: 'nsaid', members: ['ibuprofen', 'diclofenac', 'naproxen'] },
+  { name: 'penicillin', members: ['amoxicillin', 'ampicillin'] }
+];
+
+describe('InteractionService', () => {
+  const providers = interactionService.providers;
+  let activePrescriptions;
+  let rows;
+
+  beforeEach(() => {
+    activePrescriptions = [];
+    rows = [];
+    jest.spyOn(Prescription, 'find').mockImplementation(() => ({ select: () => lean(activePrescriptions) }));
+    jest.spyOn(DrugClass, 'find').mockImplementation(() => lean(classes));
+    jest.spyOn(DrugInteraction, 'find').mockImplementation(() => lean(rows));
+  });
+
+  afterEach(() => {
+    interactionService.providers = providers;
+  });
+
+  describe('normalizeDrugName', () => {
+    it('should drop strengths, dosage forms, brackets and punctuation', () => {
+      expect(interactionService.normalizeDrugName('Ibuprofen 400mg Tablets')).toBe('ibuprofen');
+      expect(interactionService.normalizeDrugName('Amoxicillin (Mox) 250 mg caps')).toBe('amoxicillin');
+      expect(interactionService.normalizeDrugName('  Metformin SR 500 MG  ')).toBe('metformin');
+      expect(interactionService.normalizeDrugName('Co-amoxiclav 625mg')).toBe('co-amoxiclav');
+    });
+
+    it('should treat missing names as empty', () => {
+      expect(interactionService.normalizeDrugName(undefined)).toBe('');
+    });
+  });
+
+  describe('interactions', () => {
+    it('should match a drug through the classes it belongs to', async () => {
+      rows = [{ drugA: 'nsaid', drugB: 'warfarin', severity: 'major', description: 'Bleeding risk' }];
+
+      const result = await interactionService.check({
+        patient: patient(),
+        clinicId,
+        medications: [{ name: 'Warfarin 5mg' }, { name: 'Diclofenac 50mg' }]
+      });
+      expect(result.warnings).toEqual([expect.objectContaining({
+        type: 'interaction',
+        severity: 'major',
+        pair: ['Warfarin 5mg', 'Diclofenac 50mg'],
+        source: 'local'
+      })]);
+      expect(result.requiresOverride).toBe(false);
+    });
+
+    it('should check new drugs against active prescriptions but not old pairs against each other', async () => {
+      activePrescriptions = [{
+        prescriptionNumber: 'RX-1',
+        medications: [{ name: 'Warfarin' }, { name: 'Aspirin' }]
+      }];
+      rows = [
+        { drugA: 'aspirin', drugB: 'warfarin', severity: 'major' },
+        { drugA: 'nsaid', drugB: 'warfarin', severity: 'contraindicated' }
+      ];
+
+      const result = await interactionService.check({ patient: patient(), clinicId, medications: [{ name: 'Ibuprofen' }] });
+      expect(result.warnings.map(warning => warning.pair)).toEqual([['Ibuprofen', 'Warfarin (active RX-1)']]);
+      expect(result.requiresOverride).toBe(true);
+    });
+
+    it('should let a clinic row replace the shared row for the same pair', async () => {
+      rows = [
+        { drugA: 'nsaid', drugB: 'warfarin', severity: 'major', clinicId: null },
+        { drugA: 'nsaid', drugB: 'warfarin', severity: 'moderate', clinicId }
+      ];
+
+      const result = await interactionService.check({
+        patient: patient(),
+        clinicId,
+        medications: [{ name: 'Warfarin' }, { name: 'Naproxen' }]
+      });
+      expect(result.warnings.map(warning => warning.severity)).toEqual(['moderate']);
+    });
+  });
+
+  describe('allergies', () => {
+    it('should match recorded allergies by drug or class, ignoring words around the allergen', async () => {
+      const result = await interactionService.check({
+        patient: patient(['Allergic to penicillins', 'Pollen']),
+        clinicId,
+        medications: [{ name: 'Amoxicillin 500mg' }, { name: 'Paracetamol' }]
+      });
+      expect(result.warnings).toEqual([expect.objectContaining({
+        type: 'allergy',
+        severity: 'contraindicated',
+        pair: ['Amoxicillin 500mg', 'Allergic to penicillins']
+      })]);
+      expect(result.requiresOverride).toBe(true);
+    });
+  });
+
+  describe('provider failures', () => {
+    it('should mark the check incomplete and require an override when a provider fails', async () => {
+      interactionService.registerProvider({
+        name: 'external',
+        findInteractions: async () => { throw new Error('timeout'); }
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await interactionService.check({
+        patient: patient(),
+        clinicId,
+        medications: [{ name: 'Warfarin' }, { name: 'Paracetamol' }]
+      });
+      expect(result.warnings).toEqual([]);
+      expect(result).toMatchObject({ incomplete: true, providerErrors: ['external'], requiresOverride: true });
+    });
+  });
+});
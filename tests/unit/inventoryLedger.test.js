@@ -0,0 +1,189 @@
+/**
+ * Inventory Ledger Tests
+ * Tests for stock movements, stock counts, transfers, reconciling the stored quantity
+ * against the ledger and first-expiry-first-out batch picking, with the
+ * database calls stubbed out
+ */
+
+const Inventory = require('../../backend/models/Inventory');
+const InventoryTransaction = require('../../backend/models/InventoryTransaction');
+
+const clinicId = '64b000000000000000000001';
+const itemId = '64b000000000000000000002';
+const otherItemId = '64b000000000000000000003';
+
+const stockItem = (fields) => ({
+  _id: itemId,
+  clinicId,
+  medicationName: 'Paracetamol 500mg',
+  batchNumber: 'B-101',
+  quantity: 10,
+  ...fields
+});
+
+describe('InventoryTransaction', () => {
+  beforeEach(() => {
+    jest.spyOn(InventoryTransaction, 'exists').mockResolvedValue(true);
+    jest.spyOn(InventoryTransaction, 'create').mockImplementation(async (entry) => ({ _id: 'tx', ...entry }));
+    jest.spyOn(InventoryTransaction, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Inventory, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('record', () => {
+    it('should only take stock out when enough is left', async () => {
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(stockItem({ quantity: 3 }));
+      const update = jest.spyOn(Inventory, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(InventoryTransaction.record({ inventoryId: itemId, clinicId, type: 'dispense', quantityChange: -5 }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_STOCK', message: 'Insufficient stock. Available: 3, Required: 5' });
+      expect(update).toHaveBeenCalledWith(
+        { _id: itemId, clinicId, quantity: { $gte: 5 } },
+        { $inc: { quantity: -5 } },
+        { new: true }
+      );
+      expect(InventoryTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should write the balance after the movement to the ledger', async () => {
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(stockItem());
+      jest.spyOn(Inventory, 'findOneAndUpdate').mockResolvedValue(stockItem({ quantity: 6 }));
+
+      const { transaction } = await InventoryTransaction.record({ inventoryId: itemId, clinicId, type: 'dispense', quantityChange: -4 });
+      expect(transaction).toMatchObject({ type: 'dispense', quantityChange: -4, balanceAfter: 6, batchNumber: 'B-101' });
+    });
+
+    it('should give the stock back when the ledger entry cannot be written', async () => {
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(stockItem());
+      jest.spyOn(Inventory, 'findOneAndUpdate').mockResolvedValue(stockItem({ quantity: 6 }));
+      InventoryTransaction.create.mockRejectedValue(new Error('write failed'));
+
+      await expect(InventoryTransaction.record({ inventoryId: itemId, clinicId, type: 'dispense', quantityChange: -4 }))
+        .rejects.toThrow('write failed');
+      expect(Inventory.updateOne).toHaveBeenCalledWith({ _id: itemId }, { $inc: { quantity: 4 } });
+    });
+
+    it('should reject fractional and zero movements', async () => {
+      await expect(InventoryTransaction.record({ inventoryId: itemId, clinicId, type: 'receipt', quantityChange: 1.5 }))
+        .rejects.toThrow('Quantity change must be a non-zero whole number');
+      await expect(InventoryTransaction.record({ inventoryId: itemId, clinicId, type: 'receipt', quantityChange: 0 }))
+        .rejects.toThrow('Quantity change must be a non-zero whole number');
+    });
+  });
+
+  describe('count', () => {
+    it('should only set the counted quantity while the item still holds what it was worked out from', async () => {
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(stockItem({ quantity: 10 }));
+      const update = jest.spyOn(Inventory, 'findOneAndUpdate').mockResolvedValue(stockItem({ quantity: 8 }));
+
+      const { transaction } = await InventoryTransaction.count({ inventoryId: itemId, clinicId, quantity: 8 });
+      expect(update).toHaveBeenCalledWith(
+        { _id: itemId, clinicId, quantity: 10 },
+        { $inc: { quantity: -2 } },
+        { new: true }
+      );
+      expect(transaction).toMatchObject({ type: 'adjustment', quantityChange: -2, balanceAfter: 8, reason: 'Stock count adjustment' });
+    });
+
+    it('should count again from the new quantity when a dispense lands in between', async () => {
+      jest.spyOn(Inventory, 'findOne')
+        .mockResolvedValueOnce(stockItem({ quantity: 10 }))
+        .mockResolvedValueOnce(stockItem({ quantity: 10 }))
+        .mockResolvedValue(stockItem({ quantity: 7 }));
+      const update = jest.spyOn(Inventory, 'findOneAndUpdate')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(stockItem({ quantity: 8 }));
+
+      const { item } = await InventoryTransaction.count({ inventoryId: itemId, clinicId, quantity: 8 });
+      expect(item.quantity).toBe(8);
+      expect(update).toHaveBeenLastCalledWith(
+        { _id: itemId, clinicId, quantity: 7 },
+        { $inc: { quantity: 1 } },
+        { new: true }
+      );
+    });
+
+    it('should record nothing when the count matches', async () => {
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(stockItem());
+
+      const { transaction } = await InventoryTransaction.count({ inventoryId: itemId, clinicId, quantity: 10 });
+      expect(transaction).toBeNull();
+      expect(InventoryTransaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transfer', () => {
+    it('should put the stock back on the source when the target cannot receive it', async () => {
+      jest.spyOn(Inventory, 'findOne').mockImplementation(async ({ _id }) => stockItem({ _id }));
+      jest.spyOn(Inventory, 'findOneAndUpdate')
+        .mockResolvedValueOnce(stockItem({ quantity: 7 }))
+        .mockRejectedValueOnce(new Error('target locked'));
+
+      await expect(InventoryTransaction.transfer({ fromInventoryId: itemId, toInventoryId: otherItemId, clinicId, quantity: 3 }))
+        .rejects.toThrow('target locked');
+      expect(Inventory.updateOne).toHaveBeenCalledWith({ _id: itemId }, { $inc: { quantity: 3 } });
+      expect(InventoryTransaction.deleteOne).toHaveBeenCalledWith({ _id: 'tx' });
+    });
+
+    it('should not transfer to the same item', async () => {
+      await expect(InventoryTransaction.transfer({ fromInventoryId: itemId, toInventoryId: itemId, clinicId, quantity: 3 }))
+        .rejects.toThrow('Cannot transfer stock to the same item');
+    });
+  });
+
+  describe('reconcile', () => {
+    it('should report drift between the stored quantity and the ledger without changing anything', async () => {
+      const item = { ...stockItem({ quantity: 12 }), save: jest.fn() };
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(item);
+      jest.spyOn(InventoryTransaction, 'aggregate').mockResolvedValue([{ balance: 9, entries: 4 }]);
+
+      const result = await InventoryTransaction.reconcile(itemId, clinicId);
+      expect(result).toMatchObject({ storedQuantity: 12, quantity: 12, ledgerBalance: 9, discrepancy: 3, entries: 4, reconciled: false });
+      expect(item.save).not.toHaveBeenCalled();
+      expect(InventoryTransaction.exists).not.toHaveBeenCalled();
+    });
+
+    it('should correct the stored quantity to the ledger balance when applied', async () => {
+      const item = { ...stockItem({ quantity: 12 }), save: jest.fn() };
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(item);
+      jest.spyOn(InventoryTransaction, 'aggregate').mockResolvedValue([{ balance: 9, entries: 4 }]);
+
+      const result = await InventoryTransaction.reconcile(itemId, clinicId, true);
+      expect(result).toMatchObject({ storedQuantity: 12, quantity: 9, discrepancy: 3, reconciled: true });
+      expect(item.save).toHaveBeenCalled();
+    });
+
+    it('should treat stock from before the ledger as its opening balance', async () => {
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(stockItem({ quantity: 20 }));
+      jest.spyOn(InventoryTransaction, 'aggregate').mockResolvedValue([]);
+
+      const result = await InventoryTransaction.reconcile(itemId, clinicId);
+      expect(result).toMatchObject({ ledgerBalance: 20, discrepancy: 0, entries: 0, reconciled: true });
+      expect(InventoryTransaction.create).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Inventory', () => {
+  describe('allocateFefo', () => {
+    const days = (n) => new Date(Date.now() + n * 24 * 60 * 60 * 1000);
+    const batches = [
+      { _id: 'b1', batchNumber: 'B-1', expiryDate: days(-2), quantity: 50 },
+      { _id: 'b2', batchNumber: 'B-2', expiryDate: days(10), quantity: 4 },
+      { _id: 'b3', batchNumber: 'B-3', expiryDate: days(40), quantity: 0 },
+      { _id: 'b4', batchNumber: 'B-4', expiryDate: days(90), quantity: 20 }
+    ];
+
+    it('should draw from the earliest expiring batches first, skipping expired and empty ones', () => {
+      const { picks, allocated, shortfall } = Inventory.allocateFefo(batches, 10);
+      expect(picks.map(pick => [pick.batchNumber, pick.quantity])).toEqual([['B-2', 4], ['B-4', 6]]);
+      expect(allocated).toBe(10);
+      expect(shortfall).toBe(0);
+    });
+
+    it('should report what is missing when the usable batches run out', () => {
+      const { allocated, shortfall } = Inventory.allocateFefo(batches, 30);
+      expect(allocated).toBe(24);
+      expect(shortfall).toBe(6);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Invoice Tests
+ * Tests for invoice totals, line item types, the status machine, numbering
+ * the mapping of old invoice documents and who may change an invoice
+ */
+
+const Invoices = require('../../backend/utils/invoices');
+const invoiceService = require('../../backend/services/invoiceService');
+const Invoice = require('../../backend/models/Invoice');
+const Patient = require('../../backend/models/Patient');
+
+describe('Invoices', () => {
+  describe('totals', () => {
+    it('should add up line items and apply discount, tax and shipping', () => {
+      const items = [{ qty: 2, unitPrice: 150 }, { qty: 1, unitPrice: 99.5 }];
+      expect(Invoices.totals(items, { discount: 20, tax: 18, shipping: 10 })).toEqual({ subtotal: 399.5, total: 407.5 });
+    });
+
+    it('should avoid floating point leftovers', () => {
+      expect(Invoices.totals([{ qty: 3, unitPrice: 0.1 }]).subtotal).toBe(0.3);
+    });
+  });
+
+  describe('itemError', () => {
+    it('should require the reference each item type bills for', () => {
+      expect(Invoices.itemError({ type: 'appointment' })).toBe('Appointment line items need a appointmentId');
+      expect(Invoices.itemError({ type: 'medication' })).toBe('Medication line items need a prescriptionId');
+      expect(Invoices.itemError({ type: 'medication', prescriptionId: 'rx1' })).toBeNull();
+      expect(Invoices.itemError({ type: 'service' })).toBe('Service line items need a catalogItemId');
+    });
+
+    it('should treat untyped items as free text and reject unknown types', () => {
+      expect(Invoices.itemError({ description: 'Dressing' })).toBeNull();
+      expect(Invoices.itemError({ type: 'voucher' })).toBe('Unknown line item type "voucher"');
+    });
+  });
+
+  describe('sourceOf', () => {
+    it('should list a teleconsultation against its appointment too', () => {
+      const items = [{ type: 'teleconsultation', teleconsultationId: 't1', appointmentId: 'a1' }];
+      expect(Invoices.sourceOf(items)).toEqual({ type: 'teleconsultation', appointmentId: 'a1', teleconsultationId: 't1' });
+    });
+
+    it('should call an invoice without visit items general', () => {
+      const items = [{ type: 'service' }, { type: 'medication', prescriptionId: 'rx1' }];
+      expect(Invoices.sourceOf(items)).toEqual({ type: 'general', appointmentId: null, teleconsultationId: null });
+    });
+  });
+
+  describe('status machine', () => {
+    it('should only refund paid invoices, never cancel them', () => {
+      expect(Invoices.canTransition('paid', 'refunded')).toBe(true);
+      expect(Invoices.canTransition('paid', 'cancelled')).toBe(false);
+      expect(Invoices.canTransition('refunded', 'partially_refunded')).toBe(false);
+    });
+
+    it('should allow a further partial refund', () => {
+      expect(Invoices.transitionError('partially_refunded', 'partially_refunded')).toBeNull();
+    });
+
+    it('should list the statuses an invoice can be approved from', () => {
+      expect(Invoices.sourcesOf('approved')).toEqual(['unapproved', 'rejected']);
+    });
+
+    it('should explain why a move is not allowed', () => {
+      expect(Invoices.transitionError('approved', 'approved')).toBe('Invoice is already approved');
+      expect(Invoices.transitionError('cancelled', 'paid')).toBe('A cancelled invoice cannot be paid');
+      expect(Invoices.transitionError('paid', 'settled')).toBe('Unknown invoice status "settled"');
+    });
+
+    it('should only delete invoices that never counted as revenue', () => {
+      expect(Invoices.isDeletable({ status: 'cancelled', revenueRecorded: false })).toBe(true);
+      expect(Invoices.isDeletable({ status: 'cancelled', revenueRecorded: true })).toBe(false);
+      expect(Invoices.isDeletable({ status: 'paid', revenueRecorded: false })).toBe(false);
+    });
+  });
+
+  describe('numbering', () => {
+    it('should start a new financial year in April', () => {
+      expect(Invoices.financialYear(new Date(2027, 2, 31))).toBe('2627');
+      expect(Invoices.financialYear(new Date(2027, 3, 1))).toBe('2728');
+    });
+
+    it('should pad the sequence', () => {
+      expect(Invoices.formatNumber(42, '2627')).toBe('INV-2627-00042');
+    });
+  });
+
+  describe('fromLegacy', () => {
+    it('should turn a general invoice\'s items into free-text lines and keep its number', () => {
+      const fields = Invoices.fromLegacy('Invoice', {
+        _id: 'i1',
+        invoiceNo: 1718000000000,
+        status: 'Approved',
+        date: '2026-05-04',
+        lineItems: [{ _id: 'l1', description: 'Dressing', qty: 2, unitPrice: 100 }],
+        discount: 20,
+        createdAt: new Date(2026, 4, 4)
+      });
+
+      expect(fields.invoiceNumber).toBe('1718000000000');
+      expect(fields.status).toBe('approved');
+      expect(fields.lineItems).toEqual([{ _id: 'l1', type: 'other', description: 'Dressing', qty: 2, unitPrice: 100 }]);
+      expect(fields.total).toBe(180);
+      expect(fields.legacy).toEqual({ model: 'Invoice', number: '1718000000000' });
+    });
+
+    it('should bill an appointment invoice as one appointment line', () => {
+      const fields = Invoices.fromLegacy('AppointmentInvoice', {
+        _id: 'i2',
+        invoiceNumber: 'APT-000123',
+        appointmentId: 'a1',
+        amount: 500,
+        status: 'paid',
+        paymentMethod: 'online',
+        paymentDetails: { paidAt: new Date(2026, 4, 5) },
+        appointmentDetails: { appointmentType: 'Follow-up' },
+        createdAt: new Date(2026, 4, 4)
+      });
+
+      expect(fields.type).toBe('appointment');
+      expect(fields.appointmentId).toBe('a1');
+      expect(fields.lineItems).toEqual([{ type: 'appointment', description: 'Follow-up appointment', appointmentId: 'a1', qty: 1, unitPrice: 500 }]);
+      expect(fields.total).toBe(500);
+      expect(fields.paidAt).toEqual(new Date(2026, 4, 5));
+      expect(fields.legacy).toEqual({ model: 'AppointmentInvoice', number: 'APT-000123' });
+    });
+
+    it('should keep a teleconsultation invoice linked to its appointment', () => {
+      const fields = Invoices.fromLegacy('TeleconsultationInvoice', {
+        _id: 'i3',
+        invoiceNumber: 'TEL-000007',
+        teleconsultationId: 't1',
+        appointmentId: 'a2',
+        amount: 400,
+        status: 'unknown',
+        createdAt: new Date(2026, 4, 4)
+      });
+
+      expect(fields.type).toBe('teleconsultation');
+      expect(fields.teleconsultationId).toBe('t1');
+      expect(fields.appointmentId).toBe('a2');
+      expect(fields.status).toBe('unapproved');
+      expect(fields.paymentMethod).toBe('pending');
+    });
+  });
+});
+
+describe('InvoiceService', () => {
+  const clinicId = '64b000000000000000000001';
+  const doctorId = '64b000000000000000000002';
+  const invoice = { _id: '64b000000000000000000003', clinicId, doctorId, status: 'unapproved' };
+
+  describe('getManaged', () => {
+    beforeEach(() => {
+      jest.spyOn(Invoice, 'findOne').mockResolvedValue(invoice);
+    });
+
+    it('should let clinic staff manage any of the clinic\'s invoices', async () => {
+      await expect(invoiceService.getManaged(invoice._id, { id: clinicId, role: 'clinic', clinicId })).resolves.toBe(invoice);
+      expect(Invoice.findOne).toHaveBeenCalledWith({ _id: invoice._id, clinicId });
+    });
+
+    it('should only let a doctor manage their own invoices', async () => {
+      await expect(invoiceService.getManaged(invoice._id, { id: doctorId, role: 'doctor', clinicId })).resolves.toBe(invoice);
+      await expect(invoiceService.getManaged(invoice._id, { id: '64b000000000000000000009', role: 'doctor', clinicId }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('create', () => {
+    it('should not bill a patient from another clinic', async () => {
+      const findOne = jest.spyOn(Patient, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+      const save = jest.spyOn(Invoice.prototype, 'save');
+
+      await expect(invoiceService.create({ patientId: '64b000000000000000000004', lineItems: [] }, { id: clinicId, role: 'clinic', clinicId }))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Patient not found' });
+      expect(findOne).toHaveBeenCalledWith({ _id: '64b000000000000000000004', clinicId });
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Messaging Tests
+ * Tests for phone numbers, channel choice, text templates and delivery status
+ */
+
+const Messaging = require('../../backend/utils/messaging');
+
+describe('Messaging', () => {
+  describe('normalizePhone', () => {
+    it('should add the default country code to local numbers', () => {
+      expect(Messaging.normalizePhone('98765 43210')).toBe('+919876543210');
+      expect(Messaging.normalizePhone('09876543210')).toBe('+919876543210');
+    });
+
+    it('should keep international numbers', () => {
+      expect(Messaging.normalizePhone('+44 20 7946 0958')).toBe('+442079460958');
+      expect(Messaging.normalizePhone('0044 20 7946 0958')).toBe('+442079460958');
+    });
+
+    it('should use a given country code', () => {
+      expect(Messaging.normalizePhone('2025550123', '1')).toBe('+12025550123');
+    });
+
+    it('should reject numbers that cannot be read', () => {
+      expect(Messaging.normalizePhone('')).toBeNull();
+      expect(Messaging.normalizePhone('12345')).toBeNull();
+      expect(Messaging.normalizePhone(null)).toBeNull();
+    });
+  });
+
+  describe('maskPhone', () => {
+    it('should hide the middle digits', () => {
+      expect(Messaging.maskPhone('+919876543210')).toBe('+91******3210');
+      expect(Messaging.maskPhone('12345')).toBe('***');
+    });
+  });
+
+  describe('channelsFor', () => {
+    it('should use the type defaults when the clinic has not chosen', () => {
+      expect(Messaging.channelsFor(null, 'login_otp')).toEqual(['email']);
+      expect(Messaging.channelsFor({ channels: [] }, 'referral_notice')).toEqual(['sms']);
+    });
+
+    it('should use the clinic choice in channel order', () => {
+      const settings = { channels: [{ type: 'appointment_reminder', channels: ['whatsapp', 'email'] }] };
+      expect(Messaging.channelsFor(settings, 'appointment_reminder')).toEqual(['email', 'whatsapp']);
+    });
+
+    it('should allow a message type to be turned off', () => {
+      const settings = { channels: [{ type: 'waitlist_offer', channels: [] }] };
+      expect(Messaging.channelsFor(settings, 'waitlist_offer')).toEqual([]);
+    });
+
+    it('should drop channels a type cannot be sent on', () => {
+      const settings = { channels: [{ type: 'referral_notice', channels: ['email', 'whatsapp'] }] };
+      expect(Messaging.channelsFor(settings, 'referral_notice')).toEqual(['whatsapp']);
+    });
+  });
+
+  describe('templateFor', () => {
+    it('should fall back to the built-in text', () => {
+      const template = Messaging.templateFor(null, 'waitlist_offer', 'sms');
+      expect(template.body).toBe(Messaging.MESSAGE_TYPES.waitlist_offer.template);
+      expect(template.custom).toBe(false);
+      expect(template.whatsappTemplate).toBeNull();
+    });
+
+    it('should use the clinic text for the matching channel only', () => {
+      const settings = {
+        templates: [{ type: 'waitlist_offer', channel: 'whatsapp', body: 'Slot free: {{offerUrl}}', whatsappTemplate: 'slot_offer', whatsappLanguage: 'en_GB' }]
+      };
+      const whatsapp = Messaging.templateFor(settings, 'waitlist_offer', 'whatsapp');
+      expect(whatsapp.body).toBe('Slot free: {{offerUrl}}');
+      expect(whatsapp.whatsappTemplate).toBe('slot_offer');
+      expect(whatsapp.whatsappLanguage).toBe('en_GB');
+      expect(whatsapp.custom).toBe(true);
+      expect(Messaging.templateFor(settings, 'waitlist_offer', 'sms').custom).toBe(false);
+    });
+  });
+
+  describe('render', () => {
+    it('should fill variables and tidy gaps left by empty ones', () => {
+      const text = Messaging.render('Visit on {{date}}. {{meetingLink}} Call {{clinicPhone}} .', {
+        date: 'Monday',
+        meetingLink: '',
+        clinicPhone: '12345'
+      });
+      expect(text).toBe('Visit on Monday. Call 12345.');
+    });
+  });
+
+  describe('advanceStatus', () => {
+    it('should move forward through delivery', () => {
+      expect(Messaging.advanceStatus('queued', 'sent')).toBe('sent');
+      expect(Messaging.advanceStatus('sent', 'delivered')).toBe('delivered');
+      expect(Messaging.advanceStatus('delivered', 'read')).toBe('read');
+    });
+
+    it('should ignore late or unknown updates', () => {
+      expect(Messaging.advanceStatus('delivered', 'sent')).toBe('delivered');
+      expect(Messaging.advanceStatus('read', 'failed')).toBe('read');
+      expect(Messaging.advanceStatus('sent', 'bogus')).toBe('sent');
+    });
+
+    it('should let a delivery receipt replace an earlier failure', () => {
+      expect(Messaging.advanceStatus('sent', 'failed')).toBe('failed');
+      expect(Messaging.advanceStatus('failed', 'delivered')).toBe('delivered');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Notification Tests
+ * Tests for notification links, recipients and email preferences
+ */
+
+const Notifications = require('../../backend/utils/notifications');
+
+describe('Notifications', () => {
+  describe('linkFor', () => {
+    it('should link each kind of record to its screen', () => {
+      expect(Notifications.linkFor('Appointment', 'doctor')).toBe('/appointments');
+      expect(Notifications.linkFor('Referral', 'doctor')).toBe('/referrals');
+      expect(Notifications.linkFor('ComplianceAlert', 'clinic')).toBe('/compliance');
+      expect(Notifications.linkFor('Prescription', 'doctor')).toBe('/prescriptions');
+    });
+
+    it('should send pharmacists to their dashboard for prescriptions', () => {
+      expect(Notifications.linkFor('Prescription', 'pharmacist')).toBe('/pharmacist-dashboard');
+    });
+
+    it('should return null for unknown records', () => {
+      expect(Notifications.linkFor('Invoice', 'clinic')).toBeNull();
+    });
+  });
+
+  describe('emailPreferences', () => {
+    it('should use each type default when nothing is saved', () => {
+      const preferences = Notifications.emailPreferences();
+      Object.entries(Notifications.TYPES).forEach(([type, definition]) => {
+        expect(preferences[type]).toBe(definition.emailable === false ? false : definition.email);
+      });
+    });
+
+    it('should apply saved overrides from a plain object or a Map', () => {
+      expect(Notifications.emailPreferences({ appointment_requested: false }).appointment_requested).toBe(false);
+      expect(Notifications.emailPreferences(new Map([['prescription_allotted', true]])).prescription_allotted).toBe(true);
+    });
+
+    it('should never email types that are in-app only', () => {
+      expect(Notifications.wantsEmail({ referral_received: true }, 'referral_received')).toBe(false);
+    });
+
+    it('should not email unknown types', () => {
+      expect(Notifications.wantsEmail({}, 'something_else')).toBe(false);
+    });
+  });
+
+  describe('sanitizePreferences', () => {
+    it('should keep only known emailable types with boolean values', () => {
+      expect(Notifications.sanitizePreferences({
+        appointment_requested: false,
+        compliance_alert: 'yes',
+        referral_received: true,
+        unknown: true
+      })).toEqual({ appointment_requested: false });
+    });
+  });
+
+  describe('uniqueRecipients', () => {
+    it('should drop duplicates, empty IDs and the person who acted', () => {
+      const recipients = Notifications.uniqueRecipients([
+        { id: 'clinic1', role: 'clinic' },
+        { id: 'doctor1', role: 'doctor' },
+        { id: 'doctor1', role: 'doctor' },
+        { id: undefined, role: 'doctor' },
+        { id: 'nurse1', role: 'nurse' }
+      ], 'nurse1');
+
+      expect(recipients).toEqual([
+        { id: 'clinic1', role: 'clinic' },
+        { id: 'doctor1', role: 'doctor' }
+      ]);
+    });
+
+    it('should compare ObjectId-like values as strings', () => {
+      const id = { toString: () => 'doctor1' };
+      expect(Notifications.uniqueRecipients([{ id, role: 'doctor' }], 'doctor1')).toEqual([]);
+    });
+  });
+});
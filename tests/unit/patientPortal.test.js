@@ -0,0 +1,98 @@
+/**
+ * Patient Portal Tests
+ * Tests that patient tokens only open the portal, and that the portal only
+ * reads records of the signed-in patient and their own clinic
+ */
+
+const express = require('express');
+const request = require('supertest');
+const auth = require('../../backend/middleware/auth');
+const portalRoutes = require('../../backend/routes/patientPortal');
+const tokenManager = require('../../backend/utils/tokenManager');
+const Patient = require('../../backend/models/Patient');
+const Doctor = require('../../backend/models/Doctor');
+const Appointment = require('../../backend/models/Appointment');
+const Prescription = require('../../backend/models/Prescription');
+const Invoice = require('../../backend/models/Invoice');
+
+const patientId = '64b000000000000000000001';
+const clinicId = '64b000000000000000000002';
+const otherClinicId = '64b000000000000000000003';
+const otherRecordId = '64b000000000000000000004';
+
+const app = express();
+app.use(express.json());
+app.get('/api/staff-only', auth, (req, res) => res.json({ ok: true }));
+app.use('/api/patient-portal', portalRoutes);
+
+const bearer = (payload) => `Bearer ${tokenManager.generateTokenPair(payload).accessToken}`;
+const patientToken = (fields) => bearer({ _id: patientId, email: 'ravi@example.com', role: 'patient', fullName: 'Ravi Kumar', clinicId, ...fields });
+
+describe('Patient portal', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Patient, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ _id: patientId, email: 'ravi@example.com', fullName: 'Ravi Kumar', clinicId })
+    });
+  });
+
+  describe('tokens', () => {
+    it('should keep patient tokens out of staff routes', async () => {
+      const response = await request(app).get('/api/staff-only').set('Authorization', patientToken());
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Patient accounts cannot access this resource');
+    });
+
+    it('should keep staff tokens out of the portal', async () => {
+      const response = await request(app).get('/api/patient-portal/invoices')
+        .set('Authorization', bearer({ _id: otherRecordId, email: 'dr@example.com', role: 'doctor', clinicId }));
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Patient portal access only');
+    });
+
+    it('should turn away a token whose patient no longer exists', async () => {
+      Patient.findById.mockReturnValue({ select: () => Promise.resolve(null) });
+      const response = await request(app).get('/api/patient-portal/invoices').set('Authorization', patientToken());
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('scoping', () => {
+    it('should list doctors of the clinic on the patient record, not the one in the token', async () => {
+      const find = jest.spyOn(Doctor, 'find').mockReturnValue({ select: () => ({ sort: () => Promise.resolve([]) }) });
+
+      const response = await request(app).get('/api/patient-portal/doctors')
+        .set('Authorization', patientToken({ clinicId: otherClinicId }));
+      expect(response.status).toBe(200);
+      expect(find).toHaveBeenCalledWith({ clinicId, isActive: { $ne: false } });
+    });
+
+    it('should not find another patient\'s prescription', async () => {
+      const findOne = jest.spyOn(Prescription, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+
+      const response = await request(app).get(`/api/patient-portal/prescriptions/${otherRecordId}/pdf`)
+        .set('Authorization', patientToken());
+      expect(response.status).toBe(404);
+      expect(findOne).toHaveBeenCalledWith({ _id: otherRecordId, patientId });
+    });
+
+    it('should not cancel another patient\'s appointment', async () => {
+      const findOne = jest.spyOn(Appointment, 'findOne').mockResolvedValue(null);
+
+      const response = await request(app).post(`/api/patient-portal/appointments/${otherRecordId}/cancel`)
+        .set('Authorization', patientToken());
+      expect(response.status).toBe(404);
+      expect(findOne).toHaveBeenCalledWith({ _id: otherRecordId, patientId });
+    });
+
+    it('should only list the patient\'s own invoices', async () => {
+      const find = jest.spyOn(Invoice, 'find').mockReturnValue({
+        sort: () => ({ limit: () => ({ lean: () => Promise.resolve([]) }) })
+      });
+
+      const response = await request(app).get('/api/patient-portal/invoices').set('Authorization', patientToken());
+      expect(response.status).toBe(200);
+      expect(find).toHaveBeenCalledWith({ patientId });
+    });
+  });
+});
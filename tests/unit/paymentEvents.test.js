@@ -0,0 +1,102 @@
+/**
+ * Payment Event Tests
+ * Tests for Razorpay webhook signatures, event parsing and reconciliation checks
+ */
+
+const crypto = require('crypto');
+const PaymentEvents = require('../../backend/utils/paymentEvents');
+
+const SECRET = 'whsec_test';
+const sign = (body) => crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+
+describe('PaymentEvents', () => {
+  describe('verifySignature', () => {
+    const body = JSON.stringify({ event: 'payment.captured' });
+
+    it('should accept a signature made with the webhook secret', () => {
+      expect(PaymentEvents.verifySignature(Buffer.from(body), sign(body), SECRET)).toBe(true);
+    });
+
+    it('should reject a body changed after signing', () => {
+      expect(PaymentEvents.verifySignature(body.replace('captured', 'failed'), sign(body), SECRET)).toBe(false);
+    });
+
+    it('should reject a missing signature or secret', () => {
+      expect(PaymentEvents.verifySignature(body, undefined, SECRET)).toBe(false);
+      expect(PaymentEvents.verifySignature(body, sign(body), '')).toBe(false);
+    });
+  });
+
+  describe('parse', () => {
+    it('should read a captured payment in rupees', () => {
+      const event = PaymentEvents.parse({
+        event: 'payment.captured',
+        payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 50050 } } }
+      });
+      expect(event).toEqual({
+        type: 'payment.captured',
+        orderId: 'order_1',
+        paymentId: 'pay_1',
+        amount: 500.5,
+        error: null,
+        refund: null
+      });
+    });
+
+    it('should read a refund and the local refund id from its notes', () => {
+      const event = PaymentEvents.parse({
+        event: 'refund.processed',
+        payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', amount: 10000, notes: { refundId: 'abc' } } } }
+      });
+      expect(event.paymentId).toBe('pay_1');
+      expect(event.refund).toEqual({ id: 'rfnd_1', amount: 100, localId: 'abc' });
+    });
+
+    it('should cope with an empty body', () => {
+      expect(PaymentEvents.parse({}).type).toBeUndefined();
+      expect(PaymentEvents.isHandled('order.paid')).toBe(false);
+    });
+  });
+
+  describe('compare', () => {
+    it('should find nothing when both sides agree', () => {
+      const gateway = [{ id: 'pay_1', status: 'captured', amount: 500, amountRefunded: 0 }];
+      expect(PaymentEvents.compare({ status: 'completed', amount: 500 }, gateway)).toEqual([]);
+    });
+
+    it('should flag a capture we never recorded', () => {
+      const gateway = [
+        { id: 'pay_1', status: 'failed', amount: 500, amountRefunded: 0 },
+        { id: 'pay_2', status: 'captured', amount: 500, amountRefunded: 0 }
+      ];
+      expect(PaymentEvents.compare({ status: 'pending', amount: 500 }, gateway)).toEqual([
+        { type: 'missed_capture', expected: 'captured', actual: 'pending', gatewayPaymentId: 'pay_2' }
+      ]);
+    });
+
+    it('should flag a payment marked paid that the gateway never captured', () => {
+      const [mismatch] = PaymentEvents.compare({ status: 'completed', amount: 500 }, []);
+      expect(mismatch.type).toBe('not_captured');
+      expect(mismatch.actual).toBe('no payment');
+    });
+
+    it('should flag amount and refund differences', () => {
+      const gateway = [{ id: 'pay_1', status: 'refunded', amount: 450, amountRefunded: 450 }];
+      const types = PaymentEvents.compare({ status: 'partially_refunded', amount: 500, refundAmount: 200 }, gateway)
+        .map(mismatch => mismatch.type);
+      expect(types).toEqual(['amount_mismatch', 'refund_mismatch']);
+    });
+  });
+
+  describe('nextRunAt', () => {
+    it('should run later today when the hour is still ahead', () => {
+      const runAt = PaymentEvents.nextRunAt(new Date(2026, 0, 10, 1, 30), 2);
+      expect(runAt).toEqual(new Date(2026, 0, 10, 2, 0));
+    });
+
+    it('should run tomorrow once the hour has passed', () => {
+      const runAt = PaymentEvents.nextRunAt(new Date(2026, 0, 31, 2, 0), 2);
+      expect(runAt).toEqual(new Date(2026, 1, 1, 2, 0));
+    });
+  });
+});
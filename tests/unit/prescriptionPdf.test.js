@@ -0,0 +1,150 @@
+/**
+ * Prescription PDF Tests
+ * Tests for what a printed prescription shows, its verification link and
+ * the verification code given to prescriptions from before codes existed
+ */
+
+const PDFDocument = require('pdfkit');
+const prescriptionPdfService = require('../../backend/services/prescriptionPdfService');
+const Prescription = require('../../backend/models/Prescription');
+const Patient = require('../../backend/models/Patient');
+const Doctor = require('../../backend/models/Doctor');
+const Clinic = require('../../backend/models/Clinic');
+
+const clinic = {
+  name: 'Sunrise Clinic',
+  address: '12 MG Road',
+  city: 'Pune',
+  state: 'Maharashtra',
+  phone: '020-5555-0101',
+  registrationNumber: 'MH-1234'
+};
+const doctor = { fullName: 'Asha Rao', qualification: 'MBBS, MD', specialty: 'General Medicine' };
+const patient = { fullName: 'Ravi Kumar', age: 42, gender: 'Male', uhid: 'P-0042', medicalHistory: { allergies: ['Penicillin'] } };
+
+const prescription = (fields) => ({
+  prescriptionNumber: 'RX000123',
+  verificationCode: 'a1b2c3d4e5f60718',
+  date: new Date('2026-10-19T10:00:00Z'),
+  status: 'Active',
+  diagnosis: 'Acute pharyngitis',
+  medications: [
+    { name: 'Azithromycin 500mg', dosage: '1 tablet', route: 'oral', frequency: 'Once daily', duration: '3 days', totalQuantity: 3, instructions: 'After food' },
+    { name: 'Paracetamol 650mg', dosage: '1 tablet', frequency: 'When required' }
+  ],
+  followUpDate: new Date('2026-10-26T00:00:00Z'),
+  followUpInstructions: 'Review if fever persists',
+  ...fields
+});
+
+// Everything written on the page, in order
+const renderedText = async (fields) => {
+  const text = jest.spyOn(PDFDocument.prototype, 'text');
+  const pdf = await prescriptionPdfService.generate({ prescription: prescription(fields), patient, doctor, clinic });
+  return { pdf, lines: text.mock.calls.map(([value]) => value) };
+};
+
+describe('PrescriptionPdfService', () => {
+  const frontendUrl = process.env.FRONTEND_URL;
+
+  beforeEach(() => {
+    process.env.FRONTEND_URL = 'https://clinic.example.com/';
+  });
+
+  afterEach(() => {
+    process.env.FRONTEND_URL = frontendUrl;
+  });
+
+  describe('getVerificationUrl', () => {
+    it('should point at the public verification page with the code', () => {
+      expect(prescriptionPdfService.getVerificationUrl({ prescriptionNumber: 'RX/7', verificationCode: 'abc' }))
+        .toBe('https://clinic.example.com/verify-prescription/RX%2F7?code=abc');
+    });
+  });
+
+  describe('generate', () => {
+    it('should produce a PDF without a cancelled stamp', async () => {
+      const { pdf, lines } = await renderedText();
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(lines).not.toContain('CANCELLED');
+    });
+
+    it('should print the clinic letterhead, doctor, patient and allergies', async () => {
+      const { lines } = await renderedText();
+      expect(lines).toEqual(expect.arrayContaining([
+        'Sunrise Clinic',
+        '12 MG Road, Pune, Maharashtra',
+        'Ph: 020-5555-0101',
+        'Reg. No: MH-1234',
+        'Dr. Asha Rao',
+        'Rx No: RX000123',
+        'Ravi Kumar  |  42 yrs  |  Male  |  UHID: P-0042',
+        'Penicillin',
+        'Acute pharyngitis'
+      ]));
+    });
+
+    it('should list each medication with its dose, route, frequency, duration and quantity', async () => {
+      const { lines } = await renderedText();
+      const firstRow = lines.indexOf('Azithromycin 500mg');
+      expect(lines.slice(firstRow - 1, firstRow + 6)).toEqual(['1', 'Azithromycin 500mg', '1 tablet', 'Oral', 'Once daily', '3 days', '3']);
+      expect(lines).toContain('After food');
+
+      const secondRow = lines.indexOf('Paracetamol 650mg');
+      expect(lines.slice(secondRow - 1, secondRow + 6)).toEqual(['2', 'Paracetamol 650mg', '1 tablet', '', 'When required', '', '']);
+    });
+
+    it('should print the follow-up and the verification link', async () => {
+      const { lines } = await renderedText();
+      expect(lines).toContain(`${prescriptionPdfService.formatDate('2026-10-26T00:00:00Z')} - Review if fever persists`);
+      expect(lines).toContain('https://clinic.example.com/verify-prescription/RX000123?code=a1b2c3d4e5f60718');
+    });
+
+    it('should stamp a cancelled prescription', async () => {
+      const { lines } = await renderedText({ status: 'Cancelled' });
+      expect(lines).toContain('CANCELLED');
+    });
+  });
+
+  describe('generateForPrescription', () => {
+    const stored = (value) => ({ select: () => ({ lean: () => Promise.resolve(value) }) });
+    const older = () => ({ _id: 'rx1', prescriptionNumber: 'RX000001', $isDefault: (path) => path === 'verificationCode', verificationCode: 'unsaved' });
+
+    beforeEach(() => {
+      jest.spyOn(Patient, 'findById').mockReturnValue({ select: () => Promise.resolve(patient) });
+      jest.spyOn(Doctor, 'findById').mockReturnValue({ select: () => Promise.resolve(doctor) });
+      jest.spyOn(Clinic, 'findById').mockReturnValue({ select: () => Promise.resolve(clinic) });
+      jest.spyOn(prescriptionPdfService, 'generate').mockResolvedValue(Buffer.from('%PDF-'));
+    });
+
+    it('should store a code for a prescription from before verification codes', async () => {
+      const update = jest.spyOn(Prescription, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const rx = older();
+
+      await prescriptionPdfService.generateForPrescription(rx);
+      expect(update).toHaveBeenCalledWith(
+        { _id: 'rx1', verificationCode: { $exists: false } },
+        { $set: { verificationCode: rx.verificationCode } }
+      );
+      expect(rx.verificationCode).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('should print the code another print stored first', async () => {
+      jest.spyOn(Prescription, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Prescription, 'findById').mockReturnValue(stored({ verificationCode: 'ffffeeeeddddcccc' }));
+      const rx = older();
+
+      await prescriptionPdfService.generateForPrescription(rx);
+      expect(rx.verificationCode).toBe('ffffeeeeddddcccc');
+    });
+
+    it('should keep a code that was already stored', async () => {
+      const update = jest.spyOn(Prescription, 'updateOne');
+      const rx = { ...older(), $isDefault: () => false, verificationCode: 'a1b2c3d4e5f60718' };
+
+      await prescriptionPdfService.generateForPrescription(rx);
+      expect(update).not.toHaveBeenCalled();
+      expect(rx.verificationCode).toBe('a1b2c3d4e5f60718');
+    });
+  });
+});
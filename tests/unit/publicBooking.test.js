@@ -0,0 +1,143 @@
+/**
+ * Public Booking Tests
+ * Tests for the online booking widget: emailing a verification code,
+ * requesting an appointment with it, and pending requests holding their slot
+ */
+
+const express = require('express');
+const request = require('supertest');
+const publicBookingRoutes = require('../../backend/routes/publicBooking');
+const Clinic = require('../../backend/models/Clinic');
+const Doctor = require('../../backend/models/Doctor');
+const Patient = require('../../backend/models/Patient');
+const Appointment = require('../../backend/models/Appointment');
+const OTP = require('../../backend/models/OTP');
+const emailService = require('../../backend/services/emailService');
+const slotService = require('../../backend/services/slotService');
+const realtimeService = require('../../backend/services/realtimeService');
+const notificationService = require('../../backend/services/notificationService');
+const Slots = require('../../backend/utils/slots');
+
+const clinic = { _id: '64b000000000000000000001', name: 'Sunrise Clinic' };
+const doctor = { _id: '64b000000000000000000002', fullName: 'Asha Rao' };
+
+const app = express();
+app.use(express.json());
+app.use('/api/public-booking', publicBookingRoutes);
+
+const booking = (fields) => ({
+  email: 'ravi@example.com',
+  otp: '123456',
+  fullName: 'Ravi Kumar',
+  phone: '+91 98765 43210',
+  doctorId: doctor._id,
+  date: '2026-11-02',
+  time: '10:30',
+  appointmentType: 'General Consultation',
+  ...fields
+});
+
+describe('Public booking', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Clinic, 'findOne').mockReturnValue({ select: () => Promise.resolve(clinic) });
+  });
+
+  describe('verify-email', () => {
+    it('should email a code for the clinic', async () => {
+      jest.spyOn(OTP, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(OTP, 'createOTP').mockResolvedValue({ _id: 'otp1', code: '654321', expiresAt: new Date(Date.now() + 10 * 60 * 1000) });
+      const send = jest.spyOn(emailService, 'sendOTPEmail').mockResolvedValue({ success: true });
+
+      const response = await request(app).post('/api/public-booking/CLN001/verify-email').send({ email: 'ravi@example.com' });
+      expect(response.status).toBe(200);
+      expect(create).toHaveBeenCalledWith('ravi@example.com', 'email_verification', null, expect.anything(), undefined);
+      expect(send).toHaveBeenCalledWith(null, 'ravi@example.com', '654321', 'email_verification', expect.objectContaining({ clinicId: clinic._id }));
+    });
+
+    it('should make the patient wait a minute between codes', async () => {
+      jest.spyOn(OTP, 'findOne').mockResolvedValue({ _id: 'otp0' });
+      const create = jest.spyOn(OTP, 'createOTP');
+
+      const response = await request(app).post('/api/public-booking/CLN001/verify-email').send({ email: 'ravi@example.com' });
+      expect(response.status).toBe(429);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should throw away a code that could not be sent', async () => {
+      jest.spyOn(OTP, 'findOne').mockResolvedValue(null);
+      jest.spyOn(OTP, 'createOTP').mockResolvedValue({ _id: 'otp1', code: '654321', expiresAt: new Date() });
+      jest.spyOn(emailService, 'sendOTPEmail').mockResolvedValue({ success: false });
+      const remove = jest.spyOn(OTP, 'findByIdAndDelete').mockResolvedValue(null);
+
+      const response = await request(app).post('/api/public-booking/CLN001/verify-email').send({ email: 'ravi@example.com' });
+      expect(response.status).toBe(500);
+      expect(remove).toHaveBeenCalledWith('otp1');
+    });
+  });
+
+  describe('appointments', () => {
+    let verify;
+    let markAsUsed;
+
+    beforeEach(() => {
+      markAsUsed = jest.fn().mockResolvedValue();
+      verify = jest.spyOn(OTP, 'verifyOTP').mockResolvedValue({ success: true, otp: { markAsUsed } });
+      jest.spyOn(Doctor, 'findOne').mockResolvedValue(doctor);
+      jest.spyOn(slotService, 'check').mockResolvedValue({ ok: true, duration: 30 });
+      jest.spyOn(Appointment, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(Patient, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+      jest.spyOn(realtimeService, 'appointmentCreated').mockImplementation(() => {});
+      jest.spyOn(notificationService, 'appointmentRequested').mockImplementation(() => {});
+    });
+
+    it('should create a pending request and use up the code', async () => {
+      const save = jest.spyOn(Appointment.prototype, 'save').mockResolvedValue();
+
+      const response = await request(app).post('/api/public-booking/CLN001/appointments').send(booking());
+      expect(response.status).toBe(201);
+      expect(response.body.appointment).toMatchObject({ status: 'Processing', time: '10:30', doctorName: 'Asha Rao' });
+      expect(verify).toHaveBeenCalledWith('ravi@example.com', '123456', 'email_verification');
+      expect(save).toHaveBeenCalled();
+      expect(markAsUsed).toHaveBeenCalled();
+    });
+
+    it('should keep the code when the slot has been taken', async () => {
+      slotService.check.mockResolvedValue({ ok: false, reason: 'booked' });
+
+      const response = await request(app).post('/api/public-booking/CLN001/appointments').send(booking());
+      expect(response.status).toBe(409);
+      expect(verify).not.toHaveBeenCalled();
+    });
+
+    it('should keep the code when the email already has too many pending requests', async () => {
+      Appointment.countDocuments.mockResolvedValue(3);
+
+      const response = await request(app).post('/api/public-booking/CLN001/appointments').send(booking());
+      expect(response.status).toBe(429);
+      expect(verify).not.toHaveBeenCalled();
+    });
+
+    it('should reject a wrong code without booking', async () => {
+      verify.mockResolvedValue({ success: false, message: 'Invalid OTP code' });
+      const save = jest.spyOn(Appointment.prototype, 'save');
+
+      const response = await request(app).post('/api/public-booking/CLN001/appointments').send(booking());
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid OTP code');
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Appointment.checkForConflicts', () => {
+    it('should count pending requests as taking their slot, like the slot engine', async () => {
+      const find = jest.spyOn(Appointment, 'find').mockResolvedValue([
+        { _id: 'a1', time: '10:15', duration: 30, status: 'Processing', patientName: 'Ravi Kumar' }
+      ]);
+
+      const conflicts = await Appointment.checkForConflicts(doctor._id, new Date('2026-11-02T00:00:00Z'), '10:30', 30);
+      expect(find.mock.calls[0][0].status).toEqual({ $nin: Slots.FREE_STATUSES });
+      expect(conflicts.map(conflict => conflict.appointmentId)).toEqual(['a1']);
+    });
+  });
+});
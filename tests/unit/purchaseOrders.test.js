@@ -0,0 +1,127 @@
+/**
+ * Purchase Order Tests
+ * Tests for checking goods receipts against the outstanding quantities,
+ * claiming received quantities and GRN numbers, and the status receiving moves to
+ */
+
+const PurchaseOrder = require('../../backend/models/PurchaseOrder');
+
+const makeOrder = (fields) => new PurchaseOrder({
+  poNumber: 'PO-202610-0001-0001',
+  clinicId: '64b000000000000000000001',
+  supplierId: '64b000000000000000000002',
+  status: 'sent',
+  lines: [
+    { medicationName: 'Paracetamol', strength: '500mg', quantityOrdered: 100 },
+    { medicationName: 'Amoxicillin', strength: '250mg', quantityOrdered: 40, quantityReceived: 30 }
+  ],
+  ...fields
+});
+
+const nextYear = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+
+describe('PurchaseOrder', () => {
+  describe('receiptError', () => {
+    it('should accept lines within what is still outstanding', () => {
+      const order = makeOrder();
+      const [paracetamol, amoxicillin] = order.lines;
+      expect(order.receiptError([
+        { lineId: paracetamol._id, quantity: 100, batchNumber: 'B1', expiryDate: nextYear },
+        { lineId: amoxicillin._id, quantity: 10, batchNumber: 'B2', expiryDate: nextYear }
+      ])).toBeNull();
+    });
+
+    it('should reject receiving more than is outstanding, across repeated lines too', () => {
+      const order = makeOrder();
+      const amoxicillin = order.lines[1];
+      expect(order.receiptError([{ lineId: amoxicillin._id, quantity: 11, batchNumber: 'B2', expiryDate: nextYear }]))
+        .toBe('Received quantity for Amoxicillin exceeds the outstanding 10');
+      expect(order.receiptError([
+        { lineId: amoxicillin._id, quantity: 6, batchNumber: 'B2', expiryDate: nextYear },
+        { lineId: amoxicillin._id, quantity: 6, batchNumber: 'B3', expiryDate: nextYear }
+      ])).toBe('Received quantity for Amoxicillin exceeds the outstanding 4');
+    });
+
+    it('should reject lines from another order and expired batches', () => {
+      const order = makeOrder();
+      expect(order.receiptError([{ lineId: '64b0000000000000000000ff', quantity: 1, batchNumber: 'B1', expiryDate: nextYear }]))
+        .toBe('Line 64b0000000000000000000ff is not on this purchase order');
+      expect(order.receiptError([{ lineId: order.lines[0]._id, quantity: 1, batchNumber: 'OLD', expiryDate: '2020-01-01' }]))
+        .toBe('Batch OLD is already expired');
+    });
+  });
+
+  describe('claimReceipt', () => {
+    beforeEach(() => {
+      jest.spyOn(PurchaseOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('should claim each line once only while it stays within the ordered quantity', async () => {
+      const order = makeOrder();
+      const amoxicillin = order.lines[1];
+      const claim = jest.spyOn(PurchaseOrder, 'findOneAndUpdate').mockResolvedValue({ receiptSequence: 1 });
+
+      await PurchaseOrder.claimReceipt(order, [
+        { lineId: amoxicillin._id, quantity: 4 },
+        { lineId: amoxicillin._id, quantity: 3 }
+      ]);
+      expect(claim).toHaveBeenCalledTimes(1);
+      expect(claim).toHaveBeenCalledWith(
+        { _id: order._id, lines: { $elemMatch: { _id: amoxicillin._id, quantityReceived: { $lte: 33 } } } },
+        { $inc: { 'lines.$.quantityReceived': 7, receiptSequence: 1 } },
+        { new: true, projection: { receiptSequence: 1 } }
+      );
+    });
+
+    it('should number the receipt from the order sequence, continuing after older receipts', async () => {
+      const order = makeOrder({ receipts: [{ grnNumber: 'GRN-PO-202610-0001-0001-1' }] });
+      jest.spyOn(PurchaseOrder, 'findOneAndUpdate').mockResolvedValue({ receiptSequence: 2 });
+
+      const { grnNumber } = await PurchaseOrder.claimReceipt(order, [{ lineId: order.lines[0]._id, quantity: 5 }]);
+      expect(grnNumber).toBe('GRN-PO-202610-0001-0001-2');
+      expect(PurchaseOrder.updateOne).toHaveBeenCalledWith(
+        { _id: order._id, receiptSequence: { $exists: false } },
+        { $set: { receiptSequence: 1 } }
+      );
+    });
+
+    it('should give back earlier claims when another receipt got to a line first', async () => {
+      const order = makeOrder();
+      const [paracetamol, amoxicillin] = order.lines;
+      jest.spyOn(PurchaseOrder, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ receiptSequence: 1 })
+        .mockResolvedValueOnce(null);
+
+      await expect(PurchaseOrder.claimReceipt(order, [
+        { lineId: paracetamol._id, quantity: 20 },
+        { lineId: amoxicillin._id, quantity: 10 }
+      ])).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Amoxicillin has just been received by someone else; reload the order and try again'
+      });
+      expect(PurchaseOrder.updateOne).toHaveBeenCalledWith(
+        { _id: order._id, 'lines._id': String(paracetamol._id) },
+        { $inc: { 'lines.$.quantityReceived': -20 } }
+      );
+    });
+  });
+
+  describe('refreshReceiptStatus', () => {
+    it('should mark an order partially received until every line is in', () => {
+      const order = makeOrder();
+      expect(order.refreshReceiptStatus()).toBe('partially_received');
+      expect(order.receivedAt).toBeUndefined();
+
+      order.lines.forEach(line => { line.quantityReceived = line.quantityOrdered; });
+      expect(order.refreshReceiptStatus()).toBe('received');
+      expect(order.receivedAt).toBeInstanceOf(Date);
+    });
+
+    it('should leave a sent order alone when nothing has been received', () => {
+      const order = makeOrder({
+        lines: [{ medicationName: 'Paracetamol', strength: '500mg', quantityOrdered: 100 }]
+      });
+      expect(order.refreshReceiptStatus()).toBe('sent');
+    });
+  });
+});
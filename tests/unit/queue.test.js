@@ -0,0 +1,141 @@
+/**
+ * Queue Tests
+ * Tests for walk-in queue ordering, status changes and timing summaries
+ */
+
+const Queue = require('../../backend/utils/queue');
+
+const at = (time) => new Date(`2026-03-09T${time}:00Z`);
+
+const token = (tokenNumber, extra = {}) => ({
+  _id: `t${tokenNumber}`,
+  tokenNumber,
+  status: 'waiting',
+  priority: 'normal',
+  issuedAt: at('09:00'),
+  ...extra
+});
+
+describe('Queue', () => {
+  describe('waiting', () => {
+    it('should call tokens in number order', () => {
+      const order = Queue.waiting([token(3), token(1), token(2)]).map(t => t.tokenNumber);
+      expect(order).toEqual([1, 2, 3]);
+    });
+
+    it('should leave out tokens that are not waiting', () => {
+      const order = Queue.waiting([
+        token(1, { status: 'done' }),
+        token(2, { status: 'skipped' }),
+        token(3)
+      ]).map(t => t.tokenNumber);
+      expect(order).toEqual([3]);
+    });
+
+    it('should put priority tokens first', () => {
+      const order = Queue.waiting([token(1), token(2), token(3, { priority: 'priority' })]).map(t => t.tokenNumber);
+      expect(order).toEqual([3, 1, 2]);
+    });
+
+    it('should move checked-in appointments up once their time arrives', () => {
+      const tokens = [token(1), token(2, { appointmentTime: '10:30' }), token(3)];
+      expect(Queue.waiting(tokens, '10:00').map(t => t.tokenNumber)).toEqual([1, 2, 3]);
+      expect(Queue.waiting(tokens, '10:30').map(t => t.tokenNumber)).toEqual([2, 1, 3]);
+    });
+
+    it('should keep priority tokens ahead of due appointments', () => {
+      const tokens = [token(1, { appointmentTime: '09:00' }), token(2, { priority: 'priority' })];
+      expect(Queue.next(tokens, '11:00').tokenNumber).toBe(2);
+    });
+
+    it('should return null when nobody is waiting', () => {
+      expect(Queue.next([token(1, { status: 'done' })])).toBeNull();
+    });
+  });
+
+  describe('canTransition', () => {
+    it('should allow the normal flow', () => {
+      expect(Queue.canTransition('waiting', 'called')).toBe(true);
+      expect(Queue.canTransition('called', 'in_consultation')).toBe(true);
+      expect(Queue.canTransition('in_consultation', 'done')).toBe(true);
+    });
+
+    it('should let skipped tokens back in line', () => {
+      expect(Queue.canTransition('skipped', 'waiting')).toBe(true);
+    });
+
+    it('should not reopen finished tokens', () => {
+      expect(Queue.canTransition('done', 'waiting')).toBe(false);
+      expect(Queue.canTransition('cancelled', 'waiting')).toBe(false);
+      expect(Queue.canTransition('in_consultation', 'skipped')).toBe(false);
+    });
+  });
+
+  describe('current', () => {
+    it('should pick the most recently called token', () => {
+      const current = Queue.current([
+        token(1, { status: 'called', calledAt: at('09:10') }),
+        token(2, { status: 'in_consultation', calledAt: at('09:20') }),
+        token(3)
+      ]);
+      expect(current.tokenNumber).toBe(2);
+    });
+  });
+
+  describe('summarize', () => {
+    const tokens = [
+      token(1, { status: 'done', consultationStartedAt: at('09:10'), completedAt: at('09:25') }),
+      token(2, { status: 'done', consultationStartedAt: at('09:30'), completedAt: at('09:35') }),
+      token(3, { status: 'in_consultation', consultationStartedAt: at('09:40') }),
+      token(4, { status: 'skipped' }),
+      token(5)
+    ];
+
+    it('should count tokens by outcome', () => {
+      const summary = Queue.summarize(tokens);
+      expect(summary.issued).toBe(5);
+      expect(summary.seen).toBe(2);
+      expect(summary.waiting).toBe(1);
+      expect(summary.skipped).toBe(1);
+    });
+
+    it('should time waits from issue to consultation start', () => {
+      const summary = Queue.summarize(tokens);
+      expect(summary.averageWaitMinutes).toBe(27);
+      expect(summary.longestWaitMinutes).toBe(40);
+    });
+
+    it('should time only finished consultations', () => {
+      expect(Queue.summarize(tokens).averageConsultationMinutes).toBe(10);
+    });
+
+    it('should report no timings for an empty day', () => {
+      const summary = Queue.summarize([]);
+      expect(summary.averageWaitMinutes).toBeNull();
+      expect(summary.averageConsultationMinutes).toBeNull();
+    });
+  });
+
+  describe('estimatedWait', () => {
+    it('should use the default consultation length before anyone is seen', () => {
+      const tokens = [token(1), token(2)];
+      expect(Queue.estimatedWait(tokens, tokens[0])).toBe(0);
+      expect(Queue.estimatedWait(tokens, tokens[1])).toBe(Queue.DEFAULT_CONSULTATION_MINUTES);
+    });
+
+    it('should count the patient with the doctor and use today\'s pace', () => {
+      const tokens = [
+        token(1, { status: 'done', consultationStartedAt: at('09:00'), completedAt: at('09:06') }),
+        token(2, { status: 'in_consultation', consultationStartedAt: at('09:06'), calledAt: at('09:06') }),
+        token(3),
+        token(4)
+      ];
+      expect(Queue.estimatedWait(tokens, tokens[3])).toBe(12);
+    });
+
+    it('should not estimate for tokens that are not waiting', () => {
+      const tokens = [token(1, { status: 'done' })];
+      expect(Queue.estimatedWait(tokens, tokens[0])).toBeNull();
+    });
+  });
+});
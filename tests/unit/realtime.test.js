@@ -0,0 +1,135 @@
+/**
+ * Realtime Tests
+ * Tests for socket sign-in, clinic and user rooms, and the queue events
+ * reception and waiting-room screens listen for
+ */
+
+const http = require('http');
+const realtimeService = require('../../backend/services/realtimeService');
+const tokenManager = require('../../backend/utils/tokenManager');
+const Doctor = require('../../backend/models/Doctor');
+const Nurse = require('../../backend/models/Nurse');
+const Pharmacist = require('../../backend/models/Pharmacist');
+const Clinic = require('../../backend/models/Clinic');
+
+const clinicId = '64b000000000000000000001';
+const doctorId = '64b000000000000000000002';
+const tokenId = '64b000000000000000000003';
+
+const handshake = (token) => ({ handshake: { auth: token === undefined ? {} : { token } }, data: {} });
+const accessToken = (payload) => tokenManager.generateTokenPair(payload).accessToken;
+
+// Resolves with the error passed to next, or null when the socket was let in
+const authenticate = (socket) => new Promise((resolve) => {
+  realtimeService.authenticate(socket, (error) => resolve(error || null));
+});
+
+const staffLookup = ({ doctor = null, clinic = null } = {}) => {
+  jest.spyOn(Doctor, 'findById').mockResolvedValue(doctor);
+  jest.spyOn(Nurse, 'findById').mockResolvedValue(null);
+  jest.spyOn(Pharmacist, 'findById').mockResolvedValue(null);
+  jest.spyOn(Clinic, 'findById').mockResolvedValue(clinic);
+};
+
+describe('RealtimeService', () => {
+  describe('authenticate', () => {
+    it('should let staff in with their clinic', async () => {
+      staffLookup({ doctor: { _id: doctorId, role: 'doctor', email: 'asha@example.com', clinicId } });
+      const socket = handshake(accessToken({ _id: doctorId, email: 'asha@example.com', role: 'doctor', clinicId }));
+
+      expect(await authenticate(socket)).toBeNull();
+      expect(socket.data.user).toEqual({ id: doctorId, role: 'doctor', clinicId });
+    });
+
+    it('should use the clinic account\'s own id as its clinic', async () => {
+      const clinic = new Clinic({ adminEmail: 'admin@example.com', isActive: true });
+      staffLookup({ clinic });
+      const socket = handshake(accessToken({ _id: String(clinic._id), email: 'admin@example.com', role: 'clinic' }));
+
+      expect(await authenticate(socket)).toBeNull();
+      expect(socket.data.user.clinicId).toBe(String(clinic._id));
+    });
+
+    it('should refuse a handshake without a token', async () => {
+      expect((await authenticate(handshake())).message).toBe('Access token required');
+    });
+
+    it('should refuse patient tokens', async () => {
+      const socket = handshake(accessToken({ _id: doctorId, email: 'ravi@example.com', role: 'patient', clinicId }));
+      expect((await authenticate(socket)).message).toBe('Patient accounts cannot access this resource');
+    });
+
+    it('should refuse a deactivated clinic', async () => {
+      const clinic = new Clinic({ adminEmail: 'admin@example.com', isActive: false });
+      staffLookup({ clinic });
+      const socket = handshake(accessToken({ _id: String(clinic._id), email: 'admin@example.com', role: 'clinic' }));
+
+      expect((await authenticate(socket)).message).toBe('User not found');
+      expect(socket.data.user).toBeUndefined();
+    });
+
+    it('should refuse staff without a clinic', async () => {
+      staffLookup({ doctor: { _id: doctorId, role: 'doctor', email: 'asha@example.com' } });
+      const socket = handshake(accessToken({ _id: doctorId, email: 'asha@example.com', role: 'doctor' }));
+
+      expect((await authenticate(socket)).message).toBe('No clinic for this account');
+    });
+
+    it('should tell an expired token apart from an invalid one', async () => {
+      jest.spyOn(tokenManager, 'verifyAccessToken').mockImplementation(() => { throw new Error('Token expired'); });
+      expect((await authenticate(handshake('expired'))).message).toBe('TOKEN_EXPIRED');
+
+      tokenManager.verifyAccessToken.mockImplementation(() => { throw new Error('Invalid token'); });
+      expect((await authenticate(handshake('forged'))).message).toBe('Invalid token');
+    });
+  });
+
+  describe('rooms', () => {
+    let server;
+
+    beforeEach(() => {
+      server = http.createServer();
+      realtimeService.attach(server);
+    });
+
+    afterEach(() => {
+      realtimeService.io.close();
+      realtimeService.io = null;
+    });
+
+    it('should put each socket in its clinic\'s room and its own', () => {
+      const socket = { data: { user: { id: doctorId, role: 'doctor', clinicId } }, join: jest.fn() };
+      realtimeService.io.sockets.listeners('connection').forEach(listener => listener(socket));
+
+      expect(socket.join.mock.calls.map(([room]) => room)).toEqual([`clinic:${clinicId}`, `user:${doctorId}`]);
+    });
+
+    it('should send clinic events to that clinic\'s room only', () => {
+      const emit = jest.fn();
+      const to = jest.spyOn(realtimeService.io, 'to').mockReturnValue({ emit });
+
+      realtimeService.emitToClinic(clinicId, 'appointment:created', { appointmentId: 'a1' });
+      expect(to).toHaveBeenCalledWith(`clinic:${clinicId}`);
+      expect(emit).toHaveBeenCalledWith('appointment:created', expect.objectContaining({ appointmentId: 'a1' }));
+    });
+
+    it('should send nothing without a clinic', () => {
+      const to = jest.spyOn(realtimeService.io, 'to');
+      realtimeService.emitToClinic(undefined, 'appointment:created', {});
+      expect(to).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('queueChanged', () => {
+    it('should tell the clinic which doctor\'s queue changed, without patient details', () => {
+      const emitToClinic = jest.spyOn(realtimeService, 'emitToClinic').mockImplementation(() => {});
+
+      realtimeService.queueChanged({ _id: tokenId, clinicId, doctorId, patientName: 'Ravi Kumar', phone: '9876543210' }, 'called');
+      expect(emitToClinic).toHaveBeenCalledWith(clinicId, realtimeService.EVENTS.QUEUE_CHANGED, { doctorId, tokenId, action: 'called' });
+    });
+
+    it('should be a no-op before the socket server is attached', () => {
+      expect(() => realtimeService.queueChanged({ _id: tokenId, clinicId, doctorId }, 'issued')).not.toThrow();
+    });
+  });
+});
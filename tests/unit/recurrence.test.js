@@ -0,0 +1,61 @@
+/**
+ * Recurrence Rule Tests
+ * Tests for expanding appointment series rules into occurrence dates
+ */
+
+const Recurrence = require('../../backend/utils/recurrence');
+
+const days = (dates) => dates.map(date => date.toISOString().split('T')[0]);
+
+describe('Appointment Recurrence', () => {
+  describe('expand', () => {
+    it('should repeat weekly for a number of occurrences', () => {
+      const dates = Recurrence.expand('2026-01-05', { frequency: 'weekly', count: 4 });
+      expect(days(dates)).toEqual(['2026-01-05', '2026-01-12', '2026-01-19', '2026-01-26']);
+    });
+
+    it('should repeat every N weeks', () => {
+      const dates = Recurrence.expand('2026-01-05', { frequency: 'weekly', interval: 2, count: 3 });
+      expect(days(dates)).toEqual(['2026-01-05', '2026-01-19', '2026-02-02']);
+    });
+
+    it('should repeat daily until an end date, inclusive', () => {
+      const dates = Recurrence.expand('2026-02-26', { frequency: 'daily', until: '2026-03-02' });
+      expect(days(dates)).toEqual(['2026-02-26', '2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+    });
+
+    it('should keep the same weekday across DST changes', () => {
+      const dates = Recurrence.expand('2026-03-02', { frequency: 'weekly', count: 12 });
+      dates.forEach(date => expect(date.getUTCDay()).toBe(1));
+      expect(days(dates)[11]).toBe('2026-05-18');
+    });
+
+    it('should cap open-ended rules', () => {
+      const dates = Recurrence.expand('2026-01-01', { frequency: 'daily', until: '2030-01-01' });
+      expect(dates).toHaveLength(Recurrence.MAX_OCCURRENCES);
+    });
+  });
+
+  describe('normalize', () => {
+    it('should require exactly one end condition', () => {
+      expect(() => Recurrence.normalize({ frequency: 'weekly' })).toThrow('either after a number');
+      expect(() => Recurrence.normalize({ frequency: 'weekly', count: 4, until: '2026-03-01' })).toThrow('either after a number');
+    });
+
+    it('should reject unknown frequencies and bad intervals', () => {
+      expect(() => Recurrence.normalize({ frequency: 'monthly', count: 3 })).toThrow('frequency');
+      expect(() => Recurrence.normalize({ frequency: 'weekly', interval: 0, count: 3 })).toThrow('interval');
+    });
+
+    it('should reject an end date before the start', () => {
+      expect(() => Recurrence.expand('2026-03-10', { frequency: 'daily', until: '2026-03-01' })).toThrow('before the start');
+    });
+  });
+
+  describe('describe', () => {
+    it('should summarize the rule', () => {
+      expect(Recurrence.describe({ frequency: 'weekly', interval: 1, count: 8 })).toBe('Weekly, 8 times');
+      expect(Recurrence.describe({ frequency: 'weekly', interval: 2, until: new Date('2026-04-01') })).toBe('Every 2 weeks until 2026-04-01');
+    });
+  });
+});
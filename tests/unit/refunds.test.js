@@ -0,0 +1,101 @@
+/**
+ * Refund Tests
+ * Tests for refundable amounts, payout methods and payment status after refunds
+ */
+
+const Refunds = require('../../backend/utils/refunds');
+
+describe('Refunds', () => {
+  describe('remaining', () => {
+    it('should count processed and pending refunds but not failed ones', () => {
+      const refunds = [
+        { amount: 100, status: 'processed' },
+        { amount: 50, status: 'pending' },
+        { amount: 300, status: 'failed' }
+      ];
+      expect(Refunds.remaining(500, refunds)).toBe(350);
+    });
+
+    it('should avoid floating point leftovers', () => {
+      expect(Refunds.remaining(100, [{ amount: 33.33, status: 'processed' }, { amount: 33.33, status: 'processed' }])).toBe(33.34);
+    });
+
+    it('should never go below zero', () => {
+      expect(Refunds.remaining(100, [{ amount: 150, status: 'processed' }])).toBe(0);
+    });
+  });
+
+  describe('committed', () => {
+    it('should add up what has gone out or is waiting to, as reserved on the payment', () => {
+      expect(Refunds.committed([
+        { amount: 0.1, status: 'processed' },
+        { amount: 0.2, status: 'pending' },
+        { amount: 5, status: 'failed' }
+      ])).toBe(0.3);
+    });
+  });
+
+  describe('refundedTotal', () => {
+    it('should only add up refunds that went out', () => {
+      expect(Refunds.refundedTotal([
+        { amount: 120.5, status: 'processed' },
+        { amount: 79.5, status: 'processed' },
+        { amount: 50, status: 'pending' }
+      ])).toBe(200);
+    });
+  });
+
+  describe('amountError', () => {
+    it('should accept amounts up to what is left', () => {
+      expect(Refunds.amountError(250, 250)).toBeNull();
+      expect(Refunds.amountError(0.5, 250)).toBeNull();
+    });
+
+    it('should reject zero, fractions of a paisa and more than is left', () => {
+      expect(Refunds.amountError(0, 250)).toBe('Refund amount must be more than zero');
+      expect(Refunds.amountError(NaN, 250)).toBe('Refund amount must be more than zero');
+      expect(Refunds.amountError(10.005, 250)).toBe('Refund amount can have at most two decimal places');
+      expect(Refunds.amountError(300, 250)).toBe('Only 250.00 is left to refund');
+    });
+  });
+
+  describe('payoutMethod', () => {
+    const online = { paymentMethod: 'razorpay', razorpayPaymentId: 'pay_123' };
+    const cash = { paymentMethod: 'cash' };
+
+    it('should refund online payments through the gateway by default', () => {
+      expect(Refunds.payoutMethod(online)).toBe('gateway');
+      expect(Refunds.payoutMethod(online, 'gateway')).toBe('gateway');
+    });
+
+    it('should let staff hand back an online payment themselves', () => {
+      expect(Refunds.payoutMethod(online, 'cash')).toBe('cash');
+    });
+
+    it('should not use the gateway for an online payment that was never captured', () => {
+      expect(Refunds.payoutMethod({ paymentMethod: 'razorpay' })).toBeNull();
+    });
+
+    it('should refund offline payments the way they were paid unless told otherwise', () => {
+      expect(Refunds.payoutMethod(cash)).toBe('cash');
+      expect(Refunds.payoutMethod(cash, 'card')).toBe('card');
+      expect(Refunds.payoutMethod(cash, 'gateway')).toBeNull();
+      expect(Refunds.payoutMethod(cash, 'cheque')).toBeNull();
+    });
+  });
+
+  describe('paymentStatus', () => {
+    it('should follow how much has been refunded', () => {
+      expect(Refunds.paymentStatus(500, 0)).toBe('completed');
+      expect(Refunds.paymentStatus(500, 200)).toBe('partially_refunded');
+      expect(Refunds.paymentStatus(500, 500)).toBe('refunded');
+    });
+  });
+
+  describe('toPaise', () => {
+    it('should round to whole paise', () => {
+      expect(Refunds.toPaise(199.99)).toBe(19999);
+      expect(Refunds.toPaise(0.1 + 0.2)).toBe(30);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Appointment Reminder Tests
+ * Tests for planning reminder times and rendering reminder templates
+ */
+
+const Reminders = require('../../backend/utils/reminders');
+
+const start = new Date('2026-03-10T10:00:00Z');
+const hoursBefore = (hours) => new Date(start.getTime() - hours * 60 * 60 * 1000);
+
+describe('Appointment Reminders', () => {
+  describe('plan', () => {
+    it('should schedule every reminder for an appointment booked well ahead', () => {
+      const planned = Reminders.plan(start, [1440, 120], {
+        now: hoursBefore(72),
+        createdAt: hoursBefore(72)
+      });
+      expect(planned.map(reminder => reminder.offset)).toEqual([1440, 120]);
+      expect(planned[0].runAt).toEqual(hoursBefore(24));
+      expect(planned[1].runAt).toEqual(hoursBefore(2));
+    });
+
+    it('should drop reminders that fell before the booking', () => {
+      const planned = Reminders.plan(start, [1440, 120], {
+        now: hoursBefore(5),
+        createdAt: hoursBefore(5)
+      });
+      expect(planned.map(reminder => reminder.offset)).toEqual([120]);
+    });
+
+    it('should send only the latest overdue reminder after downtime', () => {
+      const planned = Reminders.plan(start, [2880, 1440, 120], {
+        now: hoursBefore(10),
+        createdAt: hoursBefore(100)
+      });
+      expect(planned.map(reminder => reminder.offset)).toEqual([1440, 120]);
+    });
+
+    it('should plan nothing once the appointment has started', () => {
+      expect(Reminders.plan(start, [1440, 120], { now: start })).toEqual([]);
+    });
+
+    it('should ignore duplicate offsets', () => {
+      const planned = Reminders.plan(start, [120, 120], { now: hoursBefore(48) });
+      expect(planned).toHaveLength(1);
+    });
+  });
+
+  describe('render', () => {
+    it('should fill variables and blank unknown ones', () => {
+      const text = Reminders.render('Hi {{ patientName }}, see Dr. {{doctorName}}{{missing}}', {
+        patientName: 'Asha',
+        doctorName: 'Rao'
+      });
+      expect(text).toBe('Hi Asha, see Dr. Rao');
+    });
+
+    it('should render the built-in template without leftover placeholders', () => {
+      const variables = Object.fromEntries(Reminders.VARIABLES.map(name => [name, `<${name}>`]));
+      const body = Reminders.render(Reminders.DEFAULT_BODY, variables);
+      expect(body).toContain('<patientName>');
+      expect(body).not.toContain('{{');
+    });
+  });
+
+  describe('describeOffset', () => {
+    it('should describe minutes, hours and days', () => {
+      expect(Reminders.describeOffset(30)).toBe('30 minutes');
+      expect(Reminders.describeOffset(120)).toBe('2 hours');
+      expect(Reminders.describeOffset(90)).toBe('1 hour 30 minutes');
+      expect(Reminders.describeOffset(1440)).toBe('24 hours');
+      expect(Reminders.describeOffset(2880)).toBe('2 days');
+    });
+  });
+});
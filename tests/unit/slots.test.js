@@ -0,0 +1,261 @@
+/**
+ * Slot Engine Tests
+ * Tests for computing a doctor's free appointment slots on one day
+ */
+
+const Slots = require('../../backend/utils/slots');
+
+// 2026-03-09 is a Monday
+const DAY = '2026-03-09';
+const LONG_BEFORE = new Date('2026-03-01T00:00:00Z');
+
+const weekly = (startTime, endTime, extra = {}) => ({
+  dayOfWeek: 1, startTime, endTime, slotDuration: 30, isActive: true, ...extra
+});
+const exception = (type, extra = {}) => ({
+  date: new Date(`${DAY}T00:00:00Z`), type, isActive: true, ...extra
+});
+const booked = (time, duration = 30, extra = {}) => ({
+  _id: `apt-${time}`, date: new Date(`${DAY}T00:00:00Z`), time, duration, status: 'Scheduled', ...extra
+});
+
+const times = (options) => Slots.compute({
+  date: DAY,
+  now: LONG_BEFORE,
+  timeZone: 'UTC',
+  ...options
+}).slots.map(slot => slot.time);
+
+describe('Slot Engine', () => {
+  describe('weekly availability', () => {
+    it('should step through the day at the slot interval', () => {
+      expect(times({ availability: [weekly('09:00', '11:00')] }))
+        .toEqual(['09:00', '09:30', '10:00', '10:30']);
+    });
+
+    it('should only use entries for the requested weekday', () => {
+      const availability = [weekly('09:00', '10:00'), weekly('14:00', '15:00', { dayOfWeek: 2 })];
+      expect(times({ availability })).toEqual(['09:00', '09:30']);
+    });
+
+    it('should treat split entries as separate windows', () => {
+      const availability = [weekly('14:00', '15:00'), weekly('09:00', '10:00')];
+      expect(times({ availability })).toEqual(['09:00', '09:30', '14:00', '14:30']);
+    });
+
+    it('should ignore inactive entries', () => {
+      expect(times({ availability: [weekly('09:00', '10:00', { isActive: false })] })).toEqual([]);
+    });
+
+    it('should return nothing on a day without availability', () => {
+      expect(times({ availability: [] })).toEqual([]);
+    });
+
+    it('should take the weekday from the calendar day, not the server timezone', () => {
+      expect(Slots.dayOfWeek('2026-03-09')).toBe(1);
+      expect(Slots.dayOfWeek('2026-03-15')).toBe(0);
+    });
+  });
+
+  describe('schedule exceptions', () => {
+    const availability = [weekly('09:00', '12:00')];
+
+    it('should clear the day when the doctor is unavailable', () => {
+      const result = Slots.compute({
+        date: DAY, now: LONG_BEFORE, availability, exceptions: [exception('unavailable')]
+      });
+      expect(result.slots).toEqual([]);
+      expect(result.exception).toBe('unavailable');
+    });
+
+    it('should replace weekly hours with custom hours', () => {
+      const exceptions = [exception('custom_hours', { startTime: '13:00', endTime: '14:00' })];
+      expect(times({ availability, exceptions })).toEqual(['13:00', '13:30']);
+    });
+
+    it('should open custom hours on a day with no weekly availability', () => {
+      const exceptions = [exception('custom_hours', { startTime: '10:00', endTime: '11:00' })];
+      expect(times({ availability: [], exceptions })).toEqual(['10:00', '10:30']);
+    });
+
+    it('should skip breaks inside custom hours', () => {
+      const exceptions = [exception('custom_hours', {
+        startTime: '09:00',
+        endTime: '13:00',
+        breaks: [{ startTime: '10:00', endTime: '11:00' }, { startTime: '12:00', endTime: '12:30' }]
+      })];
+      expect(times({ availability, exceptions }))
+        .toEqual(['09:00', '09:30', '11:00', '11:30', '12:30']);
+    });
+
+    it('should not offer a slot that runs into a break', () => {
+      const exceptions = [exception('custom_hours', {
+        startTime: '09:00',
+        endTime: '11:00',
+        breaks: [{ startTime: '09:45', endTime: '10:00' }]
+      })];
+      expect(times({ availability, exceptions })).toEqual(['09:00', '10:00', '10:30']);
+    });
+
+    it('should cut blocked hours out of the weekly hours', () => {
+      const exceptions = [exception('blocked_hours', { startTime: '10:00', endTime: '11:00' })];
+      expect(times({ availability, exceptions })).toEqual(['09:00', '09:30', '11:00', '11:30']);
+    });
+
+    it('should cut blocked hours out of custom hours too', () => {
+      const exceptions = [
+        exception('custom_hours', { startTime: '14:00', endTime: '16:00' }),
+        exception('blocked_hours', { startTime: '14:30', endTime: '15:00' })
+      ];
+      expect(times({ availability, exceptions })).toEqual(['14:00', '15:00', '15:30']);
+    });
+
+    it('should apply several blocked periods on one day', () => {
+      const exceptions = [
+        exception('blocked_hours', { startTime: '09:00', endTime: '09:30' }),
+        exception('blocked_hours', { startTime: '11:00', endTime: '12:00' })
+      ];
+      expect(times({ availability, exceptions })).toEqual(['09:30', '10:00', '10:30']);
+    });
+
+    it('should ignore inactive exceptions and exceptions for other days', () => {
+      const exceptions = [
+        exception('unavailable', { isActive: false }),
+        exception('unavailable', { date: new Date('2026-03-10T00:00:00Z') })
+      ];
+      expect(times({ availability, exceptions })).toHaveLength(6);
+    });
+  });
+
+  describe('existing appointments', () => {
+    const availability = [weekly('09:00', '11:00')];
+
+    it('should skip booked slots', () => {
+      expect(times({ availability, appointments: [booked('09:30')] }))
+        .toEqual(['09:00', '10:00', '10:30']);
+    });
+
+    it('should block every slot a long appointment overlaps', () => {
+      expect(times({ availability, appointments: [booked('09:15', 60)] })).toEqual(['10:30']);
+    });
+
+    it('should free the time of cancelled and no-show appointments', () => {
+      const appointments = [booked('09:00', 30, { status: 'Cancelled' }), booked('09:30', 30, { status: 'No Show' })];
+      expect(times({ availability, appointments })).toHaveLength(4);
+    });
+
+    it('should keep pending requests blocking their time', () => {
+      expect(times({ availability, appointments: [booked('10:00', 30, { status: 'Processing' })] }))
+        .toEqual(['09:00', '09:30', '10:30']);
+    });
+
+    it('should leave out the appointment being rescheduled', () => {
+      const appointments = [booked('09:30')];
+      expect(times({ availability, appointments, excludeAppointmentId: 'apt-09:30' })).toHaveLength(4);
+    });
+
+    it('should ignore appointments on other days', () => {
+      const appointments = [booked('09:00', 30, { date: new Date('2026-03-10T00:00:00Z') })];
+      expect(times({ availability, appointments })).toHaveLength(4);
+    });
+  });
+
+  describe('durations and buffers', () => {
+    it('should default the visit length to the slot interval', () => {
+      const result = Slots.compute({ date: DAY, now: LONG_BEFORE, availability: [weekly('09:00', '10:00', { slotDuration: 20 })] });
+      expect(result.duration).toBe(20);
+      expect(result.slots.map(slot => slot.time)).toEqual(['09:00', '09:20', '09:40']);
+    });
+
+    it('should only offer starts where a longer visit fits before the window ends', () => {
+      expect(times({ availability: [weekly('09:00', '11:00')], duration: 60 }))
+        .toEqual(['09:00', '09:30', '10:00']);
+    });
+
+    it('should need the full visit length to be free', () => {
+      expect(times({ availability: [weekly('09:00', '11:00')], appointments: [booked('10:00')], duration: 60 }))
+        .toEqual(['09:00']);
+    });
+
+    it('should space slots by the buffer', () => {
+      expect(times({ availability: [weekly('09:00', '11:00', { bufferMinutes: 10 })] }))
+        .toEqual(['09:00', '09:40', '10:20']);
+    });
+
+    it('should keep the buffer around existing appointments', () => {
+      const availability = [weekly('09:00', '12:00', { bufferMinutes: 15 })];
+      // Slots fall every 45 minutes; 10:30 would end within 15 minutes of the 11:00 visit
+      // and 11:15 would start within 15 minutes of it finishing
+      expect(times({ availability, appointments: [booked('11:00')] })).toEqual(['09:00', '09:45']);
+    });
+
+    it('should report the interval and buffer used', () => {
+      const result = Slots.compute({ date: DAY, now: LONG_BEFORE, availability: [weekly('09:00', '10:00', { bufferMinutes: 5 })] });
+      expect(result.interval).toBe(30);
+      expect(result.buffer).toBe(5);
+    });
+  });
+
+  describe('clinic timezone', () => {
+    const availability = [weekly('09:00', '12:00')];
+
+    it('should drop slots that have already started today', () => {
+      const now = new Date(`${DAY}T10:10:00Z`);
+      expect(times({ availability, now, timeZone: 'UTC' })).toEqual(['10:30', '11:00', '11:30']);
+    });
+
+    it('should use the clinic day and time rather than UTC', () => {
+      // 04:40 UTC is 10:10 in India
+      const now = new Date(`${DAY}T04:40:00Z`);
+      expect(times({ availability, now, timeZone: 'Asia/Kolkata' })).toEqual(['10:30', '11:00', '11:30']);
+    });
+
+    it('should treat the whole day as past once the clinic has moved on', () => {
+      // 18:45 UTC on the 9th is already the 10th in India but still early morning in Honolulu
+      const now = new Date(`${DAY}T18:45:00Z`);
+      expect(times({ availability, now, timeZone: 'Asia/Kolkata' })).toEqual([]);
+      expect(times({ availability, now, timeZone: 'UTC' })).toEqual([]);
+      expect(times({ availability, now, timeZone: 'Pacific/Honolulu' })).toHaveLength(6);
+    });
+  });
+
+  describe('check', () => {
+    const base = {
+      date: DAY,
+      now: LONG_BEFORE,
+      timeZone: 'UTC',
+      availability: [weekly('09:00', '12:00', { bufferMinutes: 10 })],
+      appointments: [booked('10:00')]
+    };
+
+    it('should accept a free time off the slot grid', () => {
+      expect(Slots.check({ ...base, time: '11:05' })).toEqual({ ok: true, reason: null });
+    });
+
+    it('should reject times outside working hours', () => {
+      expect(Slots.check({ ...base, time: '11:45' }).reason).toBe('unavailable');
+      expect(Slots.check({ ...base, time: '08:30' }).reason).toBe('unavailable');
+    });
+
+    it('should reject times inside blocked hours', () => {
+      const exceptions = [exception('blocked_hours', { startTime: '11:00', endTime: '12:00' })];
+      expect(Slots.check({ ...base, exceptions, time: '11:00' }).reason).toBe('unavailable');
+    });
+
+    it('should reject times that clash with a booking or its buffer', () => {
+      expect(Slots.check({ ...base, time: '10:00' }).reason).toBe('conflict');
+      expect(Slots.check({ ...base, time: '10:35' }).reason).toBe('conflict');
+      expect(Slots.check({ ...base, time: '10:40' }).ok).toBe(true);
+    });
+
+    it('should reject times in the past', () => {
+      const now = new Date(`${DAY}T11:00:00Z`);
+      expect(Slots.check({ ...base, now, time: '10:45' }).reason).toBe('past');
+    });
+
+    it('should have a message for every rejection', () => {
+      ['past', 'unavailable', 'conflict'].forEach(reason => expect(Slots.MESSAGES[reason]).toBeTruthy());
+    });
+  });
+
+});
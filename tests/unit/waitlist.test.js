@@ -0,0 +1,106 @@
+/**
+ * Waitlist Tests
+ * Tests for matching freed slots to waitlist preferences, the order
+ * patients are offered a slot in, offer expiry and accepting an offer once
+ */
+
+const waitlistService = require('../../backend/services/waitlistService');
+const WaitlistEntry = require('../../backend/models/WaitlistEntry');
+const Appointment = require('../../backend/models/Appointment');
+
+const MINUTE = 60 * 1000;
+
+// Monday 19 October 2026, 10:00 for 30 minutes
+const slot = { doctorId: 'd1', date: new Date('2026-10-19T00:00:00Z'), time: '10:00', duration: 30 };
+
+const entry = (fields) => ({
+  _id: 'e1',
+  patientId: 'p1',
+  duration: 30,
+  preferredDays: [],
+  offers: [],
+  priorityRank: 1,
+  ...fields
+});
+
+describe('WaitlistService', () => {
+  describe('matchesPreferences', () => {
+    it('should accept any slot long enough when there are no preferences', () => {
+      expect(waitlistService.matchesPreferences(entry(), slot)).toBe(true);
+      expect(waitlistService.matchesPreferences(entry({ duration: 45 }), slot)).toBe(false);
+    });
+
+    it('should only offer the preferred days of the week', () => {
+      expect(waitlistService.matchesPreferences(entry({ preferredDays: [1, 3] }), slot)).toBe(true);
+      expect(waitlistService.matchesPreferences(entry({ preferredDays: [2] }), slot)).toBe(false);
+    });
+
+    it('should keep the whole visit inside the preferred hours', () => {
+      expect(waitlistService.matchesPreferences(entry({ preferredTimeFrom: '09:00', preferredTimeTo: '10:30' }), slot)).toBe(true);
+      expect(waitlistService.matchesPreferences(entry({ preferredTimeFrom: '10:15' }), slot)).toBe(false);
+      expect(waitlistService.matchesPreferences(entry({ preferredTimeTo: '10:15' }), slot)).toBe(false);
+    });
+
+    it('should respect the earliest and latest dates', () => {
+      expect(waitlistService.matchesPreferences(entry({ earliestDate: new Date('2026-10-20T00:00:00Z') }), slot)).toBe(false);
+      expect(waitlistService.matchesPreferences(entry({ latestDate: new Date('2026-10-18T00:00:00Z') }), slot)).toBe(false);
+      expect(waitlistService.matchesPreferences(entry({ latestDate: new Date('2026-10-19T00:00:00Z') }), slot)).toBe(true);
+    });
+
+    it('should never offer the same slot to a patient twice', () => {
+      const offered = entry({ offers: [{ date: new Date('2026-10-19T00:00:00Z'), time: '10:00', status: 'declined' }] });
+      expect(waitlistService.matchesPreferences(offered, slot)).toBe(false);
+    });
+  });
+
+  describe('findCandidates', () => {
+    it('should put higher priority first and keep the longest waiting first within a priority', async () => {
+      // Returned oldest first, as the query sorts them
+      const entries = [
+        entry({ _id: 'normal-old', patientId: 'p1', priorityRank: 1 }),
+        entry({ _id: 'urgent', patientId: 'p2', priorityRank: 3 }),
+        entry({ _id: 'normal-new', patientId: 'p3', priorityRank: 1 }),
+        entry({ _id: 'high', patientId: 'p4', priorityRank: 2 }),
+        entry({ _id: 'too-long', patientId: 'p5', priorityRank: 3, duration: 60 })
+      ];
+      jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ sort: () => Promise.resolve(entries) });
+
+      const candidates = await waitlistService.findCandidates(slot, ['p3']);
+      expect(candidates.map(candidate => candidate._id)).toEqual(['urgent', 'high', 'normal-old']);
+    });
+  });
+
+  describe('offerExpiry', () => {
+    const now = new Date('2026-10-19T04:00:00Z');
+
+    it('should give the patient the full offer window when the slot is far enough away', () => {
+      const start = new Date(now.getTime() + 24 * 60 * MINUTE);
+      expect(waitlistService.offerExpiry(start, now)).toEqual(new Date(now.getTime() + 120 * MINUTE));
+    });
+
+    it('should close the offer half an hour before a slot that starts sooner', () => {
+      const start = new Date(now.getTime() + 90 * MINUTE);
+      expect(waitlistService.offerExpiry(start, now)).toEqual(new Date(now.getTime() + 60 * MINUTE));
+    });
+
+    it('should not offer a slot that starts within half an hour', () => {
+      expect(waitlistService.offerExpiry(new Date(now.getTime() + 30 * MINUTE), now)).toBeNull();
+      expect(waitlistService.offerExpiry(new Date(now.getTime() + 10 * MINUTE), now)).toBeNull();
+    });
+  });
+
+  describe('acceptOffer', () => {
+    it('should not book again when another request has already claimed the offer', async () => {
+      const offer = { token: 't1', status: 'pending', expiresAt: new Date(Date.now() + 60 * MINUTE) };
+      jest.spyOn(WaitlistEntry, 'findOne').mockResolvedValue(entry({ offers: [offer] }));
+      jest.spyOn(WaitlistEntry, 'findOneAndUpdate').mockResolvedValue(null);
+      const save = jest.spyOn(Appointment.prototype, 'save');
+
+      await expect(waitlistService.acceptOffer('t1')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'This offer has already been accepted'
+      });
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+});